@@ -131,8 +131,18 @@ check_chrome() {
 validate_environment() {
     log_info "Validating environment configuration..."
 
-    # Check required environment variables
-    local required_vars=("CLOUDFLARE_API_TOKEN" "CLOUDFLARE_ACCOUNT_ID")
+    # Check required environment variables for the selected AI provider
+    local required_vars=()
+    case "${AI_PROVIDER:-cloudflare}" in
+        cloudflare) required_vars=("CLOUDFLARE_API_TOKEN" "CLOUDFLARE_ACCOUNT_ID") ;;
+        openai) [ -z "$OPENAI_BASE_URL" ] && required_vars=("OPENAI_API_KEY") ;;
+        anthropic) required_vars=("ANTHROPIC_API_KEY") ;;
+        ollama) ;;
+        *)
+            log_error "Unsupported AI_PROVIDER: ${AI_PROVIDER}"
+            return 1
+            ;;
+    esac
     local missing_vars=()
 
     for var in "${required_vars[@]}"; do
@@ -0,0 +1,68 @@
+import { AIProvider, AIServiceConfig, CircuitBreakerOptions, CloudflareAIConfig } from '../types';
+import { CloudflareAI } from './CloudflareAI';
+import { OpenAICompatibleAI } from './OpenAICompatibleAI';
+import { AnthropicAI } from './AnthropicAI';
+import { OllamaAI } from './OllamaAI';
+import { FailoverAIProvider } from './FailoverAIProvider';
+
+/**
+ * Create the LLM provider selected by configuration
+ */
+export function createAIProvider(aiConfig: AIServiceConfig, cloudflareConfig?: CloudflareAIConfig): AIProvider {
+    const maxRetries = aiConfig.maxRetries ?? 3;
+
+    switch (aiConfig.provider) {
+        case 'cloudflare':
+            return new CloudflareAI(
+                cloudflareConfig?.apiToken || aiConfig.apiKey,
+                cloudflareConfig?.accountId || '',
+                aiConfig.baseUrl || cloudflareConfig?.gatewayUrl,
+                aiConfig.model,
+                maxRetries,
+                aiConfig.timeout
+            );
+        case 'openai':
+            return new OpenAICompatibleAI(
+                aiConfig.apiKey,
+                aiConfig.baseUrl || undefined,
+                aiConfig.model,
+                maxRetries,
+                aiConfig.timeout
+            );
+        case 'anthropic':
+            return new AnthropicAI(
+                aiConfig.apiKey,
+                aiConfig.baseUrl || undefined,
+                aiConfig.model,
+                maxRetries,
+                aiConfig.timeout
+            );
+        case 'ollama':
+            return new OllamaAI(
+                aiConfig.baseUrl || undefined,
+                aiConfig.model,
+                maxRetries,
+                aiConfig.timeout
+            );
+        default:
+            throw new Error(`Unsupported AI provider: ${aiConfig.provider}`);
+    }
+}
+
+/**
+ * Create the provider chain wrapped in per-provider circuit breakers. When more than one
+ * provider is configured each one fails fast (no internal retries) so the next provider
+ * takes over instead of waiting out the backoff.
+ */
+export function createAIProviderChain(
+    chain: AIServiceConfig[],
+    breakerOptions: CircuitBreakerOptions,
+    cloudflareConfig?: CloudflareAIConfig
+): FailoverAIProvider {
+    const providers = chain.map(aiConfig => createAIProvider(
+        chain.length > 1 ? { ...aiConfig, maxRetries: 0 } : aiConfig,
+        cloudflareConfig
+    ));
+
+    return new FailoverAIProvider(providers, breakerOptions);
+}
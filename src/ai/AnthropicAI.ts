@@ -0,0 +1,129 @@
+import { AIResponse, ChatMessage, CompletionOptions } from '../types';
+import { BaseAIProvider } from './BaseAIProvider';
+
+/**
+ * Anthropic Messages API response interface
+ */
+interface AnthropicMessagesResponse {
+    model?: string;
+    content: Array<{ type: string; text?: string }>;
+    stop_reason?: string;
+    usage?: {
+        input_tokens?: number;
+        output_tokens?: number;
+    };
+}
+
+/**
+ * Provider for the Anthropic Messages API
+ */
+export class AnthropicAI extends BaseAIProvider {
+    public readonly name = 'anthropic';
+    private static readonly API_VERSION = '2023-06-01';
+    private apiKey: string;
+    private baseUrl: string;
+
+    constructor(
+        apiKey: string,
+        baseUrl: string = 'https://api.anthropic.com',
+        initialModel: string = 'claude-3-5-haiku-latest',
+        maxRetries: number = 3,
+        timeoutMs?: number
+    ) {
+        super(initialModel, maxRetries, timeoutMs);
+        this.apiKey = apiKey;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+    }
+
+    /**
+     * Send a request to the Messages API
+     */
+    public async complete(messages: ChatMessage[], options: CompletionOptions = {}): Promise<AIResponse> {
+        const targetModel = options.model || this.currentModel;
+        const { system, turns } = this.toAnthropicMessages(messages);
+
+        const payload: Record<string, any> = {
+            model: targetModel,
+            max_tokens: options.maxTokens ?? 500,
+            temperature: options.temperature ?? 0.7,
+            messages: turns
+        };
+        if (system) {
+            payload.system = system;
+        }
+
+        const data = await this.postJson<AnthropicMessagesResponse>(`${this.baseUrl}/v1/messages`, payload, this.getHeaders());
+
+        const content = (data.content || [])
+            .filter(block => block.type === 'text' && block.text)
+            .map(block => block.text)
+            .join('\n') || 'Sorry, I could not generate a response.';
+
+        return {
+            content: content.trim(),
+            confidence: 0.7,
+            tokens_used: (data.usage?.input_tokens || 0) + (data.usage?.output_tokens || 0),
+            model: data.model || targetModel
+        };
+    }
+
+    /**
+     * Check that the API accepts the key by listing models, which is not billed
+     */
+    public async isHealthy(): Promise<boolean> {
+        return this.probe(`${this.baseUrl}/v1/models`, this.getHeaders());
+    }
+
+    /**
+     * Validate configuration
+     */
+    public validateConfig(): boolean {
+        return !!this.apiKey;
+    }
+
+    /**
+     * Split out the system prompt and merge consecutive same-role turns,
+     * since the Messages API requires alternating user/assistant messages
+     */
+    private toAnthropicMessages(messages: ChatMessage[]): {
+        system: string;
+        turns: Array<{ role: 'user' | 'assistant'; content: string }>;
+    } {
+        const system = messages
+            .filter(msg => msg.role === 'system')
+            .map(msg => msg.content)
+            .join('\n\n');
+
+        const turns: Array<{ role: 'user' | 'assistant'; content: string }> = [];
+        for (const msg of messages) {
+            if (msg.role === 'system') {
+                continue;
+            }
+            const last = turns[turns.length - 1];
+            if (last && last.role === msg.role) {
+                last.content += `\n${msg.content}`;
+            } else {
+                turns.push({ role: msg.role, content: msg.content });
+            }
+        }
+
+        // The conversation must open with a user turn
+        if (turns.length === 0 || turns[0].role !== 'user') {
+            turns.unshift({ role: 'user', content: '(conversation start)' });
+        }
+
+        return { system, turns };
+    }
+
+    /**
+     * Get request headers
+     */
+    private getHeaders(): Record<string, string> {
+        return {
+            'x-api-key': this.apiKey,
+            'anthropic-version': AnthropicAI.API_VERSION,
+            'Content-Type': 'application/json',
+            'User-Agent': 'WhatsApp-LLM-PA/1.0.0'
+        };
+    }
+}
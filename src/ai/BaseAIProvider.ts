@@ -0,0 +1,194 @@
+import { AIProvider, AIResponse, ChatMessage, CompletionOptions, ConversationContext } from '../types';
+import { config } from '../config/environment';
+import { formatMessageForPrompt } from '../utils/messageContent';
+import { DEFAULT_TEMPLATES, renderTemplate, systemPromptVariables } from '../utils/promptTemplates';
+
+/**
+ * Request retry configuration
+ */
+export interface RetryConfig {
+    maxRetries: number;
+    baseDelay: number;
+    maxDelay: number;
+}
+
+/**
+ * Shared behaviour for all LLM providers: prompt building, retries and timeouts.
+ * Subclasses only implement the wire format of their API in `complete()`.
+ */
+export abstract class BaseAIProvider implements AIProvider {
+    public abstract readonly name: string;
+    protected currentModel: string;
+    protected retryConfig: RetryConfig;
+    protected timeoutMs: number;
+
+    constructor(initialModel: string, maxRetries: number = 3, timeoutMs: number = 30000) {
+        this.currentModel = initialModel;
+        this.timeoutMs = timeoutMs;
+        this.retryConfig = {
+            maxRetries,
+            baseDelay: 1000,
+            maxDelay: 10000
+        };
+    }
+
+    /**
+     * Send a raw chat completion request to the provider
+     */
+    public abstract complete(messages: ChatMessage[], options?: CompletionOptions): Promise<AIResponse>;
+
+    /**
+     * Check if the provider is reachable and the model answers
+     */
+    public abstract isHealthy(): Promise<boolean>;
+
+    /**
+     * Validate provider configuration
+     */
+    public abstract validateConfig(): boolean;
+
+    /**
+     * Generate AI response with the assistant system prompt and conversation context
+     */
+    public async generateResponse(
+        prompt: string,
+        context?: ConversationContext,
+        model?: string,
+        maxTokens: number = 500
+    ): Promise<AIResponse> {
+        try {
+            const messages = this.buildMessages(prompt, context);
+            return await this.complete(messages, {
+                model: model || this.currentModel,
+                maxTokens,
+                temperature: 0.7
+            });
+        } catch (error) {
+            console.error(`Error generating response (${this.name}):`, error);
+            throw new Error(`Failed to generate AI response: ${error instanceof Error ? error.message : 'Unknown error'}`);
+        }
+    }
+
+    /**
+     * Get current model name
+     */
+    public getCurrentModel(): string {
+        return this.currentModel;
+    }
+
+    /**
+     * Build messages array for the AI request
+     */
+    protected buildMessages(prompt: string, context?: ConversationContext): ChatMessage[] {
+        const messages: ChatMessage[] = [
+            {
+                role: 'system',
+                content: this.getSystemPrompt(context)
+            }
+        ];
+
+        // Add context messages if available
+        if (context?.recentMessages) {
+            const contextMessages: ChatMessage[] = context.recentMessages
+                .slice(-config.app.maxContextMessages) // Older messages are covered by context.memory
+                .filter(msg => msg.from !== 'bot')
+                .map(msg => ({
+                    role: 'user',
+                    content: `${this.getSenderName(msg)}: ${formatMessageForPrompt(msg)}`
+                }));
+
+            messages.push(...contextMessages);
+        }
+
+        // Add the current prompt
+        messages.push({
+            role: 'user',
+            content: prompt
+        });
+
+        return messages;
+    }
+
+    /**
+     * Get system prompt based on context: the one rendered from the prompt templates, else the built-in template
+     */
+    protected getSystemPrompt(context?: ConversationContext): string {
+        return context?.systemPrompt ?? renderTemplate(DEFAULT_TEMPLATES.system!, systemPromptVariables(context?.owner ?? config.owner, context));
+    }
+
+    /**
+     * Get sender name from message (simplified version)
+     */
+    protected getSenderName(message: any): string {
+        if (message.author) {
+            return message.author.split('@')[0] || 'User';
+        }
+        return message.from?.split('@')[0] || 'User';
+    }
+
+    /**
+     * POST a JSON payload with timeout and exponential backoff retries
+     */
+    protected async postJson<T>(url: string, payload: any, headers: Record<string, string>): Promise<T> {
+        let lastError: Error | null = null;
+
+        for (let attempt = 0; attempt <= this.retryConfig.maxRetries; attempt++) {
+            try {
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers,
+                    body: JSON.stringify(payload),
+                    signal: AbortSignal.timeout(this.timeoutMs)
+                });
+
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw new Error(`${this.name} API error: ${response.status} ${response.statusText} - ${errorText}`);
+                }
+
+                return await response.json() as T;
+
+            } catch (error) {
+                lastError = error instanceof Error ? error : new Error('Unknown error');
+
+                if (attempt < this.retryConfig.maxRetries) {
+                    const delay = Math.min(
+                        this.retryConfig.baseDelay * Math.pow(2, attempt),
+                        this.retryConfig.maxDelay
+                    );
+
+                    console.warn(`${this.name} request attempt ${attempt + 1} failed, retrying in ${delay}ms:`, lastError.message);
+                    await this.sleep(delay);
+                } else {
+                    console.error(`${this.name}: all ${this.retryConfig.maxRetries + 1} attempts failed`);
+                }
+            }
+        }
+
+        throw lastError || new Error('Request failed after all retries');
+    }
+
+    /**
+     * GET a URL and report whether it answered with a 2xx status
+     */
+    protected async probe(url: string, headers: Record<string, string>): Promise<boolean> {
+        try {
+            const response = await fetch(url, {
+                method: 'GET',
+                headers,
+                signal: AbortSignal.timeout(this.timeoutMs)
+            });
+            return response.ok;
+        } catch (error) {
+            console.error(`${this.name} probe failed:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Sleep utility for retries
+     */
+    protected sleep(ms: number): Promise<void> {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
@@ -0,0 +1,182 @@
+import { CircuitBreakerOptions, CircuitBreakerStatus, CircuitState } from '../types';
+
+/**
+ * Outcome of a single call kept in the rolling window
+ */
+interface CallOutcome {
+    failed: boolean;
+    slow: boolean;
+    latencyMs: number;
+}
+
+/**
+ * Circuit breaker tracking error rate and latency over a rolling window of calls.
+ * Closed: calls flow. Open: calls are rejected until `openDurationMs` elapses.
+ * Half-open: a single probe call decides whether to close or re-open.
+ */
+export class CircuitBreaker {
+    private options: CircuitBreakerOptions;
+    private state: CircuitState = 'closed';
+    private window: CallOutcome[] = [];
+    private tripCount: number = 0;
+    private successes: number = 0;
+    private failures: number = 0;
+    private slowCalls: number = 0;
+    private openedAt?: number;
+    private probeInFlight: boolean = false;
+    private lastTripReason?: string;
+    private lastError?: string;
+
+    constructor(options: CircuitBreakerOptions) {
+        this.options = options;
+    }
+
+    /**
+     * Whether a call may go through right now. Moves open -> half-open once the
+     * open period has elapsed and reserves the single probe slot.
+     */
+    public canRequest(now: number = Date.now()): boolean {
+        if (this.state === 'closed') {
+            return true;
+        }
+
+        if (this.state === 'open') {
+            if (this.openedAt !== undefined && now - this.openedAt >= this.options.openDurationMs) {
+                this.state = 'half_open';
+                this.probeInFlight = false;
+            } else {
+                return false;
+            }
+        }
+
+        // Half-open: allow exactly one probe at a time
+        if (this.probeInFlight) {
+            return false;
+        }
+        this.probeInFlight = true;
+        return true;
+    }
+
+    /**
+     * Record a successful call and its latency
+     */
+    public recordSuccess(latencyMs: number, now: number = Date.now()): void {
+        const slow = latencyMs > this.options.latencyThresholdMs;
+        this.successes++;
+        if (slow) {
+            this.slowCalls++;
+        }
+
+        if (this.state === 'half_open') {
+            this.probeInFlight = false;
+            if (slow) {
+                this.trip(`probe latency ${latencyMs}ms over ${this.options.latencyThresholdMs}ms`, now);
+            } else {
+                this.close();
+            }
+            return;
+        }
+
+        this.pushOutcome({ failed: false, slow, latencyMs }, now);
+    }
+
+    /**
+     * Record a failed call
+     */
+    public recordFailure(error: unknown, latencyMs: number = 0, now: number = Date.now()): void {
+        this.failures++;
+        this.lastError = error instanceof Error ? error.message : String(error);
+
+        if (this.state === 'half_open') {
+            this.probeInFlight = false;
+            this.trip(`probe failed: ${this.lastError}`, now);
+            return;
+        }
+
+        this.pushOutcome({ failed: true, slow: false, latencyMs }, now);
+    }
+
+    /**
+     * Get current state
+     */
+    public getState(): CircuitState {
+        return this.state;
+    }
+
+    /**
+     * Get a status snapshot
+     */
+    public getStatus(): CircuitBreakerStatus {
+        const total = this.window.length;
+        const failed = this.window.filter(outcome => outcome.failed).length;
+        const latencies = this.window.filter(outcome => !outcome.failed).map(outcome => outcome.latencyMs);
+
+        return {
+            state: this.state,
+            tripCount: this.tripCount,
+            successes: this.successes,
+            failures: this.failures,
+            slowCalls: this.slowCalls,
+            errorRate: total > 0 ? failed / total : 0,
+            avgLatencyMs: latencies.length > 0
+                ? Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length)
+                : 0,
+            lastTripReason: this.lastTripReason,
+            lastError: this.lastError,
+            openedAt: this.openedAt
+        };
+    }
+
+    /**
+     * Force the breaker closed (admin/testing)
+     */
+    public reset(): void {
+        this.close();
+    }
+
+    /**
+     * Add an outcome to the rolling window and trip if thresholds are exceeded
+     */
+    private pushOutcome(outcome: CallOutcome, now: number): void {
+        this.window.push(outcome);
+        if (this.window.length > this.options.windowSize) {
+            this.window.splice(0, this.window.length - this.options.windowSize);
+        }
+
+        const total = this.window.length;
+        if (total < this.options.minimumRequests) {
+            return;
+        }
+
+        const errorRate = this.window.filter(o => o.failed).length / total;
+        const slowRate = this.window.filter(o => o.slow).length / total;
+
+        if (errorRate >= this.options.errorRateThreshold) {
+            this.trip(`error rate ${Math.round(errorRate * 100)}% over last ${total} calls`, now);
+        } else if (slowRate >= this.options.slowCallRateThreshold) {
+            this.trip(`${Math.round(slowRate * 100)}% of last ${total} calls slower than ${this.options.latencyThresholdMs}ms`, now);
+        }
+    }
+
+    /**
+     * Open the circuit
+     */
+    private trip(reason: string, now: number): void {
+        this.state = 'open';
+        this.openedAt = now;
+        this.tripCount++;
+        this.lastTripReason = reason;
+        this.window = [];
+        console.warn(`⚡ Circuit breaker tripped: ${reason}`);
+    }
+
+    /**
+     * Close the circuit and start with a clean window
+     */
+    private close(): void {
+        this.state = 'closed';
+        this.openedAt = undefined;
+        this.probeInFlight = false;
+        this.window = [];
+    }
+}
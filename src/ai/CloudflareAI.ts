@@ -1,4 +1,5 @@
-import { AIResponse, ConversationContext } from '../types';
+import { AIResponse, ChatMessage, CompletionOptions } from '../types';
+import { BaseAIProvider } from './BaseAIProvider';
 
 /**
  * Cloudflare AI API response interface
@@ -25,70 +26,46 @@ interface ModelInfo {
     tags?: string[];
 }
 
-/**
- * Request retry configuration
- */
-interface RetryConfig {
-    maxRetries: number;
-    baseDelay: number;
-    maxDelay: number;
-}
-
 /**
  * Cloudflare AI service for generating responses with comprehensive error handling
  */
-export class CloudflareAI {
+export class CloudflareAI extends BaseAIProvider {
+    public readonly name = 'cloudflare';
     private apiToken: string;
     private accountId: string;
     private baseUrl: string;
-    private currentModel: string;
-    private retryConfig: RetryConfig;
     private gatewayUrl?: string;
 
     constructor(
         apiToken: string,
         accountId: string,
         gatewayUrl?: string,
-        initialModel: string = '@cf/meta/llama-3.2-1b-instruct'
+        initialModel: string = '@cf/meta/llama-3.2-1b-instruct',
+        maxRetries: number = 3,
+        timeoutMs?: number
     ) {
+        super(initialModel, maxRetries, timeoutMs);
         this.apiToken = apiToken;
         this.accountId = accountId;
-        this.currentModel = initialModel;
         this.gatewayUrl = gatewayUrl;
         this.baseUrl = gatewayUrl || `https://api.cloudflare.com/client/v4/accounts/${accountId}/ai/run`;
-        this.retryConfig = {
-            maxRetries: 3,
-            baseDelay: 1000,
-            maxDelay: 10000
-        };
     }
 
     /**
-     * Generate AI response using Cloudflare Workers AI with context support
+     * Send a chat completion request to Cloudflare Workers AI
      */
-    public async generateResponse(
-        prompt: string,
-        context?: ConversationContext,
-        model?: string,
-        maxTokens: number = 500
-    ): Promise<AIResponse> {
-        const targetModel = model || this.currentModel;
-
-        try {
-            const messages = this.buildMessages(prompt, context);
-            const response = await this.makeRequest(targetModel, {
-                messages,
-                max_tokens: maxTokens,
-                temperature: 0.7,
-                stream: false
-            });
-
-            return this.parseResponse(response, targetModel);
+    public async complete(messages: ChatMessage[], options: CompletionOptions = {}): Promise<AIResponse> {
+        const targetModel = options.model || this.currentModel;
+        const response = await this.makeRequest(targetModel, {
+            messages,
+            max_tokens: options.maxTokens ?? 500,
+            temperature: options.temperature ?? 0.7,
+            stream: false,
+            // JSON mode; models without it ignore the field and follow the prompt
+            ...(options.responseSchema ? { response_format: { type: 'json_schema', json_schema: options.responseSchema.schema } } : {})
+        });
 
-        } catch (error) {
-            console.error('Error generating response:', error);
-            throw new Error(`Failed to generate AI response: ${error instanceof Error ? error.message : 'Unknown error'}`);
-        }
+        return this.parseResponse(response, targetModel);
     }
 
     /**
@@ -216,13 +193,6 @@ export class CloudflareAI {
         }
     }
 
-    /**
-     * Get current model name
-     */
-    public getCurrentModel(): string {
-        return this.currentModel;
-    }
-
     /**
      * Validate configuration
      */
@@ -230,128 +200,25 @@ export class CloudflareAI {
         return !!(this.apiToken && this.accountId);
     }
 
-    /**
-     * Build messages array for the AI request
-     */
-    private buildMessages(prompt: string, context?: ConversationContext): Array<{role: string, content: string}> {
-        const messages = [
-            {
-                role: 'system',
-                content: this.getSystemPrompt(context)
-            }
-        ];
-
-        // Add context messages if available
-        if (context?.recentMessages) {
-            const contextMessages = context.recentMessages
-                .slice(-5) // Last 5 messages for context
-                .filter(msg => msg.from !== 'bot')
-                .map(msg => ({
-                    role: 'user',
-                    content: `${this.getSenderName(msg)}: ${msg.body}`
-                }));
-
-            messages.push(...contextMessages);
-        }
-
-        // Add the current prompt
-        messages.push({
-            role: 'user',
-            content: prompt
-        });
-
-        return messages;
-    }
-
-    /**
-     * Get system prompt based on context
-     */
-    private getSystemPrompt(context?: ConversationContext): string {
-        const basePrompt = `You are Gilad's professional personal assistant. You respond to WhatsApp messages in a helpful, concise, and contextually appropriate manner.
-
-Key characteristics:
-- Professional yet friendly tone
-- Concise responses (keep under 200 words)
-- Context-aware based on conversation flow
-- Represent Gilad professionally
-- Avoid mentioning you're an AI unless directly asked
-- Use natural, conversational language
-
-Response guidelines:
-- For business inquiries: Be professional and helpful
-- For personal conversations: Be friendly but maintain boundaries
-- For group chats: Be mindful of the group dynamic
-- Always prioritize being helpful while staying appropriate`;
-
-        if (context?.participantCount && context.participantCount > 2) {
-            return basePrompt + '\n- This is a group chat, be mindful of multiple participants';
-        }
-
-        return basePrompt;
-    }
-
-    /**
-     * Get sender name from message (simplified version)
-     */
-    private getSenderName(message: any): string {
-        if (message.author) {
-            return message.author.split('@')[0] || 'User';
-        }
-        return message.from?.split('@')[0] || 'User';
-    }
-
     /**
      * Make request to Cloudflare AI with retry logic
      */
     private async makeRequest(model: string, payload: any): Promise<CloudflareAIResponse> {
-        let lastError: Error | null = null;
-
-        for (let attempt = 0; attempt <= this.retryConfig.maxRetries; attempt++) {
-            try {
-                const response = await fetch(`${this.baseUrl}/${model}`, {
-                    method: 'POST',
-                    headers: this.getHeaders(),
-                    body: JSON.stringify(payload)
-                });
-
-                if (!response.ok) {
-                    const errorText = await response.text();
-                    throw new Error(`Cloudflare AI API error: ${response.status} ${response.statusText} - ${errorText}`);
-                }
+        const data = await this.postJson<CloudflareAIResponse>(`${this.baseUrl}/${model}`, payload, this.getHeaders());
 
-                const data = await response.json() as CloudflareAIResponse;
-
-                if (!data.success && data.errors) {
-                    throw new Error(`API error: ${data.errors.map(e => e.message).join(', ')}`);
-                }
-
-                return data;
-
-            } catch (error) {
-                lastError = error instanceof Error ? error : new Error('Unknown error');
-
-                if (attempt < this.retryConfig.maxRetries) {
-                    const delay = Math.min(
-                        this.retryConfig.baseDelay * Math.pow(2, attempt),
-                        this.retryConfig.maxDelay
-                    );
-
-                    console.warn(`Request attempt ${attempt + 1} failed, retrying in ${delay}ms:`, error);
-                    await this.sleep(delay);
-                } else {
-                    console.error(`All ${this.retryConfig.maxRetries + 1} attempts failed`);
-                }
-            }
+        if (!data.success && data.errors) {
+            throw new Error(`API error: ${data.errors.map(e => e.message).join(', ')}`);
         }
 
-        throw lastError || new Error('Request failed after all retries');
+        return data;
     }
 
     /**
      * Parse Cloudflare AI response
      */
     private parseResponse(data: CloudflareAIResponse, model: string): AIResponse {
-        const content = data.result?.response ||
+        const result = data.result?.response;
+        const content = (typeof result === 'object' && result !== null ? JSON.stringify(result) : result) ||
                       data.result?.generated_text ||
                       'Sorry, I could not generate a response.';
 
@@ -374,13 +241,6 @@ Response guidelines:
         };
     }
 
-    /**
-     * Sleep utility for retries
-     */
-    private sleep(ms: number): Promise<void> {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
-
     /**
      * Check rate limiting status
      */
@@ -0,0 +1,163 @@
+import { Embedder, RetrievalConfig } from '../types';
+
+/**
+ * Deterministic feature-hashing embedder. Needs no model, so it works offline and in tests;
+ * it matches shared words rather than meaning.
+ */
+export class HashEmbedder implements Embedder {
+    public readonly name = 'hash';
+    public readonly model: string;
+    private dimensions: number;
+
+    constructor(dimensions: number = 256) {
+        this.dimensions = dimensions;
+        this.model = `hash-${dimensions}`;
+    }
+
+    public async embed(texts: string[]): Promise<number[][]> {
+        return texts.map(text => this.embedText(text));
+    }
+
+    /**
+     * Hash each word into a signed bucket and normalize to unit length
+     */
+    private embedText(text: string): number[] {
+        const vector = new Array<number>(this.dimensions).fill(0);
+        const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+        for (const word of words) {
+            const hash = fnv1a(word);
+            vector[hash % this.dimensions] += (hash & 0x80000000) ? -1 : 1;
+        }
+
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+        return norm > 0 ? vector.map(value => value / norm) : vector;
+    }
+}
+
+/**
+ * Local embeddings through Ollama's `/api/embed`
+ */
+export class OllamaEmbedder implements Embedder {
+    public readonly name = 'ollama';
+    public readonly model: string;
+    private baseUrl: string;
+    private timeoutMs: number;
+
+    constructor(baseUrl: string = 'http://127.0.0.1:11434', model: string = 'nomic-embed-text', timeoutMs: number = 30000) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.model = model;
+        this.timeoutMs = timeoutMs;
+    }
+
+    public async embed(texts: string[]): Promise<number[][]> {
+        const data = await postJson<{ embeddings?: number[][] }>(`${this.baseUrl}/api/embed`, {
+            model: this.model,
+            input: texts
+        }, {}, this.name, this.timeoutMs);
+
+        if (!data.embeddings || data.embeddings.length !== texts.length) {
+            throw new Error(`${this.name} returned ${data.embeddings?.length ?? 0} embeddings for ${texts.length} texts`);
+        }
+        return data.embeddings;
+    }
+}
+
+/**
+ * Embeddings through an OpenAI-compatible `/embeddings` endpoint (OpenAI, llama.cpp server, LM Studio, vLLM)
+ */
+export class OpenAIEmbedder implements Embedder {
+    public readonly name = 'openai';
+    public readonly model: string;
+    private apiKey: string;
+    private baseUrl: string;
+    private timeoutMs: number;
+
+    constructor(apiKey: string, baseUrl: string = 'https://api.openai.com/v1', model: string = 'text-embedding-3-small', timeoutMs: number = 30000) {
+        this.apiKey = apiKey;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.model = model;
+        this.timeoutMs = timeoutMs;
+    }
+
+    public async embed(texts: string[]): Promise<number[][]> {
+        const data = await postJson<{ data?: Array<{ embedding: number[]; index: number }> }>(`${this.baseUrl}/embeddings`, {
+            model: this.model,
+            input: texts
+        }, this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {}, this.name, this.timeoutMs);
+
+        const embeddings = (data.data || []).sort((a, b) => a.index - b.index).map(entry => entry.embedding);
+        if (embeddings.length !== texts.length) {
+            throw new Error(`${this.name} returned ${embeddings.length} embeddings for ${texts.length} texts`);
+        }
+        return embeddings;
+    }
+}
+
+/**
+ * Create the embedder selected by EMBEDDING_PROVIDER, if any
+ */
+export function createEmbedder(retrievalConfig: RetrievalConfig): Embedder | undefined {
+    switch (retrievalConfig.provider) {
+        case 'none':
+            return undefined;
+        case 'hash':
+            return new HashEmbedder();
+        case 'ollama':
+            return new OllamaEmbedder(retrievalConfig.baseUrl || undefined, retrievalConfig.model, retrievalConfig.timeoutMs);
+        case 'openai':
+            return new OpenAIEmbedder(retrievalConfig.apiKey, retrievalConfig.baseUrl || undefined, retrievalConfig.model, retrievalConfig.timeoutMs);
+        default:
+            throw new Error(`Unsupported embedding provider: ${retrievalConfig.provider}`);
+    }
+}
+
+/**
+ * Cosine similarity of two vectors; 0 when their dimensions differ
+ */
+export function cosineSimilarity(a: ArrayLike<number>, b: ArrayLike<number>): number {
+    if (a.length !== b.length) {
+        return 0;
+    }
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * POST a JSON payload and parse the JSON response
+ */
+async function postJson<T>(url: string, payload: any, headers: Record<string, string>, name: string, timeoutMs: number): Promise<T> {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`${name} embedding API error: ${response.status} ${response.statusText} - ${errorText}`);
+    }
+
+    return await response.json() as T;
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function fnv1a(text: string): number {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
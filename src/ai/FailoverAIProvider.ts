@@ -0,0 +1,169 @@
+import {
+    AIProvider,
+    AIResponse,
+    ChatMessage,
+    CircuitBreakerOptions,
+    CompletionOptions,
+    ConversationContext,
+    ProviderChainStatus
+} from '../types';
+import { CircuitBreaker } from './CircuitBreaker';
+
+/**
+ * A provider in the failover chain together with its breaker
+ */
+interface ChainEntry {
+    id: string;
+    provider: AIProvider;
+    breaker: CircuitBreaker;
+}
+
+/**
+ * Routes generation through an ordered list of providers. Each provider sits
+ * behind its own circuit breaker; a tripped breaker sends traffic to the next
+ * provider until a half-open probe succeeds.
+ */
+export class FailoverAIProvider implements AIProvider {
+    public readonly name = 'failover';
+    private entries: ChainEntry[];
+    private activeId: string | null = null;
+
+    constructor(providers: AIProvider[], breakerOptions: CircuitBreakerOptions) {
+        if (providers.length === 0) {
+            throw new Error('FailoverAIProvider requires at least one provider');
+        }
+
+        // Entries with the same provider and model (e.g. two OpenAI-compatible endpoints) get their chain position
+        const keys = providers.map(provider => `${provider.name}:${provider.getCurrentModel()}`);
+        this.entries = providers.map((provider, index) => ({
+            id: keys.indexOf(keys[index]) === keys.lastIndexOf(keys[index]) ? keys[index] : `${keys[index]}#${index + 1}`,
+            provider,
+            breaker: new CircuitBreaker(breakerOptions)
+        }));
+    }
+
+    /**
+     * Generate a response with the first available provider. The model argument is
+     * ignored because every provider in the chain has its own model.
+     */
+    public async generateResponse(
+        prompt: string,
+        context?: ConversationContext,
+        _model?: string,
+        maxTokens?: number
+    ): Promise<AIResponse> {
+        return this.run(entry => entry.provider.generateResponse(prompt, context, undefined, maxTokens));
+    }
+
+    /**
+     * Raw completion with the first available provider
+     */
+    public async complete(messages: ChatMessage[], options: CompletionOptions = {}): Promise<AIResponse> {
+        const { model, ...rest } = options;
+        return this.run(entry => entry.provider.complete(messages, rest));
+    }
+
+    /**
+     * Healthy when at least one provider with a non-open breaker answers
+     */
+    public async isHealthy(): Promise<boolean> {
+        for (const entry of this.entries) {
+            if (entry.breaker.getState() === 'open') {
+                continue;
+            }
+            try {
+                if (await entry.provider.isHealthy()) {
+                    return true;
+                }
+            } catch (error) {
+                console.error(`Health check failed for ${entry.id}:`, error);
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Model of the provider that served the last request (or the primary)
+     */
+    public getCurrentModel(): string {
+        return this.getActiveEntry().provider.getCurrentModel();
+    }
+
+    /**
+     * Valid when at least one provider is configured correctly
+     */
+    public validateConfig(): boolean {
+        return this.entries.some(entry => entry.provider.validateConfig());
+    }
+
+    /**
+     * Rate limit of the active provider, when it reports one
+     */
+    public async checkRateLimit(): Promise<{ remaining: number; resetTime: number } | null> {
+        const provider = this.getActiveEntry().provider;
+        return provider.checkRateLimit ? provider.checkRateLimit() : null;
+    }
+
+    /**
+     * Breaker state, trip counts and the active provider for metrics
+     */
+    public getChainStatus(): ProviderChainStatus {
+        return {
+            activeProvider: this.activeId,
+            providers: this.entries.map(entry => ({
+                id: entry.id,
+                provider: entry.provider.name,
+                model: entry.provider.getCurrentModel(),
+                ...entry.breaker.getStatus()
+            }))
+        };
+    }
+
+    /**
+     * Get the underlying providers in chain order
+     */
+    public getProviders(): AIProvider[] {
+        return this.entries.map(entry => entry.provider);
+    }
+
+    /**
+     * Try each provider in order, skipping those whose breaker is open
+     */
+    private async run(call: (entry: ChainEntry) => Promise<AIResponse>): Promise<AIResponse> {
+        const errors: string[] = [];
+
+        for (const entry of this.entries) {
+            if (!entry.breaker.canRequest()) {
+                errors.push(`${entry.id}: circuit open`);
+                continue;
+            }
+
+            const startTime = Date.now();
+            try {
+                const response = await call(entry);
+                entry.breaker.recordSuccess(Date.now() - startTime);
+
+                if (this.activeId !== entry.id) {
+                    console.log(`🔀 AI provider switched to ${entry.id}`);
+                    this.activeId = entry.id;
+                }
+
+                return response;
+            } catch (error) {
+                entry.breaker.recordFailure(error, Date.now() - startTime);
+                const message = error instanceof Error ? error.message : 'Unknown error';
+                errors.push(`${entry.id}: ${message}`);
+                console.warn(`AI provider ${entry.id} failed, trying next provider:`, message);
+            }
+        }
+
+        throw new Error(`All AI providers failed: ${errors.join('; ')}`);
+    }
+
+    /**
+     * Entry that served the last request, falling back to the primary
+     */
+    private getActiveEntry(): ChainEntry {
+        return this.entries.find(entry => entry.id === this.activeId) || this.entries[0];
+    }
+}
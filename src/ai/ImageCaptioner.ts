@@ -0,0 +1,151 @@
+import { AIServiceConfig, ImageCaptioner, MediaAttachment } from '../types';
+
+const CAPTION_PROMPT = 'Describe this image in one or two sentences for someone who cannot see it. ' +
+    'Transcribe any important visible text. Reply with the description only.';
+
+/**
+ * Shared request handling for vision models. Captions are best effort, so there are no retries.
+ */
+abstract class BaseImageCaptioner implements ImageCaptioner {
+    public abstract readonly name: string;
+    protected model: string;
+    protected timeoutMs: number;
+
+    constructor(model: string, timeoutMs: number) {
+        this.model = model;
+        this.timeoutMs = timeoutMs;
+    }
+
+    public abstract describe(media: MediaAttachment): Promise<string>;
+
+    /**
+     * POST a JSON payload and parse the JSON response
+     */
+    protected async postJson<T>(url: string, payload: any, headers: Record<string, string>): Promise<T> {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(payload),
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`${this.name} vision API error: ${response.status} ${response.statusText} - ${errorText}`);
+        }
+
+        return await response.json() as T;
+    }
+}
+
+/**
+ * Vision through an OpenAI-compatible `/chat/completions` endpoint (image sent as a data URL)
+ */
+export class OpenAIImageCaptioner extends BaseImageCaptioner {
+    public readonly name = 'openai';
+    private apiKey: string;
+    private baseUrl: string;
+
+    constructor(apiKey: string, baseUrl: string = 'https://api.openai.com/v1', model: string = 'gpt-4o-mini', timeoutMs: number = 60000) {
+        super(model, timeoutMs);
+        this.apiKey = apiKey;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+    }
+
+    public async describe(media: MediaAttachment): Promise<string> {
+        const data = await this.postJson<{ choices?: Array<{ message?: { content?: string | null } }> }>(`${this.baseUrl}/chat/completions`, {
+            model: this.model,
+            max_tokens: 200,
+            messages: [{
+                role: 'user',
+                content: [
+                    { type: 'text', text: CAPTION_PROMPT },
+                    { type: 'image_url', image_url: { url: `data:${media.mimetype};base64,${media.data.toString('base64')}` } }
+                ]
+            }]
+        }, this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {});
+
+        return (data.choices?.[0]?.message?.content || '').trim();
+    }
+}
+
+/**
+ * Vision through the Anthropic Messages API
+ */
+export class AnthropicImageCaptioner extends BaseImageCaptioner {
+    public readonly name = 'anthropic';
+    private apiKey: string;
+    private baseUrl: string;
+
+    constructor(apiKey: string, baseUrl: string = 'https://api.anthropic.com', model: string = 'claude-3-5-haiku-latest', timeoutMs: number = 60000) {
+        super(model, timeoutMs);
+        this.apiKey = apiKey;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+    }
+
+    public async describe(media: MediaAttachment): Promise<string> {
+        const data = await this.postJson<{ content?: Array<{ type: string; text?: string }> }>(`${this.baseUrl}/v1/messages`, {
+            model: this.model,
+            max_tokens: 200,
+            messages: [{
+                role: 'user',
+                content: [
+                    { type: 'image', source: { type: 'base64', media_type: media.mimetype, data: media.data.toString('base64') } },
+                    { type: 'text', text: CAPTION_PROMPT }
+                ]
+            }]
+        }, {
+            'x-api-key': this.apiKey,
+            'anthropic-version': '2023-06-01'
+        });
+
+        return (data.content || [])
+            .filter(block => block.type === 'text' && block.text)
+            .map(block => block.text)
+            .join('\n')
+            .trim();
+    }
+}
+
+/**
+ * Vision through a local Ollama model such as llava
+ */
+export class OllamaImageCaptioner extends BaseImageCaptioner {
+    public readonly name = 'ollama';
+    private baseUrl: string;
+
+    constructor(baseUrl: string = 'http://localhost:11434', model: string = 'llava', timeoutMs: number = 60000) {
+        super(model, timeoutMs);
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+    }
+
+    public async describe(media: MediaAttachment): Promise<string> {
+        const data = await this.postJson<{ message?: { content?: string } }>(`${this.baseUrl}/api/chat`, {
+            model: this.model,
+            stream: false,
+            messages: [{ role: 'user', content: CAPTION_PROMPT, images: [media.data.toString('base64')] }]
+        }, {});
+
+        return (data.message?.content || '').trim();
+    }
+}
+
+/**
+ * Create the image captioner selected by VISION_PROVIDER, if any
+ */
+export function createImageCaptioner(visionConfig: AIServiceConfig | undefined, timeoutMs: number): ImageCaptioner | undefined {
+    if (!visionConfig) {
+        return undefined;
+    }
+
+    switch (visionConfig.provider) {
+        case 'openai':
+            return new OpenAIImageCaptioner(visionConfig.apiKey, visionConfig.baseUrl || undefined, visionConfig.model, timeoutMs);
+        case 'anthropic':
+            return new AnthropicImageCaptioner(visionConfig.apiKey, visionConfig.baseUrl || undefined, visionConfig.model, timeoutMs);
+        case 'ollama':
+            return new OllamaImageCaptioner(visionConfig.baseUrl || undefined, visionConfig.model, timeoutMs);
+        default:
+            throw new Error(`Unsupported vision provider: ${visionConfig.provider}`);
+    }
+}
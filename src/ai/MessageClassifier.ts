@@ -0,0 +1,182 @@
+import { AIProvider, ClassificationConfig, MessageAnalysis, OwnerProfile, ResponseSchema } from '../types';
+import { config } from '../config/environment';
+import { detectLanguage } from '../utils/language';
+import { analyzeKeywords } from '../utils/messageAnalysis';
+import { isMeetingRequest } from '../utils/meetingSlots';
+import { getPronounForms } from '../utils/owner';
+
+const MAX_INPUT_LENGTH = 2000;
+const MAX_TOPICS = 5;
+
+const classificationInstructions = (owner: OwnerProfile): string => `You classify WhatsApp messages sent to ${owner.name} so ${getPronounForms(owner.pronouns).possessive} assistant can decide whether and how to reply.
+Reply with a JSON object only, no other text:
+{"sentiment": "positive" | "negative" | "neutral", "urgency": "low" | "medium" | "high", "category": "business" | "personal" | "support" | "social" | "other", "keyTopics": ["short_snake_case_topics"], "requiresResponse": true | false, "confidence": 0.0-1.0}
+Urgency is high only for emergencies, deadlines today or an explicit request for an immediate answer; questions and requests are medium.
+requiresResponse is true when the sender asks something, requests something or waits for an answer.
+Include "meeting_request" in keyTopics when the sender wants to set up a meeting or call. The message can be in any language.`;
+
+const ANALYSIS_SCHEMA: ResponseSchema = {
+    name: 'message_analysis',
+    schema: {
+        type: 'object',
+        properties: {
+            sentiment: { type: 'string', enum: ['positive', 'negative', 'neutral'] },
+            urgency: { type: 'string', enum: ['low', 'medium', 'high'] },
+            category: { type: 'string', enum: ['business', 'personal', 'support', 'social', 'other'] },
+            keyTopics: { type: 'array', items: { type: 'string' } },
+            requiresResponse: { type: 'boolean' },
+            confidence: { type: 'number' }
+        },
+        required: ['sentiment', 'urgency', 'category', 'keyTopics', 'requiresResponse', 'confidence'],
+        additionalProperties: false
+    }
+};
+
+/**
+ * Classifies incoming messages with the model: urgency, category, sentiment, topics and whether
+ * an answer is expected. Results are cached by text, and the keyword rules stand in whenever the
+ * model is disabled, unavailable or answers with something that is not a valid classification.
+ */
+export class MessageClassifier {
+    private aiProvider?: AIProvider;
+    private options: ClassificationConfig;
+    private instructions: string;
+    private cache: Map<string, { analysis: MessageAnalysis; expiresAt: number }> = new Map();
+    private running: Map<string, Promise<MessageAnalysis>> = new Map();
+
+    constructor(aiProvider?: AIProvider, options: ClassificationConfig = config.classification, owner: OwnerProfile = config.owner) {
+        this.aiProvider = aiProvider;
+        this.options = options;
+        this.instructions = classificationInstructions(owner);
+    }
+
+    /**
+     * Classify a message; never rejects
+     */
+    public async classify(text: string): Promise<MessageAnalysis> {
+        const input = text.trim().slice(0, MAX_INPUT_LENGTH);
+        if (!input || !this.aiProvider || !this.options.enabled) {
+            return analyzeKeywords(text);
+        }
+
+        const cached = this.cache.get(input);
+        if (cached && cached.expiresAt > Date.now()) {
+            // Re-inserted so the map stays ordered from least to most recently used
+            this.cache.delete(input);
+            this.cache.set(input, cached);
+            return { ...cached.analysis, keyTopics: [...cached.analysis.keyTopics] };
+        }
+
+        // The same text is often classified twice in a row (escalation check, then the reply decision)
+        const running = this.running.get(input);
+        if (running) {
+            return running;
+        }
+
+        const classification = this.requestClassification(input).finally(() => this.running.delete(input));
+        this.running.set(input, classification);
+        return classification;
+    }
+
+    /**
+     * Number of cached classifications
+     */
+    public getCacheSize(): number {
+        return this.cache.size;
+    }
+
+    /**
+     * Forget all cached classifications
+     */
+    public clearCache(): void {
+        this.cache.clear();
+    }
+
+    private async requestClassification(input: string): Promise<MessageAnalysis> {
+        try {
+            const response = await this.aiProvider!.complete([
+                { role: 'system', content: this.instructions },
+                { role: 'user', content: input }
+            ], {
+                maxTokens: 200,
+                temperature: 0,
+                responseSchema: ANALYSIS_SCHEMA
+            });
+
+            const analysis = this.parseAnalysis(response.content, input);
+            if (!analysis) {
+                console.warn('⚠️ Unusable message classification, using keyword rules');
+                return analyzeKeywords(input);
+            }
+
+            analysis.model = response.model;
+            this.remember(input, analysis);
+            return analysis;
+        } catch (error) {
+            console.error('❌ Message classification failed, using keyword rules:', error instanceof Error ? error.message : error);
+            return analyzeKeywords(input);
+        }
+    }
+
+    /**
+     * Read the model's JSON answer; null if it is not a valid classification
+     */
+    private parseAnalysis(text: string, input: string): MessageAnalysis | null {
+        const start = text.indexOf('{');
+        const end = text.lastIndexOf('}');
+        if (start === -1 || end <= start) {
+            return null;
+        }
+
+        try {
+            const parsed = JSON.parse(text.slice(start, end + 1));
+            if (!['positive', 'negative', 'neutral'].includes(parsed.sentiment)
+                || !['low', 'medium', 'high'].includes(parsed.urgency)
+                || !['business', 'personal', 'support', 'social', 'other'].includes(parsed.category)
+                || typeof parsed.requiresResponse !== 'boolean') {
+                return null;
+            }
+
+            const keyTopics: string[] = Array.isArray(parsed.keyTopics)
+                ? parsed.keyTopics
+                    .filter((topic: unknown) => typeof topic === 'string' && topic.trim())
+                    .map((topic: string) => topic.trim().toLowerCase().replace(/[\s-]+/g, '_'))
+                    .slice(0, MAX_TOPICS)
+                : [];
+            // The booking flow keys on this topic, so the pattern check backs up the model
+            if (!keyTopics.includes('meeting_request') && isMeetingRequest(input)) {
+                keyTopics.push('meeting_request');
+            }
+
+            return {
+                sentiment: parsed.sentiment,
+                urgency: parsed.urgency,
+                category: parsed.category,
+                keyTopics,
+                requiresResponse: parsed.requiresResponse,
+                confidence: typeof parsed.confidence === 'number' && isFinite(parsed.confidence)
+                    ? Math.min(Math.max(parsed.confidence, 0), 1)
+                    : 0.7,
+                source: 'model',
+                language: detectLanguage(input)
+            };
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Cache a classification, evicting the least recently used one when full
+     */
+    private remember(input: string, analysis: MessageAnalysis): void {
+        if (this.options.cacheSize <= 0 || this.options.cacheTtlMs <= 0) {
+            return;
+        }
+
+        this.cache.delete(input);
+        this.cache.set(input, { analysis: { ...analysis, keyTopics: [...analysis.keyTopics] }, expiresAt: Date.now() + this.options.cacheTtlMs });
+        while (this.cache.size > this.options.cacheSize) {
+            this.cache.delete(this.cache.keys().next().value!);
+        }
+    }
+}
@@ -0,0 +1,102 @@
+import { AIResponse, ChatMessage, CompletionOptions } from '../types';
+import { BaseAIProvider } from './BaseAIProvider';
+
+/**
+ * Ollama /api/chat response interface
+ */
+interface OllamaChatResponse {
+    model?: string;
+    message?: { role: string; content: string };
+    done?: boolean;
+    prompt_eval_count?: number;
+    eval_count?: number;
+}
+
+/**
+ * Provider for a local Ollama server. Nothing leaves the host, which makes this
+ * the privacy-preserving option. (llama.cpp's server speaks the OpenAI protocol,
+ * use OpenAICompatibleAI with its base URL instead.)
+ */
+export class OllamaAI extends BaseAIProvider {
+    public readonly name = 'ollama';
+    private baseUrl: string;
+
+    constructor(
+        baseUrl: string = 'http://127.0.0.1:11434',
+        initialModel: string = 'llama3.2',
+        maxRetries: number = 3,
+        timeoutMs: number = 120000
+    ) {
+        super(initialModel, maxRetries, timeoutMs);
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+    }
+
+    /**
+     * Send a chat request to the local model
+     */
+    public async complete(messages: ChatMessage[], options: CompletionOptions = {}): Promise<AIResponse> {
+        const targetModel = options.model || this.currentModel;
+        const data = await this.postJson<OllamaChatResponse>(`${this.baseUrl}/api/chat`, {
+            model: targetModel,
+            messages,
+            stream: false,
+            format: options.responseSchema?.schema, // Structured output
+            options: {
+                num_predict: options.maxTokens ?? 500,
+                temperature: options.temperature ?? 0.7
+            }
+        }, this.getHeaders());
+
+        const content = data.message?.content || 'Sorry, I could not generate a response.';
+
+        return {
+            content: content.trim(),
+            confidence: 0.7,
+            tokens_used: (data.prompt_eval_count || 0) + (data.eval_count || 0),
+            model: data.model || targetModel
+        };
+    }
+
+    /**
+     * Check that the server is up and the model has been pulled
+     */
+    public async isHealthy(): Promise<boolean> {
+        try {
+            const response = await fetch(`${this.baseUrl}/api/tags`, {
+                method: 'GET',
+                headers: this.getHeaders(),
+                signal: AbortSignal.timeout(this.timeoutMs)
+            });
+
+            if (!response.ok) {
+                return false;
+            }
+
+            const data = await response.json() as { models?: Array<{ name: string; model?: string }> };
+            const models = data.models || [];
+            return models.some(model =>
+                model.name === this.currentModel || model.name.split(':')[0] === this.currentModel
+            );
+        } catch (error) {
+            console.error('Ollama health check failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Validate configuration
+     */
+    public validateConfig(): boolean {
+        return !!this.baseUrl && !!this.currentModel;
+    }
+
+    /**
+     * Get request headers
+     */
+    private getHeaders(): Record<string, string> {
+        return {
+            'Content-Type': 'application/json',
+            'User-Agent': 'WhatsApp-LLM-PA/1.0.0'
+        };
+    }
+}
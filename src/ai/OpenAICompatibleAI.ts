@@ -0,0 +1,99 @@
+import { AIResponse, ChatMessage, CompletionOptions } from '../types';
+import { BaseAIProvider } from './BaseAIProvider';
+
+/**
+ * OpenAI chat completions response interface
+ */
+interface ChatCompletionResponse {
+    model?: string;
+    choices: Array<{
+        message?: { role: string; content: string | null };
+        finish_reason?: string;
+    }>;
+    usage?: {
+        prompt_tokens?: number;
+        completion_tokens?: number;
+        total_tokens?: number;
+    };
+}
+
+/**
+ * Provider for any OpenAI-compatible `/chat/completions` endpoint
+ * (OpenAI, Azure-style proxies, vLLM, LM Studio, llama.cpp server)
+ */
+export class OpenAICompatibleAI extends BaseAIProvider {
+    public readonly name = 'openai';
+    private apiKey: string;
+    private baseUrl: string;
+
+    constructor(
+        apiKey: string,
+        baseUrl: string = 'https://api.openai.com/v1',
+        initialModel: string = 'gpt-4o-mini',
+        maxRetries: number = 3,
+        timeoutMs?: number
+    ) {
+        super(initialModel, maxRetries, timeoutMs);
+        this.apiKey = apiKey;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+    }
+
+    /**
+     * Send a chat completion request
+     */
+    public async complete(messages: ChatMessage[], options: CompletionOptions = {}): Promise<AIResponse> {
+        const targetModel = options.model || this.currentModel;
+        const payload: Record<string, any> = {
+            model: targetModel,
+            messages,
+            max_tokens: options.maxTokens ?? 500,
+            temperature: options.temperature ?? 0.7,
+            stream: false
+        };
+        if (options.responseSchema) {
+            payload.response_format = {
+                type: 'json_schema',
+                json_schema: { name: options.responseSchema.name, schema: options.responseSchema.schema, strict: true }
+            };
+        }
+
+        const data = await this.postJson<ChatCompletionResponse>(`${this.baseUrl}/chat/completions`, payload, this.getHeaders());
+
+        const content = data.choices?.[0]?.message?.content || 'Sorry, I could not generate a response.';
+
+        return {
+            content: content.trim(),
+            confidence: 0.7,
+            tokens_used: data.usage?.total_tokens || 0,
+            model: data.model || targetModel
+        };
+    }
+
+    /**
+     * Check that the models endpoint answers
+     */
+    public async isHealthy(): Promise<boolean> {
+        return this.probe(`${this.baseUrl}/models`, this.getHeaders());
+    }
+
+    /**
+     * Validate configuration. A key is optional for self-hosted endpoints.
+     */
+    public validateConfig(): boolean {
+        return !!this.baseUrl && (!!this.apiKey || !this.baseUrl.includes('api.openai.com'));
+    }
+
+    /**
+     * Get request headers
+     */
+    private getHeaders(): Record<string, string> {
+        const headers: Record<string, string> = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'WhatsApp-LLM-PA/1.0.0'
+        };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+        return headers;
+    }
+}
@@ -1,6 +1,21 @@
-import { CloudflareAI } from './CloudflareAI';
-import { ConversationContext, AIResponse, WhatsAppMessage } from '../types';
+import { AIProvider, ConversationContext, AIResponse, WhatsAppMessage, MessageType, Language, OwnerProfile, PromptTemplate, PromptTemplateName } from '../types';
 import { config } from '../config/environment';
+import { AvailabilityService } from '../services/AvailabilityService';
+import { MemoryService } from '../services/MemoryService';
+import { RetrievalService } from '../services/RetrievalService';
+import { KnowledgeBaseService } from '../services/KnowledgeBaseService';
+import { PersonaService } from '../services/PersonaService';
+import { PromptTemplateService } from '../services/PromptTemplateService';
+import { MessageClassifier } from './MessageClassifier';
+import { describeAvailability, formatTimeOfDay, formatZonedTime } from '../utils/businessHours';
+import { asksAboutAvailability, findRequestedDates } from '../utils/dateMentions';
+import { detectConversationLanguage, getLanguageName, getLocale, makeBidiSafe, truncateText } from '../utils/language';
+import { formatMessageForPrompt } from '../utils/messageContent';
+import { describeBooking, formatSlot, formatSlotList } from '../utils/meetingSlots';
+import { analyzeKeywords } from '../utils/messageAnalysis';
+import { applyEmojiPolicy, isFormalTone } from '../utils/personas';
+import { DEFAULT_TEMPLATES, ownerVariables, renderTemplate, systemPromptVariables, templateTag } from '../utils/promptTemplates';
+import { getReplyStrings } from '../utils/replyStrings';
 
 /**
  * Secretary response context interface
@@ -24,59 +39,82 @@ interface FilterResult {
  * Generates contextual secretary-style responses using AI
  */
 export class ResponseGenerator {
-    private cloudflareAI: CloudflareAI;
-    private conversationMemory: Map<string, Array<{role: string, content: string, timestamp: number}>> = new Map();
-
-    constructor(cloudflareAI: CloudflareAI) {
-        this.cloudflareAI = cloudflareAI;
+    private aiProvider: AIProvider;
+    private availabilityService?: AvailabilityService;
+    private memoryService?: MemoryService;
+    private retrievalService?: RetrievalService;
+    private knowledgeBase?: KnowledgeBaseService;
+    private messageClassifier?: MessageClassifier;
+    private personaService?: PersonaService;
+    private promptTemplates?: PromptTemplateService;
+
+    constructor(
+        aiProvider: AIProvider,
+        availabilityService?: AvailabilityService,
+        memoryService?: MemoryService,
+        retrievalService?: RetrievalService,
+        knowledgeBase?: KnowledgeBaseService,
+        messageClassifier?: MessageClassifier,
+        personaService?: PersonaService,
+        promptTemplates?: PromptTemplateService
+    ) {
+        this.aiProvider = aiProvider;
+        this.availabilityService = availabilityService;
+        this.memoryService = memoryService;
+        this.retrievalService = retrievalService;
+        this.knowledgeBase = knowledgeBase;
+        this.messageClassifier = messageClassifier;
+        this.personaService = personaService;
+        this.promptTemplates = promptTemplates;
     }
 
     /**
      * Generate a professional secretary-style response
      */
     public async generateSecretaryResponse(context: ConversationContext): Promise<AIResponse> {
+        context = await this.withKnowledge(await this.withRelatedMessages(this.withMemory(this.withAvailability(this.withPersona(this.withLanguage(context))))));
+
         try {
             // Enhance context with secretary-specific information
-            const secretaryContext = this.analyzeSecretaryContext(context);
+            const secretaryContext = await this.analyzeSecretaryContext(context);
 
-            // Build a specialized prompt for secretary responses
-            const prompt = this.buildSecretaryPrompt(secretaryContext);
+            // Build a specialized prompt for secretary responses from the current templates
+            const secretaryTemplate = this.getTemplate('secretary', context.language);
+            const systemTemplate = this.getTemplate('system', context.language);
+            const prompt = this.buildSecretaryPrompt(secretaryContext, secretaryTemplate);
+            const promptVersion = [secretaryTemplate, systemTemplate].map(templateTag).join('+');
 
             // Generate response using enhanced context
-            const response = await this.cloudflareAI.generateResponse(
+            const response = await this.aiProvider.generateResponse(
                 prompt,
-                secretaryContext,
-                config.cloudflare.model,
-                config.cloudflare.maxTokens
+                { ...secretaryContext, systemPrompt: renderTemplate(systemTemplate, systemPromptVariables(this.getOwner(context), secretaryContext)) },
+                this.aiProvider.getCurrentModel(),
+                config.ai.maxTokens
             );
 
             // Process and filter the response
-            const processedResponse = this.postProcessResponse(response);
-            const filteredResponse = this.filterResponse(processedResponse);
+            const processedResponse = this.postProcessResponse(response, context);
+            const filteredResponse = this.filterResponse(processedResponse, context.language, context.personaProfile?.maxLength);
 
             if (!filteredResponse.isAppropriate) {
                 return {
-                    content: filteredResponse.suggestedResponse || this.getFallbackResponse(secretaryContext),
+                    content: filteredResponse.suggestedResponse || this.getFallbackResponse(secretaryContext).content,
                     confidence: 0.5,
                     tokens_used: 0,
-                    model: 'filtered'
+                    model: 'filtered',
+                    promptVersion
                 };
             }
 
             // Add secretary personality touches
-            const finalResponse = this.addSecretaryPersonality(processedResponse, secretaryContext);
-
-            // Store conversation context for future reference
-            this.updateConversationMemory(context.chatId, prompt, finalResponse.content);
-
-            return finalResponse;
+            return { ...this.addSecretaryPersonality(processedResponse, secretaryContext), promptVersion };
 
         } catch (error) {
             console.error('Error generating secretary response:', error);
 
             // Return professional fallback response
             return {
-                content: this.getFallbackResponse(context),
+                ...this.getFallbackResponse(context),
                 confidence: 0.1,
                 tokens_used: 0,
                 model: 'fallback'
@@ -88,23 +126,26 @@ export class ResponseGenerator {
      * Generate a standard response (legacy method for compatibility)
      */
     public async generateResponse(context: ConversationContext): Promise<AIResponse> {
+        context = await this.withKnowledge(await this.withRelatedMessages(this.withMemory(this.withAvailability(this.withPersona(this.withLanguage(context))))));
+
         try {
             const prompt = this.buildPrompt(context);
+            const systemTemplate = this.getTemplate('system', context.language);
 
-            const response = await this.cloudflareAI.generateResponse(
+            const response = await this.aiProvider.generateResponse(
                 prompt,
-                context,
-                config.cloudflare.model,
-                config.cloudflare.maxTokens
+                { ...context, systemPrompt: renderTemplate(systemTemplate, systemPromptVariables(this.getOwner(context), context)) },
+                this.aiProvider.getCurrentModel(),
+                config.ai.maxTokens
             );
 
-            return this.postProcessResponse(response);
+            return { ...this.postProcessResponse(response, context), promptVersion: templateTag(systemTemplate) };
 
         } catch (error) {
             console.error('Error generating response:', error);
 
             return {
-                content: 'I apologize, but I encountered an issue generating a response. Please try again later.',
+                content: getReplyStrings(this.getOwner(context), context.language).generationFailed,
                 confidence: 0.1,
                 tokens_used: 0,
                 model: 'fallback'
@@ -113,58 +154,76 @@ export class ResponseGenerator {
     }
 
     /**
-     * Build specialized prompt for secretary responses
+     * Build specialized prompt for secretary responses from the secretary template
      */
-    public buildSecretaryPrompt(context: SecretaryContext): string {
-        const { chatId, recentMessages, participantCount, messageType, urgencyLevel, senderRelation } = context;
-
-        let prompt = `You are Gilad's professional personal assistant responding to a ${messageType || 'general'} WhatsApp message.`;
+    public buildSecretaryPrompt(context: SecretaryContext, template: PromptTemplate = this.getTemplate('secretary', context.language)): string {
+        const { recentMessages, participantCount, messageType, urgencyLevel, senderRelation } = context;
+        const owner = this.getOwner(context);
+        const situation: string[] = [];
 
         // Add context-specific instructions
         if (messageType === 'business') {
-            prompt += ` This appears to be a business-related conversation. Respond professionally and helpfully, representing Gilad's interests.`;
+            situation.push(`This appears to be a business-related conversation. Respond professionally and helpfully, representing ${owner.name}'s interests.`);
         } else if (messageType === 'personal') {
-            prompt += ` This is a personal conversation. Be friendly but maintain appropriate professional boundaries.`;
+            situation.push('This is a personal conversation. Be friendly but maintain appropriate professional boundaries.');
         } else if (messageType === 'group') {
-            prompt += ` This is a group chat with ${participantCount} participants. Be mindful of the group dynamic.`;
+            situation.push(`This is a group chat with ${participantCount} participants. Be mindful of the group dynamic.`);
         }
 
         // Add urgency context
         if (urgencyLevel === 'high') {
-            prompt += ` This message seems urgent - acknowledge this appropriately.`;
+            situation.push('This message seems urgent - acknowledge this appropriately.');
+        }
+
+        // Point out shared content so it is acknowledged rather than ignored
+        const sharedContent = this.describeSharedContent(recentMessages[recentMessages.length - 1], owner.name);
+        if (sharedContent) {
+            situation.push(sharedContent);
         }
 
         // Add relationship context
         if (senderRelation) {
-            prompt += ` The sender appears to be a ${senderRelation}.`;
+            situation.push(`The sender appears to be a ${senderRelation}.`);
         }
 
-        prompt += `\n\nRecent conversation context:\n`;
-
-        // Add recent messages with better formatting
-        const relevantMessages = recentMessages
-            .slice(-5)
-            .filter(msg => msg.from !== 'bot');
-
-        relevantMessages.forEach(message => {
-            const sender = this.getSenderName(message);
-            const timeInfo = this.getTimeInfo(message.timestamp);
-            prompt += `${sender}${timeInfo}: ${message.body}\n`;
+        // Add recent messages with better formatting; older ones are covered by the conversation summary
+        const conversation = recentMessages
+            .slice(-config.app.maxContextMessages)
+            .filter(msg => msg.from !== 'bot')
+            .map(message => `${this.getSenderName(message)}${this.getTimeInfo(message.timestamp)}: ${formatMessageForPrompt(message)}`);
+
+        return renderTemplate(template, {
+            ...ownerVariables(owner),
+            messageType: messageType || 'general',
+            urgency: urgencyLevel,
+            senderRelation,
+            situation: situation.join(' '),
+            relatedMessages: this.formatRelatedMessages(context),
+            conversation: conversation.join('\n'),
+            profile: context.personaProfile?.name,
+            maxLength: context.personaProfile?.maxLength,
+            availability: context.availability ? describeAvailability(context.availability, owner.name) : '',
+            booking: context.booking ? describeBooking(context.booking, owner.name) : '',
+            language: context.language ? getLanguageName(context.language) : ''
         });
+    }
 
-        prompt += `\nSecretary response guidelines:
-- Be professional, helpful, and represent Gilad well
-- Keep responses concise (under 150 words typically)
-- Use appropriate tone for the conversation type
-- Don't reveal you're an AI unless directly asked
-- If asked about Gilad's availability or schedule, politely defer or ask them to contact him directly
-- For business inquiries, be helpful but don't make commitments on Gilad's behalf
-- Maintain conversation context and reference previous messages when relevant
-- Use natural, conversational language
-
-Please provide an appropriate response:`;
-
-        return prompt;
+    /**
+     * Hint for messages that are not plain text, e.g. a shared location
+     */
+    private describeSharedContent(message: WhatsAppMessage | undefined, ownerName: string): string {
+        switch (message?.type) {
+            case MessageType.LOCATION:
+                return 'The sender shared a location - thank them for it and refer to the place if it helps.';
+            case MessageType.CONTACT:
+                return `The sender shared a contact card - acknowledge it and say it will be passed on to ${ownerName}.`;
+            case MessageType.AUDIO:
+                return 'The latest message is a transcribed voice message - respond to what was said.';
+            case MessageType.IMAGE:
+                return 'The latest message is a photo, described in brackets - respond to what it shows.';
+            default:
+                return message?.quotedMessage ? 'The latest message replies to an earlier message, quoted in parentheses.' : '';
+        }
     }
 
     /**
@@ -181,6 +240,8 @@ Please provide an appropriate response:`;
             prompt += 'This is a private conversation. ';
         }
 
+        prompt += this.describeRelatedMessages(context).trimStart();
+
         prompt += 'Here are the recent messages:\n\n';
 
         // Add recent messages to context
@@ -190,11 +251,14 @@ Please provide an appropriate response:`;
 
         relevantMessages.forEach(message => {
             const sender = this.getSenderName(message);
-            prompt += `${sender}: ${message.body}\n`;
+            prompt += `${sender}: ${formatMessageForPrompt(message)}\n`;
         });
 
         prompt += '\nPlease provide a helpful, contextually appropriate response. ';
         prompt += 'Keep it concise and natural. Avoid being overly formal or robotic. ';
+        if (context.language) {
+            prompt += `Reply in ${getLanguageName(context.language)}. `;
+        }
         prompt += 'Do not mention that you are an AI or that this is a WhatsApp conversation.';
 
         return prompt;
@@ -203,7 +267,7 @@ Please provide an appropriate response:`;
     /**
      * Filter response for appropriateness and professionalism
      */
-    public filterResponse(response: AIResponse): FilterResult {
+    public filterResponse(response: AIResponse, language?: Language, maxLength?: number): FilterResult {
         const content = response.content.toLowerCase();
 
         // Check for inappropriate content
@@ -217,7 +281,7 @@ Please provide an appropriate response:`;
                 return {
                     isAppropriate: false,
                     reason: `Contains inappropriate term: ${term}`,
-                    suggestedResponse: "I'd prefer to keep our conversation professional. Is there something else I can help you with?"
+                    suggestedResponse: getReplyStrings(this.getOwner(), language).keepProfessional
                 };
             }
         }
@@ -237,11 +301,11 @@ Please provide an appropriate response:`;
         }
 
         // Check for overly long responses
-        if (response.content.length > 800) {
+        if (response.content.length > (maxLength ?? 800)) {
             return {
                 isAppropriate: false,
                 reason: 'Response too long',
-                suggestedResponse: response.content.substring(0, 700) + '...'
+                suggestedResponse: truncateText(response.content, maxLength ?? 703)
             };
         }
 
@@ -265,20 +329,27 @@ Please provide an appropriate response:`;
      * Add secretary-style personality to responses
      */
     public addSecretaryPersonality(response: AIResponse, context: SecretaryContext): AIResponse {
+        const strings = getReplyStrings(this.getOwner(context), context.language);
+        const profile = context.personaProfile;
         let content = response.content;
+        const lowerContent = content.toLowerCase();
 
-        // Add appropriate closing based on context
-        if (context.messageType === 'business' && !content.includes('Best regards') && !content.includes('Thank you')) {
+        // A profile signs every reply with its own signature instead
+        if (profile) {
+            if (profile.signature && !content.includes(profile.signature)) {
+                content += `\n\n${profile.signature}`;
+            }
+        } else if (context.messageType === 'business' && !strings.signOffWords.some(word => lowerContent.includes(word))) {
             if (content.length < 200) {
                 if (Math.random() > 0.7) {
-                    content += '\n\nBest regards,\nGilad\'s Assistant';
+                    content += `\n\n${strings.signOff}`;
                 }
             }
         }
 
         // Add helpful context-aware suggestions
-        if (context.urgencyLevel === 'high' && !content.includes('urgent')) {
-            content = 'I understand this seems urgent. ' + content;
+        if (context.urgencyLevel === 'high' && !strings.urgentWords.some(word => lowerContent.includes(word))) {
+            content = `${strings.urgentAcknowledgement} ${content}`;
         }
 
         // Ensure professional but friendly tone
@@ -293,69 +364,24 @@ Please provide an appropriate response:`;
     /**
      * Analyze conversation context for secretary-specific insights
      */
-    private analyzeSecretaryContext(context: ConversationContext): SecretaryContext {
+    private async analyzeSecretaryContext(context: ConversationContext): Promise<SecretaryContext> {
         const enhanced: SecretaryContext = { ...context };
 
-        // Analyze message type based on recent messages
+        // Reuse the classification the reply decision was based on; classify only if there was none
         const lastMessage = context.recentMessages[context.recentMessages.length - 1];
         if (lastMessage) {
-            enhanced.messageType = this.classifyMessageType(lastMessage.body);
-            enhanced.urgencyLevel = this.determineUrgency(lastMessage.body);
+            const analysis = lastMessage.analysis
+                ?? (this.messageClassifier ? await this.messageClassifier.classify(lastMessage.body) : analyzeKeywords(lastMessage.body));
+            enhanced.messageType = analysis.category === 'business' ? 'business'
+                : analysis.category === 'personal' || analysis.category === 'social' ? 'personal'
+                : 'unknown';
+            enhanced.urgencyLevel = analysis.urgency;
             enhanced.senderRelation = this.analyzeSenderRelation(lastMessage, context);
         }
 
         return enhanced;
     }
 
-    /**
-     * Classify the type of message
-     */
-    private classifyMessageType(messageBody: string): 'business' | 'personal' | 'group' | 'unknown' {
-        const businessKeywords = [
-            'meeting', 'project', 'work', 'business', 'client', 'deadline',
-            'proposal', 'contract', 'invoice', 'schedule', 'appointment'
-        ];
-
-        const personalKeywords = [
-            'how are you', 'family', 'weekend', 'vacation', 'dinner',
-            'movie', 'friend', 'birthday', 'party', 'holiday'
-        ];
-
-        const body = messageBody.toLowerCase();
-
-        if (businessKeywords.some(keyword => body.includes(keyword))) {
-            return 'business';
-        }
-
-        if (personalKeywords.some(keyword => body.includes(keyword))) {
-            return 'personal';
-        }
-
-        return 'unknown';
-    }
-
-    /**
-     * Determine message urgency level
-     */
-    private determineUrgency(messageBody: string): 'low' | 'medium' | 'high' {
-        const urgentKeywords = [
-            'urgent', 'asap', 'emergency', 'immediately', 'critical',
-            'deadline', 'rush', 'quickly', 'now', 'today'
-        ];
-
-        const body = messageBody.toLowerCase();
-
-        if (urgentKeywords.some(keyword => body.includes(keyword))) {
-            return 'high';
-        }
-
-        if (body.includes('?') || body.includes('please') || body.includes('need')) {
-            return 'medium';
-        }
-
-        return 'low';
-    }
-
     /**
      * Analyze sender relationship
      */
@@ -369,13 +395,21 @@ Please provide an appropriate response:`;
      * Adjust tone specifically for secretary role
      */
     private adjustToneForSecretary(content: string, context: SecretaryContext): string {
+        const strings = getReplyStrings(this.getOwner(context), context.language);
+
         // Ensure professional greeting if it's the start of conversation
         if (context.recentMessages.length <= 1) {
-            if (!content.toLowerCase().startsWith('hello') && !content.toLowerCase().startsWith('hi')) {
-                content = 'Hello! ' + content;
+            const start = content.replace(/^\u200F/, '').toLowerCase();
+            if (!strings.greetingWords.some(word => start.startsWith(word))) {
+                content = `${strings.greeting} ${content}`;
             }
         }
 
+        const tone = context.personaProfile?.tone ?? config.secretary.tone;
+        if ((context.language && context.language !== 'en') || !isFormalTone(tone)) {
+            return content;
+        }
+
         // Remove any casual language that might have slipped through
         content = content.replace(/\b(yeah|yep|nope|ok|okay)\b/gi, (match) => {
             switch (match.toLowerCase()) {
@@ -396,26 +430,206 @@ Please provide an appropriate response:`;
     }
 
     /**
-     * Get fallback response based on context
+     * Resolve the persona profile the chat policy selected, or the configured default
      */
-    private getFallbackResponse(context: ConversationContext | SecretaryContext): string {
+    private withPersona(context: ConversationContext): ConversationContext {
+        if (!this.personaService || context.personaProfile) {
+            return context;
+        }
+
+        const isGroup = context.participantCount > 2 || context.recentMessages.some(message => message.isGroupMsg);
+        const personaProfile = this.personaService.resolve(context.profile, isGroup);
+        return personaProfile ? { ...context, personaProfile } : context;
+    }
+
+    /**
+     * Pick the reply language: the one the contact last wrote in, else the configured default
+     */
+    private withLanguage(context: ConversationContext): ConversationContext {
+        if (context.language) {
+            return context;
+        }
+
+        return { ...context, language: detectConversationLanguage(context.recentMessages) ?? config.app.defaultLanguage ?? 'en' };
+    }
+
+    /**
+     * Attach the owner's current availability so the system prompt can mention it. With a calendar,
+     * a message asking about a day ("are you free Thursday?") also gets that day's free/busy times;
+     * a question without a day gets today and tomorrow.
+     */
+    private withAvailability(context: ConversationContext): ConversationContext {
+        if (!this.availabilityService || context.availability) {
+            return context;
+        }
+
+        const now = new Date();
+        const availability = this.availabilityService.getAvailability(now);
+        const lastMessage = [...context.recentMessages].reverse().find(message => message.from !== 'secretary_bot');
+        // Offered meeting slots already say when the owner is free
+        if (!this.availabilityService.hasCalendar() || context.schedule || context.booking || !lastMessage?.body) {
+            return { ...context, availability };
+        }
+
+        let dates = findRequestedDates(lastMessage.body, now, availability.timezone);
+        if (dates.length === 0 && asksAboutAvailability(lastMessage.body)) {
+            const today = now.toLocaleDateString('en-CA', { timeZone: availability.timezone });
+            dates = [today, new Date(now.getTime() + 24 * 60 * 60 * 1000).toLocaleDateString('en-CA', { timeZone: availability.timezone })];
+        }
+
+        const schedule = dates.map(date => this.availabilityService!.getDaySchedule(date, now));
+        return schedule.length > 0 ? { ...context, availability, schedule } : { ...context, availability };
+    }
+
+    /**
+     * Attach the summary of older messages so the system prompt can recall them
+     */
+    private withMemory(context: ConversationContext): ConversationContext {
+        const memory = context.memory || this.memoryService?.getSummary(context.chatId);
+        return memory ? { ...context, memory } : context;
+    }
+
+    /**
+     * Attach earlier messages from the same chat that are relevant to the latest message.
+     * Retrieval is best effort: without it the reply is generated from the recent context alone.
+     */
+    private async withRelatedMessages(context: ConversationContext): Promise<ConversationContext> {
+        const lastMessage = [...context.recentMessages].reverse().find(message => message.from !== 'secretary_bot');
+        if (!this.retrievalService || context.relatedMessages || !lastMessage) {
+            return context;
+        }
+
+        // Messages already in the prompt, including each part of a merged burst
+        const recentIds = context.recentMessages.flatMap(message => [message.id, ...(message.parts || []).map(part => part.id)]);
+
+        try {
+            const relatedMessages = await this.retrievalService.retrieve(context.chatId, lastMessage.body, recentIds);
+            return relatedMessages.length > 0 ? { ...context, relatedMessages } : context;
+        } catch (error) {
+            console.error(`⚠️ Retrieval failed for chat ${context.chatId}:`, error instanceof Error ? error.message : error);
+            return context;
+        }
+    }
+
+    /**
+     * Attach the knowledge base entries this chat may see that are relevant to the latest message.
+     * Without an audience the sender is treated as a stranger, so only public entries qualify.
+     */
+    private async withKnowledge(context: ConversationContext): Promise<ConversationContext> {
+        if (!this.knowledgeBase || context.knowledge) {
+            return context;
+        }
+
+        const lastMessage = [...context.recentMessages].reverse().find(message => message.from !== 'secretary_bot');
+        const audience = context.audience || { chatId: context.chatId, isKnownContact: false };
+
+        try {
+            const knowledge = await this.knowledgeBase.search(lastMessage?.body || '', audience);
+            return knowledge.length > 0 ? { ...context, knowledge } : context;
+        } catch (error) {
+            console.error(`⚠️ Knowledge base search failed for chat ${context.chatId}:`, error instanceof Error ? error.message : error);
+            return context;
+        }
+    }
+
+    /**
+     * Prompt section with the retrieved earlier exchanges
+     */
+    private describeRelatedMessages(context: ConversationContext): string {
+        const lines = this.formatRelatedMessages(context);
+        return lines ? `\n\nEarlier messages in this chat that may be relevant:\n${lines}\n` : '';
+    }
+
+    /**
+     * The retrieved earlier exchanges, one per line
+     */
+    private formatRelatedMessages(context: ConversationContext): string {
+        const businessHours = this.availabilityService ? this.availabilityService.getBusinessHours() : config.secretary.businessHours;
+        const timezone = businessHours?.timezone || 'UTC';
+        return (context.relatedMessages || []).map(message => {
+            const sender = message.from === 'secretary_bot' ? 'Assistant' : this.getSenderName(message);
+            return `${sender} (${formatZonedTime(message.timestamp, timezone)}): ${formatMessageForPrompt(message)}`;
+        }).join('\n');
+    }
+
+    /**
+     * Get fallback response based on context. Booking and availability notices come from the
+     * built-in reply strings; the general acknowledgement from the fallback template if there is one.
+     */
+    private getFallbackResponse(context: ConversationContext | SecretaryContext): { content: string; promptVersion?: string } {
         const secretaryContext = context as SecretaryContext;
+        const availability = context.availability;
+        const booking = context.booking;
+        const strings = getReplyStrings(this.getOwner(context), context.language);
+        const locale = getLocale(context.language);
+
+        // Offered slots and holds must reach the contact even when the model is down
+        if (booking?.stage === 'proposed' || booking?.stage === 'awaiting_choice') {
+            return { content: strings.slotsOffered(booking.timezone, formatSlotList(booking.slots, booking.timezone, locale)) };
+        }
+        if (booking?.stage === 'held') {
+            return { content: strings.slotHeld(formatSlot(booking.slots[0], booking.timezone, locale), booking.timezone) };
+        }
+
+        if (availability && availability.status !== 'available' && availability.nextAvailableAt) {
+            const back = formatZonedTime(availability.nextAvailableAt, availability.timezone, locale);
+            if (availability.status === 'busy') {
+                return {
+                    content: availability.busy && !availability.busy.allDay
+                        ? strings.inMeetingUntil(formatTimeOfDay(availability.busy.end, availability.timezone))
+                        : strings.busyUntil(back)
+                };
+            }
+            return {
+                content: availability.status === 'out_of_office'
+                    ? strings.outOfOfficeUntil(back)
+                    : strings.afterHoursUntil(back)
+            };
+        }
+
+        const template = this.promptTemplates?.get('fallback', context.language);
+        if (template) {
+            const lastMessage = [...context.recentMessages].reverse().find(message => message.from !== 'bot' && message.from !== 'secretary_bot');
+            const content = renderTemplate(template, {
+                ...ownerVariables(this.getOwner(context), context.language),
+                contactName: lastMessage && !lastMessage.isGroupMsg && lastMessage.chat.name !== 'Unknown' ? lastMessage.chat.name : '',
+                messageType: secretaryContext.messageType,
+                urgency: secretaryContext.urgencyLevel
+            }).trim();
+            return { content, promptVersion: templateTag(template) };
+        }
 
         if (secretaryContext.messageType === 'business') {
-            return "Thank you for your message. I'll make sure Gilad receives this and gets back to you promptly.";
+            return { content: strings.receivedBusiness };
         }
 
         if (secretaryContext.urgencyLevel === 'high') {
-            return "I understand this is important. I'll ensure Gilad sees this message right away.";
+            return { content: strings.receivedUrgent };
         }
 
-        return "Thank you for your message. I'll make sure Gilad receives this.";
+        return { content: strings.received };
+    }
+
+    /**
+     * Who the reply is written for: the owner set on the context, else the configured one
+     */
+    private getOwner(context?: ConversationContext): OwnerProfile {
+        return context?.owner ?? config.owner;
     }
 
     /**
-     * Post-process generated response
+     * Template from the prompts directory, else the built-in one
      */
-    private postProcessResponse(response: AIResponse): AIResponse {
+    private getTemplate(name: Exclude<PromptTemplateName, 'fallback'>, language?: Language): PromptTemplate {
+        return this.promptTemplates?.get(name, language) ?? DEFAULT_TEMPLATES[name]!;
+    }
+
+    /**
+     * Post-process generated response: strip AI prefixes, tidy whitespace while keeping line
+     * breaks, apply the persona's emoji policy and length, and keep right-to-left replies readable
+     */
+    private postProcessResponse(response: AIResponse, context: ConversationContext): AIResponse {
+        const profile = context.personaProfile;
         let processedContent = response.content;
 
         // Remove common AI-generated prefixes
@@ -429,13 +643,20 @@ Please provide an appropriate response:`;
             processedContent = processedContent.replace(regex, '');
         });
 
-        // Ensure response doesn't exceed reasonable length for WhatsApp
-        if (processedContent.length > 1000) {
-            processedContent = processedContent.substring(0, 997) + '...';
+        // Clean up double spaces and blank lines; lists and right-to-left marks need the line breaks
+        processedContent = processedContent
+            .split(/\r?\n/)
+            .map(line => line.replace(/[^\S\n]+/g, ' ').trim())
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+
+        if (profile) {
+            processedContent = applyEmojiPolicy(processedContent, profile.emoji);
         }
 
-        // Clean up any double spaces or newlines
-        processedContent = processedContent.replace(/\s+/g, ' ').trim();
+        // Ensure response doesn't exceed reasonable length for WhatsApp
+        processedContent = makeBidiSafe(truncateText(processedContent, profile?.maxLength ?? 1000), context.language);
 
         return {
             ...response,
@@ -473,40 +694,4 @@ Please provide an appropriate response:`;
         if (minutes < 1440) return ` (${Math.floor(minutes / 60)}h ago)`;
         return '';
     }
-
-    /**
-     * Update conversation memory for context
-     */
-    private updateConversationMemory(chatId: string, prompt: string, response: string): void {
-        if (!this.conversationMemory.has(chatId)) {
-            this.conversationMemory.set(chatId, []);
-        }
-
-        const memory = this.conversationMemory.get(chatId)!;
-        const timestamp = Date.now();
-
-        memory.push(
-            { role: 'user', content: prompt, timestamp },
-            { role: 'assistant', content: response, timestamp }
-        );
-
-        // Keep only last 20 interactions per chat
-        if (memory.length > 40) {
-            memory.splice(0, memory.length - 40);
-        }
-    }
-
-    /**
-     * Get conversation memory for a chat
-     */
-    public getConversationMemory(chatId: string): Array<{role: string, content: string, timestamp: number}> {
-        return this.conversationMemory.get(chatId) || [];
-    }
-
-    /**
-     * Clear conversation memory for a chat
-     */
-    public clearConversationMemory(chatId: string): void {
-        this.conversationMemory.delete(chatId);
-    }
-}
\ No newline at end of file
+}
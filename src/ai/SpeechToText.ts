@@ -0,0 +1,140 @@
+import { execFile } from 'child_process';
+import { promises as fs } from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { promisify } from 'util';
+import { MediaAttachment, SpeechToTextBackend, SpeechToTextConfig } from '../types';
+
+const execFileAsync = promisify(execFile);
+
+const AUDIO_EXTENSIONS: Record<string, string> = {
+    'audio/ogg': '.ogg',
+    'audio/mpeg': '.mp3',
+    'audio/mp4': '.m4a',
+    'audio/aac': '.aac',
+    'audio/wav': '.wav',
+    'audio/webm': '.webm',
+    'audio/amr': '.amr'
+};
+
+/**
+ * File extension for an audio MIME type ("audio/ogg; codecs=opus" -> ".ogg")
+ */
+export function getAudioExtension(mimetype: string): string {
+    return AUDIO_EXTENSIONS[mimetype.split(';')[0].trim().toLowerCase()] || '.bin';
+}
+
+/**
+ * Local transcription with whisper.cpp. WhatsApp voice notes are Opus, so they are
+ * converted to 16 kHz mono WAV with ffmpeg first.
+ */
+export class WhisperCppTranscriber implements SpeechToTextBackend {
+    public readonly name = 'whisper-cpp';
+    private binaryPath: string;
+    private ffmpegPath: string;
+    private modelPath: string;
+    private language: string;
+    private timeoutMs: number;
+
+    constructor(binaryPath: string, modelPath: string, options: { ffmpegPath?: string; language?: string; timeoutMs?: number } = {}) {
+        this.binaryPath = binaryPath;
+        this.modelPath = modelPath;
+        this.ffmpegPath = options.ffmpegPath || 'ffmpeg';
+        this.language = options.language || 'auto';
+        this.timeoutMs = options.timeoutMs || 60000;
+    }
+
+    public async transcribe(media: MediaAttachment): Promise<string> {
+        const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'whisper-'));
+
+        try {
+            const input = path.join(workDir, `input${getAudioExtension(media.mimetype)}`);
+            const wav = path.join(workDir, 'audio.wav');
+            const output = path.join(workDir, 'transcript');
+            await fs.writeFile(input, media.data);
+
+            await execFileAsync(this.ffmpegPath, ['-y', '-loglevel', 'error', '-i', input, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wav], {
+                timeout: this.timeoutMs
+            });
+            await execFileAsync(this.binaryPath, ['-m', this.modelPath, '-f', wav, '-l', this.language, '-nt', '-np', '-otxt', '-of', output], {
+                timeout: this.timeoutMs,
+                maxBuffer: 10 * 1024 * 1024
+            });
+
+            const transcript = await fs.readFile(`${output}.txt`, 'utf8');
+            return transcript.replace(/\s+/g, ' ').trim();
+        } finally {
+            await fs.rm(workDir, { recursive: true, force: true });
+        }
+    }
+}
+
+/**
+ * Transcription through an OpenAI-compatible `/audio/transcriptions` endpoint
+ * (OpenAI, Groq, faster-whisper-server, LocalAI)
+ */
+export class OpenAITranscriber implements SpeechToTextBackend {
+    public readonly name = 'openai';
+    private apiKey: string;
+    private baseUrl: string;
+    private model: string;
+    private language?: string;
+    private timeoutMs: number;
+
+    constructor(apiKey: string, baseUrl: string = 'https://api.openai.com/v1', model: string = 'whisper-1', options: { language?: string; timeoutMs?: number } = {}) {
+        this.apiKey = apiKey;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.model = model;
+        this.language = options.language;
+        this.timeoutMs = options.timeoutMs || 60000;
+    }
+
+    public async transcribe(media: MediaAttachment): Promise<string> {
+        const form = new FormData();
+        const filename = media.filename || `voice${getAudioExtension(media.mimetype)}`;
+        form.append('file', new Blob([media.data], { type: media.mimetype }), filename);
+        form.append('model', this.model);
+        form.append('response_format', 'json');
+        if (this.language) {
+            form.append('language', this.language);
+        }
+
+        const response = await fetch(`${this.baseUrl}/audio/transcriptions`, {
+            method: 'POST',
+            headers: this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {},
+            body: form,
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`${this.name} transcription error: ${response.status} ${response.statusText} - ${errorText}`);
+        }
+
+        const data = await response.json() as { text?: string };
+        return (data.text || '').trim();
+    }
+}
+
+/**
+ * Create the speech-to-text backend selected by STT_PROVIDER, if any
+ */
+export function createSpeechToText(sttConfig: SpeechToTextConfig, timeoutMs: number): SpeechToTextBackend | undefined {
+    switch (sttConfig.provider) {
+        case 'none':
+            return undefined;
+        case 'whisper-cpp':
+            return new WhisperCppTranscriber(sttConfig.whisperCppPath, sttConfig.model, {
+                ffmpegPath: sttConfig.ffmpegPath,
+                language: sttConfig.language,
+                timeoutMs
+            });
+        case 'openai':
+            return new OpenAITranscriber(sttConfig.apiKey, sttConfig.baseUrl || undefined, sttConfig.model, {
+                language: sttConfig.language,
+                timeoutMs
+            });
+        default:
+            throw new Error(`Unsupported speech-to-text provider: ${sttConfig.provider}`);
+    }
+}
@@ -1,9 +1,34 @@
-import { WhatsAppMessage, MessageType, ResponseStatus, MessageAnalysis, ConversationContext } from '../types';
+import { WhatsAppMessage, MessageType, ResponseStatus, MessageAnalysis, ConversationContext, PolicyDecision, QuotedMessage, ReplyDraft, ReplyOptions, KnowledgeAudience, BookingPrompt, MeetingBooking, Language, AIResponse, GeneratedReplyOutcome, OwnerProfile } from '../types';
 import { ConversationManager } from '../services/ConversationManager';
 import { ResponseGenerator } from '../ai/ResponseGenerator';
+import { MessageClassifier } from '../ai/MessageClassifier';
 import { TimerService } from '../services/TimerService';
 import { StorageService } from '../services/StorageService';
+import { PolicyService } from '../services/PolicyService';
+import { AvailabilityService } from '../services/AvailabilityService';
+import { MediaService } from '../services/MediaService';
+import { ApprovalService } from '../services/ApprovalService';
+import { BookingService } from '../services/BookingService';
+import { DigestService } from '../services/DigestService';
+import { EscalationService } from '../services/EscalationService';
 import { config } from '../config/environment';
+import { OwnerCommandHandler } from './OwnerCommands';
+import { formatDuration } from '../utils/duration';
+import { detectConversationLanguage, getLocale } from '../utils/language';
+import { formatSlot } from '../utils/meetingSlots';
+import { analyzeKeywords } from '../utils/messageAnalysis';
+import { getReplyStrings } from '../utils/replyStrings';
+import { matchesOwnerIdentifier } from '../utils/owner';
+import { addMentions, chooseReplyTarget } from '../utils/replyThreading';
+import {
+    describeContacts,
+    describeLocation,
+    describeReaction,
+    getMessageType,
+    parseLocation,
+    parseVCard,
+    truncate
+} from '../utils/messageContent';
 
 /**
  * Enhanced message handler that processes WhatsApp messages and implements secretary logic
@@ -13,33 +38,61 @@ export class MessageHandler {
     private responseGenerator: ResponseGenerator;
     private timerService: TimerService;
     private storageService: StorageService;
+    private policyService: PolicyService;
+    private mediaService?: MediaService;
+    private approvalService?: ApprovalService;
+    private bookingService?: BookingService;
+    private digestService?: DigestService;
+    private escalationService?: EscalationService;
+    private messageClassifier?: MessageClassifier;
     private secretaryMode: boolean;
-    private giladWhatsAppId: string;
+    private burstWindowMs: number;
+    private owner: OwnerProfile;
+    private ownerIdentifiers: string[];
+    private ownerWhatsAppId: string;
     private lastProcessedMessageId: string = '';
     private whatsappClient?: any; // Reference to WhatsAppClient for sending messages
-
-    // Gilad identification patterns (these should be configured)
-    private giladIdentifiers = [
-        // These should be set from environment or config
-        process.env.GILAD_WHATSAPP_NUMBER || '',
-        process.env.GILAD_PHONE_NUMBER || '',
-        // Add more identification patterns as needed
-    ].filter(id => id.length > 0);
+    private ownerCommands: OwnerCommandHandler;
+    private pausedUntil: number | null = null; // Infinity = paused until resumed
 
     constructor(
         conversationManager: ConversationManager,
         responseGenerator: ResponseGenerator,
         timerService: TimerService,
-        storageService: StorageService
+        storageService: StorageService,
+        policyService: PolicyService,
+        availabilityService?: AvailabilityService,
+        mediaService?: MediaService,
+        approvalService?: ApprovalService,
+        bookingService?: BookingService,
+        digestService?: DigestService,
+        escalationService?: EscalationService,
+        messageClassifier?: MessageClassifier,
+        owner: OwnerProfile = config.owner
     ) {
         this.conversationManager = conversationManager;
         this.responseGenerator = responseGenerator;
         this.timerService = timerService;
         this.storageService = storageService;
+        this.policyService = policyService;
+        this.mediaService = mediaService;
+        this.approvalService = approvalService;
+        this.bookingService = bookingService;
+        this.digestService = digestService;
+        this.escalationService = escalationService;
+        this.messageClassifier = messageClassifier;
         this.secretaryMode = config.app.secretaryMode || true;
-        this.giladWhatsAppId = process.env.GILAD_WHATSAPP_ID || '';
+        this.burstWindowMs = config.app.burstWindowMs ?? 10000;
+        this.owner = owner;
+        this.ownerIdentifiers = [...owner.identifiers];
+        this.ownerWhatsAppId = owner.whatsappId;
+        this.ownerCommands = new OwnerCommandHandler(this, timerService, conversationManager, policyService, availabilityService, approvalService, bookingService, digestService, escalationService);
 
         this.setupTimerServiceEvents();
+        this.setupApprovalEvents();
+        this.setupBookingEvents();
+        this.digestService?.setDeliveryHandler(text => this.sendToOwner(text));
+        this.escalationService?.setDeliveryHandler(text => this.sendToOwner(text));
         console.log(`MessageHandler initialized - Secretary mode: ${this.secretaryMode ? 'ON' : 'OFF'}`);
     }
 
@@ -47,12 +100,22 @@ export class MessageHandler {
      * Set up event listeners for TimerService
      */
     private setupTimerServiceEvents(): void {
-        // Listen for response timer expiration
-        this.timerService.on(TimerService.EVENTS.RESPONSE_TIMER_EXPIRED, async (data: { chatId: string }) => {
-            console.log(`⏰ Response timer expired for chat ${data.chatId} - activating secretary mode`);
+        // Timers started in this process activate secretary mode from their callback; only
+        // timers restored after a restart have no callback and are handled here
+        this.timerService.on(TimerService.EVENTS.RESPONSE_TIMER_EXPIRED, async (data: { chatId: string; restored?: boolean }) => {
+            if (!data.restored) {
+                return;
+            }
+            console.log(`⏰ Restored response timer expired for chat ${data.chatId} - activating secretary mode`);
             await this.activateSecretaryMode(data.chatId);
         });
 
+        this.timerService.on(TimerService.EVENTS.BURST_COMPLETED, (data: { chatId: string; count: number }) => {
+            if (data.count > 1) {
+                console.log(`🧺 Burst of ${data.count} messages complete in chat ${data.chatId}`);
+            }
+        });
+
         // Listen for cooldown events
         this.timerService.on(TimerService.EVENTS.COOLDOWN_STARTED, (data: { chatId: string; duration: number }) => {
             console.log(`❄️ Cooldown started for chat ${data.chatId} (${data.duration}ms)`);
@@ -62,9 +125,46 @@ export class MessageHandler {
             console.log(`🔥 Cooldown ended for chat ${data.chatId}`);
         });
 
-        // Listen for Gilad response events
-        this.timerService.on(TimerService.EVENTS.GILAD_RESPONDED, (data: { chatId: string }) => {
-            console.log(`👤 Gilad responded in chat ${data.chatId}`);
+        // Listen for owner response events
+        this.timerService.on(TimerService.EVENTS.OWNER_RESPONDED, (data: { chatId: string }) => {
+            console.log(`👤 ${this.owner.name} responded in chat ${data.chatId}`);
+        });
+    }
+
+    /**
+     * Deliver approved drafts and show new ones to the owner
+     */
+    private setupApprovalEvents(): void {
+        if (!this.approvalService) {
+            return;
+        }
+
+        this.approvalService.setDeliveryHandler((draft, text) => this.deliverReply(draft.chatId, text));
+        this.approvalService.on(ApprovalService.EVENTS.DRAFT_CREATED, (draft: ReplyDraft) => {
+            this.notifyOwnerOfDraft(draft).catch(error => console.error('❌ Failed to send draft to owner:', error));
+        });
+
+        // Meeting times offered in a draft that never reached the contact are withdrawn
+        this.approvalService.on(ApprovalService.EVENTS.DRAFT_DECIDED, (draft: ReplyDraft) => {
+            if (draft.status === 'rejected' || draft.status === 'expired' || draft.status === 'discarded') {
+                this.bookingService?.cancelProposal(draft.chatId, draft.createdAt).catch(error => console.error('❌ Failed to withdraw meeting offer:', error));
+            }
+        });
+    }
+
+    /**
+     * Ask the owner to confirm new holds and tell contacts what the owner decided
+     */
+    private setupBookingEvents(): void {
+        if (!this.bookingService) {
+            return;
+        }
+
+        this.bookingService.on(BookingService.EVENTS.HOLD_CREATED, (booking: MeetingBooking) => {
+            this.notifyOwnerOfHold(booking).catch(error => console.error('❌ Failed to send hold to owner:', error));
+        });
+        this.bookingService.on(BookingService.EVENTS.BOOKING_DECIDED, (booking: MeetingBooking) => {
+            this.announceBookingDecision(booking).catch(error => console.error('❌ Failed to announce booking decision:', error));
         });
     }
 
@@ -75,17 +175,27 @@ export class MessageHandler {
         try {
             const message = this.parseMessage(rawMessage);
 
-            // Skip messages from self (bot messages)
-            if (rawMessage.fromMe) {
-                return;
-            }
-
             // Avoid processing the same message twice
             if (message.id === this.lastProcessedMessageId) {
                 return;
             }
             this.lastProcessedMessageId = message.id;
 
+            // Skip messages from self (bot messages), except commands the owner types into their own chat
+            if (rawMessage.fromMe) {
+                if (this.isOwnerCommand(rawMessage)) {
+                    await this.handleOwnerCommand(message);
+                }
+                return;
+            }
+
+            message.quotedMessage = await this.parseQuotedMessage(rawMessage);
+
+            // Voice notes and images become text before the empty-body check would drop them
+            if (this.mediaService?.isMediaMessage(rawMessage)) {
+                await this.handleSpecialMessage(message, rawMessage);
+            }
+
             // Skip messages we should ignore
             if (this.shouldIgnoreMessage(message)) {
                 console.log(`🚫 Ignoring message from ${message.from}: ${message.body?.substring(0, 50)}...`);
@@ -95,37 +205,125 @@ export class MessageHandler {
             console.log(`📩 Processing message from ${message.from}: ${message.body?.substring(0, 100)}...`);
 
             // Store message in database
-            const isFromGilad = this.isFromGilad(message);
-            await this.storageService.storeMessage(message, isFromGilad);
+            const isFromOwner = this.isFromOwner(message);
+            await this.storageService.storeMessage(message, isFromOwner);
+
+            // Core secretary logic: Handle the owner's responses
+            if (isFromOwner) {
+                await this.recordOwnerResponse(message);
+                return; // Don't process the owner's messages further
+            }
+
+            // Urgent messages reach the owner right away, not after the burst window
+            await this.escalateIfUrgent(message);
+
+            // Wait until the sender stops typing so a burst of short messages gets a single reply
+            if (this.burstWindowMs > 0) {
+                this.timerService.addToBurst(message.chat.id, message, messages => this.handleBurst(messages), this.burstWindowMs);
+                return;
+            }
+
+            await this.handleBurst([message]);
+
+        } catch (error) {
+            console.error('❌ Error in handleMessage:', error);
+        }
+    }
+
+    /**
+     * Handle a message the owner typed on their phone or another linked device. WhatsApp reports
+     * it as fromMe, like the assistant's own replies, which WhatsAppClient has already filtered out.
+     */
+    public async handleOwnerMessage(rawMessage: any): Promise<void> {
+        try {
+            const message = this.parseMessage(rawMessage);
+            if (message.id === this.lastProcessedMessageId) {
+                return;
+            }
+            this.lastProcessedMessageId = message.id;
+
+            // Notes to self are not an answer to anyone
+            const ownId: string | null = this.whatsappClient?.getOwnId ? this.whatsappClient.getOwnId() : null;
+            if (rawMessage.to === rawMessage.from || (!!ownId && message.chat.id === ownId)) {
+                return;
+            }
+
+            await this.storageService.storeMessage(message, true);
+            await this.recordOwnerResponse(message);
+        } catch (error) {
+            console.error('❌ Error handling owner message:', error);
+        }
+    }
+
+    /**
+     * The owner answered in a chat: record the message, drop the pending reply and start the cooldown
+     */
+    private async recordOwnerResponse(message: WhatsAppMessage): Promise<void> {
+        console.log(`👤 Message from ${this.owner.name} detected in chat ${message.chat.id}`);
+
+        // Whatever the contact sent before the owner answered is still recorded, but not replied to
+        const pending = this.timerService.takeBurst(message.chat.id);
+        if (pending.length > 0) {
+            await this.conversationManager.addTurn(pending);
+        }
+        await this.conversationManager.addMessage(message);
+
+        // A draft for this chat is obsolete once the owner has answered, and so is an alert
+        await this.approvalService?.discardForChat(message.chat.id);
+        await this.escalationService?.acknowledgeChat(message.chat.id, 'reply');
+
+        const { cooldownMs } = this.policyService.evaluate({ chatId: message.chat.id, isGroup: message.isGroupMsg });
+        this.timerService.handleOwnerResponse(message.chat.id, cooldownMs);
+    }
+
+    /**
+     * Record a burst of messages from one chat as a single turn and decide once whether to reply
+     */
+    private async handleBurst(messages: WhatsAppMessage[]): Promise<void> {
+        try {
+            const last = messages[messages.length - 1];
+            const chatId = last.chat.id;
+
+            // Checked before the turn is added, otherwise the turn itself counts as recent activity
+            const isNewThread = await this.isNewConversationThread(last);
 
             // Update conversation context
-            await this.conversationManager.addMessage(message);
+            const turn = await this.conversationManager.addTurn(messages);
 
-            // Core secretary logic: Handle Gilad's responses
-            if (isFromGilad) {
-                console.log(`👤 Message from Gilad detected in chat ${message.chat.id}`);
-                this.timerService.handleGiladResponse(message.chat.id);
-                return; // Don't process Gilad's messages further
+            const suppression = this.getAutoReplySuppression(chatId);
+            if (suppression) {
+                console.log(`🔇 Not scheduling a reply for chat ${chatId}: ${suppression}`);
+                return;
             }
 
-            // Check if this is a new conversation thread that needs secretary intervention
-            if (await this.isNewConversationThread(message)) {
-                console.log(`🆕 New conversation thread detected in chat ${message.chat.id}`);
+            // Chat and contact policies are evaluated before any timer is started
+            const policy = this.evaluatePolicy(turn);
+            if (!policy.allowReply) {
+                console.log(`📋 Not scheduling a reply for chat ${chatId}: ${policy.reason}`);
+                return;
+            }
 
-                // Start 2-minute response timer
-                this.timerService.startResponseTimer(message.chat.id, async () => {
-                    // This callback executes when Gilad doesn't respond within 2 minutes
-                    await this.activateSecretaryMode(message.chat.id);
-                });
+            // Check if this is a new conversation thread that needs secretary intervention
+            if (isNewThread) {
+                console.log(`🆕 New conversation thread detected in chat ${chatId}`);
+
+                // Start response timer (2 minutes unless the chat policy overrides it)
+                this.timerService.startResponseTimer(chatId, async () => {
+                    // This callback executes when the owner doesn't respond in time
+                    await this.activateSecretaryMode(chatId);
+                }, policy.responseDelayMs);
+            } else if (await this.isBookingTurn(turn)) {
+                // Meeting requests and answers to offered times get the full secretary reply
+                console.log(`📅 Meeting booking message in chat ${chatId}`);
+                this.timerService.scheduleResponse(chatId, () => this.activateSecretaryMode(chatId), policy.responseDelayMs);
             } else {
                 // For ongoing conversations, check if we should respond based on other criteria
-                if (await this.shouldRespondToOngoingConversation(message)) {
-                    await this.scheduleResponse(message);
+                if (await this.shouldRespondToOngoingConversation(turn, policy)) {
+                    await this.scheduleResponse(turn, policy);
                 }
             }
-
         } catch (error) {
-            console.error('❌ Error in handleMessage:', error);
+            console.error('❌ Error handling message burst:', error);
         }
     }
 
@@ -161,30 +359,13 @@ export class MessageHandler {
     }
 
     /**
-     * Check if a message is from Gilad
+     * Check if a message is from the owner by the configured identifiers. Messages the owner
+     * sends from the linked account itself arrive through handleOwnerMessage instead.
      */
-    public isFromGilad(message: WhatsAppMessage): boolean {
+    public isFromOwner(message: WhatsAppMessage): boolean {
         const sender = message.author || message.from;
-
-        // Check against known Gilad identifiers
-        if (this.giladIdentifiers.length > 0) {
-            return this.giladIdentifiers.some(id =>
-                sender.includes(id) || id.includes(sender.replace(/@.*$/, ''))
-            );
-        }
-
-        // Fallback: check against configured WhatsApp ID
-        if (this.giladWhatsAppId) {
-            return sender.includes(this.giladWhatsAppId) ||
-                   this.giladWhatsAppId.includes(sender.replace(/@.*$/, ''));
-        }
-
-        // Additional checks could include:
-        // - Contact name matching
-        // - Phone number matching
-        // - Stored contact identification
-
-        return false;
+        const identifiers = this.ownerIdentifiers.length > 0 ? this.ownerIdentifiers : [this.ownerWhatsAppId].filter(Boolean);
+        return identifiers.some(id => matchesOwnerIdentifier(sender, id));
     }
 
     /**
@@ -192,6 +373,12 @@ export class MessageHandler {
      */
     public async activateSecretaryMode(chatId: string): Promise<void> {
         try {
+            const suppression = this.getAutoReplySuppression(chatId);
+            if (suppression) {
+                console.log(`🔇 Skipping secretary response for chat ${chatId}: ${suppression}`);
+                return;
+            }
+
             console.log(`🤖 Activating secretary mode for chat ${chatId}`);
 
             const context = await this.conversationManager.getConversationContext(chatId);
@@ -200,40 +387,199 @@ export class MessageHandler {
                 return;
             }
 
+            // Re-check the policy: it may have changed or business hours may have ended while the timer ran
+            const lastIncoming = [...context.recentMessages].reverse().find(message => !this.isBotMessage(message));
+            const policy = lastIncoming
+                ? this.evaluatePolicy(lastIncoming)
+                : this.policyService.evaluate({ chatId, isGroup: chatId.endsWith('@g.us') });
+            if (!policy.allowReply) {
+                console.log(`📋 Skipping secretary response for chat ${chatId}: ${policy.reason}`);
+                return;
+            }
+
             // Generate and send secretary response
-            const response = await this.generateResponse(context);
+            const audience = await this.getAudience(chatId, lastIncoming);
+            const booking = await this.prepareBooking(chatId, lastIncoming);
+            const response = await this.generateResponse({ ...context, owner: this.owner, persona: policy.persona, profile: policy.profile, audience, booking });
+
+            // In approval mode the owner sees the draft first; it is delivered once approved
+            if (policy.requireApproval && this.approvalService) {
+                const draft = await this.approvalService.submitDraft({
+                    chatId,
+                    chatName: lastIncoming?.chat.name !== 'Unknown' ? lastIncoming?.chat.name : undefined,
+                    text: response.content,
+                    model: response.model,
+                    autoSendAfterMs: policy.approvalTimeoutMs
+                });
+                await this.recordGeneratedReply(chatId, response, 'draft', draft.id);
+                return;
+            }
 
-            // Send the response via WhatsApp if client is connected
-            const messageSent = await this.sendWhatsAppMessage(chatId, response.content);
-            if (messageSent) {
-                console.log(`✅ Secretary response sent to ${chatId}: ${response.content.substring(0, 100)}...`);
-            } else {
-                console.error(`❌ Failed to send secretary response to ${chatId}`);
-                // Still log the response for debugging
-                console.log(`🤖 Generated secretary response (not sent): ${response.content}`);
+            const sent = await this.deliverReply(chatId, response.content, policy.cooldownMs);
+            await this.recordGeneratedReply(chatId, response, sent ? 'sent' : 'failed');
+
+        } catch (error) {
+            console.error(`❌ Error activating secretary mode for chat ${chatId}:`, error);
+        }
+    }
+
+    /**
+     * Log a generated reply with its prompt versions; a logging failure does not stop the reply
+     */
+    private async recordGeneratedReply(chatId: string, response: AIResponse, outcome: GeneratedReplyOutcome, draftId?: number): Promise<void> {
+        try {
+            await this.storageService.recordGeneratedReply({
+                chatId,
+                text: response.content,
+                model: response.model,
+                promptVersion: response.promptVersion,
+                confidence: response.confidence,
+                outcome,
+                draftId,
+                createdAt: Date.now()
+            });
+        } catch (error) {
+            console.error(`⚠️ Could not record the generated reply for ${chatId}:`, error);
+        }
+    }
+
+    /**
+     * Send a reply to a chat, record it in the conversation and start the cooldown.
+     * Returns false if the message could not be sent.
+     */
+    private async deliverReply(chatId: string, reply: string, cooldownMs?: number): Promise<boolean> {
+        const context = await this.conversationManager.getConversationContext(chatId);
+        const options = this.getReplyOptions(chatId, context);
+        const text = addMentions(reply, options.mentions);
+
+        // Send the response via WhatsApp if client is connected
+        const messageSent = await this.sendWhatsAppMessage(chatId, text, options);
+        if (!messageSent) {
+            console.error(`❌ Failed to send secretary response to ${chatId}`);
+            // Still log the response for debugging
+            console.log(`🤖 Generated secretary response (not sent): ${text}`);
+            return false;
+        }
+        console.log(`✅ Secretary response sent to ${chatId}${options.quotedMessageId ? ` quoting ${options.quotedMessageId}` : ''}: ${text.substring(0, 100)}...`);
+
+        // Create a bot message for the response
+        const botMessage: WhatsAppMessage = {
+            id: `bot_${Date.now()}_${chatId}`,
+            body: text,
+            from: 'secretary_bot',
+            to: chatId,
+            timestamp: Date.now(),
+            isGroupMsg: context?.recentMessages[0]?.isGroupMsg || chatId.endsWith('@g.us'),
+            chat: { id: chatId, name: context?.recentMessages[0]?.chat.name || 'Unknown' },
+            author: 'secretary_bot'
+        };
+
+        // Store the bot response
+        await this.conversationManager.addMessage(botMessage);
+        await this.conversationManager.updateLastResponseTime(chatId, Date.now());
+
+        // Start cooldown period after responding
+        this.timerService.startCooldown(chatId, cooldownMs ?? this.policyService.evaluate({ chatId, isGroup: chatId.endsWith('@g.us') }).cooldownMs);
+        return true;
+    }
+
+    /**
+     * Quote and mentions for a reply to the messages the contacts sent since the last reply
+     * or since the owner last wrote
+     */
+    private getReplyOptions(chatId: string, context: ConversationContext | null): ReplyOptions {
+        if (!config.app.quoteReplies || !context) {
+            return {};
+        }
+
+        const ownId: string | null = this.whatsappClient?.getOwnId ? this.whatsappClient.getOwnId() : null;
+        const unanswered: WhatsAppMessage[] = [];
+        for (const message of [...context.recentMessages].reverse()) {
+            if (this.isBotMessage(message) || this.isFromOwner(message) || (!!ownId && message.from === ownId)) {
+                break;
             }
+            unanswered.unshift(message);
+        }
 
-            // Create a bot message for the response
-            const botMessage: WhatsAppMessage = {
-                id: `bot_${Date.now()}_${chatId}`,
-                body: response.content,
-                from: 'secretary_bot',
-                to: chatId,
-                timestamp: Date.now(),
-                isGroupMsg: context.recentMessages[0]?.isGroupMsg || false,
-                chat: { id: chatId, name: context.recentMessages[0]?.chat.name || 'Unknown' },
-                author: 'secretary_bot'
-            };
+        return chooseReplyTarget(unanswered, chatId.endsWith('@g.us'));
+    }
 
-            // Store the bot response
-            await this.conversationManager.addMessage(botMessage);
-            await this.conversationManager.updateLastResponseTime(chatId, Date.now());
+    /**
+     * Show a new draft in the owner's own chat with the quick actions to decide on it
+     */
+    private async notifyOwnerOfDraft(draft: ReplyDraft): Promise<void> {
+        const ownId: string | null = this.whatsappClient?.getOwnId ? this.whatsappClient.getOwnId() : null;
+        const text = [
+            `📝 Draft #${draft.id} for ${draft.chatName || draft.chatId}:`,
+            '',
+            draft.draft,
+            '',
+            `/approve ${draft.id} · /edit ${draft.id} <text> · /reject ${draft.id}`,
+            draft.autoSendAt !== undefined
+                ? `Sends automatically in ${formatDuration(draft.autoSendAt - draft.createdAt)}.`
+                : 'Waiting for your decision.'
+        ].join('\n');
+
+        if (!ownId || !(await this.sendWhatsAppMessage(ownId, text))) {
+            console.log(`📝 Draft #${draft.id} (not delivered to owner chat, decide via the admin API): ${draft.draft}`);
+        }
+    }
 
-            // Start cooldown period after responding
-            this.timerService.startCooldown(chatId);
+    /**
+     * Show a new tentative hold in the owner's own chat with the commands to decide on it
+     */
+    private async notifyOwnerOfHold(booking: MeetingBooking): Promise<void> {
+        const ownId: string | null = this.whatsappClient?.getOwnId ? this.whatsappClient.getOwnId() : null;
+        const timezone = this.bookingService!.getTimezone();
+        const text = [
+            `📅 Meeting request #${booking.id} from ${booking.chatName || booking.chatId}:`,
+            `${formatSlot(booking.slot!, timezone)} (${timezone}), held tentatively.`,
+            '',
+            `/confirm ${booking.id} · /decline ${booking.id}`,
+            booking.expiresAt !== undefined ? `Released in ${formatDuration(booking.expiresAt - booking.updatedAt)} unless you confirm.` : ''
+        ].join('\n').trim();
+
+        if (!ownId || !(await this.sendWhatsAppMessage(ownId, text))) {
+            console.log(`📅 Hold #${booking.id} (not delivered to owner chat, decide via the admin API)`);
+        }
+    }
+
+    /**
+     * Tell the contact whether their meeting was confirmed or declined; a lapsed hold is only
+     * reported to the owner
+     */
+    private async announceBookingDecision(booking: MeetingBooking): Promise<void> {
+        const timezone = this.bookingService!.getTimezone();
+        const slot = `${formatSlot(booking.slot!, timezone)} (${timezone})`;
+
+        if (booking.status === 'expired') {
+            const ownId: string | null = this.whatsappClient?.getOwnId ? this.whatsappClient.getOwnId() : null;
+            const text = `📅 Meeting request #${booking.id} from ${booking.chatName || booking.chatId} (${slot}) was released because it was not confirmed.`;
+            if (!ownId || !(await this.sendWhatsAppMessage(ownId, text))) {
+                console.log(text);
+            }
+            return;
+        }
+
+        const language = await this.getChatLanguage(booking.chatId);
+        const strings = getReplyStrings(this.owner, language);
+        const contactSlot = `${formatSlot(booking.slot!, timezone, getLocale(language))} (${timezone})`;
+        const text = booking.status === 'confirmed'
+            ? strings.meetingConfirmed(contactSlot)
+            : strings.meetingDeclined(contactSlot);
+        await this.deliverReply(booking.chatId, text);
+    }
 
+    /**
+     * Language to write to a chat in: the one the contact last wrote in, else the default
+     */
+    private async getChatLanguage(chatId: string): Promise<Language> {
+        try {
+            const context = await this.conversationManager.getConversationContext(chatId);
+            return context?.language ?? detectConversationLanguage(context?.recentMessages ?? []) ?? config.app.defaultLanguage ?? 'en';
         } catch (error) {
-            console.error(`❌ Error activating secretary mode for chat ${chatId}:`, error);
+            console.error('Error detecting chat language:', error);
+            return config.app.defaultLanguage ?? 'en';
         }
     }
 
@@ -251,8 +597,9 @@ export class MessageHandler {
             console.error('Error generating response:', error);
 
             // Return fallback response
+            const language = context.language ?? detectConversationLanguage(context.recentMessages) ?? config.app.defaultLanguage;
             return {
-                content: "Thank you for your message. I'll make sure Gilad receives this and gets back to you as soon as possible.",
+                content: getReplyStrings(this.owner, language).receivedWithFollowUp,
                 confidence: 0.1,
                 tokens_used: 0,
                 model: 'fallback'
@@ -291,7 +638,7 @@ export class MessageHandler {
     /**
      * Check if we should respond to an ongoing conversation
      */
-    private async shouldRespondToOngoingConversation(message: WhatsAppMessage): Promise<boolean> {
+    private async shouldRespondToOngoingConversation(message: WhatsAppMessage, policy: PolicyDecision): Promise<boolean> {
         // Don't respond if in cooldown
         if (this.timerService.isInCooldown(message.chat.id)) {
             console.log(`Chat ${message.chat.id} is in cooldown, skipping response`);
@@ -303,8 +650,14 @@ export class MessageHandler {
             return false;
         }
 
+        // "Always reply" chats skip the relevance analysis
+        if (policy.alwaysReply) {
+            console.log(`Chat ${message.chat.id} has an always-reply policy, will respond`);
+            return true;
+        }
+
         // Analyze message for urgency or business importance
-        const analysis = this.analyzeMessage(message);
+        const analysis = await this.analyzeMessage(message);
 
         // Respond to high-urgency messages even in ongoing conversations
         if (analysis.urgency === 'high') {
@@ -322,34 +675,114 @@ export class MessageHandler {
     }
 
     /**
-     * Parse raw WhatsApp message into our format
+     * Record a reaction in the conversation. Reactions are stored and kept in the
+     * context so the assistant knows about them, but never trigger a reply.
+     */
+    public async handleReaction(reaction: any): Promise<void> {
+        try {
+            // Removing a reaction arrives as an empty reaction text
+            if (!reaction?.reaction) {
+                return;
+            }
+
+            const chatId: string = reaction.id?.remote?._serialized || reaction.id?.remote;
+            if (!chatId) {
+                return;
+            }
+
+            // The assistant never reacts, so the owner's reaction shows they have seen the chat
+            if (reaction.id?.fromMe) {
+                await this.escalationService?.acknowledgeChat(chatId, 'reaction');
+                return;
+            }
+
+            const targetMessageId: string = reaction.msgId?._serialized || '';
+            const target = targetMessageId ? await this.storageService.getMessageByWhatsAppId(targetMessageId) : null;
+            const message: WhatsAppMessage = {
+                id: reaction.id._serialized || `${chatId}_${reaction.timestamp}`,
+                body: describeReaction(reaction.reaction, target?.body),
+                from: chatId,
+                to: '',
+                timestamp: (reaction.timestamp || Math.floor(Date.now() / 1000)) * 1000,
+                isGroupMsg: chatId.endsWith('@g.us'),
+                chat: {
+                    id: chatId,
+                    name: target?.chat.name || ''
+                },
+                author: reaction.senderId || chatId,
+                type: MessageType.REACTION,
+                reaction: { emoji: reaction.reaction, targetMessageId, targetBody: target?.body }
+            };
+
+            await this.storageService.storeMessage(message, this.isFromOwner(message));
+            await this.conversationManager.addMessage(message);
+            console.log(`${reaction.reaction} Reaction from ${message.author} in chat ${chatId}`);
+        } catch (error) {
+            console.error('❌ Error handling reaction:', error);
+        }
+    }
+
+    /**
+     * Parse raw WhatsApp message into our format. Locations and contact cards get a readable
+     * body, the structured data is kept in typed fields.
      */
     private parseMessage(rawMessage: any): WhatsAppMessage {
-        return {
+        // A message sent from the linked account belongs to the chat it was sent to
+        const chatId: string = rawMessage.fromMe ? rawMessage.to : rawMessage.from;
+        const message: WhatsAppMessage = {
             id: rawMessage.id._serialized || rawMessage.id,
             body: rawMessage.body || '',
             from: rawMessage.from,
             to: rawMessage.to,
             timestamp: rawMessage.timestamp * 1000, // Convert to milliseconds
-            isGroupMsg: rawMessage.isGroupMsg || false,
+            isGroupMsg: rawMessage.isGroupMsg || chatId?.endsWith('@g.us') || false,
             chat: {
-                id: rawMessage.from,
+                id: chatId,
                 name: rawMessage.chat?.name || 'Unknown'
             },
-            author: rawMessage.author || rawMessage.from
+            author: rawMessage.author || rawMessage.from,
+            type: getMessageType(rawMessage)
         };
+
+        if (message.type === MessageType.LOCATION) {
+            // The body of a location message is a map thumbnail, not text
+            message.location = parseLocation(rawMessage);
+            message.body = message.location ? describeLocation(message.location) : '[Location]';
+        } else if (message.type === MessageType.CONTACT) {
+            const vCards: string[] = rawMessage.vCards?.length ? rawMessage.vCards : [rawMessage.body].filter(Boolean);
+            message.contacts = vCards.map(parseVCard);
+            message.body = message.contacts.length > 0 ? describeContacts(message.contacts) : '[Contact]';
+        }
+
+        return message;
     }
 
     /**
-     * Check if message is a media message
+     * Look up the message a reply quotes
      */
-    private isMediaMessage(rawMessage: any): boolean {
-        return rawMessage.hasMedia ||
-               rawMessage.type === 'image' ||
-               rawMessage.type === 'audio' ||
-               rawMessage.type === 'video' ||
-               rawMessage.type === 'document' ||
-               rawMessage.type === 'sticker';
+    private async parseQuotedMessage(rawMessage: any): Promise<QuotedMessage | undefined> {
+        if (!rawMessage.hasQuotedMsg) {
+            return undefined;
+        }
+
+        // whatsapp-web.js keeps the quoted message in the raw data; fetch it only when that is missing
+        const data = rawMessage._data || {};
+        let quoted: any = data.quotedMsg ? { ...data.quotedMsg, id: data.quotedStanzaID, from: data.quotedParticipant } : undefined;
+        if (!quoted?.id && typeof rawMessage.getQuotedMessage === 'function') {
+            try {
+                const fetched = await rawMessage.getQuotedMessage();
+                quoted = fetched ? { type: fetched.type, body: fetched.body, id: fetched.id?._serialized || fetched.id, from: fetched.author || fetched.from } : quoted;
+            } catch (error) {
+                console.warn('⚠️ Could not load quoted message:', error instanceof Error ? error.message : error);
+            }
+        }
+        if (!quoted) {
+            return undefined;
+        }
+
+        const type = getMessageType(quoted);
+        const body = type === MessageType.TEXT ? quoted.body || '' : `[${type}]${quoted.caption ? ` ${quoted.caption}` : ''}`;
+        return { id: quoted.id || '', body: truncate(body), from: quoted.from || undefined };
     }
 
     /**
@@ -371,7 +804,7 @@ export class MessageHandler {
 
         // Enhanced logic for secretary mode
         if (this.secretaryMode) {
-            const analysis = this.analyzeMessage(message);
+            const analysis = await this.analyzeMessage(message);
 
             // Always respond to high urgency messages
             if (analysis.urgency === 'high') {
@@ -397,156 +830,251 @@ export class MessageHandler {
     }
 
     /**
-     * Analyze message content for better response decisions
+     * Classify a message or turn once and store the result with it, so reply decisions can be audited
      */
-    private analyzeMessage(message: WhatsAppMessage): MessageAnalysis {
-        const body = message.body.toLowerCase();
-
-        // Determine urgency
-        const urgentKeywords = ['urgent', 'asap', 'emergency', 'immediately', 'critical', 'deadline'];
-        const urgency = urgentKeywords.some(keyword => body.includes(keyword)) ? 'high' : 'medium';
+    private async analyzeMessage(message: WhatsAppMessage): Promise<MessageAnalysis> {
+        if (message.analysis) {
+            return message.analysis;
+        }
 
-        // Determine category
-        const businessKeywords = ['meeting', 'project', 'work', 'business', 'client', 'proposal', 'contract'];
-        const personalKeywords = ['how are you', 'family', 'friend', 'weekend', 'vacation'];
+        message.analysis = this.messageClassifier
+            ? await this.messageClassifier.classify(message.body)
+            : analyzeKeywords(message.body);
+        try {
+            await this.storageService.storeMessageAnalysis(message.id, message.analysis);
+        } catch (error) {
+            console.error('❌ Failed to store message analysis:', error);
+        }
+        return message.analysis;
+    }
 
-        let category: MessageAnalysis['category'] = 'other';
-        if (businessKeywords.some(keyword => body.includes(keyword))) {
-            category = 'business';
-        } else if (personalKeywords.some(keyword => body.includes(keyword))) {
-            category = 'personal';
+    /**
+     * Alert the owner when a VIP contact sends an urgent message
+     */
+    private async escalateIfUrgent(message: WhatsAppMessage): Promise<void> {
+        // Policy first, so only messages from VIP contacts are classified before the burst window ends
+        if (!this.escalationService?.isEnabled() || !this.evaluatePolicy(message).vip) {
+            return;
+        }
+        if ((await this.analyzeMessage(message)).urgency !== 'high') {
+            return;
         }
 
-        // Determine if response is required
-        const requiresResponse = body.includes('?') ||
-                               body.includes('please') ||
-                               body.includes('can you') ||
-                               body.includes('could you') ||
-                               urgency === 'high';
+        try {
+            await this.escalationService.escalate({
+                chatId: message.chat.id,
+                chatName: message.chat.name !== 'Unknown' ? message.chat.name : undefined,
+                senderId: message.author || message.from,
+                text: message.body
+            });
+        } catch (error) {
+            console.error('❌ Failed to escalate urgent message:', error);
+        }
+    }
 
-        // Basic sentiment analysis
-        const positiveWords = ['good', 'great', 'excellent', 'happy', 'thanks', 'thank you'];
-        const negativeWords = ['bad', 'terrible', 'problem', 'issue', 'angry', 'frustrated'];
+    /**
+     * Whether a turn belongs to the meeting booking flow: the contact is answering offered times
+     * (replied to even during the cooldown) or asks to meet
+     */
+    private async isBookingTurn(message: WhatsAppMessage): Promise<boolean> {
+        if (!this.bookingService || !this.secretaryMode) {
+            return false;
+        }
+        if (this.bookingService.isAwaitingChoice(message.chat.id)) {
+            return true;
+        }
+        if (this.timerService.isInCooldown(message.chat.id)) {
+            return false;
+        }
+        return (await this.analyzeMessage(message)).keyTopics.includes('meeting_request');
+    }
 
-        let sentiment: MessageAnalysis['sentiment'] = 'neutral';
-        if (positiveWords.some(word => body.includes(word))) {
-            sentiment = 'positive';
-        } else if (negativeWords.some(word => body.includes(word))) {
-            sentiment = 'negative';
+    /**
+     * Offer meeting slots or hold the one the contact chose; the result tells the reply what to say
+     */
+    private async prepareBooking(chatId: string, lastIncoming?: WhatsAppMessage): Promise<BookingPrompt | undefined> {
+        if (!this.bookingService || !lastIncoming?.body) {
+            return undefined;
         }
 
-        return {
-            sentiment,
-            urgency,
-            category,
-            keyTopics: [], // Could be enhanced with NLP
-            requiresResponse,
-            confidence: 0.7 // Basic confidence score
-        };
+        try {
+            return await this.bookingService.handleMessage({
+                chatId,
+                chatName: lastIncoming.chat.name !== 'Unknown' ? lastIncoming.chat.name : undefined,
+                contactId: lastIncoming.author || lastIncoming.from,
+                text: lastIncoming.body
+            });
+        } catch (error) {
+            console.error(`❌ Meeting booking failed for chat ${chatId}:`, error);
+            return undefined;
+        }
     }
 
     /**
-     * Schedule a response after the configured delay
+     * Schedule a response after the configured delay. It goes out like any secretary reply:
+     * through the approval flow when the policy asks for it, quoted and with a cooldown once sent.
      */
-    private async scheduleResponse(message: WhatsAppMessage): Promise<void> {
+    private async scheduleResponse(message: WhatsAppMessage, policy: PolicyDecision): Promise<void> {
         console.log(`Scheduling response for chat ${message.chat.id}`);
 
         this.timerService.scheduleResponse(
             message.chat.id,
-            async () => {
-                await this.generateAndSendResponse(message);
-            }
+            () => this.activateSecretaryMode(message.chat.id),
+            policy.responseDelayMs
         );
     }
 
     /**
-     * Generate and send AI response using secretary mode if enabled
+     * Enable or disable secretary mode
      */
-    private async generateAndSendResponse(message: WhatsAppMessage): Promise<void> {
-        try {
-            console.log(`Generating response for chat ${message.chat.id}`);
+    public setSecretaryMode(enabled: boolean): void {
+        this.secretaryMode = enabled;
+        console.log(`Secretary mode ${enabled ? 'enabled' : 'disabled'}`);
+    }
 
-            const context = await this.conversationManager.getConversationContext(message.chat.id);
-            if (!context) {
-                console.error('No conversation context found');
-                return;
-            }
+    /**
+     * Get current secretary mode status
+     */
+    public isSecretaryModeEnabled(): boolean {
+        return this.secretaryMode;
+    }
 
-            // Use secretary response generation if enabled
-            const response = this.secretaryMode
-                ? await this.responseGenerator.generateSecretaryResponse(context)
-                : await this.responseGenerator.generateResponse(context);
-
-            // Here we would send the message back through the WhatsApp client
-            // For now, just log it
-            console.log(`Generated response (${response.model}): ${response.content}`);
-            console.log(`Response confidence: ${response.confidence}, Tokens used: ${response.tokens_used}`);
-
-            // Start cooldown period
-            this.timerService.startCooldown(message.chat.id);
-
-            // Update conversation with bot response
-            const botMessage: WhatsAppMessage = {
-                id: `bot_${Date.now()}`,
-                body: response.content,
-                from: 'bot',
-                to: message.chat.id,
-                timestamp: Date.now(),
-                isGroupMsg: message.isGroupMsg,
-                chat: message.chat,
-                author: 'bot'
-            };
+    /**
+     * Check if a raw message is a command the owner sent to their own chat
+     */
+    public isOwnerCommand(rawMessage: any): boolean {
+        if (!rawMessage.fromMe || !OwnerCommandHandler.isCommand(rawMessage.body)) {
+            return false;
+        }
 
-            await this.conversationManager.addMessage(botMessage);
-            await this.conversationManager.updateLastResponseTime(message.chat.id, Date.now());
+        const ownId: string | null = this.whatsappClient?.getOwnId ? this.whatsappClient.getOwnId() : null;
+        return rawMessage.to === rawMessage.from || (!!ownId && rawMessage.to === ownId);
+    }
 
-        } catch (error) {
-            console.error('Error generating response:', error);
+    /**
+     * Execute an owner command and reply in the owner's chat
+     */
+    private async handleOwnerCommand(message: WhatsAppMessage): Promise<void> {
+        console.log(`🛠️ Owner command: ${message.body}`);
+        const reply = await this.ownerCommands.execute(message.body);
 
-            // Send fallback response in case of error
-            const fallbackMessage = this.secretaryMode
-                ? "Thank you for your message. I'll make sure Gilad receives this."
-                : "I apologize, but I encountered an issue. Please try again later.";
+        const sent = await this.sendWhatsAppMessage(message.chat.id, reply);
+        if (!sent) {
+            console.log(`🛠️ Owner command reply (not sent): ${reply}`);
+        }
+    }
+
+    /**
+     * Why automatic replies are currently suppressed for a chat, or null if they are allowed
+     */
+    public getAutoReplySuppression(chatId: string): string | null {
+        const pausedUntil = this.getPausedUntil();
+        if (pausedUntil !== null) {
+            return 'auto-replies paused by owner';
+        }
 
-            console.log(`Fallback response: ${fallbackMessage}`);
+        if (this.isChatMuted(chatId)) {
+            return 'chat muted by owner';
         }
+
+        return null;
     }
 
     /**
-     * Enable or disable secretary mode
+     * Pause all automatic replies, optionally for a limited time
      */
-    public setSecretaryMode(enabled: boolean): void {
-        this.secretaryMode = enabled;
-        console.log(`Secretary mode ${enabled ? 'enabled' : 'disabled'}`);
+    public pauseAutoReplies(durationMs?: number): void {
+        this.pausedUntil = durationMs ? Date.now() + durationMs : Infinity;
+        console.log(`⏸️ Auto-replies paused${durationMs ? ` for ${durationMs}ms` : ' until resumed'}`);
     }
 
     /**
-     * Get current secretary mode status
+     * Resume automatic replies
      */
-    public isSecretaryModeEnabled(): boolean {
-        return this.secretaryMode;
+    public resumeAutoReplies(): void {
+        this.pausedUntil = null;
+        console.log('▶️ Auto-replies resumed');
     }
 
     /**
-     * Handle specific message types (future enhancement)
+     * Get the pause end time (Infinity = until resumed), or null if not paused
      */
-    public async handleSpecialMessage(message: WhatsAppMessage, messageType: MessageType): Promise<void> {
-        switch (messageType) {
-            case MessageType.IMAGE:
-                console.log('Handling image message');
-                // Could implement image analysis
-                break;
-            case MessageType.AUDIO:
-                console.log('Handling audio message');
-                // Could implement speech-to-text
-                break;
-            case MessageType.DOCUMENT:
-                console.log('Handling document message');
-                // Could implement document processing
-                break;
-            default:
-                console.log(`Handling ${messageType} message`);
+    public getPausedUntil(): number | null {
+        if (this.pausedUntil !== null && this.pausedUntil <= Date.now()) {
+            this.pausedUntil = null;
+        }
+        return this.pausedUntil;
+    }
+
+    /**
+     * Evaluate the chat and contact policies for a message
+     */
+    private evaluatePolicy(message: WhatsAppMessage): PolicyDecision {
+        return this.policyService.evaluate({
+            chatId: message.chat.id,
+            senderId: message.author || message.from,
+            isGroup: message.isGroupMsg
+        });
+    }
+
+    /**
+     * Check if a message was sent by the assistant itself
+     */
+    private isBotMessage(message: WhatsAppMessage): boolean {
+        return message.from === 'secretary_bot' || message.from === 'bot';
+    }
+
+    /**
+     * Mute automatic replies for a chat, optionally for a limited time (persisted in the chat policy)
+     */
+    public async muteChat(chatId: string, durationMs?: number): Promise<void> {
+        await this.policyService.mute(chatId, durationMs);
+        console.log(`🔇 Muted chat ${chatId}${durationMs ? ` for ${durationMs}ms` : ''}`);
+    }
+
+    /**
+     * Unmute a chat. Returns false if it was not muted.
+     */
+    public async unmuteChat(chatId: string): Promise<boolean> {
+        const wasMuted = await this.policyService.unmute(chatId);
+        if (wasMuted) {
+            console.log(`🔊 Unmuted chat ${chatId}`);
+        }
+        return wasMuted;
+    }
+
+    /**
+     * Check if a chat is muted
+     */
+    public isChatMuted(chatId: string): boolean {
+        return this.policyService.isMuted(chatId);
+    }
+
+    /**
+     * Get currently muted chats
+     */
+    public getMutedChats(): Array<{ chatId: string; until: number }> {
+        return this.policyService.getMutedChats();
+    }
+
+    /**
+     * Replace a media message's body with its transcript or description so it is
+     * stored, added to the conversation context and answered like text
+     */
+    public async handleSpecialMessage(message: WhatsAppMessage, rawMessage: any): Promise<void> {
+        if (!this.mediaService) {
+            return;
         }
+
+        const description = await this.mediaService.describe(rawMessage);
+        if (!description) {
+            return;
+        }
+
+        message.type = description.type;
+        message.body = description.text;
+        message.media = description.media;
+        console.log(`🎙️ ${description.type} message in chat ${message.chat.id}${description.media.extracted ? ' converted to text' : ''}`);
     }
 
     /**
@@ -557,17 +1085,44 @@ export class MessageHandler {
         console.log('📱 WhatsApp client connected to MessageHandler');
     }
 
+    /**
+     * Send a message to the owner's own chat. Returns false if it could not be sent.
+     */
+    private async sendToOwner(text: string): Promise<boolean> {
+        const ownId: string | null = this.whatsappClient?.getOwnId ? this.whatsappClient.getOwnId() : null;
+        return !!ownId && this.sendWhatsAppMessage(ownId, text);
+    }
+
+    /**
+     * Who a reply is for; decides which knowledge base entries it may use. The sender counts as
+     * a known contact only when WhatsApp confirms they are in the owner's address book.
+     */
+    private async getAudience(chatId: string, message?: WhatsAppMessage): Promise<KnowledgeAudience> {
+        const senderId = message ? message.author || message.from : undefined;
+        if (!senderId || !this.whatsappClient) {
+            return { chatId, senderId, isKnownContact: false };
+        }
+
+        try {
+            const contact = await this.whatsappClient.getContactById(senderId);
+            return { chatId, senderId, isKnownContact: contact?.isMyContact === true };
+        } catch (error) {
+            console.error(`⚠️ Could not look up contact ${senderId}:`, error instanceof Error ? error.message : error);
+            return { chatId, senderId, isKnownContact: false };
+        }
+    }
+
     /**
      * Send message via WhatsApp client
      */
-    private async sendWhatsAppMessage(chatId: string, message: string): Promise<boolean> {
+    private async sendWhatsAppMessage(chatId: string, message: string, options?: ReplyOptions): Promise<boolean> {
         if (!this.whatsappClient) {
             console.error('❌ WhatsApp client not connected to MessageHandler');
             return false;
         }
 
         try {
-            await this.whatsappClient.sendMessage(chatId, message);
+            await this.whatsappClient.sendMessage(chatId, message, options);
             return true;
         } catch (error) {
             console.error('❌ Failed to send WhatsApp message:', error);
@@ -580,32 +1135,46 @@ export class MessageHandler {
      */
     public getProcessingStats(): {
         messagesProcessed: number;
-        giladMessagesDetected: number;
+        ownerMessagesDetected: number;
         secretaryResponsesGenerated: number;
         conversationThreadsDetected: number;
     } {
         // This would need to be implemented with actual counters
         return {
             messagesProcessed: 0,
-            giladMessagesDetected: 0,
+            ownerMessagesDetected: 0,
             secretaryResponsesGenerated: 0,
             conversationThreadsDetected: 0
         };
     }
 
     /**
-     * Update Gilad identifiers (for dynamic configuration)
+     * Update the owner's identifiers (for dynamic configuration)
+     */
+    public updateOwnerIdentifiers(identifiers: string[]): void {
+        this.ownerIdentifiers = identifiers.filter(id => id.length > 0);
+        console.log(`👤 Updated owner identifiers: ${this.ownerIdentifiers.length} patterns`);
+    }
+
+    /**
+     * Get the configured owner identifiers
+     */
+    public getOwnerIdentifiers(): string[] {
+        return [...this.ownerIdentifiers];
+    }
+
+    /**
+     * Set the owner's WhatsApp ID directly
      */
-    public updateGiladIdentifiers(identifiers: string[]): void {
-        this.giladIdentifiers = identifiers.filter(id => id.length > 0);
-        console.log(`👤 Updated Gilad identifiers: ${this.giladIdentifiers.length} patterns`);
+    public setOwnerWhatsAppId(whatsappId: string): void {
+        this.ownerWhatsAppId = whatsappId;
+        console.log(`👤 Set owner WhatsApp ID: ${whatsappId}`);
     }
 
     /**
-     * Set Gilad WhatsApp ID directly
+     * The owner the assistant answers for
      */
-    public setGiladWhatsAppId(whatsappId: string): void {
-        this.giladWhatsAppId = whatsappId;
-        console.log(`👤 Set Gilad WhatsApp ID: ${whatsappId}`);
+    public getOwner(): OwnerProfile {
+        return this.owner;
     }
 }
\ No newline at end of file
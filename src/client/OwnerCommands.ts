@@ -0,0 +1,793 @@
+import { MessageHandler } from './MessageHandler';
+import { TimerService } from '../services/TimerService';
+import { ConversationManager } from '../services/ConversationManager';
+import { PolicyService, ChatPolicyPatch } from '../services/PolicyService';
+import { AvailabilityService } from '../services/AvailabilityService';
+import { ApprovalService } from '../services/ApprovalService';
+import { BookingService } from '../services/BookingService';
+import { DigestService } from '../services/DigestService';
+import { EscalationService } from '../services/EscalationService';
+import { AvailabilityState, ChatPolicy, MeetingBooking, ReplyDraft } from '../types';
+import { parseDuration, formatDuration } from '../utils/duration';
+import { formatZonedTime, parseTimeOfDay, zonedTimeToInstant } from '../utils/businessHours';
+import { formatSlot } from '../utils/meetingSlots';
+
+/**
+ * Parsed owner command
+ */
+export interface OwnerCommand {
+    name: string;
+    args: string[];
+    raw: string;
+}
+
+/**
+ * Resolved chat reference
+ */
+interface ChatTarget {
+    id: string;
+    name: string;
+}
+
+const COMMAND_PREFIX = '/';
+
+const POLICY_KEYWORDS = ['never', 'always', 'default', 'delay', 'cooldown', 'persona', 'profile', 'hours', 'approval', 'autosend', 'vip', 'clear'];
+
+const POLICY_USAGE = '/policy <chat> [never|always|default|delay <dur>|cooldown <dur>|persona <text>|profile <name>|default|hours on|off|approval on|off|default|autosend <dur>|never|default|vip on|off|default|clear]';
+
+const HELP_TEXT = [
+    '🤖 Owner commands:',
+    '/status - current mode, pause, mutes and timers',
+    '/pause [duration] - stop auto-replies (e.g. /pause 2h; no duration = until /resume)',
+    '/resume - resume auto-replies',
+    '/mute <chat> [duration] - never auto-reply in a chat',
+    '/unmute <chat> - allow auto-replies in a chat again',
+    '/cooldown clear <chat|all> - end a cooldown early',
+    `${POLICY_USAGE} - show or change a chat policy`,
+    '/drafts - replies waiting for approval',
+    '/approve [id] - send a draft (default: the latest)',
+    '/edit [id] <text> - send your text instead of the draft',
+    '/reject [id] - drop a draft',
+    '/bookings - meeting requests waiting for you and upcoming meetings',
+    '/confirm [id] - confirm a held meeting (default: the latest)',
+    '/decline [id] - decline a held meeting and free the slot',
+    '/digest - digest of the conversations handled since the last one',
+    '/alerts - urgent messages waiting for you',
+    '/ack [id|all] - stop the alerts about an urgent message (default: the latest)',
+    '/ooo [<return date|duration> [note]|off] - out of office (e.g. /ooo 2026-10-26 At a conference, /ooo 3d)',
+    '/mode on|off - secretary mode',
+    '/owner [id ...] - show or replace the owner identifiers',
+    '<chat> is a chat ID, phone number or part of the chat name.'
+].join('\n');
+
+/**
+ * Parses and executes commands the owner sends to their own chat ("Message yourself")
+ */
+export class OwnerCommandHandler {
+    private messageHandler: MessageHandler;
+    private timerService: TimerService;
+    private conversationManager: ConversationManager;
+    private policyService: PolicyService;
+    private availabilityService?: AvailabilityService;
+    private approvalService?: ApprovalService;
+    private bookingService?: BookingService;
+    private digestService?: DigestService;
+    private escalationService?: EscalationService;
+
+    constructor(
+        messageHandler: MessageHandler,
+        timerService: TimerService,
+        conversationManager: ConversationManager,
+        policyService: PolicyService,
+        availabilityService?: AvailabilityService,
+        approvalService?: ApprovalService,
+        bookingService?: BookingService,
+        digestService?: DigestService,
+        escalationService?: EscalationService
+    ) {
+        this.messageHandler = messageHandler;
+        this.timerService = timerService;
+        this.conversationManager = conversationManager;
+        this.policyService = policyService;
+        this.availabilityService = availabilityService;
+        this.approvalService = approvalService;
+        this.bookingService = bookingService;
+        this.digestService = digestService;
+        this.escalationService = escalationService;
+    }
+
+    /**
+     * Check if text looks like an owner command
+     */
+    public static isCommand(text: string | undefined): boolean {
+        return !!text && text.trim().startsWith(COMMAND_PREFIX) && text.trim().length > 1;
+    }
+
+    /**
+     * Split command text into name and arguments
+     */
+    public static parse(text: string): OwnerCommand | null {
+        if (!OwnerCommandHandler.isCommand(text)) {
+            return null;
+        }
+
+        const [head, ...args] = text.trim().slice(COMMAND_PREFIX.length).split(/\s+/);
+        return { name: head.toLowerCase(), args, raw: text.trim() };
+    }
+
+    /**
+     * Execute a command and return the reply summarising its effect
+     */
+    public async execute(text: string): Promise<string> {
+        const command = OwnerCommandHandler.parse(text);
+        if (!command) {
+            return HELP_TEXT;
+        }
+
+        try {
+            switch (command.name) {
+                case 'help':
+                    return HELP_TEXT;
+                case 'status':
+                    return await this.status();
+                case 'pause':
+                    return await this.pause(command.args);
+                case 'resume':
+                    return await this.resume();
+                case 'mute':
+                    return await this.mute(command.args);
+                case 'unmute':
+                    return await this.unmute(command.args);
+                case 'cooldown':
+                    return await this.cooldown(command.args);
+                case 'policy':
+                    return await this.policy(command.args);
+                case 'ooo':
+                    return await this.outOfOffice(command.args);
+                case 'mode':
+                    return await this.mode(command.args);
+                case 'owner':
+                    return await this.owner(command.args);
+                case 'drafts':
+                    return this.drafts();
+                case 'approve':
+                case 'reject':
+                case 'edit':
+                    return await this.decideDraft(command);
+                case 'bookings':
+                    return this.bookings();
+                case 'confirm':
+                case 'decline':
+                    return await this.decideBooking(command);
+                case 'digest':
+                    return await this.digest();
+                case 'alerts':
+                    return this.alerts();
+                case 'ack':
+                    return await this.acknowledge(command.args);
+                default:
+                    return `🤖 Unknown command /${command.name}. Send /help for the list of commands.`;
+            }
+        } catch (error) {
+            console.error(`❌ Owner command failed: ${command.raw}`, error);
+            return `🤖 Command failed: ${error instanceof Error ? error.message : 'Unknown error'}`;
+        }
+    }
+
+    /**
+     * /status
+     */
+    private async status(): Promise<string> {
+        const now = Date.now();
+        const pausedUntil = this.messageHandler.getPausedUntil();
+        const timerStats = this.timerService.getTimerStats();
+        const conversationStats = this.conversationManager.getConversationStats();
+        const mutedChats = this.messageHandler.getMutedChats();
+
+        const lines = [
+            '🤖 Status',
+            `Secretary mode: ${this.messageHandler.isSecretaryModeEnabled() ? 'ON' : 'OFF'}`,
+            `Auto-replies: ${pausedUntil === null
+                ? 'active'
+                : pausedUntil === Infinity ? 'paused until /resume' : `paused for ${formatDuration(pausedUntil - now)}`}`,
+            `Conversations: ${conversationStats.activeConversations} active / ${conversationStats.totalConversations} total`,
+            `Timers: ${timerStats.activeResponseTimers} pending replies, ${timerStats.chatsInCooldown} chats in cooldown`
+        ];
+
+        if (this.availabilityService) {
+            lines.push(`Availability: ${this.describeAvailability(this.availabilityService.getAvailability())}`);
+        }
+
+        const pendingDrafts = this.approvalService?.getPendingDrafts().length ?? 0;
+        if (pendingDrafts > 0) {
+            lines.push(`Drafts: ${pendingDrafts} waiting for approval (/drafts)`);
+        }
+
+        const holds = this.bookingService?.getHolds().length ?? 0;
+        if (holds > 0) {
+            lines.push(`Meetings: ${holds} waiting for confirmation (/bookings)`);
+        }
+
+        const alerts = this.escalationService?.getOpenEscalations().length ?? 0;
+        if (alerts > 0) {
+            lines.push(`Alerts: ${alerts} urgent message${alerts === 1 ? '' : 's'} waiting for you (/alerts)`);
+        }
+
+        if (mutedChats.length > 0) {
+            const labels = await Promise.all(mutedChats.map(async mute =>
+                `${await this.describeChat(mute.chatId)}${mute.until === Infinity ? '' : ` (${formatDuration(mute.until - now)})`}`
+            ));
+            lines.push(`Muted: ${labels.join(', ')}`);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * /pause [duration]
+     */
+    private pause(args: string[]): string {
+        if (args.length === 0) {
+            this.messageHandler.pauseAutoReplies();
+            return '🤖 Auto-replies paused until you send /resume.';
+        }
+
+        const duration = parseDuration(args.join(''));
+        if (duration === null) {
+            return `🤖 Could not understand "${args.join(' ')}". Try /pause 30m, /pause 2h or /pause 1d.`;
+        }
+
+        this.messageHandler.pauseAutoReplies(duration);
+        const cancelled = this.timerService.getTimerStats().activeResponseTimers;
+        return `🤖 Auto-replies paused for ${formatDuration(duration)}.${cancelled > 0 ? ` ${cancelled} pending replies will be skipped.` : ''}`;
+    }
+
+    /**
+     * /resume
+     */
+    private resume(): string {
+        const wasPaused = this.messageHandler.getPausedUntil() !== null;
+        this.messageHandler.resumeAutoReplies();
+        return wasPaused ? '🤖 Auto-replies resumed.' : '🤖 Auto-replies were not paused.';
+    }
+
+    /**
+     * /mute <chat> [duration]
+     */
+    private async mute(args: string[]): Promise<string> {
+        if (args.length === 0) {
+            return '🤖 Usage: /mute <chat> [duration]';
+        }
+
+        // A trailing duration is optional: "/mute John Smith 2h"
+        let duration: number | null = null;
+        let chatArgs = args;
+        if (args.length > 1) {
+            duration = parseDuration(args[args.length - 1]);
+            if (duration !== null) {
+                chatArgs = args.slice(0, -1);
+            }
+        }
+
+        const target = await this.resolveChat(chatArgs.join(' '));
+        if (typeof target === 'string') {
+            return target;
+        }
+
+        await this.messageHandler.muteChat(target.id, duration ?? undefined);
+        this.timerService.cancelTimer(target.id);
+        return `🤖 Muted ${target.name}${duration !== null ? ` for ${formatDuration(duration)}` : ''}. No auto-replies will be sent there.`;
+    }
+
+    /**
+     * /unmute <chat>
+     */
+    private async unmute(args: string[]): Promise<string> {
+        const target = await this.resolveChat(args.join(' '));
+        if (typeof target === 'string') {
+            return target;
+        }
+
+        return await this.messageHandler.unmuteChat(target.id)
+            ? `🤖 Unmuted ${target.name}.`
+            : `🤖 ${target.name} was not muted.`;
+    }
+
+    /**
+     * /cooldown clear <chat|all>
+     */
+    private async cooldown(args: string[]): Promise<string> {
+        if (args[0]?.toLowerCase() !== 'clear' || args.length < 2) {
+            return '🤖 Usage: /cooldown clear <chat|all>';
+        }
+
+        const chatArg = args.slice(1).join(' ');
+        if (chatArg.toLowerCase() === 'all') {
+            const chats = this.timerService.getActiveTimers()
+                .filter(timer => timer.isInCooldown)
+                .map(timer => timer.chatId);
+            chats.forEach(chatId => this.timerService.clearCooldown(chatId));
+            return `🤖 Cleared cooldown for ${chats.length} chat${chats.length === 1 ? '' : 's'}.`;
+        }
+
+        const target = await this.resolveChat(chatArg);
+        if (typeof target === 'string') {
+            return target;
+        }
+
+        const wasInCooldown = this.timerService.isInCooldown(target.id);
+        this.timerService.clearCooldown(target.id);
+        return wasInCooldown
+            ? `🤖 Cooldown cleared for ${target.name}. The assistant may reply there again.`
+            : `🤖 ${target.name} was not in cooldown.`;
+    }
+
+    /**
+     * /policy <chat> [setting]
+     */
+    private async policy(args: string[]): Promise<string> {
+        const keywordIndex = args.findIndex(arg => POLICY_KEYWORDS.includes(arg.toLowerCase()));
+        const chatArgs = keywordIndex === -1 ? args : args.slice(0, keywordIndex);
+        if (chatArgs.length === 0) {
+            return `🤖 Usage: ${POLICY_USAGE}`;
+        }
+
+        const target = await this.resolveChat(chatArgs.join(' '));
+        if (typeof target === 'string') {
+            return target;
+        }
+
+        if (keywordIndex === -1) {
+            const existing = this.policyService.getPolicy(target.id);
+            return existing
+                ? `🤖 Policy for ${target.name}: ${this.describePolicy(existing)}`
+                : `🤖 ${target.name} has no policy and follows the defaults.`;
+        }
+
+        const keyword = args[keywordIndex].toLowerCase();
+        const rest = args.slice(keywordIndex + 1);
+        let patch: ChatPolicyPatch;
+
+        switch (keyword) {
+            case 'never':
+            case 'always':
+            case 'default':
+                patch = { mode: keyword };
+                break;
+            case 'delay':
+            case 'cooldown': {
+                const field = keyword === 'delay' ? 'responseDelayMs' : 'cooldownMs';
+                if (rest[0]?.toLowerCase() === 'default') {
+                    patch = { [field]: null };
+                    break;
+                }
+                const duration = parseDuration(rest.join(''));
+                if (duration === null) {
+                    return `🤖 Could not understand "${rest.join(' ')}". Try /policy <chat> ${keyword} 10m or ${keyword} default.`;
+                }
+                patch = { [field]: duration };
+                break;
+            }
+            case 'persona':
+                patch = { persona: rest.length > 0 ? rest.join(' ') : null };
+                break;
+            case 'profile': {
+                const name = rest[0]?.toLowerCase();
+                if (!name) {
+                    return '🤖 Usage: /policy <chat> profile <name>|default';
+                }
+                patch = { profile: name === 'default' ? null : name };
+                break;
+            }
+            case 'hours': {
+                const value = rest[0]?.toLowerCase();
+                if (value !== 'on' && value !== 'off') {
+                    return '🤖 Usage: /policy <chat> hours on|off';
+                }
+                patch = { businessHoursOnly: value === 'on' };
+                break;
+            }
+            case 'approval': {
+                const value = rest[0]?.toLowerCase();
+                if (value !== 'on' && value !== 'off' && value !== 'default') {
+                    return '🤖 Usage: /policy <chat> approval on|off|default';
+                }
+                patch = { requireApproval: value === 'default' ? null : value === 'on' };
+                break;
+            }
+            case 'autosend': {
+                const value = rest[0]?.toLowerCase();
+                if (value === 'default' || value === 'never') {
+                    patch = { approvalTimeoutMs: value === 'default' ? null : 0 };
+                    break;
+                }
+                const duration = parseDuration(rest.join(''));
+                if (duration === null) {
+                    return `🤖 Could not understand "${rest.join(' ')}". Try /policy <chat> autosend 15m, autosend never or autosend default.`;
+                }
+                patch = { approvalTimeoutMs: duration };
+                break;
+            }
+            case 'vip': {
+                const value = rest[0]?.toLowerCase();
+                if (value !== 'on' && value !== 'off' && value !== 'default') {
+                    return '🤖 Usage: /policy <chat> vip on|off|default';
+                }
+                patch = { vip: value === 'default' ? null : value === 'on' };
+                break;
+            }
+            default: {
+                const removed = await this.policyService.removePolicy(target.id);
+                return removed
+                    ? `🤖 Policy for ${target.name} removed. It follows the defaults again.`
+                    : `🤖 ${target.name} had no policy.`;
+            }
+        }
+
+        const updated = await this.policyService.setPolicy(target.id, patch);
+        if (updated.mode === 'never') {
+            this.timerService.cancelTimer(target.id);
+        }
+        return `🤖 Policy for ${target.name}: ${this.describePolicy(updated)}`;
+    }
+
+    /**
+     * /ooo [<return date|duration> [note]|off]
+     */
+    private async outOfOffice(args: string[]): Promise<string> {
+        if (!this.availabilityService) {
+            return '🤖 Out-of-office scheduling is not available.';
+        }
+
+        const availability = this.availabilityService;
+        const timezone = availability.getBusinessHours()?.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+        if (args.length === 0) {
+            const upcoming = availability.getOutOfOfficeWindows()
+                .filter(window => window.start > Date.now())
+                .map(window => `${formatZonedTime(window.start, timezone)} - ${formatZonedTime(window.end, timezone)}`);
+            return [
+                `🤖 Availability: ${this.describeAvailability(availability.getAvailability())}`,
+                ...(upcoming.length > 0 ? [`Upcoming out of office: ${upcoming.join(', ')}`] : [])
+            ].join('\n');
+        }
+
+        if (args[0].toLowerCase() === 'off') {
+            const ended = await availability.endOutOfOffice();
+            return ended > 0 ? '🤖 Welcome back! Out of office ended.' : '🤖 You were not out of office.';
+        }
+
+        const end = this.parseReturnDate(args[0], timezone);
+        if (end === null) {
+            return `🤖 Could not understand "${args[0]}". Use a return date (2026-10-26 or 2026-10-26T14:00) or a duration (3d).`;
+        }
+
+        const window = await availability.addOutOfOffice(end, { message: args.slice(1).join(' ') });
+        return `🤖 Out of office until ${formatZonedTime(window.end, timezone)} (${timezone}).${window.message ? ` Note: ${window.message}` : ''}`;
+    }
+
+    /**
+     * /mode on|off
+     */
+    private mode(args: string[]): string {
+        const value = args[0]?.toLowerCase();
+        if (value !== 'on' && value !== 'off') {
+            return `🤖 Secretary mode is ${this.messageHandler.isSecretaryModeEnabled() ? 'ON' : 'OFF'}. Usage: /mode on|off`;
+        }
+
+        this.messageHandler.setSecretaryMode(value === 'on');
+        return value === 'on'
+            ? '🤖 Secretary mode ON: the assistant answers on your behalf.'
+            : '🤖 Secretary mode OFF: follow-ups in ongoing conversations are no longer answered and replies drop the secretary persona.';
+    }
+
+    /**
+     * /owner [id ...]
+     */
+    private owner(args: string[]): string {
+        if (args.length === 0) {
+            const identifiers = this.messageHandler.getOwnerIdentifiers();
+            return identifiers.length > 0
+                ? `🤖 Owner identifiers: ${identifiers.join(', ')}`
+                : '🤖 No owner identifiers configured. Usage: /owner <number or id> ...';
+        }
+
+        this.messageHandler.updateOwnerIdentifiers(args);
+        return `🤖 Owner identifiers set to: ${args.join(', ')}`;
+    }
+
+    /**
+     * /drafts
+     */
+    private drafts(): string {
+        if (!this.approvalService) {
+            return '🤖 Approval mode is not available.';
+        }
+
+        const drafts = this.approvalService.getPendingDrafts();
+        if (drafts.length === 0) {
+            return '🤖 No drafts waiting for approval.';
+        }
+
+        return [
+            `📝 ${drafts.length} draft${drafts.length === 1 ? '' : 's'} waiting for approval:`,
+            ...drafts.map(draft => `#${draft.id} ${draft.chatName || draft.chatId}: ${draft.draft.length > 80 ? `${draft.draft.slice(0, 79)}…` : draft.draft}`)
+        ].join('\n');
+    }
+
+    /**
+     * /approve [id], /reject [id], /edit [id] <text>
+     */
+    private async decideDraft(command: OwnerCommand): Promise<string> {
+        if (!this.approvalService) {
+            return '🤖 Approval mode is not available.';
+        }
+
+        // The ID is optional: quick actions apply to the latest draft. For /edit a leading number
+        // only counts as an ID when such a draft is pending, so "/edit 4pm works" stays text.
+        const text = command.raw.slice(COMMAND_PREFIX.length + command.name.length).trim();
+        const idMatch = /^#?(\d+)(?:\s+|$)/.exec(text);
+        const pendingById = idMatch ? this.approvalService.getPendingDrafts().find(draft => draft.id === parseInt(idMatch[1], 10)) : undefined;
+
+        let draft: ReplyDraft | undefined;
+        let rest = text;
+        if (pendingById) {
+            draft = pendingById;
+            rest = text.slice(idMatch![0].length).trim();
+        } else if (idMatch && (command.name !== 'edit' || text.startsWith('#'))) {
+            return `🤖 Draft #${idMatch[1]} is not waiting for approval. Send /drafts for the list.`;
+        } else {
+            draft = this.approvalService.getLatestPendingDraft();
+        }
+        if (!draft) {
+            return '🤖 No drafts waiting for approval.';
+        }
+
+        const target = draft.chatName || draft.chatId;
+        switch (command.name) {
+            case 'approve':
+                await this.approvalService.approve(draft.id, 'owner');
+                return `🤖 Draft #${draft.id} sent to ${target}.`;
+            case 'reject':
+                await this.approvalService.reject(draft.id, 'owner');
+                return `🤖 Draft #${draft.id} for ${target} rejected. Nothing was sent.`;
+            default:
+                if (!rest) {
+                    return '🤖 Usage: /edit [id] <text>';
+                }
+                await this.approvalService.edit(draft.id, rest, 'owner');
+                return `🤖 Your version of draft #${draft.id} was sent to ${target}.`;
+        }
+    }
+
+    /**
+     * /bookings
+     */
+    private bookings(): string {
+        if (!this.bookingService) {
+            return '🤖 Meeting booking is not available.';
+        }
+
+        const timezone = this.bookingService.getTimezone();
+        const describe = (booking: MeetingBooking) => `#${booking.id} ${booking.chatName || booking.chatId}: ${formatSlot(booking.slot!, timezone)}`;
+        const booked = this.bookingService.getOpenBookings().filter(booking => booking.slot);
+        const holds = booked.filter(booking => booking.status === 'held');
+        const confirmed = booked.filter(booking => booking.status === 'confirmed');
+        if (booked.length === 0) {
+            return '🤖 No meeting requests waiting and no upcoming meetings.';
+        }
+
+        return [
+            ...(holds.length > 0 ? [`📅 Waiting for you (/confirm or /decline):`, ...holds.map(describe)] : []),
+            ...(confirmed.length > 0 ? [`📅 Confirmed:`, ...confirmed.map(describe)] : []),
+            `Times are ${timezone}.`
+        ].join('\n');
+    }
+
+    /**
+     * /confirm [id], /decline [id]
+     */
+    private async decideBooking(command: OwnerCommand): Promise<string> {
+        if (!this.bookingService) {
+            return '🤖 Meeting booking is not available.';
+        }
+
+        const idMatch = /^#?(\d+)$/.exec(command.args[0] || '');
+        const booking = idMatch
+            ? this.bookingService.getHolds().find(hold => hold.id === parseInt(idMatch[1], 10))
+            : this.bookingService.getLatestHold();
+        if (!booking) {
+            return idMatch
+                ? `🤖 Meeting #${idMatch[1]} is not waiting for confirmation. Send /bookings for the list.`
+                : '🤖 No meeting requests waiting for confirmation.';
+        }
+
+        const target = booking.chatName || booking.chatId;
+        const slot = formatSlot(booking.slot!, this.bookingService.getTimezone());
+        if (command.name === 'confirm') {
+            await this.bookingService.confirm(booking.id);
+            return `🤖 Meeting #${booking.id} with ${target} on ${slot} confirmed. ${target} will be notified.`;
+        }
+        await this.bookingService.decline(booking.id);
+        return `🤖 Meeting #${booking.id} with ${target} on ${slot} declined. The slot is free again and ${target} will be notified.`;
+    }
+
+    /**
+     * /digest - the reply is the digest, so it is not sent separately
+     */
+    private async digest(): Promise<string> {
+        if (!this.digestService) {
+            return '🤖 The digest is not available.';
+        }
+        return this.digestService.formatDigest(await this.digestService.run(new Date(), false));
+    }
+
+    /**
+     * /alerts
+     */
+    private alerts(): string {
+        if (!this.escalationService) {
+            return '🤖 Urgent-message alerts are not available.';
+        }
+
+        const escalations = this.escalationService.getOpenEscalations();
+        if (escalations.length === 0) {
+            return '🤖 No urgent messages waiting for you.';
+        }
+
+        const now = Date.now();
+        return [
+            `🚨 ${escalations.length} urgent message${escalations.length === 1 ? '' : 's'} waiting for you (/ack to stop the alerts):`,
+            ...escalations.map(escalation => {
+                const text = escalation.message.length > 80 ? `${escalation.message.slice(0, 79)}…` : escalation.message;
+                const count = escalation.messageCount > 1 ? ` (${escalation.messageCount} messages)` : '';
+                return `#${escalation.id} ${escalation.chatName || escalation.chatId}, ${formatDuration(Math.max(now - escalation.createdAt, 60000))} ago${count}: ${text}`;
+            })
+        ].join('\n');
+    }
+
+    /**
+     * /ack [id|all]
+     */
+    private async acknowledge(args: string[]): Promise<string> {
+        if (!this.escalationService) {
+            return '🤖 Urgent-message alerts are not available.';
+        }
+
+        if (args[0]?.toLowerCase() === 'all') {
+            const escalations = this.escalationService.getOpenEscalations();
+            for (const escalation of escalations) {
+                await this.escalationService.acknowledge(escalation.id, 'command');
+            }
+            return escalations.length > 0
+                ? `🤖 Alerts stopped for ${escalations.length} urgent message${escalations.length === 1 ? '' : 's'}.`
+                : '🤖 No urgent messages waiting for you.';
+        }
+
+        const idMatch = /^#?(\d+)$/.exec(args[0] || '');
+        const escalation = idMatch
+            ? this.escalationService.getOpenEscalations().find(open => open.id === parseInt(idMatch[1], 10))
+            : this.escalationService.getLatestOpenEscalation();
+        if (!escalation) {
+            return idMatch
+                ? `🤖 Alert #${idMatch[1]} is not open. Send /alerts for the list.`
+                : '🤖 No urgent messages waiting for you.';
+        }
+
+        await this.escalationService.acknowledge(escalation.id, 'command');
+        return `🤖 Alerts about ${escalation.chatName || escalation.chatId} stopped.`;
+    }
+
+    /**
+     * Return date as YYYY-MM-DD (start of that day), YYYY-MM-DDTHH:MM in the business time zone, or a duration
+     */
+    private parseReturnDate(text: string, timezone: string): number | null {
+        const match = /^(\d{4}-\d{2}-\d{2})(?:T(\d{1,2}:\d{2}))?$/.exec(text);
+        if (match) {
+            try {
+                return zonedTimeToInstant(match[1], match[2] ? parseTimeOfDay(match[2]) : 0, timezone);
+            } catch {
+                return null;
+            }
+        }
+
+        const duration = parseDuration(text);
+        return duration === null ? null : Date.now() + duration;
+    }
+
+    /**
+     * One-line availability summary
+     */
+    private describeAvailability(state: AvailabilityState): string {
+        const back = state.nextAvailableAt ? `, back ${formatZonedTime(state.nextAvailableAt, state.timezone)}` : '';
+        switch (state.status) {
+            case 'out_of_office':
+                return `out of office${back}`;
+            case 'holiday':
+                return `${state.holiday}${back}`;
+            case 'after_hours':
+                return `outside working hours${back}`;
+            case 'busy':
+                return state.busy?.allDay
+                    ? `busy all day${back}`
+                    : `in a meeting until ${formatZonedTime(state.busy?.end ?? Date.now(), state.timezone)}`;
+            default:
+                return `working hours (${state.localTime})`;
+        }
+    }
+
+    /**
+     * One-line policy summary
+     */
+    private describePolicy(policy: ChatPolicy): string {
+        const parts = [`mode ${policy.mode}`];
+        if (policy.responseDelayMs != null) {
+            parts.push(`delay ${formatDuration(policy.responseDelayMs)}`);
+        }
+        if (policy.cooldownMs != null) {
+            parts.push(`cooldown ${formatDuration(policy.cooldownMs)}`);
+        }
+        if (policy.businessHoursOnly) {
+            parts.push('business hours only');
+        }
+        if (policy.requireApproval != null) {
+            parts.push(`approval ${policy.requireApproval ? 'on' : 'off'}`);
+        }
+        if (policy.approvalTimeoutMs != null) {
+            parts.push(policy.approvalTimeoutMs > 0 ? `auto-send after ${formatDuration(policy.approvalTimeoutMs)}` : 'no auto-send');
+        }
+        if (policy.vip != null) {
+            parts.push(policy.vip ? 'VIP' : 'not VIP');
+        }
+        if (policy.mutedUntil != null && policy.mutedUntil > Date.now()) {
+            parts.push(policy.mutedUntil === Infinity ? 'muted' : `muted for ${formatDuration(policy.mutedUntil - Date.now())}`);
+        }
+        if (policy.profile) {
+            parts.push(`profile ${policy.profile}`);
+        }
+        if (policy.persona) {
+            parts.push(`persona "${policy.persona}"`);
+        }
+        return parts.join(', ');
+    }
+
+    /**
+     * Resolve a chat ID, phone number or chat name. Returns an error reply when it cannot.
+     */
+    private async resolveChat(query: string): Promise<ChatTarget | string> {
+        const text = query.trim();
+        if (!text) {
+            return '🤖 Please name a chat: chat ID, phone number or part of the chat name.';
+        }
+
+        if (text.includes('@')) {
+            return { id: text, name: await this.describeChat(text) };
+        }
+
+        if (/^\+?[\d\s-]{6,}$/.test(text)) {
+            const id = `${text.replace(/\D/g, '')}@c.us`;
+            return { id, name: await this.describeChat(id) };
+        }
+
+        const matches = this.conversationManager.findConversationsByName(text);
+        if (matches.length === 0) {
+            return `🤖 No chat found matching "${text}".`;
+        }
+        if (matches.length > 1) {
+            const labels = await Promise.all(matches.map(match => this.describeChat(match.chatId)));
+            return `🤖 "${text}" matches several chats: ${labels.join(', ')}. Use the chat ID instead.`;
+        }
+
+        return { id: matches[0].chatId, name: await this.describeChat(matches[0].chatId) };
+    }
+
+    /**
+     * Human-readable chat label
+     */
+    private async describeChat(chatId: string): Promise<string> {
+        const context = await this.conversationManager.getConversationContext(chatId);
+        const messages = context?.recentMessages || [];
+        const named = messages.find(message => message.chat.name && message.chat.name !== 'Unknown');
+        return named ? `${named.chat.name} (${chatId})` : chatId;
+    }
+}
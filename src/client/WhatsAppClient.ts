@@ -2,6 +2,9 @@ import { Client, LocalAuth, Chat, Contact, Message } from 'whatsapp-web.js';
 import * as qrcode from 'qrcode-terminal';
 import { MessageHandler } from './MessageHandler';
 import { config } from '../config/environment';
+import { SentMessageTracker } from '../utils/sentMessages';
+import { ReplyOptions } from '../types';
+import { sessionClientId } from '../utils/tenants';
 import { EventEmitter } from 'events';
 
 /**
@@ -10,6 +13,9 @@ import { EventEmitter } from 'events';
 export class WhatsAppClient extends EventEmitter {
     private client!: Client; // Using definite assignment assertion
     private messageHandler: MessageHandler;
+    private sessionPath: string;
+    private clientId: string;
+    private sentMessages: SentMessageTracker = new SentMessageTracker();
     private isClientReady: boolean = false;
     private isInitializing: boolean = false;
     private reconnectAttempts: number = 0;
@@ -17,9 +23,11 @@ export class WhatsAppClient extends EventEmitter {
     private reconnectDelay: number = 30000; // 30 seconds
     private reconnectTimer?: NodeJS.Timeout;
 
-    constructor(messageHandler: MessageHandler) {
+    constructor(messageHandler: MessageHandler, sessionPath: string = config.whatsapp.sessionPath, clientId: string = sessionClientId(undefined)) {
         super();
         this.messageHandler = messageHandler;
+        this.sessionPath = sessionPath;
+        this.clientId = clientId;
         this.setupClient();
     }
 
@@ -29,8 +37,8 @@ export class WhatsAppClient extends EventEmitter {
     private setupClient(): void {
         this.client = new Client({
             authStrategy: new LocalAuth({
-                dataPath: config.whatsapp.sessionPath,
-                clientId: 'whatsapp-llm-pa'
+                dataPath: this.sessionPath,
+                clientId: this.clientId
             }),
             puppeteer: {
                 headless: true,
@@ -91,9 +99,10 @@ export class WhatsAppClient extends EventEmitter {
     }
 
     /**
-     * Send a message to a specific chat with retry logic
+     * Send a message to a specific chat with retry logic, optionally quoting a message and
+     * mentioning participants. Resolves with the ID of the sent message.
      */
-    public async sendMessage(chatId: String, message: string): Promise<void> {
+    public async sendMessage(chatId: String, message: string, options: ReplyOptions = {}): Promise<string> {
         if (!this.isReady()) {
             throw new Error('WhatsApp client is not ready');
         }
@@ -101,11 +110,22 @@ export class WhatsAppClient extends EventEmitter {
         const maxRetries = 3;
         let retryCount = 0;
 
+        // whatsapp-web.js sends without the quote if the quoted message cannot be found
+        const sendOptions: { quotedMessageId?: string; mentions?: string[] } = {};
+        if (options.quotedMessageId) {
+            sendOptions.quotedMessageId = options.quotedMessageId;
+        }
+        if (options.mentions?.length) {
+            sendOptions.mentions = options.mentions;
+        }
+
         while (retryCount < maxRetries) {
             try {
-                await this.client.sendMessage(chatId.toString(), message);
+                const sent = await this.sentMessages.track(chatId.toString(), message, async () =>
+                    (await this.client.sendMessage(chatId.toString(), message, sendOptions)).id._serialized
+                );
                 console.log(`✅ Message sent to ${chatId}: ${message.substring(0, 50)}${message.length > 50 ? '...' : ''}`);
-                return;
+                return sent;
             } catch (error) {
                 retryCount++;
                 console.error(`❌ Failed to send message (attempt ${retryCount}/${maxRetries}):`, error);
@@ -118,6 +138,8 @@ export class WhatsAppClient extends EventEmitter {
                 }
             }
         }
+
+        throw new Error(`Failed to send message to ${chatId}`);
     }
 
     /**
@@ -207,6 +229,13 @@ export class WhatsAppClient extends EventEmitter {
         }
     }
 
+    /**
+     * Get the serialized WhatsApp ID of the logged-in account
+     */
+    public getOwnId(): string | null {
+        return this.client?.info?.wid?._serialized || null;
+    }
+
     /**
      * Get client state
      */
@@ -339,9 +368,34 @@ export class WhatsAppClient extends EventEmitter {
         });
 
         this.client.on('message_create', async (message: Message) => {
-            // Handle messages created by this client (sent messages)
-            if (message.fromMe) {
-                console.log(`📤 Message sent: ${message.body?.substring(0, 50)}${message.body && message.body.length > 50 ? '...' : ''}`);
+            if (!message.fromMe) {
+                return;
+            }
+
+            try {
+                // Owner commands typed into the self-chat only arrive through message_create
+                if (this.messageHandler.isOwnerCommand(message)) {
+                    await this.messageHandler.handleMessage(message);
+                    return;
+                }
+
+                if (this.sentMessages.isSentByAssistant(message.id._serialized, message.to, message.body)) {
+                    console.log(`📤 Message sent: ${message.body?.substring(0, 50)}${message.body && message.body.length > 50 ? '...' : ''}`);
+                    return;
+                }
+
+                // Not sent by the assistant, so the owner wrote it on their phone or another linked device
+                await this.messageHandler.handleOwnerMessage(message);
+            } catch (error) {
+                console.error('❌ Error handling own message:', error);
+            }
+        });
+
+        this.client.on('message_reaction', async (reaction: any) => {
+            try {
+                await this.messageHandler.handleReaction(reaction);
+            } catch (error) {
+                console.error('❌ Error handling reaction:', error);
             }
         });
 
@@ -1,4 +1,218 @@
-import { EnvironmentConfig } from '../types';
+import { EnvironmentConfig, AIServiceConfig, AIProviderName, SpeechToTextConfig, SpeechToTextProviderName, VisionProviderName, EmbeddingProviderName, RetrievalConfig, EscalationConfig, EscalationChannelName, Language, OwnerProfile, OwnerPronouns } from '../types';
+import * as cron from 'node-cron';
+import { parseWeeklySchedule, parseHolidays } from '../utils/businessHours';
+import { LANGUAGES } from '../utils/language';
+import { OWNER_PRONOUNS } from '../utils/owner';
+import { ESCALATION_CHANNELS, parseContactList } from '../utils/alertChannels';
+import { parseTenantsFile, TenantDefaults } from '../utils/tenants';
+import * as fs from 'fs';
+
+const SUPPORTED_AI_PROVIDERS: AIProviderName[] = ['cloudflare', 'openai', 'anthropic', 'ollama'];
+
+const DEFAULT_AI_MODELS: Record<AIProviderName, string> = {
+    cloudflare: '@cf/meta/llama-3.2-1b-instruct',
+    openai: 'gpt-4o-mini',
+    anthropic: 'claude-3-5-haiku-latest',
+    ollama: 'llama3.2'
+};
+
+/**
+ * Resolve connection settings for an AI provider from its provider-specific env vars
+ */
+export function resolveAIServiceConfig(provider: AIProviderName, model?: string): AIServiceConfig {
+    const apiKeys: Record<AIProviderName, string> = {
+        cloudflare: process.env.CLOUDFLARE_API_TOKEN || '',
+        openai: process.env.OPENAI_API_KEY || '',
+        anthropic: process.env.ANTHROPIC_API_KEY || '',
+        ollama: ''
+    };
+    const baseUrls: Record<AIProviderName, string | undefined> = {
+        cloudflare: process.env.CLOUDFLARE_AI_GATEWAY_URL,
+        openai: process.env.OPENAI_BASE_URL,
+        anthropic: process.env.ANTHROPIC_BASE_URL,
+        ollama: process.env.OLLAMA_BASE_URL
+    };
+
+    return {
+        provider,
+        model: model || DEFAULT_AI_MODELS[provider],
+        apiKey: apiKeys[provider],
+        baseUrl: baseUrls[provider] || undefined,
+        timeout: process.env.AI_TIMEOUT_MS ? parseInt(process.env.AI_TIMEOUT_MS, 10) : undefined,
+        maxRetries: parseInt(process.env.RETRY_ATTEMPTS || '3', 10),
+        maxTokens: parseInt(process.env.AI_MAX_TOKENS || process.env.CLOUDFLARE_MAX_TOKENS || '500', 10)
+    };
+}
+
+/**
+ * Parse AI_PROVIDER_CHAIN ("provider[:model],...") into ordered provider configs.
+ * Only the first ':' separates provider from model, so Ollama tags like llama3.2:3b work.
+ */
+export function parseAIProviderChain(chain: string | undefined): AIServiceConfig[] {
+    if (!chain || !chain.trim()) {
+        return [];
+    }
+
+    return chain.split(',')
+        .map(entry => entry.trim())
+        .filter(entry => entry.length > 0)
+        .map(entry => {
+            const separator = entry.indexOf(':');
+            const provider = (separator === -1 ? entry : entry.slice(0, separator)).trim().toLowerCase() as AIProviderName;
+            const model = separator === -1 ? undefined : entry.slice(separator + 1).trim();
+            return resolveAIServiceConfig(provider, model || undefined);
+        });
+}
+
+const DEFAULT_VISION_MODELS: Record<Exclude<VisionProviderName, 'none'>, string> = {
+    openai: 'gpt-4o-mini',
+    anthropic: 'claude-3-5-haiku-latest',
+    ollama: 'llava'
+};
+
+const SPEECH_TO_TEXT_PROVIDERS: SpeechToTextProviderName[] = ['none', 'whisper-cpp', 'openai'];
+const VISION_PROVIDERS: VisionProviderName[] = ['none', 'openai', 'anthropic', 'ollama'];
+
+/**
+ * Resolve the speech-to-text backend from STT_* env vars
+ */
+function resolveSpeechToTextConfig(): SpeechToTextConfig {
+    const provider = (process.env.STT_PROVIDER || 'none').toLowerCase() as SpeechToTextProviderName;
+    return {
+        provider,
+        model: process.env.STT_MODEL || (provider === 'whisper-cpp' ? './models/ggml-base.bin' : 'whisper-1'),
+        language: process.env.STT_LANGUAGE || undefined,
+        apiKey: process.env.STT_API_KEY || process.env.OPENAI_API_KEY || '',
+        baseUrl: process.env.STT_BASE_URL || process.env.OPENAI_BASE_URL || undefined,
+        whisperCppPath: process.env.WHISPER_CPP_PATH || 'whisper-cli',
+        ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg'
+    };
+}
+
+/**
+ * Resolve the image description model; VISION_* settings override the provider's own
+ */
+function resolveVisionConfig(): AIServiceConfig | undefined {
+    const provider = (process.env.VISION_PROVIDER || 'none').toLowerCase() as VisionProviderName;
+    if (provider === 'none' || !VISION_PROVIDERS.includes(provider)) {
+        return undefined;
+    }
+
+    const resolved = resolveAIServiceConfig(provider, process.env.VISION_MODEL || DEFAULT_VISION_MODELS[provider]);
+    return {
+        ...resolved,
+        apiKey: process.env.VISION_API_KEY || resolved.apiKey,
+        baseUrl: process.env.VISION_BASE_URL || resolved.baseUrl
+    };
+}
+
+const EMBEDDING_PROVIDERS: EmbeddingProviderName[] = ['none', 'hash', 'ollama', 'openai'];
+
+const DEFAULT_EMBEDDING_MODELS: Record<EmbeddingProviderName, string> = {
+    none: '',
+    hash: 'hash-256',
+    ollama: 'nomic-embed-text',
+    openai: 'text-embedding-3-small'
+};
+
+/**
+ * Resolve the embedding model used for retrieval; EMBEDDING_* settings override the provider's own
+ */
+function resolveRetrievalConfig(): RetrievalConfig {
+    const provider = (process.env.EMBEDDING_PROVIDER || 'none').toLowerCase() as EmbeddingProviderName;
+    const baseUrls: Partial<Record<EmbeddingProviderName, string | undefined>> = {
+        ollama: process.env.OLLAMA_BASE_URL,
+        openai: process.env.OPENAI_BASE_URL
+    };
+
+    return {
+        provider,
+        model: process.env.EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODELS[provider] || '',
+        apiKey: process.env.EMBEDDING_API_KEY || (provider === 'openai' ? process.env.OPENAI_API_KEY || '' : ''),
+        baseUrl: process.env.EMBEDDING_BASE_URL || baseUrls[provider] || undefined,
+        timeoutMs: parseInt(process.env.EMBEDDING_TIMEOUT_MS || '30000', 10),
+        topK: parseInt(process.env.RETRIEVAL_TOP_K || '3', 10),
+        minScore: parseFloat(process.env.RETRIEVAL_MIN_SCORE || '0.35')
+    };
+}
+
+/**
+ * Resolve the urgent-message alert settings from ESCALATION_* and SMTP_* env vars
+ */
+function resolveEscalationConfig(): EscalationConfig {
+    return {
+        enabled: process.env.ESCALATION_ENABLED !== 'false',
+        channels: (process.env.ESCALATION_CHANNELS || 'self').split(',')
+            .map(channel => channel.trim().toLowerCase() as EscalationChannelName)
+            .filter(channel => ESCALATION_CHANNELS.includes(channel)),
+        vipContacts: parseContactList(process.env.ESCALATION_VIP_CONTACTS),
+        webhookUrl: process.env.ESCALATION_WEBHOOK_URL || '',
+        ntfyUrl: process.env.ESCALATION_NTFY_URL || '',
+        ntfyToken: process.env.ESCALATION_NTFY_TOKEN || '',
+        smtp: {
+            host: process.env.SMTP_HOST || 'localhost',
+            port: parseInt(process.env.SMTP_PORT || '25', 10),
+            from: process.env.ESCALATION_EMAIL_FROM || 'assistant@localhost',
+            to: process.env.ESCALATION_EMAIL_TO || ''
+        },
+        chatCooldownMs: parseInt(process.env.ESCALATION_CHAT_COOLDOWN_MS || '600000', 10), // 10 minutes
+        maxPerHour: parseInt(process.env.ESCALATION_MAX_PER_HOUR || '10', 10),
+        repeatMs: parseInt(process.env.ESCALATION_REPEAT_MS || '900000', 10), // 15 minutes
+        maxRepeats: parseInt(process.env.ESCALATION_MAX_REPEATS || '3', 10),
+        timeoutMs: parseInt(process.env.ESCALATION_TIMEOUT_MS || '10000', 10)
+    };
+}
+
+/**
+ * The owner before the name was configurable; used when OWNER_NAME is not set so older
+ * deployments keep their texts
+ */
+const LEGACY_OWNER_NAME = 'Gilad';
+const LEGACY_OWNER_LOCAL_NAMES: Partial<Record<Language, string>> = { he: 'גלעד', ar: 'جلعاد', ru: 'Гилад' };
+
+/**
+ * Resolve the owner profile from OWNER_* env vars. The GILAD_* vars of older versions are
+ * still read when their OWNER_* replacement is not set.
+ */
+export function resolveOwnerConfig(): OwnerProfile {
+    const name = (process.env.OWNER_NAME || '').trim();
+    const localNames: Partial<Record<Language, string>> = name ? {} : { ...LEGACY_OWNER_LOCAL_NAMES };
+    for (const language of LANGUAGES.filter(language => language !== 'en')) {
+        const localName = (process.env[`OWNER_NAME_${language.toUpperCase()}`] || '').trim();
+        if (localName) {
+            localNames[language] = localName;
+        }
+    }
+
+    const identifiers = process.env.OWNER_IDENTIFIERS !== undefined
+        ? process.env.OWNER_IDENTIFIERS.split(',')
+        : [process.env.GILAD_WHATSAPP_NUMBER || '', process.env.GILAD_PHONE_NUMBER || ''];
+
+    return {
+        name: name || LEGACY_OWNER_NAME,
+        localNames,
+        pronouns: (process.env.OWNER_PRONOUNS || (name ? 'they' : 'he')).trim().toLowerCase() as OwnerPronouns,
+        identifiers: identifiers.map(id => id.trim()).filter(id => id.length > 0),
+        whatsappId: (process.env.OWNER_WHATSAPP_ID || process.env.GILAD_WHATSAPP_ID || '').trim(),
+        signature: (process.env.OWNER_SIGNATURE || '').trim()
+    };
+}
+
+/**
+ * Parse an optional setting; invalid values are reported by validateEnvironment instead of at import time
+ */
+function parseOptional<T>(value: string | undefined, parse: (value: string) => T): T | undefined {
+    if (!value || !value.trim()) {
+        return undefined;
+    }
+    try {
+        return parse(value);
+    } catch {
+        return undefined;
+    }
+}
+
+const aiProvider = (process.env.AI_PROVIDER || 'cloudflare').toLowerCase() as AIProviderName;
 
 /**
  * Environment configuration for the WhatsApp LLM Personal Assistant
@@ -11,20 +225,112 @@ export const config: EnvironmentConfig = {
         maxTokens: parseInt(process.env.CLOUDFLARE_MAX_TOKENS || '500', 10),
         gatewayUrl: process.env.CLOUDFLARE_AI_GATEWAY_URL
     },
+    ai: resolveAIServiceConfig(aiProvider, process.env.AI_MODEL_NAME),
+    aiChain: parseAIProviderChain(process.env.AI_PROVIDER_CHAIN),
+    circuitBreaker: {
+        errorRateThreshold: parseFloat(process.env.CIRCUIT_BREAKER_ERROR_RATE || '0.5'),
+        slowCallRateThreshold: parseFloat(process.env.CIRCUIT_BREAKER_SLOW_RATE || '0.5'),
+        minimumRequests: parseInt(process.env.CIRCUIT_BREAKER_MIN_REQUESTS || '3', 10),
+        windowSize: parseInt(process.env.CIRCUIT_BREAKER_WINDOW || '10', 10),
+        latencyThresholdMs: parseInt(process.env.CIRCUIT_BREAKER_LATENCY_MS || '20000', 10),
+        openDurationMs: parseInt(process.env.CIRCUIT_BREAKER_OPEN_MS || '60000', 10)
+    },
     database: {
         path: process.env.DATABASE_PATH || './data/conversations.db'
     },
+    admin: {
+        enabled: process.env.ADMIN_API_ENABLED !== 'false',
+        host: process.env.ADMIN_API_HOST || '127.0.0.1',
+        port: parseInt(process.env.ADMIN_API_PORT || '3000', 10),
+        token: process.env.ADMIN_API_TOKEN || ''
+    },
+    media: {
+        maxBytes: parseInt(process.env.MEDIA_MAX_BYTES || '16777216', 10), // 16 MB
+        timeoutMs: parseInt(process.env.MEDIA_TIMEOUT_MS || '60000', 10),
+        speechToText: resolveSpeechToTextConfig(),
+        vision: resolveVisionConfig()
+    },
+    memory: {
+        enabled: process.env.MEMORY_ENABLED !== 'false',
+        summaryIntervalMs: parseInt(process.env.MEMORY_SUMMARY_INTERVAL_MS || '1800000', 10), // 30 minutes
+        minMessages: parseInt(process.env.MEMORY_SUMMARY_MIN_MESSAGES || '10', 10)
+    },
+    retrieval: resolveRetrievalConfig(),
+    knowledge: {
+        directory: process.env.KNOWLEDGE_DIR || './data/knowledge',
+        topK: parseInt(process.env.KNOWLEDGE_TOP_K || '3', 10),
+        minScore: parseFloat(process.env.KNOWLEDGE_MIN_SCORE || '0.2')
+    },
+    personas: {
+        directory: process.env.PERSONAS_DIR || './data/personas',
+        defaultProfile: process.env.PERSONA_DEFAULT || '',
+        groupProfile: process.env.PERSONA_GROUP_DEFAULT || ''
+    },
+    prompts: {
+        directory: process.env.PROMPTS_DIR || './data/prompts'
+    },
+    calendar: {
+        source: process.env.CALENDAR_SOURCE || '',
+        username: process.env.CALENDAR_USERNAME || '',
+        password: process.env.CALENDAR_PASSWORD || '',
+        refreshMs: parseInt(process.env.CALENDAR_REFRESH_MS || '900000', 10) // 15 minutes
+    },
+    booking: {
+        enabled: process.env.BOOKING_ENABLED !== 'false',
+        durationMinutes: parseInt(process.env.BOOKING_DURATION_MINUTES || '30', 10),
+        slotCount: parseInt(process.env.BOOKING_SLOT_COUNT || '3', 10),
+        daysAhead: parseInt(process.env.BOOKING_DAYS_AHEAD || '7', 10),
+        holdHours: parseInt(process.env.BOOKING_HOLD_HOURS || '48', 10),
+        icsPath: process.env.BOOKING_ICS_PATH ?? './data/bookings.ics'
+    },
+    digest: {
+        enabled: process.env.DIGEST_ENABLED !== 'false',
+        schedule: process.env.DIGEST_SCHEDULE || '0 20 * * *', // Every day at 20:00
+        directory: process.env.DIGEST_DIR || ''
+    },
+    escalation: resolveEscalationConfig(),
+    classification: {
+        enabled: process.env.CLASSIFIER_ENABLED !== 'false',
+        model: process.env.CLASSIFIER_MODEL || '',
+        cacheSize: parseInt(process.env.CLASSIFIER_CACHE_SIZE || '500', 10),
+        cacheTtlMs: parseInt(process.env.CLASSIFIER_CACHE_TTL_MS || '3600000', 10) // 1 hour
+    },
     whatsapp: {
         sessionPath: process.env.WHATSAPP_SESSION_PATH || './data/session'
     },
+    policy: {
+        groupRepliesEnabled: process.env.GROUP_REPLIES_ENABLED === 'true', // Group chats are off unless a policy allows them
+        approvalRequired: process.env.APPROVAL_MODE === 'true',
+        approvalTimeoutMs: parseInt(process.env.APPROVAL_TIMEOUT_MS || '900000', 10) // 15 minutes, 0 = wait for the owner
+    },
+    owner: resolveOwnerConfig(),
+    tenants: {
+        file: process.env.TENANTS_FILE || '',
+        directory: process.env.TENANTS_DIR || './data/tenants'
+    },
+    secretary: {
+        tone: 'professional',
+        responseStyle: 'contextual',
+        businessHours: {
+            start: process.env.BUSINESS_HOURS_START || '09:00',
+            end: process.env.BUSINESS_HOURS_END || '18:00',
+            timezone: process.env.BUSINESS_HOURS_TIMEZONE || process.env.TZ || Intl.DateTimeFormat().resolvedOptions().timeZone,
+            weeklySchedule: parseOptional(process.env.BUSINESS_HOURS_SCHEDULE, parseWeeklySchedule),
+            holidays: parseOptional(process.env.BUSINESS_HOLIDAYS, parseHolidays)
+        }
+    },
     app: {
         responseDelayMs: parseInt(process.env.RESPONSE_DELAY_MS || '120000', 10), // 2 minutes
         cooldownPeriodMs: parseInt(process.env.COOLDOWN_PERIOD_MS || '18000000', 10), // 5 hours
         maxContextMessages: parseInt(process.env.MAX_CONTEXT_MESSAGES || '10', 10),
         enableLogging: process.env.ENABLE_LOGGING === 'true',
         secretaryMode: process.env.SECRETARY_MODE === 'true', // Enable secretary mode by default
+        burstWindowMs: parseInt(process.env.BURST_WINDOW_MS || '10000', 10), // 10 seconds of quiet ends a burst
+        burstMaxWaitMs: parseInt(process.env.BURST_MAX_WAIT_MS || '60000', 10),
+        quoteReplies: process.env.QUOTE_REPLIES !== 'false',
         rateLimitPerMinute: parseInt(process.env.RATE_LIMIT_PER_MINUTE || '10', 10),
-        retryAttempts: parseInt(process.env.RETRY_ATTEMPTS || '3', 10)
+        retryAttempts: parseInt(process.env.RETRY_ATTEMPTS || '3', 10),
+        defaultLanguage: (process.env.DEFAULT_LANGUAGE || 'en').toLowerCase() as Language
     }
 };
 
@@ -32,10 +338,20 @@ export const config: EnvironmentConfig = {
  * Validates that all required environment variables are set
  */
 export function validateEnvironment(): void {
-    const requiredVars = [
-        'CLOUDFLARE_API_TOKEN',
-        'CLOUDFLARE_ACCOUNT_ID'
-    ];
+    const provider = (process.env.AI_PROVIDER || 'cloudflare').toLowerCase() as AIProviderName;
+    if (!SUPPORTED_AI_PROVIDERS.includes(provider)) {
+        throw new Error(`Invalid value for AI_PROVIDER: ${provider}. Must be one of: ${SUPPORTED_AI_PROVIDERS.join(', ')}.`);
+    }
+
+    const chainProviders = parseAIProviderChain(process.env.AI_PROVIDER_CHAIN).map(entry => entry.provider);
+    const invalidChainProviders = chainProviders.filter(name => !SUPPORTED_AI_PROVIDERS.includes(name));
+    if (invalidChainProviders.length > 0) {
+        throw new Error(`Invalid provider in AI_PROVIDER_CHAIN: ${invalidChainProviders.join(', ')}. Must be one of: ${SUPPORTED_AI_PROVIDERS.join(', ')}.`);
+    }
+
+    // With a chain configured every provider in it must be usable; otherwise just AI_PROVIDER
+    const providers = chainProviders.length > 0 ? chainProviders : [provider];
+    const requiredVars = Array.from(new Set(providers.flatMap(name => getRequiredProviderVars(name))));
 
     const missingVars = requiredVars.filter(varName => !process.env[varName]);
 
@@ -46,11 +362,41 @@ export function validateEnvironment(): void {
     // Validate numeric values
     const numericEnvVars = [
         { name: 'CLOUDFLARE_MAX_TOKENS', min: 1, max: 2048 },
+        { name: 'AI_MAX_TOKENS', min: 1, max: 8192 },
+        { name: 'AI_TIMEOUT_MS', min: 1000, max: 600000 },
         { name: 'RESPONSE_DELAY_MS', min: 1000, max: 600000 },
         { name: 'COOLDOWN_PERIOD_MS', min: 60000, max: 86400000 },
         { name: 'MAX_CONTEXT_MESSAGES', min: 1, max: 50 },
+        { name: 'BURST_WINDOW_MS', min: 0, max: 120000 },
+        { name: 'BURST_MAX_WAIT_MS', min: 1000, max: 600000 },
+        { name: 'APPROVAL_TIMEOUT_MS', min: 0, max: 86400000 },
+        { name: 'MEMORY_SUMMARY_INTERVAL_MS', min: 60000, max: 86400000 },
+        { name: 'MEMORY_SUMMARY_MIN_MESSAGES', min: 1, max: 500 },
+        { name: 'RETRIEVAL_TOP_K', min: 1, max: 20 },
+        { name: 'EMBEDDING_TIMEOUT_MS', min: 1000, max: 600000 },
+        { name: 'KNOWLEDGE_TOP_K', min: 1, max: 20 },
+        { name: 'CALENDAR_REFRESH_MS', min: 60000, max: 86400000 },
+        { name: 'BOOKING_DURATION_MINUTES', min: 5, max: 480 },
+        { name: 'BOOKING_SLOT_COUNT', min: 1, max: 10 },
+        { name: 'BOOKING_DAYS_AHEAD', min: 1, max: 60 },
+        { name: 'BOOKING_HOLD_HOURS', min: 1, max: 720 },
+        { name: 'ESCALATION_CHAT_COOLDOWN_MS', min: 0, max: 86400000 },
+        { name: 'ESCALATION_MAX_PER_HOUR', min: 1, max: 1000 },
+        { name: 'ESCALATION_REPEAT_MS', min: 0, max: 86400000 },
+        { name: 'ESCALATION_MAX_REPEATS', min: 0, max: 100 },
+        { name: 'ESCALATION_TIMEOUT_MS', min: 1000, max: 120000 },
+        { name: 'SMTP_PORT', min: 1, max: 65535 },
+        { name: 'CLASSIFIER_CACHE_SIZE', min: 0, max: 100000 },
+        { name: 'CLASSIFIER_CACHE_TTL_MS', min: 0, max: 604800000 },
         { name: 'RATE_LIMIT_PER_MINUTE', min: 1, max: 100 },
-        { name: 'RETRY_ATTEMPTS', min: 1, max: 10 }
+        { name: 'RETRY_ATTEMPTS', min: 1, max: 10 },
+        { name: 'CIRCUIT_BREAKER_MIN_REQUESTS', min: 1, max: 100 },
+        { name: 'CIRCUIT_BREAKER_WINDOW', min: 1, max: 1000 },
+        { name: 'CIRCUIT_BREAKER_LATENCY_MS', min: 100, max: 600000 },
+        { name: 'CIRCUIT_BREAKER_OPEN_MS', min: 1000, max: 3600000 },
+        { name: 'ADMIN_API_PORT', min: 1, max: 65535 },
+        { name: 'MEDIA_MAX_BYTES', min: 1024, max: 104857600 },
+        { name: 'MEDIA_TIMEOUT_MS', min: 1000, max: 600000 }
     ];
 
     for (const envVar of numericEnvVars) {
@@ -63,13 +409,148 @@ export function validateEnvironment(): void {
         }
     }
 
+    for (const name of ['CIRCUIT_BREAKER_ERROR_RATE', 'CIRCUIT_BREAKER_SLOW_RATE']) {
+        const value = process.env[name];
+        if (value) {
+            const rate = parseFloat(value);
+            if (isNaN(rate) || rate <= 0 || rate > 1) {
+                throw new Error(`Invalid value for ${name}: ${value}. Must be greater than 0 and at most 1.`);
+            }
+        }
+    }
+
+    for (const name of ['RETRIEVAL_MIN_SCORE', 'KNOWLEDGE_MIN_SCORE']) {
+        const minScore = process.env[name];
+        if (minScore) {
+            const score = parseFloat(minScore);
+            if (isNaN(score) || score < 0 || score > 1) {
+                throw new Error(`Invalid value for ${name}: ${minScore}. Must be between 0 and 1.`);
+            }
+        }
+    }
+
+    for (const name of ['BUSINESS_HOURS_START', 'BUSINESS_HOURS_END']) {
+        const value = process.env[name];
+        if (value && !/^([01]\d|2[0-3]):[0-5]\d$/.test(value)) {
+            throw new Error(`Invalid value for ${name}: ${value}. Must be HH:MM (24-hour).`);
+        }
+    }
+
+    for (const [name, parse] of [['BUSINESS_HOURS_SCHEDULE', parseWeeklySchedule], ['BUSINESS_HOLIDAYS', parseHolidays]] as const) {
+        const value = process.env[name];
+        if (value && value.trim()) {
+            try {
+                parse(value);
+            } catch (error) {
+                throw new Error(`Invalid value for ${name}: ${error instanceof Error ? error.message : value}`);
+            }
+        }
+    }
+
+    const timezone = process.env.BUSINESS_HOURS_TIMEZONE;
+    if (timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        } catch {
+            throw new Error(`Invalid value for BUSINESS_HOURS_TIMEZONE: ${timezone}. Must be an IANA time zone such as Asia/Jerusalem.`);
+        }
+    }
+
+    const digestSchedule = process.env.DIGEST_SCHEDULE;
+    if (digestSchedule && !cron.validate(digestSchedule)) {
+        throw new Error(`Invalid value for DIGEST_SCHEDULE: ${digestSchedule}. Must be a cron expression such as "0 20 * * *".`);
+    }
+
+    const escalationChannels = (process.env.ESCALATION_CHANNELS || 'self').split(',').map(channel => channel.trim().toLowerCase()).filter(Boolean);
+    const unknownChannel = escalationChannels.find(channel => !ESCALATION_CHANNELS.includes(channel as EscalationChannelName));
+    if (unknownChannel) {
+        throw new Error(`Invalid value for ESCALATION_CHANNELS: ${unknownChannel}. Must be a comma-separated list of: ${ESCALATION_CHANNELS.join(', ')}.`);
+    }
+    const channelSettings: Array<[string, string]> = [['webhook', 'ESCALATION_WEBHOOK_URL'], ['ntfy', 'ESCALATION_NTFY_URL'], ['email', 'ESCALATION_EMAIL_TO']];
+    const missingChannelVars = channelSettings
+        .filter(([channel, varName]) => escalationChannels.includes(channel) && !process.env[varName])
+        .map(([, varName]) => varName);
+    if (missingChannelVars.length > 0) {
+        throw new Error(`Missing required environment variables: ${missingChannelVars.join(', ')}`);
+    }
+
+    const sttProvider = (process.env.STT_PROVIDER || 'none').toLowerCase() as SpeechToTextProviderName;
+    if (!SPEECH_TO_TEXT_PROVIDERS.includes(sttProvider)) {
+        throw new Error(`Invalid value for STT_PROVIDER: ${sttProvider}. Must be one of: ${SPEECH_TO_TEXT_PROVIDERS.join(', ')}.`);
+    }
+    if (sttProvider === 'openai' && !process.env.STT_BASE_URL && !process.env.OPENAI_BASE_URL && !process.env.STT_API_KEY && !process.env.OPENAI_API_KEY) {
+        throw new Error('Missing required environment variables: STT_API_KEY (or OPENAI_API_KEY)');
+    }
+
+    const visionProvider = (process.env.VISION_PROVIDER || 'none').toLowerCase() as VisionProviderName;
+    if (!VISION_PROVIDERS.includes(visionProvider)) {
+        throw new Error(`Invalid value for VISION_PROVIDER: ${visionProvider}. Must be one of: ${VISION_PROVIDERS.join(', ')}.`);
+    }
+    if (visionProvider !== 'none' && !process.env.VISION_API_KEY) {
+        const missingVisionVars = getRequiredProviderVars(visionProvider).filter(varName => !process.env[varName]);
+        if (missingVisionVars.length > 0) {
+            throw new Error(`Missing required environment variables: VISION_API_KEY (or ${missingVisionVars.join(', ')})`);
+        }
+    }
+
+    const embeddingProvider = (process.env.EMBEDDING_PROVIDER || 'none').toLowerCase() as EmbeddingProviderName;
+    if (!EMBEDDING_PROVIDERS.includes(embeddingProvider)) {
+        throw new Error(`Invalid value for EMBEDDING_PROVIDER: ${embeddingProvider}. Must be one of: ${EMBEDDING_PROVIDERS.join(', ')}.`);
+    }
+    if (embeddingProvider === 'openai' && !process.env.EMBEDDING_BASE_URL && !process.env.OPENAI_BASE_URL && !process.env.EMBEDDING_API_KEY && !process.env.OPENAI_API_KEY) {
+        throw new Error('Missing required environment variables: EMBEDDING_API_KEY (or OPENAI_API_KEY)');
+    }
+
+    const defaultLanguage = (process.env.DEFAULT_LANGUAGE || 'en').toLowerCase() as Language;
+    if (!LANGUAGES.includes(defaultLanguage)) {
+        throw new Error(`Invalid value for DEFAULT_LANGUAGE: ${defaultLanguage}. Must be one of: ${LANGUAGES.join(', ')}.`);
+    }
+
+    const pronouns = (process.env.OWNER_PRONOUNS || 'they').trim().toLowerCase() as OwnerPronouns;
+    if (!OWNER_PRONOUNS.includes(pronouns)) {
+        throw new Error(`Invalid value for OWNER_PRONOUNS: ${pronouns}. Must be one of: ${OWNER_PRONOUNS.join(', ')}.`);
+    }
+
+    const legacyOwnerVars = ['GILAD_WHATSAPP_ID', 'GILAD_WHATSAPP_NUMBER', 'GILAD_PHONE_NUMBER'].filter(name => process.env[name]);
+    if (legacyOwnerVars.length > 0) {
+        console.warn(`Warning: ${legacyOwnerVars.join(', ')} ${legacyOwnerVars.length > 1 ? 'are' : 'is'} deprecated. Use OWNER_WHATSAPP_ID and OWNER_IDENTIFIERS instead.`);
+    }
+
+    if (config.tenants.file) {
+        if (!fs.existsSync(config.tenants.file)) {
+            throw new Error(`TENANTS_FILE not found: ${config.tenants.file}`);
+        }
+        try {
+            parseTenantsFile(fs.readFileSync(config.tenants.file, 'utf8'), getTenantDefaults());
+        } catch (error) {
+            throw new Error(`Invalid TENANTS_FILE ${config.tenants.file}: ${error instanceof Error ? error.message : error}`);
+        }
+    }
+
     // Validate model name format
-    const modelName = process.env.AI_MODEL_NAME || '@cf/meta/llama-3.2-1b-instruct';
-    if (!modelName.startsWith('@cf/')) {
+    const modelName = process.env.AI_MODEL_NAME || DEFAULT_AI_MODELS[provider];
+    if (provider === 'cloudflare' && !modelName.startsWith('@cf/')) {
         console.warn(`Warning: Model name "${modelName}" doesn't follow Cloudflare format (@cf/...). This might cause issues.`);
     }
 }
 
+/**
+ * Environment variables a provider cannot run without
+ */
+function getRequiredProviderVars(provider: AIProviderName): string[] {
+    switch (provider) {
+        case 'cloudflare':
+            return ['CLOUDFLARE_API_TOKEN', 'CLOUDFLARE_ACCOUNT_ID'];
+        case 'openai':
+            // Self-hosted OpenAI-compatible servers usually need no key
+            return process.env.OPENAI_BASE_URL ? [] : ['OPENAI_API_KEY'];
+        case 'anthropic':
+            return ['ANTHROPIC_API_KEY'];
+        case 'ollama':
+            return [];
+    }
+}
+
 /**
  * Get configuration with runtime validation
  */
@@ -97,22 +578,83 @@ export function getCloudflareConfig() {
     };
 }
 
+/**
+ * Helper function to get the selected AI provider configuration
+ */
+export function getAIProviderConfig(): AIServiceConfig {
+    return config.ai;
+}
+
+/**
+ * What tenants in the tenants file inherit from the environment
+ */
+export function getTenantDefaults(): TenantDefaults {
+    return {
+        directory: config.tenants.directory,
+        policy: config.policy,
+        bookingIcsPath: config.booking.icsPath,
+        digestDirectory: config.digest.directory,
+        businessHours: config.secretary.businessHours,
+        calendarRefreshMs: config.calendar.refreshMs,
+        escalation: config.escalation
+    };
+}
+
 /**
  * Display current configuration (for debugging)
  */
 export function displayConfig(): void {
     if (isDevelopment) {
         console.log('=== WhatsApp LLM PA Configuration ===');
-        console.log(`Model: ${config.cloudflare.model}`);
-        console.log(`Max Tokens: ${config.cloudflare.maxTokens}`);
+        console.log(`AI Provider: ${config.ai.provider}`);
+        console.log(`Model: ${config.ai.model}`);
+        if (config.aiChain.length > 0) {
+            console.log(`Provider Chain: ${config.aiChain.map(entry => `${entry.provider}:${entry.model}`).join(' -> ')}`);
+        }
+        console.log(`Max Tokens: ${config.ai.maxTokens}`);
         console.log(`Response Delay: ${config.app.responseDelayMs}ms`);
         console.log(`Cooldown Period: ${config.app.cooldownPeriodMs}ms`);
         console.log(`Max Context Messages: ${config.app.maxContextMessages}`);
         console.log(`Secretary Mode: ${config.app.secretaryMode}`);
+        console.log(`Burst Window: ${config.app.burstWindowMs}ms (max ${config.app.burstMaxWaitMs}ms)`);
+        console.log(`Quoted Replies: ${config.app.quoteReplies ? 'On' : 'Off'}`);
+        console.log(`Reply Approval: ${config.policy.approvalRequired
+            ? `On (${config.policy.approvalTimeoutMs > 0 ? `auto-send after ${config.policy.approvalTimeoutMs}ms` : 'no auto-send'})`
+            : 'Off'}`);
+        console.log(`Owner: ${config.owner.name} (${config.owner.pronouns}, ${config.owner.identifiers.length} identifiers${config.owner.whatsappId ? ', WhatsApp ID set' : ''})`);
+        console.log(`Accounts: ${config.tenants.file ? `tenants from ${config.tenants.file} (data in ${config.tenants.directory})` : 'single account'}`);
+        console.log(`Default Reply Language: ${config.app.defaultLanguage} (contacts are answered in the language they write in)`);
+        console.log(`Persona Profiles: ${config.personas.directory} (default: ${config.personas.defaultProfile || 'built-in'}${config.personas.groupProfile ? `, groups: ${config.personas.groupProfile}` : ''})`);
+        console.log(`Prompt Templates: ${config.prompts.directory}`);
+        console.log(`Message Classification: ${config.classification.enabled
+            ? `Model (${config.classification.model || 'reply model'}, keyword fallback)`
+            : 'Keywords only'}`);
+        console.log(`Conversation Memory: ${config.memory.enabled
+            ? `On (every ${config.memory.summaryIntervalMs}ms, ${config.memory.minMessages}+ older messages)`
+            : 'Off'}`);
+        const hours = config.secretary.businessHours;
+        if (hours) {
+            console.log(`Business Hours: ${hours.weeklySchedule ? process.env.BUSINESS_HOURS_SCHEDULE : `${hours.start}-${hours.end} daily`} (${hours.timezone})`);
+        }
         console.log(`Rate Limit: ${config.app.rateLimitPerMinute}/min`);
         console.log(`Retry Attempts: ${config.app.retryAttempts}`);
         console.log(`Logging Enabled: ${config.app.enableLogging}`);
-        console.log(`Gateway URL: ${config.cloudflare.gatewayUrl || 'Default'}`);
+        console.log(`Base URL: ${config.ai.baseUrl || 'Default'}`);
+        console.log(`Speech-to-Text: ${config.media.speechToText.provider}`);
+        console.log(`Vision: ${config.media.vision ? `${config.media.vision.provider}:${config.media.vision.model}` : 'none'}`);
+        console.log(`Retrieval: ${config.retrieval.provider !== 'none' ? `${config.retrieval.provider}:${config.retrieval.model} (top ${config.retrieval.topK})` : 'none'}`);
+        console.log(`Calendar: ${config.calendar.source ? config.calendar.source.replace(/\/\/[^@/]*@/, '//***@') : 'none'}`);
+        console.log(`Meeting Booking: ${config.booking.enabled
+            ? `On (${config.booking.durationMinutes}m slots, holds released after ${config.booking.holdHours}h${config.booking.icsPath ? `, ${config.booking.icsPath}` : ''})`
+            : 'Off'}`);
+        console.log(`Daily Digest: ${config.digest.enabled
+            ? `On (${config.digest.schedule}${config.digest.directory ? `, ${config.digest.directory}` : ''})`
+            : 'Off'}`);
+        console.log(`Escalation: ${config.escalation.enabled
+            ? `On (${config.escalation.channels.join(', ') || 'no channels'}, ${config.escalation.vipContacts.length} VIP contacts from env)`
+            : 'Off'}`);
+        console.log(`Knowledge Base: ${config.knowledge.directory} (top ${config.knowledge.topK})`);
+        console.log(`Admin API: ${config.admin.enabled ? `http://${config.admin.host}:${config.admin.port}` : 'Disabled'}`);
         console.log('=====================================');
     }
 }
\ No newline at end of file
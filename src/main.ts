@@ -1,58 +1,22 @@
-import { WhatsAppClient } from './client/WhatsAppClient';
-import { MessageHandler } from './client/MessageHandler';
 import { ConversationManager } from './services/ConversationManager';
 import { TimerService } from './services/TimerService';
-import { StorageService } from './services/StorageService';
+import { MediaService } from './services/MediaService';
+import { createSpeechToText } from './ai/SpeechToText';
+import { createImageCaptioner } from './ai/ImageCaptioner';
 import { CloudflareAI } from './ai/CloudflareAI';
-import { ResponseGenerator } from './ai/ResponseGenerator';
-import { config, validateEnvironment, displayConfig, getCloudflareConfig } from './config/environment';
+import { createAIProviderChain } from './ai/AIProviderFactory';
+import { FailoverAIProvider } from './ai/FailoverAIProvider';
+import { AdminServer } from './services/AdminServer';
+import { PromptTemplateService } from './services/PromptTemplateService';
+import { TenantManager, loadTenants } from './services/TenantManager';
+import { createEmbedder } from './ai/Embedder';
+import { AIProvider, AppMetrics, ServiceHealth, TenantHealth } from './types';
+import { config, validateEnvironment, displayConfig, getAIProviderConfig } from './config/environment';
+import { parseScopedServiceName } from './utils/tenants';
 import { EventEmitter } from 'events';
 import * as fs from 'fs';
 import * as path from 'path';
 
-/**
- * Service health status interface
- */
-interface ServiceHealth {
-    name: string;
-    isHealthy: boolean;
-    status: string;
-    details?: any;
-    lastChecked: number;
-}
-
-/**
- * Application metrics interface
- */
-interface AppMetrics {
-    uptime: number;
-    startTime: number;
-    services: {
-        [key: string]: {
-            initialized: boolean;
-            healthy: boolean;
-            errors: number;
-            lastError?: string;
-            lastHealthCheck?: number;
-        };
-    };
-    memory: {
-        used: number;
-        total: number;
-        percentage: number;
-    };
-    conversations: {
-        active: number;
-        total: number;
-        messages: number;
-    };
-    timers: {
-        active: number;
-        cooldowns: number;
-        responses: number;
-    };
-}
-
 /**
  * Service registry for dependency injection and lifecycle management
  */
@@ -118,6 +82,7 @@ class ServiceRegistry extends EventEmitter {
     private async checkServiceHealth(name: string, service: any): Promise<ServiceHealth> {
         const health: ServiceHealth = {
             name,
+            tenant: parseScopedServiceName(name).tenant,
             isHealthy: false,
             status: 'unknown',
             lastChecked: Date.now()
@@ -165,6 +130,35 @@ class ServiceRegistry extends EventEmitter {
         return Array.from(this.healthStatus.values());
     }
 
+    /**
+     * Accounts with services in the registry (multi-tenant mode only)
+     */
+    getTenantIds(): string[] {
+        const tenants = Array.from(this.services.keys()).map(name => parseScopedServiceName(name).tenant);
+        return Array.from(new Set(tenants.filter((tenant): tenant is string => tenant !== undefined)));
+    }
+
+    /**
+     * Last health check of each account's services; an account is healthy when all of them are
+     */
+    getTenantHealth(): TenantHealth[] {
+        return this.getTenantIds().map(tenant => {
+            const services = this.getHealthStatus().filter(health => health.tenant === tenant);
+            return { tenant, isHealthy: services.length > 0 && services.every(health => health.isHealthy), services };
+        });
+    }
+
+    /**
+     * Every instance of a service with its registry name: the shared one or one per account
+     */
+    private getInstances(service: string): Array<[string, any]> {
+        return Array.from(this.services.entries()).filter(([name]) => parseScopedServiceName(name).service === service);
+    }
+
+    private getAll<T>(service: string): T[] {
+        return this.getInstances(service).map(([, instance]) => instance as T);
+    }
+
     /**
      * Get application metrics
      */
@@ -204,7 +198,8 @@ class ServiceRegistry extends EventEmitter {
             services: {},
             memory: { used: 0, total: 0, percentage: 0 },
             conversations: { active: 0, total: 0, messages: 0 },
-            timers: { active: 0, cooldowns: 0, responses: 0 }
+            timers: { active: 0, cooldowns: 0, responses: 0 },
+            aiProviders: { activeProvider: null, providers: [] }
         };
     }
 
@@ -225,25 +220,28 @@ class ServiceRegistry extends EventEmitter {
 
         // Update service-specific metrics
         try {
-            const conversationManager = this.get<ConversationManager>('conversationManager');
-            if (conversationManager) {
-                const stats = conversationManager.getConversationStats();
+            const conversationStats = this.getAll<ConversationManager>('conversationManager').map(manager => manager.getConversationStats());
+            if (conversationStats.length > 0) {
                 this.metrics.conversations = {
-                    active: stats.activeConversations,
-                    total: stats.totalConversations,
-                    messages: stats.totalMessages
+                    active: sum(conversationStats.map(stats => stats.activeConversations)),
+                    total: sum(conversationStats.map(stats => stats.totalConversations)),
+                    messages: sum(conversationStats.map(stats => stats.totalMessages))
                 };
             }
 
-            const timerService = this.get<TimerService>('timerService');
-            if (timerService) {
-                const stats = timerService.getTimerStats();
+            const timerStats = this.getAll<TimerService>('timerService').map(timerService => timerService.getTimerStats());
+            if (timerStats.length > 0) {
                 this.metrics.timers = {
-                    active: stats.activeTimers,
-                    cooldowns: stats.chatsInCooldown,
-                    responses: stats.activeResponseTimers
+                    active: sum(timerStats.map(stats => stats.activeTimers)),
+                    cooldowns: sum(timerStats.map(stats => stats.chatsInCooldown)),
+                    responses: sum(timerStats.map(stats => stats.activeResponseTimers))
                 };
             }
+
+            const aiProvider = this.get<AIProvider>('aiProvider');
+            if (aiProvider instanceof FailoverAIProvider) {
+                this.metrics.aiProviders = aiProvider.getChainStatus();
+            }
         } catch (error) {
             this.logger.error('Error updating metrics', { error });
         }
@@ -263,31 +261,43 @@ class ServiceRegistry extends EventEmitter {
             clearInterval(this.metricsInterval);
         }
 
-        // Shutdown services in reverse dependency order
+        // Shutdown services in reverse dependency order; each account's instance of a service goes together
         const shutdownOrder = [
+            'adminServer',
             'whatsappClient',
             'messageHandler',
             'responseGenerator',
-            'cloudflareAI',
+            'messageClassifier',
+            'digestService',
+            'memoryService',
+            'retrievalService',
+            'knowledgeBase',
+            'promptTemplates',
+            'mediaService',
+            'aiProvider',
             'timerService',
+            'approvalService',
+            'bookingService',
+            'escalationService',
+            'policyService',
+            'personaService',
+            'availabilityService',
+            'calendarService',
             'conversationManager',
             'storageService'
         ];
 
-        for (const serviceName of shutdownOrder) {
-            const service = this.services.get(serviceName);
-            if (service) {
-                try {
-                    if (typeof service.destroy === 'function') {
-                        await service.destroy();
-                        this.logger.info(`Service destroyed: ${serviceName}`);
-                    } else if (typeof service.close === 'function') {
-                        await service.close();
-                        this.logger.info(`Service closed: ${serviceName}`);
-                    }
-                } catch (error) {
-                    this.logger.error(`Error shutting down ${serviceName}`, { service: serviceName, error });
+        for (const [serviceName, service] of shutdownOrder.flatMap(name => this.getInstances(name))) {
+            try {
+                if (typeof service.destroy === 'function') {
+                    await service.destroy();
+                    this.logger.info(`Service destroyed: ${serviceName}`);
+                } else if (typeof service.close === 'function') {
+                    await service.close();
+                    this.logger.info(`Service closed: ${serviceName}`);
                 }
+            } catch (error) {
+                this.logger.error(`Error shutting down ${serviceName}`, { service: serviceName, error });
             }
         }
 
@@ -297,6 +307,10 @@ class ServiceRegistry extends EventEmitter {
     }
 }
 
+function sum(values: number[]): number {
+    return values.reduce((total, value) => total + value, 0);
+}
+
 /**
  * Enhanced logger with structured logging and correlation IDs
  */
@@ -370,6 +384,7 @@ class ApplicationLifecycle {
     private serviceRegistry: ServiceRegistry;
     private shutdownTimeout: number = 30000; // 30 seconds
     private isShuttingDown: boolean = false;
+    private tenantManager?: TenantManager;
 
     constructor(logger: Logger, serviceRegistry: ServiceRegistry) {
         this.logger = logger;
@@ -442,8 +457,9 @@ class ApplicationLifecycle {
         }
 
         this.logger.info('Configuration loaded', {
-            model: config.cloudflare.model,
-            maxTokens: config.cloudflare.maxTokens,
+            aiProvider: config.ai.provider,
+            model: config.ai.model,
+            maxTokens: config.ai.maxTokens,
             responseDelay: `${config.app.responseDelayMs / 1000}s`,
             cooldownPeriod: `${config.app.cooldownPeriodMs / (1000 * 60 * 60)}h`,
             secretaryMode: config.app.secretaryMode,
@@ -452,31 +468,17 @@ class ApplicationLifecycle {
     }
 
     /**
-     * Initialize core services (storage, timers, conversations)
+     * Initialize the admin API
      */
     private async initializeCoreServices(): Promise<void> {
-        // Initialize storage service
-        this.logger.info('Initializing StorageService');
-        const storageService = new StorageService();
-        this.serviceRegistry.register('storageService', storageService);
-
-        // Wait for storage to be fully initialized
-        await this.waitForServiceReady(storageService, 'StorageService');
-
-        // Initialize timer service
-        this.logger.info('Initializing TimerService');
-        const timerService = new TimerService(storageService);
-        this.serviceRegistry.register('timerService', timerService);
-
-        // Wait for timer service to be ready
-        await this.waitForServiceReady(timerService, 'TimerService');
-
-        // Initialize conversation manager
-        this.logger.info('Initializing ConversationManager');
-        const conversationManager = new ConversationManager(storageService);
-        this.serviceRegistry.register('conversationManager', conversationManager);
-
         this.logger.info('Core services initialized successfully');
+
+        // Start the admin API early so health probes answer while WhatsApp is still connecting
+        if (config.admin.enabled) {
+            const adminServer = new AdminServer(config.admin, this.serviceRegistry);
+            await adminServer.start();
+            this.serviceRegistry.register('adminServer', adminServer);
+        }
     }
 
     /**
@@ -496,94 +498,87 @@ class ApplicationLifecycle {
     }
 
     /**
-     * Initialize dependent services (AI, response generator, message handler)
+     * Initialize dependent services (AI, prompt templates, media) and each account's service graph
      */
     private async initializeDependentServices(): Promise<void> {
-        // Initialize Cloudflare AI
-        this.logger.info('Initializing CloudflareAI');
-        const cloudflareConfig = getCloudflareConfig();
-        const cloudflareAI = new CloudflareAI(
-            cloudflareConfig.apiToken,
-            cloudflareConfig.accountId,
-            cloudflareConfig.gatewayUrl,
-            cloudflareConfig.model
-        );
-        this.serviceRegistry.register('cloudflareAI', cloudflareAI);
+        // Initialize the configured AI provider chain (a single provider unless AI_PROVIDER_CHAIN is set)
+        const aiChain = config.aiChain.length > 0 ? config.aiChain : [getAIProviderConfig()];
+        this.logger.info('Initializing AI provider chain', {
+            providers: aiChain.map(entry => `${entry.provider}:${entry.model}`)
+        });
+        const aiProvider = createAIProviderChain(aiChain, config.circuitBreaker, config.cloudflare);
+        this.serviceRegistry.register('aiProvider', aiProvider);
 
         // Test AI service health
         this.logger.info('Testing AI service connectivity');
-        const isAIHealthy = await cloudflareAI.isHealthy();
+        const isAIHealthy = await aiProvider.isHealthy();
         if (!isAIHealthy) {
             this.logger.warn('AI service health check failed - continuing with degraded functionality');
         } else {
-            const modelInfo = await cloudflareAI.getModelInfo();
+            const primary = aiProvider.getProviders()[0];
+            const modelInfo = primary instanceof CloudflareAI ? await primary.getModelInfo() : null;
             this.logger.info('AI service is healthy', {
-                model: modelInfo?.name || cloudflareConfig.model,
+                provider: primary.name,
+                model: modelInfo?.name || aiProvider.getCurrentModel(),
                 description: modelInfo?.description
             });
         }
 
-        // Initialize response generator
-        this.logger.info('Initializing ResponseGenerator');
-        const responseGenerator = new ResponseGenerator(cloudflareAI);
-        this.serviceRegistry.register('responseGenerator', responseGenerator);
-
-        // Initialize message handler
-        this.logger.info('Initializing MessageHandler');
-        const conversationManager = this.serviceRegistry.get<ConversationManager>('conversationManager')!;
-        const timerService = this.serviceRegistry.get<TimerService>('timerService')!;
-        const storageService = this.serviceRegistry.get<StorageService>('storageService')!;
-
-        const messageHandler = new MessageHandler(
-            conversationManager,
-            responseGenerator,
-            timerService,
-            storageService
+        // Semantic retrieval over each chat's message history (off unless an embedding model is set)
+        const embedder = createEmbedder(config.retrieval);
+
+        // Prompt templates from the prompts directory; built-in ones for templates without a file
+        this.logger.info('Initializing PromptTemplateService', { directory: config.prompts.directory });
+        const promptTemplates = new PromptTemplateService();
+        await promptTemplates.initialize();
+        this.serviceRegistry.register('promptTemplates', promptTemplates);
+
+        // CLASSIFIER_MODEL replaces the primary provider's model; fallback providers keep their own
+        const classifierProvider = config.classification.model
+            ? createAIProviderChain(aiChain.map((entry, index) => index === 0 ? { ...entry, model: config.classification.model } : entry), config.circuitBreaker, config.cloudflare)
+            : aiProvider;
+
+        // Initialize media understanding (voice note transcription and image description)
+        this.logger.info('Initializing MediaService', {
+            speechToText: config.media.speechToText.provider,
+            vision: config.media.vision?.provider || 'none'
+        });
+        const mediaService = new MediaService(
+            createSpeechToText(config.media.speechToText, config.media.timeoutMs),
+            createImageCaptioner(config.media.vision, config.media.timeoutMs)
         );
-        this.serviceRegistry.register('messageHandler', messageHandler);
+        this.serviceRegistry.register('mediaService', mediaService);
+
+        // Storage, timers, calendar, knowledge, personas, policies, memory, digests and the message handler of each account
+        const tenants = loadTenants();
+        this.logger.info('Initializing account services', {
+            tenants: tenants.map(tenant => tenant.id),
+            calendar: tenants.filter(tenant => tenant.calendar.source).map(tenant => tenant.id),
+            memory: config.memory.enabled,
+            retrieval: embedder ? `${embedder.name}:${embedder.model}` : 'off',
+            classifier: config.classification.enabled ? config.classification.model || aiProvider.getCurrentModel() : 'off',
+            booking: config.booking.enabled,
+            digest: config.digest.enabled ? config.digest.schedule : 'off',
+            escalation: tenants.map(tenant => `${tenant.id}:${tenant.escalation.enabled ? tenant.escalation.channels.join('+') : 'off'}`)
+        });
+        this.tenantManager = new TenantManager(tenants, {
+            aiProvider,
+            classifierProvider,
+            embedder,
+            promptTemplates,
+            mediaService
+        }, this.serviceRegistry, !!config.tenants.file);
+        await this.tenantManager.initialize();
 
         this.logger.info('Dependent services initialized successfully');
     }
 
     /**
-     * Start WhatsApp client and establish connection
+     * Start each account's WhatsApp client and establish the connections
      */
     private async startWhatsAppClient(): Promise<void> {
-        const messageHandler = this.serviceRegistry.get<MessageHandler>('messageHandler')!;
-
-        this.logger.info('Creating WhatsApp client');
-        const whatsappClient = new WhatsAppClient(messageHandler);
-        this.serviceRegistry.register('whatsappClient', whatsappClient);
-
-        // Connect message handler to client for sending messages
-        messageHandler.setWhatsAppClient?.(whatsappClient);
-
-        // Initialize with enhanced error handling
-        let initializationAttempts = 0;
-        const maxAttempts = 3;
-
-        while (initializationAttempts < maxAttempts) {
-            try {
-                this.logger.info(`WhatsApp client initialization attempt ${initializationAttempts + 1}`);
-                await whatsappClient.initialize();
-
-                // Wait for client to be ready
-                await this.waitForWhatsAppReady(whatsappClient);
-                break;
-
-            } catch (error) {
-                initializationAttempts++;
-                this.logger.error(`WhatsApp initialization attempt ${initializationAttempts} failed`, { error });
-
-                if (initializationAttempts >= maxAttempts) {
-                    throw new Error(`Failed to initialize WhatsApp client after ${maxAttempts} attempts`);
-                }
-
-                // Wait before retry
-                await this.sleep(5000 * initializationAttempts);
-            }
-        }
-
+        this.logger.info('Creating WhatsApp clients');
+        await this.tenantManager!.startClients();
         this.logger.info('WhatsApp client initialized successfully');
     }
 
@@ -591,8 +586,8 @@ class ApplicationLifecycle {
      * Setup monitoring and periodic maintenance
      */
     private async setupMonitoring(): Promise<void> {
-        const conversationManager = this.serviceRegistry.get<ConversationManager>('conversationManager')!;
-        const cloudflareAI = this.serviceRegistry.get<CloudflareAI>('cloudflareAI')!;
+        const tenants = this.tenantManager!.getTenants();
+        const aiProvider = this.serviceRegistry.get<AIProvider>('aiProvider')!;
 
         // Enhanced periodic maintenance
         setInterval(async () => {
@@ -600,18 +595,31 @@ class ApplicationLifecycle {
                 this.logger.info('Running periodic maintenance');
 
                 // Conversation cleanup
-                await conversationManager.cleanupOldConversations(24 * 60 * 60 * 1000);
-                const stats = conversationManager.getConversationStats();
-                this.logger.info('Conversation cleanup completed', { stats });
+                for (const { tenant, conversationManager } of tenants) {
+                    await conversationManager.cleanupOldConversations(24 * 60 * 60 * 1000);
+                    const stats = conversationManager.getConversationStats();
+                    this.logger.info('Conversation cleanup completed', { tenant: tenant.id, stats });
+                }
 
                 // AI service health monitoring
-                const isAIHealthy = await cloudflareAI.isHealthy();
+                const isAIHealthy = await aiProvider.isHealthy();
                 if (!isAIHealthy) {
                     this.logger.warn('AI service health check failed during maintenance');
                 }
 
+                if (aiProvider instanceof FailoverAIProvider) {
+                    const chainStatus = aiProvider.getChainStatus();
+                    const openCircuits = chainStatus.providers.filter(p => p.state !== 'closed');
+                    if (openCircuits.length > 0) {
+                        this.logger.warn('AI provider circuits not closed', {
+                            activeProvider: chainStatus.activeProvider,
+                            circuits: openCircuits.map(p => ({ id: p.id, state: p.state, trips: p.tripCount, reason: p.lastTripReason }))
+                        });
+                    }
+                }
+
                 // Rate limit monitoring
-                const rateLimit = await cloudflareAI.checkRateLimit();
+                const rateLimit = aiProvider.checkRateLimit ? await aiProvider.checkRateLimit() : null;
                 if (rateLimit && rateLimit.remaining < 10) {
                     this.logger.warn('AI service rate limit warning', {
                         remaining: rateLimit.remaining,
@@ -674,44 +682,6 @@ class ApplicationLifecycle {
         }
     }
 
-    /**
-     * Wait for a service to be ready
-     */
-    private async waitForServiceReady(service: any, serviceName: string, timeout: number = 30000): Promise<void> {
-        const startTime = Date.now();
-
-        while (Date.now() - startTime < timeout) {
-            if (typeof service.isReady === 'function' && service.isReady()) {
-                return;
-            }
-            await this.sleep(1000);
-        }
-
-        this.logger.warn(`Service ${serviceName} not ready after ${timeout}ms`);
-    }
-
-    /**
-     * Wait for WhatsApp client to be ready
-     */
-    private async waitForWhatsAppReady(client: WhatsAppClient, timeout: number = 120000): Promise<void> {
-        return new Promise((resolve, reject) => {
-            const timeoutId = setTimeout(() => {
-                client.removeAllListeners();
-                reject(new Error('WhatsApp client ready timeout'));
-            }, timeout);
-
-            client.once('ready', () => {
-                clearTimeout(timeoutId);
-                resolve();
-            });
-
-            client.once('error', (error) => {
-                clearTimeout(timeoutId);
-                reject(error);
-            });
-        });
-    }
-
     /**
      * Log startup summary
      */
@@ -720,9 +690,12 @@ class ApplicationLifecycle {
 
         this.logger.info('🎉 Application startup summary', {
             services: Object.keys(metrics.services).length,
+            tenants: this.tenantManager?.getTenants().map(({ tenant }) => tenant.id).join(', '),
             healthyServices: Object.values(metrics.services).filter(s => s.healthy).length,
             secretaryMode: config.app.secretaryMode ? 'Enabled' : 'Disabled',
-            aiModel: config.cloudflare.model,
+            aiProvider: config.ai.provider,
+            aiModel: config.ai.model,
+            aiProviderChain: metrics.aiProviders.providers.map(p => p.id).join(' -> '),
             responseDelay: `${config.app.responseDelayMs / 1000}s`,
             cooldownPeriod: `${config.app.cooldownPeriodMs / (1000 * 60 * 60)}h`,
             memoryUsage: `${Math.round(metrics.memory.percentage)}%`
@@ -733,15 +706,31 @@ class ApplicationLifecycle {
      * Display environment help on validation failure
      */
     private displayEnvironmentHelp(): void {
-        console.error('\n📋 Required environment variables:');
-        console.error('- CLOUDFLARE_API_TOKEN: Your Cloudflare API token');
-        console.error('- CLOUDFLARE_ACCOUNT_ID: Your Cloudflare account ID');
+        console.error('\n📋 Required environment variables (depend on AI_PROVIDER):');
+        console.error('- AI_PROVIDER: cloudflare (default), openai, anthropic or ollama');
+        console.error('- cloudflare: CLOUDFLARE_API_TOKEN and CLOUDFLARE_ACCOUNT_ID');
+        console.error('- openai: OPENAI_API_KEY (optional when OPENAI_BASE_URL points at a self-hosted server)');
+        console.error('- anthropic: ANTHROPIC_API_KEY');
+        console.error('- ollama: none (OLLAMA_BASE_URL defaults to http://127.0.0.1:11434)');
         console.error('\n📄 Optional environment variables:');
-        console.error('- AI_MODEL_NAME: AI model to use (default: @cf/meta/llama-3.2-1b-instruct)');
+        console.error('- AI_MODEL_NAME: AI model to use (default depends on the provider)');
         console.error('- CLOUDFLARE_AI_GATEWAY_URL: Custom gateway URL');
+        console.error('- AI_PROVIDER_CHAIN: Ordered failover chain, e.g. "anthropic,openai:gpt-4o-mini,ollama:llama3.2"');
+        console.error('- CIRCUIT_BREAKER_ERROR_RATE / _SLOW_RATE / _MIN_REQUESTS / _WINDOW / _LATENCY_MS / _OPEN_MS: Failover circuit breaker tuning');
         console.error('- SECRETARY_MODE: Enable secretary mode (default: true)');
         console.error('- RESPONSE_DELAY_MS: Response delay in milliseconds (default: 120000)');
         console.error('- COOLDOWN_PERIOD_MS: Cooldown period in milliseconds (default: 18000000)');
+        console.error('- GROUP_REPLIES_ENABLED: Auto-reply in group chats without a chat policy (default: false)');
+        console.error('- APPROVAL_MODE / APPROVAL_TIMEOUT_MS: Send replies to you for approval first, auto-send after the timeout (default: off, 900000)');
+        console.error('- BUSINESS_HOURS_START / _END / _TIMEZONE: Daily business hours (default: 09:00-18:00, TZ)');
+        console.error('- BUSINESS_HOURS_SCHEDULE: Weekly schedule, e.g. "sun-thu 09:00-18:00; fri 09:00-13:00"');
+        console.error('- BUSINESS_HOLIDAYS: Days off, e.g. "2026-09-21=Yom Kippur,2026-12-25"');
+        console.error('- STT_PROVIDER: Voice note transcription: none (default), whisper-cpp or openai');
+        console.error('- WHISPER_CPP_PATH / STT_MODEL / FFMPEG_PATH / STT_LANGUAGE: whisper.cpp binary, model file, ffmpeg and language');
+        console.error('- VISION_PROVIDER / VISION_MODEL: Image descriptions: none (default), openai, anthropic or ollama');
+        console.error('- TENANTS_FILE: YAML list of WhatsApp accounts to serve from one process (multi-tenant mode)');
+        console.error('- ADMIN_API_PORT / ADMIN_API_HOST: Admin API address (default: 127.0.0.1:3000)');
+        console.error('- ADMIN_API_TOKEN: Bearer token for the /api admin endpoints');
         console.error('- LOG_LEVEL: Logging level (debug, info, warn, error)');
     }
 
@@ -816,13 +805,6 @@ class ApplicationLifecycle {
 
         this.logger.error('💀 Emergency shutdown completed');
     }
-
-    /**
-     * Utility sleep function
-     */
-    private sleep(ms: number): Promise<void> {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
 }
 
 /**
@@ -0,0 +1,1019 @@
+import * as http from 'http';
+import { AsyncLocalStorage } from 'async_hooks';
+import { timingSafeEqual } from 'crypto';
+import { AdminApiConfig, AppMetrics, BookingStatus, ChatPolicy, ConversationContext, DraftStatus, EscalationStatus, ServiceHealth, TenantHealth } from '../types';
+import { parseScopedServiceName, scopedServiceName } from '../utils/tenants';
+
+/**
+ * What the admin server needs from the service registry
+ */
+export interface AdminServiceSource {
+    get<T>(name: string): T | undefined;
+    getHealthStatus(): ServiceHealth[];
+    getMetrics(): AppMetrics;
+    getTenantIds?(): string[];
+    getTenantHealth?(): TenantHealth[];
+}
+
+/**
+ * Result returned by a route handler
+ */
+export interface AdminResponse {
+    status: number;
+    body: any;
+    contentType?: string;
+}
+
+export type AdminRouteHandler = (params: string[], body: any, request: http.IncomingMessage) => Promise<AdminResponse> | AdminResponse;
+
+/**
+ * Registered route
+ */
+interface AdminRoute {
+    method: string;
+    pattern: RegExp;
+    authenticated: boolean;
+    handler: AdminRouteHandler;
+}
+
+const MAX_BODY_BYTES = 64 * 1024;
+const METRIC_PREFIX = 'whatsapp_pa';
+
+const TENANT_PATH = /^\/api\/tenants\/([^/]+)(\/.+)$/;
+
+/**
+ * Small built-in HTTP server for health probes, Prometheus metrics and authenticated admin actions.
+ * Probes and metrics are open; everything under /api requires `Authorization: Bearer <ADMIN_API_TOKEN>`.
+ * In multi-tenant mode the /api routes act on one account when prefixed with `/api/tenants/<id>`.
+ */
+export class AdminServer {
+    private options: AdminApiConfig;
+    private services: AdminServiceSource;
+    private server?: http.Server;
+    private routes: AdminRoute[] = [];
+    private listening: boolean = false;
+    private tenantScope: AsyncLocalStorage<string> = new AsyncLocalStorage();
+
+    constructor(options: AdminApiConfig, services: AdminServiceSource) {
+        this.options = options;
+        this.services = services;
+        this.registerDefaultRoutes();
+    }
+
+    /**
+     * Start listening
+     */
+    public async start(): Promise<void> {
+        if (this.listening) {
+            return;
+        }
+
+        this.server = http.createServer((request, response) => {
+            this.handleRequest(request, response).catch(error => {
+                console.error('❌ Admin API request failed:', error);
+                this.send(response, { status: 500, body: { error: 'Internal server error' } });
+            });
+        });
+
+        await new Promise<void>((resolve, reject) => {
+            this.server!.once('error', reject);
+            this.server!.listen(this.options.port, this.options.host, () => {
+                this.server!.off('error', reject);
+                resolve();
+            });
+        });
+
+        this.listening = true;
+        console.log(`🌐 Admin API listening on http://${this.options.host}:${this.getPort()}`);
+        if (!this.options.token) {
+            console.warn('⚠️ ADMIN_API_TOKEN is not set - /api endpoints are disabled');
+        }
+    }
+
+    /**
+     * Stop listening
+     */
+    public async close(): Promise<void> {
+        if (!this.server || !this.listening) {
+            return;
+        }
+
+        await new Promise<void>(resolve => this.server!.close(() => resolve()));
+        this.listening = false;
+        console.log('🌐 Admin API stopped');
+    }
+
+    /**
+     * Check if the server is accepting requests
+     */
+    public isReady(): boolean {
+        return this.listening;
+    }
+
+    /**
+     * Get the bound port (useful when configured with port 0)
+     */
+    public getPort(): number {
+        const address = this.server?.address();
+        return address && typeof address === 'object' ? address.port : this.options.port;
+    }
+
+    /**
+     * Register an additional route. Paths may contain `:param` segments.
+     */
+    public addRoute(method: string, path: string, handler: AdminRouteHandler, authenticated: boolean = true): void {
+        const pattern = new RegExp('^' + path.replace(/:[a-zA-Z]+/g, '([^/]+)') + '/?$');
+        this.routes.push({ method: method.toUpperCase(), pattern, authenticated, handler });
+    }
+
+    /**
+     * Route a request
+     */
+    private async handleRequest(request: http.IncomingMessage, response: http.ServerResponse): Promise<void> {
+        const url = new URL(request.url || '/', 'http://localhost');
+        const method = (request.method || 'GET').toUpperCase();
+
+        // /api/tenants/<id>/conversations is /api/conversations with the tenant's services
+        let pathname = url.pathname;
+        let tenant: string | undefined;
+        const tenantMatch = TENANT_PATH.exec(pathname);
+        if (tenantMatch) {
+            tenant = decodeURIComponent(tenantMatch[1]);
+            pathname = `/api${tenantMatch[2]}`;
+        }
+
+        const pathMatches = this.routes
+            .map(route => ({ route, match: route.pattern.exec(pathname) }))
+            .filter(candidate => candidate.match !== null);
+
+        if (pathMatches.length === 0) {
+            this.send(response, { status: 404, body: { error: 'Not found' } });
+            return;
+        }
+
+        const matched = pathMatches.find(candidate => candidate.route.method === method);
+        if (!matched) {
+            response.setHeader('Allow', pathMatches.map(candidate => candidate.route.method).join(', '));
+            this.send(response, { status: 405, body: { error: 'Method not allowed' } });
+            return;
+        }
+
+        if (matched.route.authenticated) {
+            const authError = this.checkAuth(request);
+            if (authError) {
+                this.send(response, authError);
+                return;
+            }
+        }
+
+        // Resolved only after authentication, so callers without a token cannot probe tenant ids
+        if (tenant && !this.getTenantIds().includes(tenant)) {
+            this.send(response, { status: 404, body: { error: `Unknown tenant: ${tenant}` } });
+            return;
+        }
+
+        let body: any = undefined;
+        if (method === 'POST' || method === 'PUT' || method === 'PATCH') {
+            try {
+                body = await this.readJsonBody(request);
+            } catch (error) {
+                this.send(response, { status: 400, body: { error: error instanceof Error ? error.message : 'Invalid body' } });
+                return;
+            }
+        }
+
+        const params = matched.match!.slice(1).map(value => decodeURIComponent(value));
+        try {
+            const handle = () => matched.route.handler(params, body, request);
+            this.send(response, await (tenant ? this.tenantScope.run(tenant, handle) : handle()));
+        } catch (error) {
+            if (error instanceof ServiceUnavailableError) {
+                this.send(response, { status: 503, body: { error: error.message } });
+                return;
+            }
+            if (error instanceof TenantRequiredError) {
+                this.send(response, { status: 400, body: { error: error.message, tenants: this.getTenantIds() } });
+                return;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Validate the bearer token. Returns an error response or null when authorised.
+     */
+    private checkAuth(request: http.IncomingMessage): AdminResponse | null {
+        if (!this.options.token) {
+            return { status: 403, body: { error: 'Admin API token not configured (set ADMIN_API_TOKEN)' } };
+        }
+
+        const header = request.headers.authorization || '';
+        const provided = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+        const expected = Buffer.from(this.options.token);
+
+        if (provided.length !== expected.length || !timingSafeEqual(provided, expected)) {
+            return { status: 401, body: { error: 'Unauthorized' } };
+        }
+
+        return null;
+    }
+
+    /**
+     * Read and parse a JSON request body
+     */
+    private readJsonBody(request: http.IncomingMessage): Promise<any> {
+        return new Promise((resolve, reject) => {
+            const chunks: Buffer[] = [];
+            let size = 0;
+
+            request.on('data', (chunk: Buffer) => {
+                size += chunk.length;
+                if (size > MAX_BODY_BYTES) {
+                    reject(new Error('Request body too large'));
+                    request.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            request.on('end', () => {
+                const text = Buffer.concat(chunks).toString('utf8').trim();
+                if (!text) {
+                    resolve({});
+                    return;
+                }
+                try {
+                    resolve(JSON.parse(text));
+                } catch {
+                    reject(new Error('Request body must be valid JSON'));
+                }
+            });
+            request.on('error', reject);
+        });
+    }
+
+    /**
+     * Write a response
+     */
+    private send(response: http.ServerResponse, result: AdminResponse): void {
+        if (response.headersSent) {
+            return;
+        }
+
+        const isText = typeof result.body === 'string';
+        response.statusCode = result.status;
+        response.setHeader('Content-Type', result.contentType || (isText ? 'text/plain; charset=utf-8' : 'application/json'));
+        response.setHeader('Cache-Control', 'no-store');
+        response.end(isText ? result.body : JSON.stringify(result.body, null, 2));
+    }
+
+    /**
+     * Built-in probe, metrics and admin routes
+     */
+    private registerDefaultRoutes(): void {
+        this.addRoute('GET', '/healthz', () => this.liveness(), false);
+        this.addRoute('GET', '/readyz', () => this.readiness(), false);
+        this.addRoute('GET', '/metrics', () => ({
+            status: 200,
+            body: formatPrometheusMetrics(this.services.getMetrics(), this.services.getHealthStatus()),
+            contentType: 'text/plain; version=0.0.4; charset=utf-8'
+        }), false);
+
+        this.addRoute('GET', '/api/tenants', () => this.listTenants());
+        this.addRoute('GET', '/api/conversations', () => this.listConversations());
+        this.addRoute('GET', '/api/conversations/:chatId', params => this.getConversation(params[0]));
+        this.addRoute('DELETE', '/api/conversations/:chatId/memory', params => this.forgetConversation(params[0]));
+        this.addRoute('GET', '/api/timers', () => this.listTimers());
+        this.addRoute('DELETE', '/api/cooldowns', () => this.clearCooldowns());
+        this.addRoute('DELETE', '/api/cooldowns/:chatId', params => this.clearCooldowns(params[0]));
+        this.addRoute('GET', '/api/secretary-mode', () => this.getSecretaryMode());
+        this.addRoute('PUT', '/api/secretary-mode', (_params, body) => this.setSecretaryMode(body));
+        this.addRoute('GET', '/api/policies', () => this.listPolicies());
+        this.addRoute('PUT', '/api/policies/:subject', (params, body) => this.setPolicy(params[0], body));
+        this.addRoute('DELETE', '/api/policies/:subject', params => this.deletePolicy(params[0]));
+        this.addRoute('GET', '/api/availability', () => this.getAvailability());
+        this.addRoute('GET', '/api/availability/:date', params => this.getDaySchedule(params[0]));
+        this.addRoute('POST', '/api/calendar/refresh', () => this.refreshCalendar());
+        this.addRoute('POST', '/api/out-of-office', (_params, body) => this.addOutOfOffice(body));
+        this.addRoute('DELETE', '/api/out-of-office', () => this.endOutOfOffice());
+        this.addRoute('DELETE', '/api/out-of-office/:id', params => this.removeOutOfOffice(params[0]));
+        this.addRoute('GET', '/api/drafts', (_params, _body, request) => this.listDrafts(request));
+        this.addRoute('GET', '/api/drafts/stats', () => this.getDraftStats());
+        this.addRoute('GET', '/api/drafts/:id', params => this.getDraft(params[0]));
+        this.addRoute('POST', '/api/drafts/:id/approve', params => this.decideDraft(params[0], 'approve'));
+        this.addRoute('POST', '/api/drafts/:id/edit', (params, body) => this.decideDraft(params[0], 'edit', body));
+        this.addRoute('POST', '/api/drafts/:id/reject', params => this.decideDraft(params[0], 'reject'));
+        this.addRoute('GET', '/api/bookings', (_params, _body, request) => this.listBookings(request));
+        this.addRoute('POST', '/api/bookings/:id/confirm', params => this.decideBooking(params[0], 'confirm'));
+        this.addRoute('POST', '/api/bookings/:id/decline', params => this.decideBooking(params[0], 'decline'));
+        this.addRoute('GET', '/api/digests', (_params, _body, request) => this.listDigests(request));
+        this.addRoute('POST', '/api/digests/run', () => this.runDigest());
+        this.addRoute('GET', '/api/escalations', (_params, _body, request) => this.listEscalations(request));
+        this.addRoute('POST', '/api/escalations/:id/ack', params => this.acknowledgeEscalation(params[0]));
+        this.addRoute('GET', '/api/knowledge', () => this.listKnowledge());
+        this.addRoute('POST', '/api/knowledge/reload', () => this.reloadKnowledge());
+        this.addRoute('GET', '/api/personas', () => this.listPersonas());
+        this.addRoute('POST', '/api/personas/reload', () => this.reloadPersonas());
+        this.addRoute('GET', '/api/prompts', () => this.listPrompts());
+        this.addRoute('POST', '/api/prompts/reload', () => this.reloadPrompts());
+        this.addRoute('GET', '/api/prompts/replies', (_params, _body, request) => this.listGeneratedReplies(request));
+    }
+
+    /**
+     * GET /healthz - the process is up and serving requests
+     */
+    private liveness(): AdminResponse {
+        const health = this.services.getHealthStatus();
+        return {
+            status: 200,
+            body: {
+                status: 'ok',
+                uptime: Math.round(process.uptime()),
+                unhealthyServices: health.filter(service => !service.isHealthy).map(service => service.name)
+            }
+        };
+    }
+
+    /**
+     * GET /readyz - storage is usable and WhatsApp is connected, for every tenant in multi-tenant mode
+     */
+    private readiness(): AdminResponse {
+        const tenants = this.getTenantIds();
+        if (tenants.length === 0) {
+            const checks = this.readinessChecks();
+            const ready = Object.values(checks).every(Boolean);
+            return { status: ready ? 200 : 503, body: { status: ready ? 'ready' : 'not_ready', checks } };
+        }
+
+        const checks = Object.fromEntries(tenants.map(tenant => [tenant, this.readinessChecks(tenant)]));
+        const ready = Object.values(checks).every(tenantChecks => Object.values(tenantChecks).every(Boolean));
+        return { status: ready ? 200 : 503, body: { status: ready ? 'ready' : 'not_ready', tenants: checks } };
+    }
+
+    private readinessChecks(tenant?: string): Record<string, boolean> {
+        const storage = this.services.get<any>(scopedServiceName(tenant, 'storageService'));
+        const whatsapp = this.services.get<any>(scopedServiceName(tenant, 'whatsappClient'));
+        return {
+            storage: !!storage && (typeof storage.isReady !== 'function' || storage.isReady()),
+            messageHandler: !!this.services.get(scopedServiceName(tenant, 'messageHandler')),
+            whatsapp: !!whatsapp && whatsapp.isReady()
+        };
+    }
+
+    /**
+     * GET /api/tenants - accounts served in multi-tenant mode with their owner and health
+     */
+    private listTenants(): AdminResponse {
+        const health = this.services.getTenantHealth?.() ?? [];
+        const tenants = this.getTenantIds().map(tenant => {
+            const messageHandler = this.services.get<any>(scopedServiceName(tenant, 'messageHandler'));
+            const tenantHealth = health.find(entry => entry.tenant === tenant);
+            const checks = this.readinessChecks(tenant);
+            return {
+                id: tenant,
+                owner: messageHandler?.getOwner?.().name ?? null,
+                ready: Object.values(checks).every(Boolean),
+                checks,
+                healthy: tenantHealth?.isHealthy ?? null,
+                unhealthyServices: (tenantHealth?.services ?? []).filter(service => !service.isHealthy).map(service => service.name)
+            };
+        });
+        return { status: 200, body: { count: tenants.length, tenants } };
+    }
+
+    /**
+     * GET /api/conversations
+     */
+    private listConversations(): AdminResponse {
+        const conversationManager = this.requireService<any>('conversationManager');
+        const conversations: ConversationContext[] = conversationManager.getAllConversations();
+
+        return {
+            status: 200,
+            body: {
+                count: conversations.length,
+                conversations: conversations
+                    .map(context => this.summarizeConversation(context))
+                    .sort((a, b) => (b.lastMessageAt || 0) - (a.lastMessageAt || 0))
+            }
+        };
+    }
+
+    /**
+     * GET /api/conversations/:chatId
+     */
+    private async getConversation(chatId: string): Promise<AdminResponse> {
+        const conversationManager = this.requireService<any>('conversationManager');
+        const context: ConversationContext | null = await conversationManager.getConversationContext(chatId);
+        if (!context) {
+            return { status: 404, body: { error: `Conversation ${chatId} not found` } };
+        }
+
+        const memoryService = this.findService<any>('memoryService');
+        return {
+            status: 200,
+            body: {
+                ...this.summarizeConversation(context),
+                memory: memoryService ? memoryService.getMemory(chatId) : null,
+                recentMessages: context.recentMessages.map(message => ({
+                    id: message.id,
+                    from: message.from,
+                    author: message.author,
+                    body: message.body,
+                    timestamp: message.timestamp,
+                    analysis: message.analysis ?? null
+                }))
+            }
+        };
+    }
+
+    /**
+     * DELETE /api/conversations/:chatId/memory - drop the chat's long-term summary
+     */
+    private async forgetConversation(chatId: string): Promise<AdminResponse> {
+        const memoryService = this.requireService<any>('memoryService');
+        const deleted = await memoryService.forget(chatId);
+        return deleted
+            ? { status: 200, body: { chatId, forgotten: true } }
+            : { status: 404, body: { error: `No summary stored for ${chatId}` } };
+    }
+
+    /**
+     * GET /api/timers
+     */
+    private listTimers(): AdminResponse {
+        const timerService = this.requireService<any>('timerService');
+        const timers = timerService.getActiveTimers().map((timer: any) => ({
+            chatId: timer.chatId,
+            responseTimerPending: !!timer.responseTimer,
+            inCooldown: timer.isInCooldown,
+            lastResponseTime: timer.lastResponseTime,
+            remainingMs: timerService.getRemainingTime(timer.chatId)
+        }));
+
+        return { status: 200, body: { stats: timerService.getTimerStats(), timers } };
+    }
+
+    /**
+     * DELETE /api/cooldowns[/:chatId]
+     */
+    private clearCooldowns(chatId?: string): AdminResponse {
+        const timerService = this.requireService<any>('timerService');
+        const chatIds: string[] = chatId
+            ? [chatId]
+            : timerService.getActiveTimers().filter((timer: any) => timer.isInCooldown).map((timer: any) => timer.chatId);
+
+        const cleared = chatIds.filter(id => timerService.isInCooldown(id));
+        chatIds.forEach(id => timerService.clearCooldown(id));
+
+        return { status: 200, body: { cleared } };
+    }
+
+    /**
+     * GET /api/secretary-mode
+     */
+    private getSecretaryMode(): AdminResponse {
+        const messageHandler = this.requireService<any>('messageHandler');
+        return { status: 200, body: { enabled: messageHandler.isSecretaryModeEnabled() } };
+    }
+
+    /**
+     * PUT /api/secretary-mode {"enabled": boolean}
+     */
+    private setSecretaryMode(body: any): AdminResponse {
+        if (typeof body?.enabled !== 'boolean') {
+            return { status: 400, body: { error: 'Body must be {"enabled": true|false}' } };
+        }
+
+        const messageHandler = this.requireService<any>('messageHandler');
+        messageHandler.setSecretaryMode(body.enabled);
+        return { status: 200, body: { enabled: messageHandler.isSecretaryModeEnabled() } };
+    }
+
+    /**
+     * GET /api/policies
+     */
+    private listPolicies(): AdminResponse {
+        const policyService = this.requireService<any>('policyService');
+        return { status: 200, body: { policies: policyService.getPolicies().map(serializePolicy) } };
+    }
+
+    /**
+     * PUT /api/policies/:subject - fields that are omitted keep their value, null resets to the default
+     */
+    private async setPolicy(subject: string, body: any): Promise<AdminResponse> {
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            return { status: 400, body: { error: 'Body must be a JSON object' } };
+        }
+
+        const unknown = Object.keys(body).filter(key => !POLICY_FIELDS.includes(key));
+        if (unknown.length > 0) {
+            return { status: 400, body: { error: `Unknown policy fields: ${unknown.join(', ')}` } };
+        }
+        if (body.subjectType !== undefined && body.subjectType !== 'chat' && body.subjectType !== 'contact') {
+            return { status: 400, body: { error: 'subjectType must be "chat" or "contact"' } };
+        }
+
+        const { subjectType, ...patch } = body;
+        if (patch.mutedUntil === 'indefinite') {
+            patch.mutedUntil = Infinity;
+        }
+
+        const policyService = this.requireService<any>('policyService');
+        try {
+            const policy = await policyService.setPolicy(subject, patch, subjectType);
+            return { status: 200, body: serializePolicy(policy) };
+        } catch (error) {
+            return { status: 400, body: { error: error instanceof Error ? error.message : 'Invalid policy' } };
+        }
+    }
+
+    /**
+     * DELETE /api/policies/:subject
+     */
+    private async deletePolicy(subject: string): Promise<AdminResponse> {
+        const policyService = this.requireService<any>('policyService');
+        const removed = await policyService.removePolicy(subject);
+        return removed
+            ? { status: 200, body: { removed: subject } }
+            : { status: 404, body: { error: `No policy for ${subject}` } };
+    }
+
+    /**
+     * GET /api/availability
+     */
+    private getAvailability(): AdminResponse {
+        const availabilityService = this.requireService<any>('availabilityService');
+        const calendarService = this.findService<any>('calendarService');
+        return {
+            status: 200,
+            body: {
+                availability: availabilityService.getAvailability(),
+                businessHours: availabilityService.getBusinessHours() || null,
+                outOfOffice: availabilityService.getOutOfOfficeWindows(),
+                calendar: calendarService ? calendarService.getStats() : null
+            }
+        };
+    }
+
+    /**
+     * GET /api/availability/:date - free and busy times of a YYYY-MM-DD date
+     */
+    private getDaySchedule(date: string): AdminResponse {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(`${date}T00:00:00Z`))) {
+            return { status: 400, body: { error: 'Date must be YYYY-MM-DD' } };
+        }
+        const availabilityService = this.requireService<any>('availabilityService');
+        return { status: 200, body: availabilityService.getDaySchedule(date) };
+    }
+
+    /**
+     * POST /api/calendar/refresh - reload the calendar now
+     */
+    private async refreshCalendar(): Promise<AdminResponse> {
+        const calendarService = this.requireService<any>('calendarService');
+        try {
+            return { status: 200, body: { events: await calendarService.refresh() } };
+        } catch (error) {
+            return { status: 502, body: { error: error instanceof Error ? error.message : 'Calendar refresh failed' } };
+        }
+    }
+
+    /**
+     * POST /api/out-of-office {"until": ISO date or epoch ms, "start"?: ..., "message"?: string}
+     */
+    private async addOutOfOffice(body: any): Promise<AdminResponse> {
+        const end = parseTimestamp(body?.until);
+        const start = body?.start === undefined ? undefined : parseTimestamp(body.start);
+        if (end === null || start === null) {
+            return { status: 400, body: { error: 'Body must be {"until": ISO date or epoch ms, "start"?: ..., "message"?: string}' } };
+        }
+
+        const availabilityService = this.requireService<any>('availabilityService');
+        try {
+            const window = await availabilityService.addOutOfOffice(end, {
+                start,
+                message: typeof body.message === 'string' ? body.message : undefined
+            });
+            return { status: 201, body: window };
+        } catch (error) {
+            return { status: 400, body: { error: error instanceof Error ? error.message : 'Invalid out-of-office window' } };
+        }
+    }
+
+    /**
+     * DELETE /api/out-of-office - end the current out-of-office window now
+     */
+    private async endOutOfOffice(): Promise<AdminResponse> {
+        const availabilityService = this.requireService<any>('availabilityService');
+        return { status: 200, body: { ended: await availabilityService.endOutOfOffice() } };
+    }
+
+    /**
+     * DELETE /api/out-of-office/:id
+     */
+    private async removeOutOfOffice(id: string): Promise<AdminResponse> {
+        const availabilityService = this.requireService<any>('availabilityService');
+        const removed = await availabilityService.removeOutOfOffice(parseInt(id, 10));
+        return removed
+            ? { status: 200, body: { removed: parseInt(id, 10) } }
+            : { status: 404, body: { error: `No out-of-office window ${id}` } };
+    }
+
+    /**
+     * GET /api/drafts[?status=pending&limit=50] - newest first
+     */
+    private async listDrafts(request: http.IncomingMessage): Promise<AdminResponse> {
+        const query = new URL(request.url || '/', 'http://localhost').searchParams;
+        const status = query.get('status') || undefined;
+        if (status && !DRAFT_STATUSES.includes(status as DraftStatus)) {
+            return { status: 400, body: { error: `status must be one of ${DRAFT_STATUSES.join(', ')}` } };
+        }
+        const limit = Math.min(Math.max(parseInt(query.get('limit') || '50', 10) || 50, 1), 500);
+
+        const approvalService = this.requireService<any>('approvalService');
+        const drafts = await approvalService.getDrafts(status, limit);
+        return { status: 200, body: { count: drafts.length, drafts } };
+    }
+
+    /**
+     * GET /api/drafts/stats
+     */
+    private async getDraftStats(): Promise<AdminResponse> {
+        const approvalService = this.requireService<any>('approvalService');
+        return { status: 200, body: await approvalService.getStats() };
+    }
+
+    /**
+     * GET /api/drafts/:id
+     */
+    private async getDraft(id: string): Promise<AdminResponse> {
+        const approvalService = this.requireService<any>('approvalService');
+        const draft = await approvalService.getDraft(parseInt(id, 10));
+        return draft
+            ? { status: 200, body: draft }
+            : { status: 404, body: { error: `No draft ${id}` } };
+    }
+
+    /**
+     * POST /api/drafts/:id/approve, /api/drafts/:id/edit {"text": string}, /api/drafts/:id/reject
+     */
+    private async decideDraft(id: string, action: 'approve' | 'edit' | 'reject', body?: any): Promise<AdminResponse> {
+        if (action === 'edit' && (typeof body?.text !== 'string' || !body.text.trim())) {
+            return { status: 400, body: { error: 'Body must be {"text": string}' } };
+        }
+
+        const approvalService = this.requireService<any>('approvalService');
+        const draftId = parseInt(id, 10);
+        try {
+            const decided = action === 'edit'
+                ? await approvalService.edit(draftId, body.text, 'admin')
+                : await approvalService[action](draftId, 'admin');
+            return decided
+                ? { status: 200, body: decided }
+                : { status: 409, body: { error: `Draft ${id} is not pending` } };
+        } catch (error) {
+            return { status: 502, body: { error: error instanceof Error ? error.message : 'Could not send draft' } };
+        }
+    }
+
+    /**
+     * GET /api/bookings[?status=held&limit=50] - newest first
+     */
+    private async listBookings(request: http.IncomingMessage): Promise<AdminResponse> {
+        const query = new URL(request.url || '/', 'http://localhost').searchParams;
+        const status = query.get('status') || undefined;
+        if (status && !BOOKING_STATUSES.includes(status as BookingStatus)) {
+            return { status: 400, body: { error: `status must be one of ${BOOKING_STATUSES.join(', ')}` } };
+        }
+        const limit = Math.min(Math.max(parseInt(query.get('limit') || '50', 10) || 50, 1), 500);
+
+        const bookingService = this.requireService<any>('bookingService');
+        const bookings = await bookingService.getBookings(status ? [status] : undefined, limit);
+        return { status: 200, body: { count: bookings.length, timezone: bookingService.getTimezone(), bookings } };
+    }
+
+    /**
+     * POST /api/bookings/:id/confirm, /api/bookings/:id/decline
+     */
+    private async decideBooking(id: string, action: 'confirm' | 'decline'): Promise<AdminResponse> {
+        const bookingService = this.requireService<any>('bookingService');
+        const decided = await bookingService[action](parseInt(id, 10));
+        return decided
+            ? { status: 200, body: decided }
+            : { status: 409, body: { error: `Booking ${id} is not waiting for confirmation` } };
+    }
+
+    /**
+     * GET /api/digests[?limit=20] - newest first
+     */
+    private async listDigests(request: http.IncomingMessage): Promise<AdminResponse> {
+        const query = new URL(request.url || '/', 'http://localhost').searchParams;
+        const limit = Math.min(Math.max(parseInt(query.get('limit') || '20', 10) || 20, 1), 200);
+        const digests = await this.requireService<any>('digestService').getDigests(limit);
+        return { status: 200, body: { count: digests.length, digests } };
+    }
+
+    /**
+     * POST /api/digests/run - build and send a digest now
+     */
+    private async runDigest(): Promise<AdminResponse> {
+        const digestService = this.requireService<any>('digestService');
+        const digest = await digestService.run();
+        return { status: 200, body: { ...digest, text: digestService.formatDigest(digest) } };
+    }
+
+    /**
+     * GET /api/escalations[?status=open&limit=50] - newest first
+     */
+    private async listEscalations(request: http.IncomingMessage): Promise<AdminResponse> {
+        const query = new URL(request.url || '/', 'http://localhost').searchParams;
+        const status = query.get('status') || undefined;
+        if (status && !ESCALATION_STATUSES.includes(status as EscalationStatus)) {
+            return { status: 400, body: { error: `status must be one of ${ESCALATION_STATUSES.join(', ')}` } };
+        }
+        const limit = Math.min(Math.max(parseInt(query.get('limit') || '50', 10) || 50, 1), 500);
+
+        const escalations = await this.requireService<any>('escalationService').getEscalations(status, limit);
+        return { status: 200, body: { count: escalations.length, escalations } };
+    }
+
+    /**
+     * POST /api/escalations/:id/ack - stop the alerts about an urgent message
+     */
+    private async acknowledgeEscalation(id: string): Promise<AdminResponse> {
+        const acknowledged = await this.requireService<any>('escalationService').acknowledge(parseInt(id, 10), 'admin');
+        return acknowledged
+            ? { status: 200, body: acknowledged }
+            : { status: 409, body: { error: `Escalation ${id} is not open` } };
+    }
+
+    /**
+     * GET /api/knowledge - loaded entries and files that failed to parse
+     */
+    private listKnowledge(): AdminResponse {
+        const knowledgeBase = this.requireService<any>('knowledgeBase');
+        return {
+            status: 200,
+            body: {
+                ...knowledgeBase.getStats(),
+                entries: knowledgeBase.getEntries(),
+                errors: knowledgeBase.getErrors()
+            }
+        };
+    }
+
+    /**
+     * POST /api/knowledge/reload - re-read the knowledge directory now
+     */
+    private async reloadKnowledge(): Promise<AdminResponse> {
+        const knowledgeBase = this.requireService<any>('knowledgeBase');
+        const chunks = await knowledgeBase.reload();
+        return { status: 200, body: { chunks, errors: knowledgeBase.getErrors() } };
+    }
+
+    /**
+     * GET /api/personas - loaded persona profiles and files that failed to load
+     */
+    private listPersonas(): AdminResponse {
+        const personaService = this.requireService<any>('personaService');
+        return {
+            status: 200,
+            body: {
+                ...personaService.getStats(),
+                profiles: personaService.getProfiles(),
+                errors: personaService.getErrors()
+            }
+        };
+    }
+
+    /**
+     * POST /api/personas/reload - re-read the persona directory now
+     */
+    private reloadPersonas(): AdminResponse {
+        const personaService = this.requireService<any>('personaService');
+        const profiles = personaService.reload();
+        return { status: 200, body: { profiles, errors: personaService.getErrors() } };
+    }
+
+    /**
+     * GET /api/prompts - templates in use, files that failed to load and how each prompt version fared
+     */
+    private async listPrompts(): Promise<AdminResponse> {
+        const promptTemplates = this.requireService<any>('promptTemplates');
+        const storage = this.requireService<any>('storageService');
+        return {
+            status: 200,
+            body: {
+                ...promptTemplates.getStats(),
+                templates: promptTemplates.getTemplates(),
+                errors: promptTemplates.getErrors(),
+                promptVersions: await storage.getPromptVersionStats()
+            }
+        };
+    }
+
+    /**
+     * POST /api/prompts/reload - re-read the prompts directory now
+     */
+    private reloadPrompts(): AdminResponse {
+        const promptTemplates = this.requireService<any>('promptTemplates');
+        const templates = promptTemplates.reload();
+        return { status: 200, body: { templates, versions: promptTemplates.getStats().versions, errors: promptTemplates.getErrors() } };
+    }
+
+    /**
+     * GET /api/prompts/replies?version=secretary@1a2b3c4d+system@2&limit=50 - generated replies, newest first
+     */
+    private async listGeneratedReplies(request: http.IncomingMessage): Promise<AdminResponse> {
+        const query = new URL(request.url || '/', 'http://localhost').searchParams;
+        const limit = Math.min(Math.max(parseInt(query.get('limit') || '50', 10) || 50, 1), 500);
+        const replies = await this.requireService<any>('storageService').getGeneratedReplies(query.get('version') || undefined, limit);
+        return { status: 200, body: { count: replies.length, replies } };
+    }
+
+    /**
+     * Conversation summary for listings
+     */
+    private summarizeConversation(context: ConversationContext): Record<string, any> {
+        const timerService = this.findService<any>('timerService');
+        const messageHandler = this.findService<any>('messageHandler');
+        const lastMessage = context.recentMessages[context.recentMessages.length - 1];
+        const named = context.recentMessages.find(message => message.chat.name && message.chat.name !== 'Unknown');
+
+        return {
+            chatId: context.chatId,
+            name: named?.chat.name || null,
+            isGroup: context.recentMessages.some(message => message.isGroupMsg),
+            isActive: context.isActive,
+            participantCount: context.participantCount,
+            messageCount: context.recentMessages.length,
+            lastMessageAt: lastMessage?.timestamp,
+            lastResponseTime: context.lastResponseTime,
+            inCooldown: timerService ? timerService.isInCooldown(context.chatId) : false,
+            muted: messageHandler?.isChatMuted ? messageHandler.isChatMuted(context.chatId) : false
+        };
+    }
+
+    /**
+     * Get a registered service or fail with 503. Inside a tenant route the tenant's own
+     * service is used; services all tenants share are registered without a tenant.
+     */
+    private requireService<T>(name: string): T {
+        const tenant = this.tenantScope.getStore();
+        const service = this.findService<T>(name);
+        if (!service) {
+            if (!tenant && this.getTenantIds().length > 0) {
+                throw new TenantRequiredError();
+            }
+            throw new ServiceUnavailableError(name);
+        }
+        return service;
+    }
+
+    /**
+     * Get a service that is optional, with the same tenant lookup as requireService
+     */
+    private findService<T>(name: string): T | undefined {
+        const tenant = this.tenantScope.getStore();
+        return (tenant ? this.services.get<T>(scopedServiceName(tenant, name)) : undefined) ?? this.services.get<T>(name);
+    }
+
+    private getTenantIds(): string[] {
+        return this.services.getTenantIds?.() ?? [];
+    }
+}
+
+const POLICY_FIELDS = ['subjectType', 'mode', 'responseDelayMs', 'cooldownMs', 'persona', 'profile', 'businessHoursOnly', 'mutedUntil', 'requireApproval', 'approvalTimeoutMs', 'vip', 'note'];
+
+const DRAFT_STATUSES: DraftStatus[] = ['pending', 'approved', 'edited', 'rejected', 'auto_sent', 'expired', 'discarded'];
+
+const BOOKING_STATUSES: BookingStatus[] = ['proposed', 'held', 'confirmed', 'declined', 'cancelled', 'expired'];
+
+const ESCALATION_STATUSES: EscalationStatus[] = ['open', 'acknowledged', 'expired'];
+
+/**
+ * Accept an ISO date string or epoch milliseconds
+ */
+function parseTimestamp(value: any): number | null {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return value;
+    }
+    if (typeof value === 'string' && value.trim()) {
+        const parsed = Date.parse(value);
+        return isNaN(parsed) ? null : parsed;
+    }
+    return null;
+}
+
+/**
+ * JSON form of a policy (JSON has no Infinity, so indefinite mutes are spelled out)
+ */
+function serializePolicy(policy: ChatPolicy): Record<string, any> {
+    return { ...policy, mutedUntil: policy.mutedUntil === Infinity ? 'indefinite' : policy.mutedUntil ?? null };
+}
+
+/**
+ * Raised when a route needs a service that has not been initialised yet
+ */
+class ServiceUnavailableError extends Error {
+    constructor(serviceName: string) {
+        super(`Service not available yet: ${serviceName}`);
+        this.name = 'ServiceUnavailableError';
+    }
+}
+
+/**
+ * Raised when a route needs an account's service but the request did not name a tenant
+ */
+class TenantRequiredError extends Error {
+    constructor() {
+        super('Several accounts are served; use /api/tenants/<id>/... for this endpoint');
+        this.name = 'TenantRequiredError';
+    }
+}
+
+/**
+ * Render AppMetrics and service health in the Prometheus text exposition format
+ */
+export function formatPrometheusMetrics(metrics: AppMetrics, health: ServiceHealth[] = []): string {
+    const lines: string[] = [];
+    const metric = (name: string, type: 'gauge' | 'counter', help: string, samples: Array<[Record<string, string>, number]>) => {
+        const fullName = `${METRIC_PREFIX}_${name}`;
+        lines.push(`# HELP ${fullName} ${help}`);
+        lines.push(`# TYPE ${fullName} ${type}`);
+        for (const [labels, value] of samples) {
+            const labelText = Object.entries(labels)
+                .map(([key, labelValue]) => `${key}="${escapeLabel(labelValue)}"`)
+                .join(',');
+            lines.push(`${fullName}${labelText ? `{${labelText}}` : ''} ${Number.isFinite(value) ? value : 0}`);
+        }
+    };
+
+    metric('uptime_seconds', 'gauge', 'Application uptime in seconds', [[{}, Math.round(metrics.uptime / 1000)]]);
+    metric('memory_heap_used_bytes', 'gauge', 'V8 heap used', [[{}, metrics.memory.used]]);
+    metric('memory_heap_total_bytes', 'gauge', 'V8 heap total', [[{}, metrics.memory.total]]);
+
+    metric('conversations', 'gauge', 'Tracked conversations by state', [
+        [{ state: 'active' }, metrics.conversations.active],
+        [{ state: 'total' }, metrics.conversations.total]
+    ]);
+    metric('conversation_messages', 'gauge', 'Messages held in conversation context', [[{}, metrics.conversations.messages]]);
+
+    metric('timers', 'gauge', 'Timers by kind', [
+        [{ kind: 'active' }, metrics.timers.active],
+        [{ kind: 'cooldown' }, metrics.timers.cooldowns],
+        [{ kind: 'response' }, metrics.timers.responses]
+    ]);
+
+    const serviceNames = Array.from(new Set([
+        ...Object.keys(metrics.services),
+        ...health.map(service => service.name)
+    ]));
+    metric('service_healthy', 'gauge', 'Whether a service passed its last health check', serviceNames.map(name => {
+        const status = health.find(service => service.name === name);
+        const healthy = status ? status.isHealthy : metrics.services[name]?.healthy;
+        return [serviceLabels(name), healthy ? 1 : 0] as [Record<string, string>, number];
+    }));
+    metric('service_errors_total', 'counter', 'Health check errors per service', serviceNames.map(name =>
+        [serviceLabels(name), metrics.services[name]?.errors || 0] as [Record<string, string>, number]
+    ));
+
+    const providers = metrics.aiProviders?.providers || [];
+    if (providers.length > 0) {
+        metric('ai_provider_active', 'gauge', 'Provider that served the last AI request', providers.map(provider =>
+            [{ provider: provider.id }, provider.id === metrics.aiProviders.activeProvider ? 1 : 0] as [Record<string, string>, number]
+        ));
+        metric('ai_provider_circuit_state', 'gauge', 'Circuit breaker state per provider (1 = current state)',
+            providers.flatMap(provider => (['closed', 'open', 'half_open'] as const).map(state =>
+                [{ provider: provider.id, state }, provider.state === state ? 1 : 0] as [Record<string, string>, number]
+            ))
+        );
+        metric('ai_provider_trips_total', 'counter', 'Times the provider circuit breaker tripped', providers.map(provider =>
+            [{ provider: provider.id }, provider.tripCount] as [Record<string, string>, number]
+        ));
+        metric('ai_provider_requests_total', 'counter', 'AI requests per provider and outcome', providers.flatMap(provider => [
+            [{ provider: provider.id, outcome: 'success' }, provider.successes],
+            [{ provider: provider.id, outcome: 'failure' }, provider.failures]
+        ] as Array<[Record<string, string>, number]>));
+        metric('ai_provider_latency_avg_ms', 'gauge', 'Average latency over the breaker window', providers.map(provider =>
+            [{ provider: provider.id }, provider.avgLatencyMs] as [Record<string, string>, number]
+        ));
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * `service` label, plus `tenant` for an account's service in multi-tenant mode
+ */
+function serviceLabels(name: string): Record<string, string> {
+    const { tenant, service } = parseScopedServiceName(name);
+    return tenant ? { service, tenant } : { service };
+}
+
+/**
+ * Escape a Prometheus label value
+ */
+function escapeLabel(value: string): string {
+    return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
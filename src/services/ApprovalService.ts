@@ -0,0 +1,318 @@
+import { EventEmitter } from 'events';
+import { DraftDecisionSource, DraftStatus, ReplyDraft } from '../types';
+import { StorageService } from './StorageService';
+import { formatDuration, MAX_TIMER_MS } from '../utils/duration';
+
+const AUTO_SEND_RETRY_MS = 30000;
+const AUTO_SEND_MAX_RETRY_MS = 15 * 60 * 1000;
+
+/**
+ * Sends an approved draft to the contact; resolves false if it could not be delivered
+ */
+export type DraftDeliveryHandler = (draft: ReplyDraft, text: string) => Promise<boolean>;
+
+/**
+ * New draft for the owner to review
+ */
+export interface DraftRequest {
+    chatId: string;
+    chatName?: string;
+    text: string;
+    model?: string;
+    autoSendAfterMs: number; // 0 = wait for the owner
+}
+
+/**
+ * Approval statistics: how often drafts went out unchanged, edited or not at all
+ */
+export interface DraftStats {
+    pending: number;
+    approved: number;
+    edited: number;
+    rejected: number;
+    autoSent: number;
+    expired: number;
+    discarded: number;
+    approvalRate: number | null; // Share of owner decisions that approved the draft unchanged
+}
+
+/**
+ * Draft-and-approve mode: generated replies wait for the owner to approve, edit or reject them,
+ * and are sent automatically when the policy's auto-send timeout passes. Every draft and decision
+ * is stored so the approval rate can be measured.
+ */
+export class ApprovalService extends EventEmitter {
+    private storage: StorageService;
+    private deliver?: DraftDeliveryHandler;
+    private pending: Map<number, ReplyDraft> = new Map();
+    private autoSendTimers: Map<number, NodeJS.Timeout> = new Map();
+    private retryMs: number;
+    private isInitialized: boolean = false;
+
+    static readonly EVENTS = {
+        DRAFT_CREATED: 'draft_created',
+        DRAFT_DECIDED: 'draft_decided'
+    } as const;
+
+    constructor(storage: StorageService, retryMs: number = AUTO_SEND_RETRY_MS) {
+        super();
+        this.storage = storage;
+        this.retryMs = retryMs;
+    }
+
+    /**
+     * Load pending drafts and resume their auto-send timers. Drafts whose deadline passed while
+     * the assistant was offline are expired rather than sent late.
+     */
+    public async initialize(): Promise<void> {
+        const drafts = await this.storage.getReplyDrafts('pending', 1000);
+        const now = Date.now();
+
+        for (const draft of drafts) {
+            if (draft.autoSendAt !== undefined && draft.autoSendAt <= now) {
+                await this.storage.decideReplyDraft(draft.id, { status: 'expired', decidedBy: 'timeout', decidedAt: now });
+                continue;
+            }
+            this.pending.set(draft.id, draft);
+            this.scheduleAutoSend(draft);
+        }
+
+        this.isInitialized = true;
+        console.log(`📝 Loaded ${this.pending.size} pending reply drafts`);
+    }
+
+    /**
+     * Check if pending drafts have been loaded
+     */
+    public isReady(): boolean {
+        return this.isInitialized;
+    }
+
+    /**
+     * Set how approved drafts reach the contact
+     */
+    public setDeliveryHandler(handler: DraftDeliveryHandler): void {
+        this.deliver = handler;
+    }
+
+    /**
+     * Store a draft for review. A newer draft replaces the chat's pending one.
+     */
+    public async submitDraft(request: DraftRequest): Promise<ReplyDraft> {
+        await this.discardForChat(request.chatId);
+
+        const now = Date.now();
+        const draft: ReplyDraft = {
+            id: 0,
+            chatId: request.chatId,
+            chatName: request.chatName,
+            draft: request.text,
+            status: 'pending',
+            model: request.model,
+            autoSendAt: request.autoSendAfterMs > 0 ? now + request.autoSendAfterMs : undefined,
+            createdAt: now
+        };
+        draft.id = await this.storage.createReplyDraft(draft);
+
+        this.pending.set(draft.id, draft);
+        this.scheduleAutoSend(draft);
+        console.log(`📝 Draft #${draft.id} for ${request.chatId} waiting for approval`);
+        this.emit(ApprovalService.EVENTS.DRAFT_CREATED, draft);
+        return draft;
+    }
+
+    /**
+     * Send a draft as written
+     */
+    public async approve(id: number, source: DraftDecisionSource = 'owner'): Promise<ReplyDraft | null> {
+        const draft = this.pending.get(id);
+        return draft ? this.send(draft, draft.draft, 'approved', source) : null;
+    }
+
+    /**
+     * Send the owner's corrected text instead of the draft
+     */
+    public async edit(id: number, text: string, source: DraftDecisionSource = 'owner'): Promise<ReplyDraft | null> {
+        if (!text.trim()) {
+            throw new Error('Edited reply cannot be empty');
+        }
+        const draft = this.pending.get(id);
+        return draft ? this.send(draft, text.trim(), 'edited', source) : null;
+    }
+
+    /**
+     * Drop a draft without sending anything
+     */
+    public async reject(id: number, source: DraftDecisionSource = 'owner'): Promise<ReplyDraft | null> {
+        const draft = this.pending.get(id);
+        return draft ? this.close(draft, 'rejected', source) : null;
+    }
+
+    /**
+     * Discard the chat's pending draft, e.g. because the owner answered the contact directly
+     */
+    public async discardForChat(chatId: string): Promise<ReplyDraft | null> {
+        const draft = this.getPendingDraftForChat(chatId);
+        return draft ? this.close(draft, 'discarded') : null;
+    }
+
+    /**
+     * Pending drafts, oldest first
+     */
+    public getPendingDrafts(): ReplyDraft[] {
+        return Array.from(this.pending.values()).sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Pending draft for a chat
+     */
+    public getPendingDraftForChat(chatId: string): ReplyDraft | undefined {
+        return this.getPendingDrafts().find(draft => draft.chatId === chatId);
+    }
+
+    /**
+     * Most recent pending draft, the default target of quick actions
+     */
+    public getLatestPendingDraft(): ReplyDraft | undefined {
+        const drafts = this.getPendingDrafts();
+        return drafts[drafts.length - 1];
+    }
+
+    /**
+     * Get a draft by ID, pending or decided
+     */
+    public async getDraft(id: number): Promise<ReplyDraft | null> {
+        return this.pending.get(id) || await this.storage.getReplyDraft(id);
+    }
+
+    /**
+     * Get stored drafts, newest first
+     */
+    public async getDrafts(status?: DraftStatus, limit?: number): Promise<ReplyDraft[]> {
+        return this.storage.getReplyDrafts(status, limit);
+    }
+
+    /**
+     * Count drafts by outcome
+     */
+    public async getStats(): Promise<DraftStats> {
+        const counts = await this.storage.getReplyDraftCounts();
+        const approved = counts.approved || 0;
+        const edited = counts.edited || 0;
+        const rejected = counts.rejected || 0;
+        const reviewed = approved + edited + rejected;
+
+        return {
+            pending: counts.pending || 0,
+            approved,
+            edited,
+            rejected,
+            autoSent: counts.auto_sent || 0,
+            expired: counts.expired || 0,
+            discarded: counts.discarded || 0,
+            approvalRate: reviewed > 0 ? approved / reviewed : null
+        };
+    }
+
+    /**
+     * Stop auto-send timers
+     */
+    public destroy(): void {
+        this.autoSendTimers.forEach(timer => clearTimeout(timer));
+        this.autoSendTimers.clear();
+        this.removeAllListeners();
+    }
+
+    /**
+     * Deliver a draft and record the decision. The draft stays pending if delivery fails.
+     */
+    private async send(draft: ReplyDraft, text: string, status: DraftStatus, source: DraftDecisionSource): Promise<ReplyDraft> {
+        if (!this.deliver) {
+            throw new Error('Reply delivery is not available yet');
+        }
+
+        // Claimed before sending so a decision racing the auto-send timer cannot send twice
+        this.pending.delete(draft.id);
+        this.clearAutoSend(draft.id);
+
+        let delivered = false;
+        try {
+            delivered = await this.deliver(draft, text);
+        } catch (error) {
+            console.error(`❌ Failed to deliver draft #${draft.id}:`, error);
+        }
+        if (!delivered) {
+            this.pending.set(draft.id, draft);
+            throw new Error(`Could not send draft #${draft.id} to ${draft.chatId}`);
+        }
+
+        return this.close(draft, status, source, text);
+    }
+
+    /**
+     * Mark a pending draft as decided
+     */
+    private async close(draft: ReplyDraft, status: DraftStatus, source?: DraftDecisionSource, finalText?: string): Promise<ReplyDraft> {
+        this.pending.delete(draft.id);
+        this.clearAutoSend(draft.id);
+
+        const decided: ReplyDraft = { ...draft, status, finalText, decidedBy: source, decidedAt: Date.now() };
+        await this.storage.decideReplyDraft(draft.id, { status, finalText, decidedBy: source, decidedAt: decided.decidedAt! });
+
+        console.log(`📝 Draft #${draft.id} ${status.replace('_', ' ')}${source ? ` (${source})` : ''}`);
+        this.emit(ApprovalService.EVENTS.DRAFT_DECIDED, decided);
+        return decided;
+    }
+
+    /**
+     * Send the draft unchanged once its auto-send time arrives. Deadlines beyond what setTimeout
+     * can wait are reached in steps. A failed send (e.g. WhatsApp not connected yet) is retried
+     * with a growing delay until it goes out or the owner decides.
+     */
+    private scheduleAutoSend(draft: ReplyDraft, attempt: number = 0): void {
+        if (draft.autoSendAt === undefined) {
+            return;
+        }
+
+        const delay = attempt > 0 ? this.retryDelay(attempt) : Math.max(0, draft.autoSendAt - Date.now());
+        const timer = setTimeout(async () => {
+            this.autoSendTimers.delete(draft.id);
+            if (!this.pending.has(draft.id)) {
+                return;
+            }
+            if (Date.now() < draft.autoSendAt!) {
+                this.scheduleAutoSend(draft);
+                return;
+            }
+            try {
+                await this.send(draft, draft.draft, 'auto_sent', 'timeout');
+            } catch (error) {
+                if (!this.pending.has(draft.id)) {
+                    return;
+                }
+                console.error(`❌ Auto-send of draft #${draft.id} failed, retrying in ${formatDuration(this.retryDelay(attempt + 1))}:`, error instanceof Error ? error.message : error);
+                this.scheduleAutoSend(draft, attempt + 1);
+            }
+        }, Math.min(delay, MAX_TIMER_MS));
+
+        this.autoSendTimers.set(draft.id, timer);
+    }
+
+    /**
+     * Wait before the given retry of a failed auto-send: doubles each time, up to 15 minutes
+     */
+    private retryDelay(attempt: number): number {
+        return Math.min(this.retryMs * 2 ** (attempt - 1), AUTO_SEND_MAX_RETRY_MS);
+    }
+
+    /**
+     * Cancel a draft's auto-send timer
+     */
+    private clearAutoSend(id: number): void {
+        const timer = this.autoSendTimers.get(id);
+        if (timer) {
+            clearTimeout(timer);
+            this.autoSendTimers.delete(id);
+        }
+    }
+}
@@ -0,0 +1,272 @@
+import { AvailabilityState, BusyPeriod, DaySchedule, OutOfOfficeWindow } from '../types';
+import { config } from '../config/environment';
+import { StorageService } from './StorageService';
+import { CalendarService } from './CalendarService';
+import {
+    BusinessHours,
+    addDays,
+    formatZonedTime,
+    getBusinessWindows,
+    getHoliday,
+    getNextBusinessOpening,
+    getZonedTime,
+    isWithinBusinessHours,
+    zonedTimeToInstant
+} from '../utils/businessHours';
+
+const MIN_FREE_SLOT_MS = 15 * 60 * 1000; // Shorter gaps between meetings are not offered as free time
+
+/**
+ * Busy times that are not in the calendar, e.g. tentative meeting holds
+ */
+export type BusySource = (from: number, to: number) => Array<{ start: number; end: number }>;
+
+/**
+ * Tracks the owner's availability from the weekly business-hours schedule, holidays,
+ * ad-hoc out-of-office windows (persisted in SQLite) and, optionally, a calendar
+ */
+export class AvailabilityService {
+    private storage: StorageService;
+    private businessHours?: BusinessHours;
+    private calendar?: CalendarService;
+    private busySources: BusySource[] = [];
+    private outOfOffice: OutOfOfficeWindow[] = [];
+    private isInitialized: boolean = false;
+
+    constructor(
+        storage: StorageService,
+        businessHours: BusinessHours | undefined = config.secretary.businessHours,
+        calendar?: CalendarService
+    ) {
+        this.storage = storage;
+        this.businessHours = businessHours;
+        this.calendar = calendar;
+    }
+
+    /**
+     * Load upcoming out-of-office windows
+     */
+    public async initialize(): Promise<void> {
+        this.outOfOffice = await this.storage.getOutOfOfficeWindows();
+        this.isInitialized = true;
+        console.log(`🗓️ Availability loaded: ${this.outOfOffice.length} upcoming out-of-office windows`);
+    }
+
+    /**
+     * Check if the service has loaded its state
+     */
+    public isReady(): boolean {
+        return this.isInitialized;
+    }
+
+    /**
+     * Get the configured business hours
+     */
+    public getBusinessHours(): BusinessHours | undefined {
+        return this.businessHours;
+    }
+
+    /**
+     * Check if a calendar is connected
+     */
+    public hasCalendar(): boolean {
+        return !!this.calendar;
+    }
+
+    /**
+     * Treat the times a source reports as busy, like calendar events
+     */
+    public addBusySource(source: BusySource): void {
+        this.busySources.push(source);
+    }
+
+    /**
+     * Current availability: out of office beats holidays, holidays beat the weekly schedule,
+     * and during working hours a calendar event makes the owner busy until it ends
+     */
+    public getAvailability(now: Date = new Date()): AvailabilityState {
+        const timezone = this.businessHours?.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+        const state: AvailabilityState = {
+            status: 'available',
+            timezone,
+            localTime: formatZonedTime(now.getTime(), timezone)
+        };
+
+        const outOfOffice = this.getActiveOutOfOffice(now);
+        if (outOfOffice) {
+            return {
+                ...state,
+                status: 'out_of_office',
+                outOfOffice,
+                nextAvailableAt: this.businessHours
+                    ? getNextBusinessOpening(this.businessHours, new Date(outOfOffice.end)) ?? outOfOffice.end
+                    : outOfOffice.end
+            };
+        }
+
+        if (!this.businessHours || isWithinBusinessHours(this.businessHours, now)) {
+            const busy = this.getBusyAt(now.getTime());
+            if (!busy) {
+                return state;
+            }
+            return {
+                ...state,
+                status: 'busy',
+                busy,
+                nextAvailableAt: this.businessHours
+                    ? getNextBusinessOpening(this.businessHours, new Date(busy.end)) ?? busy.end
+                    : busy.end
+            };
+        }
+
+        const holiday = getHoliday(this.businessHours, getZonedTime(now, timezone).date);
+        return {
+            ...state,
+            status: holiday ? 'holiday' : 'after_hours',
+            holiday: holiday ? holiday.name || 'Holiday' : undefined,
+            nextAvailableAt: getNextBusinessOpening(this.businessHours, now) ?? undefined
+        };
+    }
+
+    /**
+     * Free and busy times of a local date (YYYY-MM-DD) within working hours. Calendar events and
+     * out-of-office windows count as busy; times already past are not offered as free.
+     */
+    public getDaySchedule(date: string, now: Date = new Date()): DaySchedule {
+        const timezone = this.businessHours?.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+        const schedule: DaySchedule = { date, timezone, status: 'working', free: [], busy: [] };
+
+        const holiday = this.businessHours ? getHoliday(this.businessHours, date) : undefined;
+        if (holiday) {
+            return { ...schedule, status: 'holiday', holiday: holiday.name || 'Holiday' };
+        }
+
+        const windows = this.businessHours
+            ? getBusinessWindows(this.businessHours, date)
+            : [{ start: zonedTimeToInstant(date, 0, timezone), end: zonedTimeToInstant(addDays(date, 1), 0, timezone) }];
+        if (windows.length === 0) {
+            return { ...schedule, status: 'day_off' };
+        }
+
+        const dayStart = windows[0].start;
+        const dayEnd = windows[windows.length - 1].end;
+        const blocked = [
+            ...(this.calendar?.getBusyPeriods(dayStart, dayEnd) || []),
+            ...this.busySources.flatMap(source => source(dayStart, dayEnd)),
+            ...this.outOfOffice.filter(window => window.end > dayStart && window.start < dayEnd)
+        ];
+        if (windows.every(window => this.outOfOffice.some(ooo => ooo.start <= window.start && ooo.end >= window.end))) {
+            return { ...schedule, status: 'out_of_office' };
+        }
+
+        for (const window of windows) {
+            const busy = blocked
+                .map(period => ({ start: Math.max(period.start, window.start), end: Math.min(period.end, window.end) }))
+                .filter(period => period.end > period.start)
+                .sort((a, b) => a.start - b.start);
+
+            let cursor = Math.max(window.start, now.getTime());
+            for (const period of busy) {
+                const last = schedule.busy[schedule.busy.length - 1];
+                if (last && period.start <= last.end) {
+                    last.end = Math.max(last.end, period.end);
+                } else {
+                    schedule.busy.push({ ...period });
+                }
+                if (period.start - cursor >= MIN_FREE_SLOT_MS) {
+                    schedule.free.push({ start: cursor, end: period.start });
+                }
+                cursor = Math.max(cursor, period.end);
+            }
+            if (window.end - cursor >= MIN_FREE_SLOT_MS) {
+                schedule.free.push({ start: cursor, end: window.end });
+            }
+        }
+
+        return schedule;
+    }
+
+    /**
+     * Calendar event or other busy period in progress at an instant; ends when the last overlapping one does
+     */
+    private getBusyAt(time: number): BusyPeriod | undefined {
+        const periods: BusyPeriod[] = [
+            ...(this.calendar ? this.calendar.getBusyPeriods(time, time + 1) : []),
+            ...this.busySources.flatMap(source => source(time, time + 1)).map(period => ({ ...period, allDay: false }))
+        ];
+        if (periods.length === 0) {
+            return undefined;
+        }
+        return periods.reduce((longest, period) => period.end > longest.end ? period : longest);
+    }
+
+    /**
+     * Check if the owner is currently working
+     */
+    public isAvailable(now: Date = new Date()): boolean {
+        return this.getAvailability(now).status === 'available';
+    }
+
+    /**
+     * Out-of-office window covering an instant, if any
+     */
+    public getActiveOutOfOffice(now: Date = new Date()): OutOfOfficeWindow | undefined {
+        const time = now.getTime();
+        return this.outOfOffice.find(window => window.start <= time && window.end > time);
+    }
+
+    /**
+     * Current and upcoming out-of-office windows
+     */
+    public getOutOfOfficeWindows(now: Date = new Date()): OutOfOfficeWindow[] {
+        this.outOfOffice = this.outOfOffice.filter(window => window.end > now.getTime());
+        return [...this.outOfOffice];
+    }
+
+    /**
+     * Schedule an out-of-office window. `end` is the return date.
+     */
+    public async addOutOfOffice(end: number, options: { start?: number; message?: string } = {}): Promise<OutOfOfficeWindow> {
+        const start = options.start ?? Date.now();
+        if (!Number.isFinite(end) || !Number.isFinite(start)) {
+            throw new Error('Out-of-office start and end must be timestamps');
+        }
+        if (end <= start || end <= Date.now()) {
+            throw new Error('Out-of-office return date must be in the future and after the start');
+        }
+
+        const window: OutOfOfficeWindow = { start, end, message: options.message || undefined, createdAt: Date.now() };
+        window.id = await this.storage.addOutOfOfficeWindow(window);
+
+        this.outOfOffice = [...this.outOfOffice, window].sort((a, b) => a.start - b.start);
+        console.log(`🏖️ Out of office from ${new Date(start).toISOString()} until ${new Date(end).toISOString()}`);
+        return window;
+    }
+
+    /**
+     * End the active out-of-office window(s) now. Returns how many were ended.
+     */
+    public async endOutOfOffice(now: Date = new Date()): Promise<number> {
+        const active = this.outOfOffice.filter(window => window.start <= now.getTime() && window.end > now.getTime());
+        for (const window of active) {
+            await this.storage.updateOutOfOfficeEnd(window.id!, now.getTime());
+            window.end = now.getTime();
+        }
+
+        this.outOfOffice = this.outOfOffice.filter(window => !active.includes(window));
+        if (active.length > 0) {
+            console.log('🏢 Back in office');
+        }
+        return active.length;
+    }
+
+    /**
+     * Delete an out-of-office window
+     */
+    public async removeOutOfOffice(id: number): Promise<boolean> {
+        const removed = await this.storage.deleteOutOfOfficeWindow(id);
+        const before = this.outOfOffice.length;
+        this.outOfOffice = this.outOfOffice.filter(window => window.id !== id);
+        return removed || this.outOfOffice.length < before;
+    }
+}
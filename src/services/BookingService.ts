@@ -0,0 +1,373 @@
+import { EventEmitter } from 'events';
+import * as fs from 'fs';
+import * as path from 'path';
+import { BookingConfig, BookingPrompt, BookingStatus, MeetingBooking, MeetingSlot } from '../types';
+import { config } from '../config/environment';
+import { StorageService } from './StorageService';
+import { AvailabilityService } from './AvailabilityService';
+import { addDays, getZonedTime } from '../utils/businessHours';
+import { findRequestedDates } from '../utils/dateMentions';
+import { formatIcs } from '../utils/ical';
+import { isMeetingRequest, parseSlotChoice, pickSlots } from '../utils/meetingSlots';
+
+const MIN_NOTICE_MS = 2 * 60 * 60 * 1000; // Slots starting sooner are not offered
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Message from a contact that may start or continue a booking
+ */
+export interface BookingRequest {
+    chatId: string;
+    chatName?: string;
+    contactId?: string;
+    text: string;
+}
+
+/**
+ * Meeting booking: offers free slots when a contact asks to meet, reads their choice from later
+ * messages and holds the chosen slot tentatively until the owner confirms or declines it. Held
+ * and confirmed meetings count as busy and are written to an ICS file the owner can import.
+ */
+export class BookingService extends EventEmitter {
+    private storage: StorageService;
+    private availability: AvailabilityService;
+    private bookingConfig: BookingConfig;
+    private open: Map<number, MeetingBooking> = new Map(); // Proposed, held and upcoming confirmed bookings
+    private sweepInterval?: NodeJS.Timeout;
+    private isInitialized: boolean = false;
+
+    static readonly EVENTS = {
+        HOLD_CREATED: 'hold_created',
+        BOOKING_DECIDED: 'booking_decided'
+    } as const;
+
+    constructor(storage: StorageService, availability: AvailabilityService, bookingConfig: BookingConfig = config.booking) {
+        super();
+        this.storage = storage;
+        this.availability = availability;
+        this.bookingConfig = bookingConfig;
+
+        // Held slots must not be offered to anyone else or reported as free
+        this.availability.addBusySource((from, to) => this.getReservedSlots(from, to));
+    }
+
+    /**
+     * Load open bookings, release the ones that lapsed while offline and write the ICS file
+     */
+    public async initialize(): Promise<void> {
+        const bookings = await this.storage.getMeetingBookings(['proposed', 'held', 'confirmed'], 1000);
+        this.open = new Map(bookings.map(booking => [booking.id, booking]));
+        await this.expireStale();
+        await this.writeIcs();
+
+        this.sweepInterval = setInterval(() => {
+            this.expireStale().catch(error => console.error('❌ Failed to release lapsed bookings:', error));
+        }, SWEEP_INTERVAL_MS);
+
+        this.isInitialized = true;
+        console.log(`📅 Loaded ${this.open.size} open meeting bookings`);
+    }
+
+    /**
+     * Check if open bookings have been loaded
+     */
+    public isReady(): boolean {
+        return this.isInitialized;
+    }
+
+    /**
+     * Time zone slots are offered in
+     */
+    public getTimezone(): string {
+        return this.availability.getBusinessHours()?.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    }
+
+    /**
+     * Advance the chat's booking with the contact's latest message. Returns what the reply should
+     * say about the meeting, or undefined if the message has nothing to do with one.
+     */
+    public async handleMessage(request: BookingRequest, now: Date = new Date()): Promise<BookingPrompt | undefined> {
+        await this.expireStale(now.getTime());
+
+        const proposal = this.getOpenProposal(request.chatId);
+        if (proposal) {
+            const choice = parseSlotChoice(request.text, proposal.slots, this.getTimezone(), now);
+            if (typeof choice === 'number') {
+                const slot = proposal.slots[choice];
+                if (this.isStillFree(slot, now)) {
+                    const held = await this.hold(proposal, slot, now.getTime());
+                    return this.toPrompt('held', [held.slot!]);
+                }
+                await this.close(proposal, 'cancelled', now.getTime());
+                return this.propose(request, now, true);
+            }
+            if (choice === 'none') {
+                await this.close(proposal, 'declined', now.getTime());
+                return this.propose(request, now, true);
+            }
+            // Another day or a fresh request ("what about next week?") replaces the offer
+            if (findRequestedDates(request.text, now, this.getTimezone()).length > 0 || isMeetingRequest(request.text)) {
+                await this.close(proposal, 'cancelled', now.getTime());
+                return this.propose(request, now, true);
+            }
+            return this.toPrompt('awaiting_choice', proposal.slots);
+        }
+
+        if (isMeetingRequest(request.text)) {
+            return this.propose(request, now, false);
+        }
+
+        const upcoming = this.getUpcomingForChat(request.chatId, now.getTime());
+        return upcoming ? this.toPrompt(upcoming.status === 'confirmed' ? 'confirmed' : 'held', [upcoming.slot!]) : undefined;
+    }
+
+    /**
+     * Check if slots were offered in a chat and the contact has not chosen yet
+     */
+    public isAwaitingChoice(chatId: string): boolean {
+        return !!this.getOpenProposal(chatId);
+    }
+
+    /**
+     * Withdraw the chat's open offer, e.g. because the reply offering it was never sent. With
+     * `createdBefore`, offers made after that time (for a newer reply) are kept.
+     */
+    public async cancelProposal(chatId: string, createdBefore: number = Infinity): Promise<boolean> {
+        const proposal = this.getOpenProposal(chatId);
+        if (!proposal || proposal.createdAt > createdBefore) {
+            return false;
+        }
+        await this.close(proposal, 'cancelled');
+        return true;
+    }
+
+    /**
+     * Confirm a tentative hold
+     */
+    public async confirm(id: number): Promise<MeetingBooking | null> {
+        const booking = this.open.get(id);
+        if (!booking || booking.status !== 'held') {
+            return null;
+        }
+        return this.close(booking, 'confirmed');
+    }
+
+    /**
+     * Decline a tentative hold and free its slot
+     */
+    public async decline(id: number): Promise<MeetingBooking | null> {
+        const booking = this.open.get(id);
+        if (!booking || booking.status !== 'held') {
+            return null;
+        }
+        return this.close(booking, 'declined');
+    }
+
+    /**
+     * Holds waiting for the owner, oldest first
+     */
+    public getHolds(): MeetingBooking[] {
+        return this.getOpenBookings().filter(booking => booking.status === 'held');
+    }
+
+    /**
+     * Most recent hold, the default target of /confirm and /decline
+     */
+    public getLatestHold(): MeetingBooking | undefined {
+        const holds = this.getHolds();
+        return holds[holds.length - 1];
+    }
+
+    /**
+     * Offers, holds and upcoming confirmed meetings, oldest first
+     */
+    public getOpenBookings(): MeetingBooking[] {
+        return Array.from(this.open.values()).sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Get stored bookings, newest first
+     */
+    public async getBookings(statuses?: BookingStatus[], limit?: number): Promise<MeetingBooking[]> {
+        return this.storage.getMeetingBookings(statuses, limit);
+    }
+
+    /**
+     * Stop releasing lapsed bookings
+     */
+    public destroy(): void {
+        if (this.sweepInterval) {
+            clearInterval(this.sweepInterval);
+            this.sweepInterval = undefined;
+        }
+        this.removeAllListeners();
+    }
+
+    /**
+     * Offer free slots on the days the contact named, or over the next days
+     */
+    private async propose(request: BookingRequest, now: Date, retry: boolean): Promise<BookingPrompt> {
+        const timezone = this.getTimezone();
+        let dates = findRequestedDates(request.text, now, timezone);
+        if (dates.length === 0) {
+            const today = getZonedTime(now, timezone).date;
+            dates = Array.from({ length: this.bookingConfig.daysAhead }, (_, day) => addDays(today, day));
+        }
+
+        const earliest = new Date(now.getTime() + MIN_NOTICE_MS);
+        const schedules = dates.map(date => this.availability.getDaySchedule(date, earliest));
+        const slots = pickSlots(schedules, this.bookingConfig.durationMinutes * 60 * 1000, this.bookingConfig.slotCount);
+        if (slots.length === 0) {
+            console.log(`📅 No free meeting slots for ${request.chatId} on ${dates.join(', ')}`);
+            return this.toPrompt('unavailable', [], retry);
+        }
+
+        const booking: MeetingBooking = {
+            id: 0,
+            chatId: request.chatId,
+            chatName: request.chatName,
+            contactId: request.contactId,
+            status: 'proposed',
+            slots,
+            expiresAt: slots[slots.length - 1].start,
+            createdAt: now.getTime(),
+            updatedAt: now.getTime()
+        };
+        booking.id = await this.storage.createMeetingBooking(booking);
+        this.open.set(booking.id, booking);
+
+        console.log(`📅 Offered ${slots.length} meeting slots to ${request.chatId} (booking #${booking.id})`);
+        return this.toPrompt('proposed', slots, retry);
+    }
+
+    /**
+     * Hold the chosen slot until the owner decides, at most until the meeting would start
+     */
+    private async hold(proposal: MeetingBooking, slot: MeetingSlot, now: number): Promise<MeetingBooking> {
+        proposal.status = 'held';
+        proposal.slot = { ...slot };
+        proposal.expiresAt = Math.min(now + this.bookingConfig.holdHours * HOUR_MS, slot.start);
+        proposal.updatedAt = now;
+        await this.storage.updateMeetingBooking(proposal);
+        await this.writeIcs();
+
+        console.log(`📅 Tentative hold #${proposal.id} for ${proposal.chatId} at ${new Date(slot.start).toISOString()}`);
+        this.emit(BookingService.EVENTS.HOLD_CREATED, { ...proposal });
+        return proposal;
+    }
+
+    /**
+     * Move a booking to a new status. Confirmed meetings stay open (and busy) until they end.
+     */
+    private async close(booking: MeetingBooking, status: BookingStatus, now: number = Date.now()): Promise<MeetingBooking> {
+        const wasHeld = booking.status === 'held';
+        booking.status = status;
+        booking.updatedAt = now;
+        if (status === 'confirmed') {
+            booking.expiresAt = booking.slot!.end;
+        } else {
+            this.open.delete(booking.id);
+        }
+        await this.storage.updateMeetingBooking(booking);
+
+        if (wasHeld) {
+            await this.writeIcs();
+            console.log(`📅 Booking #${booking.id} ${status}`);
+            this.emit(BookingService.EVENTS.BOOKING_DECIDED, { ...booking });
+        }
+        return booking;
+    }
+
+    /**
+     * Expire offers whose slots have passed and holds the owner did not confirm in time;
+     * forget confirmed meetings that are over
+     */
+    private async expireStale(now: number = Date.now()): Promise<void> {
+        for (const booking of this.getOpenBookings()) {
+            if (booking.expiresAt === undefined || booking.expiresAt > now) {
+                continue;
+            }
+            if (booking.status === 'confirmed') {
+                this.open.delete(booking.id);
+                await this.writeIcs();
+            } else {
+                await this.close(booking, 'expired', now);
+            }
+        }
+    }
+
+    /**
+     * Check that a chosen slot has not started and nothing else was booked over it
+     */
+    private isStillFree(slot: MeetingSlot, now: Date): boolean {
+        if (slot.start <= now.getTime()) {
+            return false;
+        }
+        const date = getZonedTime(new Date(slot.start), this.getTimezone()).date;
+        return this.availability.getDaySchedule(date, now).free.some(range => range.start <= slot.start && range.end >= slot.end);
+    }
+
+    /**
+     * Open offer in a chat
+     */
+    private getOpenProposal(chatId: string): MeetingBooking | undefined {
+        return this.getOpenBookings().find(booking => booking.chatId === chatId && booking.status === 'proposed');
+    }
+
+    /**
+     * Latest held or confirmed meeting in a chat that has not started yet
+     */
+    private getUpcomingForChat(chatId: string, now: number): MeetingBooking | undefined {
+        return this.getOpenBookings()
+            .filter(booking => booking.chatId === chatId && booking.slot && booking.slot.start > now)
+            .pop();
+    }
+
+    /**
+     * Held and confirmed slots overlapping [from, to)
+     */
+    private getReservedSlots(from: number, to: number): MeetingSlot[] {
+        return this.getOpenBookings()
+            .filter(booking => booking.slot && booking.slot.end > from && booking.slot.start < to)
+            .map(booking => ({ ...booking.slot! }));
+    }
+
+    private toPrompt(stage: BookingPrompt['stage'], slots: MeetingSlot[], retry?: boolean): BookingPrompt {
+        return { stage, slots, timezone: this.getTimezone(), ...(retry ? { retry } : {}) };
+    }
+
+    /**
+     * Write held and confirmed meetings to the ICS file. The file is replaced atomically so a
+     * calendar app never reads a half-written one.
+     */
+    private async writeIcs(): Promise<void> {
+        if (!this.bookingConfig.icsPath) {
+            return;
+        }
+
+        const events = this.getOpenBookings()
+            .filter(booking => booking.slot)
+            .map(booking => {
+                const contact = booking.chatName || booking.chatId.replace(/@.*$/, '');
+                return {
+                    uid: `booking-${booking.id}@whatsapp-llm-personal-assistant`,
+                    start: booking.slot!.start,
+                    end: booking.slot!.end,
+                    summary: `Meeting with ${contact}${booking.status === 'held' ? ' (tentative)' : ''}`,
+                    description: `Requested over WhatsApp by ${contact} (${booking.chatId}). Booking #${booking.id}.`,
+                    status: booking.status === 'held' ? 'TENTATIVE' as const : 'CONFIRMED' as const,
+                    updatedAt: booking.updatedAt
+                };
+            });
+
+        try {
+            await fs.promises.mkdir(path.dirname(this.bookingConfig.icsPath), { recursive: true });
+            const temporary = `${this.bookingConfig.icsPath}.tmp`;
+            await fs.promises.writeFile(temporary, formatIcs(events, '-//whatsapp-llm-personal-assistant//Bookings//EN'));
+            await fs.promises.rename(temporary, this.bookingConfig.icsPath);
+        } catch (error) {
+            console.error(`❌ Could not write ${this.bookingConfig.icsPath}:`, error instanceof Error ? error.message : error);
+        }
+    }
+}
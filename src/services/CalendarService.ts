@@ -0,0 +1,142 @@
+import * as fs from 'fs';
+import { BusyPeriod, CalendarConfig, CalendarEvent } from '../types';
+import { config } from '../config/environment';
+import { getBusyPeriods, parseIcs } from '../utils/ical';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CACHE_DAYS = 62; // Busy periods expanded ahead of time; later dates are expanded on demand
+const FETCH_TIMEOUT_MS = 30000;
+
+/**
+ * Owner's calendar from an ICS file or URL (an ICS export or a CalDAV calendar URL that returns
+ * ICS on GET). Only busy times are exposed to the rest of the app; event titles stay here.
+ */
+export class CalendarService {
+    private calendarConfig: CalendarConfig;
+    private timezone: string;
+    private events: CalendarEvent[] = [];
+    private cache?: { from: number; to: number; periods: BusyPeriod[] };
+    private lastRefresh?: number;
+    private lastError?: string;
+    private refreshInterval?: NodeJS.Timeout;
+    private isInitialized: boolean = false;
+
+    constructor(
+        calendarConfig: CalendarConfig = config.calendar,
+        timezone: string = config.secretary.businessHours?.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone
+    ) {
+        this.calendarConfig = calendarConfig;
+        this.timezone = timezone;
+    }
+
+    /**
+     * Load the calendar and refresh it periodically. A calendar that cannot be loaded at startup
+     * is logged and retried on the next refresh.
+     */
+    public async initialize(): Promise<void> {
+        try {
+            await this.refresh();
+        } catch (error) {
+            console.error('⚠️ Calendar could not be loaded:', error instanceof Error ? error.message : error);
+        }
+
+        this.refreshInterval = setInterval(() => {
+            this.refresh().catch(error => console.error('⚠️ Calendar refresh failed:', error instanceof Error ? error.message : error));
+        }, this.calendarConfig.refreshMs);
+
+        this.isInitialized = true;
+    }
+
+    /**
+     * Check if the service has been initialized
+     */
+    public isReady(): boolean {
+        return this.isInitialized;
+    }
+
+    /**
+     * Re-read the calendar. On failure the previously loaded events are kept.
+     */
+    public async refresh(): Promise<number> {
+        try {
+            const events = parseIcs(await this.load(), this.timezone);
+            this.events = events;
+            this.cache = undefined;
+            this.lastRefresh = Date.now();
+            this.lastError = undefined;
+            console.log(`📅 Calendar loaded: ${events.length} events`);
+            return events.length;
+        } catch (error) {
+            this.lastError = error instanceof Error ? error.message : String(error);
+            throw error;
+        }
+    }
+
+    /**
+     * Merged busy periods overlapping [from, to)
+     */
+    public getBusyPeriods(from: number, to: number): BusyPeriod[] {
+        if (!this.cache || from < this.cache.from || to > this.cache.to) {
+            const dayStart = Math.floor(Math.min(from, Date.now()) / DAY_MS) * DAY_MS - DAY_MS;
+            const end = Math.max(to, dayStart + CACHE_DAYS * DAY_MS);
+            this.cache = { from: dayStart, to: end, periods: getBusyPeriods(this.events, dayStart, end) };
+        }
+        return this.cache.periods
+            .filter(period => period.end > from && period.start < to)
+            .map(period => ({ ...period }));
+    }
+
+    /**
+     * Busy period in progress at an instant, if any
+     */
+    public getBusyAt(now: number = Date.now()): BusyPeriod | undefined {
+        return this.getBusyPeriods(now, now + 1)[0];
+    }
+
+    /**
+     * Source, event count and refresh state
+     */
+    public getStats(): { source: string; events: number; lastRefresh?: number; lastError?: string } {
+        return {
+            source: this.calendarConfig.source.replace(/\/\/[^@/]*@/, '//***@'),
+            events: this.events.length,
+            lastRefresh: this.lastRefresh,
+            lastError: this.lastError
+        };
+    }
+
+    /**
+     * Stop refreshing
+     */
+    public destroy(): void {
+        if (this.refreshInterval) {
+            clearInterval(this.refreshInterval);
+            this.refreshInterval = undefined;
+        }
+    }
+
+    /**
+     * Read the ICS text from a file or over HTTP(S); webcal:// URLs are fetched over HTTPS
+     */
+    private async load(): Promise<string> {
+        const source = this.calendarConfig.source;
+        if (!/^(https?|webcal):\/\//i.test(source)) {
+            return fs.promises.readFile(source.replace(/^file:\/\//, ''), 'utf8');
+        }
+
+        const headers: Record<string, string> = { 'Accept': 'text/calendar' };
+        if (this.calendarConfig.username) {
+            const credentials = Buffer.from(`${this.calendarConfig.username}:${this.calendarConfig.password}`).toString('base64');
+            headers['Authorization'] = `Basic ${credentials}`;
+        }
+
+        const response = await fetch(source.replace(/^webcal:/i, 'https:'), {
+            headers,
+            signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+        });
+        if (!response.ok) {
+            throw new Error(`Calendar request failed: ${response.status} ${response.statusText}`);
+        }
+        return await response.text();
+    }
+}
@@ -1,6 +1,7 @@
 import { ConversationContext, WhatsAppMessage, StorageData } from '../types';
 import { StorageService } from './StorageService';
 import { config } from '../config/environment';
+import { combineMessages } from '../utils/messageContent';
 
 /**
  * Manages conversation contexts and message history
@@ -58,6 +59,15 @@ export class ConversationManager {
         console.log(`Added message to conversation ${chatId}. Total messages: ${context.recentMessages.length}`);
     }
 
+    /**
+     * Record a burst of messages from one sender as a single turn
+     */
+    public async addTurn(messages: WhatsAppMessage[]): Promise<WhatsAppMessage> {
+        const turn = combineMessages(messages);
+        await this.addMessage(turn);
+        return turn;
+    }
+
     /**
      * Get conversation context for a chat
      */
@@ -87,6 +97,13 @@ export class ConversationManager {
         }
     }
 
+    /**
+     * Get all tracked conversations
+     */
+    public getAllConversations(): ConversationContext[] {
+        return Array.from(this.conversations.values());
+    }
+
     /**
      * Get all active conversations
      */
@@ -94,6 +111,20 @@ export class ConversationManager {
         return Array.from(this.conversations.values()).filter(context => context.isActive);
     }
 
+    /**
+     * Find conversations whose chat name contains the given text (case-insensitive)
+     */
+    public findConversationsByName(name: string): ConversationContext[] {
+        const query = name.trim().toLowerCase();
+        if (!query) {
+            return [];
+        }
+
+        return Array.from(this.conversations.values()).filter(context =>
+            context.recentMessages.some(message => (message.chat.name || '').toLowerCase().includes(query))
+        );
+    }
+
     /**
      * Clean up old conversations
      */
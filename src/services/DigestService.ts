@@ -0,0 +1,330 @@
+import * as cron from 'node-cron';
+import * as fs from 'fs';
+import * as path from 'path';
+import { AIProvider, Digest, DigestConfig, DigestEntry, OwnerProfile, WhatsAppMessage } from '../types';
+import { config } from '../config/environment';
+import { StorageService } from './StorageService';
+import { ApprovalService } from './ApprovalService';
+import { BookingService } from './BookingService';
+import { formatZonedTime, getZonedTime } from '../utils/businessHours';
+import { formatMessageForPrompt } from '../utils/messageContent';
+import { formatSlot } from '../utils/meetingSlots';
+import { getPronounForms } from '../utils/owner';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_MESSAGES_PER_CHAT = 100; // Newest messages of a chat that go into its summary
+const MAX_TEXT_LENGTH = 200;
+const URGENT = /\b(urgent|asap|emergency|immediately|critical|deadline)\b/i;
+const URGENCY_ORDER: Record<DigestEntry['urgency'], number> = { high: 0, medium: 1, low: 2 };
+const URGENCY_ICONS: Record<DigestEntry['urgency'], string> = { high: '🔴', medium: '🟡', low: '⚪' };
+
+const digestInstructions = (owner: OwnerProfile): string => {
+    const pronouns = getPronounForms(owner.pronouns);
+    return `You prepare ${owner.name}'s digest of WhatsApp conversations ${pronouns.possessive} assistant answered for ${pronouns.object}.
+Read the conversation and reply with a JSON object only, no other text:
+{"request": "what the contact wants, one short sentence", "urgency": "high" | "medium" | "low", "followUps": ["what ${owner.name} still has to do or answer, short sentences"]}
+Urgency is high only for deadlines today, emergencies or explicit urgency. Leave followUps empty if nothing is left to do.
+Write in English.`;
+};
+
+/**
+ * Sends the digest text to the owner; resolves false if it could not be delivered
+ */
+export type DigestDeliveryHandler = (text: string) => Promise<boolean>;
+
+/**
+ * Scheduled digest of the conversations the assistant handled since the previous digest: who wrote,
+ * what they want, how urgent it is, what the assistant replied and what is left for the owner.
+ * Sent to the owner's own chat and optionally written to a Markdown file.
+ */
+export class DigestService {
+    private storage: StorageService;
+    private aiProvider: AIProvider;
+    private approvalService?: ApprovalService;
+    private bookingService?: BookingService;
+    private options: DigestConfig;
+    private timezone: string;
+    private owner: OwnerProfile;
+    private deliver?: DigestDeliveryHandler;
+    private task?: cron.ScheduledTask;
+    private running?: Promise<Digest>;
+    private lastPeriodEnd?: number;
+    private isInitialized: boolean = false;
+
+    constructor(
+        storage: StorageService,
+        aiProvider: AIProvider,
+        approvalService?: ApprovalService,
+        bookingService?: BookingService,
+        options: DigestConfig = config.digest,
+        timezone: string = config.secretary.businessHours?.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+        owner: OwnerProfile = config.owner
+    ) {
+        this.storage = storage;
+        this.aiProvider = aiProvider;
+        this.approvalService = approvalService;
+        this.bookingService = bookingService;
+        this.options = options;
+        this.timezone = timezone;
+        this.owner = owner;
+    }
+
+    /**
+     * Find where the previous digest ended and schedule the next ones
+     */
+    public async initialize(): Promise<void> {
+        const [last] = await this.storage.getDigests(1);
+        this.lastPeriodEnd = last?.periodEnd;
+
+        if (this.options.enabled) {
+            this.task = cron.schedule(this.options.schedule, () => {
+                this.run().catch(error => console.error('❌ Digest failed:', error));
+            }, { timezone: this.timezone });
+        }
+
+        this.isInitialized = true;
+        console.log(`📋 Digest ${this.options.enabled ? `scheduled (${this.options.schedule}, ${this.timezone})` : 'off'}`);
+    }
+
+    /**
+     * Check if the service has loaded its state
+     */
+    public isReady(): boolean {
+        return this.isInitialized;
+    }
+
+    /**
+     * Set how digests reach the owner
+     */
+    public setDeliveryHandler(handler: DigestDeliveryHandler): void {
+        this.deliver = handler;
+    }
+
+    /**
+     * Summarise the conversations handled since the previous digest (the last 24 hours for the
+     * first one), send the digest to the owner unless `deliver` is false, write the Markdown file
+     * and store it. An empty digest is stored but not sent.
+     */
+    public async run(now: Date = new Date(), deliver: boolean = true): Promise<Digest> {
+        if (this.running) {
+            return this.running;
+        }
+
+        this.running = this.buildDigest(now.getTime(), deliver).finally(() => { this.running = undefined; });
+        return this.running;
+    }
+
+    /**
+     * Get stored digests, newest first
+     */
+    public async getDigests(limit?: number): Promise<Digest[]> {
+        return this.storage.getDigests(limit);
+    }
+
+    /**
+     * Digest as a WhatsApp message
+     */
+    public formatDigest(digest: Digest): string {
+        const since = formatZonedTime(digest.periodStart, this.timezone);
+        if (digest.entries.length === 0) {
+            return `📋 Digest: no conversations handled since ${since}.`;
+        }
+
+        const sections = digest.entries.map(entry => [
+            `${URGENCY_ICONS[entry.urgency]} *${entry.contact}*`,
+            `Wants: ${entry.request}`,
+            entry.replies.length > 0
+                ? `Replied${entry.replies.length > 1 ? ` (${entry.replies.length}x, last)` : ''}: ${entry.replies[entry.replies.length - 1]}`
+                : '',
+            ...entry.followUps.map(followUp => `➡️ ${followUp}`)
+        ].filter(Boolean).join('\n'));
+
+        const count = digest.entries.length === 1 ? '1 conversation' : `${digest.entries.length} conversations`;
+        return [`📋 Digest: ${count} since ${since}`, ...sections].join('\n\n');
+    }
+
+    /**
+     * Stop the schedule
+     */
+    public destroy(): void {
+        if (this.task) {
+            this.task.stop();
+            this.task = undefined;
+        }
+    }
+
+    /**
+     * Summarise every chat the assistant replied in since the previous digest, most urgent first
+     */
+    private async buildDigest(periodEnd: number, deliver: boolean): Promise<Digest> {
+        const periodStart = this.lastPeriodEnd ?? periodEnd - DAY_MS;
+        const chats = await this.storage.getChatsWithAssistantReplies(periodStart, periodEnd);
+
+        const entries: DigestEntry[] = [];
+        for (const chat of chats) {
+            const messages = await this.storage.getMessagesBetween(chat.chatId, periodStart, periodEnd, MAX_MESSAGES_PER_CHAT);
+            entries.push(await this.summarizeChat(chat.chatId, chat.chatName, messages));
+        }
+        entries.sort((a, b) => URGENCY_ORDER[a.urgency] - URGENCY_ORDER[b.urgency] || a.lastMessageAt - b.lastMessageAt);
+
+        const digest: Digest = { id: 0, periodStart, periodEnd, entries, delivered: false, createdAt: Date.now() };
+        if (entries.length > 0) {
+            digest.filePath = await this.writeMarkdown(digest);
+            if (deliver && this.deliver) {
+                digest.delivered = await this.deliver(this.formatDigest(digest));
+                if (!digest.delivered) {
+                    console.log(`📋 Digest not delivered to the owner chat:\n${this.formatDigest(digest)}`);
+                }
+            }
+        }
+
+        digest.id = await this.storage.createDigest(digest);
+        this.lastPeriodEnd = periodEnd;
+        console.log(`📋 Digest #${digest.id}: ${entries.length} conversations`);
+        return digest;
+    }
+
+    /**
+     * Ask the model what the contact wants, how urgent it is and what is left to do. Without a
+     * usable answer the contact's last message stands in for the request.
+     */
+    private async summarizeChat(
+        chatId: string,
+        chatName: string | undefined,
+        messages: Array<{ message: WhatsAppMessage; isFromOwner: boolean }>
+    ): Promise<DigestEntry> {
+        const fromContact = messages.filter(({ message, isFromOwner }) => !isFromOwner && message.from !== 'secretary_bot');
+        const replies = messages.filter(({ message }) => message.from === 'secretary_bot').map(({ message }) => this.oneLine(message.body));
+        const lastIncoming = fromContact[fromContact.length - 1]?.message;
+
+        const entry: DigestEntry = {
+            chatId,
+            contact: chatName || chatId.replace(/@.*$/, ''),
+            request: lastIncoming ? this.oneLine(formatMessageForPrompt(lastIncoming)) : 'No message from the contact in this period',
+            urgency: fromContact.some(({ message }) => URGENT.test(message.body)) ? 'high' : 'medium',
+            replies,
+            followUps: [],
+            messageCount: messages.length,
+            lastMessageAt: messages[messages.length - 1]?.message.timestamp ?? 0
+        };
+
+        try {
+            const response = await this.aiProvider.complete([
+                { role: 'system', content: digestInstructions(this.owner) },
+                { role: 'user', content: this.buildTranscript(messages) }
+            ], { model: this.aiProvider.getCurrentModel(), maxTokens: 300, temperature: 0.2 });
+
+            const summary = this.parseSummary(response.content);
+            if (summary) {
+                entry.request = summary.request;
+                entry.urgency = summary.urgency;
+                entry.followUps = summary.followUps;
+            } else {
+                console.warn(`⚠️ Unusable digest summary for chat ${chatId}, using the last message`);
+            }
+        } catch (error) {
+            console.error(`❌ Failed to summarize chat ${chatId} for the digest:`, error instanceof Error ? error.message : error);
+        }
+
+        entry.followUps.push(...this.getPendingActions(chatId));
+        return entry;
+    }
+
+    /**
+     * Drafts and meeting holds in the chat that wait for the owner
+     */
+    private getPendingActions(chatId: string): string[] {
+        const actions: string[] = [];
+        const draft = this.approvalService?.getPendingDraftForChat(chatId);
+        if (draft) {
+            actions.push(`Draft reply waiting for approval (/approve ${draft.id})`);
+        }
+        for (const hold of this.bookingService?.getHolds().filter(booking => booking.chatId === chatId) || []) {
+            actions.push(`Meeting on ${formatSlot(hold.slot!, this.bookingService!.getTimezone())} waiting for confirmation (/confirm ${hold.id})`);
+        }
+        return actions;
+    }
+
+    /**
+     * The conversation, one line per message with time and speaker
+     */
+    private buildTranscript(messages: Array<{ message: WhatsAppMessage; isFromOwner: boolean }>): string {
+        return messages.map(({ message, isFromOwner }) => {
+            const speaker = message.from === 'secretary_bot'
+                ? 'Assistant'
+                : isFromOwner ? this.owner.name : (message.author || message.from).split('@')[0];
+            return `[${formatZonedTime(message.timestamp, this.timezone)}] ${speaker}: ${formatMessageForPrompt(message)}`;
+        }).join('\n');
+    }
+
+    /**
+     * Read the model's JSON answer; null if it is not usable
+     */
+    private parseSummary(text: string): Pick<DigestEntry, 'request' | 'urgency' | 'followUps'> | null {
+        const start = text.indexOf('{');
+        const end = text.lastIndexOf('}');
+        if (start === -1 || end <= start) {
+            return null;
+        }
+
+        try {
+            const parsed = JSON.parse(text.slice(start, end + 1));
+            if (typeof parsed.request !== 'string' || !parsed.request.trim()) {
+                return null;
+            }
+            return {
+                request: this.oneLine(parsed.request),
+                urgency: ['high', 'medium', 'low'].includes(parsed.urgency) ? parsed.urgency : 'medium',
+                followUps: Array.isArray(parsed.followUps)
+                    ? parsed.followUps.filter((item: unknown) => typeof item === 'string' && item.trim()).map((item: string) => this.oneLine(item))
+                    : []
+            };
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Write the digest to the digest directory; returns the file path, if one was written
+     */
+    private async writeMarkdown(digest: Digest): Promise<string | undefined> {
+        if (!this.options.directory) {
+            return undefined;
+        }
+
+        const { date, minutes } = getZonedTime(new Date(digest.periodEnd), this.timezone);
+        const time = `${String(Math.floor(minutes / 60)).padStart(2, '0')}${String(minutes % 60).padStart(2, '0')}`;
+        const filePath = path.join(this.options.directory, `digest-${date}-${time}.md`);
+
+        const sections = digest.entries.map(entry => [
+            `## ${entry.contact} (${entry.urgency} urgency)`,
+            '',
+            `- **Chat:** ${entry.chatId}, ${entry.messageCount} messages`,
+            `- **Wants:** ${entry.request}`,
+            `- **Assistant replied:**${entry.replies.length === 0 ? ' nothing' : ''}`,
+            ...entry.replies.map(reply => `  - ${reply}`),
+            `- **Follow-ups:**${entry.followUps.length === 0 ? ' none' : ''}`,
+            ...entry.followUps.map(followUp => `  - ${followUp}`)
+        ].join('\n'));
+
+        const content = [
+            `# Digest ${formatZonedTime(digest.periodEnd, this.timezone)}`,
+            `${digest.entries.length} conversations handled between ${formatZonedTime(digest.periodStart, this.timezone)} and ${formatZonedTime(digest.periodEnd, this.timezone)} (${this.timezone}).`,
+            ...sections
+        ].join('\n\n') + '\n';
+
+        try {
+            await fs.promises.mkdir(this.options.directory, { recursive: true });
+            await fs.promises.writeFile(filePath, content);
+            return filePath;
+        } catch (error) {
+            console.error(`❌ Could not write ${filePath}:`, error instanceof Error ? error.message : error);
+            return undefined;
+        }
+    }
+
+    private oneLine(text: string): string {
+        const line = text.replace(/\s+/g, ' ').trim();
+        return line.length > MAX_TEXT_LENGTH ? `${line.slice(0, MAX_TEXT_LENGTH - 1)}…` : line;
+    }
+}
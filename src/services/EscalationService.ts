@@ -0,0 +1,366 @@
+import { EventEmitter } from 'events';
+import { Escalation, EscalationAckSource, EscalationChannelName, EscalationConfig, EscalationStatus } from '../types';
+import { config } from '../config/environment';
+import { StorageService } from './StorageService';
+import { AlertChannel, createAlertChannels } from '../utils/alertChannels';
+import { formatDuration } from '../utils/duration';
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_QUOTE_LENGTH = 300;
+
+/**
+ * Sends an alert to the owner's own chat; resolves false if it could not be delivered
+ */
+export type AlertDeliveryHandler = (text: string) => Promise<boolean>;
+
+/**
+ * Urgent message that may need the owner's attention
+ */
+export interface EscalationRequest {
+    chatId: string;
+    chatName?: string;
+    senderId?: string;
+    text: string;
+}
+
+/**
+ * Alerts the owner about urgent messages from VIP contacts through the configured channels and
+ * repeats the alert until the owner reacts. One alert is open per chat; further urgent messages
+ * update it. Alerts about a chat are at least `chatCooldownMs` apart and at most `maxPerHour`
+ * alerts are sent overall.
+ */
+export class EscalationService extends EventEmitter {
+    private storage: StorageService;
+    private options: EscalationConfig;
+    private channels: AlertChannel[];
+    private deliver?: AlertDeliveryHandler;
+    private open: Map<string, Escalation> = new Map(); // By chat ID
+    private timers: Map<number, NodeJS.Timeout> = new Map();
+    private lastAlertByChat: Map<string, number> = new Map();
+    private sentAt: number[] = []; // Alerts sent in the last hour
+    private queue: Promise<unknown> = Promise.resolve();
+    private isInitialized: boolean = false;
+
+    static readonly EVENTS = {
+        ESCALATION_RAISED: 'escalation_raised',
+        ALERT_SENT: 'alert_sent',
+        ESCALATION_CLOSED: 'escalation_closed'
+    } as const;
+
+    constructor(storage: StorageService, options: EscalationConfig = config.escalation, channels?: AlertChannel[]) {
+        super();
+        this.storage = storage;
+        this.options = options;
+        this.channels = channels ?? createAlertChannels(options);
+    }
+
+    /**
+     * Load open alerts and resume their reminders
+     */
+    public async initialize(): Promise<void> {
+        const escalations = await this.storage.getEscalations('open', 1000);
+        for (const escalation of escalations.reverse()) {
+            this.open.set(escalation.chatId, escalation);
+            if (escalation.lastAlertAt !== undefined) {
+                this.lastAlertByChat.set(escalation.chatId, escalation.lastAlertAt);
+            }
+        }
+        // Alerts that fell due while the assistant was offline go out once startup is complete
+        for (const escalation of this.open.values()) {
+            this.setTimer(escalation, this.nextAlert(escalation).at - Date.now());
+        }
+
+        this.isInitialized = true;
+        console.log(`🚨 Escalation ${this.options.enabled ? `on (${this.options.channels.join(', ') || 'no channels'})` : 'off'}, ${this.open.size} open alerts`);
+    }
+
+    /**
+     * Check if open alerts have been loaded
+     */
+    public isReady(): boolean {
+        return this.isInitialized;
+    }
+
+    /**
+     * Check if urgent messages are escalated at all
+     */
+    public isEnabled(): boolean {
+        return this.options.enabled;
+    }
+
+    /**
+     * Set how alerts reach the owner's own chat
+     */
+    public setDeliveryHandler(handler: AlertDeliveryHandler): void {
+        this.deliver = handler;
+    }
+
+    /**
+     * Open an alert for an urgent message, or add the message to the chat's open alert.
+     * Returns null when escalation is off.
+     */
+    public async escalate(request: EscalationRequest): Promise<Escalation | null> {
+        if (!this.options.enabled) {
+            return null;
+        }
+        // One at a time, so messages arriving together in a chat share one alert
+        return this.enqueue(() => this.raise(request));
+    }
+
+    /**
+     * Mark an open alert as seen; its reminders stop
+     */
+    public async acknowledge(id: number, source: EscalationAckSource): Promise<Escalation | null> {
+        const escalation = this.getOpenEscalations().find(open => open.id === id);
+        return escalation ? this.close(escalation, 'acknowledged', source) : null;
+    }
+
+    /**
+     * Acknowledge the chat's open alert, e.g. because the owner answered in the chat
+     */
+    public async acknowledgeChat(chatId: string, source: EscalationAckSource): Promise<Escalation | null> {
+        const escalation = this.open.get(chatId);
+        return escalation ? this.close(escalation, 'acknowledged', source) : null;
+    }
+
+    /**
+     * Open alerts, oldest first
+     */
+    public getOpenEscalations(): Escalation[] {
+        return Array.from(this.open.values()).sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Most recent open alert, the default target of /ack
+     */
+    public getLatestOpenEscalation(): Escalation | undefined {
+        const escalations = this.getOpenEscalations();
+        return escalations[escalations.length - 1];
+    }
+
+    /**
+     * Get stored alerts, newest first
+     */
+    public async getEscalations(status?: EscalationStatus, limit?: number): Promise<Escalation[]> {
+        return this.storage.getEscalations(status, limit);
+    }
+
+    /**
+     * Alert text for the owner
+     */
+    public formatAlert(escalation: Escalation, reminder: boolean = false): string {
+        const sender = escalation.chatName || escalation.chatId;
+        const quote = escalation.message.length > MAX_QUOTE_LENGTH ? `${escalation.message.slice(0, MAX_QUOTE_LENGTH - 1)}…` : escalation.message;
+        const heading = escalation.messageCount > 1
+            ? `${escalation.messageCount} urgent messages from ${sender}, the latest:`
+            : `Urgent message from ${sender}:`;
+        const waiting = formatDuration(Math.max(Math.round((Date.now() - escalation.createdAt) / 60000), 1) * 60000);
+
+        return [
+            `${reminder ? `⏰ Still unanswered after ${waiting}. ` : '🚨 '}${heading}`,
+            `"${quote}"`,
+            '',
+            `Reply in the chat or send /ack ${escalation.id} to stop the alerts.`
+        ].join('\n');
+    }
+
+    /**
+     * Stop reminder timers
+     */
+    public destroy(): void {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        this.removeAllListeners();
+    }
+
+    /**
+     * Create or update the chat's alert and send it if the rate limits allow
+     */
+    private async raise(request: EscalationRequest): Promise<Escalation> {
+        const now = Date.now();
+        const existing = this.open.get(request.chatId);
+        if (existing) {
+            existing.message = request.text;
+            existing.messageCount++;
+            existing.lastMessageAt = now;
+            existing.chatName = request.chatName || existing.chatName;
+            await this.storage.updateEscalation(existing);
+            await this.schedule(existing);
+            return existing;
+        }
+
+        const escalation: Escalation = {
+            id: 0,
+            chatId: request.chatId,
+            chatName: request.chatName,
+            senderId: request.senderId,
+            message: request.text,
+            messageCount: 1,
+            status: 'open',
+            alertCount: 0,
+            channels: [],
+            createdAt: now,
+            lastMessageAt: now
+        };
+        escalation.id = await this.storage.createEscalation(escalation);
+        this.open.set(escalation.chatId, escalation);
+
+        console.log(`🚨 Escalation #${escalation.id} opened for ${request.chatId}`);
+        this.emit(EscalationService.EVENTS.ESCALATION_RAISED, escalation);
+        await this.schedule(escalation);
+        return escalation;
+    }
+
+    /**
+     * When the next alert about an escalation is due, and whether it expires then instead
+     */
+    private nextAlert(escalation: Escalation): { at: number; expire: boolean } {
+        const cooldown = this.options.chatCooldownMs;
+        if (escalation.lastAlertAt === undefined) {
+            const previous = this.lastAlertByChat.get(escalation.chatId);
+            return { at: previous !== undefined ? previous + cooldown : escalation.createdAt, expire: false };
+        }
+        // Messages that arrived since the last alert are reported once the chat's cooldown is over
+        if (escalation.lastMessageAt > escalation.lastAlertAt) {
+            return { at: escalation.lastAlertAt + cooldown, expire: false };
+        }
+
+        const remind = this.options.repeatMs > 0 && escalation.alertCount <= this.options.maxRepeats;
+        return { at: escalation.lastAlertAt + Math.max(this.options.repeatMs, cooldown), expire: !remind };
+    }
+
+    /**
+     * Send the next alert now if it is due, otherwise set a timer for it
+     */
+    private async schedule(escalation: Escalation): Promise<void> {
+        this.clearTimer(escalation.id);
+        const delay = this.nextAlert(escalation).at - Date.now();
+        if (delay <= 0) {
+            await this.fire(escalation);
+        } else {
+            this.setTimer(escalation, delay);
+        }
+    }
+
+    /**
+     * Send a due alert or reminder, or expire the escalation once its reminders are used up
+     */
+    private async fire(escalation: Escalation): Promise<void> {
+        if (this.open.get(escalation.chatId) !== escalation) {
+            return;
+        }
+        if (this.nextAlert(escalation).expire) {
+            await this.close(escalation, 'expired');
+            return;
+        }
+
+        // Over the hourly limit the alert waits until the oldest alert of the hour leaves the window
+        const now = Date.now();
+        this.sentAt = this.sentAt.filter(time => time > now - HOUR_MS);
+        if (this.sentAt.length >= this.options.maxPerHour) {
+            console.warn(`⚠️ Alert limit of ${this.options.maxPerHour}/hour reached, escalation #${escalation.id} waits`);
+            this.setTimer(escalation, this.sentAt[0] + HOUR_MS - now);
+            return;
+        }
+
+        await this.sendAlert(escalation, now);
+        await this.schedule(escalation);
+    }
+
+    /**
+     * Send the alert through every configured channel. The alert counts as sent even if all
+     * channels fail, so a broken channel cannot cause an alert storm.
+     */
+    private async sendAlert(escalation: Escalation, now: number): Promise<void> {
+        const reminder = escalation.lastAlertAt !== undefined && escalation.lastMessageAt <= escalation.lastAlertAt;
+        const text = this.formatAlert(escalation, reminder);
+        const notice = {
+            escalation,
+            title: `${reminder ? 'Reminder: u' : 'U'}rgent message from ${escalation.chatName || escalation.chatId}`,
+            text,
+            reminder
+        };
+
+        const attempts: Array<Promise<EscalationChannelName | null>> = this.channels.map(channel =>
+            channel.send(notice)
+                .then(() => channel.name)
+                .catch(error => {
+                    console.error(`❌ Alert via ${channel.name} failed:`, error instanceof Error ? error.message : error);
+                    return null;
+                }));
+        if (this.options.channels.includes('self')) {
+            attempts.unshift((this.deliver ? this.deliver(text) : Promise.resolve(false))
+                .then(sent => sent ? 'self' as const : null)
+                .catch(error => {
+                    console.error('❌ Alert to the owner chat failed:', error);
+                    return null;
+                }));
+        }
+        const delivered = (await Promise.all(attempts)).filter((name): name is EscalationChannelName => name !== null);
+
+        escalation.alertCount++;
+        escalation.lastAlertAt = now;
+        escalation.channels = delivered;
+        this.sentAt.push(now);
+        this.lastAlertByChat.set(escalation.chatId, now);
+        await this.storage.updateEscalation(escalation);
+
+        if (delivered.length === 0) {
+            console.error(`❌ Escalation #${escalation.id} could not be delivered on any channel`);
+        } else {
+            console.log(`🚨 ${reminder ? 'Reminder' : 'Alert'} for escalation #${escalation.id} sent via ${delivered.join(', ')}`);
+        }
+        this.emit(EscalationService.EVENTS.ALERT_SENT, escalation);
+    }
+
+    /**
+     * Mark an open escalation as acknowledged or expired
+     */
+    private async close(escalation: Escalation, status: EscalationStatus, source?: EscalationAckSource): Promise<Escalation> {
+        this.open.delete(escalation.chatId);
+        this.clearTimer(escalation.id);
+
+        escalation.status = status;
+        if (status === 'acknowledged') {
+            escalation.acknowledgedAt = Date.now();
+            escalation.acknowledgedBy = source;
+        }
+        await this.storage.updateEscalation(escalation);
+
+        console.log(`🚨 Escalation #${escalation.id} ${status}${source ? ` (${source})` : ''}`);
+        this.emit(EscalationService.EVENTS.ESCALATION_CLOSED, escalation);
+        return escalation;
+    }
+
+    /**
+     * Fire an escalation's next alert after a delay
+     */
+    private setTimer(escalation: Escalation, delayMs: number): void {
+        this.clearTimer(escalation.id);
+        const timer = setTimeout(() => {
+            this.timers.delete(escalation.id);
+            this.enqueue(() => this.fire(escalation)).catch(error => console.error(`❌ Escalation #${escalation.id} alert failed:`, error));
+        }, Math.max(0, delayMs));
+        this.timers.set(escalation.id, timer);
+    }
+
+    /**
+     * Run a task after the ones already queued, so alerts and new messages never interleave
+     */
+    private enqueue<T>(task: () => Promise<T>): Promise<T> {
+        const result = this.queue.then(task);
+        this.queue = result.catch(() => undefined);
+        return result;
+    }
+
+    /**
+     * Cancel an escalation's pending alert
+     */
+    private clearTimer(id: number): void {
+        const timer = this.timers.get(id);
+        if (timer) {
+            clearTimeout(timer);
+            this.timers.delete(id);
+        }
+    }
+}
@@ -0,0 +1,266 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { Embedder, KnowledgeAudience, KnowledgeChunk } from '../types';
+import { HashEmbedder, cosineSimilarity } from '../ai/Embedder';
+import { config } from '../config/environment';
+import { isVisibleTo, parseKnowledgeFile } from '../utils/knowledgeBase';
+
+const KNOWLEDGE_EXTENSIONS = ['.md', '.markdown', '.yaml', '.yml'];
+const RELOAD_DEBOUNCE_MS = 500;
+const EMBEDDING_BATCH_SIZE = 32;
+
+/**
+ * Search settings
+ */
+export interface KnowledgeOptions {
+    topK: number;
+    minScore: number;
+}
+
+/**
+ * A file that could not be loaded
+ */
+export interface KnowledgeFileError {
+    source: string;
+    error: string;
+}
+
+/**
+ * Owner knowledge base: Markdown and YAML files in a watched directory (availability, delivery
+ * address, FAQ, booking links), split into chunks and embedded in memory. Searches only consider
+ * chunks the audience may see, so contact-only and per-chat entries never reach other chats.
+ */
+export class KnowledgeBaseService {
+    private directory: string;
+    private embedder: Embedder;
+    private options: KnowledgeOptions;
+    private chunks: Array<{ chunk: KnowledgeChunk; vector: number[] }> = [];
+    private errors: KnowledgeFileError[] = [];
+    private vectorCache: Map<string, number[]> = new Map();
+    private indexEmbedder: Embedder;
+    private watcher?: fs.FSWatcher;
+    private reloadTimer?: NodeJS.Timeout;
+    private reloading?: Promise<number>;
+    private reloadQueued: boolean = false;
+    private isInitialized: boolean = false;
+
+    constructor(
+        directory: string = config.knowledge.directory,
+        embedder: Embedder = new HashEmbedder(),
+        options: KnowledgeOptions = { topK: config.knowledge.topK, minScore: config.knowledge.minScore }
+    ) {
+        this.directory = path.resolve(directory);
+        this.embedder = embedder;
+        this.indexEmbedder = embedder;
+        this.options = options;
+    }
+
+    /**
+     * Load the knowledge files and reload them whenever the directory changes
+     */
+    public async initialize(): Promise<void> {
+        fs.mkdirSync(this.directory, { recursive: true });
+        await this.reload();
+
+        try {
+            this.watcher = fs.watch(this.directory, { recursive: true }, () => this.scheduleReload());
+            this.watcher.on('error', error => console.error('⚠️ Knowledge base watcher error:', error.message));
+        } catch (error) {
+            console.error('⚠️ Cannot watch the knowledge base directory, changes need a reload:', error instanceof Error ? error.message : error);
+        }
+
+        this.isInitialized = true;
+    }
+
+    /**
+     * Check if the knowledge files have been loaded
+     */
+    public isReady(): boolean {
+        return this.isInitialized;
+    }
+
+    /**
+     * Re-read every knowledge file and rebuild the index. Files that fail to parse are skipped
+     * and reported by getErrors(). Returns the number of chunks loaded.
+     */
+    public async reload(): Promise<number> {
+        if (this.reloading) {
+            this.reloadQueued = true;
+            return this.reloading;
+        }
+
+        this.reloading = this.rebuild().finally(() => {
+            this.reloading = undefined;
+            if (this.reloadQueued) {
+                this.reloadQueued = false;
+                this.reload().catch(error => console.error('❌ Knowledge base reload failed:', error));
+            }
+        });
+        return this.reloading;
+    }
+
+    /**
+     * Entries visible to the audience that are relevant to the query: pinned entries first,
+     * then the closest matches above the minimum score
+     */
+    public async search(query: string, audience: KnowledgeAudience): Promise<KnowledgeChunk[]> {
+        const visible = this.chunks.filter(entry => isVisibleTo(entry.chunk, audience));
+        if (visible.length === 0) {
+            return [];
+        }
+
+        const pinned = visible.filter(entry => entry.chunk.pinned).map(entry => entry.chunk);
+        if (!query.trim()) {
+            return pinned;
+        }
+
+        const [queryVector] = await this.indexEmbedder.embed([query]);
+        const matches = visible
+            .filter(entry => !entry.chunk.pinned)
+            .map(entry => ({ chunk: entry.chunk, score: cosineSimilarity(queryVector, entry.vector) }))
+            .filter(hit => hit.score >= this.options.minScore)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.options.topK)
+            .map(hit => hit.chunk);
+
+        return [...pinned, ...matches];
+    }
+
+    /**
+     * All loaded chunks
+     */
+    public getEntries(): KnowledgeChunk[] {
+        return this.chunks.map(entry => entry.chunk);
+    }
+
+    /**
+     * Files skipped on the last reload
+     */
+    public getErrors(): KnowledgeFileError[] {
+        return [...this.errors];
+    }
+
+    /**
+     * Directory, index size and the embedding model in use
+     */
+    public getStats(): { directory: string; files: number; chunks: number; model: string; errors: number } {
+        return {
+            directory: this.directory,
+            files: new Set(this.chunks.map(entry => entry.chunk.source)).size,
+            chunks: this.chunks.length,
+            model: `${this.indexEmbedder.name}:${this.indexEmbedder.model}`,
+            errors: this.errors.length
+        };
+    }
+
+    /**
+     * Stop watching the directory
+     */
+    public destroy(): void {
+        this.watcher?.close();
+        this.watcher = undefined;
+        if (this.reloadTimer) {
+            clearTimeout(this.reloadTimer);
+            this.reloadTimer = undefined;
+        }
+    }
+
+    /**
+     * Editors write files in several steps, so wait for the directory to settle
+     */
+    private scheduleReload(): void {
+        if (this.reloadTimer) {
+            clearTimeout(this.reloadTimer);
+        }
+        this.reloadTimer = setTimeout(() => {
+            this.reloadTimer = undefined;
+            this.reload().catch(error => console.error('❌ Knowledge base reload failed:', error));
+        }, RELOAD_DEBOUNCE_MS);
+    }
+
+    private async rebuild(): Promise<number> {
+        const chunks: KnowledgeChunk[] = [];
+        const errors: KnowledgeFileError[] = [];
+
+        for (const file of listKnowledgeFiles(this.directory)) {
+            const source = path.relative(this.directory, file).split(path.sep).join('/');
+            try {
+                chunks.push(...parseKnowledgeFile(source, await fs.promises.readFile(file, 'utf8')));
+            } catch (error) {
+                const message = error instanceof Error ? error.message : String(error);
+                errors.push({ source, error: message });
+                console.error(`⚠️ Skipping knowledge file ${source}: ${message}`);
+            }
+        }
+
+        const vectors = await this.embedChunks(chunks);
+        this.chunks = chunks.map((chunk, i) => ({ chunk, vector: vectors[i] }));
+        this.errors = errors;
+
+        console.log(`📚 Loaded ${chunks.length} knowledge entries from ${new Set(chunks.map(chunk => chunk.source)).size} files`);
+        return chunks.length;
+    }
+
+    /**
+     * Embed chunks, reusing vectors of unchanged text. If the configured embedder fails the
+     * index is built with the hash embedder, so the knowledge base keeps working offline.
+     */
+    private async embedChunks(chunks: KnowledgeChunk[]): Promise<number[][]> {
+        const texts = chunks.map(chunk => `${chunk.title}\n${chunk.content}`);
+
+        try {
+            const vectors = await this.embedTexts(this.embedder, texts);
+            this.indexEmbedder = this.embedder;
+            return vectors;
+        } catch (error) {
+            if (this.embedder instanceof HashEmbedder) {
+                throw error;
+            }
+            console.error(`⚠️ Knowledge base embedding with ${this.embedder.name} failed, using keyword matching:`, error instanceof Error ? error.message : error);
+            this.indexEmbedder = new HashEmbedder();
+            return this.embedTexts(this.indexEmbedder, texts);
+        }
+    }
+
+    private async embedTexts(embedder: Embedder, texts: string[]): Promise<number[][]> {
+        const key = (text: string) => `${embedder.name}:${embedder.model}\n${text}`;
+        const missing = [...new Set(texts.filter(text => !this.vectorCache.has(key(text))))];
+
+        for (let i = 0; i < missing.length; i += EMBEDDING_BATCH_SIZE) {
+            const batch = missing.slice(i, i + EMBEDDING_BATCH_SIZE);
+            const vectors = await embedder.embed(batch);
+            batch.forEach((text, j) => this.vectorCache.set(key(text), vectors[j]));
+        }
+
+        // Drop vectors of text that no longer exists
+        const used = new Set(texts.map(key));
+        for (const cached of this.vectorCache.keys()) {
+            if (cached.startsWith(`${embedder.name}:${embedder.model}\n`) && !used.has(cached)) {
+                this.vectorCache.delete(cached);
+            }
+        }
+
+        return texts.map(text => this.vectorCache.get(key(text))!);
+    }
+}
+
+/**
+ * Knowledge files under a directory, sorted; hidden files and folders are ignored
+ */
+function listKnowledgeFiles(directory: string): string[] {
+    const files: string[] = [];
+
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+        if (entry.name.startsWith('.')) {
+            continue;
+        }
+        const fullPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...listKnowledgeFiles(fullPath));
+        } else if (entry.isFile() && KNOWLEDGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+            files.push(fullPath);
+        }
+    }
+
+    return files.sort();
+}
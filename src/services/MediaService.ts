@@ -0,0 +1,136 @@
+import { ImageCaptioner, MediaAttachment, MediaInfo, MessageType, SpeechToTextBackend } from '../types';
+import { config } from '../config/environment';
+import { getMessageType } from '../utils/messageContent';
+
+/**
+ * Text extracted from a media message
+ */
+export interface MediaDescription {
+    type: MessageType;
+    text: string;
+    media: MediaInfo;
+}
+
+const MEDIA_TYPES: MessageType[] = [MessageType.AUDIO, MessageType.IMAGE, MessageType.VIDEO, MessageType.DOCUMENT, MessageType.STICKER];
+
+/**
+ * Turns voice notes and images into text the assistant can read: audio is transcribed by the
+ * speech-to-text backend and images are described by a vision model. Other media, and media
+ * without a configured backend, become a short placeholder plus the sender's caption.
+ */
+export class MediaService {
+    private speechToText?: SpeechToTextBackend;
+    private imageCaptioner?: ImageCaptioner;
+    private maxBytes: number;
+    private stats = { transcribed: 0, described: 0, failed: 0 };
+
+    constructor(speechToText?: SpeechToTextBackend, imageCaptioner?: ImageCaptioner, maxBytes: number = config.media.maxBytes) {
+        this.speechToText = speechToText;
+        this.imageCaptioner = imageCaptioner;
+        this.maxBytes = maxBytes;
+        console.log(`🎙️ Media understanding: speech-to-text ${speechToText?.name || 'off'}, vision ${imageCaptioner?.name || 'off'}`);
+    }
+
+    /**
+     * Check if a raw message carries media
+     */
+    public isMediaMessage(rawMessage: any): boolean {
+        return MEDIA_TYPES.includes(getMessageType(rawMessage));
+    }
+
+    /**
+     * Describe a media message as text. Returns null for media that should not reach the
+     * conversation (stickers), so it is ignored like an emoji-only message.
+     */
+    public async describe(rawMessage: any): Promise<MediaDescription | null> {
+        const type = getMessageType(rawMessage);
+        const caption = (rawMessage.body || '').trim();
+        const isVoiceNote = rawMessage.type === 'ptt';
+
+        if (type === MessageType.STICKER) {
+            return null;
+        }
+
+        const backendAvailable = (type === MessageType.AUDIO && !!this.speechToText) || (type === MessageType.IMAGE && !!this.imageCaptioner);
+        const attachment = backendAvailable ? await this.download(rawMessage) : null;
+        const media: MediaInfo = {
+            mimetype: attachment?.mimetype || rawMessage._data?.mimetype || 'application/octet-stream',
+            filename: attachment?.filename || rawMessage._data?.filename || undefined,
+            sizeBytes: attachment?.data.length,
+            extracted: false
+        };
+
+        let extracted = '';
+        if (attachment) {
+            try {
+                if (type === MessageType.AUDIO) {
+                    extracted = await this.speechToText!.transcribe(attachment);
+                    this.stats.transcribed++;
+                } else {
+                    extracted = await this.imageCaptioner!.describe(attachment);
+                    this.stats.described++;
+                }
+            } catch (error) {
+                this.stats.failed++;
+                console.error(`❌ Failed to ${type === MessageType.AUDIO ? 'transcribe audio' : 'describe image'}:`, error instanceof Error ? error.message : error);
+            }
+        }
+        media.extracted = extracted.length > 0;
+
+        return { type, text: MediaService.formatText(type, { isVoiceNote, extracted, caption, filename: media.filename }), media };
+    }
+
+    /**
+     * Get processing statistics
+     */
+    public getStats(): { transcribed: number; described: number; failed: number } {
+        return { ...this.stats };
+    }
+
+    /**
+     * Download media through whatsapp-web.js, skipping files over the size limit
+     */
+    private async download(rawMessage: any): Promise<MediaAttachment | null> {
+        try {
+            const media = await rawMessage.downloadMedia();
+            if (!media?.data) {
+                console.warn(`⚠️ Media for message ${rawMessage.id?._serialized || rawMessage.id} is no longer available`);
+                return null;
+            }
+
+            const data = Buffer.from(media.data, 'base64');
+            if (data.length > this.maxBytes) {
+                console.warn(`⚠️ Skipping ${data.length} byte media file (limit ${this.maxBytes})`);
+                return null;
+            }
+
+            return { mimetype: media.mimetype, data, filename: media.filename || undefined };
+        } catch (error) {
+            this.stats.failed++;
+            console.error('❌ Failed to download media:', error instanceof Error ? error.message : error);
+            return null;
+        }
+    }
+
+    /**
+     * Text stored as the message body, e.g. "[Voice message] Can we move the call to 4?"
+     */
+    private static formatText(type: MessageType, parts: { isVoiceNote: boolean; extracted: string; caption: string; filename?: string }): string {
+        const withCaption = (label: string) => parts.caption ? `${label} ${parts.caption}` : label;
+
+        switch (type) {
+            case MessageType.AUDIO: {
+                const label = parts.isVoiceNote ? 'Voice message' : 'Audio';
+                return parts.extracted ? `[${label}] ${parts.extracted}` : `[${label} that could not be transcribed]`;
+            }
+            case MessageType.IMAGE:
+                return withCaption(parts.extracted ? `[Image: ${parts.extracted}]` : '[Image]');
+            case MessageType.DOCUMENT:
+                return withCaption(parts.filename ? `[Document: ${parts.filename}]` : '[Document]');
+            case MessageType.VIDEO:
+                return withCaption('[Video]');
+            default:
+                return withCaption('[Attachment]');
+        }
+    }
+}
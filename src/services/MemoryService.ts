@@ -0,0 +1,204 @@
+import { AIProvider, ConversationMemory, MemoryConfig, OwnerProfile, WhatsAppMessage } from '../types';
+import { StorageService } from './StorageService';
+import { config } from '../config/environment';
+import { formatZonedTime } from '../utils/businessHours';
+import { formatMessageForPrompt } from '../utils/messageContent';
+import { getPronounForms } from '../utils/owner';
+
+const SUMMARY_BATCH_SIZE = 100; // Messages condensed per model call
+const MAX_SUMMARY_LENGTH = 2000;
+
+const summaryInstructions = (owner: OwnerProfile): string => `You keep the long-term memory of ${owner.name}'s personal assistant, which answers ${getPronounForms(owner.pronouns).possessive} WhatsApp messages.
+Update the summary of this chat with the new messages. Keep what matters for future replies: who the contact is,
+what they asked for or offered, promises made, open questions, dates and decisions. Leave out greetings and small talk.
+Mention when things happened if it matters. Write plain text of at most 150 words in the language of the conversation.
+Reply with the updated summary only.`;
+
+/**
+ * Options for the summariser; the recent window is what the prompt already includes verbatim
+ */
+export interface MemoryOptions extends MemoryConfig {
+    keepRecent: number;
+}
+
+/**
+ * Long-term conversation memory: periodically condenses each chat's older messages into a rolling
+ * summary stored in SQLite. The summary goes into the system prompt, so the assistant still knows
+ * what a contact asked last week after those messages left the recent context or the app restarted.
+ */
+export class MemoryService {
+    private storage: StorageService;
+    private aiProvider: AIProvider;
+    private options: MemoryOptions;
+    private owner: OwnerProfile;
+    private timezone: string;
+    private memories: Map<string, ConversationMemory> = new Map();
+    private running: Map<string, Promise<ConversationMemory | null>> = new Map();
+    private summaryInterval?: NodeJS.Timeout;
+    private isInitialized: boolean = false;
+
+    constructor(
+        storage: StorageService,
+        aiProvider: AIProvider,
+        options: MemoryOptions = { ...config.memory, keepRecent: config.app.maxContextMessages },
+        owner: OwnerProfile = config.owner,
+        timezone: string = config.secretary.businessHours?.timezone || 'UTC'
+    ) {
+        this.storage = storage;
+        this.aiProvider = aiProvider;
+        this.options = options;
+        this.owner = owner;
+        this.timezone = timezone;
+    }
+
+    /**
+     * Load stored summaries and start the periodic summary pass
+     */
+    public async initialize(): Promise<void> {
+        const memories = await this.storage.getConversationMemories();
+        memories.forEach(memory => this.memories.set(memory.chatId, memory));
+
+        if (this.options.enabled) {
+            this.summaryInterval = setInterval(() => {
+                this.summarizePending().catch(error => console.error('❌ Conversation summary pass failed:', error));
+            }, this.options.summaryIntervalMs);
+        }
+
+        this.isInitialized = true;
+        console.log(`🧠 Loaded ${this.memories.size} conversation summaries`);
+    }
+
+    /**
+     * Check if stored summaries have been loaded
+     */
+    public isReady(): boolean {
+        return this.isInitialized;
+    }
+
+    /**
+     * Summary text for the system prompt
+     */
+    public getSummary(chatId: string): string | undefined {
+        return this.options.enabled ? this.memories.get(chatId)?.summary : undefined;
+    }
+
+    /**
+     * Stored memory of a chat
+     */
+    public getMemory(chatId: string): ConversationMemory | null {
+        return this.memories.get(chatId) || null;
+    }
+
+    /**
+     * Update the summary of every chat with enough new older messages. Returns the number of chats updated.
+     */
+    public async summarizePending(): Promise<number> {
+        const chatIds = await this.storage.getChatsNeedingSummary(this.options.minMessages + this.options.keepRecent);
+        let updated = 0;
+
+        for (const chatId of chatIds) {
+            try {
+                if (await this.summarizeChat(chatId)) {
+                    updated++;
+                }
+            } catch (error) {
+                console.error(`❌ Failed to summarize chat ${chatId}:`, error instanceof Error ? error.message : error);
+            }
+        }
+
+        return updated;
+    }
+
+    /**
+     * Fold the chat's older messages into its summary. Resolves null if there was too little to add.
+     */
+    public async summarizeChat(chatId: string): Promise<ConversationMemory | null> {
+        const running = this.running.get(chatId);
+        if (running) {
+            return running;
+        }
+
+        const pass = this.condense(chatId).finally(() => this.running.delete(chatId));
+        this.running.set(chatId, pass);
+        return pass;
+    }
+
+    /**
+     * Delete a chat's summary
+     */
+    public async forget(chatId: string): Promise<boolean> {
+        this.memories.delete(chatId);
+        return this.storage.deleteConversationMemory(chatId);
+    }
+
+    /**
+     * Stop the periodic summary pass
+     */
+    public destroy(): void {
+        if (this.summaryInterval) {
+            clearInterval(this.summaryInterval);
+            this.summaryInterval = undefined;
+        }
+    }
+
+    /**
+     * Summarize batches of messages until fewer than `minMessages` remain outside the recent window
+     */
+    private async condense(chatId: string): Promise<ConversationMemory | null> {
+        let memory = this.memories.get(chatId) || null;
+        let updated = false;
+
+        while (true) {
+            const batch = await this.storage.getMessagesToSummarize(
+                chatId,
+                memory?.summarizedUntil ?? 0,
+                this.options.keepRecent,
+                SUMMARY_BATCH_SIZE
+            );
+            if (batch.length < this.options.minMessages) {
+                break;
+            }
+
+            const response = await this.aiProvider.complete([
+                { role: 'system', content: summaryInstructions(this.owner) },
+                { role: 'user', content: this.buildSummaryRequest(memory?.summary, batch) }
+            ], { model: this.aiProvider.getCurrentModel(), maxTokens: 400, temperature: 0.2 });
+
+            const summary = response.content.trim().slice(0, MAX_SUMMARY_LENGTH);
+            if (!summary) {
+                throw new Error('The model returned an empty summary');
+            }
+
+            memory = {
+                chatId,
+                summary,
+                summarizedUntil: batch[batch.length - 1].message.timestamp,
+                messageCount: (memory?.messageCount || 0) + batch.length,
+                model: response.model,
+                lastUpdated: Date.now()
+            };
+            await this.storage.upsertConversationMemory(memory);
+            this.memories.set(chatId, memory);
+            updated = true;
+        }
+
+        if (updated) {
+            console.log(`🧠 Updated summary for chat ${chatId} (${memory!.messageCount} messages)`);
+        }
+        return updated ? memory : null;
+    }
+
+    /**
+     * Previous summary plus the new messages, one line each with date and speaker
+     */
+    private buildSummaryRequest(previous: string | undefined, batch: Array<{ message: WhatsAppMessage; isFromOwner: boolean }>): string {
+        const lines = batch.map(({ message, isFromOwner }) => {
+            const speaker = message.from === 'secretary_bot'
+                ? 'Assistant'
+                : isFromOwner ? this.owner.name : (message.author || message.from).split('@')[0];
+            return `[${formatZonedTime(message.timestamp, this.timezone)}] ${speaker}: ${formatMessageForPrompt(message)}`;
+        });
+
+        return `Current summary:\n${previous || '(none yet)'}\n\nNew messages:\n${lines.join('\n')}`;
+    }
+}
@@ -0,0 +1,201 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { PersonaProfile } from '../types';
+import { config } from '../config/environment';
+import { parsePersonaFile } from '../utils/personas';
+
+const PERSONA_EXTENSIONS = ['.yaml', '.yml'];
+const RELOAD_DEBOUNCE_MS = 500;
+
+/**
+ * A profile file that could not be loaded
+ */
+export interface PersonaFileError {
+    source: string;
+    error: string;
+}
+
+/**
+ * Named persona profiles (formal business, casual friends, family, ...) from YAML files in a
+ * watched directory. Chat policies select a profile by name; chats without one use the
+ * configured default, or the built-in secretary behaviour when there is none.
+ */
+export class PersonaService {
+    private directory: string;
+    private defaultProfile: string;
+    private groupProfile: string;
+    private profiles: Map<string, PersonaProfile> = new Map();
+    private errors: PersonaFileError[] = [];
+    private watcher?: fs.FSWatcher;
+    private reloadTimer?: NodeJS.Timeout;
+    private isInitialized: boolean = false;
+
+    constructor(
+        directory: string = config.personas.directory,
+        defaultProfile: string = config.personas.defaultProfile,
+        groupProfile: string = config.personas.groupProfile
+    ) {
+        this.directory = path.resolve(directory);
+        this.defaultProfile = defaultProfile.trim().toLowerCase();
+        this.groupProfile = groupProfile.trim().toLowerCase();
+    }
+
+    /**
+     * Load the profile files and reload them whenever the directory changes
+     */
+    public async initialize(): Promise<void> {
+        fs.mkdirSync(this.directory, { recursive: true });
+        this.reload();
+
+        for (const name of [this.defaultProfile, this.groupProfile]) {
+            if (name && !this.profiles.has(name)) {
+                console.warn(`⚠️ Persona profile "${name}" is configured as a default but not defined in ${this.directory}`);
+            }
+        }
+
+        try {
+            this.watcher = fs.watch(this.directory, () => this.scheduleReload());
+            this.watcher.on('error', error => console.error('⚠️ Persona directory watcher error:', error.message));
+        } catch (error) {
+            console.error('⚠️ Cannot watch the persona directory, changes need a reload:', error instanceof Error ? error.message : error);
+        }
+
+        this.isInitialized = true;
+    }
+
+    /**
+     * Check if the profile files have been loaded
+     */
+    public isReady(): boolean {
+        return this.isInitialized;
+    }
+
+    /**
+     * Re-read every profile file. Invalid files are skipped and reported by getErrors();
+     * a file that defines an already loaded name is reported too. Returns the number of profiles.
+     */
+    public reload(): number {
+        const profiles = new Map<string, PersonaProfile>();
+        const errors: PersonaFileError[] = [];
+
+        for (const file of listPersonaFiles(this.directory)) {
+            const source = path.basename(file);
+            try {
+                const profile = parsePersonaFile(source, fs.readFileSync(file, 'utf8'));
+                const existing = profiles.get(profile.name);
+                if (existing) {
+                    throw new Error(`Profile "${profile.name}" is already defined in ${existing.source}`);
+                }
+                profiles.set(profile.name, profile);
+            } catch (error) {
+                const message = error instanceof Error ? error.message : String(error);
+                errors.push({ source, error: message });
+                console.error(`⚠️ Skipping persona file ${source}: ${message}`);
+            }
+        }
+
+        this.profiles = profiles;
+        this.errors = errors;
+        console.log(`🎭 Loaded ${profiles.size} persona profiles`);
+        return profiles.size;
+    }
+
+    /**
+     * Profile by name
+     */
+    public getProfile(name: string): PersonaProfile | undefined {
+        return this.profiles.get(name.trim().toLowerCase());
+    }
+
+    /**
+     * Check if a profile with this name is loaded
+     */
+    public hasProfile(name: string): boolean {
+        return this.profiles.has(name.trim().toLowerCase());
+    }
+
+    /**
+     * All loaded profiles, by name
+     */
+    public getProfiles(): PersonaProfile[] {
+        return Array.from(this.profiles.values()).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Profile for a chat: the one its policy selects, else the group or general default.
+     * A selected name that no longer exists falls back to the defaults.
+     */
+    public resolve(name: string | undefined, isGroup: boolean): PersonaProfile | undefined {
+        const candidates = [name, isGroup ? this.groupProfile : undefined, this.defaultProfile];
+        for (const candidate of candidates) {
+            if (!candidate) {
+                continue;
+            }
+            const profile = this.getProfile(candidate);
+            if (profile) {
+                return profile;
+            }
+            console.warn(`⚠️ Unknown persona profile "${candidate}"`);
+        }
+        return undefined;
+    }
+
+    /**
+     * Files skipped on the last reload
+     */
+    public getErrors(): PersonaFileError[] {
+        return [...this.errors];
+    }
+
+    /**
+     * Directory, configured defaults and loaded profile names
+     */
+    public getStats(): { directory: string; defaultProfile: string | null; groupProfile: string | null; profiles: string[]; errors: number } {
+        return {
+            directory: this.directory,
+            defaultProfile: this.defaultProfile || null,
+            groupProfile: this.groupProfile || null,
+            profiles: this.getProfiles().map(profile => profile.name),
+            errors: this.errors.length
+        };
+    }
+
+    /**
+     * Stop watching the directory
+     */
+    public destroy(): void {
+        this.watcher?.close();
+        this.watcher = undefined;
+        if (this.reloadTimer) {
+            clearTimeout(this.reloadTimer);
+            this.reloadTimer = undefined;
+        }
+    }
+
+    /**
+     * Editors write files in several steps, so wait for the directory to settle
+     */
+    private scheduleReload(): void {
+        if (this.reloadTimer) {
+            clearTimeout(this.reloadTimer);
+        }
+        this.reloadTimer = setTimeout(() => {
+            this.reloadTimer = undefined;
+            try {
+                this.reload();
+            } catch (error) {
+                console.error('❌ Persona reload failed:', error);
+            }
+        }, RELOAD_DEBOUNCE_MS);
+    }
+}
+
+/**
+ * Profile files in a directory, sorted; hidden files are ignored
+ */
+function listPersonaFiles(directory: string): string[] {
+    return fs.readdirSync(directory, { withFileTypes: true })
+        .filter(entry => entry.isFile() && !entry.name.startsWith('.') && PERSONA_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()))
+        .map(entry => path.join(directory, entry.name))
+        .sort();
+}
@@ -0,0 +1,259 @@
+import { ChatPolicy, PolicyDecision, PolicyMode } from '../types';
+import { config } from '../config/environment';
+import { StorageService } from './StorageService';
+import { PersonaService } from './PersonaService';
+import { BusinessHours, isWithinBusinessHours } from '../utils/businessHours';
+import { formatDuration, MAX_TIMER_MS } from '../utils/duration';
+
+/**
+ * Global defaults the per-chat policies fall back to
+ */
+export interface PolicyDefaults {
+    groupRepliesEnabled: boolean;
+    responseDelayMs: number;
+    cooldownMs: number;
+    businessHours?: BusinessHours;
+    approvalRequired: boolean;
+    approvalTimeoutMs: number;
+    vipContacts: string[];
+}
+
+/**
+ * Message attributes a policy decision is based on
+ */
+export interface PolicySubject {
+    chatId: string;
+    senderId?: string;
+    isGroup: boolean;
+}
+
+/**
+ * Editable policy fields; null clears a field back to "inherit"
+ */
+export type ChatPolicyPatch = Partial<Omit<ChatPolicy, 'subject' | 'subjectType' | 'updatedAt'>>;
+
+const POLICY_MODES: PolicyMode[] = ['default', 'never', 'always'];
+
+/**
+ * Per-chat and per-contact reply policies, persisted in SQLite and cached in memory.
+ * Chat policies take precedence over contact policies, which take precedence over the defaults.
+ */
+export class PolicyService {
+    private storage: StorageService;
+    private defaults: PolicyDefaults;
+    private personaService?: PersonaService;
+    private policies: Map<string, ChatPolicy> = new Map();
+    private isInitialized: boolean = false;
+
+    constructor(storage: StorageService, defaults?: Partial<PolicyDefaults>, personaService?: PersonaService) {
+        this.storage = storage;
+        this.personaService = personaService;
+        this.defaults = {
+            groupRepliesEnabled: config.policy.groupRepliesEnabled,
+            responseDelayMs: config.app.responseDelayMs,
+            cooldownMs: config.app.cooldownPeriodMs,
+            businessHours: config.secretary.businessHours,
+            approvalRequired: config.policy.approvalRequired,
+            approvalTimeoutMs: config.policy.approvalTimeoutMs,
+            vipContacts: config.escalation.vipContacts,
+            ...defaults
+        };
+    }
+
+    /**
+     * Load persisted policies into memory
+     */
+    public async initialize(): Promise<void> {
+        const policies = await this.storage.getChatPolicies();
+        this.policies = new Map(policies.map(policy => [policy.subject, policy]));
+        this.isInitialized = true;
+        console.log(`📋 Loaded ${policies.length} chat policies`);
+    }
+
+    /**
+     * Check if policies have been loaded
+     */
+    public isReady(): boolean {
+        return this.isInitialized;
+    }
+
+    /**
+     * Get the policy stored for a chat or contact
+     */
+    public getPolicy(subject: string): ChatPolicy | undefined {
+        return this.policies.get(subject);
+    }
+
+    /**
+     * Get all stored policies
+     */
+    public getPolicies(): ChatPolicy[] {
+        return Array.from(this.policies.values());
+    }
+
+    /**
+     * Create or update the policy for a chat or contact
+     */
+    public async setPolicy(subject: string, patch: ChatPolicyPatch, subjectType?: ChatPolicy['subjectType']): Promise<ChatPolicy> {
+        if (patch.mode !== undefined && !POLICY_MODES.includes(patch.mode)) {
+            throw new Error(`Invalid policy mode: ${patch.mode} (expected ${POLICY_MODES.join(', ')})`);
+        }
+        for (const field of ['responseDelayMs', 'cooldownMs', 'approvalTimeoutMs'] as const) {
+            const value = patch[field];
+            if (value !== undefined && value !== null && (!Number.isFinite(value) || value < 0)) {
+                throw new Error(`Invalid ${field}: ${value}`);
+            }
+            if (value !== undefined && value !== null && value > MAX_TIMER_MS) {
+                throw new Error(`${field} must be at most ${MAX_TIMER_MS} (${formatDuration(MAX_TIMER_MS)})`);
+            }
+        }
+        if (patch.persona !== undefined && patch.persona !== null && typeof patch.persona !== 'string') {
+            throw new Error('persona must be a string');
+        }
+        if (patch.profile !== undefined && patch.profile !== null) {
+            if (typeof patch.profile !== 'string') {
+                throw new Error('profile must be a string');
+            }
+            if (this.personaService && !this.personaService.hasProfile(patch.profile)) {
+                const names = this.personaService.getProfiles().map(profile => profile.name);
+                throw new Error(`Unknown persona profile: ${patch.profile} (available: ${names.join(', ') || 'none'})`);
+            }
+            patch = { ...patch, profile: patch.profile.trim().toLowerCase() };
+        }
+        if (patch.businessHoursOnly !== undefined && patch.businessHoursOnly !== null && typeof patch.businessHoursOnly !== 'boolean') {
+            throw new Error('businessHoursOnly must be true or false');
+        }
+        if (patch.requireApproval !== undefined && patch.requireApproval !== null && typeof patch.requireApproval !== 'boolean') {
+            throw new Error('requireApproval must be true or false');
+        }
+        if (patch.vip !== undefined && patch.vip !== null && typeof patch.vip !== 'boolean') {
+            throw new Error('vip must be true or false');
+        }
+        if (patch.mutedUntil !== undefined && patch.mutedUntil !== null && typeof patch.mutedUntil !== 'number') {
+            throw new Error('mutedUntil must be a timestamp in milliseconds');
+        }
+
+        const existing = this.policies.get(subject);
+        const policy: ChatPolicy = {
+            mode: 'default',
+            ...existing,
+            ...patch,
+            subject,
+            subjectType: subjectType || existing?.subjectType || PolicyService.inferSubjectType(subject),
+            updatedAt: Date.now()
+        };
+
+        await this.storage.upsertChatPolicy(policy);
+        this.policies.set(subject, policy);
+        return policy;
+    }
+
+    /**
+     * Delete the policy for a chat or contact
+     */
+    public async removePolicy(subject: string): Promise<boolean> {
+        const removed = await this.storage.deleteChatPolicy(subject);
+        return this.policies.delete(subject) || removed;
+    }
+
+    /**
+     * Mute a chat, optionally for a limited time
+     */
+    public async mute(chatId: string, durationMs?: number): Promise<void> {
+        await this.setPolicy(chatId, { mutedUntil: durationMs ? Date.now() + durationMs : Infinity });
+    }
+
+    /**
+     * Unmute a chat. Returns false if it was not muted.
+     */
+    public async unmute(chatId: string): Promise<boolean> {
+        const wasMuted = this.isMuted(chatId);
+        if (this.policies.get(chatId)?.mutedUntil != null) {
+            await this.setPolicy(chatId, { mutedUntil: null });
+        }
+        return wasMuted;
+    }
+
+    /**
+     * Check if a chat is muted
+     */
+    public isMuted(chatId: string, now: number = Date.now()): boolean {
+        const mutedUntil = this.policies.get(chatId)?.mutedUntil;
+        return mutedUntil != null && mutedUntil > now;
+    }
+
+    /**
+     * Get currently muted chats
+     */
+    public getMutedChats(now: number = Date.now()): Array<{ chatId: string; until: number }> {
+        return this.getPolicies()
+            .filter(policy => this.isMuted(policy.subject, now))
+            .map(policy => ({ chatId: policy.subject, until: policy.mutedUntil as number }));
+    }
+
+    /**
+     * Decide whether and how the assistant may reply in a chat
+     */
+    public evaluate(subject: PolicySubject, now: Date = new Date()): PolicyDecision {
+        const chatPolicy = this.policies.get(subject.chatId);
+        const contactPolicy = subject.senderId && subject.senderId !== subject.chatId
+            ? this.policies.get(subject.senderId)
+            : undefined;
+
+        const pick = <K extends keyof ChatPolicy>(field: K): NonNullable<ChatPolicy[K]> | undefined =>
+            (chatPolicy?.[field] ?? contactPolicy?.[field] ?? undefined) as NonNullable<ChatPolicy[K]> | undefined;
+
+        // The most specific non-default mode wins
+        let mode: PolicyMode = 'default';
+        let source: PolicyDecision['source'] = 'default';
+        if (chatPolicy && chatPolicy.mode !== 'default') {
+            mode = chatPolicy.mode;
+            source = 'chat';
+        } else if (contactPolicy && contactPolicy.mode !== 'default') {
+            mode = contactPolicy.mode;
+            source = 'contact';
+        } else if (chatPolicy || contactPolicy) {
+            source = chatPolicy ? 'chat' : 'contact';
+        }
+
+        const businessHoursOnly = pick('businessHoursOnly') ?? false;
+        const decision: PolicyDecision = {
+            allowReply: true,
+            reason: mode === 'always' ? 'always reply' : 'default policy',
+            source,
+            alwaysReply: mode === 'always',
+            responseDelayMs: pick('responseDelayMs') ?? this.defaults.responseDelayMs,
+            cooldownMs: pick('cooldownMs') ?? this.defaults.cooldownMs,
+            persona: pick('persona') || undefined,
+            profile: pick('profile') || undefined,
+            businessHoursOnly,
+            requireApproval: pick('requireApproval') ?? this.defaults.approvalRequired,
+            approvalTimeoutMs: pick('approvalTimeoutMs') ?? this.defaults.approvalTimeoutMs,
+            vip: pick('vip') ?? [subject.chatId, subject.senderId].some(id => !!id && this.defaults.vipContacts.includes(id))
+        };
+
+        const deny = (reason: string): PolicyDecision => ({ ...decision, allowReply: false, alwaysReply: false, reason });
+
+        if (this.isMuted(subject.chatId, now.getTime())) {
+            return deny('chat muted');
+        }
+        if (mode === 'never') {
+            return deny(`never reply (${source} policy)`);
+        }
+        if (mode === 'default' && subject.isGroup && !this.defaults.groupRepliesEnabled) {
+            return deny('group replies disabled');
+        }
+        if (businessHoursOnly && this.defaults.businessHours && !isWithinBusinessHours(this.defaults.businessHours, now)) {
+            return deny('outside business hours');
+        }
+
+        return decision;
+    }
+
+    /**
+     * Guess whether an ID names a chat (group) or a contact
+     */
+    private static inferSubjectType(subject: string): ChatPolicy['subjectType'] {
+        return subject.endsWith('@g.us') ? 'chat' : 'contact';
+    }
+}
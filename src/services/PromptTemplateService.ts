@@ -0,0 +1,195 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { Language, PromptTemplate, PromptTemplateName } from '../types';
+import { config } from '../config/environment';
+import { CONTACT_TEMPLATES, DEFAULT_TEMPLATES, PROMPT_TEMPLATE_NAMES, parseTemplateFile } from '../utils/promptTemplates';
+
+const TEMPLATE_EXTENSIONS = ['.md', '.txt'];
+const RELOAD_DEBOUNCE_MS = 500;
+
+/**
+ * A template file that could not be loaded
+ */
+export interface PromptTemplateFileError {
+    source: string;
+    error: string;
+}
+
+/**
+ * Prompt templates from files in a watched directory (`system.md`, `secretary.md`,
+ * `fallback.he.md`, ...). A file replaces the built-in template of the same name; files are
+ * validated when loaded and an invalid one leaves the previous template in place.
+ */
+export class PromptTemplateService {
+    private directory: string;
+    private defaultLanguage: Language;
+    private templates: Map<string, PromptTemplate> = new Map();
+    private errors: PromptTemplateFileError[] = [];
+    private watcher?: fs.FSWatcher;
+    private reloadTimer?: NodeJS.Timeout;
+    private isInitialized: boolean = false;
+
+    constructor(directory: string = config.prompts.directory, defaultLanguage: Language = config.app.defaultLanguage ?? 'en') {
+        this.directory = path.resolve(directory);
+        this.defaultLanguage = defaultLanguage;
+    }
+
+    /**
+     * Load the template files and reload them whenever the directory changes
+     */
+    public async initialize(): Promise<void> {
+        fs.mkdirSync(this.directory, { recursive: true });
+        this.reload();
+
+        try {
+            this.watcher = fs.watch(this.directory, () => this.scheduleReload());
+            this.watcher.on('error', error => console.error('⚠️ Prompt directory watcher error:', error.message));
+        } catch (error) {
+            console.error('⚠️ Cannot watch the prompt directory, changes need a reload:', error instanceof Error ? error.message : error);
+        }
+
+        this.isInitialized = true;
+    }
+
+    /**
+     * Check if the template files have been loaded
+     */
+    public isReady(): boolean {
+        return this.isInitialized;
+    }
+
+    /**
+     * Re-read every template file. A file that fails validation is reported by getErrors() and
+     * the template it would replace keeps its previous version. Returns the number of templates loaded.
+     */
+    public reload(): number {
+        const templates = new Map<string, PromptTemplate>();
+        const errors: PromptTemplateFileError[] = [];
+
+        for (const file of listTemplateFiles(this.directory)) {
+            const source = path.basename(file);
+            try {
+                const template = parseTemplateFile(source, fs.readFileSync(file, 'utf8'));
+                const key = templateKey(template.name, template.language);
+                const existing = templates.get(key);
+                if (existing) {
+                    throw new Error(`Template "${key}" is already defined in ${existing.source}`);
+                }
+                templates.set(key, template);
+            } catch (error) {
+                const message = error instanceof Error ? error.message : String(error);
+                errors.push({ source, error: message });
+                console.error(`⚠️ Skipping prompt template ${source}: ${message}`);
+
+                // Keep serving the last good version rather than silently switching to the built-in one
+                const previous = Array.from(this.templates.entries()).find(([, template]) => template.source === source);
+                if (previous && !templates.has(previous[0])) {
+                    templates.set(previous[0], previous[1]);
+                }
+            }
+        }
+
+        for (const [key, template] of templates) {
+            const previous = this.templates.get(key);
+            if (previous && previous.version !== template.version) {
+                console.log(`📝 Prompt template ${key} changed: version ${previous.version} -> ${template.version}`);
+            }
+        }
+
+        this.templates = templates;
+        this.errors = errors;
+        console.log(`📝 Loaded ${templates.size} prompt templates`);
+        return templates.size;
+    }
+
+    /**
+     * Template to use for a reply in a language: the language variant, then the file without
+     * a language suffix, then the built-in template. Texts sent to contacts only use the file
+     * without a suffix for the default language; undefined means the built-in reply strings.
+     */
+    public get(name: PromptTemplateName, language?: Language): PromptTemplate | undefined {
+        const variant = language ? this.templates.get(templateKey(name, language)) : undefined;
+        if (variant) {
+            return variant;
+        }
+
+        const base = this.templates.get(name);
+        if (base && (!CONTACT_TEMPLATES.includes(name) || !language || language === this.defaultLanguage)) {
+            return base;
+        }
+        return DEFAULT_TEMPLATES[name];
+    }
+
+    /**
+     * Every template in use: loaded files and the built-in templates they do not replace
+     */
+    public getTemplates(): PromptTemplate[] {
+        const builtins = PROMPT_TEMPLATE_NAMES
+            .filter(name => !this.templates.has(name))
+            .map(name => DEFAULT_TEMPLATES[name])
+            .filter((template): template is PromptTemplate => template !== undefined);
+        return [...builtins, ...this.templates.values()]
+            .sort((a, b) => templateKey(a.name, a.language).localeCompare(templateKey(b.name, b.language)));
+    }
+
+    /**
+     * Files skipped on the last reload
+     */
+    public getErrors(): PromptTemplateFileError[] {
+        return [...this.errors];
+    }
+
+    /**
+     * Directory and the version of each template in use
+     */
+    public getStats(): { directory: string; versions: Record<string, string>; errors: number } {
+        return {
+            directory: this.directory,
+            versions: Object.fromEntries(this.getTemplates().map(template => [templateKey(template.name, template.language), template.version])),
+            errors: this.errors.length
+        };
+    }
+
+    /**
+     * Stop watching the directory
+     */
+    public destroy(): void {
+        this.watcher?.close();
+        this.watcher = undefined;
+        if (this.reloadTimer) {
+            clearTimeout(this.reloadTimer);
+            this.reloadTimer = undefined;
+        }
+    }
+
+    /**
+     * Editors write files in several steps, so wait for the directory to settle
+     */
+    private scheduleReload(): void {
+        if (this.reloadTimer) {
+            clearTimeout(this.reloadTimer);
+        }
+        this.reloadTimer = setTimeout(() => {
+            this.reloadTimer = undefined;
+            try {
+                this.reload();
+            } catch (error) {
+                console.error('❌ Prompt template reload failed:', error);
+            }
+        }, RELOAD_DEBOUNCE_MS);
+    }
+}
+
+function templateKey(name: PromptTemplateName, language?: Language): string {
+    return language ? `${name}.${language}` : name;
+}
+
+/**
+ * Template files in a directory, sorted; hidden files are ignored
+ */
+function listTemplateFiles(directory: string): string[] {
+    return fs.readdirSync(directory, { withFileTypes: true })
+        .filter(entry => entry.isFile() && !entry.name.startsWith('.') && TEMPLATE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()))
+        .map(entry => path.join(directory, entry.name))
+        .sort();
+}
@@ -0,0 +1,111 @@
+import { Embedder, WhatsAppMessage } from '../types';
+import { StorageService } from './StorageService';
+import { cosineSimilarity } from '../ai/Embedder';
+import { config } from '../config/environment';
+
+const EMBEDDING_BATCH_SIZE = 32;
+
+/**
+ * Retrieval settings
+ */
+export interface RetrievalOptions {
+    topK: number;
+    minScore: number;
+}
+
+/**
+ * Semantic retrieval over stored messages. Messages are embedded lazily, per chat, before each
+ * search, and searches only ever read the embeddings of the chat being answered.
+ */
+export class RetrievalService {
+    private storage: StorageService;
+    private embedder: Embedder;
+    private options: RetrievalOptions;
+    private indexing: Map<string, Promise<number>> = new Map();
+
+    constructor(
+        storage: StorageService,
+        embedder: Embedder,
+        options: RetrievalOptions = { topK: config.retrieval.topK, minScore: config.retrieval.minScore }
+    ) {
+        this.storage = storage;
+        this.embedder = embedder;
+        this.options = options;
+    }
+
+    /**
+     * Earlier exchanges in the chat most similar to the query, oldest first. Messages listed in
+     * `excludeIds` (e.g. those already in the recent context) are left out.
+     */
+    public async retrieve(chatId: string, query: string, excludeIds: string[] = []): Promise<WhatsAppMessage[]> {
+        if (!query.trim()) {
+            return [];
+        }
+
+        await this.indexChat(chatId);
+
+        const [queryVector] = await this.embedder.embed([query]);
+        const excluded = new Set(excludeIds);
+        const hits = (await this.storage.getMessageEmbeddings(chatId, this.embedder.model))
+            .filter(entry => !excluded.has(entry.whatsappId))
+            .map(entry => ({ messageId: entry.messageId, score: cosineSimilarity(queryVector, entry.vector) }))
+            .filter(hit => hit.score >= this.options.minScore)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.options.topK);
+
+        const exchanges = await this.storage.getMessageExchanges(chatId, hits.map(hit => hit.messageId));
+        return exchanges.filter(message => !excluded.has(message.id));
+    }
+
+    /**
+     * Embed the chat's messages that are not indexed yet. Returns the number of new embeddings.
+     */
+    public async indexChat(chatId: string): Promise<number> {
+        const running = this.indexing.get(chatId);
+        if (running) {
+            return running;
+        }
+
+        const pass = this.embedPending(chatId).finally(() => this.indexing.delete(chatId));
+        this.indexing.set(chatId, pass);
+        return pass;
+    }
+
+    /**
+     * Name of the embedding model in use
+     */
+    public getModel(): string {
+        return `${this.embedder.name}:${this.embedder.model}`;
+    }
+
+    /**
+     * Embed pending messages in batches until the chat is fully indexed
+     */
+    private async embedPending(chatId: string): Promise<number> {
+        let indexed = 0;
+
+        while (true) {
+            const pending = await this.storage.getMessagesToEmbed(this.embedder.model, chatId, EMBEDDING_BATCH_SIZE);
+            if (pending.length === 0) {
+                break;
+            }
+
+            const vectors = await this.embedder.embed(pending.map(entry => entry.text));
+            await this.storage.storeMessageEmbeddings(this.embedder.model, pending.map((entry, i) => ({
+                messageId: entry.id,
+                chatId: entry.chatId,
+                vector: vectors[i]
+            })));
+            indexed += pending.length;
+
+            if (pending.length < EMBEDDING_BATCH_SIZE) {
+                break;
+            }
+        }
+
+        if (indexed > 0) {
+            console.log(`🔎 Indexed ${indexed} messages in chat ${chatId}`);
+        }
+        return indexed;
+    }
+}
@@ -1,9 +1,42 @@
 import { Database } from 'sqlite3';
-import { StorageData, ConversationContext, TimerState, AppSettings, WhatsAppMessage, MessageType } from '../types';
+import { StorageData, ConversationContext, ConversationMemory, TimerState, AppSettings, WhatsAppMessage, MessageType, ChatPolicy, OutOfOfficeWindow, ReplyDraft, DraftStatus, DraftDecisionSource, GeneratedReply, PromptVersionStats, MeetingBooking, BookingStatus, Digest, Escalation, EscalationStatus, MessageAnalysis } from '../types';
 import { config } from '../config/environment';
+import { parseVCard } from '../utils/messageContent';
 import * as fs from 'fs';
 import * as path from 'path';
 
+/**
+ * Messages table schema; typed columns are NULL unless the message type uses them
+ */
+const MESSAGES_TABLE_SQL = (tableName: string) => `
+    CREATE TABLE IF NOT EXISTS ${tableName} (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversation_id INTEGER NOT NULL,
+        sender_id INTEGER NOT NULL,
+        whatsapp_message_id TEXT UNIQUE NOT NULL,
+        content TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        message_type TEXT DEFAULT 'text' CHECK (message_type IN ('text', 'image', 'audio', 'video', 'document', 'sticker', 'location', 'contact', 'reaction')),
+        is_from_owner BOOLEAN DEFAULT 0,
+        media_mimetype TEXT,
+        media_filename TEXT,
+        media_extracted BOOLEAN,
+        latitude REAL,
+        longitude REAL,
+        location_name TEXT,
+        location_address TEXT,
+        vcards TEXT,
+        quoted_message_id TEXT,
+        quoted_body TEXT,
+        reaction_emoji TEXT,
+        reaction_target_id TEXT,
+        analysis TEXT,
+        created_at INTEGER DEFAULT (strftime('%s', 'now')),
+        FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+        FOREIGN KEY (sender_id) REFERENCES participants(id) ON DELETE CASCADE
+    )
+`;
+
 /**
  * Comprehensive SQLite-based storage service for WhatsApp LLM Personal Assistant
  * Handles conversation state, message history, participants, cooldowns, and timers
@@ -13,8 +46,8 @@ export class StorageService {
     private dbPath: string;
     private isInitialized: boolean = false;
 
-    constructor() {
-        this.dbPath = config.database.path;
+    constructor(dbPath: string = config.database.path) {
+        this.dbPath = dbPath;
         this.ensureDirectoryExists();
         this.db = new Database(this.dbPath);
         this.initializeDatabase();
@@ -35,7 +68,7 @@ export class StorageService {
                         id INTEGER PRIMARY KEY AUTOINCREMENT,
                         whatsapp_id TEXT UNIQUE NOT NULL,
                         name TEXT,
-                        is_gilad BOOLEAN DEFAULT 0,
+                        is_owner BOOLEAN DEFAULT 0,
                         created_at INTEGER DEFAULT (strftime('%s', 'now')),
                         updated_at INTEGER DEFAULT (strftime('%s', 'now'))
                     )
@@ -56,21 +89,7 @@ export class StorageService {
                 `);
 
                 // Messages table
-                this.db.run(`
-                    CREATE TABLE IF NOT EXISTS messages (
-                        id INTEGER PRIMARY KEY AUTOINCREMENT,
-                        conversation_id INTEGER NOT NULL,
-                        sender_id INTEGER NOT NULL,
-                        whatsapp_message_id TEXT UNIQUE NOT NULL,
-                        content TEXT NOT NULL,
-                        timestamp INTEGER NOT NULL,
-                        message_type TEXT DEFAULT 'text' CHECK (message_type IN ('text', 'image', 'audio', 'video', 'document', 'sticker', 'location', 'contact')),
-                        is_from_gilad BOOLEAN DEFAULT 0,
-                        created_at INTEGER DEFAULT (strftime('%s', 'now')),
-                        FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
-                        FOREIGN KEY (sender_id) REFERENCES participants(id) ON DELETE CASCADE
-                    )
-                `);
+                this.db.run(MESSAGES_TABLE_SQL('messages'));
 
                 // Cooldowns table
                 this.db.run(`
@@ -79,7 +98,7 @@ export class StorageService {
                         conversation_id INTEGER NOT NULL,
                         start_time INTEGER NOT NULL,
                         end_time INTEGER NOT NULL,
-                        reason TEXT DEFAULT 'gilad_response',
+                        reason TEXT DEFAULT 'owner_response',
                         is_active BOOLEAN DEFAULT 1,
                         created_at INTEGER DEFAULT (strftime('%s', 'now')),
                         FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
@@ -109,16 +128,271 @@ export class StorageService {
                     )
                 `);
 
-                // Create indexes for performance
-                this.createIndexes(() => {
-                    console.log('Database initialized successfully');
-                    this.isInitialized = true;
-                    resolve();
+                // Per-chat / per-contact reply policies (NULL columns inherit defaults)
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS chat_policies (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        subject TEXT UNIQUE NOT NULL,
+                        subject_type TEXT DEFAULT 'chat' CHECK (subject_type IN ('chat', 'contact')),
+                        mode TEXT DEFAULT 'default' CHECK (mode IN ('default', 'never', 'always')),
+                        response_delay_ms INTEGER,
+                        cooldown_ms INTEGER,
+                        persona TEXT,
+                        profile TEXT,
+                        business_hours_only BOOLEAN,
+                        muted_until INTEGER,
+                        require_approval BOOLEAN,
+                        approval_timeout_ms INTEGER,
+                        vip BOOLEAN,
+                        note TEXT,
+                        created_at INTEGER DEFAULT (strftime('%s', 'now')),
+                        updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+                    )
+                `);
+
+                // Ad-hoc out-of-office windows (end_time is the return date)
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS out_of_office (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        start_time INTEGER NOT NULL,
+                        end_time INTEGER NOT NULL,
+                        message TEXT,
+                        created_at INTEGER DEFAULT (strftime('%s', 'now'))
+                    )
+                `);
+
+                // Replies drafted in approval mode and what the owner decided (times in epoch ms)
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS reply_drafts (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        chat_id TEXT NOT NULL,
+                        chat_name TEXT,
+                        draft_text TEXT NOT NULL,
+                        final_text TEXT,
+                        status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'edited', 'rejected', 'auto_sent', 'expired', 'discarded')),
+                        model TEXT,
+                        auto_send_at INTEGER,
+                        decided_by TEXT CHECK (decided_by IN ('owner', 'admin', 'timeout')),
+                        created_at INTEGER NOT NULL,
+                        decided_at INTEGER
+                    )
+                `);
+
+                // Every generated reply with the prompt template versions behind it, to compare versions
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS generated_replies (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        chat_id TEXT NOT NULL,
+                        reply_text TEXT NOT NULL,
+                        model TEXT NOT NULL,
+                        prompt_version TEXT,
+                        confidence REAL,
+                        outcome TEXT NOT NULL CHECK (outcome IN ('sent', 'failed', 'draft')),
+                        draft_id INTEGER,
+                        created_at INTEGER NOT NULL,
+                        FOREIGN KEY (draft_id) REFERENCES reply_drafts(id) ON DELETE SET NULL
+                    )
+                `);
+
+                // Meetings requested over WhatsApp: offered slots (JSON) and the chosen slot (times in epoch ms)
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS meeting_bookings (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        chat_id TEXT NOT NULL,
+                        chat_name TEXT,
+                        contact_id TEXT,
+                        status TEXT DEFAULT 'proposed' CHECK (status IN ('proposed', 'held', 'confirmed', 'declined', 'cancelled', 'expired')),
+                        slots TEXT NOT NULL,
+                        slot_start INTEGER,
+                        slot_end INTEGER,
+                        expires_at INTEGER,
+                        created_at INTEGER NOT NULL,
+                        updated_at INTEGER NOT NULL
+                    )
+                `);
+
+                // Rolling summary of each chat's older messages (times in epoch ms)
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS conversation_memory (
+                        chat_id TEXT PRIMARY KEY,
+                        summary TEXT NOT NULL,
+                        summarized_until INTEGER NOT NULL,
+                        message_count INTEGER DEFAULT 0,
+                        model TEXT,
+                        updated_at INTEGER NOT NULL
+                    )
+                `);
+
+                // Digests sent to the owner; entries as JSON (times in epoch ms)
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS digests (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        period_start INTEGER NOT NULL,
+                        period_end INTEGER NOT NULL,
+                        entries TEXT NOT NULL,
+                        file_path TEXT,
+                        delivered BOOLEAN DEFAULT 0,
+                        created_at INTEGER NOT NULL
+                    )
+                `);
+
+                // Urgent-message alerts to the owner (times in epoch ms)
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS escalations (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        chat_id TEXT NOT NULL,
+                        chat_name TEXT,
+                        sender_id TEXT,
+                        message TEXT NOT NULL,
+                        message_count INTEGER DEFAULT 1,
+                        status TEXT DEFAULT 'open' CHECK (status IN ('open', 'acknowledged', 'expired')),
+                        alert_count INTEGER DEFAULT 0,
+                        channels TEXT,
+                        created_at INTEGER NOT NULL,
+                        last_message_at INTEGER NOT NULL,
+                        last_alert_at INTEGER,
+                        acknowledged_at INTEGER,
+                        acknowledged_by TEXT
+                    )
+                `);
+
+                // Embedding of each stored message for semantic retrieval (float32 vector)
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS message_embeddings (
+                        message_id INTEGER PRIMARY KEY,
+                        chat_id TEXT NOT NULL,
+                        model TEXT NOT NULL,
+                        vector BLOB NOT NULL,
+                        created_at INTEGER DEFAULT (strftime('%s', 'now')),
+                        FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE
+                    )
+                `);
+
+                // Queued after the CREATE statements, so migrations see every table
+                this.db.get(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'messages'`, (err, row: any) => {
+                    if (err) {
+                        reject(err);
+                        return;
+                    }
+
+                    this.renameColumns('messages', { is_from_gilad: 'is_from_owner' })
+                        .then(() => this.renameColumns('participants', { is_gilad: 'is_owner' }))
+                        .then(() => this.migrateMessagesTable(row?.sql || ''))
+                        .then(() => this.addMissingColumns('messages', { analysis: 'TEXT' }))
+                        .then(() => this.addMissingColumns('chat_policies', {
+                            require_approval: 'BOOLEAN',
+                            approval_timeout_ms: 'INTEGER',
+                            vip: 'BOOLEAN',
+                            profile: 'TEXT'
+                        }))
+                        .then(() => {
+                            // Create indexes for performance
+                            this.createIndexes(() => {
+                                console.log('Database initialized successfully');
+                                this.isInitialized = true;
+                                resolve();
+                            });
+                        })
+                        .catch(reject);
                 });
             });
         });
     }
 
+    /**
+     * Rebuild a messages table created by an older version. SQLite cannot change a CHECK
+     * constraint in place, so rows are copied into a table with the current schema.
+     */
+    private async migrateMessagesTable(existingSql: string): Promise<void> {
+        if (!existingSql || existingSql.includes(`'reaction'`)) {
+            return;
+        }
+
+        const columns: string[] = await new Promise((resolve, reject) => {
+            this.db.all('PRAGMA table_info(messages)', (err, rows: any[]) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve((rows || []).map(row => row.name));
+                }
+            });
+        });
+        const columnList = columns.join(', ');
+
+        await new Promise<void>((resolve, reject) => {
+            this.db.exec(`
+                BEGIN;
+                ${MESSAGES_TABLE_SQL('messages_migrated')};
+                INSERT INTO messages_migrated (${columnList}) SELECT ${columnList} FROM messages;
+                DROP TABLE messages;
+                ALTER TABLE messages_migrated RENAME TO messages;
+                COMMIT;
+            `, (err) => {
+                if (err) {
+                    this.db.exec('ROLLBACK', () => reject(err));
+                } else {
+                    console.log('📦 Migrated messages table to the current schema');
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /**
+     * Rename columns of a table created by an older version, e.g. the owner flags that were
+     * once named after a single owner. Indexes on a renamed column keep their old name and are
+     * dropped so createIndexes() recreates them under the current one.
+     */
+    private async renameColumns(table: string, columns: Record<string, string>): Promise<void> {
+        const existing: string[] = await new Promise((resolve, reject) => {
+            this.db.all(`PRAGMA table_info(${table})`, (err, rows: any[]) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve((rows || []).map(row => row.name));
+                }
+            });
+        });
+
+        for (const [from, to] of Object.entries(columns)) {
+            if (!existing.includes(from) || existing.includes(to)) {
+                continue;
+            }
+            await new Promise<void>((resolve, reject) => {
+                this.db.exec(`
+                    ALTER TABLE ${table} RENAME COLUMN ${from} TO ${to};
+                    DROP INDEX IF EXISTS idx_${table}_${from};
+                `, (err) => err ? reject(err) : resolve());
+            });
+            console.log(`📦 Renamed column ${table}.${from} to ${to}`);
+        }
+    }
+
+    /**
+     * Add nullable columns introduced after a table was first created
+     */
+    private async addMissingColumns(table: string, columns: Record<string, string>): Promise<void> {
+        const existing: string[] = await new Promise((resolve, reject) => {
+            this.db.all(`PRAGMA table_info(${table})`, (err, rows: any[]) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve((rows || []).map(row => row.name));
+                }
+            });
+        });
+
+        for (const [name, type] of Object.entries(columns)) {
+            if (existing.includes(name)) {
+                continue;
+            }
+            await new Promise<void>((resolve, reject) => {
+                this.db.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`, (err) => err ? reject(err) : resolve());
+            });
+            console.log(`📦 Added column ${table}.${name}`);
+        }
+    }
+
     /**
      * Create database indexes for optimal performance
      */
@@ -132,13 +406,19 @@ export class StorageService {
             'CREATE INDEX IF NOT EXISTS idx_messages_sender_id ON messages(sender_id)',
             'CREATE INDEX IF NOT EXISTS idx_messages_whatsapp_id ON messages(whatsapp_message_id)',
             'CREATE INDEX IF NOT EXISTS idx_participants_whatsapp_id ON participants(whatsapp_id)',
-            'CREATE INDEX IF NOT EXISTS idx_participants_is_gilad ON participants(is_gilad)',
+            'CREATE INDEX IF NOT EXISTS idx_participants_is_owner ON participants(is_owner)',
             'CREATE INDEX IF NOT EXISTS idx_cooldowns_conversation_id ON cooldowns(conversation_id)',
             'CREATE INDEX IF NOT EXISTS idx_cooldowns_active ON cooldowns(is_active)',
             'CREATE INDEX IF NOT EXISTS idx_cooldowns_end_time ON cooldowns(end_time)',
             'CREATE INDEX IF NOT EXISTS idx_timers_conversation_id ON timers(conversation_id)',
             'CREATE INDEX IF NOT EXISTS idx_timers_active ON timers(is_active)',
-            'CREATE INDEX IF NOT EXISTS idx_timers_type ON timers(timer_type)'
+            'CREATE INDEX IF NOT EXISTS idx_timers_type ON timers(timer_type)',
+            'CREATE INDEX IF NOT EXISTS idx_reply_drafts_status ON reply_drafts(status)',
+            'CREATE INDEX IF NOT EXISTS idx_reply_drafts_chat_id ON reply_drafts(chat_id)',
+            'CREATE INDEX IF NOT EXISTS idx_generated_replies_prompt_version ON generated_replies(prompt_version)',
+            'CREATE INDEX IF NOT EXISTS idx_meeting_bookings_status ON meeting_bookings(status)',
+            'CREATE INDEX IF NOT EXISTS idx_escalations_status ON escalations(status)',
+            'CREATE INDEX IF NOT EXISTS idx_message_embeddings_chat ON message_embeddings(chat_id, model)'
         ];
 
         let completed = 0;
@@ -160,19 +440,19 @@ export class StorageService {
     /**
      * Create or update a participant
      */
-    public async upsertParticipant(whatsappId: string, name?: string, isGilad: boolean = false): Promise<number> {
+    public async upsertParticipant(whatsappId: string, name?: string, isOwner: boolean = false): Promise<number> {
         return new Promise((resolve, reject) => {
             const stmt = this.db.prepare(`
-                INSERT INTO participants (whatsapp_id, name, is_gilad, updated_at)
+                INSERT INTO participants (whatsapp_id, name, is_owner, updated_at)
                 VALUES (?, ?, ?, strftime('%s', 'now'))
                 ON CONFLICT(whatsapp_id)
                 DO UPDATE SET
                     name = COALESCE(?, name),
-                    is_gilad = ?,
+                    is_owner = ?,
                     updated_at = strftime('%s', 'now')
             `);
 
-            stmt.run(whatsappId, name, isGilad ? 1 : 0, name, isGilad ? 1 : 0, function(err) {
+            stmt.run(whatsappId, name, isOwner ? 1 : 0, name, isOwner ? 1 : 0, function(err) {
                 if (err) {
                     reject(err);
                 } else {
@@ -331,15 +611,15 @@ export class StorageService {
     /**
      * Store a message
      */
-    public async storeMessage(message: WhatsAppMessage, isFromGilad: boolean = false): Promise<number> {
+    public async storeMessage(message: WhatsAppMessage, isFromOwner: boolean = false): Promise<number> {
         return new Promise(async (resolve, reject) => {
             try {
                 // Ensure conversation exists
-                await this.upsertConversation(message.chat.id, message.isGroupMsg, message.chat.name);
+                await this.upsertConversation(message.chat.id, message.isGroupMsg, message.chat.name || undefined);
 
                 // Ensure participant exists
                 const senderId = message.author || message.from;
-                await this.upsertParticipant(senderId, undefined, isFromGilad);
+                await this.upsertParticipant(senderId, undefined, isFromOwner);
 
                 // Get conversation and participant IDs
                 const conversation = await this.getConversation(message.chat.id);
@@ -352,8 +632,10 @@ export class StorageService {
 
                 const stmt = this.db.prepare(`
                     INSERT OR IGNORE INTO messages
-                    (conversation_id, sender_id, whatsapp_message_id, content, timestamp, message_type, is_from_gilad)
-                    VALUES (?, ?, ?, ?, ?, ?, ?)
+                    (conversation_id, sender_id, whatsapp_message_id, content, timestamp, message_type, is_from_owner,
+                     media_mimetype, media_filename, media_extracted, latitude, longitude, location_name, location_address, vcards,
+                     quoted_message_id, quoted_body, reaction_emoji, reaction_target_id, analysis)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
                 `);
 
                 stmt.run(
@@ -362,8 +644,21 @@ export class StorageService {
                     message.id,
                     message.body,
                     message.timestamp,
-                    MessageType.TEXT, // Default to text, can be extended
-                    isFromGilad ? 1 : 0,
+                    message.type || MessageType.TEXT,
+                    isFromOwner ? 1 : 0,
+                    message.media?.mimetype ?? null,
+                    message.media?.filename ?? null,
+                    message.media ? (message.media.extracted ? 1 : 0) : null,
+                    message.location?.latitude ?? null,
+                    message.location?.longitude ?? null,
+                    message.location?.name ?? null,
+                    message.location?.address ?? null,
+                    message.contacts ? JSON.stringify(message.contacts.map(contact => contact.vcard)) : null,
+                    message.quotedMessage?.id ?? null,
+                    message.quotedMessage?.body ?? null,
+                    message.reaction?.emoji ?? null,
+                    message.reaction?.targetMessageId ?? null,
+                    message.analysis ? JSON.stringify(message.analysis) : null,
                     function(err) {
                         if (err) {
                             reject(err);
@@ -380,6 +675,19 @@ export class StorageService {
         });
     }
 
+    /**
+     * Record how a stored message was classified; for a burst, the last message carries the analysis of the whole turn
+     */
+    public async storeMessageAnalysis(whatsappMessageId: string, analysis: MessageAnalysis): Promise<void> {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE messages SET analysis = ? WHERE whatsapp_message_id = ?',
+                [JSON.stringify(analysis), whatsappMessageId],
+                (err) => err ? reject(err) : resolve()
+            );
+        });
+    }
+
     /**
      * Get recent messages for a conversation
      */
@@ -390,7 +698,7 @@ export class StorageService {
                     m.*,
                     p.whatsapp_id as sender_whatsapp_id,
                     p.name as sender_name,
-                    p.is_gilad as sender_is_gilad
+                    p.is_owner as sender_is_owner
                 FROM messages m
                 JOIN conversations c ON m.conversation_id = c.id
                 JOIN participants p ON m.sender_id = p.id
@@ -409,6 +717,80 @@ export class StorageService {
         });
     }
 
+    /**
+     * Get a stored message by its WhatsApp ID
+     */
+    public async getMessageByWhatsAppId(whatsappMessageId: string): Promise<WhatsAppMessage | null> {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT
+                    m.*,
+                    p.whatsapp_id as sender_whatsapp_id,
+                    c.chat_id,
+                    c.is_group,
+                    c.group_name
+                FROM messages m
+                JOIN conversations c ON m.conversation_id = c.id
+                JOIN participants p ON m.sender_id = p.id
+                WHERE m.whatsapp_message_id = ?
+            `;
+
+            this.db.get(sql, [whatsappMessageId], (err, row: any) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row ? this.rowToMessage(row, { chat_id: row.chat_id, is_group: row.is_group, group_name: row.group_name }) : null);
+                }
+            });
+        });
+    }
+
+    /**
+     * Convert a messages row (joined with its sender) back into a WhatsAppMessage
+     */
+    private rowToMessage(row: any, conversation: { chat_id: string; is_group: number; group_name?: string }): WhatsAppMessage {
+        const message: WhatsAppMessage = {
+            id: row.whatsapp_message_id,
+            body: row.content,
+            from: row.sender_whatsapp_id,
+            to: '', // Not stored in new schema
+            timestamp: row.timestamp,
+            isGroupMsg: conversation.is_group === 1,
+            chat: {
+                id: conversation.chat_id,
+                name: conversation.group_name || ''
+            },
+            author: row.sender_whatsapp_id,
+            type: row.message_type || MessageType.TEXT
+        };
+
+        if (row.media_mimetype) {
+            message.media = { mimetype: row.media_mimetype, filename: row.media_filename || undefined, extracted: row.media_extracted === 1 };
+        }
+        if (row.latitude !== null && row.latitude !== undefined) {
+            message.location = {
+                latitude: row.latitude,
+                longitude: row.longitude,
+                name: row.location_name || undefined,
+                address: row.location_address || undefined
+            };
+        }
+        if (row.vcards) {
+            message.contacts = (JSON.parse(row.vcards) as string[]).map(parseVCard);
+        }
+        if (row.quoted_message_id) {
+            message.quotedMessage = { id: row.quoted_message_id, body: row.quoted_body || '' };
+        }
+        if (row.reaction_emoji) {
+            message.reaction = { emoji: row.reaction_emoji, targetMessageId: row.reaction_target_id || '' };
+        }
+        if (row.analysis) {
+            message.analysis = JSON.parse(row.analysis);
+        }
+
+        return message;
+    }
+
     /**
      * Get message count for a conversation
      */
@@ -427,209 +809,1154 @@ export class StorageService {
                 } else {
                     resolve(row?.count || 0);
                 }
-            });
+            });
+        });
+    }
+
+    /**
+     * CONVERSATION MEMORY MANAGEMENT
+     */
+
+    /**
+     * Get the stored summaries of all chats
+     */
+    public async getConversationMemories(): Promise<ConversationMemory[]> {
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT * FROM conversation_memory', [], (err, rows: any[]) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve((rows || []).map(row => ({
+                        chatId: row.chat_id,
+                        summary: row.summary,
+                        summarizedUntil: row.summarized_until,
+                        messageCount: row.message_count || 0,
+                        model: row.model || undefined,
+                        lastUpdated: row.updated_at
+                    })));
+                }
+            });
+        });
+    }
+
+    /**
+     * Create or replace a chat's summary
+     */
+    public async upsertConversationMemory(memory: ConversationMemory): Promise<void> {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO conversation_memory (chat_id, summary, summarized_until, message_count, model, updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?)
+                 ON CONFLICT(chat_id) DO UPDATE SET
+                    summary = excluded.summary,
+                    summarized_until = excluded.summarized_until,
+                    message_count = excluded.message_count,
+                    model = excluded.model,
+                    updated_at = excluded.updated_at`,
+                [memory.chatId, memory.summary, memory.summarizedUntil, memory.messageCount, memory.model ?? null, memory.lastUpdated],
+                (err) => err ? reject(err) : resolve()
+            );
+        });
+    }
+
+    /**
+     * Delete a chat's summary. Returns false if there was none.
+     */
+    public async deleteConversationMemory(chatId: string): Promise<boolean> {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM conversation_memory WHERE chat_id = ?', [chatId], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    /**
+     * Chats with at least `minMessages` messages newer than their summary
+     */
+    public async getChatsNeedingSummary(minMessages: number): Promise<string[]> {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT c.chat_id, COUNT(m.id) as pending
+                FROM conversations c
+                JOIN messages m ON m.conversation_id = c.id
+                LEFT JOIN conversation_memory cm ON cm.chat_id = c.chat_id
+                WHERE m.timestamp > COALESCE(cm.summarized_until, 0)
+                GROUP BY c.chat_id
+                HAVING pending >= ?
+            `;
+
+            this.db.all(sql, [minMessages], (err, rows: any[]) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve((rows || []).map(row => row.chat_id));
+                }
+            });
+        });
+    }
+
+    /**
+     * Get the oldest messages newer than `after`, leaving out the `keepRecent` most recent ones
+     * that are still sent to the model verbatim. Returned in chronological order.
+     */
+    public async getMessagesToSummarize(
+        chatId: string,
+        after: number,
+        keepRecent: number,
+        limit: number
+    ): Promise<Array<{ message: WhatsAppMessage; isFromOwner: boolean }>> {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT
+                    m.*,
+                    p.whatsapp_id as sender_whatsapp_id,
+                    c.chat_id,
+                    c.is_group,
+                    c.group_name
+                FROM messages m
+                JOIN conversations c ON m.conversation_id = c.id
+                JOIN participants p ON m.sender_id = p.id
+                WHERE c.chat_id = ?
+                AND m.timestamp > ?
+                AND m.id NOT IN (
+                    SELECT recent.id FROM messages recent
+                    WHERE recent.conversation_id = c.id
+                    ORDER BY recent.timestamp DESC, recent.id DESC
+                    LIMIT ?
+                )
+                ORDER BY m.timestamp ASC, m.id ASC
+                LIMIT ?
+            `;
+
+            this.db.all(sql, [chatId, after, keepRecent, limit], (err, rows: any[]) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve((rows || []).map(row => ({
+                        message: this.rowToMessage(row, { chat_id: row.chat_id, is_group: row.is_group, group_name: row.group_name }),
+                        isFromOwner: row.is_from_owner === 1
+                    })));
+                }
+            });
+        });
+    }
+
+    /**
+     * Chats in which the assistant replied in (after, until], oldest activity first
+     */
+    public async getChatsWithAssistantReplies(after: number, until: number): Promise<Array<{ chatId: string; chatName?: string; isGroup: boolean }>> {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT c.chat_id, c.group_name, c.is_group, MAX(m.timestamp) as last_reply
+                FROM messages m
+                JOIN conversations c ON m.conversation_id = c.id
+                JOIN participants p ON m.sender_id = p.id
+                WHERE p.whatsapp_id = 'secretary_bot'
+                AND m.timestamp > ? AND m.timestamp <= ?
+                GROUP BY c.chat_id
+                ORDER BY last_reply ASC
+            `;
+
+            this.db.all(sql, [after, until], (err, rows: any[]) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve((rows || []).map(row => ({ chatId: row.chat_id, chatName: row.group_name || undefined, isGroup: row.is_group === 1 })));
+                }
+            });
+        });
+    }
+
+    /**
+     * Get a chat's messages in (after, until], oldest first, at most the newest `limit`
+     */
+    public async getMessagesBetween(
+        chatId: string,
+        after: number,
+        until: number,
+        limit: number = 200
+    ): Promise<Array<{ message: WhatsAppMessage; isFromOwner: boolean }>> {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT
+                    m.*,
+                    p.whatsapp_id as sender_whatsapp_id,
+                    c.chat_id,
+                    c.is_group,
+                    c.group_name
+                FROM messages m
+                JOIN conversations c ON m.conversation_id = c.id
+                JOIN participants p ON m.sender_id = p.id
+                WHERE c.chat_id = ?
+                AND m.timestamp > ? AND m.timestamp <= ?
+                ORDER BY m.timestamp DESC, m.id DESC
+                LIMIT ?
+            `;
+
+            this.db.all(sql, [chatId, after, until, limit], (err, rows: any[]) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve((rows || []).reverse().map(row => ({
+                        message: this.rowToMessage(row, { chat_id: row.chat_id, is_group: row.is_group, group_name: row.group_name }),
+                        isFromOwner: row.is_from_owner === 1
+                    })));
+                }
+            });
+        });
+    }
+
+    /**
+     * MESSAGE EMBEDDINGS
+     */
+
+    /**
+     * Get stored messages that have no embedding from `model` yet, oldest first.
+     * Reactions and empty messages are not worth indexing.
+     */
+    public async getMessagesToEmbed(model: string, chatId?: string, limit: number = 100): Promise<Array<{ id: number; chatId: string; text: string }>> {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT m.id, m.content, c.chat_id
+                FROM messages m
+                JOIN conversations c ON m.conversation_id = c.id
+                LEFT JOIN message_embeddings e ON e.message_id = m.id AND e.model = ?
+                WHERE e.message_id IS NULL
+                AND m.message_type != 'reaction'
+                AND length(trim(m.content)) > 0
+                ${chatId ? 'AND c.chat_id = ?' : ''}
+                ORDER BY m.id ASC
+                LIMIT ?
+            `;
+
+            this.db.all(sql, chatId ? [model, chatId, limit] : [model, limit], (err, rows: any[]) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve((rows || []).map(row => ({ id: row.id, chatId: row.chat_id, text: row.content })));
+                }
+            });
+        });
+    }
+
+    /**
+     * Store message embeddings, replacing those of an earlier model
+     */
+    public async storeMessageEmbeddings(model: string, embeddings: Array<{ messageId: number; chatId: string; vector: number[] }>): Promise<void> {
+        return new Promise((resolve, reject) => {
+            this.db.serialize(() => {
+                const stmt = this.db.prepare('INSERT OR REPLACE INTO message_embeddings (message_id, chat_id, model, vector) VALUES (?, ?, ?, ?)');
+                embeddings.forEach(entry => {
+                    stmt.run(entry.messageId, entry.chatId, model, Buffer.from(new Float32Array(entry.vector).buffer));
+                });
+                stmt.finalize(err => err ? reject(err) : resolve());
+            });
+        });
+    }
+
+    /**
+     * Get the embeddings of one chat's messages. Only this chat is read, so retrieval never crosses chats.
+     */
+    public async getMessageEmbeddings(chatId: string, model: string): Promise<Array<{ messageId: number; whatsappId: string; vector: Float32Array }>> {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT e.message_id, e.vector, m.whatsapp_message_id
+                FROM message_embeddings e
+                JOIN messages m ON m.id = e.message_id
+                WHERE e.chat_id = ? AND e.model = ?
+            `;
+
+            this.db.all(sql, [chatId, model], (err, rows: any[]) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve((rows || []).map(row => {
+                        const blob: Buffer = row.vector;
+                        return {
+                            messageId: row.message_id,
+                            whatsappId: row.whatsapp_message_id,
+                            vector: new Float32Array(blob.buffer.slice(blob.byteOffset, blob.byteOffset + blob.byteLength))
+                        };
+                    }));
+                }
+            });
+        });
+    }
+
+    /**
+     * Get messages of a chat together with the message that followed each one (usually the answer),
+     * in chronological order
+     */
+    public async getMessageExchanges(chatId: string, messageIds: number[]): Promise<WhatsAppMessage[]> {
+        if (messageIds.length === 0) {
+            return [];
+        }
+
+        return new Promise((resolve, reject) => {
+            const placeholders = messageIds.map(() => '?').join(', ');
+            const sql = `
+                SELECT
+                    m.*,
+                    p.whatsapp_id as sender_whatsapp_id,
+                    c.chat_id,
+                    c.is_group,
+                    c.group_name
+                FROM messages m
+                JOIN conversations c ON m.conversation_id = c.id
+                JOIN participants p ON m.sender_id = p.id
+                WHERE c.chat_id = ?
+                AND (
+                    m.id IN (${placeholders})
+                    OR m.id IN (
+                        SELECT (
+                            SELECT next.id FROM messages next
+                            WHERE next.conversation_id = hit.conversation_id
+                            AND (next.timestamp > hit.timestamp OR (next.timestamp = hit.timestamp AND next.id > hit.id))
+                            ORDER BY next.timestamp ASC, next.id ASC
+                            LIMIT 1
+                        )
+                        FROM messages hit
+                        WHERE hit.id IN (${placeholders})
+                    )
+                )
+                ORDER BY m.timestamp ASC, m.id ASC
+            `;
+
+            this.db.all(sql, [chatId, ...messageIds, ...messageIds], (err, rows: any[]) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve((rows || []).map(row => this.rowToMessage(row, { chat_id: row.chat_id, is_group: row.is_group, group_name: row.group_name })));
+                }
+            });
+        });
+    }
+
+    /**
+     * COOLDOWN MANAGEMENT
+     */
+
+    /**
+     * Start a cooldown period
+     */
+    public async startCooldown(chatId: string, durationMs: number, reason: string = 'owner_response'): Promise<number> {
+        return new Promise(async (resolve, reject) => {
+            try {
+                const conversation = await this.getConversation(chatId);
+                if (!conversation) {
+                    reject(new Error('Conversation not found'));
+                    return;
+                }
+
+                const now = Math.floor(Date.now() / 1000);
+                const endTime = now + Math.floor(durationMs / 1000);
+
+                // Deactivate any existing active cooldowns
+                await this.deactivateActiveCooldowns(chatId);
+
+                const stmt = this.db.prepare(`
+                    INSERT INTO cooldowns (conversation_id, start_time, end_time, reason, is_active)
+                    VALUES (?, ?, ?, ?, 1)
+                `);
+
+                stmt.run(conversation.id, now, endTime, reason, function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.lastID);
+                    }
+                });
+
+                stmt.finalize();
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Check if conversation is in cooldown
+     */
+    public async isInCooldown(chatId: string): Promise<boolean> {
+        return new Promise(async (resolve, reject) => {
+            try {
+                const conversation = await this.getConversation(chatId);
+                if (!conversation) {
+                    resolve(false);
+                    return;
+                }
+
+                const now = Math.floor(Date.now() / 1000);
+                const sql = `
+                    SELECT COUNT(*) as count
+                    FROM cooldowns
+                    WHERE conversation_id = ?
+                    AND is_active = 1
+                    AND end_time > ?
+                `;
+
+                this.db.get(sql, [conversation.id, now], (err, row: any) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve((row?.count || 0) > 0);
+                    }
+                });
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Get remaining cooldown time in milliseconds
+     */
+    public async getRemainingCooldownTime(chatId: string): Promise<number> {
+        return new Promise(async (resolve, reject) => {
+            try {
+                const conversation = await this.getConversation(chatId);
+                if (!conversation) {
+                    resolve(0);
+                    return;
+                }
+
+                const now = Math.floor(Date.now() / 1000);
+                const sql = `
+                    SELECT end_time
+                    FROM cooldowns
+                    WHERE conversation_id = ?
+                    AND is_active = 1
+                    AND end_time > ?
+                    ORDER BY end_time DESC
+                    LIMIT 1
+                `;
+
+                this.db.get(sql, [conversation.id, now], (err, row: any) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        if (row) {
+                            const remainingSeconds = row.end_time - now;
+                            resolve(Math.max(0, remainingSeconds * 1000));
+                        } else {
+                            resolve(0);
+                        }
+                    }
+                });
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * End any active cooldown for a conversation early
+     */
+    public async endCooldown(chatId: string): Promise<void> {
+        await this.deactivateActiveCooldowns(chatId);
+    }
+
+    /**
+     * Deactivate active cooldowns for a conversation
+     */
+    private async deactivateActiveCooldowns(chatId: string): Promise<void> {
+        return new Promise(async (resolve, reject) => {
+            try {
+                const conversation = await this.getConversation(chatId);
+                if (!conversation) {
+                    resolve();
+                    return;
+                }
+
+                this.db.run(
+                    'UPDATE cooldowns SET is_active = 0 WHERE conversation_id = ? AND is_active = 1',
+                    [conversation.id],
+                    (err) => {
+                        if (err) {
+                            reject(err);
+                        } else {
+                            resolve();
+                        }
+                    }
+                );
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * TIMER MANAGEMENT
+     */
+
+    /**
+     * Start a timer
+     */
+    public async startTimer(chatId: string, timerType: 'response' | 'cooldown', durationMs?: number): Promise<number> {
+        return new Promise(async (resolve, reject) => {
+            try {
+                const conversation = await this.getConversation(chatId);
+                if (!conversation) {
+                    reject(new Error('Conversation not found'));
+                    return;
+                }
+
+                const now = Math.floor(Date.now() / 1000);
+                const endTime = durationMs ? now + Math.floor(durationMs / 1000) : null;
+
+                const stmt = this.db.prepare(`
+                    INSERT INTO timers (conversation_id, start_time, end_time, timer_type, is_active)
+                    VALUES (?, ?, ?, ?, 1)
+                `);
+
+                stmt.run(conversation.id, now, endTime, timerType, function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.lastID);
+                    }
+                });
+
+                stmt.finalize();
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * End a timer
+     */
+    public async endTimer(timerId: number): Promise<void> {
+        return new Promise((resolve, reject) => {
+            const now = Math.floor(Date.now() / 1000);
+            this.db.run(
+                'UPDATE timers SET is_active = 0, end_time = ? WHERE id = ?',
+                [now, timerId],
+                (err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve();
+                    }
+                }
+            );
+        });
+    }
+
+    /**
+     * Get active timers for a conversation
+     */
+    public async getActiveTimers(chatId: string, timerType?: 'response' | 'cooldown'): Promise<any[]> {
+        return new Promise(async (resolve, reject) => {
+            try {
+                const conversation = await this.getConversation(chatId);
+                if (!conversation) {
+                    resolve([]);
+                    return;
+                }
+
+                let sql = `
+                    SELECT * FROM timers
+                    WHERE conversation_id = ? AND is_active = 1
+                `;
+                const params: any[] = [conversation.id];
+
+                if (timerType) {
+                    sql += ' AND timer_type = ?';
+                    params.push(timerType);
+                }
+
+                sql += ' ORDER BY start_time DESC';
+
+                this.db.all(sql, params, (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows || []);
+                    }
+                });
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * CHAT POLICY MANAGEMENT
+     */
+
+    /**
+     * Get all chat and contact policies
+     */
+    public async getChatPolicies(): Promise<ChatPolicy[]> {
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT * FROM chat_policies ORDER BY subject', [], (err, rows: any[]) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve((rows || []).map(row => this.rowToChatPolicy(row)));
+                }
+            });
+        });
+    }
+
+    /**
+     * Create or replace the policy for a chat or contact
+     */
+    public async upsertChatPolicy(policy: ChatPolicy): Promise<void> {
+        return new Promise((resolve, reject) => {
+            const stmt = this.db.prepare(`
+                INSERT INTO chat_policies (subject, subject_type, mode, response_delay_ms, cooldown_ms, persona, profile, business_hours_only, muted_until, require_approval, approval_timeout_ms, vip, note, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, strftime('%s', 'now'))
+                ON CONFLICT(subject)
+                DO UPDATE SET
+                    subject_type = excluded.subject_type,
+                    mode = excluded.mode,
+                    response_delay_ms = excluded.response_delay_ms,
+                    cooldown_ms = excluded.cooldown_ms,
+                    persona = excluded.persona,
+                    profile = excluded.profile,
+                    business_hours_only = excluded.business_hours_only,
+                    muted_until = excluded.muted_until,
+                    require_approval = excluded.require_approval,
+                    approval_timeout_ms = excluded.approval_timeout_ms,
+                    vip = excluded.vip,
+                    note = excluded.note,
+                    updated_at = strftime('%s', 'now')
+            `);
+
+            const toFlag = (value: boolean | null | undefined) => value === null || value === undefined ? null : (value ? 1 : 0);
+            // Indefinite mutes are stored as -1 since SQLite has no Infinity
+            const mutedUntil = policy.mutedUntil === Infinity ? -1 : (policy.mutedUntil ?? null);
+
+            stmt.run(
+                policy.subject,
+                policy.subjectType,
+                policy.mode,
+                policy.responseDelayMs ?? null,
+                policy.cooldownMs ?? null,
+                policy.persona ?? null,
+                policy.profile ?? null,
+                toFlag(policy.businessHoursOnly),
+                mutedUntil,
+                toFlag(policy.requireApproval),
+                policy.approvalTimeoutMs ?? null,
+                toFlag(policy.vip),
+                policy.note ?? null,
+                (err: Error | null) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve();
+                    }
+                }
+            );
+
+            stmt.finalize();
+        });
+    }
+
+    /**
+     * Delete the policy for a chat or contact
+     */
+    public async deleteChatPolicy(subject: string): Promise<boolean> {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM chat_policies WHERE subject = ?', [subject], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    /**
+     * Map a chat_policies row to a ChatPolicy
+     */
+    private rowToChatPolicy(row: any): ChatPolicy {
+        return {
+            subject: row.subject,
+            subjectType: row.subject_type,
+            mode: row.mode,
+            responseDelayMs: row.response_delay_ms,
+            cooldownMs: row.cooldown_ms,
+            persona: row.persona,
+            profile: row.profile,
+            businessHoursOnly: row.business_hours_only === null ? null : !!row.business_hours_only,
+            mutedUntil: row.muted_until === -1 ? Infinity : row.muted_until,
+            requireApproval: row.require_approval === null ? null : !!row.require_approval,
+            approvalTimeoutMs: row.approval_timeout_ms,
+            vip: row.vip === null || row.vip === undefined ? null : !!row.vip,
+            note: row.note,
+            updatedAt: row.updated_at * 1000
+        };
+    }
+
+    /**
+     * REPLY DRAFT MANAGEMENT
+     */
+
+    /**
+     * Store a new draft, returns its ID
+     */
+    public async createReplyDraft(draft: Omit<ReplyDraft, 'id'>): Promise<number> {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO reply_drafts (chat_id, chat_name, draft_text, status, model, auto_send_at, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [draft.chatId, draft.chatName ?? null, draft.draft, draft.status, draft.model ?? null, draft.autoSendAt ?? null, draft.createdAt],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.lastID);
+                    }
+                }
+            );
+        });
+    }
+
+    /**
+     * Record the decision on a pending draft. Returns false if the draft was already decided.
+     */
+    public async decideReplyDraft(
+        id: number,
+        decision: { status: DraftStatus; finalText?: string; decidedBy?: DraftDecisionSource; decidedAt: number }
+    ): Promise<boolean> {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE reply_drafts SET status = ?, final_text = ?, decided_by = ?, decided_at = ?
+                 WHERE id = ? AND status = 'pending'`,
+                [decision.status, decision.finalText ?? null, decision.decidedBy ?? null, decision.decidedAt, id],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes > 0);
+                    }
+                }
+            );
+        });
+    }
+
+    /**
+     * Get a draft by ID
+     */
+    public async getReplyDraft(id: number): Promise<ReplyDraft | null> {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM reply_drafts WHERE id = ?', [id], (err, row: any) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row ? this.rowToReplyDraft(row) : null);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get drafts, newest first, optionally filtered by status
+     */
+    public async getReplyDrafts(status?: DraftStatus, limit: number = 50): Promise<ReplyDraft[]> {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT * FROM reply_drafts ${status ? 'WHERE status = ?' : ''} ORDER BY id DESC LIMIT ?`,
+                status ? [status, limit] : [limit],
+                (err, rows: any[]) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve((rows || []).map(row => this.rowToReplyDraft(row)));
+                    }
+                }
+            );
+        });
+    }
+
+    /**
+     * Count drafts by status
+     */
+    public async getReplyDraftCounts(): Promise<Partial<Record<DraftStatus, number>>> {
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT status, COUNT(*) as count FROM reply_drafts GROUP BY status', [], (err, rows: any[]) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(Object.fromEntries((rows || []).map(row => [row.status, row.count])));
+                }
+            });
+        });
+    }
+
+    /**
+     * Map a reply_drafts row to a ReplyDraft
+     */
+    private rowToReplyDraft(row: any): ReplyDraft {
+        return {
+            id: row.id,
+            chatId: row.chat_id,
+            chatName: row.chat_name || undefined,
+            draft: row.draft_text,
+            finalText: row.final_text ?? undefined,
+            status: row.status,
+            model: row.model || undefined,
+            autoSendAt: row.auto_send_at ?? undefined,
+            createdAt: row.created_at,
+            decidedAt: row.decided_at ?? undefined,
+            decidedBy: row.decided_by || undefined
+        };
+    }
+
+    /**
+     * GENERATED REPLY LOG
+     */
+
+    /**
+     * Record a generated reply and what happened to it, returns its ID
+     */
+    public async recordGeneratedReply(reply: Omit<GeneratedReply, 'id'>): Promise<number> {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO generated_replies (chat_id, reply_text, model, prompt_version, confidence, outcome, draft_id, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [reply.chatId, reply.text, reply.model, reply.promptVersion ?? null, reply.confidence, reply.outcome, reply.draftId ?? null, reply.createdAt],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.lastID);
+                    }
+                }
+            );
+        });
+    }
+
+    /**
+     * Get generated replies, newest first, optionally for one prompt version
+     */
+    public async getGeneratedReplies(promptVersion?: string, limit: number = 50): Promise<GeneratedReply[]> {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT * FROM generated_replies ${promptVersion ? 'WHERE prompt_version = ?' : ''} ORDER BY id DESC LIMIT ?`,
+                promptVersion ? [promptVersion, limit] : [limit],
+                (err, rows: any[]) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve((rows || []).map(row => ({
+                            id: row.id,
+                            chatId: row.chat_id,
+                            text: row.reply_text,
+                            model: row.model,
+                            promptVersion: row.prompt_version || undefined,
+                            confidence: row.confidence,
+                            outcome: row.outcome,
+                            draftId: row.draft_id ?? undefined,
+                            createdAt: row.created_at
+                        })));
+                    }
+                }
+            );
+        });
+    }
+
+    /**
+     * Reply counts per prompt version, with how the owner decided on the drafts among them
+     */
+    public async getPromptVersionStats(): Promise<PromptVersionStats[]> {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT g.prompt_version,
+                        COUNT(*) AS replies,
+                        SUM(g.outcome = 'sent') AS sent,
+                        SUM(g.outcome = 'failed') AS failed,
+                        SUM(g.outcome = 'draft') AS drafted,
+                        SUM(d.status = 'approved') AS approved,
+                        SUM(d.status = 'edited') AS edited,
+                        SUM(d.status = 'rejected') AS rejected,
+                        AVG(g.confidence) AS average_confidence,
+                        MIN(g.created_at) AS first_at,
+                        MAX(g.created_at) AS last_at
+                 FROM generated_replies g
+                 LEFT JOIN reply_drafts d ON d.id = g.draft_id
+                 GROUP BY g.prompt_version
+                 ORDER BY last_at DESC`,
+                [],
+                (err, rows: any[]) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve((rows || []).map(row => ({
+                            promptVersion: row.prompt_version,
+                            replies: row.replies,
+                            sent: row.sent ?? 0,
+                            failed: row.failed ?? 0,
+                            drafted: row.drafted ?? 0,
+                            approved: row.approved ?? 0,
+                            edited: row.edited ?? 0,
+                            rejected: row.rejected ?? 0,
+                            averageConfidence: row.average_confidence,
+                            firstAt: row.first_at,
+                            lastAt: row.last_at
+                        })));
+                    }
+                }
+            );
+        });
+    }
+
+    /**
+     * MEETING BOOKING MANAGEMENT
+     */
+
+    /**
+     * Store a new booking, returns its ID
+     */
+    public async createMeetingBooking(booking: Omit<MeetingBooking, 'id'>): Promise<number> {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO meeting_bookings (chat_id, chat_name, contact_id, status, slots, slot_start, slot_end, expires_at, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    booking.chatId, booking.chatName ?? null, booking.contactId ?? null, booking.status, JSON.stringify(booking.slots),
+                    booking.slot?.start ?? null, booking.slot?.end ?? null, booking.expiresAt ?? null, booking.createdAt, booking.updatedAt
+                ],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.lastID);
+                    }
+                }
+            );
         });
     }
 
     /**
-     * COOLDOWN MANAGEMENT
+     * Save a booking's status, chosen slot and expiry
      */
+    public async updateMeetingBooking(booking: MeetingBooking): Promise<void> {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE meeting_bookings SET status = ?, slot_start = ?, slot_end = ?, expires_at = ?, updated_at = ? WHERE id = ?`,
+                [booking.status, booking.slot?.start ?? null, booking.slot?.end ?? null, booking.expiresAt ?? null, booking.updatedAt, booking.id],
+                (err) => err ? reject(err) : resolve()
+            );
+        });
+    }
 
     /**
-     * Start a cooldown period
+     * Get bookings, newest first, optionally only those with one of the given statuses
      */
-    public async startCooldown(chatId: string, durationMs: number, reason: string = 'gilad_response'): Promise<number> {
-        return new Promise(async (resolve, reject) => {
-            try {
-                const conversation = await this.getConversation(chatId);
-                if (!conversation) {
-                    reject(new Error('Conversation not found'));
-                    return;
-                }
-
-                const now = Math.floor(Date.now() / 1000);
-                const endTime = now + Math.floor(durationMs / 1000);
-
-                // Deactivate any existing active cooldowns
-                await this.deactivateActiveCooldowns(chatId);
-
-                const stmt = this.db.prepare(`
-                    INSERT INTO cooldowns (conversation_id, start_time, end_time, reason, is_active)
-                    VALUES (?, ?, ?, ?, 1)
-                `);
-
-                stmt.run(conversation.id, now, endTime, reason, function(err) {
+    public async getMeetingBookings(statuses?: BookingStatus[], limit: number = 50): Promise<MeetingBooking[]> {
+        const filter = statuses?.length ? `WHERE status IN (${statuses.map(() => '?').join(', ')})` : '';
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT * FROM meeting_bookings ${filter} ORDER BY id DESC LIMIT ?`,
+                [...(statuses || []), limit],
+                (err, rows: any[]) => {
                     if (err) {
                         reject(err);
                     } else {
-                        resolve(this.lastID);
+                        resolve((rows || []).map(row => this.rowToMeetingBooking(row)));
                     }
-                });
-
-                stmt.finalize();
-            } catch (error) {
-                reject(error);
-            }
+                }
+            );
         });
     }
 
     /**
-     * Check if conversation is in cooldown
+     * Map a meeting_bookings row to a MeetingBooking
      */
-    public async isInCooldown(chatId: string): Promise<boolean> {
-        return new Promise(async (resolve, reject) => {
-            try {
-                const conversation = await this.getConversation(chatId);
-                if (!conversation) {
-                    resolve(false);
-                    return;
-                }
+    private rowToMeetingBooking(row: any): MeetingBooking {
+        return {
+            id: row.id,
+            chatId: row.chat_id,
+            chatName: row.chat_name || undefined,
+            contactId: row.contact_id || undefined,
+            status: row.status,
+            slots: JSON.parse(row.slots),
+            slot: row.slot_start !== null ? { start: row.slot_start, end: row.slot_end } : undefined,
+            expiresAt: row.expires_at ?? undefined,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
 
-                const now = Math.floor(Date.now() / 1000);
-                const sql = `
-                    SELECT COUNT(*) as count
-                    FROM cooldowns
-                    WHERE conversation_id = ?
-                    AND is_active = 1
-                    AND end_time > ?
-                `;
+    /**
+     * DIGEST MANAGEMENT
+     */
 
-                this.db.get(sql, [conversation.id, now], (err, row: any) => {
+    /**
+     * Store a digest, returns its ID
+     */
+    public async createDigest(digest: Omit<Digest, 'id'>): Promise<number> {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'INSERT INTO digests (period_start, period_end, entries, file_path, delivered, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+                [digest.periodStart, digest.periodEnd, JSON.stringify(digest.entries), digest.filePath ?? null, digest.delivered ? 1 : 0, digest.createdAt],
+                function(err) {
                     if (err) {
                         reject(err);
                     } else {
-                        resolve((row?.count || 0) > 0);
+                        resolve(this.lastID);
                     }
-                });
-            } catch (error) {
-                reject(error);
-            }
+                }
+            );
         });
     }
 
     /**
-     * Get remaining cooldown time in milliseconds
+     * Get digests, newest first
      */
-    public async getRemainingCooldownTime(chatId: string): Promise<number> {
-        return new Promise(async (resolve, reject) => {
-            try {
-                const conversation = await this.getConversation(chatId);
-                if (!conversation) {
-                    resolve(0);
-                    return;
+    public async getDigests(limit: number = 20): Promise<Digest[]> {
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT * FROM digests ORDER BY period_end DESC, id DESC LIMIT ?', [limit], (err, rows: any[]) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve((rows || []).map(row => ({
+                        id: row.id,
+                        periodStart: row.period_start,
+                        periodEnd: row.period_end,
+                        entries: JSON.parse(row.entries),
+                        filePath: row.file_path || undefined,
+                        delivered: row.delivered === 1,
+                        createdAt: row.created_at
+                    })));
                 }
+            });
+        });
+    }
 
-                const now = Math.floor(Date.now() / 1000);
-                const sql = `
-                    SELECT end_time
-                    FROM cooldowns
-                    WHERE conversation_id = ?
-                    AND is_active = 1
-                    AND end_time > ?
-                    ORDER BY end_time DESC
-                    LIMIT 1
-                `;
+    /**
+     * ESCALATION MANAGEMENT
+     */
 
-                this.db.get(sql, [conversation.id, now], (err, row: any) => {
+    /**
+     * Store a new escalation, returns its ID
+     */
+    public async createEscalation(escalation: Omit<Escalation, 'id'>): Promise<number> {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO escalations (chat_id, chat_name, sender_id, message, message_count, status, alert_count, channels, created_at, last_message_at, last_alert_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    escalation.chatId, escalation.chatName ?? null, escalation.senderId ?? null, escalation.message, escalation.messageCount,
+                    escalation.status, escalation.alertCount, escalation.channels.join(','), escalation.createdAt, escalation.lastMessageAt,
+                    escalation.lastAlertAt ?? null
+                ],
+                function(err) {
                     if (err) {
                         reject(err);
                     } else {
-                        if (row) {
-                            const remainingSeconds = row.end_time - now;
-                            resolve(Math.max(0, remainingSeconds * 1000));
-                        } else {
-                            resolve(0);
-                        }
+                        resolve(this.lastID);
                     }
-                });
-            } catch (error) {
-                reject(error);
-            }
+                }
+            );
         });
     }
 
     /**
-     * Deactivate active cooldowns for a conversation
+     * Save an escalation's latest message, alerts sent and acknowledgement
      */
-    private async deactivateActiveCooldowns(chatId: string): Promise<void> {
-        return new Promise(async (resolve, reject) => {
-            try {
-                const conversation = await this.getConversation(chatId);
-                if (!conversation) {
-                    resolve();
-                    return;
-                }
+    public async updateEscalation(escalation: Escalation): Promise<void> {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE escalations SET chat_name = ?, message = ?, message_count = ?, status = ?, alert_count = ?, channels = ?,
+                 last_message_at = ?, last_alert_at = ?, acknowledged_at = ?, acknowledged_by = ? WHERE id = ?`,
+                [
+                    escalation.chatName ?? null, escalation.message, escalation.messageCount, escalation.status, escalation.alertCount,
+                    escalation.channels.join(','), escalation.lastMessageAt, escalation.lastAlertAt ?? null,
+                    escalation.acknowledgedAt ?? null, escalation.acknowledgedBy ?? null, escalation.id
+                ],
+                (err) => err ? reject(err) : resolve()
+            );
+        });
+    }
 
-                this.db.run(
-                    'UPDATE cooldowns SET is_active = 0 WHERE conversation_id = ? AND is_active = 1',
-                    [conversation.id],
-                    (err) => {
-                        if (err) {
-                            reject(err);
-                        } else {
-                            resolve();
-                        }
+    /**
+     * Get escalations, newest first, optionally only those with the given status
+     */
+    public async getEscalations(status?: EscalationStatus, limit: number = 50): Promise<Escalation[]> {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT * FROM escalations ${status ? 'WHERE status = ?' : ''} ORDER BY id DESC LIMIT ?`,
+                status ? [status, limit] : [limit],
+                (err, rows: any[]) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve((rows || []).map(row => ({
+                            id: row.id,
+                            chatId: row.chat_id,
+                            chatName: row.chat_name || undefined,
+                            senderId: row.sender_id || undefined,
+                            message: row.message,
+                            messageCount: row.message_count,
+                            status: row.status,
+                            alertCount: row.alert_count,
+                            channels: row.channels ? row.channels.split(',') : [],
+                            createdAt: row.created_at,
+                            lastMessageAt: row.last_message_at,
+                            lastAlertAt: row.last_alert_at ?? undefined,
+                            acknowledgedAt: row.acknowledged_at ?? undefined,
+                            acknowledgedBy: row.acknowledged_by || undefined
+                        })));
                     }
-                );
-            } catch (error) {
-                reject(error);
-            }
+                }
+            );
         });
     }
 
     /**
-     * TIMER MANAGEMENT
+     * OUT OF OFFICE MANAGEMENT
      */
 
     /**
-     * Start a timer
+     * Get out-of-office windows that have not ended yet
      */
-    public async startTimer(chatId: string, timerType: 'response' | 'cooldown', durationMs?: number): Promise<number> {
-        return new Promise(async (resolve, reject) => {
-            try {
-                const conversation = await this.getConversation(chatId);
-                if (!conversation) {
-                    reject(new Error('Conversation not found'));
-                    return;
-                }
-
-                const now = Math.floor(Date.now() / 1000);
-                const endTime = durationMs ? now + Math.floor(durationMs / 1000) : null;
-
-                const stmt = this.db.prepare(`
-                    INSERT INTO timers (conversation_id, start_time, end_time, timer_type, is_active)
-                    VALUES (?, ?, ?, ?, 1)
-                `);
-
-                stmt.run(conversation.id, now, endTime, timerType, function(err) {
+    public async getOutOfOfficeWindows(now: number = Date.now()): Promise<OutOfOfficeWindow[]> {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT * FROM out_of_office WHERE end_time > ? ORDER BY start_time',
+                [now],
+                (err, rows: any[]) => {
                     if (err) {
                         reject(err);
                     } else {
-                        resolve(this.lastID);
+                        resolve((rows || []).map(row => ({
+                            id: row.id,
+                            start: row.start_time,
+                            end: row.end_time,
+                            message: row.message || undefined,
+                            createdAt: row.created_at * 1000
+                        })));
                     }
-                });
-
-                stmt.finalize();
-            } catch (error) {
-                reject(error);
-            }
+                }
+            );
         });
     }
 
     /**
-     * End a timer
+     * Add an out-of-office window, returns its ID
      */
-    public async endTimer(timerId: number): Promise<void> {
+    public async addOutOfOfficeWindow(window: OutOfOfficeWindow): Promise<number> {
         return new Promise((resolve, reject) => {
-            const now = Math.floor(Date.now() / 1000);
             this.db.run(
-                'UPDATE timers SET is_active = 0, end_time = ? WHERE id = ?',
-                [now, timerId],
-                (err) => {
+                'INSERT INTO out_of_office (start_time, end_time, message) VALUES (?, ?, ?)',
+                [window.start, window.end, window.message ?? null],
+                function(err) {
                     if (err) {
                         reject(err);
                     } else {
-                        resolve();
+                        resolve(this.lastID);
                     }
                 }
             );
@@ -637,40 +1964,32 @@ export class StorageService {
     }
 
     /**
-     * Get active timers for a conversation
+     * Change the end (return date) of an out-of-office window
      */
-    public async getActiveTimers(chatId: string, timerType?: 'response' | 'cooldown'): Promise<any[]> {
-        return new Promise(async (resolve, reject) => {
-            try {
-                const conversation = await this.getConversation(chatId);
-                if (!conversation) {
-                    resolve([]);
-                    return;
+    public async updateOutOfOfficeEnd(id: number, end: number): Promise<void> {
+        return new Promise((resolve, reject) => {
+            this.db.run('UPDATE out_of_office SET end_time = ? WHERE id = ?', [end, id], (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve();
                 }
+            });
+        });
+    }
 
-                let sql = `
-                    SELECT * FROM timers
-                    WHERE conversation_id = ? AND is_active = 1
-                `;
-                const params: any[] = [conversation.id];
-
-                if (timerType) {
-                    sql += ' AND timer_type = ?';
-                    params.push(timerType);
+    /**
+     * Delete an out-of-office window
+     */
+    public async deleteOutOfOfficeWindow(id: number): Promise<boolean> {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM out_of_office WHERE id = ?', [id], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
                 }
-
-                sql += ' ORDER BY start_time DESC';
-
-                this.db.all(sql, params, (err, rows) => {
-                    if (err) {
-                        reject(err);
-                    } else {
-                        resolve(rows || []);
-                    }
-                });
-            } catch (error) {
-                reject(error);
-            }
+            });
         });
     }
 
@@ -758,19 +2077,7 @@ export class StorageService {
                 participantCount: conv.participant_count || 0,
                 lastResponseTime: conv.last_activity,
                 isActive: conv.status === 'active',
-                recentMessages: recentMessages.map(msg => ({
-                    id: msg.whatsapp_message_id,
-                    body: msg.content,
-                    from: msg.sender_whatsapp_id,
-                    to: '', // Not stored in new schema
-                    timestamp: msg.timestamp,
-                    isGroupMsg: conv.is_group === 1,
-                    chat: {
-                        id: conv.chat_id,
-                        name: conv.group_name || ''
-                    },
-                    author: msg.sender_whatsapp_id
-                }))
+                recentMessages: recentMessages.map(msg => this.rowToMessage(msg, conv))
             };
         }
 
@@ -883,6 +2190,13 @@ export class StorageService {
      * HEALTH CHECKS AND CLEANUP
      */
 
+    /**
+     * Check if the schema has been created
+     */
+    public isReady(): boolean {
+        return this.isInitialized;
+    }
+
     /**
      * Run database health check
      */
@@ -1022,6 +2336,11 @@ export class StorageService {
             }
             results.oldMessages = totalOldMessages;
 
+            // Drop embeddings of deleted messages
+            await new Promise<void>((resolve, reject) => {
+                this.db.run('DELETE FROM message_embeddings WHERE message_id NOT IN (SELECT id FROM messages)', (err) => err ? reject(err) : resolve());
+            });
+
             // Vacuum database to reclaim space
             await new Promise<void>((resolve, reject) => {
                 this.db.run('VACUUM', (err) => {
@@ -0,0 +1,357 @@
+import * as fs from 'fs';
+import { WhatsAppClient } from '../client/WhatsAppClient';
+import { MessageHandler } from '../client/MessageHandler';
+import { ResponseGenerator } from '../ai/ResponseGenerator';
+import { MessageClassifier } from '../ai/MessageClassifier';
+import { HashEmbedder } from '../ai/Embedder';
+import { AIProvider, Embedder, TenantConfig } from '../types';
+import { config, getTenantDefaults } from '../config/environment';
+import { parseTenantsFile, scopedServiceName, sessionClientId } from '../utils/tenants';
+import { StorageService } from './StorageService';
+import { TimerService } from './TimerService';
+import { PolicyService } from './PolicyService';
+import { AvailabilityService } from './AvailabilityService';
+import { ApprovalService } from './ApprovalService';
+import { BookingService } from './BookingService';
+import { EscalationService } from './EscalationService';
+import { ConversationManager } from './ConversationManager';
+import { MemoryService } from './MemoryService';
+import { RetrievalService } from './RetrievalService';
+import { DigestService } from './DigestService';
+import { CalendarService } from './CalendarService';
+import { KnowledgeBaseService } from './KnowledgeBaseService';
+import { MediaService } from './MediaService';
+import { PersonaService } from './PersonaService';
+import { PromptTemplateService } from './PromptTemplateService';
+
+const READY_TIMEOUT_MS = 30000;
+const WHATSAPP_READY_TIMEOUT_MS = 120000;
+const WHATSAPP_MAX_ATTEMPTS = 3;
+
+/**
+ * Services every tenant uses: the AI providers, media understanding and the prompt templates.
+ * Anything that knows about an owner (calendar, knowledge, personas) is built per tenant.
+ */
+export interface SharedServices {
+    aiProvider: AIProvider;
+    classifierProvider: AIProvider;
+    embedder?: Embedder;
+    promptTemplates?: PromptTemplateService;
+    mediaService?: MediaService;
+}
+
+/**
+ * One account's service graph
+ */
+export interface TenantServices {
+    tenant: TenantConfig;
+    storageService: StorageService;
+    timerService: TimerService;
+    personaService: PersonaService;
+    calendarService?: CalendarService;
+    knowledgeBase: KnowledgeBaseService;
+    policyService: PolicyService;
+    availabilityService: AvailabilityService;
+    approvalService: ApprovalService;
+    bookingService?: BookingService;
+    escalationService: EscalationService;
+    conversationManager: ConversationManager;
+    memoryService: MemoryService;
+    retrievalService?: RetrievalService;
+    messageClassifier: MessageClassifier;
+    responseGenerator: ResponseGenerator;
+    digestService: DigestService;
+    messageHandler: MessageHandler;
+    whatsappClient?: WhatsAppClient;
+}
+
+/**
+ * Where tenant services are registered for health checks and shutdown
+ */
+export interface TenantServiceRegistry {
+    register<T>(name: string, service: T): void;
+}
+
+/**
+ * The tenants to serve: the accounts in TENANTS_FILE, or the single account configured by the
+ * environment when no file is set
+ */
+export function loadTenants(): TenantConfig[] {
+    if (!config.tenants.file) {
+        return [defaultTenant()];
+    }
+    return parseTenantsFile(fs.readFileSync(config.tenants.file, 'utf8'), getTenantDefaults());
+}
+
+/**
+ * The account configured by the environment
+ */
+export function defaultTenant(): TenantConfig {
+    return {
+        id: 'default',
+        owner: config.owner,
+        sessionPath: config.whatsapp.sessionPath,
+        databasePath: config.database.path,
+        policy: config.policy,
+        bookingIcsPath: config.booking.icsPath,
+        digestDirectory: config.digest.directory,
+        knowledgeDirectory: config.knowledge.directory,
+        personasDirectory: config.personas.directory,
+        calendar: config.calendar,
+        businessHours: config.secretary.businessHours,
+        escalation: config.escalation
+    };
+}
+
+/**
+ * Builds an isolated client, handler, timer and storage graph for each WhatsApp account.
+ * In multi-tenant mode every service is registered as `<tenant>:<service>`; a single account
+ * keeps the plain service names.
+ */
+export class TenantManager {
+    private tenantConfigs: TenantConfig[];
+    private shared: SharedServices;
+    private registry: TenantServiceRegistry;
+    private multiTenant: boolean;
+    private tenants: Map<string, TenantServices> = new Map();
+
+    constructor(tenants: TenantConfig[], shared: SharedServices, registry: TenantServiceRegistry, multiTenant: boolean = tenants.length > 1) {
+        this.tenantConfigs = tenants;
+        this.shared = shared;
+        this.registry = registry;
+        this.multiTenant = multiTenant;
+    }
+
+    /**
+     * Build every tenant's services up to the message handler
+     */
+    public async initialize(): Promise<void> {
+        for (const tenant of this.tenantConfigs) {
+            console.log(`🏢 Initializing services for tenant ${tenant.id} (${tenant.owner.name})`);
+            this.tenants.set(tenant.id, await this.createTenant(tenant));
+        }
+    }
+
+    /**
+     * Connect each tenant's WhatsApp account, one after the other so QR codes do not interleave.
+     * A tenant that cannot connect is logged and skipped; fails only if no account connects.
+     */
+    public async startClients(): Promise<void> {
+        const failures: string[] = [];
+
+        for (const services of this.tenants.values()) {
+            try {
+                await this.startClient(services);
+            } catch (error) {
+                failures.push(services.tenant.id);
+                console.error(`❌ WhatsApp client for tenant ${services.tenant.id} failed to start:`, error instanceof Error ? error.message : error);
+            }
+        }
+
+        if (failures.length === this.tenants.size) {
+            throw new Error(`Failed to initialize WhatsApp client after ${WHATSAPP_MAX_ATTEMPTS} attempts`);
+        }
+    }
+
+    /**
+     * Check if a tenant was set up
+     */
+    public hasTenant(id: string): boolean {
+        return this.tenants.has(id);
+    }
+
+    /**
+     * Services of one tenant
+     */
+    public getTenant(id: string): TenantServices | undefined {
+        return this.tenants.get(id);
+    }
+
+    /**
+     * Services of every tenant, in the order of the tenants file
+     */
+    public getTenants(): TenantServices[] {
+        return Array.from(this.tenants.values());
+    }
+
+    /**
+     * Check if every tenant's storage is usable and its WhatsApp account connected
+     */
+    public isReady(): boolean {
+        return this.tenants.size > 0 && this.getTenants().every(services =>
+            services.storageService.isReady() && !!services.whatsappClient?.isReady()
+        );
+    }
+
+    private serviceName(tenant: TenantConfig, name: string): string {
+        return scopedServiceName(this.multiTenant ? tenant.id : undefined, name);
+    }
+
+    private async createTenant(tenant: TenantConfig): Promise<TenantServices> {
+        const { aiProvider, classifierProvider, embedder, promptTemplates, mediaService } = this.shared;
+        const register = <T>(name: string, service: T): T => {
+            this.registry.register(this.serviceName(tenant, name), service);
+            return service;
+        };
+
+        const storageService = register('storageService', new StorageService(tenant.databasePath));
+        await waitForReady(storageService, `${tenant.id} storage`);
+
+        const timerService = register('timerService', new TimerService(storageService));
+        await waitForReady(timerService, `${tenant.id} timers`);
+
+        // Named persona profiles that chat policies can select
+        const personaService = new PersonaService(tenant.personasDirectory, config.personas.defaultProfile, config.personas.groupProfile);
+        await personaService.initialize();
+        register('personaService', personaService);
+
+        // Optional calendar: busy times only, event details stay in CalendarService
+        let calendarService: CalendarService | undefined;
+        if (tenant.calendar.source) {
+            calendarService = new CalendarService(tenant.calendar, tenant.businessHours?.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone);
+            await calendarService.initialize();
+            register('calendarService', calendarService);
+        }
+
+        // Owner facts from the knowledge directory; keyword matching unless an embedding model is set
+        const knowledgeBase = new KnowledgeBaseService(tenant.knowledgeDirectory, embedder || new HashEmbedder());
+        await knowledgeBase.initialize();
+        register('knowledgeBase', knowledgeBase);
+
+        const policyService = new PolicyService(storageService, {
+            ...tenant.policy,
+            businessHours: tenant.businessHours,
+            vipContacts: tenant.escalation.vipContacts
+        }, personaService);
+        await policyService.initialize();
+        register('policyService', policyService);
+
+        const availabilityService = new AvailabilityService(storageService, tenant.businessHours, calendarService);
+        await availabilityService.initialize();
+        register('availabilityService', availabilityService);
+
+        const approvalService = new ApprovalService(storageService);
+        await approvalService.initialize();
+        register('approvalService', approvalService);
+
+        let bookingService: BookingService | undefined;
+        if (config.booking.enabled) {
+            bookingService = new BookingService(storageService, availabilityService, { ...config.booking, icsPath: tenant.bookingIcsPath });
+            await bookingService.initialize();
+            register('bookingService', bookingService);
+        }
+
+        const escalationService = new EscalationService(storageService, tenant.escalation);
+        await escalationService.initialize();
+        register('escalationService', escalationService);
+
+        const conversationManager = register('conversationManager', new ConversationManager(storageService));
+
+        const memoryService = new MemoryService(storageService, aiProvider, undefined, tenant.owner, tenant.businessHours?.timezone);
+        await memoryService.initialize();
+        register('memoryService', memoryService);
+
+        const retrievalService = embedder ? register('retrievalService', new RetrievalService(storageService, embedder)) : undefined;
+
+        const messageClassifier = register('messageClassifier', new MessageClassifier(classifierProvider, undefined, tenant.owner));
+        const responseGenerator = register('responseGenerator', new ResponseGenerator(
+            aiProvider, availabilityService, memoryService, retrievalService, knowledgeBase, messageClassifier, personaService, promptTemplates
+        ));
+
+        const digestService = new DigestService(storageService, aiProvider, approvalService, bookingService, { ...config.digest, directory: tenant.digestDirectory }, tenant.businessHours?.timezone, tenant.owner);
+        await digestService.initialize();
+        register('digestService', digestService);
+
+        const messageHandler = register('messageHandler', new MessageHandler(
+            conversationManager,
+            responseGenerator,
+            timerService,
+            storageService,
+            policyService,
+            availabilityService,
+            mediaService,
+            approvalService,
+            bookingService,
+            digestService,
+            escalationService,
+            messageClassifier,
+            tenant.owner
+        ));
+
+        return {
+            tenant, storageService, timerService, personaService, calendarService, knowledgeBase, policyService, availabilityService, approvalService, bookingService, escalationService,
+            conversationManager, memoryService, retrievalService, messageClassifier, responseGenerator, digestService, messageHandler
+        };
+    }
+
+    private async startClient(services: TenantServices): Promise<void> {
+        const { tenant, messageHandler } = services;
+        const whatsappClient = new WhatsAppClient(messageHandler, tenant.sessionPath, sessionClientId(this.multiTenant ? tenant.id : undefined));
+        services.whatsappClient = whatsappClient;
+        this.registry.register(this.serviceName(tenant, 'whatsappClient'), whatsappClient);
+        messageHandler.setWhatsAppClient?.(whatsappClient);
+
+        if (this.multiTenant) {
+            whatsappClient.on('qr', () => console.log(`📱 Scan the QR code above with the WhatsApp account of tenant ${tenant.id} (${tenant.owner.name})`));
+        }
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                console.log(`📱 WhatsApp client initialization attempt ${attempt} for tenant ${tenant.id}`);
+                await whatsappClient.initialize();
+                await waitForWhatsAppReady(whatsappClient);
+                console.log(`✅ WhatsApp client for tenant ${tenant.id} is ready`);
+                return;
+            } catch (error) {
+                console.error(`❌ WhatsApp initialization attempt ${attempt} for tenant ${tenant.id} failed:`, error instanceof Error ? error.message : error);
+                if (attempt >= WHATSAPP_MAX_ATTEMPTS) {
+                    throw new Error(`Failed to initialize WhatsApp client after ${WHATSAPP_MAX_ATTEMPTS} attempts`);
+                }
+                await sleep(5000 * attempt);
+            }
+        }
+    }
+}
+
+/**
+ * Wait until a service reports ready; logs and continues after the timeout
+ */
+async function waitForReady(service: { isReady(): boolean }, label: string, timeoutMs: number = READY_TIMEOUT_MS): Promise<void> {
+    const start = Date.now();
+    while (Date.now() - start < timeoutMs) {
+        if (service.isReady()) {
+            return;
+        }
+        await sleep(100);
+    }
+    console.warn(`⚠️ ${label} not ready after ${timeoutMs}ms`);
+}
+
+function waitForWhatsAppReady(client: WhatsAppClient, timeoutMs: number = WHATSAPP_READY_TIMEOUT_MS): Promise<void> {
+    return new Promise((resolve, reject) => {
+        const onReady = () => {
+            cleanup();
+            resolve();
+        };
+        const onError = (error: Error) => {
+            cleanup();
+            reject(error);
+        };
+        const timeoutId = setTimeout(() => {
+            cleanup();
+            reject(new Error('WhatsApp client ready timeout'));
+        }, timeoutMs);
+        const cleanup = () => {
+            clearTimeout(timeoutId);
+            client.off('ready', onReady);
+            client.off('error', onError);
+        };
+
+        client.once('ready', onReady);
+        client.once('error', onError);
+    });
+}
+
+function sleep(ms: number): Promise<void> {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
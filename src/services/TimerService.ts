@@ -1,8 +1,18 @@
 import { EventEmitter } from 'events';
 import * as cron from 'node-cron';
-import { TimerState } from '../types';
+import { TimerState, WhatsAppMessage } from '../types';
 import { config } from '../config/environment';
 import { StorageService } from './StorageService';
+import { MAX_TIMER_MS } from '../utils/duration';
+
+/**
+ * Messages collected while a sender is still typing
+ */
+interface BurstState {
+    messages: WhatsAppMessage[];
+    startedAt: number;
+    timer?: NodeJS.Timeout;
+}
 
 /**
  * Event-driven timer service for WhatsApp LLM personal assistant
@@ -10,6 +20,7 @@ import { StorageService } from './StorageService';
  */
 export class TimerService extends EventEmitter {
     private timers: Map<string, TimerState> = new Map();
+    private bursts: Map<string, BurstState> = new Map();
     private storage: StorageService;
     private cleanupCron?: cron.ScheduledTask;
     private isInitialized: boolean = false;
@@ -20,7 +31,8 @@ export class TimerService extends EventEmitter {
         COOLDOWN_STARTED: 'cooldown_started',
         COOLDOWN_ENDED: 'cooldown_ended',
         TIMER_CANCELLED: 'timer_cancelled',
-        GILAD_RESPONDED: 'gilad_responded'
+        OWNER_RESPONDED: 'owner_responded',
+        BURST_COMPLETED: 'burst_completed'
     } as const;
 
     constructor(storage: StorageService) {
@@ -55,11 +67,14 @@ export class TimerService extends EventEmitter {
     }
 
     /**
-     * Start a 2-minute response timer for new conversations
+     * Start a response timer for new conversations (default 2 minutes, or the chat policy delay)
      */
-    public startResponseTimer(chatId: string, callback: () => Promise<void>): void {
+    public startResponseTimer(chatId: string, callback: () => Promise<void>, delayMs: number = config.app.responseDelayMs): void {
         try {
-            console.log(`Starting 2-minute response timer for chat ${chatId}`);
+            console.log(`Starting response timer for chat ${chatId} (${delayMs}ms)`);
+
+            // Longer delays would make setTimeout fire at once
+            delayMs = Math.min(delayMs, MAX_TIMER_MS);
 
             // Clear any existing timer
             this.cancelTimer(chatId);
@@ -80,19 +95,19 @@ export class TimerService extends EventEmitter {
                         // Execute callback (activate secretary mode)
                         await callback();
 
-                        // Emit event
-                        this.emit(TimerService.EVENTS.RESPONSE_TIMER_EXPIRED, { chatId });
+                        // Informational only: the callback already handled the expiry
+                        this.emit(TimerService.EVENTS.RESPONSE_TIMER_EXPIRED, { chatId, restored: false });
 
                     } catch (error) {
                         console.error(`Error in response timer callback for chat ${chatId}:`, error);
                     }
-                }, config.app.responseDelayMs)
+                }, delayMs)
             };
 
             this.timers.set(chatId, timerState);
 
             // Store timer in database for persistence
-            this.storage.startTimer(chatId, 'response', config.app.responseDelayMs)
+            this.storage.startTimer(chatId, 'response', delayMs)
                 .catch(error => console.error('Failed to persist response timer:', error));
 
         } catch (error) {
@@ -100,6 +115,63 @@ export class TimerService extends EventEmitter {
         }
     }
 
+    /**
+     * Add a message to the chat's current burst. Each message restarts the quiet window; once
+     * the sender has been quiet for `windowMs` (or `maxWaitMs` passed since the first message)
+     * the whole burst is handed to `onComplete` in arrival order. Returns the burst size.
+     */
+    public addToBurst(
+        chatId: string,
+        message: WhatsAppMessage,
+        onComplete: (messages: WhatsAppMessage[]) => Promise<void>,
+        windowMs: number = config.app.burstWindowMs ?? 10000,
+        maxWaitMs: number = config.app.burstMaxWaitMs ?? 60000
+    ): number {
+        const existing = this.bursts.get(chatId);
+        if (existing) {
+            clearTimeout(existing.timer);
+        }
+
+        const burst: BurstState = existing || { messages: [], startedAt: Date.now() };
+        burst.messages.push(message);
+
+        const delay = Math.max(0, Math.min(windowMs, burst.startedAt + maxWaitMs - Date.now()));
+        burst.timer = setTimeout(async () => {
+            this.bursts.delete(chatId);
+            this.emit(TimerService.EVENTS.BURST_COMPLETED, { chatId, count: burst.messages.length });
+
+            try {
+                await onComplete(burst.messages);
+            } catch (error) {
+                console.error(`Error handling message burst for chat ${chatId}:`, error);
+            }
+        }, delay);
+
+        this.bursts.set(chatId, burst);
+        return burst.messages.length;
+    }
+
+    /**
+     * Stop waiting for the chat's burst and return the messages collected so far
+     */
+    public takeBurst(chatId: string): WhatsAppMessage[] {
+        const burst = this.bursts.get(chatId);
+        if (!burst) {
+            return [];
+        }
+
+        clearTimeout(burst.timer);
+        this.bursts.delete(chatId);
+        return burst.messages;
+    }
+
+    /**
+     * Number of messages waiting in the chat's burst
+     */
+    public getBurstSize(chatId: string): number {
+        return this.bursts.get(chatId)?.messages.length ?? 0;
+    }
+
     /**
      * Start a cooldown period (default 5 hours)
      */
@@ -107,6 +179,9 @@ export class TimerService extends EventEmitter {
         try {
             console.log(`Starting cooldown for chat ${chatId} (${duration}ms)`);
 
+            // Longer cooldowns would make setTimeout end them at once
+            duration = Math.min(duration, MAX_TIMER_MS);
+
             const timerState = this.timers.get(chatId) || {
                 chatId,
                 isInCooldown: false
@@ -125,6 +200,7 @@ export class TimerService extends EventEmitter {
 
             timerState.isInCooldown = true;
             timerState.lastResponseTime = Date.now();
+            timerState.cooldownDurationMs = duration;
             timerState.cooldownTimer = setTimeout(() => {
                 timerState.isInCooldown = false;
                 timerState.cooldownTimer = undefined;
@@ -148,23 +224,23 @@ export class TimerService extends EventEmitter {
     }
 
     /**
-     * Handle when Gilad responds to a conversation
+     * Handle when the owner responds to a conversation
      */
-    public handleGiladResponse(chatId: string): void {
+    public handleOwnerResponse(chatId: string, cooldownMs: number = config.app.cooldownPeriodMs): void {
         try {
-            console.log(`Gilad responded to chat ${chatId}`);
+            console.log(`Owner responded to chat ${chatId}`);
 
             // Cancel any active response timer
             this.cancelTimer(chatId);
 
-            // Start 5-hour cooldown
-            this.startCooldown(chatId);
+            // Start cooldown (5 hours unless the chat policy overrides it)
+            this.startCooldown(chatId, cooldownMs);
 
             // Emit event
-            this.emit(TimerService.EVENTS.GILAD_RESPONDED, { chatId });
+            this.emit(TimerService.EVENTS.OWNER_RESPONDED, { chatId });
 
         } catch (error) {
-            console.error(`Failed to handle Gilad response for chat ${chatId}:`, error);
+            console.error(`Failed to handle owner response for chat ${chatId}:`, error);
         }
     }
 
@@ -230,7 +306,7 @@ export class TimerService extends EventEmitter {
         // If in cooldown, calculate remaining cooldown time
         if (timerState.isInCooldown && timerState.lastResponseTime) {
             const elapsed = Date.now() - timerState.lastResponseTime;
-            const remaining = config.app.cooldownPeriodMs - elapsed;
+            const remaining = (timerState.cooldownDurationMs ?? config.app.cooldownPeriodMs) - elapsed;
             return Math.max(0, remaining);
         }
 
@@ -260,6 +336,7 @@ export class TimerService extends EventEmitter {
         activeResponseTimers: number;
         chatsInCooldown: number;
         activeTimers: number;
+        pendingBursts: number;
     } {
         const timers = Array.from(this.timers.values());
 
@@ -267,7 +344,8 @@ export class TimerService extends EventEmitter {
             totalTimers: timers.length,
             activeResponseTimers: timers.filter(t => t.responseTimer).length,
             chatsInCooldown: timers.filter(t => t.isInCooldown).length,
-            activeTimers: timers.filter(t => t.responseTimer || t.cooldownTimer || t.isInCooldown).length
+            activeTimers: timers.filter(t => t.responseTimer || t.cooldownTimer || t.isInCooldown).length,
+            pendingBursts: this.bursts.size
         };
     }
 
@@ -296,6 +374,7 @@ export class TimerService extends EventEmitter {
                             chatId,
                             isInCooldown: true,
                             lastResponseTime: Date.now() - (config.app.cooldownPeriodMs - remainingTime),
+                            cooldownDurationMs: config.app.cooldownPeriodMs,
                             cooldownTimer: setTimeout(() => {
                                 const state = this.timers.get(chatId);
                                 if (state) {
@@ -304,7 +383,7 @@ export class TimerService extends EventEmitter {
                                 }
                                 console.log(`Restored cooldown ended for chat ${chatId}`);
                                 this.emit(TimerService.EVENTS.COOLDOWN_ENDED, { chatId });
-                            }, remainingTime)
+                            }, Math.min(remainingTime, MAX_TIMER_MS))
                         };
 
                         this.timers.set(chatId, timerState);
@@ -332,8 +411,9 @@ export class TimerService extends EventEmitter {
                                 if (state) {
                                     state.responseTimer = undefined;
                                 }
-                                this.emit(TimerService.EVENTS.RESPONSE_TIMER_EXPIRED, { chatId });
-                            }, remainingTime);
+                                // Restored timers have no callback, listeners act on the event instead
+                                this.emit(TimerService.EVENTS.RESPONSE_TIMER_EXPIRED, { chatId, restored: true });
+                            }, Math.min(remainingTime, MAX_TIMER_MS));
 
                             this.timers.set(chatId, timerState);
                         } else {
@@ -372,7 +452,7 @@ export class TimerService extends EventEmitter {
                 // Keep if in cooldown
                 if (timerState.isInCooldown && timerState.lastResponseTime) {
                     const elapsed = now - timerState.lastResponseTime;
-                    if (elapsed < config.app.cooldownPeriodMs) {
+                    if (elapsed < (timerState.cooldownDurationMs ?? config.app.cooldownPeriodMs)) {
                         shouldRemove = false;
                     } else {
                         // Cooldown expired, clean it up
@@ -422,15 +502,18 @@ export class TimerService extends EventEmitter {
             if (timerState?.cooldownTimer) {
                 clearTimeout(timerState.cooldownTimer);
                 timerState.cooldownTimer = undefined;
+            }
+            if (timerState) {
                 timerState.isInCooldown = false;
                 console.log(`Manually cleared cooldown for chat ${chatId}`);
             }
 
-            // Also clear in database
+            // Also clear in database, otherwise isInCooldown() re-syncs it from the cooldowns table
             this.storage.getActiveTimers(chatId, 'cooldown')
                 .then(timers => {
                     return Promise.all(timers.map(timer => this.storage.endTimer(timer.id)));
                 })
+                .then(() => this.storage.endCooldown(chatId))
                 .catch(error => console.error('Failed to clear cooldown in database:', error));
 
         } catch (error) {
@@ -503,6 +586,12 @@ export class TimerService extends EventEmitter {
             // Clear timers map
             this.timers.clear();
 
+            // Drop bursts that have not been answered yet
+            for (const burst of this.bursts.values()) {
+                clearTimeout(burst.timer);
+            }
+            this.bursts.clear();
+
             // Remove all event listeners
             this.removeAllListeners();
 
@@ -519,8 +608,8 @@ export class TimerService extends EventEmitter {
     /**
      * Schedule a response (legacy compatibility)
      */
-    public scheduleResponse(chatId: string, callback: () => Promise<void>): void {
-        this.startResponseTimer(chatId, callback);
+    public scheduleResponse(chatId: string, callback: () => Promise<void>, delayMs?: number): void {
+        this.startResponseTimer(chatId, callback, delayMs);
     }
 
     /**
@@ -14,6 +14,64 @@ export interface WhatsAppMessage {
         name: string;
     };
     author?: string;
+    type?: MessageType; // Defaults to text
+    media?: MediaInfo;
+    location?: LocationInfo;
+    contacts?: ContactCard[];
+    quotedMessage?: QuotedMessage;
+    reaction?: ReactionInfo;
+    parts?: WhatsAppMessage[]; // Messages merged into this turn when several arrived in a row
+    analysis?: MessageAnalysis; // Classification the reply decisions were based on
+}
+
+export interface LocationInfo {
+    latitude: number;
+    longitude: number;
+    name?: string;
+    address?: string;
+    url?: string;
+}
+
+/**
+ * Contact shared as a vCard
+ */
+export interface ContactCard {
+    name?: string;
+    phones: string[];
+    vcard: string;
+}
+
+/**
+ * Message a reply quotes
+ */
+export interface QuotedMessage {
+    id: string;
+    body: string;
+    from?: string;
+}
+
+/**
+ * How a reply is threaded: the message it quotes and the participants it mentions
+ */
+export interface ReplyOptions {
+    quotedMessageId?: string;
+    mentions?: string[]; // Serialized contact IDs; the text carries an @<number> for each
+}
+
+export interface ReactionInfo {
+    emoji: string;
+    targetMessageId: string;
+    targetBody?: string;
+}
+
+/**
+ * Media attached to a message. The body holds the transcript or description.
+ */
+export interface MediaInfo {
+    mimetype: string;
+    filename?: string;
+    sizeBytes?: number;
+    extracted: boolean; // False when the media could not be downloaded, transcribed or described
 }
 
 export interface AIResponse {
@@ -21,6 +79,7 @@ export interface AIResponse {
     confidence: number;
     tokens_used: number;
     model: string;
+    promptVersion?: string; // Versions of the prompt templates used, e.g. "secretary@1a2b3c4d+system@2"
 }
 
 export interface ConversationContext {
@@ -29,6 +88,19 @@ export interface ConversationContext {
     recentMessages: WhatsAppMessage[];
     lastResponseTime?: number;
     isActive: boolean;
+    persona?: string; // Per-chat persona instructions from the chat policy
+    profile?: string; // Persona profile selected by the chat policy
+    personaProfile?: PersonaProfile; // That profile, resolved when the reply is generated
+    availability?: AvailabilityState;
+    schedule?: DaySchedule[]; // Free/busy times for the days the sender asked about
+    memory?: string; // Summary of messages older than the recent context
+    relatedMessages?: WhatsAppMessage[]; // Earlier exchanges in this chat relevant to the latest message
+    audience?: KnowledgeAudience; // Who the reply is for, used to filter knowledge base entries
+    knowledge?: KnowledgeChunk[]; // Knowledge base entries relevant to the latest message
+    booking?: BookingPrompt; // Meeting slots offered to the sender or the slot held for them
+    language?: Language; // Language the reply is written in
+    systemPrompt?: string; // Rendered system prompt template; providers build the built-in one when unset
+    owner?: OwnerProfile; // Who the assistant answers for; config.owner when unset
 }
 
 export interface TimerState {
@@ -37,6 +109,7 @@ export interface TimerState {
     cooldownTimer?: NodeJS.Timeout;
     lastResponseTime?: number;
     isInCooldown: boolean;
+    cooldownDurationMs?: number;
 }
 
 export interface StorageData {
@@ -51,10 +124,16 @@ export interface AppSettings {
     maxContextMessages: number;
     enableLogging: boolean;
     secretaryMode?: boolean;
+    burstWindowMs?: number; // Quiet period that ends a burst of messages; 0 disables aggregation
+    burstMaxWaitMs?: number;
+    quoteReplies?: boolean; // Quote the message a reply answers when it is not obvious
     rateLimitPerMinute?: number;
     retryAttempts?: number;
+    defaultLanguage?: Language; // Reply language when a conversation has no letters to detect one from
 }
 
+export type Language = 'en' | 'he' | 'ar' | 'ru';
+
 export interface CloudflareAIConfig {
     apiToken: string;
     accountId: string;
@@ -65,9 +144,28 @@ export interface CloudflareAIConfig {
 
 export interface EnvironmentConfig {
     cloudflare: CloudflareAIConfig;
+    ai: AIServiceConfig;
+    aiChain: AIServiceConfig[];
+    circuitBreaker: CircuitBreakerOptions;
     database: {
         path: string;
     };
+    admin: AdminApiConfig;
+    media: MediaConfig;
+    memory: MemoryConfig;
+    retrieval: RetrievalConfig;
+    knowledge: KnowledgeConfig;
+    personas: PersonaConfig;
+    prompts: PromptTemplateConfig;
+    calendar: CalendarConfig;
+    booking: BookingConfig;
+    digest: DigestConfig;
+    escalation: EscalationConfig;
+    classification: ClassificationConfig;
+    policy: PolicyConfig;
+    owner: OwnerProfile;
+    tenants: TenantsConfig;
+    secretary: SecretaryPersonality;
     whatsapp: {
         sessionPath: string;
     };
@@ -82,7 +180,8 @@ export enum MessageType {
     DOCUMENT = 'document',
     STICKER = 'sticker',
     LOCATION = 'location',
-    CONTACT = 'contact'
+    CONTACT = 'contact',
+    REACTION = 'reaction'
 }
 
 export enum ResponseStatus {
@@ -97,13 +196,299 @@ export enum ResponseStatus {
  * Extended types for AI service integration
  */
 
+export type AIProviderName = 'cloudflare' | 'openai' | 'anthropic' | 'ollama';
+
 export interface AIServiceConfig {
-    provider: 'cloudflare' | 'openai' | 'anthropic';
+    provider: AIProviderName;
     model: string;
     apiKey: string;
     baseUrl?: string;
     timeout?: number;
     maxRetries?: number;
+    maxTokens?: number;
+}
+
+/**
+ * Media understanding (speech-to-text and image description)
+ */
+export type SpeechToTextProviderName = 'none' | 'whisper-cpp' | 'openai';
+export type VisionProviderName = 'none' | 'openai' | 'anthropic' | 'ollama';
+
+export interface SpeechToTextConfig {
+    provider: SpeechToTextProviderName;
+    model: string; // Model file for whisper.cpp, model name for OpenAI-compatible APIs
+    language?: string;
+    apiKey: string;
+    baseUrl?: string;
+    whisperCppPath: string;
+    ffmpegPath: string;
+}
+
+export interface MediaConfig {
+    maxBytes: number;
+    timeoutMs: number;
+    speechToText: SpeechToTextConfig;
+    vision?: AIServiceConfig; // Undefined when VISION_PROVIDER is none
+}
+
+/**
+ * Downloaded media file
+ */
+export interface MediaAttachment {
+    mimetype: string;
+    data: Buffer;
+    filename?: string;
+}
+
+export interface SpeechToTextBackend {
+    readonly name: string;
+    transcribe(media: MediaAttachment): Promise<string>;
+}
+
+export interface ImageCaptioner {
+    readonly name: string;
+    describe(media: MediaAttachment): Promise<string>;
+}
+
+/**
+ * Semantic retrieval over message history
+ */
+export type EmbeddingProviderName = 'none' | 'hash' | 'ollama' | 'openai';
+
+export interface RetrievalConfig {
+    provider: EmbeddingProviderName;
+    model: string;
+    apiKey: string;
+    baseUrl?: string;
+    timeoutMs: number;
+    topK: number; // Past messages retrieved per reply
+    minScore: number; // Minimum cosine similarity for a message to count as relevant
+}
+
+export interface Embedder {
+    readonly name: string;
+    readonly model: string;
+    embed(texts: string[]): Promise<number[][]>;
+}
+
+/**
+ * Owner knowledge base
+ */
+export type KnowledgeVisibility = 'public' | 'contacts' | 'chats';
+
+export interface KnowledgeConfig {
+    directory: string;
+    topK: number; // Entries added to the prompt per reply, besides pinned ones
+    minScore: number;
+}
+
+export interface KnowledgeChunk {
+    id: string; // "<file>#<n>"
+    source: string; // File path relative to the knowledge directory
+    title: string;
+    content: string;
+    visibility: KnowledgeVisibility;
+    chats: string[]; // Chat or sender ids allowed when visibility is 'chats'
+    tags: string[];
+    pinned: boolean; // Always included for audiences that can see it
+}
+
+export interface KnowledgeAudience {
+    chatId: string;
+    senderId?: string;
+    isKnownContact: boolean; // Sender is in the owner's address book
+}
+
+/**
+ * Persona profiles: how the assistant writes in a chat
+ */
+export type EmojiPolicy = 'none' | 'sparing' | 'free';
+
+export interface PersonaConfig {
+    directory: string;
+    defaultProfile: string; // Profile for chats whose policy selects none; empty = built-in behaviour
+    groupProfile: string; // Profile for group chats whose policy selects none; empty = defaultProfile
+}
+
+export interface PersonaProfile {
+    name: string; // File name without extension unless the file sets one
+    description?: string;
+    tone: SecretaryPersonality['tone'];
+    responseStyle: SecretaryPersonality['responseStyle'];
+    systemPrompt: string; // Instructions added to the system prompt
+    signature?: string; // Appended to every reply
+    emoji: EmojiPolicy;
+    maxLength: number; // Characters
+    source: string; // File path relative to the personas directory
+}
+
+/**
+ * The person the assistant answers for
+ */
+export type OwnerPronouns = 'he' | 'she' | 'they';
+
+export interface OwnerProfile {
+    name: string; // Display name used in prompts and replies
+    localNames: Partial<Record<Language, string>>; // How the name is written in replies in other languages
+    pronouns: OwnerPronouns;
+    identifiers: string[]; // Phone numbers or WhatsApp IDs whose messages count as the owner's
+    whatsappId: string;
+    signature: string; // Last line of the assistant's sign-off; empty = "<name>'s Assistant", translated
+}
+
+export interface PromptTemplateConfig {
+    directory: string;
+}
+
+export interface TenantsConfig {
+    file: string; // YAML list of WhatsApp accounts; empty = a single account configured by the environment
+    directory: string; // Tenant data lives in <directory>/<id> unless the tenant sets its own paths
+}
+
+/**
+ * One WhatsApp account with its own session, database, owner, reply policies, calendar,
+ * business hours, alert destinations, knowledge and persona files
+ */
+export interface TenantConfig {
+    id: string;
+    owner: OwnerProfile;
+    sessionPath: string;
+    databasePath: string;
+    policy: PolicyConfig;
+    bookingIcsPath: string; // Empty when bookings are not written to a file
+    digestDirectory: string; // Empty when digests are not written to files
+    knowledgeDirectory: string;
+    personasDirectory: string;
+    calendar: CalendarConfig; // Empty source = no calendar
+    businessHours?: SecretaryPersonality['businessHours'];
+    escalation: EscalationConfig;
+}
+
+/**
+ * Prompts and texts that can be replaced by template files
+ */
+export type PromptTemplateName = 'system' | 'secretary' | 'fallback';
+
+export interface PromptTemplate {
+    name: PromptTemplateName;
+    language?: Language; // Set for language variants such as fallback.he.md
+    description?: string;
+    text: string; // Template body with {{variable}} and {{#variable}}...{{/variable}} tags
+    version: string; // Front matter version, else a hash of the text
+    source: string; // File path relative to the prompts directory, or "builtin"
+}
+
+/**
+ * A reply as it was generated, with the prompt versions behind it
+ */
+export type GeneratedReplyOutcome = 'sent' | 'failed' | 'draft';
+
+export interface GeneratedReply {
+    id: number;
+    chatId: string;
+    text: string;
+    model: string;
+    promptVersion?: string;
+    confidence: number;
+    outcome: GeneratedReplyOutcome;
+    draftId?: number; // Draft the reply became in approval mode
+    createdAt: number;
+}
+
+/**
+ * How the replies of one prompt version fared
+ */
+export interface PromptVersionStats {
+    promptVersion: string | null;
+    replies: number;
+    sent: number;
+    failed: number;
+    drafted: number;
+    approved: number; // Drafts the owner sent unchanged
+    edited: number;
+    rejected: number;
+    averageConfidence: number | null;
+    firstAt: number;
+    lastAt: number;
+}
+
+export interface PolicyConfig {
+    groupRepliesEnabled: boolean;
+    approvalRequired: boolean; // Send drafts to the owner instead of replying directly
+    approvalTimeoutMs: number; // Auto-send pending drafts after this long; 0 waits for the owner
+}
+
+export interface AdminApiConfig {
+    enabled: boolean;
+    host: string;
+    port: number;
+    token: string;
+}
+
+export interface CircuitBreakerOptions {
+    errorRateThreshold: number;
+    slowCallRateThreshold: number; // Share of calls slower than latencyThresholdMs that trips the breaker
+    minimumRequests: number;
+    windowSize: number;
+    latencyThresholdMs: number;
+    openDurationMs: number;
+}
+
+export type CircuitState = 'closed' | 'open' | 'half_open';
+
+export interface CircuitBreakerStatus {
+    state: CircuitState;
+    tripCount: number;
+    successes: number;
+    failures: number;
+    slowCalls: number;
+    errorRate: number;
+    avgLatencyMs: number;
+    lastTripReason?: string;
+    lastError?: string;
+    openedAt?: number;
+}
+
+export interface ProviderChainStatus {
+    activeProvider: string | null;
+    providers: Array<CircuitBreakerStatus & {
+        id: string;
+        provider: string;
+        model: string;
+    }>;
+}
+
+export interface ChatMessage {
+    role: 'system' | 'user' | 'assistant';
+    content: string;
+}
+
+export interface CompletionOptions {
+    model?: string;
+    maxTokens?: number;
+    temperature?: number;
+    responseSchema?: ResponseSchema; // Ask for JSON matching the schema where the API supports it
+}
+
+/**
+ * JSON schema a completion should follow
+ */
+export interface ResponseSchema {
+    name: string;
+    schema: Record<string, unknown>;
+}
+
+/**
+ * Common interface implemented by every LLM backend (Cloudflare, OpenAI-compatible, Anthropic, Ollama)
+ */
+export interface AIProvider {
+    readonly name: string;
+    generateResponse(prompt: string, context?: ConversationContext, model?: string, maxTokens?: number): Promise<AIResponse>;
+    complete(messages: ChatMessage[], options?: CompletionOptions): Promise<AIResponse>;
+    isHealthy(): Promise<boolean>;
+    getCurrentModel(): string;
+    validateConfig(): boolean;
+    checkRateLimit?(): Promise<{ remaining: number; resetTime: number } | null>;
 }
 
 export interface SecretaryPersonality {
@@ -113,25 +498,321 @@ export interface SecretaryPersonality {
         start: string; // HH:MM format
         end: string;   // HH:MM format
         timezone: string;
+        weeklySchedule?: WeeklySchedule; // Overrides start/end per weekday when set
+        holidays?: Holiday[];
     };
 }
 
+export type Weekday = 'sun' | 'mon' | 'tue' | 'wed' | 'thu' | 'fri' | 'sat';
+
+export interface TimeWindow {
+    start: string; // HH:MM format
+    end: string;   // HH:MM format, before start = wraps past midnight
+}
+
+export type WeeklySchedule = Partial<Record<Weekday, TimeWindow[]>>;
+
+export interface Holiday {
+    date: string; // YYYY-MM-DD in the business time zone
+    name?: string;
+}
+
+export interface OutOfOfficeWindow {
+    id?: number;
+    start: number; // Epoch ms
+    end: number;   // Epoch ms, the return date
+    message?: string;
+    createdAt?: number;
+}
+
+export type AvailabilityStatus = 'available' | 'busy' | 'after_hours' | 'holiday' | 'out_of_office';
+
+export interface AvailabilityState {
+    status: AvailabilityStatus;
+    timezone: string;
+    localTime: string;
+    nextAvailableAt?: number; // Epoch ms, when the owner is expected back
+    holiday?: string;
+    outOfOffice?: OutOfOfficeWindow;
+    busy?: BusyPeriod; // Calendar event in progress; only its times are kept
+}
+
+/**
+ * Calendar source: a local .ics file or an ICS/CalDAV URL
+ */
+export interface CalendarConfig {
+    source: string; // Empty = no calendar
+    username: string;
+    password: string;
+    refreshMs: number;
+}
+
+/**
+ * Event from an ICS calendar. Local times keep their time zone so recurrences follow DST.
+ */
+export interface CalendarEvent {
+    uid: string;
+    summary: string; // Kept for the owner's admin view; never put in a prompt
+    start: CalendarTime;
+    durationMs: number;
+    allDay: boolean;
+    busy: boolean; // False for TRANSP:TRANSPARENT and cancelled events
+    rrule?: RecurrenceRule;
+    exdates: number[]; // Epoch ms of excluded occurrences
+    recurrenceId?: number; // Set on an edited occurrence of a recurring event
+}
+
+export interface CalendarTime {
+    date: string; // YYYY-MM-DD
+    minutes: number; // Minutes since local midnight
+    timezone: string;
+}
+
+export interface RecurrenceRule {
+    freq: 'DAILY' | 'WEEKLY' | 'MONTHLY' | 'YEARLY';
+    interval: number;
+    count?: number;
+    until?: number; // Epoch ms
+    byDay?: Array<{ weekday: number; nth?: number }>; // 0 = Sunday; nth selects e.g. the last Friday of a month
+}
+
+/**
+ * A stretch of time the owner is busy. Deliberately carries no event details.
+ */
+export interface BusyPeriod {
+    start: number; // Epoch ms
+    end: number;
+    allDay: boolean;
+}
+
+/**
+ * Free/busy view of one local day within working hours
+ */
+export interface DaySchedule {
+    date: string; // YYYY-MM-DD in the business time zone
+    timezone: string;
+    status: 'working' | 'day_off' | 'holiday' | 'out_of_office';
+    holiday?: string;
+    free: Array<{ start: number; end: number }>;
+    busy: Array<{ start: number; end: number }>;
+}
+
+export type PolicyMode = 'default' | 'never' | 'always';
+
+/**
+ * Persisted reply policy for a chat or a contact. Unset fields inherit from the
+ * contact policy (for chat policies) and then from the global defaults.
+ */
+export interface ChatPolicy {
+    subject: string; // Chat ID or contact ID
+    subjectType: 'chat' | 'contact';
+    mode: PolicyMode;
+    responseDelayMs?: number | null;
+    cooldownMs?: number | null;
+    persona?: string | null;
+    profile?: string | null; // Persona profile name
+    businessHoursOnly?: boolean | null;
+    mutedUntil?: number | null; // Epoch ms; Infinity = muted until unmuted
+    requireApproval?: boolean | null;
+    approvalTimeoutMs?: number | null; // 0 = never auto-send
+    vip?: boolean | null; // Urgent messages are escalated to the owner
+    note?: string | null;
+    updatedAt?: number;
+}
+
+export interface PolicyDecision {
+    allowReply: boolean;
+    reason: string;
+    source: 'chat' | 'contact' | 'default';
+    alwaysReply: boolean;
+    responseDelayMs: number;
+    cooldownMs: number;
+    persona?: string;
+    profile?: string;
+    businessHoursOnly: boolean;
+    requireApproval: boolean;
+    approvalTimeoutMs: number;
+    vip: boolean;
+}
+
+export type DraftStatus = 'pending' | 'approved' | 'edited' | 'rejected' | 'auto_sent' | 'expired' | 'discarded';
+
+export type DraftDecisionSource = 'owner' | 'admin' | 'timeout';
+
+/**
+ * Generated reply waiting for (or decided by) the owner in approval mode
+ */
+export interface ReplyDraft {
+    id: number;
+    chatId: string;
+    chatName?: string;
+    draft: string; // Text the model produced
+    finalText?: string; // Text actually sent (differs from the draft after an edit)
+    status: DraftStatus;
+    model?: string;
+    autoSendAt?: number; // Epoch ms; undefined = wait for the owner
+    createdAt: number;
+    decidedAt?: number;
+    decidedBy?: DraftDecisionSource;
+}
+
+/**
+ * Meeting booking settings
+ */
+export interface BookingConfig {
+    enabled: boolean;
+    durationMinutes: number;
+    slotCount: number; // Slots offered per proposal
+    daysAhead: number; // How far ahead slots are offered when the sender names no day
+    holdHours: number; // Unconfirmed holds are released after this long
+    icsPath: string; // Tentative and confirmed bookings are written here; empty = no file
+}
+
+export type BookingStatus = 'proposed' | 'held' | 'confirmed' | 'declined' | 'cancelled' | 'expired';
+
+export interface MeetingSlot {
+    start: number; // Epoch ms
+    end: number;
+}
+
+/**
+ * Meeting requested over WhatsApp: the slots offered to the contact and, once they chose one,
+ * the tentative hold the owner confirms or declines
+ */
+export interface MeetingBooking {
+    id: number;
+    chatId: string;
+    chatName?: string;
+    contactId?: string;
+    status: BookingStatus;
+    slots: MeetingSlot[]; // Offered slots, in the order they were numbered
+    slot?: MeetingSlot; // Chosen slot
+    expiresAt?: number; // Proposal or hold lapses at this time
+    createdAt: number;
+    updatedAt: number;
+}
+
+/**
+ * Booking state for the reply prompt. 'proposed' offers new slots, 'awaiting_choice' means the
+ * offered slots are still open, 'held'/'confirmed' describe the chosen slot and 'unavailable'
+ * means no free slot was found.
+ */
+export interface BookingPrompt {
+    stage: 'proposed' | 'awaiting_choice' | 'held' | 'confirmed' | 'unavailable';
+    slots: MeetingSlot[];
+    timezone: string;
+    retry?: boolean; // The previous options did not work out
+}
+
+/**
+ * Daily digest settings
+ */
+export interface DigestConfig {
+    enabled: boolean;
+    schedule: string; // Cron expression in the business-hours time zone
+    directory: string; // Each digest is also written here as Markdown; empty = no files
+}
+
+/**
+ * One conversation the assistant handled, as the digest reports it
+ */
+export interface DigestEntry {
+    chatId: string;
+    contact: string; // Chat name, or the phone number when there is none
+    request: string; // What the contact wants
+    urgency: 'high' | 'medium' | 'low';
+    replies: string[]; // What the assistant answered, oldest first
+    followUps: string[]; // What the owner still has to do
+    messageCount: number;
+    lastMessageAt: number;
+}
+
+/**
+ * Digest of the conversations handled between the previous digest and `periodEnd`
+ */
+export interface Digest {
+    id: number;
+    periodStart: number;
+    periodEnd: number;
+    entries: DigestEntry[];
+    filePath?: string;
+    delivered: boolean;
+    createdAt: number;
+}
+
+export type EscalationChannelName = 'self' | 'webhook' | 'ntfy' | 'email';
+
+/**
+ * Urgent-message alert settings
+ */
+export interface EscalationConfig {
+    enabled: boolean;
+    channels: EscalationChannelName[];
+    vipContacts: string[]; // Contact IDs escalated without a VIP policy
+    webhookUrl: string;
+    ntfyUrl: string; // Topic URL, e.g. https://ntfy.sh/my-alerts
+    ntfyToken: string;
+    smtp: SmtpConfig;
+    chatCooldownMs: number; // Minimum time between alerts about the same chat
+    maxPerHour: number; // Alerts sent across all chats in any hour
+    repeatMs: number; // Unacknowledged alerts are repeated this often; 0 = no reminders
+    maxRepeats: number;
+    timeoutMs: number;
+}
+
+export interface SmtpConfig {
+    host: string;
+    port: number;
+    from: string;
+    to: string;
+}
+
+export type EscalationStatus = 'open' | 'acknowledged' | 'expired';
+
+export type EscalationAckSource = 'reply' | 'reaction' | 'command' | 'admin';
+
+/**
+ * Alert to the owner about urgent messages in a chat. New urgent messages in the chat update the
+ * open alert instead of raising another one.
+ */
+export interface Escalation {
+    id: number;
+    chatId: string;
+    chatName?: string;
+    senderId?: string;
+    message: string; // Latest urgent message
+    messageCount: number;
+    status: EscalationStatus;
+    alertCount: number; // Alerts sent, including reminders
+    channels: EscalationChannelName[]; // Channels that delivered the last alert
+    createdAt: number;
+    lastMessageAt: number;
+    lastAlertAt?: number;
+    acknowledgedAt?: number;
+    acknowledgedBy?: EscalationAckSource;
+}
+
+/**
+ * Rolling summary of a chat's older messages, stored so the assistant remembers past conversations
+ */
 export interface ConversationMemory {
     chatId: string;
-    interactions: Array<{
-        role: 'user' | 'assistant';
-        content: string;
-        timestamp: number;
-        metadata?: {
-            messageType?: string;
-            urgency?: string;
-            sentiment?: string;
-        };
-    }>;
-    summary?: string;
+    summary: string;
+    summarizedUntil: number; // Timestamp (ms) of the newest message the summary covers
+    messageCount: number; // Messages condensed into the summary so far
+    model?: string;
     lastUpdated: number;
 }
 
+/**
+ * Settings for the rolling conversation summaries
+ */
+export interface MemoryConfig {
+    enabled: boolean;
+    summaryIntervalMs: number;
+    minMessages: number; // Messages that must leave the recent context before the summary is updated
+}
+
 export interface RateLimitInfo {
     remaining: number;
     resetTime: number;
@@ -153,6 +834,19 @@ export interface MessageAnalysis {
     keyTopics: string[];
     requiresResponse: boolean;
     confidence: number;
+    source: 'model' | 'keywords'; // keywords = the model was off, unavailable or gave an unusable answer
+    model?: string;
+    language?: Language; // Detected from the text's script, not by the model
+}
+
+/**
+ * Message classification settings
+ */
+export interface ClassificationConfig {
+    enabled: boolean; // false = keyword rules only
+    model: string; // Replaces the primary provider's model for classification; empty = the reply model
+    cacheSize: number;
+    cacheTtlMs: number;
 }
 
 export interface ResponseGenerationOptions {
@@ -177,7 +871,7 @@ export interface CloudflareAIRequest {
 
 export interface CloudflareAIResponse {
     result: {
-        response?: string;
+        response?: string | Record<string, unknown>; // An object in JSON mode
         generated_text?: string;
         confidence?: number;
         tokens_used?: number;
@@ -228,6 +922,55 @@ export interface StorageServiceEvents {
     'storage_error': (error: Error) => void;
 }
 
+/**
+ * Monitoring types
+ */
+
+export interface ServiceHealth {
+    name: string;
+    tenant?: string; // Account the service belongs to in multi-tenant mode
+    isHealthy: boolean;
+    status: string;
+    details?: any;
+    lastChecked: number;
+}
+
+export interface TenantHealth {
+    tenant: string;
+    isHealthy: boolean;
+    services: ServiceHealth[];
+}
+
+export interface AppMetrics {
+    uptime: number;
+    startTime: number;
+    services: {
+        [key: string]: {
+            initialized: boolean;
+            healthy: boolean;
+            errors: number;
+            lastError?: string;
+            lastHealthCheck?: number;
+        };
+    };
+    memory: {
+        used: number;
+        total: number;
+        percentage: number;
+    };
+    conversations: {
+        active: number;
+        total: number;
+        messages: number;
+    };
+    timers: {
+        active: number;
+        cooldowns: number;
+        responses: number;
+    };
+    aiProviders: ProviderChainStatus;
+}
+
 /**
  * Utility types
  */
@@ -0,0 +1,149 @@
+import { Escalation, EscalationChannelName, EscalationConfig, SmtpConfig } from '../types';
+import { sendMail } from './smtp';
+
+export const ESCALATION_CHANNELS: EscalationChannelName[] = ['self', 'webhook', 'ntfy', 'email'];
+
+/**
+ * Alert as the channels send it
+ */
+export interface AlertNotice {
+    escalation: Escalation;
+    title: string;
+    text: string;
+    reminder: boolean;
+}
+
+/**
+ * Channel outside WhatsApp that alerts reach the owner through; rejects if the alert was not delivered
+ */
+export interface AlertChannel {
+    readonly name: EscalationChannelName;
+    send(notice: AlertNotice): Promise<void>;
+}
+
+/**
+ * POSTs the alert as JSON to a webhook
+ */
+export class WebhookAlertChannel implements AlertChannel {
+    public readonly name = 'webhook' as const;
+    private url: string;
+    private timeoutMs: number;
+
+    constructor(url: string, timeoutMs: number) {
+        this.url = url;
+        this.timeoutMs = timeoutMs;
+    }
+
+    public async send(notice: AlertNotice): Promise<void> {
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                event: notice.reminder ? 'escalation.reminder' : 'escalation.alert',
+                title: notice.title,
+                text: notice.text,
+                escalation: notice.escalation
+            }),
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+        if (!response.ok) {
+            throw new Error(`Webhook returned ${response.status} ${response.statusText}`);
+        }
+    }
+}
+
+/**
+ * Publishes the alert to an ntfy topic URL (also works with ntfy-compatible push servers)
+ */
+export class NtfyAlertChannel implements AlertChannel {
+    public readonly name = 'ntfy' as const;
+    private topicUrl: string;
+    private token: string;
+    private timeoutMs: number;
+
+    constructor(topicUrl: string, token: string, timeoutMs: number) {
+        this.topicUrl = topicUrl;
+        this.token = token;
+        this.timeoutMs = timeoutMs;
+    }
+
+    public async send(notice: AlertNotice): Promise<void> {
+        const headers: Record<string, string> = {
+            // Header values must be ASCII, so non-Latin names use ntfy's RFC 2047 support
+            'Title': /^[\x20-\x7e]*$/.test(notice.title) ? notice.title : `=?UTF-8?B?${Buffer.from(notice.title, 'utf8').toString('base64')}?=`,
+            'Priority': notice.reminder ? 'high' : 'urgent',
+            'Tags': 'rotating_light'
+        };
+        if (this.token) {
+            headers['Authorization'] = `Bearer ${this.token}`;
+        }
+
+        const response = await fetch(this.topicUrl, {
+            method: 'POST',
+            headers,
+            body: notice.text,
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+        if (!response.ok) {
+            throw new Error(`ntfy returned ${response.status} ${response.statusText}`);
+        }
+    }
+}
+
+/**
+ * Mails the alert through an SMTP server, typically a local relay
+ */
+export class EmailAlertChannel implements AlertChannel {
+    public readonly name = 'email' as const;
+    private smtp: SmtpConfig;
+    private timeoutMs: number;
+
+    constructor(smtp: SmtpConfig, timeoutMs: number) {
+        this.smtp = smtp;
+        this.timeoutMs = timeoutMs;
+    }
+
+    public async send(notice: AlertNotice): Promise<void> {
+        await sendMail(
+            { host: this.smtp.host, port: this.smtp.port, timeoutMs: this.timeoutMs },
+            {
+                from: this.smtp.from,
+                to: this.smtp.to.split(',').map(address => address.trim()).filter(Boolean),
+                subject: notice.title,
+                text: notice.text
+            }
+        );
+    }
+}
+
+/**
+ * Create the channels selected by ESCALATION_CHANNELS. The owner's self-chat is not among them,
+ * it needs the WhatsApp client and is handled by the escalation service.
+ */
+export function createAlertChannels(options: EscalationConfig): AlertChannel[] {
+    const channels: AlertChannel[] = [];
+    for (const name of options.channels) {
+        switch (name) {
+            case 'webhook':
+                channels.push(new WebhookAlertChannel(options.webhookUrl, options.timeoutMs));
+                break;
+            case 'ntfy':
+                channels.push(new NtfyAlertChannel(options.ntfyUrl, options.ntfyToken, options.timeoutMs));
+                break;
+            case 'email':
+                channels.push(new EmailAlertChannel(options.smtp, options.timeoutMs));
+                break;
+        }
+    }
+    return channels;
+}
+
+/**
+ * Turn a comma-separated list of phone numbers or WhatsApp IDs into contact IDs
+ */
+export function parseContactList(value: string | undefined): string[] {
+    return (value || '').split(',')
+        .map(entry => entry.trim())
+        .filter(entry => entry.length > 0)
+        .map(entry => entry.includes('@') ? entry : `${entry.replace(/\D/g, '')}@c.us`);
+}
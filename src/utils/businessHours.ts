@@ -0,0 +1,333 @@
+import { SecretaryPersonality, Weekday, WeeklySchedule, Holiday, TimeWindow, AvailabilityState, DaySchedule } from '../types';
+
+export type BusinessHours = NonNullable<SecretaryPersonality['businessHours']>;
+
+/**
+ * Wall-clock time in a specific time zone
+ */
+export interface ZonedTime {
+    date: string;     // YYYY-MM-DD
+    weekday: number;  // 0 = Sunday
+    minutes: number;  // Minutes since local midnight
+}
+
+export const WEEKDAYS: Weekday[] = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const SHORT_WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_LOOKAHEAD_DAYS = 31;
+
+// Intl.DateTimeFormat construction is comparatively expensive, keep one per zone
+const formatters: Map<string, Intl.DateTimeFormat> = new Map();
+
+function getFormatter(timeZone: string): Intl.DateTimeFormat {
+    let formatter = formatters.get(timeZone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        });
+        formatters.set(timeZone, formatter);
+    }
+    return formatter;
+}
+
+/**
+ * Convert an instant to wall-clock time in the given IANA time zone
+ */
+export function getZonedTime(date: Date, timeZone: string): ZonedTime {
+    const parts = getFormatter(timeZone).formatToParts(date);
+    const part = (type: string) => parts.find(p => p.type === type)?.value || '';
+
+    return {
+        date: `${part('year')}-${part('month')}-${part('day')}`,
+        weekday: SHORT_WEEKDAYS.indexOf(part('weekday')),
+        minutes: parseInt(part('hour'), 10) * 60 + parseInt(part('minute'), 10)
+    };
+}
+
+/**
+ * Convert a wall-clock time in a time zone to an epoch timestamp (ms).
+ * Handles DST: times skipped by a spring-forward transition resolve to the later offset.
+ */
+export function zonedTimeToInstant(date: string, minutes: number, timeZone: string): number {
+    const [year, month, day] = date.split('-').map(value => parseInt(value, 10));
+    const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+
+    const offsetAt = (instant: number): number => {
+        const zoned = getZonedTime(new Date(instant), timeZone);
+        const [y, m, d] = zoned.date.split('-').map(value => parseInt(value, 10));
+        return Date.UTC(y, m - 1, d, 0, zoned.minutes) - (instant - (instant % 60000));
+    };
+
+    const firstGuess = wallClock - offsetAt(wallClock);
+    const secondOffset = offsetAt(firstGuess);
+    return wallClock - secondOffset;
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+export function addDays(date: string, days: number): string {
+    const [year, month, day] = date.split('-').map(value => parseInt(value, 10));
+    return new Date(Date.UTC(year, month - 1, day) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Parse "HH:MM" into minutes since midnight
+ */
+export function parseTimeOfDay(value: string): number {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value.trim());
+    if (!match || parseInt(match[1], 10) > 23 || parseInt(match[2], 10) > 59) {
+        throw new Error(`Invalid time of day: ${value} (expected HH:MM)`);
+    }
+    return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+/**
+ * Parse a weekly schedule such as "sun-thu 09:00-18:00; fri 09:00-13:00".
+ * Days that are not listed are closed; a day may have several windows ("mon 09:00-12:00,13:00-17:00").
+ */
+export function parseWeeklySchedule(text: string): WeeklySchedule {
+    const schedule: WeeklySchedule = {};
+
+    for (const entry of text.split(';').map(part => part.trim()).filter(Boolean)) {
+        const match = /^([a-z]{3})(?:-([a-z]{3}))?\s+(.+)$/i.exec(entry);
+        if (!match) {
+            throw new Error(`Invalid schedule entry: "${entry}" (expected e.g. "mon-fri 09:00-17:00")`);
+        }
+
+        const first = WEEKDAYS.indexOf(match[1].toLowerCase() as Weekday);
+        const last = match[2] ? WEEKDAYS.indexOf(match[2].toLowerCase() as Weekday) : first;
+        if (first === -1 || last === -1) {
+            throw new Error(`Invalid weekday in schedule entry: "${entry}"`);
+        }
+
+        const windows: TimeWindow[] = match[3].split(',').map(range => {
+            const [start, end] = range.trim().split('-');
+            if (!start || !end) {
+                throw new Error(`Invalid time range in schedule entry: "${entry}"`);
+            }
+            parseTimeOfDay(start);
+            parseTimeOfDay(end);
+            return { start: start.trim(), end: end.trim() };
+        });
+
+        // Ranges may wrap around the week, e.g. "fri-sun"
+        for (let offset = 0; offset <= (last - first + 7) % 7; offset++) {
+            const day = WEEKDAYS[(first + offset) % 7];
+            schedule[day] = [...(schedule[day] || []), ...windows];
+        }
+    }
+
+    return schedule;
+}
+
+/**
+ * Parse a holiday list such as "2026-09-21=Yom Kippur,2026-12-25"
+ */
+export function parseHolidays(text: string): Holiday[] {
+    return text.split(',').map(part => part.trim()).filter(Boolean).map(entry => {
+        const [date, ...name] = entry.split('=');
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date.trim()) || isNaN(Date.parse(date.trim()))) {
+            throw new Error(`Invalid holiday date: "${entry}" (expected YYYY-MM-DD[=Name])`);
+        }
+        return name.length > 0 ? { date: date.trim(), name: name.join('=').trim() } : { date: date.trim() };
+    });
+}
+
+/**
+ * Working windows for a weekday; without a weekly schedule every day uses start/end
+ */
+function getWindows(hours: BusinessHours, weekday: number): TimeWindow[] {
+    if (hours.weeklySchedule) {
+        return hours.weeklySchedule[WEEKDAYS[weekday]] || [];
+    }
+    return [{ start: hours.start, end: hours.end }];
+}
+
+/**
+ * Holiday that falls on a local date, if any
+ */
+export function getHoliday(hours: BusinessHours, date: string): Holiday | undefined {
+    return hours.holidays?.find(holiday => holiday.date === date);
+}
+
+/**
+ * Check whether an instant falls inside business hours. Windows that end before they
+ * start (e.g. 22:00-06:00) wrap past midnight; holidays close the whole local date.
+ */
+export function isWithinBusinessHours(hours: BusinessHours, date: Date = new Date()): boolean {
+    const { date: localDate, weekday, minutes } = getZonedTime(date, hours.timezone);
+
+    if (getHoliday(hours, localDate)) {
+        return false;
+    }
+
+    const today = getWindows(hours, weekday).some(window => {
+        const start = parseTimeOfDay(window.start);
+        const end = parseTimeOfDay(window.end);
+        if (start === end) {
+            return true;
+        }
+        return start < end
+            ? minutes >= start && minutes < end
+            : minutes >= start;
+    });
+
+    // Tail of an overnight window that started yesterday
+    const fromYesterday = getWindows(hours, (weekday + 6) % 7).some(window => {
+        const start = parseTimeOfDay(window.start);
+        const end = parseTimeOfDay(window.end);
+        return end < start && minutes < end;
+    });
+
+    return today || fromYesterday;
+}
+
+/**
+ * Working windows of a local date as instants; empty on holidays and days off.
+ * Overnight windows end on the following day.
+ */
+export function getBusinessWindows(hours: BusinessHours, date: string): Array<{ start: number; end: number }> {
+    if (getHoliday(hours, date)) {
+        return [];
+    }
+
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return getWindows(hours, weekday).map(window => {
+        const start = parseTimeOfDay(window.start);
+        const end = parseTimeOfDay(window.end);
+        return {
+            start: zonedTimeToInstant(date, start, hours.timezone),
+            end: end > start
+                ? zonedTimeToInstant(date, end, hours.timezone)
+                : zonedTimeToInstant(addDays(date, 1), end, hours.timezone)
+        };
+    }).sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Next instant at or after `from` that falls inside business hours, or null if none within a month
+ */
+export function getNextBusinessOpening(hours: BusinessHours, from: Date = new Date()): number | null {
+    if (isWithinBusinessHours(hours, from)) {
+        return from.getTime();
+    }
+
+    const startDate = getZonedTime(from, hours.timezone).date;
+    for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+        const date = addDays(startDate, offset);
+        if (getHoliday(hours, date)) {
+            continue;
+        }
+
+        const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+        const openings = getWindows(hours, weekday)
+            .map(window => zonedTimeToInstant(date, parseTimeOfDay(window.start), hours.timezone))
+            .filter(instant => instant > from.getTime())
+            .sort((a, b) => a - b);
+
+        if (openings.length > 0) {
+            return openings[0];
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Human-readable local time, e.g. "Sun 19 Oct 09:00" in the default locale
+ */
+export function formatZonedTime(instant: number, timeZone: string, locale: string = 'en-GB'): string {
+    return new Intl.DateTimeFormat(locale, {
+        timeZone,
+        weekday: 'short',
+        day: 'numeric',
+        month: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).format(new Date(instant)).replace(/,/g, '');
+}
+
+/**
+ * Describe the owner's availability for the system prompt. Only the state and the
+ * return time are shared, never the reason behind an out-of-office window.
+ */
+export function describeAvailability(state: AvailabilityState, ownerName: string): string {
+    const back = state.nextAvailableAt
+        ? ` ${ownerName} is expected back ${formatZonedTime(state.nextAvailableAt, state.timezone)} (${state.timezone}).`
+        : '';
+
+    switch (state.status) {
+        case 'out_of_office':
+            return `${ownerName} is out of office.${back} Tell the sender when ${ownerName} will be back and that the message will be passed on; do not promise a reply before then.` +
+                (state.outOfOffice?.message ? `\nOut-of-office note from ${ownerName}: ${state.outOfOffice.message}` : '');
+        case 'holiday':
+            return `Today is a day off (${state.holiday}) for ${ownerName}.${back} Let the sender know ${ownerName} will reply after the holiday; offer to pass on anything urgent.`;
+        case 'after_hours':
+            return `It is outside ${ownerName}'s working hours (local time ${state.localTime}).${back} Let the sender know ${ownerName} will get back to them during working hours; offer to pass on anything urgent.`;
+        case 'busy': {
+            const until = state.busy?.allDay
+                ? `busy for the rest of the day.${back}`
+                : `in a meeting until ${formatTimeOfDay(state.busy?.end ?? Date.now(), state.timezone)} (local time ${state.localTime}).`;
+            return `${ownerName} is ${until} Let the sender know ${ownerName} will get back to them after that; do not say what ${ownerName} is doing.`;
+        }
+        default:
+            return `${ownerName} is within working hours (local time ${state.localTime}) but busy right now.`;
+    }
+}
+
+/**
+ * Describe free and busy times of the requested days for the system prompt. Only times are
+ * listed: the calendar's event titles are never part of a DaySchedule.
+ */
+export function describeSchedule(days: DaySchedule[], ownerName: string): string {
+    const format = (ranges: Array<{ start: number; end: number }>, timezone: string) =>
+        ranges.map(range => `${formatTimeOfDay(range.start, timezone)}-${formatTimeOfDay(range.end, timezone)}`).join(', ');
+
+    const lines = days.map(day => {
+        const label = formatDateLabel(day.date);
+        switch (day.status) {
+            case 'holiday':
+                return `${label}: day off (${day.holiday})`;
+            case 'day_off':
+                return `${label}: not a working day`;
+            case 'out_of_office':
+                return `${label}: out of office`;
+            default: {
+                const parts = [day.free.length > 0 ? `free ${format(day.free, day.timezone)}` : 'fully booked'];
+                if (day.busy.length > 0) {
+                    parts.push(`busy ${format(day.busy, day.timezone)}`);
+                }
+                return `${label}: ${parts.join('; ')}`;
+            }
+        }
+    });
+
+    return `${lines.join('\n')}\nTimes are ${days[0]?.timezone || 'local'}. Answer questions about when ${ownerName} is free from these times only and never say what ${ownerName} is busy with. Do not confirm a meeting; offer to pass the suggested time on to ${ownerName}.`;
+}
+
+/**
+ * "HH:MM" of an instant in a time zone
+ */
+export function formatTimeOfDay(instant: number, timeZone: string): string {
+    const { minutes } = getZonedTime(new Date(instant), timeZone);
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * "Thu 22 Oct" for a YYYY-MM-DD date in the default locale
+ */
+export function formatDateLabel(date: string, locale: string = 'en-GB'): string {
+    return new Intl.DateTimeFormat(locale, { timeZone: 'UTC', weekday: 'short', day: 'numeric', month: 'short' })
+        .format(new Date(`${date}T12:00:00Z`))
+        .replace(/,/g, '');
+}
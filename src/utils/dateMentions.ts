@@ -0,0 +1,102 @@
+import { addDays, getZonedTime } from './businessHours';
+
+const MAX_DATES = 7;
+const MAX_DAYS_AHEAD = 90;
+
+// "sun" and "sat" are ordinary words, so those two days need their full names
+const WEEKDAY_PATTERNS = [/^sunday$/, /^mon(day)?$/, /^tue(s|sday)?$/, /^wed(nesday)?$/, /^thu(r|rs|rsday)?$/, /^fri(day)?$/, /^saturday$/];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t|tember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+
+const AVAILABILITY_QUESTION = /\b(free|available|availability|busy|meet|meeting|call|catch up|schedule|when can|what time)\b/i;
+
+/**
+ * Local dates (YYYY-MM-DD) a message refers to: "today", "tomorrow", weekday names ("are you free
+ * Thursday?", "next Monday"), "next week", and dates such as "23/10", "2026-10-23" or "Oct 23".
+ * Numeric dates are read day first. Past dates without a year roll over to next year.
+ */
+export function findRequestedDates(text: string, now: Date, timeZone: string): string[] {
+    const input = text.toLowerCase();
+    const today = getZonedTime(now, timeZone);
+    const dates: string[] = [];
+
+    if (/\bday after tomorrow\b/.test(input)) {
+        dates.push(addDays(today.date, 2));
+    } else if (/\btomorrow\b/.test(input)) {
+        dates.push(addDays(today.date, 1));
+    }
+    if (/\b(today|tonight|this (morning|afternoon|evening))\b/.test(input)) {
+        dates.push(today.date);
+    }
+
+    if (/\bnext week\b/.test(input)) {
+        const nextSunday = addDays(today.date, 7 - today.weekday);
+        for (let day = 0; day < 7; day++) {
+            dates.push(addDays(nextSunday, day));
+        }
+    }
+
+    for (const match of input.matchAll(/\b(next\s+)?([a-z]+)\b/g)) {
+        const weekday = WEEKDAY_PATTERNS.findIndex(pattern => pattern.test(match[2]));
+        if (weekday === -1) {
+            continue;
+        }
+        let offset = (weekday - today.weekday + 7) % 7;
+        if (match[1] && offset === 0) {
+            offset = 7;
+        }
+        dates.push(addDays(today.date, offset));
+    }
+
+    for (const match of input.matchAll(/\b(\d{4})-(\d{2})-(\d{2})\b/g)) {
+        pushDate(dates, today.date, parseInt(match[3], 10), parseInt(match[2], 10), parseInt(match[1], 10));
+    }
+    for (const match of input.matchAll(/(?<![\d:.\/-])(\d{1,2})[\/.](\d{1,2})(?:[\/.](\d{2,4}))?(?![\d:\/-]|\.\d)/g)) {
+        const year = match[3] ? parseInt(match[3], 10) + (match[3].length === 2 ? 2000 : 0) : undefined;
+        pushDate(dates, today.date, parseInt(match[1], 10), parseInt(match[2], 10), year);
+    }
+    for (const match of input.matchAll(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?(?:\\s+of)?\\s+${MONTH_NAME}\\b`, 'g'))) {
+        pushDate(dates, today.date, parseInt(match[1], 10), MONTHS.indexOf(match[2].slice(0, 3)) + 1);
+    }
+    for (const match of input.matchAll(new RegExp(`\\b${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`, 'g'))) {
+        pushDate(dates, today.date, parseInt(match[2], 10), MONTHS.indexOf(match[1].slice(0, 3)) + 1);
+    }
+
+    const latest = addDays(today.date, MAX_DAYS_AHEAD);
+    return [...new Set(dates)]
+        .filter(date => date >= today.date && date <= latest)
+        .sort()
+        .slice(0, MAX_DATES);
+}
+
+/**
+ * Whether a message asks when the owner is free, e.g. "can we meet?" or "are you available for a call"
+ */
+export function asksAboutAvailability(text: string): boolean {
+    return AVAILABILITY_QUESTION.test(text);
+}
+
+/**
+ * Add a valid calendar date; without a year the next occurrence on or after today is used
+ */
+function pushDate(dates: string[], today: string, day: number, month: number, year?: number): void {
+    if (month < 1 || month > 12 || day < 1 || day > 31) {
+        return;
+    }
+
+    let candidateYear = year ?? parseInt(today.slice(0, 4), 10);
+    let date = formatDate(candidateYear, month, day);
+    if (year === undefined && date < today) {
+        candidateYear++;
+        date = formatDate(candidateYear, month, day);
+    }
+
+    // Reject dates such as 31/02
+    if (new Date(`${date}T00:00:00Z`).getUTCDate() === day) {
+        dates.push(date);
+    }
+}
+
+function formatDate(year: number, month: number, day: number): string {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
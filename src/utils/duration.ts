@@ -0,0 +1,58 @@
+/**
+ * Longest delay setTimeout supports; Node fires longer timers after 1ms
+ */
+export const MAX_TIMER_MS = 2147483647;
+
+const UNIT_MS: Record<string, number> = {
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse a human duration such as "90s", "15m", "2h", "1d" or "1h30m" into milliseconds.
+ * Returns null when the text is not a valid duration.
+ */
+export function parseDuration(text: string): number | null {
+    const input = text.trim().toLowerCase();
+    if (!/^(\d+(\.\d+)?\s*[smhdw]\s*)+$/.test(input)) {
+        return null;
+    }
+
+    let total = 0;
+    const pattern = /(\d+(?:\.\d+)?)\s*([smhdw])/g;
+    let match: RegExpExecArray | null;
+    while ((match = pattern.exec(input)) !== null) {
+        total += parseFloat(match[1]) * UNIT_MS[match[2]];
+    }
+
+    return total > 0 ? Math.round(total) : null;
+}
+
+/**
+ * Format milliseconds as a compact human duration, e.g. "2h 15m"
+ */
+export function formatDuration(ms: number): string {
+    if (ms < 1000) {
+        return '0s';
+    }
+
+    const parts: string[] = [];
+    let remaining = Math.floor(ms / 1000);
+    const units: Array<[string, number]> = [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]];
+
+    for (const [unit, seconds] of units) {
+        const value = Math.floor(remaining / seconds);
+        if (value > 0) {
+            parts.push(`${value}${unit}`);
+            remaining -= value * seconds;
+        }
+        if (parts.length === 2) {
+            break;
+        }
+    }
+
+    return parts.join(' ');
+}
@@ -0,0 +1,433 @@
+import { BusyPeriod, CalendarEvent, CalendarTime, RecurrenceRule } from '../types';
+import { addDays, zonedTimeToInstant } from './businessHours';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_RECURRENCE_STEPS = 20000;
+
+/**
+ * Event written by `formatIcs`
+ */
+export interface IcsOutputEvent {
+    uid: string;
+    start: number; // Epoch ms
+    end: number;
+    summary: string;
+    description?: string;
+    status: 'TENTATIVE' | 'CONFIRMED' | 'CANCELLED';
+    updatedAt: number;
+}
+
+interface IcsProperty {
+    name: string;
+    params: Record<string, string>;
+    value: string;
+}
+
+/**
+ * Parse the VEVENTs of an iCalendar (RFC 5545) document. Times with a TZID keep that zone;
+ * floating times and all-day dates are read in `defaultTimezone`.
+ */
+export function parseIcs(text: string, defaultTimezone: string): CalendarEvent[] {
+    const lines = text.replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    const events: CalendarEvent[] = [];
+    let current: IcsProperty[] | null = null;
+    let nested = 0;
+
+    for (const line of lines) {
+        if (!line.trim()) {
+            continue;
+        }
+        const property = parseProperty(line);
+
+        if (property.name === 'BEGIN') {
+            if (property.value === 'VEVENT' && !current) {
+                current = [];
+            } else if (current) {
+                nested++; // VALARM and friends
+            }
+        } else if (property.name === 'END') {
+            if (current && nested > 0) {
+                nested--;
+            } else if (current && property.value === 'VEVENT') {
+                const event = buildEvent(current, defaultTimezone);
+                if (event) {
+                    events.push(event);
+                }
+                current = null;
+            }
+        } else if (current && nested === 0) {
+            current.push(property);
+        }
+    }
+
+    return events;
+}
+
+/**
+ * Busy periods overlapping [from, to), with recurrences expanded and overlapping events merged
+ */
+export function getBusyPeriods(events: CalendarEvent[], from: number, to: number): BusyPeriod[] {
+    // Edited occurrences replace the matching occurrence of their recurring event
+    const overridden = new Map<string, Set<number>>();
+    for (const event of events) {
+        if (event.recurrenceId !== undefined) {
+            const set = overridden.get(event.uid) || new Set<number>();
+            set.add(event.recurrenceId);
+            overridden.set(event.uid, set);
+        }
+    }
+
+    const periods: BusyPeriod[] = [];
+    for (const event of events) {
+        if (!event.busy) {
+            continue;
+        }
+
+        const skipped = event.recurrenceId === undefined ? overridden.get(event.uid) : undefined;
+        for (const start of expandOccurrences(event, from - event.durationMs, to)) {
+            if (skipped?.has(start)) {
+                continue;
+            }
+            const end = event.allDay
+                ? zonedTimeToInstant(addDays(localDate(start, event.start.timezone), Math.max(1, Math.round(event.durationMs / DAY_MS))), 0, event.start.timezone)
+                : start + event.durationMs;
+            if (end > from && start < to) {
+                periods.push({ start, end: Math.max(end, start), allDay: event.allDay });
+            }
+        }
+    }
+
+    return mergePeriods(periods);
+}
+
+/**
+ * Serialize events as an iCalendar document (UTC times, CRLF line endings, lines folded at 75 octets)
+ */
+export function formatIcs(events: IcsOutputEvent[], productId: string): string {
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${productId}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+    for (const event of events) {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${formatUtc(event.updatedAt)}`,
+            `DTSTART:${formatUtc(event.start)}`,
+            `DTEND:${formatUtc(event.end)}`,
+            `SUMMARY:${escapeText(event.summary)}`,
+            ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+            `STATUS:${event.status}`,
+            'TRANSP:OPAQUE',
+            'END:VEVENT'
+        );
+    }
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Start instants in [from, to) of an event's occurrences
+ */
+function expandOccurrences(event: CalendarEvent, from: number, to: number): number[] {
+    if (!event.rrule || event.recurrenceId !== undefined) {
+        const start = toInstant(event.start);
+        return start >= from && start < to ? [start] : [];
+    }
+
+    const rule = event.rrule;
+    const excluded = new Set(event.exdates);
+    const occurrences: number[] = [];
+    let produced = 0;
+
+    for (let step = 0; step < MAX_RECURRENCE_STEPS; step++) {
+        const dates = candidateDates(event.start.date, rule, step);
+        if (dates === null) {
+            break;
+        }
+
+        for (const date of dates) {
+            if (date < event.start.date) {
+                continue;
+            }
+            const start = zonedTimeToInstant(date, event.start.minutes, event.start.timezone);
+            if ((rule.count !== undefined && produced >= rule.count) || (rule.until !== undefined && start > rule.until) || start >= to) {
+                return occurrences;
+            }
+            produced++;
+            if (!excluded.has(start) && start >= from) {
+                occurrences.push(start);
+            }
+        }
+    }
+
+    return occurrences;
+}
+
+/**
+ * Local dates of the `step`-th recurrence period, in order; null once the rule cannot produce more
+ */
+function candidateDates(startDate: string, rule: RecurrenceRule, step: number): string[] | null {
+    const offset = step * rule.interval;
+    const [year, month, day] = startDate.split('-').map(value => parseInt(value, 10));
+
+    switch (rule.freq) {
+        case 'DAILY': {
+            const date = addDays(startDate, offset);
+            return !rule.byDay || rule.byDay.some(entry => entry.weekday === weekdayOf(date)) ? [date] : [];
+        }
+        case 'WEEKLY': {
+            const weekStart = addDays(startDate, offset * 7 - weekdayOf(startDate));
+            const weekdays = rule.byDay ? rule.byDay.map(entry => entry.weekday) : [weekdayOf(startDate)];
+            return [...new Set(weekdays)].sort((a, b) => a - b).map(weekday => addDays(weekStart, weekday));
+        }
+        case 'MONTHLY': {
+            const monthIndex = month - 1 + offset;
+            const y = year + Math.floor(monthIndex / 12);
+            const m = (monthIndex % 12) + 1;
+            if (rule.byDay) {
+                return rule.byDay
+                    .flatMap(entry => weekdaysInMonth(y, m, entry.weekday, entry.nth))
+                    .sort();
+            }
+            return day <= daysInMonth(y, m) ? [formatDate(y, m, day)] : [];
+        }
+        case 'YEARLY': {
+            const y = year + offset;
+            return day <= daysInMonth(y, month) ? [formatDate(y, month, day)] : [];
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Combine overlapping or touching periods
+ */
+function mergePeriods(periods: BusyPeriod[]): BusyPeriod[] {
+    const merged: BusyPeriod[] = [];
+    for (const period of [...periods].sort((a, b) => a.start - b.start)) {
+        const last = merged[merged.length - 1];
+        if (last && period.start <= last.end) {
+            last.end = Math.max(last.end, period.end);
+            last.allDay = last.allDay || period.allDay;
+        } else {
+            merged.push({ ...period });
+        }
+    }
+    return merged;
+}
+
+function buildEvent(properties: IcsProperty[], defaultTimezone: string): CalendarEvent | null {
+    const get = (name: string) => properties.find(property => property.name === name);
+    const dtstart = get('DTSTART');
+    if (!dtstart) {
+        return null;
+    }
+
+    const start = parseDateTime(dtstart, defaultTimezone);
+    const allDay = start.allDay;
+    const dtend = get('DTEND');
+    const duration = get('DURATION');
+
+    let durationMs: number;
+    if (dtend) {
+        durationMs = toInstant(parseDateTime(dtend, start.time.timezone).time) - toInstant(start.time);
+    } else if (duration) {
+        durationMs = parseDuration(duration.value);
+    } else {
+        durationMs = allDay ? DAY_MS : 0;
+    }
+
+    const status = get('STATUS')?.value.toUpperCase();
+    const transparent = get('TRANSP')?.value.toUpperCase() === 'TRANSPARENT';
+    const rrule = get('RRULE');
+    const recurrenceId = get('RECURRENCE-ID');
+
+    return {
+        uid: get('UID')?.value || `${dtstart.value}-${get('SUMMARY')?.value || ''}`,
+        summary: unescapeText(get('SUMMARY')?.value || ''),
+        start: start.time,
+        durationMs: Math.max(0, durationMs),
+        allDay,
+        busy: status !== 'CANCELLED' && !transparent,
+        rrule: rrule ? parseRecurrenceRule(rrule.value, start.time.timezone) : undefined,
+        exdates: properties
+            .filter(property => property.name === 'EXDATE')
+            .flatMap(property => property.value.split(',').map(value => toInstant(parseDateTime({ ...property, value }, start.time.timezone).time))),
+        recurrenceId: recurrenceId ? toInstant(parseDateTime(recurrenceId, start.time.timezone).time) : undefined
+    };
+}
+
+/**
+ * "NAME;PARAM=a;PARAM2="b:c":value"
+ */
+function parseProperty(line: string): IcsProperty {
+    let quoted = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') {
+            quoted = !quoted;
+        } else if (line[i] === ':' && !quoted) {
+            colon = i;
+            break;
+        }
+    }
+
+    const head = colon === -1 ? line : line.slice(0, colon);
+    const [name, ...rawParams] = head.split(';');
+    const params: Record<string, string> = {};
+    for (const param of rawParams) {
+        const separator = param.indexOf('=');
+        if (separator > 0) {
+            params[param.slice(0, separator).toUpperCase()] = param.slice(separator + 1).replace(/^"|"$/g, '');
+        }
+    }
+
+    return { name: name.trim().toUpperCase(), params, value: colon === -1 ? '' : line.slice(colon + 1).trim() };
+}
+
+/**
+ * DATE ("20261022") or DATE-TIME ("20261022T100000", with "Z" for UTC or a TZID parameter)
+ */
+function parseDateTime(property: IcsProperty, defaultTimezone: string): { time: CalendarTime; allDay: boolean } {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(property.value.trim());
+    if (!match) {
+        throw new Error(`Invalid ${property.name} value: ${property.value}`);
+    }
+
+    const date = `${match[1]}-${match[2]}-${match[3]}`;
+    if (match[4] === undefined) {
+        return { time: { date, minutes: 0, timezone: defaultTimezone }, allDay: true };
+    }
+
+    const timezone = match[7] ? 'UTC' : resolveTimezone(property.params.TZID, defaultTimezone);
+    return { time: { date, minutes: parseInt(match[4], 10) * 60 + parseInt(match[5], 10), timezone }, allDay: false };
+}
+
+function parseRecurrenceRule(value: string, timezone: string): RecurrenceRule | undefined {
+    const parts: Record<string, string> = {};
+    for (const part of value.split(';')) {
+        const [key, val] = part.split('=');
+        if (key && val) {
+            parts[key.toUpperCase()] = val.toUpperCase();
+        }
+    }
+
+    const freq = parts.FREQ as RecurrenceRule['freq'];
+    if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(freq)) {
+        return undefined; // Unsupported (e.g. HOURLY): only the first occurrence is used
+    }
+
+    const byDay = parts.BYDAY?.split(',').map(entry => {
+        const match = /^([+-]?\d+)?([A-Z]{2})$/.exec(entry);
+        return match && ICS_WEEKDAYS.includes(match[2])
+            ? { weekday: ICS_WEEKDAYS.indexOf(match[2]), nth: match[1] ? parseInt(match[1], 10) : undefined }
+            : null;
+    }).filter((entry): entry is { weekday: number; nth: number | undefined } => entry !== null);
+
+    return {
+        freq,
+        interval: Math.max(1, parseInt(parts.INTERVAL || '1', 10) || 1),
+        count: parts.COUNT ? parseInt(parts.COUNT, 10) : undefined,
+        until: parts.UNTIL ? toInstant(parseDateTime({ name: 'UNTIL', params: {}, value: parts.UNTIL }, timezone).time) + (/T/.test(parts.UNTIL) ? 0 : DAY_MS - 1) : undefined,
+        byDay: byDay && byDay.length > 0 ? byDay : undefined
+    };
+}
+
+/**
+ * ISO 8601 duration such as "PT1H30M", "P1D" or "P2W"
+ */
+function parseDuration(value: string): number {
+    const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+    if (!match) {
+        throw new Error(`Invalid DURATION value: ${value}`);
+    }
+    const [, sign, weeks, days, hours, minutes, seconds] = match.map(part => part || '0');
+    const ms = ((parseInt(weeks, 10) * 7 + parseInt(days, 10)) * 24 * 3600 + parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseInt(seconds, 10)) * 1000;
+    return sign === '-' ? -ms : ms;
+}
+
+/**
+ * Map a TZID to an IANA zone; exporters sometimes prefix it ("/citadel.org/.../Europe/Berlin")
+ */
+function resolveTimezone(tzid: string | undefined, fallback: string): string {
+    if (!tzid) {
+        return fallback;
+    }
+    for (const candidate of [tzid, tzid.split('/').slice(-2).join('/')]) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: candidate });
+            return candidate;
+        } catch {
+            // Not an IANA zone name
+        }
+    }
+    return fallback;
+}
+
+function toInstant(time: CalendarTime): number {
+    return zonedTimeToInstant(time.date, time.minutes, time.timezone);
+}
+
+function localDate(instant: number, timezone: string): string {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date(instant));
+}
+
+function weekdayOf(date: string): number {
+    return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+function daysInMonth(year: number, month: number): number {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function formatDate(year: number, month: number, day: number): string {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Dates of a weekday in a month; `nth` picks one (1 = first, -1 = last)
+ */
+function weekdaysInMonth(year: number, month: number, weekday: number, nth?: number): string[] {
+    const dates: string[] = [];
+    for (let day = 1; day <= daysInMonth(year, month); day++) {
+        const date = formatDate(year, month, day);
+        if (weekdayOf(date) === weekday) {
+            dates.push(date);
+        }
+    }
+    if (nth === undefined) {
+        return dates;
+    }
+    const picked = nth > 0 ? dates[nth - 1] : dates[dates.length + nth];
+    return picked ? [picked] : [];
+}
+
+function unescapeText(value: string): string {
+    return value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+}
+
+function escapeText(value: string): string {
+    return value.replace(/([,;\\])/g, '\\$1').replace(/\r?\n/g, '\\n');
+}
+
+function formatUtc(instant: number): string {
+    return new Date(instant).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function foldLine(line: string): string {
+    // Continuation lines start with a space, so they carry one octet less
+    const parts: string[] = [];
+    let rest = line;
+    let limit = 75;
+    while (Buffer.byteLength(rest) > limit) {
+        let length = Math.min(rest.length, limit);
+        while (Buffer.byteLength(rest.slice(0, length)) > limit) {
+            length--;
+        }
+        parts.push(rest.slice(0, length));
+        rest = rest.slice(length);
+        limit = 74;
+    }
+    parts.push(rest);
+    return parts.join('\r\n ');
+}
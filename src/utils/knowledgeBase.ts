@@ -0,0 +1,207 @@
+import { KnowledgeAudience, KnowledgeChunk, KnowledgeVisibility } from '../types';
+import { parseYaml } from './yaml';
+
+const VISIBILITIES: KnowledgeVisibility[] = ['public', 'contacts', 'chats'];
+const MAX_CHUNK_LENGTH = 1000;
+
+/**
+ * Entry settings shared by a whole file (Markdown front matter or YAML top level)
+ */
+interface EntryDefaults {
+    visibility?: KnowledgeVisibility;
+    chats: string[];
+    tags: string[];
+    pinned: boolean;
+}
+
+/**
+ * Split a knowledge base file into chunks. `source` is the path relative to the knowledge
+ * directory; its extension selects the format. Throws on malformed files.
+ */
+export function parseKnowledgeFile(source: string, text: string): KnowledgeChunk[] {
+    const chunks = /\.ya?ml$/i.test(source)
+        ? parseYamlEntries(source, text)
+        : parseMarkdown(source, text);
+
+    return chunks.map((chunk, index) => ({ ...chunk, id: `${source}#${index + 1}` }));
+}
+
+/**
+ * Whether the audience may see a chunk. Entries without a visibility are for contacts only,
+ * so nothing is shared with strangers unless it is marked public.
+ */
+export function isVisibleTo(chunk: KnowledgeChunk, audience: KnowledgeAudience): boolean {
+    switch (chunk.visibility) {
+        case 'public':
+            return true;
+        case 'contacts':
+            return audience.isKnownContact;
+        case 'chats': {
+            const ids = [audience.chatId, audience.senderId].filter((id): id is string => !!id).map(normalizeChatId);
+            return chunk.chats.some(chat => ids.includes(normalizeChatId(chat)));
+        }
+        default:
+            return false;
+    }
+}
+
+/**
+ * Markdown: optional `---` front matter, then one chunk per heading section
+ */
+function parseMarkdown(source: string, text: string): Omit<KnowledgeChunk, 'id'>[] {
+    let body = text.replace(/\r\n?/g, '\n');
+    let frontMatter: Record<string, unknown> = {};
+
+    const match = /^---\n([\s\S]*?)\n---[ \t]*(\n|$)/.exec(body);
+    if (match) {
+        frontMatter = asRecord(parseYaml(match[1]), 'front matter');
+        body = body.slice(match[0].length);
+    }
+
+    const defaults = readDefaults(frontMatter);
+    const fileTitle = asString(frontMatter.title) || titleFromPath(source);
+    const sections: Array<{ title: string; lines: string[] }> = [{ title: fileTitle, lines: [] }];
+    let inCodeBlock = false;
+
+    for (const line of body.split('\n')) {
+        if (/^(```|~~~)/.test(line.trim())) {
+            inCodeBlock = !inCodeBlock;
+        }
+        const heading = inCodeBlock ? null : /^#{1,6}\s+(.+?)\s*#*\s*$/.exec(line);
+        if (heading) {
+            sections.push({ title: heading[1], lines: [] });
+        } else {
+            sections[sections.length - 1].lines.push(line);
+        }
+    }
+
+    return sections.flatMap(section => splitContent(section.lines.join('\n')).map(content => ({
+        source,
+        title: section.title,
+        content,
+        visibility: defaults.visibility || 'contacts',
+        chats: defaults.chats,
+        tags: defaults.tags,
+        pinned: defaults.pinned
+    })));
+}
+
+/**
+ * YAML: a list of entries, or a mapping with file-wide defaults and an `entries` list.
+ * Each entry has `title` and `content` (or `question` and `answer`).
+ */
+function parseYamlEntries(source: string, text: string): Omit<KnowledgeChunk, 'id'>[] {
+    const document = parseYaml(text);
+    if (document === null) {
+        return [];
+    }
+
+    let defaults: EntryDefaults = { chats: [], tags: [], pinned: false };
+    let entries: unknown = document;
+    if (!Array.isArray(document)) {
+        const root = asRecord(document, 'document');
+        defaults = readDefaults(root);
+        entries = root.entries;
+    }
+    if (!Array.isArray(entries)) {
+        throw new Error('Expected a list of entries or an "entries" key');
+    }
+
+    return entries.flatMap((value, index) => {
+        const entry = asRecord(value, `entry ${index + 1}`);
+        const title = asString(entry.title) || asString(entry.question) || titleFromPath(source);
+        const content = asString(entry.content) || asString(entry.answer);
+        if (!content) {
+            throw new Error(`Entry ${index + 1} ("${title}") has no content`);
+        }
+
+        const own = readDefaults(entry);
+        return splitContent(content).map(part => ({
+            source,
+            title,
+            content: part,
+            visibility: own.visibility || defaults.visibility || 'contacts',
+            chats: own.chats.length > 0 ? own.chats : defaults.chats,
+            tags: [...new Set([...defaults.tags, ...own.tags])],
+            pinned: entry.pinned !== undefined ? own.pinned : defaults.pinned
+        }));
+    });
+}
+
+/**
+ * Read visibility, chats, tags and pinned; listing chats implies `visibility: chats`
+ */
+function readDefaults(fields: Record<string, unknown>): EntryDefaults {
+    const chats = asStringList(fields.chats);
+    let visibility: KnowledgeVisibility | undefined;
+
+    if (fields.visibility !== undefined && fields.visibility !== null) {
+        const value = String(fields.visibility).toLowerCase() as KnowledgeVisibility;
+        if (!VISIBILITIES.includes(value)) {
+            throw new Error(`Invalid visibility "${fields.visibility}". Must be one of: ${VISIBILITIES.join(', ')}`);
+        }
+        visibility = value;
+    } else if (chats.length > 0) {
+        visibility = 'chats';
+    }
+
+    if (visibility === 'chats' && chats.length === 0) {
+        throw new Error('Visibility "chats" needs a "chats" list');
+    }
+
+    return { visibility, chats, tags: asStringList(fields.tags), pinned: fields.pinned === true };
+}
+
+/**
+ * Trim a section and split it at paragraph breaks when it is too long for one chunk
+ */
+function splitContent(text: string): string[] {
+    const paragraphs = text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+    const chunks: string[] = [];
+    let current = '';
+
+    for (const paragraph of paragraphs) {
+        if (current && current.length + paragraph.length + 2 > MAX_CHUNK_LENGTH) {
+            chunks.push(current);
+            current = paragraph;
+        } else {
+            current = current ? `${current}\n\n${paragraph}` : paragraph;
+        }
+    }
+    if (current) {
+        chunks.push(current);
+    }
+
+    return chunks;
+}
+
+/**
+ * Compare chat ids by their digits so "972501234567@c.us" matches "+972 50-123-4567"
+ */
+function normalizeChatId(id: string): string {
+    const digits = id.replace(/@.*$/, '').replace(/\D/g, '');
+    return digits || id.toLowerCase();
+}
+
+function titleFromPath(source: string): string {
+    const name = source.split('/').pop() || source;
+    return name.replace(/\.[^.]+$/, '').replace(/[-_]+/g, ' ');
+}
+
+function asRecord(value: unknown, label: string): Record<string, unknown> {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error(`Expected a mapping for ${label}`);
+    }
+    return value as Record<string, unknown>;
+}
+
+function asString(value: unknown): string {
+    return value === undefined || value === null ? '' : String(value).trim();
+}
+
+function asStringList(value: unknown): string[] {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    return (Array.isArray(value) ? value : [value]).map(item => String(item).trim()).filter(Boolean);
+}
@@ -0,0 +1,144 @@
+import { Language, WhatsAppMessage } from '../types';
+
+export const LANGUAGES: Language[] = ['en', 'he', 'ar', 'ru'];
+
+const LANGUAGE_NAMES: Record<Language, string> = {
+    en: 'English',
+    he: 'Hebrew',
+    ar: 'Arabic',
+    ru: 'Russian'
+};
+
+// Arabic digits stay Latin so times read the same as in the owner's calendar
+const LOCALES: Record<Language, string> = {
+    en: 'en-GB',
+    he: 'he-IL',
+    ar: 'ar-u-nu-latn',
+    ru: 'ru-RU'
+};
+
+const SCRIPTS: Array<{ language: Language; pattern: RegExp }> = [
+    { language: 'he', pattern: /\p{Script=Hebrew}/gu },
+    { language: 'ar', pattern: /\p{Script=Arabic}/gu },
+    { language: 'ru', pattern: /\p{Script=Cyrillic}/gu },
+    { language: 'en', pattern: /\p{Script=Latin}/gu }
+];
+
+// Parts of a message that are Latin whatever language it is written in
+const NON_PROSE = /https?:\/\/\S+|www\.\S+|\S+@\S+\.\S+|@\d+|\[[^\]]*\]/g;
+
+const RTL_LETTER = /[\p{Script=Hebrew}\p{Script=Arabic}]/u;
+const FIRST_STRONG_LETTER = /\p{L}/u;
+const DIRECTION_OVERRIDES = /[\u202A-\u202E\u2066-\u2069]/g;
+const RIGHT_TO_LEFT_MARK = '\u200F';
+
+// Characters that belong to the character before them
+const COMBINING = /[\p{M}\u200D\uFE0F]/u;
+
+/**
+ * Human-readable name of a language, for prompts
+ */
+export function getLanguageName(language: Language): string {
+    return LANGUAGE_NAMES[language];
+}
+
+/**
+ * Locale used to format dates and times for a language
+ */
+export function getLocale(language: Language = 'en'): string {
+    return LOCALES[language];
+}
+
+/**
+ * Check whether a value is one of the supported language codes
+ */
+export function isLanguage(value: unknown): value is Language {
+    return typeof value === 'string' && (LANGUAGES as string[]).includes(value);
+}
+
+/**
+ * Check whether a language is written right to left
+ */
+export function isRightToLeft(language?: Language): boolean {
+    return language === 'he' || language === 'ar';
+}
+
+/**
+ * Detect the language of a message from the script most of its letters are written in.
+ * Links, e-mail addresses, mentions and labels are ignored; undefined if no letters are left.
+ */
+export function detectLanguage(text: string): Language | undefined {
+    const prose = text.replace(NON_PROSE, ' ');
+    let detected: Language | undefined;
+    let most = 0;
+
+    for (const { language, pattern } of SCRIPTS) {
+        const count = prose.match(pattern)?.length ?? 0;
+        if (count > most) {
+            detected = language;
+            most = count;
+        }
+    }
+
+    return detected;
+}
+
+/**
+ * Language of a conversation: that of the contact's latest message with any letters in it
+ */
+export function detectConversationLanguage(messages: WhatsAppMessage[]): Language | undefined {
+    for (let i = messages.length - 1; i >= 0; i--) {
+        const message = messages[i];
+        if (message.from === 'secretary_bot' || message.from === 'bot') {
+            continue;
+        }
+
+        const language = message.analysis?.language ?? detectLanguage(message.body);
+        if (language) {
+            return language;
+        }
+    }
+
+    return undefined;
+}
+
+/**
+ * Make text display in the right order in WhatsApp. Direction overrides copied from elsewhere are
+ * removed, and in right-to-left replies every line that starts with a Latin word or a number gets
+ * a right-to-left mark, so a line like "Zoom link: ..." keeps Hebrew or Arabic reading order.
+ */
+export function makeBidiSafe(text: string, language?: Language): string {
+    const cleaned = text.replace(DIRECTION_OVERRIDES, '');
+    if (!isRightToLeft(language)) {
+        return cleaned;
+    }
+
+    return cleaned
+        .split('\n')
+        .map(line => {
+            const firstLetter = line.match(FIRST_STRONG_LETTER)?.[0];
+            const startsLeftToRight = !firstLetter || !RTL_LETTER.test(firstLetter) || /^\s*\d/.test(line);
+            return RTL_LETTER.test(line) && startsLeftToRight && !line.startsWith(RIGHT_TO_LEFT_MARK)
+                ? RIGHT_TO_LEFT_MARK + line
+                : line;
+        })
+        .join('\n');
+}
+
+/**
+ * Shorten text to at most maxLength characters, ending with an ellipsis. Never cuts through a
+ * surrogate pair, a letter and its vowel marks (Hebrew niqqud, Arabic harakat) or an emoji sequence.
+ */
+export function truncateText(text: string, maxLength: number, ellipsis = '...'): string {
+    const characters = Array.from(text);
+    if (characters.length <= maxLength) {
+        return text;
+    }
+
+    let end = Math.max(maxLength - ellipsis.length, 0);
+    while (end > 0 && (COMBINING.test(characters[end]) || characters[end - 1] === '\u200D')) {
+        end--;
+    }
+
+    return characters.slice(0, end).join('').trimEnd() + ellipsis;
+}
@@ -0,0 +1,180 @@
+import { BookingPrompt, DaySchedule, MeetingSlot } from '../types';
+import { formatDateLabel, formatTimeOfDay, getZonedTime } from './businessHours';
+import { findRequestedDates } from './dateMentions';
+
+const SLOT_STEP_MS = 30 * 60 * 1000; // Slots start on the hour or half hour
+const MIN_SLOT_SPACING_MS = 2 * 60 * 60 * 1000; // Slots offered on the same day are at least this far apart
+
+const MEETING_NOUN = /\b(meet|meeting|call|catch up|catch-up|appointment|coffee|zoom|sync|slot)\b/i;
+const SCHEDULING_INTENT = /\b(book|schedule|set up|arrange|find a time|can we|could we|shall we|should we|let'?s|would like to|want to|possible to|free|available|availability|when can|when could|what time)\b/i;
+const DECLINE = /\b(none|neither|(doesn'?t|don'?t|won'?t) work|can'?t (make|do)|not possible|(other|another|different) (time|times|day|days|slot|slots))\b/i;
+const AGREE = /^\s*(yes|yeah|yep|sure|ok|okay|great|perfect|works|that works|sounds good|fine)\b/i;
+const ORDINALS = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth'];
+const MONTH_AFTER = /^\s*(of\s+)?(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)/i;
+
+/**
+ * Whether a message asks to set up a meeting or call, e.g. "can we meet next week?" or
+ * "I'd like to book a call". Mentioning a meeting alone ("the meeting went well") is not enough.
+ */
+export function isMeetingRequest(text: string): boolean {
+    return MEETING_NOUN.test(text) && SCHEDULING_INTENT.test(text);
+}
+
+/**
+ * Which offered slot a reply picks: by number ("2", "option 2", "the second one"), by time
+ * ("14:00", "2pm"), by day ("Thursday works") or a combination. Returns the slot index,
+ * 'none' when the sender turns all of them down, or undefined when the reply does not choose.
+ */
+export function parseSlotChoice(text: string, slots: MeetingSlot[], timeZone: string, now: Date = new Date()): number | 'none' | undefined {
+    const input = text.toLowerCase();
+    const inRange = (index: number) => index >= 0 && index < slots.length;
+
+    const numbered = new Set<number>();
+    for (const match of input.matchAll(/(?:^|[\s#(])(\d{1,2})(?:st|nd|rd|th)?(?=$|[\s.,!?)])(?!\s*(?:am|pm|a\.m|p\.m|o'?clock|h\b|:|[\/.]\d))/g)) {
+        const rest = input.slice((match.index ?? 0) + match[0].length);
+        if (!MONTH_AFTER.test(rest) && inRange(parseInt(match[1], 10) - 1)) {
+            numbered.add(parseInt(match[1], 10) - 1);
+        }
+    }
+    ORDINALS.forEach((word, index) => {
+        if (new RegExp(`\\b${word}\\b`).test(input) && inRange(index)) {
+            numbered.add(index);
+        }
+    });
+    if (/\b(the )?last (one|option|slot)\b/.test(input)) {
+        numbered.add(slots.length - 1);
+    }
+    if (numbered.size === 1) {
+        return [...numbered][0];
+    }
+    if (numbered.size > 1) {
+        return undefined;
+    }
+
+    let matches = slots.map((_slot, index) => index);
+    let narrowed = false;
+
+    const times = parseTimes(input);
+    if (times.length > 0) {
+        matches = matches.filter(index => times.includes(getZonedTime(new Date(slots[index].start), timeZone).minutes));
+        narrowed = true;
+    }
+    const dates = findRequestedDates(text, now, timeZone);
+    if (dates.length > 0) {
+        matches = matches.filter(index => dates.includes(getZonedTime(new Date(slots[index].start), timeZone).date));
+        narrowed = true;
+    }
+    if (narrowed && matches.length === 1) {
+        return matches[0];
+    }
+
+    if (DECLINE.test(input)) {
+        return 'none';
+    }
+    if (!narrowed && slots.length === 1 && AGREE.test(input)) {
+        return 0;
+    }
+    return undefined;
+}
+
+/**
+ * Pick up to `count` slots of `durationMs` from the free times of the given days, spread over
+ * the days first and then over the day, earliest first
+ */
+export function pickSlots(days: DaySchedule[], durationMs: number, count: number): MeetingSlot[] {
+    const candidatesByDay = days
+        .filter(day => day.status === 'working')
+        .map(day => day.free.flatMap(range => {
+            const slots: MeetingSlot[] = [];
+            for (let start = Math.ceil(range.start / SLOT_STEP_MS) * SLOT_STEP_MS; start + durationMs <= range.end; start += SLOT_STEP_MS) {
+                slots.push({ start, end: start + durationMs });
+            }
+            return slots;
+        }))
+        .filter(candidates => candidates.length > 0);
+
+    const picked: MeetingSlot[][] = candidatesByDay.map(() => []);
+    let added = true;
+    let total = 0;
+    while (added && total < count) {
+        added = false;
+        for (let day = 0; day < candidatesByDay.length && total < count; day++) {
+            const slot = candidatesByDay[day].find(candidate =>
+                picked[day].every(other => Math.abs(other.start - candidate.start) >= MIN_SLOT_SPACING_MS)
+            );
+            if (slot) {
+                picked[day].push(slot);
+                added = true;
+                total++;
+            }
+        }
+    }
+
+    return picked.flat().sort((a, b) => a.start - b.start);
+}
+
+/**
+ * "Thu 22 Oct 10:00-10:30"
+ */
+export function formatSlot(slot: MeetingSlot, timeZone: string, locale?: string): string {
+    const date = getZonedTime(new Date(slot.start), timeZone).date;
+    return `${formatDateLabel(date, locale)} ${formatTimeOfDay(slot.start, timeZone)}-${formatTimeOfDay(slot.end, timeZone)}`;
+}
+
+/**
+ * Numbered list of slots, one per line
+ */
+export function formatSlotList(slots: MeetingSlot[], timeZone: string, locale?: string): string {
+    return slots.map((slot, index) => `${index + 1}. ${formatSlot(slot, timeZone, locale)}`).join('\n');
+}
+
+/**
+ * Describe the booking state for the system prompt
+ */
+export function describeBooking(booking: BookingPrompt, ownerName: string): string {
+    const list = formatSlotList(booking.slots, booking.timezone);
+    const slot = booking.slots[0] ? formatSlot(booking.slots[0], booking.timezone) : '';
+
+    switch (booking.stage) {
+        case 'proposed':
+            return `${booking.retry ? 'The times discussed earlier did not work out. ' : ''}The sender wants to meet ${ownerName}. Offer exactly these times as a numbered list and ask which one suits them (they can answer with the number):\n${list}\nTimes are ${booking.timezone}. Do not offer other times and do not confirm the meeting yet.`;
+        case 'awaiting_choice':
+            return `These meeting times were offered to the sender and are still open:\n${list}\nTimes are ${booking.timezone}. If their message is about the meeting, ask them to pick one by its number; do not offer other times.`;
+        case 'held':
+            return `A meeting with the sender is tentatively held for ${slot} (${booking.timezone}). Tell them it is pencilled in and that ${ownerName} will confirm it; do not say the meeting is confirmed.`;
+        case 'confirmed':
+            return `${ownerName} confirmed a meeting with the sender on ${slot} (${booking.timezone}).`;
+        default:
+            return `The sender wants to meet ${ownerName}, but there is no free time in the coming days. Say ${ownerName} will get back to them with a time; do not suggest times yourself.`;
+    }
+}
+
+/**
+ * Times of day (minutes after midnight) in "14:00", "2pm" or "2:30 pm"; a time without am/pm
+ * before 8:00 could also be the afternoon, so both readings are returned
+ */
+function parseTimes(input: string): number[] {
+    const times: number[] = [];
+    for (const match of input.matchAll(/\b(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?(?![\d\/])/g)) {
+        if (!match[2] && !match[3]) {
+            continue;
+        }
+        let hours = parseInt(match[1], 10);
+        const minutes = match[2] ? parseInt(match[2], 10) : 0;
+        if (hours > 23 || minutes > 59) {
+            continue;
+        }
+
+        const meridiem = match[3]?.[0];
+        if (meridiem === 'p' && hours < 12) {
+            hours += 12;
+        } else if (meridiem === 'a' && hours === 12) {
+            hours = 0;
+        }
+        times.push(hours * 60 + minutes);
+        if (!meridiem && hours < 8) {
+            times.push((hours + 12) * 60 + minutes);
+        }
+    }
+    return times;
+}
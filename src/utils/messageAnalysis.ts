@@ -0,0 +1,90 @@
+import { MessageAnalysis } from '../types';
+import { detectLanguage } from './language';
+import { isMeetingRequest } from './meetingSlots';
+
+const URGENT_KEYWORDS = [
+    'urgent', 'asap', 'emergency', 'immediately', 'critical', 'deadline', 'rush',
+    'דחוף', 'מיידי', 'חירום', 'בהקדם',
+    'عاجل', 'طارئ', 'فورا', 'فوراً', 'ضروري',
+    'срочно', 'немедленно', 'экстренн', 'авари'
+];
+const BUSINESS_KEYWORDS = [
+    'meeting', 'project', 'work', 'business', 'client', 'proposal', 'contract',
+    'deadline', 'invoice', 'schedule', 'appointment',
+    'פגישה', 'פרויקט', 'עבודה', 'לקוח', 'הצעת מחיר', 'חוזה', 'חשבונית',
+    'اجتماع', 'مشروع', 'عمل', 'عميل', 'عرض سعر', 'عقد', 'فاتورة', 'موعد',
+    'встреч', 'проект', 'работ', 'клиент', 'предложени', 'договор', 'счет', 'счёт'
+];
+const PERSONAL_KEYWORDS = [
+    'how are you', 'family', 'friend', 'weekend', 'vacation',
+    'dinner', 'movie', 'birthday', 'party', 'holiday',
+    'מה שלומך', 'מה נשמע', 'משפחה', 'סופ"ש', 'חופשה', 'ארוחת ערב', 'יום הולדת', 'מסיבה', 'חג שמח',
+    'كيف حالك', 'عائلة', 'صديق', 'عطلة', 'عشاء', 'عيد ميلاد', 'حفلة',
+    'как дела', 'семья', 'семье', 'семьи', 'друзья', 'выходн', 'отпуск', 'ужин', 'рождени', 'вечеринк', 'праздник'
+];
+const POSITIVE_WORDS = [
+    'good', 'great', 'excellent', 'happy', 'thanks', 'thank you',
+    'תודה', 'מעולה', 'מצוין', 'שמח',
+    'شكرا', 'شكراً', 'ممتاز', 'رائع', 'سعيد',
+    'спасибо', 'отлично', 'прекрасно', 'здорово'
+];
+const NEGATIVE_WORDS = [
+    'bad', 'terrible', 'problem', 'issue', 'angry', 'frustrated',
+    'בעיה', 'גרוע', 'נורא', 'כועס', 'מתוסכל',
+    'مشكلة', 'سيء', 'سيئ', 'فظيع', 'غاضب',
+    'проблем', 'плохо', 'ужасн', 'недовол'
+];
+const REQUEST_PHRASES = [
+    '?', 'please', 'can you', 'could you',
+    'בבקשה', 'אפשר', 'תוכל',
+    '؟', 'من فضلك', 'لو سمحت', 'هل يمكنك',
+    'пожалуйста', 'можете', 'не могли бы'
+];
+const MEDIUM_URGENCY_WORDS = [
+    '?', 'please', 'need',
+    'בבקשה', 'צריך', 'צריכה',
+    '؟', 'من فضلك', 'أحتاج', 'نحتاج',
+    'пожалуйста', 'нужн', 'надо'
+];
+
+/**
+ * Classify a message with keyword lists in the languages our contacts write in (English, Hebrew,
+ * Arabic, Russian). Used when the model is off or cannot answer, so it only recognizes the obvious
+ * cases. Russian entries are word stems because the words are inflected.
+ */
+export function analyzeKeywords(text: string): MessageAnalysis {
+    const body = text.toLowerCase();
+    const includesAny = (words: string[]) => words.some(word => body.includes(word));
+
+    let urgency: MessageAnalysis['urgency'] = 'low';
+    if (includesAny(URGENT_KEYWORDS)) {
+        urgency = 'high';
+    } else if (includesAny(MEDIUM_URGENCY_WORDS)) {
+        urgency = 'medium';
+    }
+
+    let category: MessageAnalysis['category'] = 'other';
+    if (includesAny(BUSINESS_KEYWORDS)) {
+        category = 'business';
+    } else if (includesAny(PERSONAL_KEYWORDS)) {
+        category = 'personal';
+    }
+
+    let sentiment: MessageAnalysis['sentiment'] = 'neutral';
+    if (includesAny(POSITIVE_WORDS)) {
+        sentiment = 'positive';
+    } else if (includesAny(NEGATIVE_WORDS)) {
+        sentiment = 'negative';
+    }
+
+    return {
+        sentiment,
+        urgency,
+        category,
+        keyTopics: isMeetingRequest(text) ? ['meeting_request'] : [],
+        requiresResponse: includesAny(REQUEST_PHRASES) || urgency === 'high',
+        confidence: 0.5,
+        source: 'keywords',
+        language: detectLanguage(text)
+    };
+}
@@ -0,0 +1,151 @@
+import { ContactCard, LocationInfo, MessageType, WhatsAppMessage } from '../types';
+
+const RAW_MESSAGE_TYPES: Record<string, MessageType> = {
+    chat: MessageType.TEXT,
+    ptt: MessageType.AUDIO,
+    audio: MessageType.AUDIO,
+    image: MessageType.IMAGE,
+    video: MessageType.VIDEO,
+    document: MessageType.DOCUMENT,
+    sticker: MessageType.STICKER,
+    location: MessageType.LOCATION,
+    vcard: MessageType.CONTACT,
+    multi_vcard: MessageType.CONTACT,
+    reaction: MessageType.REACTION
+};
+
+const MAX_QUOTE_LENGTH = 200;
+
+/**
+ * Message type of a raw whatsapp-web.js message; unknown types are treated as text
+ */
+export function getMessageType(rawMessage: any): MessageType {
+    return RAW_MESSAGE_TYPES[rawMessage?.type] || MessageType.TEXT;
+}
+
+/**
+ * Parse a vCard into the contact's name and phone numbers. Folded lines and
+ * grouped properties ("item1.TEL;waid=...") are supported.
+ */
+export function parseVCard(vcard: string): ContactCard {
+    const lines = vcard.replace(/\r\n[ \t]/g, '').replace(/\n[ \t]/g, '').split(/\r?\n/);
+    const phones: string[] = [];
+    let fullName: string | undefined;
+    let structuredName: string | undefined;
+
+    for (const line of lines) {
+        const separator = line.indexOf(':');
+        if (separator === -1) {
+            continue;
+        }
+        const property = line.slice(0, separator).replace(/^[\w-]+\./, '').split(';')[0].toUpperCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (property === 'FN' && value) {
+            fullName = value;
+        } else if (property === 'N' && value) {
+            const [last, first] = value.split(';');
+            structuredName = [first, last].filter(Boolean).join(' ').trim() || undefined;
+        } else if (property === 'TEL' && value) {
+            phones.push(value);
+        }
+    }
+
+    return { name: fullName || structuredName, phones, vcard };
+}
+
+/**
+ * Extract location details from a raw message
+ */
+export function parseLocation(rawMessage: any): LocationInfo | undefined {
+    const location = rawMessage.location;
+    const latitude = Number(location?.latitude);
+    const longitude = Number(location?.longitude);
+    if (!location || !Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+        return undefined;
+    }
+
+    return {
+        latitude,
+        longitude,
+        name: location.name || undefined,
+        address: location.address || undefined,
+        url: location.url || undefined
+    };
+}
+
+/**
+ * Readable text for a shared location, e.g. "[Location: Cafe Nimrod, 12 Dizengoff St (32.08530, 34.78180)]"
+ */
+export function describeLocation(location: LocationInfo): string {
+    const place = [location.name, location.address].filter(Boolean).join(', ');
+    const coordinates = `${location.latitude.toFixed(5)}, ${location.longitude.toFixed(5)}`;
+    return place ? `[Location: ${place} (${coordinates})]` : `[Location: ${coordinates}]`;
+}
+
+/**
+ * Readable text for shared contact cards, e.g. "[Contact: Dana Levi +972 50-123-4567]"
+ */
+export function describeContacts(contacts: ContactCard[]): string {
+    const entries = contacts.map(contact => [contact.name || 'Unnamed contact', ...contact.phones.slice(0, 1)].join(' '));
+    return `[${contacts.length === 1 ? 'Contact' : 'Contacts'}: ${entries.join('; ')}]`;
+}
+
+/**
+ * Readable text for a reaction, e.g. '[Reacted 👍 to "See you at 4"]'
+ */
+export function describeReaction(emoji: string, targetBody?: string): string {
+    return targetBody ? `[Reacted ${emoji} to "${truncate(targetBody)}"]` : `[Reacted ${emoji}]`;
+}
+
+/**
+ * Message text as it should appear in a prompt: replies show the text they quote
+ */
+export function formatMessageForPrompt(message: WhatsAppMessage): string {
+    if (message.quotedMessage?.body) {
+        return `(replying to "${truncate(message.quotedMessage.body)}") ${message.body}`;
+    }
+    return message.body;
+}
+
+/**
+ * Merge messages a sender sent in quick succession into a single turn. The body lists every
+ * message on its own line (replies keep the text they quote) and the originals stay in `parts`.
+ */
+export function combineMessages(messages: WhatsAppMessage[]): WhatsAppMessage {
+    if (messages.length === 1) {
+        return messages[0];
+    }
+
+    const last = messages[messages.length - 1];
+    const shared = messages.find(message => message.type && message.type !== MessageType.TEXT);
+    // In groups several people can be typing at once, so each line keeps its sender
+    const multipleAuthors = new Set(messages.map(message => message.author || message.from)).size > 1;
+    const lines = messages.map(message => multipleAuthors
+        ? `${(message.author || message.from).split('@')[0]}: ${formatMessageForPrompt(message)}`
+        : formatMessageForPrompt(message));
+
+    return {
+        id: last.id,
+        body: lines.join('\n'),
+        from: last.from,
+        to: last.to,
+        timestamp: last.timestamp,
+        isGroupMsg: last.isGroupMsg,
+        chat: last.chat,
+        author: last.author,
+        type: shared?.type || MessageType.TEXT,
+        media: shared?.media,
+        location: shared?.location,
+        contacts: shared?.contacts,
+        parts: messages
+    };
+}
+
+/**
+ * Shorten quoted text for prompts and storage
+ */
+export function truncate(text: string, maxLength: number = MAX_QUOTE_LENGTH): string {
+    const singleLine = text.replace(/\s+/g, ' ').trim();
+    return singleLine.length > maxLength ? `${singleLine.slice(0, maxLength - 1)}…` : singleLine;
+}
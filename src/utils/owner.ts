@@ -0,0 +1,63 @@
+import { Language, OwnerProfile, OwnerPronouns } from '../types';
+
+/**
+ * English pronouns for the owner, as used in prompts
+ */
+export interface PronounForms {
+    subject: string;
+    object: string;
+    possessive: string;
+}
+
+export const OWNER_PRONOUNS: OwnerPronouns[] = ['he', 'she', 'they'];
+
+const PRONOUN_FORMS: Record<OwnerPronouns, PronounForms> = {
+    he: { subject: 'he', object: 'him', possessive: 'his' },
+    she: { subject: 'she', object: 'her', possessive: 'her' },
+    they: { subject: 'they', object: 'them', possessive: 'their' }
+};
+
+export function getPronounForms(pronouns: OwnerPronouns): PronounForms {
+    return PRONOUN_FORMS[pronouns] ?? PRONOUN_FORMS.they;
+}
+
+/**
+ * The owner's name as written in a reply in a language
+ */
+export function getOwnerName(owner: OwnerProfile, language?: Language): string {
+    return (language && owner.localNames[language]) || owner.name;
+}
+
+/**
+ * Pick the word form that agrees with the owner's grammatical gender. Languages without a
+ * neutral form use the masculine one for "they", as their grammar does for unknown gender.
+ */
+export function genderForm(pronouns: OwnerPronouns, masculine: string, feminine: string, neutral: string = masculine): string {
+    return pronouns === 'she' ? feminine : pronouns === 'they' ? neutral : masculine;
+}
+
+// Shortest phone number compared by its trailing digits; shorter ones only match exactly
+const MIN_NUMBER_DIGITS = 7;
+
+/**
+ * Check if a sender ID belongs to an owner identifier, a WhatsApp ID or a phone number in any
+ * format. A local number matches the international one it ends, e.g. 054-1111111 and
+ * 972541111111@c.us, but a few digits that merely occur in a number do not.
+ */
+export function matchesOwnerIdentifier(sender: string, identifier: string): boolean {
+    const senderUser = sender.replace(/@.*$/, '');
+    const identifierUser = identifier.trim().replace(/@.*$/, '');
+    if (!senderUser || !identifierUser) {
+        return false;
+    }
+    if (senderUser === identifierUser) {
+        return true;
+    }
+
+    const senderDigits = senderUser.replace(/\D/g, '').replace(/^0+/, '');
+    const identifierDigits = identifierUser.replace(/\D/g, '').replace(/^0+/, '');
+    if (senderDigits.length < MIN_NUMBER_DIGITS || identifierDigits.length < MIN_NUMBER_DIGITS) {
+        return false;
+    }
+    return senderDigits.endsWith(identifierDigits) || identifierDigits.endsWith(senderDigits);
+}
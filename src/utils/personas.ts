@@ -0,0 +1,126 @@
+import { EmojiPolicy, PersonaProfile, SecretaryPersonality } from '../types';
+import { parseYaml } from './yaml';
+
+const TONES: Array<SecretaryPersonality['tone']> = ['formal', 'professional', 'friendly', 'casual'];
+const RESPONSE_STYLES: Array<SecretaryPersonality['responseStyle']> = ['concise', 'detailed', 'contextual'];
+const EMOJI_POLICIES: EmojiPolicy[] = ['none', 'sparing', 'free'];
+const PROFILE_FIELDS = ['name', 'description', 'tone', 'responseStyle', 'systemPrompt', 'signature', 'emoji', 'maxLength'];
+const MIN_LENGTH = 50;
+const MAX_LENGTH = 4000;
+const DEFAULT_LENGTH = 1000;
+
+const TONE_GUIDANCE: Record<SecretaryPersonality['tone'], string> = {
+    formal: 'Formal and courteous; no slang, no contractions',
+    professional: 'Professional yet friendly',
+    friendly: 'Warm and friendly',
+    casual: 'Relaxed and casual, like texting a friend'
+};
+
+const STYLE_GUIDANCE: Record<SecretaryPersonality['responseStyle'], string> = {
+    concise: 'Short replies of one to three sentences',
+    detailed: 'Complete answers with the relevant details',
+    contextual: "Match the length and detail of the sender's message"
+};
+
+const EMOJI_GUIDANCE: Record<EmojiPolicy, string> = {
+    none: 'Do not use emoji',
+    sparing: 'At most one emoji, and only where it fits',
+    free: 'Emoji are welcome where they feel natural'
+};
+
+// One emoji with its skin tone, variation selector and ZWJ-joined parts, or a flag
+const EMOJI = /\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier})*(?:\u200D\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier})*)*|\p{Regional_Indicator}{2}/gu;
+
+/**
+ * Read a persona profile from a YAML file. `source` is the path relative to the personas
+ * directory; the profile is named after the file unless it sets `name`. Throws on invalid files.
+ */
+export function parsePersonaFile(source: string, text: string): PersonaProfile {
+    const document = parseYaml(text);
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+        throw new Error('Expected a mapping of profile settings');
+    }
+
+    const fields = document as Record<string, unknown>;
+    const unknown = Object.keys(fields).filter(key => !PROFILE_FIELDS.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown fields: ${unknown.join(', ')}. Expected: ${PROFILE_FIELDS.join(', ')}`);
+    }
+
+    const name = asString(fields.name) || (source.split('/').pop() || source).replace(/\.[^.]+$/, '');
+    if (!/^[\w-]+$/.test(name)) {
+        throw new Error(`Invalid name "${name}": use letters, digits, "-" and "_"`);
+    }
+
+    const systemPrompt = asString(fields.systemPrompt);
+    if (!systemPrompt) {
+        throw new Error('"systemPrompt" is required');
+    }
+
+    const maxLength = fields.maxLength === undefined || fields.maxLength === null ? DEFAULT_LENGTH : Number(fields.maxLength);
+    if (!Number.isInteger(maxLength) || maxLength < MIN_LENGTH || maxLength > MAX_LENGTH) {
+        throw new Error(`Invalid maxLength "${fields.maxLength}". Must be a whole number between ${MIN_LENGTH} and ${MAX_LENGTH}`);
+    }
+
+    return {
+        name: name.toLowerCase(),
+        description: asString(fields.description) || undefined,
+        tone: asChoice(fields.tone, TONES, 'tone') ?? 'professional',
+        responseStyle: asChoice(fields.responseStyle, RESPONSE_STYLES, 'responseStyle') ?? 'contextual',
+        systemPrompt,
+        signature: asString(fields.signature) || undefined,
+        emoji: asChoice(fields.emoji, EMOJI_POLICIES, 'emoji') ?? 'sparing',
+        maxLength,
+        source
+    };
+}
+
+/**
+ * Describe a persona profile for the system prompt
+ */
+export function describePersona(profile: PersonaProfile): string {
+    return [
+        profile.systemPrompt,
+        `- Tone: ${TONE_GUIDANCE[profile.tone]}`,
+        `- Length: ${STYLE_GUIDANCE[profile.responseStyle]}, never more than ${profile.maxLength} characters`,
+        `- Emoji: ${EMOJI_GUIDANCE[profile.emoji]}`,
+        profile.signature ? '- Do not sign the message; a signature is added automatically' : ''
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * Enforce an emoji policy on a reply: `none` removes every emoji, `sparing` keeps the first
+ */
+export function applyEmojiPolicy(text: string, policy: EmojiPolicy): string {
+    if (policy === 'free') {
+        return text;
+    }
+
+    let kept = 0;
+    const stripped = text.replace(EMOJI, emoji => policy === 'sparing' && kept++ === 0 ? emoji : '');
+    return stripped === text
+        ? text
+        : stripped.split('\n').map(line => line.replace(/[^\S\n]{2,}/g, ' ').trim()).join('\n').trim();
+}
+
+/**
+ * Casual words are only rewritten for formal and professional tones
+ */
+export function isFormalTone(tone: SecretaryPersonality['tone']): boolean {
+    return tone === 'formal' || tone === 'professional';
+}
+
+function asChoice<T extends string>(value: unknown, choices: T[], field: string): T | undefined {
+    if (value === undefined || value === null) {
+        return undefined;
+    }
+    const choice = String(value).trim() as T;
+    if (!choices.includes(choice)) {
+        throw new Error(`Invalid ${field} "${value}". Must be one of: ${choices.join(', ')}`);
+    }
+    return choice;
+}
+
+function asString(value: unknown): string {
+    return value === undefined || value === null ? '' : String(value).trim();
+}
@@ -0,0 +1,317 @@
+import { createHash } from 'crypto';
+import { ConversationContext, Language, MessageType, OwnerProfile, PromptTemplate, PromptTemplateName } from '../types';
+import { describeAvailability, describeSchedule } from './businessHours';
+import { getLanguageName, isLanguage } from './language';
+import { describeBooking } from './meetingSlots';
+import { getOwnerName, getPronounForms } from './owner';
+import { describePersona } from './personas';
+import { parseYaml } from './yaml';
+
+/**
+ * Values for a template's variables; empty and missing values render as nothing
+ */
+export type TemplateVariables = Record<string, string | number | undefined>;
+
+export const PROMPT_TEMPLATE_NAMES: PromptTemplateName[] = ['system', 'secretary', 'fallback'];
+
+const OWNER_VARIABLES = ['ownerName', 'ownerSubject', 'ownerObject', 'ownerPossessive'];
+
+/**
+ * Variables each template may use. A template must use its required variables, since the
+ * model is useless without them.
+ */
+export const TEMPLATE_VARIABLES: Record<PromptTemplateName, { variables: string[]; required: string[] }> = {
+    system: {
+        variables: [...OWNER_VARIABLES, 'group', 'sharedContent', 'language', 'availability', 'schedule', 'booking', 'knowledge', 'memory', 'profile', 'profileInstructions', 'persona'],
+        required: []
+    },
+    secretary: {
+        variables: [...OWNER_VARIABLES, 'messageType', 'urgency', 'senderRelation', 'situation', 'relatedMessages', 'conversation', 'profile', 'maxLength', 'availability', 'booking', 'language'],
+        required: ['conversation']
+    },
+    fallback: {
+        variables: [...OWNER_VARIABLES, 'contactName', 'messageType', 'urgency'],
+        required: []
+    }
+};
+
+/**
+ * Templates that are sent to contacts rather than to the model. A file without a language
+ * suffix only applies to contacts in the default language; others get the built-in translation.
+ */
+export const CONTACT_TEMPLATES: PromptTemplateName[] = ['fallback'];
+
+const FRONT_MATTER_FIELDS = ['version', 'description'];
+
+const SYSTEM_TEMPLATE = `You are {{ownerName}}'s professional personal assistant. You respond to WhatsApp messages in a helpful, concise, and contextually appropriate manner.
+
+Key characteristics:
+- Professional yet friendly tone
+- Concise responses (keep under 200 words)
+- Context-aware based on conversation flow
+- Represent {{ownerName}} professionally
+- Avoid mentioning you're an AI unless directly asked
+- Use natural, conversational language
+
+Response guidelines:
+- For business inquiries: Be professional and helpful
+- For personal conversations: Be friendly but maintain boundaries
+- For group chats: Be mindful of the group dynamic
+- Always prioritize being helpful while staying appropriate{{#group}}
+- This is a group chat, be mindful of multiple participants{{/group}}{{#sharedContent}}
+- Text in [brackets] stands for shared content: [Voice message] is a transcript, [Image: ...] describes a photo, and locations, contacts and reactions are summarised; respond to the content and acknowledge shared locations and contacts{{/sharedContent}}{{#language}}
+- Reply in {{language}}, the language of the contact's latest message, even though these instructions are in English; keep names, times and numbers as given{{/language}}{{#availability}}
+
+Availability:
+{{availability}}{{/availability}}{{#schedule}}
+
+{{ownerName}}'s calendar for the days asked about:
+{{schedule}}{{/schedule}}{{#booking}}
+
+Meeting booking:
+{{booking}}{{/booking}}{{#knowledge}}
+
+Facts about {{ownerName}} you can share when relevant (do not invent details that are not listed here):
+{{knowledge}}{{/knowledge}}{{#memory}}
+
+What you remember from earlier in this conversation:
+{{memory}}{{/memory}}{{#profile}}
+
+Persona profile "{{profile}}" (follow it over the tone and length above):
+{{profileInstructions}}{{/profile}}{{#persona}}
+
+Persona for this chat:
+{{persona}}{{/persona}}`;
+
+const SECRETARY_TEMPLATE = `You are {{ownerName}}'s {{^profile}}professional {{/profile}}personal assistant responding to a {{messageType}} WhatsApp message.{{#situation}} {{situation}}{{/situation}}{{#relatedMessages}}
+
+Earlier messages in this chat that may be relevant:
+{{relatedMessages}}
+{{/relatedMessages}}
+
+Recent conversation context:
+{{conversation}}
+
+Secretary response guidelines:
+- Be professional, helpful, and represent {{ownerName}} well
+- {{#profile}}Keep responses under {{maxLength}} characters{{/profile}}{{^profile}}Keep responses concise (under 150 words typically){{/profile}}
+- {{#profile}}Write as the "{{profile}}" persona described in your instructions{{/profile}}{{^profile}}Use appropriate tone for the conversation type{{/profile}}
+- Don't reveal you're an AI unless directly asked
+- {{#availability}}If asked about {{ownerName}}'s availability, only share what the availability note and calendar times in your instructions say - never guess at the schedule or mention what keeps {{ownerObject}} busy{{/availability}}{{^availability}}If asked about {{ownerName}}'s availability or schedule, politely defer or ask them to contact {{ownerObject}} directly{{/availability}}
+- {{#booking}}For meeting requests, follow the meeting booking note in your instructions exactly; a chosen time is only pencilled in until {{ownerName}} confirms it{{/booking}}{{^booking}}For business inquiries, be helpful but don't make commitments on {{ownerName}}'s behalf{{/booking}}
+- Maintain conversation context and reference previous messages when relevant
+- Use natural, conversational language{{#language}}
+- Write the whole response in {{language}}, the language the sender writes in{{/language}}
+
+Please provide an appropriate response:`;
+
+/**
+ * Built-in templates, used when the prompts directory has no file for them. There is no
+ * built-in fallback template: fallback replies come from the translated reply strings.
+ */
+export const DEFAULT_TEMPLATES: Partial<Record<PromptTemplateName, PromptTemplate>> = {
+    system: builtin('system', SYSTEM_TEMPLATE),
+    secretary: builtin('secretary', SECRETARY_TEMPLATE)
+};
+
+type TemplateNode = string | { variable: string } | { section: string; inverted: boolean; children: TemplateNode[] };
+
+const TAG = /\{\{\s*([#^/]?)\s*([^{}]*?)\s*\}\}/g;
+
+/**
+ * Read a template file. `source` is the path relative to the prompts directory, named
+ * `<template>.md` or `<template>.<language>.md`; optional front matter sets `version` and
+ * `description`. Throws if the file name, front matter or template tags are invalid.
+ */
+export function parseTemplateFile(source: string, text: string): PromptTemplate {
+    const fileName = source.split('/').pop() || source;
+    const [name, language, ...rest] = fileName.replace(/\.[^.]+$/, '').split('.');
+    if (!PROMPT_TEMPLATE_NAMES.includes(name as PromptTemplateName) || rest.length > 0) {
+        throw new Error(`Unknown template "${fileName}". Expected one of: ${PROMPT_TEMPLATE_NAMES.join(', ')}, optionally with a language suffix such as fallback.he.md`);
+    }
+    if (language !== undefined && !isLanguage(language)) {
+        throw new Error(`Unknown language "${language}" in ${fileName}`);
+    }
+
+    let body = text.replace(/\r\n?/g, '\n');
+    let frontMatter: Record<string, unknown> = {};
+    const match = /^---\n([\s\S]*?)\n---[ \t]*(\n|$)/.exec(body);
+    if (match) {
+        const parsed = parseYaml(match[1]);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            throw new Error('Front matter must be a mapping');
+        }
+        frontMatter = parsed as Record<string, unknown>;
+        body = body.slice(match[0].length);
+    }
+
+    const unknown = Object.keys(frontMatter).filter(key => !FRONT_MATTER_FIELDS.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown front matter fields: ${unknown.join(', ')}. Expected: ${FRONT_MATTER_FIELDS.join(', ')}`);
+    }
+
+    // Editors add a final newline; it is not part of the prompt
+    body = body.replace(/\n+$/, '');
+    if (!body.trim()) {
+        throw new Error('Template is empty');
+    }
+    validateTemplate(name as PromptTemplateName, body);
+
+    const version = frontMatter.version === undefined || frontMatter.version === null ? '' : String(frontMatter.version).trim();
+    if (version && !/^[\w.-]+$/.test(version)) {
+        throw new Error(`Invalid version "${version}": use letters, digits, ".", "-" and "_"`);
+    }
+
+    return {
+        name: name as PromptTemplateName,
+        language: language as Language | undefined,
+        description: frontMatter.description ? String(frontMatter.description).trim() : undefined,
+        text: body,
+        version: version || hashText(body),
+        source
+    };
+}
+
+/**
+ * Check that a template only uses its known variables, closes every section and uses the
+ * required variables. Throws on the first problem.
+ */
+export function validateTemplate(name: PromptTemplateName, text: string): void {
+    const nodes = parseTemplate(text);
+    const { variables, required } = TEMPLATE_VARIABLES[name];
+    const used = new Set<string>();
+
+    const visit = (list: TemplateNode[]) => {
+        for (const node of list) {
+            if (typeof node === 'string') {
+                continue;
+            }
+            const variable = 'variable' in node ? node.variable : node.section;
+            if (!variables.includes(variable)) {
+                throw new Error(`Unknown variable "${variable}". Available in ${name}: ${variables.join(', ')}`);
+            }
+            used.add(variable);
+            if ('children' in node) {
+                visit(node.children);
+            }
+        }
+    };
+    visit(nodes);
+
+    const missing = required.filter(variable => !used.has(variable));
+    if (missing.length > 0) {
+        throw new Error(`Missing required variables: ${missing.join(', ')}`);
+    }
+}
+
+/**
+ * Fill in a template: {{name}} inserts a value, {{#name}}...{{/name}} keeps its content when
+ * the value is set and {{^name}}...{{/name}} when it is not
+ */
+export function renderTemplate(template: PromptTemplate | string, variables: TemplateVariables): string {
+    const render = (nodes: TemplateNode[]): string => nodes.map(node => {
+        if (typeof node === 'string') {
+            return node;
+        }
+        if ('variable' in node) {
+            return valueOf(variables[node.variable]);
+        }
+        return (valueOf(variables[node.section]) !== '') !== node.inverted ? render(node.children) : '';
+    }).join('');
+
+    return render(parseTemplate(typeof template === 'string' ? template : template.text));
+}
+
+/**
+ * Name a template and its version for the reply log, e.g. "fallback.he@3"
+ */
+export function templateTag(template: PromptTemplate): string {
+    return `${template.language ? `${template.name}.${template.language}` : template.name}@${template.version}`;
+}
+
+/**
+ * The owner's name and English pronouns, shared by every template
+ */
+export function ownerVariables(owner: OwnerProfile, language?: Language): TemplateVariables {
+    const pronouns = getPronounForms(owner.pronouns);
+    return {
+        ownerName: getOwnerName(owner, language),
+        ownerSubject: pronouns.subject,
+        ownerObject: pronouns.object,
+        ownerPossessive: pronouns.possessive
+    };
+}
+
+/**
+ * Variables of the system prompt for a conversation
+ */
+export function systemPromptVariables(owner: OwnerProfile, context?: ConversationContext): TemplateVariables {
+    return {
+        ...ownerVariables(owner),
+        group: context?.participantCount && context.participantCount > 2 ? 'yes' : '',
+        sharedContent: context?.recentMessages?.some(msg => msg.type && msg.type !== MessageType.TEXT) ? 'yes' : '',
+        language: context?.language ? getLanguageName(context.language) : '',
+        availability: context?.availability ? describeAvailability(context.availability, owner.name) : '',
+        schedule: context?.schedule?.length ? describeSchedule(context.schedule, owner.name) : '',
+        booking: context?.booking ? describeBooking(context.booking, owner.name) : '',
+        knowledge: context?.knowledge?.map(chunk => `[${chunk.title}]\n${chunk.content}`).join('\n\n'),
+        memory: context?.memory,
+        profile: context?.personaProfile?.name,
+        profileInstructions: context?.personaProfile ? describePersona(context.personaProfile) : '',
+        persona: context?.persona
+    };
+}
+
+function parseTemplate(text: string): TemplateNode[] {
+    const root: TemplateNode[] = [];
+    const stack: Array<{ section: string; children: TemplateNode[] }> = [];
+    let current = root;
+    let position = 0;
+
+    for (const match of text.matchAll(TAG)) {
+        if (match.index! > position) {
+            current.push(text.slice(position, match.index));
+        }
+        position = match.index! + match[0].length;
+
+        const [, kind, variable] = match;
+        if (!/^\w+$/.test(variable)) {
+            throw new Error(`Invalid tag "${match[0]}"`);
+        }
+
+        if (kind === '/') {
+            const open = stack.pop();
+            if (!open || open.section !== variable) {
+                throw new Error(open ? `"{{/${variable}}}" closes "{{#${open.section}}}"` : `"{{/${variable}}}" has no opening tag`);
+            }
+            current = stack.length > 0 ? stack[stack.length - 1].children : root;
+        } else if (kind) {
+            const section = { section: variable, inverted: kind === '^', children: [] as TemplateNode[] };
+            current.push(section);
+            stack.push(section);
+            current = section.children;
+        } else {
+            current.push({ variable });
+        }
+    }
+
+    if (stack.length > 0) {
+        throw new Error(`"{{#${stack[stack.length - 1].section}}}" is never closed`);
+    }
+    if (position < text.length) {
+        current.push(text.slice(position));
+    }
+    return root;
+}
+
+function valueOf(value: string | number | undefined): string {
+    return value === undefined || value === null ? '' : String(value);
+}
+
+function hashText(text: string): string {
+    return createHash('sha256').update(text).digest('hex').slice(0, 8);
+}
+
+function builtin(name: PromptTemplateName, text: string): PromptTemplate {
+    return { name, text, version: hashText(text), source: 'builtin' };
+}
@@ -0,0 +1,142 @@
+import { Language, OwnerProfile, OwnerPronouns } from '../types';
+import { genderForm, getOwnerName } from './owner';
+
+/**
+ * Fixed texts the assistant sends without the model: fallbacks, booking notices and the
+ * touches added to generated replies
+ */
+export interface ReplyStrings {
+    received: string;
+    receivedBusiness: string;
+    receivedUrgent: string;
+    receivedWithFollowUp: string;
+    generationFailed: string;
+    keepProfessional: string;
+    inMeetingUntil: (time: string) => string;
+    busyUntil: (back: string) => string;
+    outOfOfficeUntil: (back: string) => string;
+    afterHoursUntil: (back: string) => string;
+    slotsOffered: (timezone: string, slots: string) => string;
+    slotHeld: (slot: string, timezone: string) => string;
+    meetingConfirmed: (slot: string) => string;
+    meetingDeclined: (slot: string) => string;
+    greeting: string;
+    greetingWords: string[];
+    urgentAcknowledgement: string;
+    urgentWords: string[];
+    signOff: string;
+    signOffWords: string[];
+}
+
+type LocalizedReplyStrings = (name: string, pronouns: OwnerPronouns, signature: string) => ReplyStrings;
+
+const REPLY_STRINGS: Record<Language, LocalizedReplyStrings> = {
+    en: (name, pronouns, signature) => {
+        const they = genderForm(pronouns, 'He', 'She', 'They');
+        return {
+            received: `Thank you for your message. I'll make sure ${name} receives this.`,
+            receivedBusiness: `Thank you for your message. I'll make sure ${name} receives this and gets back to you promptly.`,
+            receivedUrgent: `I understand this is important. I'll ensure ${name} sees this message right away.`,
+            receivedWithFollowUp: `Thank you for your message. I'll make sure ${name} receives this and gets back to you as soon as possible.`,
+            generationFailed: 'I apologize, but I encountered an issue generating a response. Please try again later.',
+            keepProfessional: "I'd prefer to keep our conversation professional. Is there something else I can help you with?",
+            inMeetingUntil: time => `Thank you for your message. ${name} is in a meeting until ${time} and will get back to you after that.`,
+            busyUntil: back => `Thank you for your message. ${name} is busy at the moment and will get back to you after ${back}.`,
+            outOfOfficeUntil: back => `Thank you for your message. ${name} is out of the office until ${back} and will get back to you then.`,
+            afterHoursUntil: back => `Thank you for your message. ${name} is currently outside working hours and will get back to you after ${back}.`,
+            slotsOffered: (timezone, slots) => `Thank you for your message. ${name} could meet at one of these times (${timezone}):\n${slots}\nJust reply with the number that suits you.`,
+            slotHeld: (slot, timezone) => `Thank you! I've pencilled in ${slot} (${timezone}). ${name} will confirm the meeting shortly.`,
+            meetingConfirmed: slot => `Good news: ${name} confirmed your meeting on ${slot}.`,
+            meetingDeclined: slot => `Unfortunately ${name} can't make ${slot} after all. ${they} will get back to you with another time.`,
+            greeting: 'Hello!',
+            greetingWords: ['hello', 'hi', 'hey', 'good morning', 'good afternoon', 'good evening'],
+            urgentAcknowledgement: 'I understand this seems urgent.',
+            urgentWords: ['urgent'],
+            signOff: `Best regards,\n${signature || `${name}'s Assistant`}`,
+            signOffWords: ['best regards', 'thank you']
+        };
+    },
+    he: (name, pronouns, signature) => {
+        const form = (masculine: string, feminine: string) => genderForm(pronouns, masculine, feminine);
+        return {
+            received: `תודה על ההודעה. אדאג ש${name} ${form('יקבל', 'תקבל')} אותה.`,
+            receivedBusiness: `תודה על ההודעה. אדאג ש${name} ${form('יקבל', 'תקבל')} אותה ו${form('יחזור', 'תחזור')} אליך בהקדם.`,
+            receivedUrgent: `ברור לי שזה חשוב. אדאג ש${name} ${form('יראה', 'תראה')} את ההודעה מיד.`,
+            receivedWithFollowUp: `תודה על ההודעה. אדאג ש${name} ${form('יקבל', 'תקבל')} אותה ו${form('יחזור', 'תחזור')} אליך בהקדם האפשרי.`,
+            generationFailed: 'מצטערים, משהו השתבש בהכנת התשובה. אפשר לנסות שוב מאוחר יותר.',
+            keepProfessional: 'אשמח שנשמור על שיחה עניינית. יש משהו אחר שאוכל לעזור בו?',
+            inMeetingUntil: time => `תודה על ההודעה. ${name} בפגישה עד ${time} ו${form('יחזור', 'תחזור')} אליך אחר כך.`,
+            busyUntil: back => `תודה על ההודעה. ${name} ${form('עסוק', 'עסוקה')} כרגע ו${form('יחזור', 'תחזור')} אליך אחרי ${back}.`,
+            outOfOfficeUntil: back => `תודה על ההודעה. ${name} מחוץ למשרד עד ${back} ו${form('יחזור', 'תחזור')} אליך אז.`,
+            afterHoursUntil: back => `תודה על ההודעה. כרגע מחוץ לשעות העבודה של ${name}, ${form('והוא יחזור', 'והיא תחזור')} אליך אחרי ${back}.`,
+            slotsOffered: (timezone, slots) => `תודה על ההודעה. ${name} ${form('יכול', 'יכולה')} להיפגש באחד מהמועדים האלה (${timezone}):\n${slots}\nאפשר פשוט לענות עם המספר שמתאים.`,
+            slotHeld: (slot, timezone) => `תודה! שריינתי זמנית את ${slot} (${timezone}). ${name} ${form('יאשר', 'תאשר')} את הפגישה בקרוב.`,
+            meetingConfirmed: slot => `חדשות טובות: ${name} ${form('אישר', 'אישרה')} את הפגישה ב־${slot}.`,
+            meetingDeclined: slot => `לצערי ${name} לא ${form('יוכל', 'תוכל')} להגיע ב־${slot}. ${form('הוא יחזור', 'היא תחזור')} אליך עם מועד אחר.`,
+            greeting: 'שלום!',
+            greetingWords: ['שלום', 'היי', 'בוקר טוב', 'צהריים טובים', 'ערב טוב'],
+            urgentAcknowledgement: 'ברור לי שזה דחוף.',
+            urgentWords: ['דחוף'],
+            signOff: `בברכה,\n${signature || `העוזר של ${name}`}`,
+            signOffWords: ['בברכה', 'תודה']
+        };
+    },
+    ar: (name, pronouns, signature) => {
+        const form = (masculine: string, feminine: string) => genderForm(pronouns, masculine, feminine);
+        return {
+            received: `شكراً على رسالتك. سأتأكد من وصولها إلى ${name}.`,
+            receivedBusiness: `شكراً على رسالتك. سأتأكد من وصولها إلى ${name} و${form('سيعود', 'ستعود')} إليك قريباً.`,
+            receivedUrgent: `أتفهم أن الأمر مهم. سأحرص على أن ${form('يرى', 'ترى')} ${name} هذه الرسالة فوراً.`,
+            receivedWithFollowUp: `شكراً على رسالتك. سأتأكد من وصولها إلى ${name} و${form('سيعود', 'ستعود')} إليك في أقرب وقت ممكن.`,
+            generationFailed: 'عذراً، حدثت مشكلة أثناء إعداد الرد. يرجى المحاولة لاحقاً.',
+            keepProfessional: 'أفضّل أن نحافظ على طابع مهني في حديثنا. هل هناك شيء آخر يمكنني مساعدتك به؟',
+            inMeetingUntil: time => `شكراً على رسالتك. ${name} في اجتماع حتى ${time} و${form('سيعود', 'ستعود')} إليك بعد ذلك.`,
+            busyUntil: back => `شكراً على رسالتك. ${name} ${form('مشغول', 'مشغولة')} حالياً و${form('سيعود', 'ستعود')} إليك بعد ${back}.`,
+            outOfOfficeUntil: back => `شكراً على رسالتك. ${name} خارج المكتب حتى ${back} و${form('سيعود', 'ستعود')} إليك حينها.`,
+            afterHoursUntil: back => `شكراً على رسالتك. نحن الآن خارج ساعات عمل ${name}، و${form('سيعود', 'ستعود')} إليك بعد ${back}.`,
+            slotsOffered: (timezone, slots) => `شكراً على رسالتك. ${name} ${form('متاح', 'متاحة')} للاجتماع في أحد هذه المواعيد (${timezone}):\n${slots}\nيكفي أن ترد برقم الموعد الذي يناسبك.`,
+            slotHeld: (slot, timezone) => `شكراً! حجزت مبدئياً موعد ${slot} (${timezone}). ${form('سيؤكد', 'ستؤكد')} ${name} الاجتماع قريباً.`,
+            meetingConfirmed: slot => `أخبار جيدة: ${form('أكد', 'أكدت')} ${name} اجتماعكم في ${slot}.`,
+            meetingDeclined: slot => `للأسف لن ${form('يتمكن', 'تتمكن')} ${name} من الحضور في ${slot}. ${form('سيعود', 'ستعود')} إليك بموعد آخر.`,
+            greeting: 'مرحباً!',
+            greetingWords: ['مرحبا', 'مرحباً', 'أهلا', 'أهلاً', 'السلام عليكم', 'صباح الخير', 'مساء الخير'],
+            urgentAcknowledgement: 'أتفهم أن الأمر عاجل.',
+            urgentWords: ['عاجل'],
+            signOff: `مع أطيب التحيات،\n${signature || `مساعد ${name}`}`,
+            signOffWords: ['مع أطيب التحيات', 'شكرا', 'شكراً']
+        };
+    },
+    ru: (name, pronouns, signature) => {
+        const form = (masculine: string, feminine: string) => genderForm(pronouns, masculine, feminine);
+        return {
+            received: `Спасибо за сообщение. Я позабочусь, чтобы ${name} ${form('его получил', 'его получила')}.`,
+            receivedBusiness: `Спасибо за сообщение. Я позабочусь, чтобы ${name} ${form('его получил и быстро вам ответил', 'его получила и быстро вам ответила')}.`,
+            receivedUrgent: `Понимаю, что это важно. Я позабочусь, чтобы ${name} сразу ${form('увидел', 'увидела')} это сообщение.`,
+            receivedWithFollowUp: `Спасибо за сообщение. Я позабочусь, чтобы ${name} ${form('его получил и ответил', 'его получила и ответила')} вам как можно скорее.`,
+            generationFailed: 'Извините, при подготовке ответа возникла проблема. Пожалуйста, попробуйте позже.',
+            keepProfessional: 'Давайте сохраним деловой тон разговора. Могу ли я помочь вам с чем-то другим?',
+            inMeetingUntil: time => `Спасибо за сообщение. ${name} на встрече до ${time} и ответит вам после неё.`,
+            busyUntil: back => `Спасибо за сообщение. ${name} сейчас ${form('занят', 'занята')} и ответит вам после ${back}.`,
+            outOfOfficeUntil: back => `Спасибо за сообщение. ${name} вне офиса до ${back} и тогда вам ответит.`,
+            afterHoursUntil: back => `Спасибо за сообщение. Сейчас нерабочее время, ${name} ответит вам после ${back}.`,
+            slotsOffered: (timezone, slots) => `Спасибо за сообщение. ${name} может встретиться в одно из этих окон (${timezone}):\n${slots}\nПросто ответьте номером подходящего варианта.`,
+            slotHeld: (slot, timezone) => `Спасибо! Время ${slot} (${timezone}) предварительно забронировано. ${name} скоро подтвердит встречу.`,
+            meetingConfirmed: slot => `Хорошие новости: ${name} ${form('подтвердил', 'подтвердила')} встречу ${slot}.`,
+            meetingDeclined: slot => `К сожалению, ${name} всё-таки не сможет встретиться ${slot}. ${form('Он', 'Она')} свяжется с вами, чтобы предложить другое время.`,
+            greeting: 'Здравствуйте!',
+            greetingWords: ['здравствуйте', 'привет', 'добрый день', 'доброе утро', 'добрый вечер'],
+            urgentAcknowledgement: 'Понимаю, что это срочно.',
+            urgentWords: ['срочн'],
+            signOff: `С уважением,\n${signature || `ассистент ${name}`}`,
+            signOffWords: ['с уважением', 'спасибо']
+        };
+    }
+};
+
+/**
+ * Fixed reply texts about an owner in a language, English if none is given
+ */
+export function getReplyStrings(owner: OwnerProfile, language: Language = 'en'): ReplyStrings {
+    const strings = REPLY_STRINGS[language] ?? REPLY_STRINGS.en;
+    return strings(getOwnerName(owner, language), owner.pronouns, owner.signature);
+}
@@ -0,0 +1,49 @@
+import { ReplyOptions, WhatsAppMessage } from '../types';
+import { analyzeKeywords } from './messageAnalysis';
+
+/**
+ * Decide which message a reply quotes and whom it mentions. `unanswered` are the contacts'
+ * messages since the last reply in the chat, oldest first; merged turns are split into the
+ * messages they were made of. WhatsApp quotes one message per reply, so the reply quotes the
+ * last message that asks for something, or the last message when none does. In a private chat
+ * the quote is left out when it would only point at the message just above the reply; in a
+ * group the reply always quotes and mentions everyone else who wrote in the meantime.
+ */
+export function chooseReplyTarget(unanswered: WhatsAppMessage[], isGroup: boolean): ReplyOptions {
+    const messages = unanswered
+        .flatMap(message => message.parts?.length ? message.parts : [message])
+        .filter(message => !message.reaction);
+    if (messages.length === 0) {
+        return {};
+    }
+
+    const latest = messages[messages.length - 1];
+    const target = [...messages].reverse().find(asksForSomething) || latest;
+    if (!isGroup) {
+        return target === latest ? {} : { quotedMessageId: target.id };
+    }
+
+    // The quote already notifies its author
+    const targetAuthor = authorOf(target);
+    const mentions = Array.from(new Set(messages.map(authorOf))).filter(author => author !== targetAuthor);
+    return mentions.length > 0 ? { quotedMessageId: target.id, mentions } : { quotedMessageId: target.id };
+}
+
+/**
+ * Put an @<number> in front of the text for each mention it does not name yet; WhatsApp only
+ * highlights a mention that appears in the text
+ */
+export function addMentions(text: string, mentions: string[] = []): string {
+    const missing = mentions
+        .map(id => `@${id.split('@')[0]}`)
+        .filter(tag => !text.includes(tag));
+    return missing.length > 0 ? `${missing.join(' ')} ${text}` : text;
+}
+
+function asksForSomething(message: WhatsAppMessage): boolean {
+    return message.analysis?.requiresResponse ?? analyzeKeywords(message.body).requiresResponse;
+}
+
+function authorOf(message: WhatsAppMessage): string {
+    return message.author || message.from;
+}
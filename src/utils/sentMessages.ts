@@ -0,0 +1,65 @@
+const DEFAULT_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Remembers the messages the assistant sent, so the `fromMe` messages WhatsApp reports back can
+ * be told apart from the ones the owner typed on their phone. `message_create` may fire before
+ * the send resolves with the message ID, so messages still being sent are matched by chat and text.
+ */
+export class SentMessageTracker {
+    private sent: Map<string, number> = new Map(); // Message ID -> when it was sent
+    private pending: Array<{ chatId: string; body: string }> = [];
+    private ttlMs: number;
+
+    constructor(ttlMs: number = DEFAULT_TTL_MS) {
+        this.ttlMs = ttlMs;
+    }
+
+    /**
+     * Run a send and remember the ID it resolves with
+     */
+    public async track<T extends string | undefined>(chatId: string, body: string, send: () => Promise<T>): Promise<T> {
+        const entry = { chatId, body };
+        this.pending.push(entry);
+        try {
+            const id = await send();
+            if (id) {
+                this.remember(id);
+            }
+            return id;
+        } finally {
+            const index = this.pending.indexOf(entry);
+            if (index !== -1) {
+                this.pending.splice(index, 1);
+            }
+        }
+    }
+
+    /**
+     * Check if a message was sent by the assistant
+     */
+    public isSentByAssistant(id: string, chatId: string, body: string): boolean {
+        if (this.sent.has(id)) {
+            return true;
+        }
+
+        const inFlight = this.pending.findIndex(entry => entry.chatId === chatId && entry.body === body);
+        if (inFlight === -1) {
+            return false;
+        }
+        // The same text may be in flight twice; each report accounts for one of them
+        this.pending.splice(inFlight, 1);
+        this.remember(id);
+        return true;
+    }
+
+    private remember(id: string): void {
+        const now = Date.now();
+        this.sent.set(id, now);
+        for (const [sentId, sentAt] of this.sent) {
+            if (now - sentAt <= this.ttlMs) {
+                break; // Insertion order is send order
+            }
+            this.sent.delete(sentId);
+        }
+    }
+}
@@ -0,0 +1,124 @@
+import * as net from 'net';
+import * as os from 'os';
+
+/**
+ * SMTP server to hand mail to, typically a local relay that needs no authentication
+ */
+export interface SmtpServer {
+    host: string;
+    port: number;
+    timeoutMs: number;
+}
+
+export interface MailMessage {
+    from: string;
+    to: string[];
+    subject: string;
+    text: string;
+}
+
+interface SmtpStep {
+    command?: string; // Sent once the previous reply arrived; undefined for the greeting
+    expect: number[];
+}
+
+/**
+ * Send a plain-text mail over SMTP without TLS or authentication. Resolves once the server
+ * accepted the message.
+ */
+export function sendMail(server: SmtpServer, mail: MailMessage): Promise<void> {
+    const steps: SmtpStep[] = [
+        { expect: [220] },
+        { command: `EHLO ${os.hostname() || 'localhost'}`, expect: [250] },
+        { command: `MAIL FROM:<${mail.from}>`, expect: [250] },
+        ...mail.to.map(address => ({ command: `RCPT TO:<${address}>`, expect: [250, 251] })),
+        { command: 'DATA', expect: [354] },
+        { command: `${formatMessage(mail)}\r\n.`, expect: [250] }
+    ];
+
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host: server.host, port: server.port });
+        let buffer = '';
+        let step = 0;
+        let settled = false;
+
+        const finish = (error?: Error) => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            if (error) {
+                socket.destroy();
+                reject(error);
+            } else {
+                socket.end('QUIT\r\n');
+                resolve();
+            }
+        };
+
+        socket.setEncoding('utf8');
+        socket.setTimeout(server.timeoutMs, () => finish(new Error(`SMTP server ${server.host}:${server.port} timed out`)));
+        socket.on('error', error => finish(error));
+        socket.on('close', () => finish(new Error('SMTP connection closed before the message was accepted')));
+        socket.on('data', (chunk: string) => {
+            if (settled) {
+                return;
+            }
+            buffer += chunk;
+
+            // A reply is complete at a line whose code is followed by a space; "250-" continues it
+            let match: RegExpExecArray | null;
+            while ((match = /^(\d{3})(?: [^\n]*)?\r?\n/m.exec(buffer)) !== null) {
+                const reply = buffer.slice(0, match.index + match[0].length).trim();
+                buffer = buffer.slice(match.index + match[0].length);
+                const code = parseInt(match[1], 10);
+
+                // Servers that do not speak ESMTP get the plain greeting instead
+                if (step === 1 && (code === 500 || code === 502)) {
+                    socket.write(`HELO ${os.hostname() || 'localhost'}\r\n`);
+                    continue;
+                }
+                if (!steps[step].expect.includes(code)) {
+                    finish(new Error(`SMTP server rejected ${steps[step].command?.split(/[\s:]/)[0] || 'the connection'}: ${reply}`));
+                    return;
+                }
+
+                step++;
+                if (step === steps.length) {
+                    finish();
+                    return;
+                }
+                socket.write(`${steps[step].command}\r\n`);
+            }
+        });
+    });
+}
+
+/**
+ * Headers and body of a UTF-8 plain-text message, dot-stuffed for the DATA command
+ */
+function formatMessage(mail: MailMessage): string {
+    const headers = [
+        `From: <${mail.from}>`,
+        `To: ${mail.to.map(address => `<${address}>`).join(', ')}`,
+        `Subject: ${encodeHeader(mail.subject)}`,
+        `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit'
+    ];
+    const body = mail.text
+        .replace(/\r?\n/g, '\r\n')
+        .split('\r\n')
+        .map(line => line.startsWith('.') ? `.${line}` : line)
+        .join('\r\n');
+    return `${headers.join('\r\n')}\r\n\r\n${body}`;
+}
+
+/**
+ * Encode a header value as an RFC 2047 encoded word when it is not plain ASCII
+ */
+function encodeHeader(value: string): string {
+    const singleLine = value.replace(/[\r\n]+/g, ' ');
+    return /^[\x20-\x7e]*$/.test(singleLine) ? singleLine : `=?UTF-8?B?${Buffer.from(singleLine, 'utf8').toString('base64')}?=`;
+}
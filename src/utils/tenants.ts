@@ -0,0 +1,305 @@
+import * as path from 'path';
+import { CalendarConfig, EscalationChannelName, EscalationConfig, Language, OwnerProfile, OwnerPronouns, PolicyConfig, TenantConfig } from '../types';
+import { ESCALATION_CHANNELS, parseContactList } from './alertChannels';
+import { BusinessHours, parseHolidays, parseWeeklySchedule } from './businessHours';
+import { LANGUAGES } from './language';
+import { OWNER_PRONOUNS } from './owner';
+import { parseYaml } from './yaml';
+
+const TENANT_FIELDS = ['id', 'owner', 'dataDirectory', 'sessionPath', 'databasePath', 'policy', 'knowledgeDir', 'personasDir', 'calendar', 'businessHours', 'escalation'];
+const OWNER_FIELDS = ['name', 'localNames', 'pronouns', 'identifiers', 'whatsappId', 'signature'];
+const CALENDAR_FIELDS = ['source', 'username', 'password', 'refreshMs'];
+const BUSINESS_HOURS_FIELDS = ['start', 'end', 'timezone', 'schedule', 'holidays'];
+const ESCALATION_FIELDS = ['enabled', 'channels', 'vipContacts', 'webhookUrl', 'ntfyUrl', 'ntfyToken', 'emailTo', 'emailFrom'];
+// Where each alert channel sends to; a tenant must name its own destination
+const CHANNEL_DESTINATIONS: Partial<Record<EscalationChannelName, 'webhookUrl' | 'ntfyUrl' | 'emailTo'>> = { webhook: 'webhookUrl', ntfy: 'ntfyUrl', email: 'emailTo' };
+const DEFAULT_SESSION_CLIENT_ID = 'whatsapp-llm-pa';
+const POLICY_FIELDS: Array<keyof PolicyConfig> = ['groupRepliesEnabled', 'approvalRequired', 'approvalTimeoutMs'];
+
+/**
+ * Settings a tenant inherits when its entry does not override them
+ */
+export interface TenantDefaults {
+    directory: string; // Tenant data lives in <directory>/<id>
+    policy: PolicyConfig;
+    bookingIcsPath: string; // Global setting; tenants write their own file when it is set
+    digestDirectory: string; // Global setting; tenants write their own digests when it is set
+    businessHours?: BusinessHours; // Fields a tenant's business hours do not set
+    calendarRefreshMs: number;
+    escalation: EscalationConfig; // Only the switch, limits and mail server are inherited, never where alerts go
+}
+
+/**
+ * Read the tenants file: a `tenants` list with one entry per WhatsApp account. Session,
+ * database, booking, digest, knowledge and persona paths default to the tenant's data
+ * directory; a tenant has no calendar and alerts only in its own chat unless its entry
+ * says otherwise. Throws on invalid files, duplicate ids and accounts that would share a
+ * session or database.
+ */
+export function parseTenantsFile(text: string, defaults: TenantDefaults): TenantConfig[] {
+    const document = parseYaml(text);
+    if (!isMapping(document) || !Array.isArray(document.tenants)) {
+        throw new Error('Expected a "tenants" list');
+    }
+    const extra = Object.keys(document).filter(key => key !== 'tenants');
+    if (extra.length > 0) {
+        throw new Error(`Unknown fields: ${extra.join(', ')}. Expected: tenants`);
+    }
+    if (document.tenants.length === 0) {
+        throw new Error('The "tenants" list is empty');
+    }
+
+    const tenants = document.tenants.map((entry, index) => {
+        try {
+            return parseTenant(entry, defaults);
+        } catch (error) {
+            throw new Error(`Tenant ${index + 1}: ${error instanceof Error ? error.message : error}`);
+        }
+    });
+
+    for (const field of ['id', 'sessionPath', 'databasePath'] as const) {
+        const seen = new Map<string, string>();
+        for (const tenant of tenants) {
+            const key = field === 'id' ? tenant.id : path.resolve(tenant[field]);
+            const other = seen.get(key);
+            if (other !== undefined) {
+                throw new Error(field === 'id' ? `Duplicate tenant id "${tenant.id}"` : `Tenants "${other}" and "${tenant.id}" use the same ${field}`);
+            }
+            seen.set(key, tenant.id);
+        }
+    }
+
+    return tenants;
+}
+
+/**
+ * Registry name of a tenant's service; services shared by every tenant keep their plain name
+ */
+export function scopedServiceName(tenantId: string | undefined, name: string): string {
+    return tenantId ? `${tenantId}:${name}` : name;
+}
+
+/**
+ * WhatsApp session name of a tenant's account. A single account keeps the name sessions were
+ * created with before tenants existed, so they stay logged in.
+ */
+export function sessionClientId(tenantId: string | undefined): string {
+    return tenantId ? `${DEFAULT_SESSION_CLIENT_ID}-${tenantId}` : DEFAULT_SESSION_CLIENT_ID;
+}
+
+/**
+ * Split a registry name into the tenant and the service name
+ */
+export function parseScopedServiceName(name: string): { tenant?: string; service: string } {
+    const separator = name.indexOf(':');
+    return separator === -1 ? { service: name } : { tenant: name.slice(0, separator), service: name.slice(separator + 1) };
+}
+
+function parseTenant(entry: unknown, defaults: TenantDefaults): TenantConfig {
+    const fields = asMapping(entry, 'tenant', TENANT_FIELDS);
+
+    const id = asString(fields.id).toLowerCase();
+    if (!/^[a-z0-9_-]+$/.test(id)) {
+        throw new Error(id ? `Invalid id "${id}": use letters, digits, "-" and "_"` : '"id" is required');
+    }
+
+    const dataDirectory = asString(fields.dataDirectory) || path.join(defaults.directory, id);
+    return {
+        id,
+        owner: parseOwner(fields.owner),
+        sessionPath: asString(fields.sessionPath) || path.join(dataDirectory, 'session'),
+        databasePath: asString(fields.databasePath) || path.join(dataDirectory, 'conversations.db'),
+        policy: parsePolicy(fields.policy, defaults.policy),
+        bookingIcsPath: defaults.bookingIcsPath ? path.join(dataDirectory, path.basename(defaults.bookingIcsPath)) : '',
+        digestDirectory: defaults.digestDirectory ? path.join(dataDirectory, 'digests') : '',
+        knowledgeDirectory: asString(fields.knowledgeDir) || path.join(dataDirectory, 'knowledge'),
+        personasDirectory: asString(fields.personasDir) || path.join(dataDirectory, 'personas'),
+        calendar: parseCalendar(fields.calendar, defaults.calendarRefreshMs),
+        businessHours: parseBusinessHours(fields.businessHours, defaults.businessHours),
+        escalation: parseEscalation(fields.escalation, defaults.escalation)
+    };
+}
+
+function parseOwner(value: unknown): OwnerProfile {
+    const fields = asMapping(value, 'owner', OWNER_FIELDS);
+
+    const name = asString(fields.name);
+    if (!name) {
+        throw new Error('"owner.name" is required');
+    }
+
+    const pronouns = (asString(fields.pronouns) || 'they').toLowerCase() as OwnerPronouns;
+    if (!OWNER_PRONOUNS.includes(pronouns)) {
+        throw new Error(`Invalid owner.pronouns "${fields.pronouns}". Must be one of: ${OWNER_PRONOUNS.join(', ')}`);
+    }
+
+    const localNames: Partial<Record<Language, string>> = {};
+    const otherLanguages = LANGUAGES.filter(language => language !== 'en');
+    for (const [language, localName] of Object.entries(fields.localNames === undefined || fields.localNames === null ? {} : asMapping(fields.localNames, 'owner.localNames', otherLanguages))) {
+        if (asString(localName)) {
+            localNames[language as Language] = asString(localName);
+        }
+    }
+
+    const identifiers = fields.identifiers === undefined || fields.identifiers === null ? [] : fields.identifiers;
+    if (!Array.isArray(identifiers)) {
+        throw new Error('"owner.identifiers" must be a list');
+    }
+
+    return {
+        name,
+        localNames,
+        pronouns,
+        identifiers: identifiers.map(asString).filter(identifier => identifier.length > 0),
+        whatsappId: asString(fields.whatsappId),
+        signature: asString(fields.signature)
+    };
+}
+
+function parsePolicy(value: unknown, defaults: PolicyConfig): PolicyConfig {
+    if (value === undefined || value === null) {
+        return { ...defaults };
+    }
+    const fields = asMapping(value, 'policy', POLICY_FIELDS);
+
+    for (const field of ['groupRepliesEnabled', 'approvalRequired'] as const) {
+        if (fields[field] !== undefined && typeof fields[field] !== 'boolean') {
+            throw new Error(`Invalid policy.${field} "${fields[field]}". Must be true or false`);
+        }
+    }
+    const timeout = fields.approvalTimeoutMs;
+    if (timeout !== undefined && (!Number.isInteger(timeout) || (timeout as number) < 0 || (timeout as number) > 86400000)) {
+        throw new Error(`Invalid policy.approvalTimeoutMs "${timeout}". Must be between 0 and 86400000 milliseconds`);
+    }
+
+    return {
+        groupRepliesEnabled: (fields.groupRepliesEnabled as boolean | undefined) ?? defaults.groupRepliesEnabled,
+        approvalRequired: (fields.approvalRequired as boolean | undefined) ?? defaults.approvalRequired,
+        approvalTimeoutMs: (timeout as number | undefined) ?? defaults.approvalTimeoutMs
+    };
+}
+
+function parseCalendar(value: unknown, refreshMs: number): CalendarConfig {
+    if (value === undefined || value === null) {
+        return { source: '', username: '', password: '', refreshMs };
+    }
+    const fields = asMapping(value, 'calendar', CALENDAR_FIELDS);
+
+    const source = asString(fields.source);
+    if (!source) {
+        throw new Error('"calendar.source" is required');
+    }
+    const refresh = fields.refreshMs;
+    if (refresh !== undefined && (!Number.isInteger(refresh) || (refresh as number) < 60000 || (refresh as number) > 86400000)) {
+        throw new Error(`Invalid calendar.refreshMs "${refresh}". Must be between 60000 and 86400000`);
+    }
+
+    return {
+        source,
+        username: asString(fields.username),
+        password: asString(fields.password),
+        refreshMs: (refresh as number | undefined) ?? refreshMs
+    };
+}
+
+/**
+ * A tenant that sets its opening times (start, end or schedule) replaces the default ones;
+ * the time zone and holidays are inherited unless set too
+ */
+function parseBusinessHours(value: unknown, defaults: BusinessHours | undefined): BusinessHours | undefined {
+    if (value === undefined || value === null) {
+        return defaults && { ...defaults };
+    }
+    const fields = asMapping(value, 'businessHours', BUSINESS_HOURS_FIELDS);
+
+    for (const field of ['start', 'end'] as const) {
+        if (fields[field] !== undefined && !/^([01]\d|2[0-3]):[0-5]\d$/.test(asString(fields[field]))) {
+            throw new Error(`Invalid businessHours.${field} "${fields[field]}". Must be HH:MM (24-hour)`);
+        }
+    }
+
+    const timezone = asString(fields.timezone) || defaults?.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch {
+        throw new Error(`Invalid businessHours.timezone "${timezone}". Must be an IANA time zone such as Asia/Jerusalem`);
+    }
+
+    const holidays = Array.isArray(fields.holidays) ? fields.holidays.map(asString).join(',') : asString(fields.holidays);
+    const setsHours = fields.start !== undefined || fields.end !== undefined || fields.schedule !== undefined;
+    try {
+        return {
+            start: asString(fields.start) || defaults?.start || '09:00',
+            end: asString(fields.end) || defaults?.end || '18:00',
+            timezone,
+            weeklySchedule: fields.schedule !== undefined ? parseWeeklySchedule(asString(fields.schedule)) : setsHours ? undefined : defaults?.weeklySchedule,
+            holidays: fields.holidays !== undefined ? parseHolidays(holidays) : defaults?.holidays
+        };
+    } catch (error) {
+        throw new Error(`Invalid businessHours: ${error instanceof Error ? error.message : error}`);
+    }
+}
+
+function parseEscalation(value: unknown, defaults: EscalationConfig): EscalationConfig {
+    const fields = value === undefined || value === null ? {} : asMapping(value, 'escalation', ESCALATION_FIELDS);
+
+    if (fields.enabled !== undefined && typeof fields.enabled !== 'boolean') {
+        throw new Error(`Invalid escalation.enabled "${fields.enabled}". Must be true or false`);
+    }
+
+    const channels = (fields.channels === undefined ? ['self'] : asList(fields.channels, 'escalation.channels'))
+        .map(channel => channel.toLowerCase() as EscalationChannelName);
+    const unknown = channels.find(channel => !ESCALATION_CHANNELS.includes(channel));
+    if (unknown) {
+        throw new Error(`Invalid escalation channel "${unknown}". Must be one of: ${ESCALATION_CHANNELS.join(', ')}`);
+    }
+    for (const channel of channels) {
+        const destination = CHANNEL_DESTINATIONS[channel];
+        if (destination && !asString(fields[destination])) {
+            throw new Error(`"escalation.${destination}" is required for the ${channel} channel`);
+        }
+    }
+
+    return {
+        ...defaults,
+        enabled: (fields.enabled as boolean | undefined) ?? defaults.enabled,
+        channels,
+        vipContacts: parseContactList(fields.vipContacts === undefined ? '' : asList(fields.vipContacts, 'escalation.vipContacts').join(',')),
+        webhookUrl: asString(fields.webhookUrl),
+        ntfyUrl: asString(fields.ntfyUrl),
+        ntfyToken: asString(fields.ntfyToken),
+        smtp: { ...defaults.smtp, from: asString(fields.emailFrom) || defaults.smtp.from, to: asString(fields.emailTo) }
+    };
+}
+
+/**
+ * A YAML list or a comma-separated string
+ */
+function asList(value: unknown, field: string): string[] {
+    if (Array.isArray(value)) {
+        return value.map(asString).filter(entry => entry.length > 0);
+    }
+    if (typeof value === 'string' || typeof value === 'number') {
+        return String(value).split(',').map(entry => entry.trim()).filter(entry => entry.length > 0);
+    }
+    throw new Error(`"${field}" must be a list`);
+}
+
+function asMapping(value: unknown, field: string, allowed: string[]): Record<string, unknown> {
+    if (!isMapping(value)) {
+        throw new Error(`"${field}" must be a mapping`);
+    }
+    const unknown = Object.keys(value).filter(key => !allowed.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown ${field} fields: ${unknown.join(', ')}. Expected: ${allowed.join(', ')}`);
+    }
+    return value;
+}
+
+function isMapping(value: unknown): value is Record<string, unknown> {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function asString(value: unknown): string {
+    return value === undefined || value === null ? '' : String(value).trim();
+}
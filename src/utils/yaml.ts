@@ -0,0 +1,243 @@
+/**
+ * Minimal YAML reader for knowledge base files. Supports the subset people write by hand:
+ * nested mappings and sequences, quoted and plain scalars, flow lists (`[a, b]`), block
+ * scalars (`|` and `>`) and comments. Anchors, tags and multi-document files are not supported.
+ */
+
+interface Cursor {
+    lines: string[];
+    index: number;
+}
+
+/**
+ * Parse a YAML document into plain objects, arrays and scalars
+ */
+export function parseYaml(source: string): unknown {
+    const cursor: Cursor = { lines: source.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n'), index: 0 };
+    const next = peek(cursor);
+    if (!next) {
+        return null;
+    }
+
+    const value = parseNode(cursor, next.indent);
+    const rest = peek(cursor);
+    if (rest) {
+        throw new Error(`Line ${rest.lineNumber}: unexpected content "${rest.text}"`);
+    }
+    return value;
+}
+
+/**
+ * Next line with content, skipping blank lines and comments
+ */
+function peek(cursor: Cursor): { indent: number; text: string; lineNumber: number } | null {
+    while (cursor.index < cursor.lines.length) {
+        const line = cursor.lines[cursor.index];
+        const text = line.trim();
+        if (text && !text.startsWith('#') && text !== '---') {
+            return { indent: line.length - line.trimStart().length, text, lineNumber: cursor.index + 1 };
+        }
+        cursor.index++;
+    }
+    return null;
+}
+
+function isSequenceItem(text: string): boolean {
+    return text === '-' || text.startsWith('- ');
+}
+
+function parseNode(cursor: Cursor, indent: number): unknown {
+    const next = peek(cursor)!;
+    if (isSequenceItem(next.text)) {
+        return parseSequence(cursor, indent);
+    }
+    if (matchKey(next.text)) {
+        return parseMapping(cursor, indent);
+    }
+    cursor.index++;
+    return parseScalar(next.text);
+}
+
+function parseSequence(cursor: Cursor, indent: number): unknown[] {
+    const items: unknown[] = [];
+
+    for (let next = peek(cursor); next && next.indent === indent && isSequenceItem(next.text); next = peek(cursor)) {
+        const content = next.text.slice(1).trimStart();
+
+        if (!content) {
+            cursor.index++;
+            const child = peek(cursor);
+            items.push(child && child.indent > indent ? parseNode(cursor, child.indent) : null);
+        } else if (matchKey(content)) {
+            // "- key: value" starts a mapping indented at the position of its first key
+            const contentIndent = indent + next.text.length - content.length;
+            cursor.lines[cursor.index] = ' '.repeat(contentIndent) + content;
+            items.push(parseMapping(cursor, contentIndent));
+        } else {
+            cursor.index++;
+            items.push(parseValue(cursor, content, indent));
+        }
+    }
+
+    return items;
+}
+
+function parseMapping(cursor: Cursor, indent: number): Record<string, unknown> {
+    const mapping: Record<string, unknown> = {};
+
+    for (let next = peek(cursor); next && next.indent === indent && !isSequenceItem(next.text); next = peek(cursor)) {
+        const match = matchKey(next.text);
+        if (!match) {
+            throw new Error(`Line ${next.lineNumber}: expected "key: value", got "${next.text}"`);
+        }
+        cursor.index++;
+
+        const [key, rest] = match;
+        if (rest) {
+            mapping[key] = parseValue(cursor, rest, indent);
+            continue;
+        }
+
+        const child = peek(cursor);
+        if (child && (child.indent > indent || (child.indent === indent && isSequenceItem(child.text)))) {
+            mapping[key] = parseNode(cursor, child.indent);
+        } else {
+            mapping[key] = null;
+        }
+    }
+
+    return mapping;
+}
+
+/**
+ * Split "key: rest" into its parts; null if the text is not a mapping entry
+ */
+function matchKey(text: string): [string, string] | null {
+    const match = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"{\[][^:#]*?)\s*:(?:\s+(.*))?$/.exec(text);
+    if (!match) {
+        return null;
+    }
+    const key = parseScalar(match[1]);
+    return [String(key), (match[2] || '').trim()];
+}
+
+/**
+ * Value after "key:" or "- ": a block scalar, a flow list or a plain scalar
+ */
+function parseValue(cursor: Cursor, text: string, parentIndent: number): unknown {
+    const block = /^([|>])[+-]?\s*(#.*)?$/.exec(text);
+    if (block) {
+        return parseBlockScalar(cursor, parentIndent, block[1] === '>');
+    }
+    return parseScalar(text);
+}
+
+/**
+ * Lines indented deeper than the parent; `>` folds single line breaks into spaces
+ */
+function parseBlockScalar(cursor: Cursor, parentIndent: number, folded: boolean): string {
+    const lines: string[] = [];
+    let blockIndent = -1;
+
+    while (cursor.index < cursor.lines.length) {
+        const line = cursor.lines[cursor.index];
+        if (!line.trim()) {
+            lines.push('');
+            cursor.index++;
+            continue;
+        }
+
+        const indent = line.length - line.trimStart().length;
+        if (indent <= parentIndent) {
+            break;
+        }
+        if (blockIndent === -1) {
+            blockIndent = indent;
+        }
+        lines.push(line.slice(Math.min(indent, blockIndent)));
+        cursor.index++;
+    }
+
+    while (lines.length > 0 && lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+
+    if (!folded) {
+        return lines.join('\n');
+    }
+    return lines
+        .join('\n')
+        .split(/\n{2,}/)
+        .map(paragraph => paragraph.replace(/\n/g, ' '))
+        .join('\n');
+}
+
+/**
+ * Quoted string, flow list, boolean, null, number or plain string
+ */
+function parseScalar(text: string): unknown {
+    const value = text.trim();
+
+    if (value.startsWith('"')) {
+        const end = findClosingQuote(value, '"');
+        return JSON.parse(value.slice(0, end + 1));
+    }
+    if (value.startsWith("'")) {
+        const end = findClosingQuote(value, "'");
+        return value.slice(1, end).replace(/''/g, "'");
+    }
+    if (value.startsWith('[')) {
+        return parseFlowSequence(value);
+    }
+
+    const plain = value.replace(/\s+#.*$/, '');
+    if (/^(true|yes|on)$/i.test(plain)) return true;
+    if (/^(false|no|off)$/i.test(plain)) return false;
+    if (/^(null|~)?$/i.test(plain)) return null;
+    if (/^-?\d+(\.\d+)?$/.test(plain)) return Number(plain);
+    return plain;
+}
+
+function findClosingQuote(value: string, quote: string): number {
+    for (let i = 1; i < value.length; i++) {
+        if (quote === '"' && value[i] === '\\') {
+            i++;
+        } else if (value[i] === quote) {
+            if (quote === "'" && value[i + 1] === "'") {
+                i++;
+                continue;
+            }
+            return i;
+        }
+    }
+    throw new Error(`Unterminated string: ${value}`);
+}
+
+/**
+ * "[a, 'b, c', 3]" -> ['a', 'b, c', 3]
+ */
+function parseFlowSequence(value: string): unknown[] {
+    const end = value.lastIndexOf(']');
+    if (end === -1) {
+        throw new Error(`Unterminated list: ${value}`);
+    }
+
+    const items: string[] = [];
+    let current = '';
+    let quote: string | null = null;
+    for (const char of value.slice(1, end)) {
+        if (quote) {
+            quote = char === quote ? null : quote;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === ',') {
+            items.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    items.push(current);
+
+    return items.map(item => item.trim()).filter(item => item.length > 0).map(parseScalar);
+}
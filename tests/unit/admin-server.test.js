@@ -0,0 +1,166 @@
+/**
+ * Unit Tests for the admin HTTP API
+ * Tests probes, Prometheus output and authenticated endpoints against a server on an ephemeral port
+ */
+
+const { TestRunner, TestAssertions } = require('../utils/testHelpers');
+
+const TOKEN = 'test-token';
+
+function createRegistry() {
+    const cooldowns = new Set(['111@c.us']);
+    let secretaryMode = true;
+    const services = {
+        storageService: {},
+        whatsappClient: { isReady: () => false },
+        timerService: {
+            getActiveTimers: () => [{ chatId: '111@c.us', isInCooldown: cooldowns.has('111@c.us') }],
+            getTimerStats: () => ({ totalTimers: 1, activeResponseTimers: 0, chatsInCooldown: cooldowns.size, activeTimers: 1 }),
+            getRemainingTime: () => 1000,
+            isInCooldown: (chatId) => cooldowns.has(chatId),
+            clearCooldown: (chatId) => cooldowns.delete(chatId)
+        },
+        conversationManager: {
+            getAllConversations: () => [{
+                chatId: '111@c.us',
+                participantCount: 2,
+                isActive: true,
+                recentMessages: [{ id: 'm1', body: 'hi', from: '111@c.us', timestamp: 5, isGroupMsg: false, chat: { id: '111@c.us', name: 'Dana' } }]
+            }],
+            getConversationContext: async () => null
+        },
+        messageHandler: {
+            isSecretaryModeEnabled: () => secretaryMode,
+            setSecretaryMode: (enabled) => { secretaryMode = enabled; },
+            isChatMuted: () => false
+        }
+    };
+
+    return {
+        get: (name) => services[name],
+        getHealthStatus: () => [{ name: 'storageService', isHealthy: true, status: 'alive', lastChecked: 0 }],
+        getMetrics: () => ({
+            uptime: 61000,
+            startTime: 0,
+            services: { storageService: { initialized: true, healthy: true, errors: 0 } },
+            memory: { used: 10, total: 20, percentage: 50 },
+            conversations: { active: 1, total: 1, messages: 1 },
+            timers: { active: 1, cooldowns: 1, responses: 0 },
+            aiProviders: {
+                activeProvider: 'ollama:llama3.2',
+                providers: [{ id: 'ollama:llama3.2', provider: 'ollama', model: 'llama3.2', state: 'closed', tripCount: 2, successes: 5, failures: 1, slowCalls: 0, errorRate: 0, avgLatencyMs: 120 }]
+            }
+        })
+    };
+}
+
+async function testAdminServer() {
+    const runner = new TestRunner('Admin Server Unit Tests');
+
+    let AdminServer, formatPrometheusMetrics;
+    let server, baseUrl;
+
+    runner.beforeAll(async () => {
+        ({ AdminServer, formatPrometheusMetrics } = require('../../dist/services/AdminServer'));
+    });
+
+    runner.beforeEach(async () => {
+        server = new AdminServer({ enabled: true, host: '127.0.0.1', port: 0, token: TOKEN }, createRegistry());
+        await server.start();
+        baseUrl = `http://127.0.0.1:${server.getPort()}`;
+    });
+
+    runner.afterEach(async () => {
+        await server.close();
+    });
+
+    const auth = { Authorization: `Bearer ${TOKEN}` };
+
+    runner.test('should answer liveness and readiness probes', async () => {
+        const health = await fetch(`${baseUrl}/healthz`);
+        TestAssertions.assertEqual(health.status, 200);
+        TestAssertions.assertEqual((await health.json()).status, 'ok');
+
+        const ready = await fetch(`${baseUrl}/readyz`);
+        TestAssertions.assertEqual(ready.status, 503, 'Not ready while WhatsApp is disconnected');
+        TestAssertions.assertFalse((await ready.json()).checks.whatsapp);
+    });
+
+    runner.test('should expose Prometheus metrics', async () => {
+        const response = await fetch(`${baseUrl}/metrics`);
+        const text = await response.text();
+        TestAssertions.assertTrue(response.headers.get('content-type').startsWith('text/plain'));
+        TestAssertions.assertTrue(text.includes('# TYPE whatsapp_pa_uptime_seconds gauge'));
+        TestAssertions.assertTrue(text.includes('whatsapp_pa_uptime_seconds 61'));
+        TestAssertions.assertTrue(text.includes('whatsapp_pa_service_healthy{service="storageService"} 1'));
+        TestAssertions.assertTrue(text.includes('whatsapp_pa_ai_provider_trips_total{provider="ollama:llama3.2"} 2'));
+        TestAssertions.assertTrue(text.includes('whatsapp_pa_ai_provider_circuit_state{provider="ollama:llama3.2",state="closed"} 1'));
+    });
+
+    runner.test('should require the bearer token for /api', async () => {
+        const missing = await fetch(`${baseUrl}/api/conversations`);
+        TestAssertions.assertEqual(missing.status, 401);
+
+        const wrong = await fetch(`${baseUrl}/api/conversations`, { headers: { Authorization: 'Bearer nope' } });
+        TestAssertions.assertEqual(wrong.status, 401);
+
+        const ok = await fetch(`${baseUrl}/api/conversations`, { headers: auth });
+        const body = await ok.json();
+        TestAssertions.assertEqual(ok.status, 200);
+        TestAssertions.assertEqual(body.conversations[0].name, 'Dana');
+        TestAssertions.assertTrue(body.conversations[0].inCooldown);
+    });
+
+    runner.test('should clear cooldowns and toggle secretary mode', async () => {
+        const timers = await (await fetch(`${baseUrl}/api/timers`, { headers: auth })).json();
+        TestAssertions.assertEqual(timers.timers[0].chatId, '111@c.us');
+
+        const cleared = await (await fetch(`${baseUrl}/api/cooldowns/${encodeURIComponent('111@c.us')}`, { method: 'DELETE', headers: auth })).json();
+        TestAssertions.assertEqual(cleared.cleared[0], '111@c.us');
+
+        const bad = await fetch(`${baseUrl}/api/secretary-mode`, { method: 'PUT', headers: auth, body: '{"enabled":"no"}' });
+        TestAssertions.assertEqual(bad.status, 400);
+
+        const toggled = await (await fetch(`${baseUrl}/api/secretary-mode`, { method: 'PUT', headers: auth, body: '{"enabled":false}' })).json();
+        TestAssertions.assertFalse(toggled.enabled);
+    });
+
+    runner.test('should return 404 and 405 for unknown routes and methods', async () => {
+        TestAssertions.assertEqual((await fetch(`${baseUrl}/nope`)).status, 404);
+        const wrongMethod = await fetch(`${baseUrl}/healthz`, { method: 'POST' });
+        TestAssertions.assertEqual(wrongMethod.status, 405);
+        TestAssertions.assertEqual(wrongMethod.headers.get('allow'), 'GET');
+    });
+
+    runner.test('should escape label values', async () => {
+        const text = formatPrometheusMetrics({
+            uptime: 0, startTime: 0, services: { 'we"ird': { initialized: true, healthy: false, errors: 3 } },
+            memory: { used: 0, total: 0, percentage: 0 },
+            conversations: { active: 0, total: 0, messages: 0 },
+            timers: { active: 0, cooldowns: 0, responses: 0 },
+            aiProviders: { activeProvider: null, providers: [] }
+        });
+        TestAssertions.assertTrue(text.includes('whatsapp_pa_service_errors_total{service="we\\"ird"} 3'));
+        TestAssertions.assertFalse(text.includes('ai_provider'), 'No provider metrics without a chain');
+    });
+
+    return await runner.run();
+}
+
+async function main() {
+    console.log('🧪 Running Admin Server Unit Tests\n');
+
+    try {
+        const result = await testAdminServer();
+        const success = result.failed === 0;
+        console.log(`\n${success ? '🎉' : '💥'} Admin server tests ${success ? 'completed successfully' : 'failed'}`);
+        process.exit(success ? 0 : 1);
+    } catch (error) {
+        console.error('💥 Test execution failed:', error);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,171 @@
+/**
+ * Unit Tests for AI providers
+ * Tests request/response mapping of each provider adapter against a mocked fetch
+ */
+
+const { TestRunner, TestAssertions } = require('../utils/testHelpers');
+
+function mockFetch(responseBody, calls) {
+    return async (url, init) => {
+        calls.push({ url, init, body: init && init.body ? JSON.parse(init.body) : undefined });
+        return {
+            ok: true,
+            status: 200,
+            statusText: 'OK',
+            json: async () => responseBody,
+            text: async () => JSON.stringify(responseBody)
+        };
+    };
+}
+
+async function testProviders() {
+    const runner = new TestRunner('AI Provider Unit Tests');
+
+    let OpenAICompatibleAI, AnthropicAI, OllamaAI, createAIProvider;
+    let originalFetch;
+    let calls;
+
+    runner.beforeAll(async () => {
+        ({ OpenAICompatibleAI } = require('../../dist/ai/OpenAICompatibleAI'));
+        ({ AnthropicAI } = require('../../dist/ai/AnthropicAI'));
+        ({ OllamaAI } = require('../../dist/ai/OllamaAI'));
+        ({ createAIProvider } = require('../../dist/ai/AIProviderFactory'));
+        originalFetch = global.fetch;
+    });
+
+    runner.beforeEach(async () => {
+        calls = [];
+    });
+
+    runner.afterEach(async () => {
+        global.fetch = originalFetch;
+    });
+
+    runner.test('should call OpenAI-compatible chat completions', async () => {
+        global.fetch = mockFetch({
+            model: 'local-model',
+            choices: [{ message: { role: 'assistant', content: '  Hi there  ' } }],
+            usage: { total_tokens: 12 }
+        }, calls);
+
+        const provider = new OpenAICompatibleAI('', 'http://127.0.0.1:8080/v1/', 'local-model', 0);
+        const response = await provider.generateResponse('Hello');
+
+        TestAssertions.assertEqual(calls[0].url, 'http://127.0.0.1:8080/v1/chat/completions');
+        TestAssertions.assertEqual(calls[0].body.model, 'local-model');
+        TestAssertions.assertEqual(calls[0].body.messages[0].role, 'system', 'System prompt should be first');
+        TestAssertions.assertFalse('Authorization' in calls[0].init.headers, 'No auth header without key');
+        TestAssertions.assertEqual(response.content, 'Hi there');
+        TestAssertions.assertEqual(response.tokens_used, 12);
+        TestAssertions.assertTrue(provider.validateConfig(), 'Self-hosted endpoint needs no key');
+    });
+
+    runner.test('should map messages to the Anthropic Messages format', async () => {
+        global.fetch = mockFetch({
+            model: 'claude-test',
+            content: [{ type: 'text', text: 'Sure.' }],
+            usage: { input_tokens: 10, output_tokens: 3 }
+        }, calls);
+
+        const provider = new AnthropicAI('key', undefined, 'claude-test', 0);
+        const response = await provider.complete([
+            { role: 'system', content: 'Be brief' },
+            { role: 'user', content: 'one' },
+            { role: 'user', content: 'two' }
+        ]);
+
+        TestAssertions.assertEqual(calls[0].url, 'https://api.anthropic.com/v1/messages');
+        TestAssertions.assertEqual(calls[0].init.headers['x-api-key'], 'key');
+        TestAssertions.assertEqual(calls[0].body.system, 'Be brief');
+        TestAssertions.assertEqual(calls[0].body.messages.length, 1, 'Consecutive user turns should merge');
+        TestAssertions.assertEqual(calls[0].body.messages[0].content, 'one\ntwo');
+        TestAssertions.assertEqual(response.tokens_used, 13);
+
+        TestAssertions.assertTrue(await provider.isHealthy());
+        TestAssertions.assertEqual(calls[1].url, 'https://api.anthropic.com/v1/models', 'The health check lists models instead of generating');
+        TestAssertions.assertEqual(calls[1].init.method, 'GET');
+        TestAssertions.assertEqual(calls[1].init.headers['x-api-key'], 'key');
+    });
+
+    runner.test('should call the local Ollama chat endpoint', async () => {
+        global.fetch = mockFetch({
+            model: 'llama3.2',
+            message: { role: 'assistant', content: 'Local answer' },
+            prompt_eval_count: 5,
+            eval_count: 7
+        }, calls);
+
+        const provider = new OllamaAI('http://ollama:11434', 'llama3.2', 0);
+        const response = await provider.complete([{ role: 'user', content: 'Hi' }], { maxTokens: 42 });
+
+        TestAssertions.assertEqual(calls[0].url, 'http://ollama:11434/api/chat');
+        TestAssertions.assertEqual(calls[0].body.stream, false);
+        TestAssertions.assertEqual(calls[0].body.options.num_predict, 42);
+        TestAssertions.assertEqual(response.content, 'Local answer');
+        TestAssertions.assertEqual(response.tokens_used, 12);
+    });
+
+    runner.test('should request structured output when a schema is given', async () => {
+        const responseSchema = { name: 'answer', schema: { type: 'object', properties: { ok: { type: 'boolean' } } } };
+
+        global.fetch = mockFetch({ choices: [{ message: { content: '{"ok":true}' } }] }, calls);
+        await new OpenAICompatibleAI('', 'http://127.0.0.1:8080/v1', 'local-model', 0).complete([{ role: 'user', content: 'Hi' }], { responseSchema });
+        TestAssertions.assertEqual(calls[0].body.response_format.type, 'json_schema');
+        TestAssertions.assertEqual(calls[0].body.response_format.json_schema.name, 'answer');
+        TestAssertions.assertTrue(calls[0].body.response_format.json_schema.strict);
+
+        global.fetch = mockFetch({ message: { content: '{"ok":true}' } }, calls);
+        await new OllamaAI('http://ollama:11434', 'llama3.2', 0).complete([{ role: 'user', content: 'Hi' }], { responseSchema });
+        TestAssertions.assertEqual(calls[1].body.format.properties.ok.type, 'boolean');
+
+        await new OllamaAI('http://ollama:11434', 'llama3.2', 0).complete([{ role: 'user', content: 'Hi' }]);
+        TestAssertions.assertFalse('format' in calls[2].body, 'Free text without a schema');
+    });
+
+    runner.test('should surface API errors after retries', async () => {
+        global.fetch = async () => ({ ok: false, status: 500, statusText: 'Server Error', text: async () => 'boom' });
+
+        const provider = new OllamaAI(undefined, 'llama3.2', 0);
+        let error = null;
+        try {
+            await provider.generateResponse('Hi');
+        } catch (e) {
+            error = e;
+        }
+        TestAssertions.assertTrue(error && error.message.includes('500'), 'Should throw on API error');
+    });
+
+    runner.test('should create the provider selected by config', async () => {
+        const provider = createAIProvider({ provider: 'ollama', model: 'mistral', apiKey: '' });
+        TestAssertions.assertEqual(provider.name, 'ollama');
+        TestAssertions.assertEqual(provider.getCurrentModel(), 'mistral');
+
+        let error = null;
+        try {
+            createAIProvider({ provider: 'unknown', model: 'x', apiKey: '' });
+        } catch (e) {
+            error = e;
+        }
+        TestAssertions.assertTrue(error && error.message.includes('Unsupported'), 'Unknown provider should be rejected');
+    });
+
+    return await runner.run();
+}
+
+async function main() {
+    console.log('🧪 Running AI Provider Unit Tests\n');
+
+    try {
+        const result = await testProviders();
+        const success = result.failed === 0;
+        console.log(`\n${success ? '🎉' : '💥'} AI provider tests ${success ? 'completed successfully' : 'failed'}`);
+        process.exit(success ? 0 : 1);
+    } catch (error) {
+        console.error('💥 Test execution failed:', error);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
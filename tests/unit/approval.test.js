@@ -0,0 +1,334 @@
+/**
+ * Unit Tests for draft-and-approve mode
+ * Tests draft decisions, auto-send (including long timeouts and retries), persistence, owner quick actions, MessageHandler delivery and the admin API
+ */
+
+const path = require('path');
+const { EventEmitter } = require('events');
+const { TestRunner, TestAssertions, TimeHelpers, TestEnvironment } = require('../utils/testHelpers');
+
+const tmpDir = TestEnvironment.createTempDir();
+process.env.DATABASE_PATH = path.join(tmpDir, 'approval.db');
+
+const TOKEN = 'test-token';
+
+async function testApproval() {
+    const runner = new TestRunner('Approval Mode Unit Tests');
+
+    let StorageService, ApprovalService, PolicyService, MessageHandler, OwnerCommandHandler, AdminServer;
+    let storage;
+    const services = [];
+
+    function createApprovalService(delivered = []) {
+        const approvals = new ApprovalService(storage);
+        approvals.setDeliveryHandler(async (draft, text) => {
+            delivered.push({ chatId: draft.chatId, text });
+            return true;
+        });
+        services.push(approvals);
+        return approvals;
+    }
+
+    runner.beforeAll(async () => {
+        ({ StorageService } = require('../../dist/services/StorageService'));
+        ({ ApprovalService } = require('../../dist/services/ApprovalService'));
+        ({ PolicyService } = require('../../dist/services/PolicyService'));
+        ({ MessageHandler } = require('../../dist/client/MessageHandler'));
+        ({ OwnerCommandHandler } = require('../../dist/client/OwnerCommands'));
+        ({ AdminServer } = require('../../dist/services/AdminServer'));
+
+        storage = new StorageService();
+        await TimeHelpers.waitFor(() => storage.isReady());
+    });
+
+    runner.afterAll(async () => {
+        services.forEach(service => service.destroy());
+        await storage.close();
+        TestEnvironment.cleanupTempDir(tmpDir);
+    });
+
+    runner.test('should store drafts and every decision', async () => {
+        const delivered = [];
+        const approvals = createApprovalService(delivered);
+        await approvals.initialize();
+
+        const first = await approvals.submitDraft({ chatId: '111@c.us', chatName: 'Dana', text: 'Gilad will call you back at 4.', model: 'test-model', autoSendAfterMs: 0 });
+        TestAssertions.assertEqual(first.status, 'pending');
+        TestAssertions.assertEqual(first.autoSendAt, undefined, 'A zero timeout waits for the owner');
+        await approvals.approve(first.id);
+
+        const second = await approvals.submitDraft({ chatId: '222@c.us', text: 'Sure, Thursday works.', autoSendAfterMs: 0 });
+        await approvals.edit(second.id, 'Thursday works, see you at 10.');
+
+        const third = await approvals.submitDraft({ chatId: '333@c.us', text: 'Happy to help!', autoSendAfterMs: 0 });
+        await approvals.reject(third.id);
+
+        TestAssertions.assertEqual(JSON.stringify(delivered.map(item => item.text)), JSON.stringify(['Gilad will call you back at 4.', 'Thursday works, see you at 10.']));
+        TestAssertions.assertEqual(await approvals.approve(third.id), null, 'Decided drafts cannot be decided again');
+
+        const edited = await storage.getReplyDraft(second.id);
+        TestAssertions.assertEqual(edited.status, 'edited');
+        TestAssertions.assertEqual(edited.draft, 'Sure, Thursday works.');
+        TestAssertions.assertEqual(edited.finalText, 'Thursday works, see you at 10.');
+        TestAssertions.assertEqual(edited.decidedBy, 'owner');
+        TestAssertions.assertEqual((await storage.getReplyDraft(first.id)).model, 'test-model');
+
+        const stats = await approvals.getStats();
+        TestAssertions.assertEqual(stats.approved, 1);
+        TestAssertions.assertEqual(stats.edited, 1);
+        TestAssertions.assertEqual(stats.rejected, 1);
+        TestAssertions.assertEqual(stats.approvalRate, 1 / 3);
+    });
+
+    runner.test('should auto-send, replace, discard and expire drafts', async () => {
+        const delivered = [];
+        const approvals = createApprovalService(delivered);
+        await approvals.initialize();
+
+        const timed = await approvals.submitDraft({ chatId: '444@c.us', text: 'On my way.', autoSendAfterMs: 40 });
+        await TimeHelpers.sleep(100);
+        TestAssertions.assertEqual((await storage.getReplyDraft(timed.id)).status, 'auto_sent');
+        TestAssertions.assertEqual((await storage.getReplyDraft(timed.id)).decidedBy, 'timeout');
+        TestAssertions.assertEqual(delivered.length, 1);
+
+        const older = await approvals.submitDraft({ chatId: '555@c.us', text: 'First draft', autoSendAfterMs: 0 });
+        const newer = await approvals.submitDraft({ chatId: '555@c.us', text: 'Second draft', autoSendAfterMs: 0 });
+        TestAssertions.assertEqual((await storage.getReplyDraft(older.id)).status, 'discarded', 'A newer draft replaces the pending one');
+        await approvals.discardForChat('555@c.us');
+        TestAssertions.assertEqual((await storage.getReplyDraft(newer.id)).status, 'discarded');
+
+        const failing = new ApprovalService(storage);
+        services.push(failing);
+        failing.setDeliveryHandler(async () => false);
+        const stuck = await failing.submitDraft({ chatId: '666@c.us', text: 'Hello', autoSendAfterMs: 0 });
+        try {
+            await failing.approve(stuck.id);
+            TestAssertions.assertTrue(false, 'Failed delivery should throw');
+        } catch (error) {
+            TestAssertions.assertTrue(error.message.includes('Could not send'));
+        }
+        TestAssertions.assertEqual(failing.getPendingDrafts().length, 1, 'The draft stays pending when sending fails');
+
+        // A restart after the deadline expires the draft instead of sending it late
+        const stale = await storage.createReplyDraft({ chatId: '777@c.us', draft: 'Late', status: 'pending', autoSendAt: Date.now() - 1000, createdAt: Date.now() - 60000 });
+        const restarted = createApprovalService(delivered);
+        await restarted.initialize();
+        TestAssertions.assertEqual((await storage.getReplyDraft(stale)).status, 'expired');
+        TestAssertions.assertEqual(delivered.length, 1);
+        TestAssertions.assertTrue(restarted.getPendingDrafts().some(draft => draft.id === stuck.id), 'Drafts without a deadline stay pending across restarts');
+        await restarted.reject(stuck.id);
+    });
+
+    runner.test('should not auto-send early when the timeout is longer than a timer can wait', async () => {
+        const THIRTY_DAYS = 30 * 24 * 60 * 60 * 1000;
+        const policies = new PolicyService({ getChatPolicies: async () => [], upsertChatPolicy: async () => {} });
+        await policies.initialize();
+        try {
+            await policies.setPolicy('111@c.us', { approvalTimeoutMs: THIRTY_DAYS });
+            TestAssertions.assertTrue(false, 'A 30-day auto-send timeout should be rejected');
+        } catch (error) {
+            TestAssertions.assertTrue(error.message.includes('approvalTimeoutMs must be at most'));
+        }
+
+        const delivered = [];
+        const approvals = createApprovalService(delivered);
+        const resumed = await storage.createReplyDraft({ chatId: '121@c.us', draft: 'Later', status: 'pending', autoSendAt: Date.now() + THIRTY_DAYS, createdAt: Date.now() });
+        await approvals.initialize();
+        const submitted = await approvals.submitDraft({ chatId: '131@c.us', text: 'Much later', autoSendAfterMs: THIRTY_DAYS });
+        await TimeHelpers.sleep(50);
+
+        TestAssertions.assertEqual(delivered.length, 0, 'Neither draft is sent before its deadline');
+        TestAssertions.assertEqual((await storage.getReplyDraft(resumed)).status, 'pending');
+        TestAssertions.assertEqual((await storage.getReplyDraft(submitted.id)).status, 'pending');
+        await approvals.reject(resumed);
+        await approvals.reject(submitted.id);
+    });
+
+    runner.test('should retry a failed auto-send until the draft goes out', async () => {
+        const attempts = [];
+        const approvals = new ApprovalService(storage, 30);
+        services.push(approvals);
+        approvals.setDeliveryHandler(async () => {
+            attempts.push(Date.now());
+            return attempts.length > 2; // WhatsApp connects on the third attempt
+        });
+        await approvals.initialize();
+
+        const draft = await approvals.submitDraft({ chatId: '141@c.us', text: 'Back soon.', autoSendAfterMs: 10 });
+        await TimeHelpers.waitFor(async () => (await storage.getReplyDraft(draft.id)).status !== 'pending', 2000);
+
+        TestAssertions.assertEqual(attempts.length, 3);
+        TestAssertions.assertTrue(attempts[2] - attempts[1] >= 55, 'The second retry waits twice as long');
+        TestAssertions.assertEqual((await storage.getReplyDraft(draft.id)).status, 'auto_sent');
+    });
+
+    runner.test('should draft instead of replying when the policy requires approval', async () => {
+        const sent = [];
+        const timerService = new EventEmitter();
+        const cooldowns = [];
+        Object.assign(timerService, { startCooldown: (chatId, ms) => cooldowns.push({ chatId, ms }) });
+        const context = {
+            chatId: '111@c.us', participantCount: 2, isActive: true,
+            recentMessages: [{ id: 'm1', body: 'Can we meet tomorrow?', from: '111@c.us', to: '999@c.us', timestamp: Date.now(), isGroupMsg: false, chat: { id: '111@c.us', name: 'Dana' } }]
+        };
+        const conversationManager = {
+            added: [],
+            getConversationContext: async () => context,
+            async addMessage(message) { this.added.push(message); },
+            updateLastResponseTime: async () => {}
+        };
+        const policies = new PolicyService(storage, { groupRepliesEnabled: false, responseDelayMs: 1000, cooldownMs: 60000, approvalRequired: false, approvalTimeoutMs: 0 });
+        await policies.initialize();
+        await policies.setPolicy('111@c.us', { requireApproval: true, approvalTimeoutMs: 600000 });
+
+        const reloaded = new PolicyService(storage);
+        await reloaded.initialize();
+        TestAssertions.assertEqual(reloaded.getPolicy('111@c.us').requireApproval, true, 'Approval settings persist');
+        TestAssertions.assertEqual(reloaded.getPolicy('111@c.us').approvalTimeoutMs, 600000);
+
+        const approvals = new ApprovalService(storage);
+        services.push(approvals);
+        const responseGenerator = {
+            generateSecretaryResponse: async () => ({ content: 'Gilad is free at 11.', confidence: 0.9, tokens_used: 5, model: 'fake' })
+        };
+        const handler = new MessageHandler(conversationManager, responseGenerator, timerService, storage, policies, undefined, undefined, approvals);
+        handler.setWhatsAppClient({
+            getOwnId: () => '999@c.us',
+            sendMessage: async (chatId, text) => sent.push({ chatId, text })
+        });
+
+        await handler.activateSecretaryMode('111@c.us');
+        TestAssertions.assertEqual(sent.length, 1, 'Only the owner hears about the draft');
+        TestAssertions.assertEqual(sent[0].chatId, '999@c.us');
+        TestAssertions.assertTrue(sent[0].text.includes('Gilad is free at 11.'));
+        TestAssertions.assertTrue(sent[0].text.includes('Sends automatically in 10m'));
+        TestAssertions.assertEqual(conversationManager.added.length, 0);
+        TestAssertions.assertEqual(cooldowns.length, 0, 'Cooldown starts when the reply is actually sent');
+
+        const commands = new OwnerCommandHandler(handler, timerService, conversationManager, policies, undefined, approvals);
+        TestAssertions.assertTrue((await commands.execute('/drafts')).includes('Dana: Gilad is free at 11.'));
+        TestAssertions.assertTrue((await commands.execute('/approve 99999')).includes('not waiting for approval'));
+
+        const reply = await commands.execute('/edit 11:30 works better, see you then');
+        TestAssertions.assertTrue(reply.includes('was sent to Dana'), reply);
+        TestAssertions.assertEqual(sent[1].chatId, '111@c.us');
+        TestAssertions.assertEqual(sent[1].text, '11:30 works better, see you then', 'A leading number is text unless it names a pending draft');
+        TestAssertions.assertEqual(conversationManager.added[0].body, '11:30 works better, see you then');
+        TestAssertions.assertEqual(cooldowns[0].ms, 60000);
+        TestAssertions.assertEqual(await commands.execute('/reject'), '🤖 No drafts waiting for approval.');
+
+        const policyReply = await commands.execute('/policy 111@c.us autosend never');
+        TestAssertions.assertTrue(policyReply.includes('approval on') && policyReply.includes('no auto-send'), policyReply);
+    });
+
+    runner.test('should send replies in an ongoing conversation through the same approval and delivery', async () => {
+        const sent = [];
+        const cooldowns = [];
+        const replied = [];
+        const timerService = Object.assign(new EventEmitter(), {
+            isInCooldown: () => false,
+            takeBurst: () => [],
+            scheduleResponse: (chatId, callback) => replied.push(callback()),
+            startCooldown: (chatId, ms) => cooldowns.push({ chatId, ms })
+        });
+        const earlier = { id: 'o1', body: 'Thanks for yesterday', from: '121@c.us', to: '999@c.us', timestamp: Date.now() - 60000, isGroupMsg: false, chat: { id: '121@c.us', name: 'Noa' } };
+        const context = { chatId: '121@c.us', participantCount: 2, isActive: true, recentMessages: [earlier] };
+        const conversationManager = {
+            added: [],
+            getConversationContext: async () => context,
+            addTurn: async (messages) => { context.recentMessages.push(...messages); return messages[messages.length - 1]; },
+            async addMessage(message) { this.added.push(message); },
+            updateLastResponseTime: async () => {}
+        };
+        const policies = new PolicyService(storage, { groupRepliesEnabled: false, responseDelayMs: 1000, cooldownMs: 60000, approvalRequired: false, approvalTimeoutMs: 0 });
+        await policies.initialize();
+        await policies.setPolicy('121@c.us', { mode: 'always', requireApproval: true });
+
+        const approvals = new ApprovalService(storage);
+        services.push(approvals);
+        const responseGenerator = {
+            generateSecretaryResponse: async () => ({ content: 'Gilad will get back to you tonight.', confidence: 0.9, tokens_used: 5, model: 'fake' })
+        };
+        const handler = new MessageHandler(conversationManager, responseGenerator, timerService, storage, policies, undefined, undefined, approvals);
+        handler.burstWindowMs = 0;
+        handler.setWhatsAppClient({
+            getOwnId: () => '999@c.us',
+            sendMessage: async (chatId, text) => sent.push({ chatId, text })
+        });
+        const raw = (id, body) => ({ id: { _serialized: id }, from: '121@c.us', to: '999@c.us', body, timestamp: Math.floor(Date.now() / 1000), chat: { name: 'Noa' } });
+
+        await handler.handleMessage(raw('o2', 'One more question about the offer'));
+        await Promise.all(replied);
+        TestAssertions.assertEqual(approvals.getPendingDrafts().filter(draft => draft.chatId === '121@c.us').length, 1, 'The reply waits for approval');
+        TestAssertions.assertEqual(sent.filter(item => item.chatId === '121@c.us').length, 0);
+        TestAssertions.assertEqual(conversationManager.added.length, 0, 'An unsent reply is not recorded as sent');
+        TestAssertions.assertEqual(cooldowns.length, 0);
+
+        await policies.setPolicy('121@c.us', { requireApproval: false });
+        await handler.handleMessage(raw('o3', 'And is the price final?'));
+        await Promise.all(replied);
+        TestAssertions.assertEqual(sent[sent.length - 1].chatId, '121@c.us', 'Without approval the reply is sent');
+        TestAssertions.assertEqual(conversationManager.added[0].from, 'secretary_bot');
+        TestAssertions.assertEqual(conversationManager.added[0].body, sent[sent.length - 1].text);
+        TestAssertions.assertEqual(cooldowns[0].ms, 60000);
+        await approvals.discardForChat('121@c.us');
+    });
+
+    runner.test('should list and decide drafts through the admin API', async () => {
+        const delivered = [];
+        const approvals = createApprovalService(delivered);
+        await approvals.initialize();
+        const draft = await approvals.submitDraft({ chatId: '888@c.us', text: 'Thanks, noted.', autoSendAfterMs: 0 });
+
+        const server = new AdminServer({ enabled: true, host: '127.0.0.1', port: 0, token: TOKEN }, {
+            get: (name) => (name === 'approvalService' ? approvals : undefined),
+            getHealthStatus: () => [],
+            getMetrics: () => ({})
+        });
+        await server.start();
+        const baseUrl = `http://127.0.0.1:${server.getPort()}`;
+        const auth = { Authorization: `Bearer ${TOKEN}`, 'Content-Type': 'application/json' };
+
+        try {
+            const list = await (await fetch(`${baseUrl}/api/drafts?status=pending`, { headers: auth })).json();
+            TestAssertions.assertTrue(list.drafts.some(item => item.id === draft.id));
+
+            const invalid = await fetch(`${baseUrl}/api/drafts/${draft.id}/edit`, { method: 'POST', headers: auth, body: '{}' });
+            TestAssertions.assertEqual(invalid.status, 400);
+
+            const edited = await fetch(`${baseUrl}/api/drafts/${draft.id}/edit`, { method: 'POST', headers: auth, body: JSON.stringify({ text: 'Thanks, Gilad will follow up.' }) });
+            TestAssertions.assertEqual(edited.status, 200);
+            TestAssertions.assertEqual((await edited.json()).decidedBy, 'admin');
+            TestAssertions.assertEqual(delivered[0].text, 'Thanks, Gilad will follow up.');
+
+            const again = await fetch(`${baseUrl}/api/drafts/${draft.id}/approve`, { method: 'POST', headers: auth });
+            TestAssertions.assertEqual(again.status, 409);
+
+            const stats = await (await fetch(`${baseUrl}/api/drafts/stats`, { headers: auth })).json();
+            TestAssertions.assertTrue(stats.edited >= 1);
+            TestAssertions.assertEqual((await fetch(`${baseUrl}/api/drafts?status=bogus`, { headers: auth })).status, 400);
+        } finally {
+            await server.close();
+        }
+    });
+
+    return await runner.run();
+}
+
+async function main() {
+    console.log('🧪 Running Approval Mode Unit Tests\n');
+
+    try {
+        const result = await testApproval();
+        const success = result.failed === 0;
+        console.log(`\n${success ? '🎉' : '💥'} Approval mode tests ${success ? 'completed successfully' : 'failed'}`);
+        process.exit(success ? 0 : 1);
+    } catch (error) {
+        console.error('💥 Test execution failed:', error);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,191 @@
+/**
+ * Unit Tests for business hours and out-of-office
+ * Tests schedule parsing, time-zone and DST handling, availability state and prompt integration
+ */
+
+const { TestRunner, TestAssertions } = require('../utils/testHelpers');
+
+const JERUSALEM_HOURS = {
+    start: '09:00',
+    end: '18:00',
+    timezone: 'Asia/Jerusalem',
+    weeklySchedule: {
+        sun: [{ start: '09:00', end: '18:00' }],
+        mon: [{ start: '09:00', end: '18:00' }],
+        tue: [{ start: '09:00', end: '18:00' }],
+        wed: [{ start: '09:00', end: '18:00' }],
+        thu: [{ start: '09:00', end: '18:00' }],
+        fri: [{ start: '09:00', end: '13:00' }]
+    },
+    holidays: [{ date: '2026-10-18', name: 'Team offsite' }]
+};
+
+function createMemoryStorage() {
+    const windows = [];
+    let nextId = 1;
+    return {
+        getOutOfOfficeWindows: async (now = Date.now()) => windows.filter(window => window.end > now).map(window => ({ ...window })),
+        addOutOfOfficeWindow: async (window) => { windows.push({ ...window, id: nextId }); return nextId++; },
+        updateOutOfOfficeEnd: async (id, end) => { windows.find(window => window.id === id).end = end; },
+        deleteOutOfOfficeWindow: async (id) => {
+            const index = windows.findIndex(window => window.id === id);
+            return index !== -1 && windows.splice(index, 1).length > 0;
+        }
+    };
+}
+
+async function testAvailability() {
+    const runner = new TestRunner('Availability Unit Tests');
+
+    let hours, AvailabilityService, ResponseGenerator;
+
+    runner.beforeAll(async () => {
+        hours = require('../../dist/utils/businessHours');
+        ({ AvailabilityService } = require('../../dist/services/AvailabilityService'));
+        ({ ResponseGenerator } = require('../../dist/ai/ResponseGenerator'));
+    });
+
+    runner.test('should parse weekly schedules and holidays', async () => {
+        const schedule = hours.parseWeeklySchedule('sun-thu 09:00-18:00; fri 09:00-12:00,13:00-14:00; sat 22:00-02:00');
+        TestAssertions.assertEqual(schedule.wed[0].end, '18:00');
+        TestAssertions.assertEqual(schedule.fri.length, 2);
+        TestAssertions.assertEqual(schedule.sat[0].start, '22:00');
+
+        const wrapped = hours.parseWeeklySchedule('fri-sun 10:00-12:00');
+        TestAssertions.assertEqual(Object.keys(wrapped).sort().join(','), 'fri,sat,sun', 'Day ranges wrap around the week');
+
+        const holidays = hours.parseHolidays('2026-09-21=Yom Kippur, 2026-12-25');
+        TestAssertions.assertEqual(holidays[0].name, 'Yom Kippur');
+        TestAssertions.assertEqual(holidays[1].date, '2026-12-25');
+
+        for (const [parse, value] of [[hours.parseWeeklySchedule, 'weekdays 9-5'], [hours.parseWeeklySchedule, 'mon 25:00-26:00'], [hours.parseHolidays, '21/09/2026']]) {
+            try {
+                parse(value);
+                TestAssertions.assertTrue(false, `"${value}" should be rejected`);
+            } catch (error) {
+                TestAssertions.assertTrue(error.message.startsWith('Invalid'));
+            }
+        }
+    });
+
+    runner.test('should evaluate business hours in the configured time zone', async () => {
+        // Friday 16 Oct 2026: 12:00 and 14:00 in Jerusalem (UTC+3)
+        TestAssertions.assertTrue(hours.isWithinBusinessHours(JERUSALEM_HOURS, new Date('2026-10-16T09:00:00Z')));
+        TestAssertions.assertFalse(hours.isWithinBusinessHours(JERUSALEM_HOURS, new Date('2026-10-16T11:00:00Z')));
+        // Sunday 18 Oct is a holiday, Monday 19 Oct is a normal day
+        TestAssertions.assertFalse(hours.isWithinBusinessHours(JERUSALEM_HOURS, new Date('2026-10-18T08:00:00Z')));
+        TestAssertions.assertTrue(hours.isWithinBusinessHours(JERUSALEM_HOURS, new Date('2026-10-19T08:00:00Z')));
+
+        // 10:00 in New York (UTC-4) is inside hours, 04:00 is not
+        const newYork = { start: '09:00', end: '17:00', timezone: 'America/New_York' };
+        TestAssertions.assertTrue(hours.isWithinBusinessHours(newYork, new Date('2026-10-19T14:00:00Z')));
+        TestAssertions.assertFalse(hours.isWithinBusinessHours(newYork, new Date('2026-10-19T08:00:00Z')));
+
+        // Overnight windows continue past midnight into the next day
+        const night = { start: '22:00', end: '06:00', timezone: 'UTC', weeklySchedule: { sat: [{ start: '22:00', end: '06:00' }] } };
+        TestAssertions.assertTrue(hours.isWithinBusinessHours(night, new Date('2026-10-18T03:00:00Z')), 'Sunday 03:00 is in the Saturday night window');
+        TestAssertions.assertFalse(hours.isWithinBusinessHours(night, new Date('2026-10-19T03:00:00Z')));
+    });
+
+    runner.test('should convert local times to instants across DST changes', async () => {
+        // US DST starts on Sunday 8 Mar 2026
+        TestAssertions.assertEqual(new Date(hours.zonedTimeToInstant('2026-03-07', 9 * 60, 'America/New_York')).toISOString(), '2026-03-07T14:00:00.000Z');
+        TestAssertions.assertEqual(new Date(hours.zonedTimeToInstant('2026-03-08', 9 * 60, 'America/New_York')).toISOString(), '2026-03-08T13:00:00.000Z');
+
+        // Friday evening in Jerusalem: the next opening is Sunday 09:00, which is after Israel's DST change on 25 Oct
+        const next = hours.getNextBusinessOpening(JERUSALEM_HOURS, new Date('2026-10-23T17:00:00Z'));
+        TestAssertions.assertEqual(new Date(next).toISOString(), '2026-10-25T07:00:00.000Z');
+
+        // Holidays are skipped
+        const afterHoliday = hours.getNextBusinessOpening(JERUSALEM_HOURS, new Date('2026-10-16T17:00:00Z'));
+        TestAssertions.assertEqual(new Date(afterHoliday).toISOString(), '2026-10-19T06:00:00.000Z');
+    });
+
+    runner.test('should report after-hours, holiday and out-of-office availability', async () => {
+        const storage = createMemoryStorage();
+        const service = new AvailabilityService(storage, JERUSALEM_HOURS);
+        await service.initialize();
+
+        TestAssertions.assertEqual(service.getAvailability(new Date('2026-10-19T08:00:00Z')).status, 'available');
+
+        const evening = service.getAvailability(new Date('2026-10-19T17:00:00Z'));
+        TestAssertions.assertEqual(evening.status, 'after_hours');
+        TestAssertions.assertEqual(new Date(evening.nextAvailableAt).toISOString(), '2026-10-20T06:00:00.000Z');
+        TestAssertions.assertEqual(evening.localTime, 'Mon 19 Oct 20:00');
+
+        const holiday = service.getAvailability(new Date('2026-10-18T08:00:00Z'));
+        TestAssertions.assertEqual(holiday.status, 'holiday');
+        TestAssertions.assertEqual(holiday.holiday, 'Team offsite');
+
+        // Out of office wins over the schedule and the return date is rounded up to the next opening
+        const now = Date.now();
+        const window = await service.addOutOfOffice(now + 2 * 24 * 60 * 60 * 1000, { start: now - 1000, message: 'At a conference' });
+        TestAssertions.assertEqual(window.id, 1);
+        const away = service.getAvailability();
+        TestAssertions.assertEqual(away.status, 'out_of_office');
+        TestAssertions.assertEqual(away.outOfOffice.message, 'At a conference');
+        TestAssertions.assertTrue(away.nextAvailableAt >= window.end);
+
+        const restored = new AvailabilityService(storage, JERUSALEM_HOURS);
+        await restored.initialize();
+        TestAssertions.assertEqual(restored.getActiveOutOfOffice().id, 1, 'Windows are loaded from storage');
+
+        TestAssertions.assertEqual(await service.endOutOfOffice(), 1);
+        TestAssertions.assertEqual(service.getActiveOutOfOffice(), undefined);
+
+        try {
+            await service.addOutOfOffice(now - 1000);
+            TestAssertions.assertTrue(false, 'Return dates in the past are rejected');
+        } catch (error) {
+            TestAssertions.assertTrue(error.message.includes('future'));
+        }
+    });
+
+    runner.test('should feed availability into the system prompt and fallback reply', async () => {
+        const storage = createMemoryStorage();
+        const service = new AvailabilityService(storage, { start: '00:00', end: '00:00', timezone: 'UTC' });
+        await service.initialize();
+        await service.addOutOfOffice(Date.parse('2099-01-05T09:00:00Z'), { message: 'Back after the holidays' });
+
+        let captured;
+        const provider = {
+            name: 'fake',
+            getCurrentModel: () => 'fake-model',
+            generateResponse: async (prompt, context) => { captured = { prompt, context }; throw new Error('offline'); }
+        };
+        const generator = new ResponseGenerator(provider, service);
+        const context = {
+            chatId: '111@c.us',
+            participantCount: 2,
+            isActive: true,
+            recentMessages: [{ id: '1', body: 'When can we meet?', from: '111@c.us', to: '999@c.us', timestamp: Date.now(), isGroupMsg: false, chat: { id: '111@c.us', name: 'Dana' } }]
+        };
+
+        const response = await generator.generateSecretaryResponse(context);
+        TestAssertions.assertEqual(captured.context.availability.status, 'out_of_office');
+        TestAssertions.assertTrue(response.content.includes('out of the office until Mon 5 Jan 09:00'), response.content);
+
+        const description = hours.describeAvailability(captured.context.availability, 'Gilad');
+        TestAssertions.assertTrue(description.includes('out of office') && description.includes('Back after the holidays'));
+    });
+
+    return await runner.run();
+}
+
+async function main() {
+    console.log('🧪 Running Availability Unit Tests\n');
+
+    try {
+        const result = await testAvailability();
+        const success = result.failed === 0;
+        console.log(`\n${success ? '🎉' : '💥'} Availability tests ${success ? 'completed successfully' : 'failed'}`);
+        process.exit(success ? 0 : 1);
+    } catch (error) {
+        console.error('💥 Test execution failed:', error);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
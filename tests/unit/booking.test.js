@@ -0,0 +1,323 @@
+/**
+ * Unit Tests for meeting booking
+ * Tests slot picking and choice parsing, the offer/hold/confirm flow, expiry, the ICS export,
+ * what reaches the prompt, owner commands and the admin API
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TestRunner, TestAssertions, TimeHelpers, TestEnvironment } = require('../utils/testHelpers');
+
+const tmpDir = TestEnvironment.createTempDir();
+process.env.DATABASE_PATH = path.join(tmpDir, 'booking.db');
+
+const TOKEN = 'test-token';
+const HOUR = 60 * 60 * 1000;
+const MONDAY_8AM = new Date('2026-10-19T05:00:00Z'); // 08:00 in Jerusalem
+
+const JERUSALEM_HOURS = {
+    start: '09:00',
+    end: '18:00',
+    timezone: 'Asia/Jerusalem',
+    weeklySchedule: {
+        sun: [{ start: '09:00', end: '18:00' }],
+        mon: [{ start: '09:00', end: '18:00' }],
+        tue: [{ start: '09:00', end: '18:00' }],
+        wed: [{ start: '09:00', end: '18:00' }],
+        thu: [{ start: '09:00', end: '18:00' }],
+        fri: [{ start: '09:00', end: '13:00' }]
+    },
+    holidays: []
+};
+
+const BOOKING_CONFIG = {
+    enabled: true,
+    durationMinutes: 30,
+    slotCount: 3,
+    daysAhead: 7,
+    holdHours: 48,
+    icsPath: path.join(tmpDir, 'bookings.ics')
+};
+
+function slot(startIso, minutes = 30) {
+    const start = Date.parse(startIso);
+    return { start, end: start + minutes * 60 * 1000 };
+}
+
+async function testBooking() {
+    const runner = new TestRunner('Meeting Booking Unit Tests');
+
+    let meetingSlots, ical, StorageService, AvailabilityService, BookingService;
+    let storage;
+    const services = [];
+
+    async function createBookingService(extra = {}) {
+        const availability = new AvailabilityService(storage, JERUSALEM_HOURS);
+        await availability.initialize();
+        const bookings = new BookingService(storage, availability, { ...BOOKING_CONFIG, ...extra });
+        await bookings.initialize();
+        services.push(bookings);
+        return { availability, bookings };
+    }
+
+    runner.beforeAll(async () => {
+        meetingSlots = require('../../dist/utils/meetingSlots');
+        ical = require('../../dist/utils/ical');
+        ({ StorageService } = require('../../dist/services/StorageService'));
+        ({ AvailabilityService } = require('../../dist/services/AvailabilityService'));
+        ({ BookingService } = require('../../dist/services/BookingService'));
+
+        storage = new StorageService();
+        await TimeHelpers.waitFor(() => storage.isReady());
+    });
+
+    runner.afterAll(async () => {
+        services.forEach(service => service.destroy());
+        await storage.close();
+        TestEnvironment.cleanupTempDir(tmpDir);
+    });
+
+    runner.test('should recognise meeting requests', async () => {
+        TestAssertions.assertTrue(meetingSlots.isMeetingRequest('Can we meet next week?'));
+        TestAssertions.assertTrue(meetingSlots.isMeetingRequest("I'd like to book a call with Gilad"));
+        TestAssertions.assertFalse(meetingSlots.isMeetingRequest('The meeting went well, thanks'));
+        TestAssertions.assertFalse(meetingSlots.isMeetingRequest('Can we talk about the invoice?'));
+    });
+
+    runner.test('should read which offered slot a reply picks', async () => {
+        const slots = [slot('2026-10-19T07:00:00Z'), slot('2026-10-20T06:00:00Z'), slot('2026-10-21T06:00:00Z')];
+        const choose = (text, offered = slots) => meetingSlots.parseSlotChoice(text, offered, 'Asia/Jerusalem', MONDAY_8AM);
+
+        TestAssertions.assertEqual(choose('2'), 1);
+        TestAssertions.assertEqual(choose('Option 3 please'), 2);
+        TestAssertions.assertEqual(choose('The second one works'), 1);
+        TestAssertions.assertEqual(choose('the last one'), 2);
+        TestAssertions.assertEqual(choose('10am is great'), 0);
+        TestAssertions.assertEqual(choose('Tuesday works for me'), 1);
+        TestAssertions.assertEqual(choose('9:00 on Wednesday'), 2);
+        TestAssertions.assertEqual(choose('9am'), undefined, 'Two slots start at 9:00');
+        TestAssertions.assertEqual(choose('1 or 2, whichever'), undefined);
+        TestAssertions.assertEqual(choose('I can do 3 Nov'), undefined, 'A day of the month is not a slot number');
+        TestAssertions.assertEqual(choose('None of those work, sorry'), 'none');
+        TestAssertions.assertEqual(choose('Thanks!'), undefined);
+        TestAssertions.assertEqual(choose('ok'), undefined, 'Agreeing picks nothing when several slots were offered');
+        TestAssertions.assertEqual(choose('Sounds good', slots.slice(0, 1)), 0);
+    });
+
+    runner.test('should spread picked slots over the days', async () => {
+        const day = (date, free) => ({ date, timezone: 'Asia/Jerusalem', status: 'working', free, busy: [] });
+        const picked = meetingSlots.pickSlots([
+            day('2026-10-19', [{ start: Date.parse('2026-10-19T07:10:00Z'), end: Date.parse('2026-10-19T15:00:00Z') }]),
+            { ...day('2026-10-20', []), status: 'holiday' },
+            day('2026-10-21', [{ start: Date.parse('2026-10-21T06:00:00Z'), end: Date.parse('2026-10-21T06:20:00Z') }])
+        ], 30 * 60 * 1000, 3);
+
+        TestAssertions.assertEqual(picked.map(item => new Date(item.start).toISOString().slice(5, 16)).join(' '), '10-19T07:30 10-19T09:30 10-19T11:30',
+            'Slots start on the half hour, at least two hours apart');
+        TestAssertions.assertEqual(meetingSlots.formatSlot(picked[0], 'Asia/Jerusalem'), 'Mon 19 Oct 10:30-11:00');
+    });
+
+    runner.test('should write an ICS file that calendar apps accept', async () => {
+        const text = ical.formatIcs([{
+            uid: 'booking-1@test',
+            start: Date.parse('2026-10-20T06:00:00Z'),
+            end: Date.parse('2026-10-20T06:30:00Z'),
+            summary: `Meeting with Dana; Cohen, Ltd ${'x'.repeat(100)}`,
+            description: 'Requested over WhatsApp',
+            status: 'TENTATIVE',
+            updatedAt: Date.parse('2026-10-19T05:00:00Z')
+        }], '-//test//EN');
+
+        const lines = text.split('\r\n');
+        TestAssertions.assertEqual(lines[0], 'BEGIN:VCALENDAR');
+        TestAssertions.assertTrue(lines.includes('DTSTART:20261020T060000Z'));
+        TestAssertions.assertTrue(lines.includes('STATUS:TENTATIVE'));
+        TestAssertions.assertTrue(lines.some(line => line.startsWith('SUMMARY:Meeting with Dana\\; Cohen\\, Ltd')), 'Text is escaped');
+        TestAssertions.assertTrue(lines.every(line => Buffer.byteLength(line) <= 75), 'Long lines are folded');
+
+        const parsed = ical.parseIcs(text);
+        TestAssertions.assertEqual(parsed.length, 1);
+        TestAssertions.assertEqual(parsed[0].summary, `Meeting with Dana; Cohen, Ltd ${'x'.repeat(100)}`, 'Folded lines unfold to the original text');
+        TestAssertions.assertTrue(parsed[0].busy);
+    });
+
+    runner.test('should offer slots, hold the chosen one and confirm it', async () => {
+        const { availability, bookings } = await createBookingService();
+        const held = [];
+        const decided = [];
+        bookings.on(BookingService.EVENTS.HOLD_CREATED, booking => held.push(booking));
+        bookings.on(BookingService.EVENTS.BOOKING_DECIDED, booking => decided.push(booking));
+
+        const offer = await bookings.handleMessage({ chatId: '111@c.us', chatName: 'Dana', text: 'Can we meet this week?' }, MONDAY_8AM);
+        TestAssertions.assertEqual(offer.stage, 'proposed');
+        TestAssertions.assertEqual(offer.slots.length, 3);
+        TestAssertions.assertTrue(offer.slots[0].start >= MONDAY_8AM.getTime() + 2 * HOUR, 'Slots give at least two hours notice');
+        TestAssertions.assertTrue(bookings.isAwaitingChoice('111@c.us'));
+
+        const later = new Date(MONDAY_8AM.getTime() + 10 * 60 * 1000);
+        const waiting = await bookings.handleMessage({ chatId: '111@c.us', text: 'Let me check my diary' }, later);
+        TestAssertions.assertEqual(waiting.stage, 'awaiting_choice');
+
+        const hold = await bookings.handleMessage({ chatId: '111@c.us', text: '2' }, later);
+        TestAssertions.assertEqual(hold.stage, 'held');
+        TestAssertions.assertEqual(hold.slots[0].start, offer.slots[1].start);
+        TestAssertions.assertFalse(bookings.isAwaitingChoice('111@c.us'));
+        TestAssertions.assertEqual(held.length, 1);
+        TestAssertions.assertEqual(held[0].chatName, 'Dana');
+
+        const date = new Date(hold.slots[0].start + 3 * HOUR).toISOString().slice(0, 10);
+        const schedule = availability.getDaySchedule(date, later);
+        TestAssertions.assertTrue(schedule.busy.some(period => period.start <= hold.slots[0].start && period.end >= hold.slots[0].end), 'The held slot is busy');
+        TestAssertions.assertTrue(fs.readFileSync(BOOKING_CONFIG.icsPath, 'utf8').includes('STATUS:TENTATIVE'));
+
+        const other = await bookings.handleMessage({ chatId: '222@c.us', text: 'Could we schedule a call?' }, later);
+        TestAssertions.assertFalse(other.slots.some(item => item.start === hold.slots[0].start), 'A held slot is not offered again');
+
+        const followUp = await bookings.handleMessage({ chatId: '111@c.us', text: 'Thanks!' }, later);
+        TestAssertions.assertEqual(followUp.stage, 'held', 'Later messages are reminded of the hold');
+
+        const confirmed = await bookings.confirm(held[0].id);
+        TestAssertions.assertEqual(confirmed.status, 'confirmed');
+        TestAssertions.assertEqual(decided[0].status, 'confirmed');
+        TestAssertions.assertEqual(await bookings.confirm(held[0].id), null, 'Only holds can be confirmed');
+        const icsText = fs.readFileSync(BOOKING_CONFIG.icsPath, 'utf8');
+        TestAssertions.assertTrue(icsText.includes('STATUS:CONFIRMED') && icsText.includes('SUMMARY:Meeting with Dana\r\n'));
+
+        const stored = await storage.getMeetingBookings(['confirmed']);
+        TestAssertions.assertEqual(stored[0].slot.start, hold.slots[0].start, 'Bookings persist');
+        services.forEach(service => service.destroy());
+    });
+
+    runner.test('should offer new times when the contact turns the offer down', async () => {
+        const { bookings } = await createBookingService({ icsPath: '' });
+        const first = await bookings.handleMessage({ chatId: '333@c.us', text: 'Can we meet on Tuesday?' }, MONDAY_8AM);
+        TestAssertions.assertTrue(first.slots.every(item => new Date(item.start + 3 * HOUR).toISOString().startsWith('2026-10-20')), 'The day asked for is used');
+
+        const second = await bookings.handleMessage({ chatId: '333@c.us', text: "Sorry, none of those work. What about Wednesday?" }, MONDAY_8AM);
+        TestAssertions.assertEqual(second.stage, 'proposed');
+        TestAssertions.assertTrue(second.retry);
+        TestAssertions.assertTrue(second.slots.every(item => new Date(item.start + 3 * HOUR).toISOString().startsWith('2026-10-21')));
+        TestAssertions.assertEqual((await storage.getMeetingBookings(['declined'])).length, 1);
+
+        TestAssertions.assertTrue(await bookings.cancelProposal('333@c.us'));
+        TestAssertions.assertFalse(bookings.isAwaitingChoice('333@c.us'));
+
+        const none = await bookings.handleMessage({ chatId: '333@c.us', text: 'Can we meet on Saturday?' }, MONDAY_8AM);
+        TestAssertions.assertEqual(none.stage, 'unavailable');
+        TestAssertions.assertFalse(bookings.isAwaitingChoice('333@c.us'));
+        services.forEach(service => service.destroy());
+    });
+
+    runner.test('should release holds the owner does not confirm in time', async () => {
+        const { availability, bookings } = await createBookingService({ icsPath: '', holdHours: 1 });
+        const decided = [];
+        bookings.on(BookingService.EVENTS.BOOKING_DECIDED, booking => decided.push(booking));
+
+        await bookings.handleMessage({ chatId: '444@c.us', text: 'Can we meet on Thursday?' }, MONDAY_8AM);
+        const hold = await bookings.handleMessage({ chatId: '444@c.us', text: 'first' }, MONDAY_8AM);
+        TestAssertions.assertEqual(bookings.getLatestHold().slot.start, hold.slots[0].start);
+
+        const afterHold = new Date(MONDAY_8AM.getTime() + 2 * HOUR);
+        TestAssertions.assertEqual(await bookings.handleMessage({ chatId: '444@c.us', text: 'ok' }, afterHold), undefined);
+        TestAssertions.assertEqual(decided[0].status, 'expired');
+        TestAssertions.assertEqual(bookings.getHolds().length, 0);
+        TestAssertions.assertTrue(availability.getDaySchedule('2026-10-22', afterHold).busy.length === 0, 'The slot is free again');
+
+        await bookings.handleMessage({ chatId: '444@c.us', text: 'Can we meet on Thursday?' }, MONDAY_8AM);
+        const afterSlots = new Date(Date.parse('2026-10-23T00:00:00Z'));
+        await bookings.handleMessage({ chatId: '555@c.us', text: 'Hello' }, afterSlots);
+        TestAssertions.assertFalse(bookings.isAwaitingChoice('444@c.us'), 'Offers lapse once their slots have passed');
+        services.forEach(service => service.destroy());
+    });
+
+    runner.test('should tell the model and the fallback about the booking', async () => {
+        const { ResponseGenerator } = require('../../dist/ai/ResponseGenerator');
+        const { OllamaAI } = require('../../dist/ai/OllamaAI');
+        const booking = { stage: 'proposed', slots: [slot('2026-10-19T07:00:00Z'), slot('2026-10-20T06:00:00Z')], timezone: 'Asia/Jerusalem' };
+        const message = { id: 'm1', body: 'Can we meet?', from: '111@c.us', to: '999@c.us', timestamp: Date.now(), isGroupMsg: false, chat: { id: '111@c.us', name: 'Dana' } };
+        const context = { chatId: '111@c.us', participantCount: 2, isActive: true, recentMessages: [message], booking };
+
+        const systemPrompt = new OllamaAI().buildMessages('Reply please', context)[0].content;
+        TestAssertions.assertContains(systemPrompt, 'Meeting booking:');
+        TestAssertions.assertContains(systemPrompt, '1. Mon 19 Oct 10:00-10:30');
+        TestAssertions.assertContains(systemPrompt, '2. Tue 20 Oct 09:00-09:30');
+
+        const failing = {
+            name: 'fake',
+            getCurrentModel: () => 'fake-model',
+            generateResponse: async () => { throw new Error('offline'); }
+        };
+        const fallback = await new ResponseGenerator(failing).generateSecretaryResponse(context);
+        TestAssertions.assertContains(fallback.content, '1. Mon 19 Oct 10:00-10:30');
+        TestAssertions.assertContains(fallback.content, 'reply with the number');
+
+        const held = await new ResponseGenerator(failing).generateSecretaryResponse({ ...context, booking: { ...booking, stage: 'held', slots: booking.slots.slice(1) } });
+        TestAssertions.assertContains(held.content, 'pencilled in Tue 20 Oct 09:00-09:30');
+    });
+
+    runner.test('should let the owner confirm and decline holds', async () => {
+        const { OwnerCommandHandler } = require('../../dist/client/OwnerCommands');
+        const { AdminServer } = require('../../dist/services/AdminServer');
+        const { bookings } = await createBookingService({ icsPath: '' });
+
+        await bookings.handleMessage({ chatId: '666@c.us', chatName: 'Noa', text: 'Shall we book a call?' }, MONDAY_8AM);
+        await bookings.handleMessage({ chatId: '666@c.us', text: '1' }, MONDAY_8AM);
+        await bookings.handleMessage({ chatId: '777@c.us', chatName: 'Avi', text: 'Shall we book a call?' }, MONDAY_8AM);
+        await bookings.handleMessage({ chatId: '777@c.us', text: '1' }, MONDAY_8AM);
+        const [noa, avi] = bookings.getHolds();
+
+        const commands = new OwnerCommandHandler({}, {}, {}, {}, undefined, undefined, bookings);
+        const list = await commands.execute('/bookings');
+        TestAssertions.assertContains(list, `#${noa.id} Noa`);
+        TestAssertions.assertContains(list, `#${avi.id} Avi`);
+
+        const reply = await commands.execute('/confirm');
+        TestAssertions.assertContains(reply, `Meeting #${avi.id} with Avi`, 'The latest hold is the default');
+        TestAssertions.assertContains(await commands.execute('/confirm 99999'), 'not waiting for confirmation');
+
+        const server = new AdminServer({ enabled: true, host: '127.0.0.1', port: 0, token: TOKEN }, {
+            get: (name) => (name === 'bookingService' ? bookings : undefined),
+            getHealthStatus: () => [],
+            getMetrics: () => ({})
+        });
+        await server.start();
+        const baseUrl = `http://127.0.0.1:${server.getPort()}`;
+        const auth = { Authorization: `Bearer ${TOKEN}` };
+
+        try {
+            const listed = await (await fetch(`${baseUrl}/api/bookings?status=held`, { headers: auth })).json();
+            TestAssertions.assertEqual(listed.timezone, 'Asia/Jerusalem');
+            TestAssertions.assertTrue(listed.bookings.some(item => item.id === noa.id));
+            TestAssertions.assertEqual((await fetch(`${baseUrl}/api/bookings?status=bogus`, { headers: auth })).status, 400);
+
+            const declined = await fetch(`${baseUrl}/api/bookings/${noa.id}/decline`, { method: 'POST', headers: auth });
+            TestAssertions.assertEqual(declined.status, 200);
+            TestAssertions.assertEqual((await declined.json()).status, 'declined');
+            TestAssertions.assertEqual((await fetch(`${baseUrl}/api/bookings/${noa.id}/confirm`, { method: 'POST', headers: auth })).status, 409);
+        } finally {
+            await server.close();
+        }
+    });
+
+    return await runner.run();
+}
+
+async function main() {
+    console.log('🧪 Running Meeting Booking Unit Tests\n');
+
+    try {
+        const result = await testBooking();
+        const success = result.failed === 0;
+        console.log(`\n${success ? '🎉' : '💥'} Meeting booking tests ${success ? 'completed successfully' : 'failed'}`);
+        process.exit(success ? 0 : 1);
+    } catch (error) {
+        console.error('💥 Test execution failed:', error);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { testBooking };
@@ -0,0 +1,190 @@
+/**
+ * Unit Tests for message bursts
+ * Tests the TimerService aggregation window, turn merging and one reply per burst in MessageHandler
+ */
+
+const { TestRunner, TestAssertions, TimeHelpers } = require('../utils/testHelpers');
+
+process.env.BURST_WINDOW_MS = '60';
+process.env.GILAD_WHATSAPP_NUMBER = '972500000000';
+
+
+function createStorage() {
+    const stored = [];
+    return {
+        stored,
+        getActiveConversations: async () => [],
+        startTimer: async () => 1,
+        startCooldown: async () => 1,
+        isInCooldown: async () => false,
+        getChatPolicies: async () => [],
+        storeMessage: async (message) => stored.push(message)
+    };
+}
+
+function createMessage(id, body, overrides = {}) {
+    return { id: { _serialized: id }, body, from: '111@c.us', to: '999@c.us', timestamp: Math.floor(Date.now() / 1000), ...overrides };
+}
+
+async function testBursts() {
+    const runner = new TestRunner('Message Burst Unit Tests');
+
+    let TimerService, MessageHandler, PolicyService, combineMessages;
+    const services = [];
+
+    function createTimerService(storage = createStorage()) {
+        const timerService = new TimerService(storage);
+        services.push(timerService);
+        return timerService;
+    }
+
+    function createHandler() {
+        const storage = createStorage();
+        const timerService = createTimerService(storage);
+        const started = [];
+        const turns = [];
+        const added = [];
+        timerService.startResponseTimer = (chatId, callback, delayMs) => started.push({ chatId, callback, delayMs });
+
+        const conversationManager = {
+            getConversationContext: async () => null,
+            addMessage: async (message) => added.push(message),
+            addTurn: async (messages) => {
+                const turn = combineMessages(messages);
+                turns.push(turn);
+                return turn;
+            }
+        };
+        const policies = new PolicyService(storage, { groupRepliesEnabled: false, responseDelayMs: 1000, cooldownMs: 60000 });
+        const handler = new MessageHandler(conversationManager, {}, timerService, storage, policies);
+        return { handler, timerService, storage, started, turns, added };
+    }
+
+    runner.beforeAll(async () => {
+        ({ TimerService } = require('../../dist/services/TimerService'));
+        ({ MessageHandler } = require('../../dist/client/MessageHandler'));
+        ({ PolicyService } = require('../../dist/services/PolicyService'));
+        ({ combineMessages } = require('../../dist/utils/messageContent'));
+    });
+
+    runner.afterAll(async () => {
+        services.forEach(service => service.destroy());
+    });
+
+    runner.test('should restart the window on every message and cap the total wait', async () => {
+        const timerService = createTimerService();
+        const bursts = [];
+        const onComplete = async (messages) => bursts.push(messages.map(message => message.id));
+
+        timerService.addToBurst('111@c.us', { id: 'a' }, onComplete, 50, 1000);
+        await TimeHelpers.sleep(30);
+        timerService.addToBurst('111@c.us', { id: 'b' }, onComplete, 50, 1000);
+        await TimeHelpers.sleep(30);
+        TestAssertions.assertEqual(timerService.addToBurst('111@c.us', { id: 'c' }, onComplete, 50, 1000), 3);
+        TestAssertions.assertEqual(bursts.length, 0, 'The window restarts with each message');
+        TestAssertions.assertEqual(timerService.getTimerStats().pendingBursts, 1);
+
+        await TimeHelpers.sleep(80);
+        TestAssertions.assertEqual(JSON.stringify(bursts), JSON.stringify([['a', 'b', 'c']]));
+        TestAssertions.assertEqual(timerService.getBurstSize('111@c.us'), 0);
+
+        timerService.addToBurst('222@c.us', { id: 'd' }, onComplete, 50, 70);
+        await TimeHelpers.sleep(40);
+        timerService.addToBurst('222@c.us', { id: 'e' }, onComplete, 50, 70);
+        await TimeHelpers.sleep(45);
+        TestAssertions.assertEqual(bursts.length, 2, 'A sender who keeps typing is answered after the maximum wait');
+
+        timerService.addToBurst('333@c.us', { id: 'f' }, onComplete, 50, 1000);
+        TestAssertions.assertEqual(timerService.takeBurst('333@c.us').length, 1);
+        await TimeHelpers.sleep(70);
+        TestAssertions.assertEqual(bursts.length, 2, 'Taken bursts are not completed');
+    });
+
+    runner.test('should merge a burst into one turn', async () => {
+        const base = { to: '999@c.us', isGroupMsg: false, chat: { id: '111@c.us', name: 'Dana' }, type: 'text' };
+        const turn = combineMessages([
+            { ...base, id: 'm1', from: '111@c.us', timestamp: 1, body: 'Hey' },
+            { ...base, id: 'm2', from: '111@c.us', timestamp: 2, body: 'Yes', quotedMessage: { id: 'q', body: 'Thursday at 10?' } },
+            { ...base, id: 'm3', from: '111@c.us', timestamp: 3, body: '[Voice message] Running late', type: 'audio' }
+        ]);
+
+        TestAssertions.assertEqual(turn.id, 'm3');
+        TestAssertions.assertEqual(turn.timestamp, 3);
+        TestAssertions.assertEqual(turn.body, 'Hey\n(replying to "Thursday at 10?") Yes\n[Voice message] Running late');
+        TestAssertions.assertEqual(turn.type, 'audio', 'Shared content keeps its type so the prompt explains it');
+        TestAssertions.assertEqual(turn.parts.length, 3);
+        TestAssertions.assertEqual(turn.quotedMessage, undefined);
+
+        const group = combineMessages([
+            { ...base, id: 'g1', from: '123@g.us', author: '111@c.us', timestamp: 1, body: 'Lunch?' },
+            { ...base, id: 'g2', from: '123@g.us', author: '222@c.us', timestamp: 2, body: 'In!' }
+        ]);
+        TestAssertions.assertEqual(group.body, '111: Lunch?\n222: In!');
+
+        const single = { ...base, id: 's1', from: '111@c.us', timestamp: 1, body: 'Only one' };
+        TestAssertions.assertEqual(combineMessages([single]), single);
+    });
+
+    runner.test('should reply once to a burst of messages', async () => {
+        const { handler, storage, started, turns } = createHandler();
+
+        await handler.handleMessage(createMessage('b1', 'Hi'));
+        await handler.handleMessage(createMessage('b2', 'Quick question'));
+        await handler.handleMessage(createMessage('b3', 'Are you free on Thursday?'));
+
+        TestAssertions.assertEqual(storage.stored.length, 3, 'Every message is stored as it arrives');
+        TestAssertions.assertEqual(started.length, 0, 'Nothing is scheduled while the sender is typing');
+
+        await TimeHelpers.sleep(120);
+        TestAssertions.assertEqual(turns.length, 1);
+        TestAssertions.assertEqual(turns[0].body, 'Hi\nQuick question\nAre you free on Thursday?');
+        TestAssertions.assertEqual(started.length, 1, 'The burst gets a single response timer');
+        TestAssertions.assertEqual(started[0].delayMs, 1000);
+    });
+
+    runner.test('should record the burst without replying when Gilad answers', async () => {
+        const { handler, started, turns, added } = createHandler();
+
+        await handler.handleMessage(createMessage('c1', 'Are we still on for today?'));
+        await handler.handleMessage(createMessage('c2', 'Yes, see you at 4', { from: '111@c.us', author: '972500000000@c.us' }));
+        await TimeHelpers.sleep(120);
+
+        TestAssertions.assertEqual(turns.length, 1, 'The pending burst is still recorded');
+        TestAssertions.assertEqual(added.length, 1, "Gilad's message follows the burst");
+        TestAssertions.assertEqual(started.length, 0);
+    });
+
+    runner.test('should activate secretary mode once per expired timer', async () => {
+        const { handler, timerService } = createHandler();
+        const activations = [];
+        handler.activateSecretaryMode = async (chatId) => { activations.push(chatId); };
+
+        TimerService.prototype.startResponseTimer.call(timerService, '111@c.us', () => handler.activateSecretaryMode('111@c.us'), 10);
+        await TimeHelpers.sleep(50);
+        TestAssertions.assertEqual(activations.length, 1, 'The expiry event does not trigger a second reply');
+
+        timerService.emit(TimerService.EVENTS.RESPONSE_TIMER_EXPIRED, { chatId: '222@c.us', restored: true });
+        await TimeHelpers.sleep(10);
+        TestAssertions.assertEqual(activations.length, 2, 'Timers restored after a restart still activate');
+    });
+
+    return await runner.run();
+}
+
+async function main() {
+    console.log('🧪 Running Message Burst Unit Tests\n');
+
+    try {
+        const result = await testBursts();
+        const success = result.failed === 0;
+        console.log(`\n${success ? '🎉' : '💥'} Message burst tests ${success ? 'completed successfully' : 'failed'}`);
+        process.exit(success ? 0 : 1);
+    } catch (error) {
+        console.error('💥 Test execution failed:', error);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
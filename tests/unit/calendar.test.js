@@ -0,0 +1,249 @@
+/**
+ * Unit Tests for calendar-aware availability
+ * Tests ICS parsing and recurrence expansion, loading calendars from files and URLs,
+ * free/busy schedules, date mentions and what reaches the prompt
+ */
+
+const path = require('path');
+const { TestRunner, TestAssertions } = require('../utils/testHelpers');
+
+const FIXTURE = path.join(__dirname, '..', 'fixtures', 'calendar.ics');
+const FIXTURE_TEXT = require('fs').readFileSync(FIXTURE, 'utf8');
+
+const JERUSALEM_HOURS = {
+    start: '09:00',
+    end: '18:00',
+    timezone: 'Asia/Jerusalem',
+    weeklySchedule: {
+        sun: [{ start: '09:00', end: '18:00' }],
+        mon: [{ start: '09:00', end: '18:00' }],
+        tue: [{ start: '09:00', end: '18:00' }],
+        wed: [{ start: '09:00', end: '18:00' }],
+        thu: [{ start: '09:00', end: '18:00' }],
+        fri: [{ start: '09:00', end: '13:00' }]
+    },
+    holidays: [{ date: '2026-10-18', name: 'Team offsite' }]
+};
+
+function createMemoryStorage() {
+    return { getOutOfOfficeWindows: async () => [] };
+}
+
+function iso(periods) {
+    return periods.map(period => `${new Date(period.start).toISOString().slice(5, 16)}/${new Date(period.end).toISOString().slice(11, 16)}`).join(' ');
+}
+
+async function testCalendar() {
+    const runner = new TestRunner('Calendar Unit Tests');
+
+    let ical, hours, dateMentions, CalendarService, AvailabilityService, ResponseGenerator;
+    let originalFetch;
+    const services = [];
+
+    async function createCalendar(source, extra = {}) {
+        const calendar = new CalendarService({ source, username: '', password: '', refreshMs: 3600000, ...extra }, 'Asia/Jerusalem');
+        await calendar.initialize();
+        services.push(calendar);
+        return calendar;
+    }
+
+    runner.beforeAll(async () => {
+        ical = require('../../dist/utils/ical');
+        hours = require('../../dist/utils/businessHours');
+        dateMentions = require('../../dist/utils/dateMentions');
+        ({ CalendarService } = require('../../dist/services/CalendarService'));
+        ({ AvailabilityService } = require('../../dist/services/AvailabilityService'));
+        ({ ResponseGenerator } = require('../../dist/ai/ResponseGenerator'));
+        originalFetch = global.fetch;
+    });
+
+    runner.afterEach(async () => {
+        global.fetch = originalFetch;
+    });
+
+    runner.afterAll(async () => {
+        services.forEach(service => service.destroy());
+    });
+
+    runner.test('should parse ICS events', async () => {
+        const events = ical.parseIcs(FIXTURE_TEXT, 'Asia/Jerusalem');
+        TestAssertions.assertEqual(events.length, 9);
+
+        const dentist = events.find(event => event.uid === 'dentist-1@test');
+        TestAssertions.assertEqual(dentist.summary, 'Dentist appointment, Dr. Cohen');
+        TestAssertions.assertEqual(dentist.start.timezone, 'Asia/Jerusalem');
+        TestAssertions.assertEqual(dentist.durationMs, 90 * 60000);
+
+        TestAssertions.assertEqual(events.find(event => event.uid === 'prep-1@test').start.timezone, 'Asia/Jerusalem', 'Prefixed TZIDs are resolved');
+        TestAssertions.assertEqual(events.find(event => event.uid === 'lunch-1@test').start.timezone, 'UTC');
+        TestAssertions.assertFalse(events.find(event => event.uid === 'focus-1@test').busy, 'Transparent events are free time');
+        TestAssertions.assertFalse(events.find(event => event.uid === 'cancelled-1@test').busy);
+
+        const sync = events.find(event => event.uid === 'team-sync@test' && event.recurrenceId === undefined);
+        TestAssertions.assertEqual(sync.rrule.freq, 'WEEKLY');
+        TestAssertions.assertEqual(sync.exdates.length, 1);
+
+        const conference = events.find(event => event.uid === 'conference@test');
+        TestAssertions.assertTrue(conference.allDay);
+        TestAssertions.assertEqual(events.find(event => event.uid === 'review@test').durationMs, 30 * 60000, 'DURATION is used without DTEND');
+    });
+
+    runner.test('should expand recurrences into merged busy periods', async () => {
+        const events = ical.parseIcs(FIXTURE_TEXT, 'Asia/Jerusalem');
+        const busy = (from, to) => iso(ical.getBusyPeriods(events, Date.parse(from), Date.parse(to)));
+
+        // Thursday 22 Oct (UTC+3): dentist 10:00-11:30, lunch 16:00-17:00 merged with prep 15:30-16:30
+        TestAssertions.assertEqual(busy('2026-10-22T00:00:00Z', '2026-10-23T00:00:00Z'), '10-22T07:00/08:30 10-22T12:30/14:00');
+
+        // Weekly sync on Mondays, one occurrence excluded and one moved (after the DST change, UTC+2)
+        TestAssertions.assertEqual(busy('2026-10-12T00:00:00Z', '2026-10-13T00:00:00Z'), '10-12T11:00/12:00');
+        TestAssertions.assertEqual(busy('2026-10-19T00:00:00Z', '2026-10-20T00:00:00Z'), '');
+        TestAssertions.assertEqual(busy('2026-10-26T00:00:00Z', '2026-10-26T20:00:00Z'), '10-26T14:00/15:00');
+        TestAssertions.assertEqual(busy('2026-11-02T00:00:00Z', '2026-11-03T00:00:00Z'), '11-02T12:00/13:00');
+
+        // All-day conference on 27-28 Oct and the review on the last Thursday of the month
+        TestAssertions.assertEqual(busy('2026-10-27T00:00:00Z', '2026-10-30T00:00:00Z'), '10-26T22:00/22:00 10-29T15:00/15:30');
+        TestAssertions.assertEqual(busy('2027-01-28T00:00:00Z', '2027-01-29T00:00:00Z').includes('15:00/15:30'), false, 'UNTIL ends the rule');
+    });
+
+    runner.test('should load calendars from files and URLs', async () => {
+        const fromFile = await createCalendar(FIXTURE);
+        TestAssertions.assertEqual(fromFile.getStats().events, 9);
+        TestAssertions.assertEqual(fromFile.getBusyAt(Date.parse('2026-10-22T07:15:00Z')).end, Date.parse('2026-10-22T08:30:00Z'));
+        TestAssertions.assertEqual(fromFile.getBusyAt(Date.parse('2026-10-22T09:00:00Z')), undefined);
+
+        const requests = [];
+        let fail = false;
+        global.fetch = async (url, init) => {
+            requests.push({ url, headers: init.headers });
+            return fail
+                ? { ok: false, status: 401, statusText: 'Unauthorized', text: async () => '' }
+                : { ok: true, status: 200, statusText: 'OK', text: async () => FIXTURE_TEXT };
+        };
+
+        const remote = await createCalendar('webcal://calendar.example.com/dav/gilad/work.ics', { username: 'gilad', password: 'secret' });
+        TestAssertions.assertEqual(requests[0].url, 'https://calendar.example.com/dav/gilad/work.ics');
+        TestAssertions.assertEqual(requests[0].headers.Authorization, `Basic ${Buffer.from('gilad:secret').toString('base64')}`);
+        TestAssertions.assertEqual(remote.getStats().events, 9);
+
+        fail = true;
+        await TestAssertions.assertThrowsAsync(() => remote.refresh());
+        TestAssertions.assertEqual(remote.getStats().events, 9, 'A failed refresh keeps the last calendar');
+        TestAssertions.assertContains(remote.getStats().lastError, '401');
+
+        const missing = await createCalendar('/nonexistent/calendar.ics');
+        TestAssertions.assertEqual(missing.getStats().events, 0, 'An unreadable calendar does not stop startup');
+    });
+
+    runner.test('should report meetings and free/busy days without event details', async () => {
+        const calendar = await createCalendar(FIXTURE);
+        const service = new AvailabilityService(createMemoryStorage(), JERUSALEM_HOURS, calendar);
+        await service.initialize();
+
+        const inMeeting = service.getAvailability(new Date('2026-10-22T07:30:00Z'));
+        TestAssertions.assertEqual(inMeeting.status, 'busy');
+        TestAssertions.assertEqual(inMeeting.nextAvailableAt, Date.parse('2026-10-22T08:30:00Z'));
+        const description = hours.describeAvailability(inMeeting, 'Gilad');
+        TestAssertions.assertContains(description, 'in a meeting until 11:30');
+        TestAssertions.assertFalse(description.includes('Dentist'));
+        TestAssertions.assertEqual(service.getAvailability(new Date('2026-10-22T16:00:00Z')).status, 'after_hours', 'Working hours come first');
+
+        const thursday = service.getDaySchedule('2026-10-22', new Date('2026-10-21T12:00:00Z'));
+        TestAssertions.assertEqual(thursday.status, 'working');
+        TestAssertions.assertEqual(iso(thursday.free), '10-22T06:00/07:00 10-22T08:30/12:30 10-22T14:00/15:00');
+        TestAssertions.assertEqual(iso(thursday.busy), '10-22T07:00/08:30 10-22T12:30/14:00');
+
+        const laterThatDay = service.getDaySchedule('2026-10-22', new Date('2026-10-22T09:00:00Z'));
+        TestAssertions.assertEqual(iso(laterThatDay.free), '10-22T09:00/12:30 10-22T14:00/15:00', 'Past times are not offered');
+
+        TestAssertions.assertEqual(service.getDaySchedule('2026-10-24').status, 'day_off');
+        TestAssertions.assertEqual(service.getDaySchedule('2026-10-18').holiday, 'Team offsite');
+        TestAssertions.assertEqual(service.getDaySchedule('2026-10-27', new Date('2026-10-21T12:00:00Z')).free.length, 0, 'All-day events fill the day');
+
+        const text = hours.describeSchedule([thursday, service.getDaySchedule('2026-10-24'), service.getDaySchedule('2026-10-27', new Date('2026-10-21T12:00:00Z'))], 'Gilad');
+        TestAssertions.assertContains(text, 'Thu 22 Oct: free 09:00-10:00, 11:30-15:30, 17:00-18:00; busy 10:00-11:30, 15:30-17:00');
+        TestAssertions.assertContains(text, 'Sat 24 Oct: not a working day');
+        TestAssertions.assertContains(text, 'Tue 27 Oct: fully booked; busy 09:00-18:00');
+        TestAssertions.assertFalse(/Dentist|investor|Berlin|Board/.test(text), 'Event titles never reach the prompt');
+    });
+
+    runner.test('should find the days a message asks about', async () => {
+        const now = new Date('2026-10-21T09:00:00Z'); // Wednesday in Jerusalem
+        const find = (text) => dateMentions.findRequestedDates(text, now, 'Asia/Jerusalem').join(',');
+
+        TestAssertions.assertEqual(find('Are you free Thursday?'), '2026-10-22');
+        TestAssertions.assertEqual(find('How about tomorrow or friday afternoon'), '2026-10-22,2026-10-23');
+        TestAssertions.assertEqual(find('Can we do next Wednesday?'), '2026-10-28');
+        TestAssertions.assertEqual(find('Is Wednesday good?'), '2026-10-21');
+        TestAssertions.assertEqual(find('What about 23/10 or 2026-11-02?'), '2026-10-23,2026-11-02');
+        TestAssertions.assertEqual(find('Maybe Oct 30th, or the 3rd of November'), '2026-10-30,2026-11-03');
+        TestAssertions.assertEqual(find('Meet at 10:30 for 1.5 hours?'), '', 'Times and decimals are not dates');
+        TestAssertions.assertEqual(find('I sat in the sun'), '');
+        TestAssertions.assertEqual(find('next week works').split(',').length, 7);
+        TestAssertions.assertEqual(find('31/02'), '');
+
+        TestAssertions.assertTrue(dateMentions.asksAboutAvailability('Can we meet soon?'));
+        TestAssertions.assertFalse(dateMentions.asksAboutAvailability('Thanks for the invoice'));
+    });
+
+    runner.test('should add free/busy times to the prompt for availability questions', async () => {
+        const contexts = [];
+        const provider = {
+            name: 'fake',
+            getCurrentModel: () => 'fake-model',
+            generateResponse: async (prompt, context) => {
+                contexts.push(context);
+                return { content: 'Gilad is free that morning.', confidence: 1, tokens_used: 5, model: 'fake-model' };
+            }
+        };
+        const calendar = await createCalendar(FIXTURE);
+        const service = new AvailabilityService(createMemoryStorage(), JERUSALEM_HOURS, calendar);
+        await service.initialize();
+        const generator = new ResponseGenerator(provider, service);
+
+        // A Monday at least a week ahead, skipping the moved occurrence on 26 Oct
+        const monday = new Date(Date.now() + 8 * 24 * 60 * 60 * 1000);
+        monday.setUTCDate(monday.getUTCDate() + ((8 - monday.getUTCDay()) % 7));
+        if (monday.toISOString().startsWith('2026-10-26')) {
+            monday.setUTCDate(monday.getUTCDate() + 7);
+        }
+        const label = `${monday.getUTCDate()}/${monday.getUTCMonth() + 1}`;
+        const message = (body) => ({ id: body, body, from: '111@c.us', to: '999@c.us', timestamp: Date.now(), isGroupMsg: false, chat: { id: '111@c.us', name: 'Dana' } });
+
+        await generator.generateSecretaryResponse({ chatId: '111@c.us', participantCount: 2, isActive: true, recentMessages: [message(`Is Gilad free on ${label}?`)] });
+        TestAssertions.assertEqual(contexts[0].schedule.length, 1);
+        TestAssertions.assertEqual(contexts[0].schedule[0].date, monday.toISOString().slice(0, 10));
+
+        const { OllamaAI } = require('../../dist/ai/OllamaAI');
+        const systemPrompt = new OllamaAI().buildMessages('Reply please', contexts[0])[0].content;
+        TestAssertions.assertContains(systemPrompt, "Gilad's calendar for the days asked about:");
+        TestAssertions.assertContains(systemPrompt, 'busy 14:00-15:00');
+        TestAssertions.assertFalse(systemPrompt.includes('Team sync'));
+
+        await generator.generateSecretaryResponse({ chatId: '111@c.us', participantCount: 2, isActive: true, recentMessages: [message('Can we meet?')] });
+        TestAssertions.assertEqual(contexts[1].schedule.length, 2, 'Without a day, today and tomorrow are checked');
+
+        await generator.generateSecretaryResponse({ chatId: '111@c.us', participantCount: 2, isActive: true, recentMessages: [message('Thanks, got the invoice')] });
+        TestAssertions.assertEqual(contexts[2].schedule, undefined);
+    });
+
+    return await runner.run();
+}
+
+async function main() {
+    console.log('🧪 Running Calendar Unit Tests\n');
+
+    try {
+        const result = await testCalendar();
+        const success = result.failed === 0;
+        console.log(`\n${success ? '🎉' : '💥'} Calendar tests ${success ? 'completed successfully' : 'failed'}`);
+        process.exit(success ? 0 : 1);
+    } catch (error) {
+        console.error('💥 Test execution failed:', error);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,190 @@
+/**
+ * Unit Tests for message classification
+ * Tests the model call and its validation, caching, the keyword fallback, and that MessageHandler
+ * stores the analysis with the message and decides on it
+ */
+
+const path = require('path');
+const { TestRunner, TestAssertions, TimeHelpers, TestEnvironment } = require('../utils/testHelpers');
+
+const tmpDir = TestEnvironment.createTempDir();
+process.env.DATABASE_PATH = path.join(tmpDir, 'classification.db');
+process.env.BURST_WINDOW_MS = '0';
+
+
+const CLASSIFICATION_CONFIG = { enabled: true, model: '', cacheSize: 2, cacheTtlMs: 60000 };
+
+/**
+ * Provider whose answer is computed from the classified text
+ */
+function fakeProvider(answer, calls) {
+    return {
+        name: 'fake',
+        getCurrentModel: () => 'chat-model',
+        complete: async (messages, options) => {
+            calls.push({ messages, options });
+            await TimeHelpers.sleep(10);
+            const content = answer(messages[messages.length - 1].content);
+            if (content instanceof Error) {
+                throw content;
+            }
+            return { content, confidence: 0.7, tokens_used: 20, model: 'classifier-model' };
+        }
+    };
+}
+
+function modelAnswer(fields = {}) {
+    return JSON.stringify({
+        sentiment: 'neutral',
+        urgency: 'medium',
+        category: 'business',
+        keyTopics: ['Invoice Payment'],
+        requiresResponse: true,
+        confidence: 0.92,
+        ...fields
+    });
+}
+
+async function testClassification() {
+    const runner = new TestRunner('Message Classification Unit Tests');
+
+    let MessageClassifier, analyzeKeywords, StorageService, PolicyService, MessageHandler;
+    let storage;
+
+    runner.beforeAll(async () => {
+        ({ MessageClassifier } = require('../../dist/ai/MessageClassifier'));
+        ({ analyzeKeywords } = require('../../dist/utils/messageAnalysis'));
+        ({ StorageService } = require('../../dist/services/StorageService'));
+        ({ PolicyService } = require('../../dist/services/PolicyService'));
+        ({ MessageHandler } = require('../../dist/client/MessageHandler'));
+
+        storage = new StorageService();
+        await TimeHelpers.waitFor(() => storage.isReady());
+    });
+
+    runner.afterAll(async () => {
+        await storage.close();
+        TestEnvironment.cleanupTempDir(tmpDir);
+    });
+
+    runner.test('should classify with a structured model call and cache the result', async () => {
+        const calls = [];
+        const classifier = new MessageClassifier(fakeProvider(() => `Sure:\n\`\`\`json\n${modelAnswer()}\n\`\`\``, calls), CLASSIFICATION_CONFIG);
+
+        const analysis = await classifier.classify('  Did the invoice get paid?  ');
+        TestAssertions.assertEqual(analysis.source, 'model');
+        TestAssertions.assertEqual(analysis.model, 'classifier-model', 'The analysis names the model that produced it');
+        TestAssertions.assertEqual(analysis.category, 'business');
+        TestAssertions.assertEqual(analysis.confidence, 0.92);
+        TestAssertions.assertEqual(analysis.keyTopics.join(','), 'invoice_payment', 'Topics are normalized');
+        TestAssertions.assertEqual(calls[0].options.responseSchema.name, 'message_analysis');
+        TestAssertions.assertEqual(calls[0].options.temperature, 0);
+        TestAssertions.assertEqual(calls[0].messages[1].content, 'Did the invoice get paid?');
+
+        analysis.keyTopics.push('changed by caller');
+        const cached = await classifier.classify('Did the invoice get paid?');
+        TestAssertions.assertEqual(calls.length, 1, 'The same text is answered from the cache');
+        TestAssertions.assertEqual(cached.keyTopics.join(','), 'invoice_payment', 'Callers cannot change cached results');
+
+        const [first, second] = await Promise.all([classifier.classify('Can we meet next week?'), classifier.classify('Can we meet next week?')]);
+        TestAssertions.assertEqual(calls.length, 2, 'Concurrent requests for one text share a model call');
+        TestAssertions.assertEqual(first, second);
+        TestAssertions.assertEqual(first.keyTopics.join(','), 'invoice_payment,meeting_request', 'Meeting requests are always tagged');
+
+        await classifier.classify('Third message');
+        TestAssertions.assertEqual(classifier.getCacheSize(), 2);
+        await classifier.classify('Did the invoice get paid?');
+        TestAssertions.assertEqual(calls.length, 4, 'The least recently used entry was evicted');
+    });
+
+    runner.test('should fall back to keyword rules when the model cannot classify', async () => {
+        const calls = [];
+        const answers = {
+            'URGENT: server down': new Error('provider unavailable'),
+            'Nothing useful': 'I think this message is fine.',
+            'Bad enum': modelAnswer({ urgency: 'extreme' })
+        };
+        const classifier = new MessageClassifier(fakeProvider(text => answers[text], calls), CLASSIFICATION_CONFIG);
+
+        const failed = await classifier.classify('URGENT: server down');
+        TestAssertions.assertEqual(failed.source, 'keywords');
+        TestAssertions.assertEqual(failed.urgency, 'high');
+        await classifier.classify('URGENT: server down');
+        TestAssertions.assertEqual(calls.length, 2, 'Fallback results are not cached');
+
+        TestAssertions.assertEqual((await classifier.classify('Nothing useful')).source, 'keywords');
+        TestAssertions.assertEqual((await classifier.classify('Bad enum')).source, 'keywords', 'Values outside the schema are rejected');
+
+        const disabled = new MessageClassifier(fakeProvider(() => modelAnswer(), calls), { ...CLASSIFICATION_CONFIG, enabled: false });
+        TestAssertions.assertEqual((await disabled.classify('Hello')).source, 'keywords');
+        TestAssertions.assertEqual((await new MessageClassifier(undefined, CLASSIFICATION_CONFIG).classify('Hello')).source, 'keywords');
+        TestAssertions.assertEqual(calls.length, 4, 'Disabled classifiers never call the model');
+
+        TestAssertions.assertEqual(analyzeKeywords('Can you send the contract?').category, 'business');
+        TestAssertions.assertEqual(analyzeKeywords('Can you send the contract?').urgency, 'medium');
+        TestAssertions.assertTrue(analyzeKeywords('Can you send the contract?').requiresResponse);
+        TestAssertions.assertEqual(analyzeKeywords('Happy birthday!').sentiment, 'positive');
+        TestAssertions.assertEqual(analyzeKeywords('Happy birthday!').category, 'personal');
+        TestAssertions.assertEqual(analyzeKeywords('ok').urgency, 'low');
+        TestAssertions.assertEqual(analyzeKeywords("I'd like to book a call").keyTopics.join(','), 'meeting_request');
+    });
+
+    runner.test('should store the analysis with the message and decide on it', async () => {
+        const calls = [];
+        const classifier = new MessageClassifier(fakeProvider(text => /server/.test(text)
+            ? modelAnswer({ urgency: 'high', category: 'support', keyTopics: ['outage'] })
+            : modelAnswer({ urgency: 'low', category: 'social', keyTopics: [], requiresResponse: false }), calls), CLASSIFICATION_CONFIG);
+
+        const policies = new PolicyService(storage, { groupRepliesEnabled: false, responseDelayMs: 1000, cooldownMs: 60000, vipContacts: [] });
+        await policies.initialize();
+
+        const scheduled = [];
+        const timerService = {
+            on: () => {},
+            takeBurst: () => [],
+            isInCooldown: () => false,
+            scheduleResponse: (chatId) => scheduled.push(chatId),
+            startResponseTimer: () => {}
+        };
+        const conversationManager = {
+            addMessage: async () => {},
+            addTurn: async (messages) => messages[0],
+            getConversationContext: async (chatId) => ({ chatId, participantCount: 2, recentMessages: [{ timestamp: Date.now() }], isActive: true })
+        };
+        const handler = new MessageHandler(conversationManager, {}, timerService, storage, policies,
+            undefined, undefined, undefined, undefined, undefined, undefined, classifier);
+
+        const raw = (id, body) => ({ id: { _serialized: id }, from: '333@c.us', to: '999@c.us', body, timestamp: Math.floor(Date.now() / 1000), chat: { name: 'Dana' } });
+        await handler.handleMessage(raw('c1', 'The server is down and customers cannot log in'));
+        await handler.handleMessage(raw('c2', 'Nice weather today'));
+
+        TestAssertions.assertEqual(scheduled.join(','), '333@c.us', 'Only the urgent message gets a reply');
+        const urgent = await storage.getMessageByWhatsAppId('c1');
+        TestAssertions.assertEqual(urgent.analysis.urgency, 'high');
+        TestAssertions.assertEqual(urgent.analysis.source, 'model');
+        TestAssertions.assertEqual(urgent.analysis.keyTopics.join(','), 'outage');
+        const casual = await storage.getMessageByWhatsAppId('c2');
+        TestAssertions.assertEqual(casual.analysis.category, 'social');
+        TestAssertions.assertFalse(casual.analysis.requiresResponse);
+    });
+
+    return await runner.run();
+}
+
+async function main() {
+    console.log('🧪 Running Message Classification Unit Tests\n');
+
+    try {
+        const result = await testClassification();
+        const success = result.failed === 0;
+        console.log(`\n${success ? '🎉' : '💥'} Message classification tests ${success ? 'completed successfully' : 'failed'}`);
+        process.exit(success ? 0 : 1);
+    } catch (error) {
+        console.error('💥 Test execution failed:', error);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
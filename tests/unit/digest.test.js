@@ -0,0 +1,185 @@
+/**
+ * Unit Tests for the daily digest
+ * Tests which conversations are included, model summaries and their fallback, pending owner
+ * actions, delivery to the owner, the Markdown file and the /digest command
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TestRunner, TestAssertions, TimeHelpers, TestEnvironment } = require('../utils/testHelpers');
+
+const tmpDir = TestEnvironment.createTempDir();
+process.env.DATABASE_PATH = path.join(tmpDir, 'digest.db');
+
+const HOUR = 60 * 60 * 1000;
+const DIGEST_TIME = new Date('2026-10-19T17:00:00Z'); // 20:00 in Jerusalem
+
+function message(chatId, chatName, from, body, timestamp) {
+    return { id: `${chatId}-${timestamp}`, body, from, to: '999@c.us', timestamp, isGroupMsg: false, chat: { id: chatId, name: chatName }, author: from };
+}
+
+function createProvider(answer) {
+    const requests = [];
+    return {
+        requests,
+        name: 'fake',
+        getCurrentModel: () => 'fake-model',
+        complete: async (messages) => {
+            requests.push(messages);
+            const content = typeof answer === 'function' ? answer(messages) : answer;
+            return { content, confidence: 1, tokens_used: 10, model: 'fake-model' };
+        }
+    };
+}
+
+async function testDigest() {
+    const runner = new TestRunner('Digest Unit Tests');
+
+    let StorageService, DigestService;
+    let storage;
+    const services = [];
+
+    function createDigestService(provider, extra = {}) {
+        const service = new DigestService(
+            storage,
+            provider,
+            extra.approvals,
+            extra.bookings,
+            { enabled: false, schedule: '0 20 * * *', directory: extra.directory || '' },
+            'Asia/Jerusalem'
+        );
+        services.push(service);
+        return service;
+    }
+
+    runner.beforeAll(async () => {
+        ({ StorageService } = require('../../dist/services/StorageService'));
+        ({ DigestService } = require('../../dist/services/DigestService'));
+
+        storage = new StorageService();
+        await TimeHelpers.waitFor(() => storage.isReady());
+
+        const start = DIGEST_TIME.getTime() - 6 * HOUR;
+        await storage.storeMessage(message('111@c.us', 'Dana', '111@c.us', 'Can Gilad send the signed contract?', start));
+        await storage.storeMessage(message('111@c.us', 'Dana', 'secretary_bot', 'Gilad is in a meeting until 15:00\nand will get back to you.', start + 60000));
+        await storage.storeMessage(message('222@c.us', 'Avi', '222@c.us', 'URGENT: the server is down', start + HOUR));
+        await storage.storeMessage(message('222@c.us', 'Avi', 'secretary_bot', 'I have passed this on to Gilad.', start + HOUR + 60000));
+        await storage.storeMessage(message('333@c.us', 'Noa', '333@c.us', 'Thanks for yesterday!', start + 2 * HOUR));
+        await storage.storeMessage(message('444@c.us', 'Old', '444@c.us', 'Hello?', start - 2 * 24 * HOUR));
+        await storage.storeMessage(message('444@c.us', 'Old', 'secretary_bot', 'Hi, Gilad will reply soon.', start - 2 * 24 * HOUR + 60000));
+    });
+
+    runner.afterAll(async () => {
+        services.forEach(service => service.destroy());
+        await storage.close();
+        TestEnvironment.cleanupTempDir(tmpDir);
+    });
+
+    runner.test('should summarise the conversations the assistant handled since the last digest', async () => {
+        const provider = createProvider(messages => messages[1].content.includes('server is down')
+            ? '{"request": "Avi reports the server is down", "urgency": "high", "followUps": ["Call Avi about the outage"]}'
+            : 'Here you go: {"request": "Dana wants the signed contract", "urgency": "low", "followUps": []}');
+        const delivered = [];
+        const approvals = { getPendingDraftForChat: chatId => (chatId === '111@c.us' ? { id: 7, chatId } : undefined) };
+        const service = createDigestService(provider, { approvals, directory: path.join(tmpDir, 'digests') });
+        service.setDeliveryHandler(async text => { delivered.push(text); return true; });
+        await service.initialize();
+
+        const digest = await service.run(DIGEST_TIME);
+        TestAssertions.assertEqual(digest.periodStart, DIGEST_TIME.getTime() - 24 * HOUR, 'The first digest covers the last day');
+        TestAssertions.assertEqual(digest.entries.map(entry => entry.contact).join(','), 'Avi,Dana', 'Only chats with assistant replies, most urgent first');
+        TestAssertions.assertEqual(provider.requests.length, 2);
+        TestAssertions.assertContains(provider.requests[0][1].content, 'Assistant: Gilad is in a meeting');
+
+        const [avi, dana] = digest.entries;
+        TestAssertions.assertEqual(avi.urgency, 'high');
+        TestAssertions.assertEqual(avi.followUps[0], 'Call Avi about the outage');
+        TestAssertions.assertEqual(dana.request, 'Dana wants the signed contract');
+        TestAssertions.assertEqual(dana.replies[0], 'Gilad is in a meeting until 15:00 and will get back to you.');
+        TestAssertions.assertEqual(dana.followUps[0], 'Draft reply waiting for approval (/approve 7)');
+
+        TestAssertions.assertEqual(delivered.length, 1);
+        TestAssertions.assertContains(delivered[0], '📋 Digest: 2 conversations since Sun 18 Oct 20:00');
+        TestAssertions.assertContains(delivered[0], '🔴 *Avi*');
+        TestAssertions.assertContains(delivered[0], '➡️ Call Avi about the outage');
+        TestAssertions.assertTrue(digest.delivered);
+
+        TestAssertions.assertEqual(digest.filePath, path.join(tmpDir, 'digests', 'digest-2026-10-19-2000.md'));
+        const markdown = fs.readFileSync(digest.filePath, 'utf8');
+        TestAssertions.assertContains(markdown, '## Avi (high urgency)');
+        TestAssertions.assertContains(markdown, '- **Wants:** Dana wants the signed contract');
+        TestAssertions.assertContains(markdown, '  - Draft reply waiting for approval (/approve 7)');
+
+        const reloaded = createDigestService(provider);
+        await reloaded.initialize();
+        const next = await reloaded.run(new Date(DIGEST_TIME.getTime() + 24 * HOUR));
+        TestAssertions.assertEqual(next.periodStart, DIGEST_TIME.getTime(), 'The next digest starts where the stored one ended');
+        TestAssertions.assertEqual(next.entries.length, 0);
+        TestAssertions.assertEqual(reloaded.formatDigest(next), '📋 Digest: no conversations handled since Mon 19 Oct 20:00.');
+
+        const stored = await service.getDigests();
+        TestAssertions.assertEqual(stored.length, 2);
+        TestAssertions.assertEqual(stored[1].entries[0].contact, 'Avi');
+    });
+
+    runner.test('should fall back to the last message when the model fails', async () => {
+        const failing = createProvider('');
+        failing.complete = async () => { throw new Error('offline'); };
+        const service = createDigestService(failing, {
+            bookings: {
+                getHolds: () => [{ id: 3, chatId: '111@c.us', slot: { start: Date.parse('2026-10-20T06:00:00Z'), end: Date.parse('2026-10-20T06:30:00Z') } }],
+                getTimezone: () => 'Asia/Jerusalem'
+            }
+        });
+
+        // Not initialised, so the period is the last day again instead of starting after the stored digests
+        const digest = await service.run(DIGEST_TIME, false);
+        const avi = digest.entries.find(entry => entry.contact === 'Avi');
+        const dana = digest.entries.find(entry => entry.contact === 'Dana');
+        TestAssertions.assertEqual(avi.request, 'URGENT: the server is down');
+        TestAssertions.assertEqual(avi.urgency, 'high', 'Urgent keywords still mark the conversation');
+        TestAssertions.assertEqual(dana.urgency, 'medium');
+        TestAssertions.assertEqual(dana.followUps[0], 'Meeting on Tue 20 Oct 09:00-09:30 waiting for confirmation (/confirm 3)');
+        TestAssertions.assertFalse(digest.delivered);
+
+        const unusable = await createDigestService(createProvider('Sorry, I cannot help with that.')).run(DIGEST_TIME, false);
+        TestAssertions.assertEqual(unusable.entries.find(entry => entry.contact === 'Dana').request, 'Can Gilad send the signed contract?', 'Answers without JSON are ignored');
+    });
+
+    runner.test('should answer /digest with the digest', async () => {
+        const { OwnerCommandHandler } = require('../../dist/client/OwnerCommands');
+        await storage.storeMessage(message('555@c.us', 'Maya', '555@c.us', 'Is Gilad around next week?', Date.now() - 60000));
+        await storage.storeMessage(message('555@c.us', 'Maya', 'secretary_bot', 'Yes, he is in the office all week.', Date.now() - 30000));
+
+        const delivered = [];
+        const service = createDigestService(createProvider('{"request": "Maya asks if Gilad is around next week", "urgency": "low", "followUps": []}'));
+        service.setDeliveryHandler(async text => { delivered.push(text); return true; });
+
+        const commands = new OwnerCommandHandler({}, {}, {}, {}, undefined, undefined, undefined, service);
+        const reply = await commands.execute('/digest');
+        TestAssertions.assertContains(reply, '⚪ *Maya*');
+        TestAssertions.assertContains(reply, 'Replied: Yes, he is in the office all week.');
+        TestAssertions.assertEqual(delivered.length, 0, 'The command reply is the digest');
+        TestAssertions.assertContains(await new OwnerCommandHandler({}, {}, {}, {}).execute('/digest'), 'not available');
+    });
+
+    return await runner.run();
+}
+
+async function main() {
+    console.log('🧪 Running Digest Unit Tests\n');
+
+    try {
+        const result = await testDigest();
+        const success = result.failed === 0;
+        console.log(`\n${success ? '🎉' : '💥'} Digest tests ${success ? 'completed successfully' : 'failed'}`);
+        process.exit(success ? 0 : 1);
+    } catch (error) {
+        console.error('💥 Test execution failed:', error);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,323 @@
+/**
+ * Unit Tests for urgent-message escalation
+ * Tests the alert channels (self-chat, webhook, ntfy, SMTP), reminders, rate limits, acknowledgement,
+ * VIP policies, MessageHandler integration, owner commands and the admin API
+ */
+
+const path = require('path');
+const net = require('net');
+const http = require('http');
+const { TestRunner, TestAssertions, TimeHelpers, TestEnvironment } = require('../utils/testHelpers');
+
+const tmpDir = TestEnvironment.createTempDir();
+process.env.DATABASE_PATH = path.join(tmpDir, 'escalation.db');
+
+const TOKEN = 'test-token';
+
+function escalationOptions(overrides = {}) {
+    return {
+        enabled: true,
+        channels: ['self'],
+        vipContacts: [],
+        webhookUrl: '',
+        ntfyUrl: '',
+        ntfyToken: '',
+        smtp: { host: '127.0.0.1', port: 25, from: 'assistant@localhost', to: '' },
+        chatCooldownMs: 0,
+        maxPerHour: 10,
+        repeatMs: 0,
+        maxRepeats: 0,
+        timeoutMs: 2000,
+        ...overrides
+    };
+}
+
+/**
+ * Minimal SMTP server that records the messages it accepts
+ */
+function startSmtpServer(mails) {
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let data = null;
+        socket.setEncoding('utf8');
+        socket.write('220 test ESMTP\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk;
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                if (data !== null) {
+                    if (line === '.') {
+                        mails.push(data.join('\r\n'));
+                        data = null;
+                        socket.write('250 queued\r\n');
+                    } else {
+                        data.push(line);
+                    }
+                } else if (line.startsWith('EHLO')) {
+                    socket.write('250-test\r\n250 8BITMIME\r\n');
+                } else if (line === 'DATA') {
+                    data = [];
+                    socket.write('354 go ahead\r\n');
+                } else if (line === 'QUIT') {
+                    socket.end('221 bye\r\n');
+                } else {
+                    socket.write('250 OK\r\n');
+                }
+            }
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function testEscalation() {
+    const runner = new TestRunner('Escalation Unit Tests');
+
+    let StorageService, EscalationService, PolicyService, MessageHandler, OwnerCommandHandler, AdminServer, sendMail;
+    let storage;
+    const services = [];
+
+    function createEscalationService(options, delivered = [], channels) {
+        const escalations = new EscalationService(storage, escalationOptions(options), channels);
+        escalations.setDeliveryHandler(async text => {
+            delivered.push(text);
+            return true;
+        });
+        services.push(escalations);
+        return escalations;
+    }
+
+    runner.beforeAll(async () => {
+        ({ StorageService } = require('../../dist/services/StorageService'));
+        ({ EscalationService } = require('../../dist/services/EscalationService'));
+        ({ PolicyService } = require('../../dist/services/PolicyService'));
+        ({ MessageHandler } = require('../../dist/client/MessageHandler'));
+        ({ OwnerCommandHandler } = require('../../dist/client/OwnerCommands'));
+        ({ AdminServer } = require('../../dist/services/AdminServer'));
+        ({ sendMail } = require('../../dist/utils/smtp'));
+
+        storage = new StorageService();
+        await TimeHelpers.waitFor(() => storage.isReady());
+    });
+
+    runner.afterAll(async () => {
+        services.forEach(service => service.destroy());
+        await storage.close();
+        TestEnvironment.cleanupTempDir(tmpDir);
+    });
+
+    runner.test('should alert on every channel and repeat until acknowledged', async () => {
+        const requests = [];
+        const httpServer = http.createServer((request, response) => {
+            let body = '';
+            request.on('data', chunk => body += chunk);
+            request.on('end', () => {
+                requests.push({ url: request.url, headers: request.headers, body });
+                response.end('ok');
+            });
+        });
+        await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+        const mails = [];
+        const smtpServer = await startSmtpServer(mails);
+        const baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+
+        try {
+            const delivered = [];
+            const escalations = createEscalationService({
+                channels: ['self', 'webhook', 'ntfy', 'email'],
+                webhookUrl: `${baseUrl}/hook`,
+                ntfyUrl: `${baseUrl}/alerts`,
+                ntfyToken: 'secret',
+                smtp: { host: '127.0.0.1', port: smtpServer.address().port, from: 'assistant@localhost', to: 'owner@example.com' },
+                repeatMs: 400,
+                maxRepeats: 2
+            }, delivered);
+            await escalations.initialize();
+
+            const escalation = await escalations.escalate({ chatId: '111@c.us', chatName: 'Dana', senderId: '111@c.us', text: 'Emergency: the server is down' });
+            TestAssertions.assertEqual(escalation.alertCount, 1, 'The first alert goes out right away');
+            TestAssertions.assertEqual(escalation.channels.join(','), 'self,webhook,ntfy,email');
+            TestAssertions.assertContains(delivered[0], '🚨 Urgent message from Dana:');
+            TestAssertions.assertContains(delivered[0], '"Emergency: the server is down"');
+            TestAssertions.assertContains(delivered[0], `/ack ${escalation.id}`);
+
+            const hook = requests.find(request => request.url === '/hook');
+            const payload = JSON.parse(hook.body);
+            TestAssertions.assertEqual(payload.event, 'escalation.alert');
+            TestAssertions.assertEqual(payload.escalation.chatId, '111@c.us');
+            const push = requests.find(request => request.url === '/alerts');
+            TestAssertions.assertEqual(push.headers.title, 'Urgent message from Dana');
+            TestAssertions.assertEqual(push.headers.priority, 'urgent');
+            TestAssertions.assertEqual(push.headers.authorization, 'Bearer secret');
+            TestAssertions.assertContains(push.body, 'Emergency: the server is down');
+            TestAssertions.assertContains(mails[0], 'Subject: Urgent message from Dana');
+            TestAssertions.assertContains(mails[0], 'To: <owner@example.com>');
+
+            await TimeHelpers.waitFor(() => escalation.alertCount === 2);
+            TestAssertions.assertContains(delivered[1], '⏰ Still unanswered after 1m.');
+            TestAssertions.assertEqual(JSON.parse(requests.filter(request => request.url === '/hook')[1].body).event, 'escalation.reminder');
+
+            await escalations.acknowledgeChat('111@c.us', 'reply');
+            await TimeHelpers.sleep(500);
+            TestAssertions.assertEqual(delivered.length, 2, 'Reminders stop once the owner reacts');
+            const [stored] = await storage.getEscalations('acknowledged');
+            TestAssertions.assertEqual(stored.id, escalation.id);
+            TestAssertions.assertEqual(stored.acknowledgedBy, 'reply');
+            TestAssertions.assertEqual(stored.alertCount, 2);
+        } finally {
+            httpServer.close();
+            smtpServer.close();
+        }
+    });
+
+    runner.test('should rate limit, merge and expire alerts', async () => {
+        const delivered = [];
+        const failing = { name: 'webhook', send: async () => { throw new Error('unreachable'); } };
+        const escalations = createEscalationService({ chatCooldownMs: 100, maxPerHour: 2 }, delivered, [failing]);
+        await escalations.initialize();
+
+        const first = await escalations.escalate({ chatId: '222@c.us', chatName: 'Avi', text: 'URGENT: call me' });
+        const second = await escalations.escalate({ chatId: '222@c.us', chatName: 'Avi', text: 'Really urgent, please call' });
+        TestAssertions.assertEqual(second.id, first.id, 'Further urgent messages update the open alert');
+        TestAssertions.assertEqual(second.messageCount, 2);
+        TestAssertions.assertEqual(delivered.length, 1, 'Alerts about a chat respect its cooldown');
+        TestAssertions.assertEqual(first.channels.join(','), 'self', 'A failing channel does not stop the others');
+
+        await TimeHelpers.waitFor(() => delivered.length === 2);
+        TestAssertions.assertContains(delivered[1], '🚨 2 urgent messages from Avi, the latest:');
+        TestAssertions.assertContains(delivered[1], '"Really urgent, please call"');
+
+        await TimeHelpers.waitFor(() => escalations.getOpenEscalations().length === 0);
+        const [expired] = await storage.getEscalations('expired');
+        TestAssertions.assertEqual(expired.id, first.id, 'Without reminders the alert expires after the cooldown');
+
+        const other = await escalations.escalate({ chatId: '333@c.us', text: 'Emergency!' });
+        TestAssertions.assertEqual(other.alertCount, 0, 'The hourly limit holds back further alerts');
+        TestAssertions.assertEqual(delivered.length, 2);
+        TestAssertions.assertEqual(await escalations.acknowledge(other.id, 'command') !== null, true);
+
+        const disabled = createEscalationService({ enabled: false });
+        TestAssertions.assertEqual(await disabled.escalate({ chatId: '222@c.us', text: 'URGENT' }), null);
+    });
+
+    runner.test('should escalate urgent VIP messages and stop on the owner reply or reaction', async () => {
+        const escalations = createEscalationService({ repeatMs: 60000, maxRepeats: 3 });
+        await escalations.initialize();
+
+        const policies = new PolicyService(storage, { groupRepliesEnabled: false, responseDelayMs: 1000, cooldownMs: 60000, vipContacts: ['111@c.us'] });
+        await policies.initialize();
+        await policies.setPolicy('444@c.us', { vip: true });
+        TestAssertions.assertTrue(policies.evaluate({ chatId: '120@g.us', senderId: '111@c.us', isGroup: true }).vip, 'Contacts from ESCALATION_VIP_CONTACTS are VIP');
+        TestAssertions.assertFalse(policies.evaluate({ chatId: '222@c.us', isGroup: false }).vip);
+        const reloaded = new PolicyService(storage);
+        await reloaded.initialize();
+        TestAssertions.assertEqual(reloaded.getPolicy('444@c.us').vip, true, 'The VIP flag persists');
+
+        const timerService = { on: () => {}, addToBurst: () => 1, takeBurst: () => [], handleOwnerResponse: () => {}, isInCooldown: () => false };
+        const conversationManager = { addMessage: async () => {}, addTurn: async () => {}, getConversationContext: async () => null, findConversationsByName: () => [] };
+        const handler = new MessageHandler(conversationManager, {}, timerService, storage, policies, undefined, undefined, undefined, undefined, undefined, escalations);
+        const sent = [];
+        handler.setWhatsAppClient({
+            getOwnId: () => '999@c.us',
+            sendMessage: async (chatId, text) => sent.push({ chatId, text })
+        });
+        handler.updateOwnerIdentifiers(['999']);
+
+        const raw = (id, from, body, author) => ({ id: { _serialized: id }, from, to: '999@c.us', author, body, timestamp: Math.floor(Date.now() / 1000), chat: { name: 'Team' } });
+        await handler.handleMessage(raw('m1', '222@c.us', 'Emergency, call me now'));
+        await handler.handleMessage(raw('m2', '120@g.us', 'Lunch tomorrow?', '111@c.us'));
+        TestAssertions.assertEqual(escalations.getOpenEscalations().length, 0, 'Only urgent messages from VIP contacts escalate');
+
+        await handler.handleMessage(raw('m3', '120@g.us', 'Emergency at the office, where are you?', '111@c.us'));
+        await handler.handleMessage(raw('m4', '444@c.us', 'URGENT: the contract expires today'));
+        TestAssertions.assertEqual(escalations.getOpenEscalations().map(escalation => escalation.chatId).join(','), '120@g.us,444@c.us');
+        TestAssertions.assertEqual(sent.length, 2, 'Alerts go to the owner chat');
+        TestAssertions.assertEqual(sent[0].chatId, '999@c.us');
+        TestAssertions.assertContains(sent[0].text, 'Urgent message from Team:');
+
+        await handler.handleMessage(raw('m5', '120@g.us', 'On my way', '999@c.us'));
+        await handler.handleReaction({ reaction: '👍', id: { fromMe: true, remote: '444@c.us' }, msgId: { _serialized: 'm4' }, timestamp: Math.floor(Date.now() / 1000) });
+        TestAssertions.assertEqual(escalations.getOpenEscalations().length, 0);
+        const acknowledged = await storage.getEscalations('acknowledged', 2);
+        TestAssertions.assertEqual(acknowledged.map(escalation => escalation.acknowledgedBy).join(','), 'reaction,reply');
+
+        const commands = new OwnerCommandHandler(handler, timerService, conversationManager, policies, undefined, undefined, undefined, undefined, escalations);
+        TestAssertions.assertContains(await commands.execute('/policy 555@c.us vip on'), 'VIP');
+        TestAssertions.assertEqual(policies.getPolicy('555@c.us').vip, true);
+        TestAssertions.assertEqual(await commands.execute('/alerts'), '🤖 No urgent messages waiting for you.');
+
+        await escalations.escalate({ chatId: '555@c.us', chatName: 'Noa', text: 'ASAP please' });
+        await escalations.escalate({ chatId: '666@c.us', text: 'Critical issue' });
+        const list = await commands.execute('/alerts');
+        TestAssertions.assertContains(list, '🚨 2 urgent messages waiting for you');
+        TestAssertions.assertContains(list, 'Noa, 1m ago: ASAP please');
+        TestAssertions.assertContains(await commands.execute('/ack 99999'), 'not open');
+        TestAssertions.assertContains(await commands.execute('/ack'), 'Alerts about 666@c.us stopped.');
+        TestAssertions.assertContains(await commands.execute('/ack all'), 'Alerts stopped for 1 urgent message.');
+        TestAssertions.assertContains(await new OwnerCommandHandler(handler, timerService, conversationManager, policies).execute('/alerts'), 'not available');
+    });
+
+    runner.test('should list and acknowledge escalations through the admin API', async () => {
+        const escalations = createEscalationService({ repeatMs: 60000, maxRepeats: 1 });
+        await escalations.initialize();
+        const escalation = await escalations.escalate({ chatId: '777@c.us', text: 'Emergency' });
+
+        const server = new AdminServer({ enabled: true, host: '127.0.0.1', port: 0, token: TOKEN }, {
+            get: (name) => (name === 'escalationService' ? escalations : undefined),
+            getHealthStatus: () => [],
+            getMetrics: () => ({})
+        });
+        await server.start();
+        const baseUrl = `http://127.0.0.1:${server.getPort()}`;
+        const auth = { Authorization: `Bearer ${TOKEN}` };
+
+        try {
+            const list = await (await fetch(`${baseUrl}/api/escalations?status=open`, { headers: auth })).json();
+            TestAssertions.assertEqual(list.escalations[0].id, escalation.id);
+            TestAssertions.assertEqual((await fetch(`${baseUrl}/api/escalations?status=bogus`, { headers: auth })).status, 400);
+
+            const acknowledged = await fetch(`${baseUrl}/api/escalations/${escalation.id}/ack`, { method: 'POST', headers: auth });
+            TestAssertions.assertEqual(acknowledged.status, 200);
+            TestAssertions.assertEqual((await acknowledged.json()).acknowledgedBy, 'admin');
+            TestAssertions.assertEqual((await fetch(`${baseUrl}/api/escalations/${escalation.id}/ack`, { method: 'POST', headers: auth })).status, 409);
+        } finally {
+            await server.close();
+        }
+
+        // A server that refuses the sender surfaces as an error
+        const refusing = net.createServer(socket => {
+            socket.write('220 test\r\n');
+            socket.on('data', chunk => socket.write(String(chunk).startsWith('MAIL') ? '550 sender rejected\r\n' : '250 OK\r\n'));
+        });
+        await new Promise(resolve => refusing.listen(0, '127.0.0.1', resolve));
+        try {
+            await sendMail({ host: '127.0.0.1', port: refusing.address().port, timeoutMs: 2000 }, { from: 'a@b', to: ['c@d'], subject: 'x', text: 'y' });
+            TestAssertions.assertTrue(false, 'A rejected sender should throw');
+        } catch (error) {
+            TestAssertions.assertContains(error.message, '550 sender rejected');
+        } finally {
+            refusing.close();
+        }
+    });
+
+    return await runner.run();
+}
+
+async function main() {
+    console.log('🧪 Running Escalation Unit Tests\n');
+
+    try {
+        const result = await testEscalation();
+        const success = result.failed === 0;
+        console.log(`\n${success ? '🎉' : '💥'} Escalation tests ${success ? 'completed successfully' : 'failed'}`);
+        process.exit(success ? 0 : 1);
+    } catch (error) {
+        console.error('💥 Test execution failed:', error);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,170 @@
+/**
+ * Unit Tests for provider failover
+ * Tests circuit breaker transitions and FailoverAIProvider routing
+ */
+
+const { TestRunner, TestAssertions } = require('../utils/testHelpers');
+
+const BREAKER_OPTIONS = {
+    errorRateThreshold: 0.5,
+    slowCallRateThreshold: 0.5,
+    minimumRequests: 2,
+    windowSize: 4,
+    latencyThresholdMs: 1000,
+    openDurationMs: 5000
+};
+
+function fakeProvider(name, behaviour) {
+    return {
+        name,
+        calls: 0,
+        async generateResponse() {
+            this.calls++;
+            return behaviour(this.calls);
+        },
+        async complete() {
+            this.calls++;
+            return behaviour(this.calls);
+        },
+        async isHealthy() { return true; },
+        getCurrentModel() { return `${name}-model`; },
+        validateConfig() { return true; }
+    };
+}
+
+const ok = (content) => () => ({ content, confidence: 0.8, tokens_used: 1, model: 'm' });
+const fail = () => { throw new Error('boom'); };
+
+async function testFailover() {
+    const runner = new TestRunner('Failover Unit Tests');
+
+    let CircuitBreaker, FailoverAIProvider, parseAIProviderChain;
+    let originalWarn;
+
+    runner.beforeAll(async () => {
+        ({ CircuitBreaker } = require('../../dist/ai/CircuitBreaker'));
+        ({ FailoverAIProvider } = require('../../dist/ai/FailoverAIProvider'));
+        ({ parseAIProviderChain } = require('../../dist/config/environment'));
+        originalWarn = console.warn;
+        console.warn = () => {};
+    });
+
+    runner.afterAll(async () => {
+        console.warn = originalWarn;
+    });
+
+    runner.test('should trip on error rate and probe when half-open', async () => {
+        const breaker = new CircuitBreaker(BREAKER_OPTIONS);
+        const start = 1000000;
+
+        breaker.recordSuccess(10, start);
+        breaker.recordFailure(new Error('a'), 0, start);
+        TestAssertions.assertEqual(breaker.getState(), 'open', '50% errors should trip');
+        TestAssertions.assertFalse(breaker.canRequest(start + 100), 'Open breaker rejects calls');
+
+        TestAssertions.assertTrue(breaker.canRequest(start + 5000), 'Probe allowed after open period');
+        TestAssertions.assertEqual(breaker.getState(), 'half_open');
+        TestAssertions.assertFalse(breaker.canRequest(start + 5001), 'Only one probe at a time');
+
+        breaker.recordFailure(new Error('b'), 0, start + 5002);
+        TestAssertions.assertEqual(breaker.getState(), 'open', 'Failed probe re-opens');
+        TestAssertions.assertEqual(breaker.getStatus().tripCount, 2);
+
+        TestAssertions.assertTrue(breaker.canRequest(start + 11000));
+        breaker.recordSuccess(10, start + 11001);
+        TestAssertions.assertEqual(breaker.getState(), 'closed', 'Successful probe closes');
+    });
+
+    runner.test('should trip on slow calls', async () => {
+        const breaker = new CircuitBreaker(BREAKER_OPTIONS);
+        breaker.recordSuccess(5000);
+        breaker.recordSuccess(5000);
+        TestAssertions.assertEqual(breaker.getState(), 'open');
+        TestAssertions.assertTrue(breaker.getStatus().lastTripReason.includes('slower'));
+
+        const tolerant = new CircuitBreaker({ ...BREAKER_OPTIONS, slowCallRateThreshold: 0.8 });
+        for (const latency of [10, 5000, 5000, 5000]) {
+            tolerant.recordSuccess(latency);
+        }
+        TestAssertions.assertEqual(tolerant.getState(), 'closed', 'The slow-call rate has its own threshold');
+        tolerant.recordSuccess(5000);
+        TestAssertions.assertEqual(tolerant.getState(), 'open');
+    });
+
+    runner.test('should fail over to the next provider and report status', async () => {
+        const primary = fakeProvider('primary', fail);
+        const backup = fakeProvider('backup', ok('from backup'));
+        const chain = new FailoverAIProvider([primary, backup], BREAKER_OPTIONS);
+
+        const first = await chain.generateResponse('hi');
+        await chain.generateResponse('hi');
+        TestAssertions.assertEqual(first.content, 'from backup');
+        TestAssertions.assertEqual(primary.calls, 2);
+
+        // Primary breaker is now open, so it is skipped entirely
+        await chain.generateResponse('hi');
+        TestAssertions.assertEqual(primary.calls, 2, 'Open circuit should skip primary');
+
+        const status = chain.getChainStatus();
+        TestAssertions.assertEqual(status.activeProvider, 'backup:backup-model');
+        TestAssertions.assertEqual(status.providers[0].state, 'open');
+        TestAssertions.assertEqual(status.providers[0].tripCount, 1);
+        TestAssertions.assertEqual(chain.getCurrentModel(), 'backup-model');
+    });
+
+    runner.test('should tell apart chain entries with the same provider and model', async () => {
+        const first = fakeProvider('openai', fail);
+        const second = fakeProvider('openai', ok('from second endpoint'));
+        const chain = new FailoverAIProvider([first, second, fakeProvider('ollama', ok('local'))], BREAKER_OPTIONS);
+
+        await chain.generateResponse('hi');
+        await chain.generateResponse('hi');
+
+        const status = chain.getChainStatus();
+        TestAssertions.assertEqual(status.providers.map(entry => entry.id).join(','), 'openai:openai-model#1,openai:openai-model#2,ollama:ollama-model');
+        TestAssertions.assertEqual(status.activeProvider, 'openai:openai-model#2');
+        TestAssertions.assertEqual(status.providers[0].state, 'open');
+        TestAssertions.assertEqual(status.providers[1].state, 'closed', 'Each endpoint keeps its own breaker');
+    });
+
+    runner.test('should throw when every provider fails', async () => {
+        const chain = new FailoverAIProvider([fakeProvider('a', fail), fakeProvider('b', fail)], BREAKER_OPTIONS);
+        let error = null;
+        try {
+            await chain.generateResponse('hi');
+        } catch (e) {
+            error = e;
+        }
+        TestAssertions.assertTrue(error && error.message.startsWith('All AI providers failed'), 'Should report chain failure');
+    });
+
+    runner.test('should parse AI_PROVIDER_CHAIN entries', async () => {
+        const chain = parseAIProviderChain(' anthropic , ollama:llama3.2:3b,openai:gpt-4o ');
+        TestAssertions.assertEqual(chain.length, 3);
+        TestAssertions.assertEqual(chain[0].provider, 'anthropic');
+        TestAssertions.assertEqual(chain[0].model, 'claude-3-5-haiku-latest', 'Provider default model');
+        TestAssertions.assertEqual(chain[1].model, 'llama3.2:3b', 'Only first colon splits');
+        TestAssertions.assertEqual(chain[2].model, 'gpt-4o');
+        TestAssertions.assertEqual(parseAIProviderChain('').length, 0);
+    });
+
+    return await runner.run();
+}
+
+async function main() {
+    console.log('🧪 Running Failover Unit Tests\n');
+
+    try {
+        const result = await testFailover();
+        const success = result.failed === 0;
+        console.log(`\n${success ? '🎉' : '💥'} Failover tests ${success ? 'completed successfully' : 'failed'}`);
+        process.exit(success ? 0 : 1);
+    } catch (error) {
+        console.error('💥 Test execution failed:', error);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
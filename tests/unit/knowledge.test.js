@@ -0,0 +1,230 @@
+/**
+ * Unit Tests for the owner knowledge base
+ * Tests the YAML and Markdown parsing, per-entry visibility, search, hot reload and prompt injection
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TestRunner, TestAssertions, TimeHelpers, TestEnvironment } = require('../utils/testHelpers');
+
+const tmpDir = TestEnvironment.createTempDir();
+process.env.KNOWLEDGE_DIR = tmpDir;
+
+
+const FAQ_YAML = `# Questions people ask often
+visibility: contacts
+tags: [faq]
+entries:
+  - question: Where should deliveries go?
+    answer: |
+      Deliveries go to Herzl 12, Tel Aviv.
+      Leave parcels with the building guard.
+  - title: Booking a meeting
+    content: Book a slot at https://cal.example.com/gilad
+    visibility: public
+  - title: Office door code
+    content: "The office door code is 4521#"
+    chats: ['+972 50-111-1111', 120363000000000000@g.us]
+  - title: Signature
+    content: >
+      Gilad answers personally
+      within a day.
+    visibility: public
+    pinned: true
+`;
+
+const AVAILABILITY_MD = `---
+title: Availability
+visibility: public
+---
+Gilad works from the Tel Aviv office on weekdays.
+
+## Vacation
+Gilad is on vacation in Italy until the end of October.
+
+\`\`\`
+# not a heading
+\`\`\`
+`;
+
+function createMessage(chatId, body, from = chatId) {
+    return {
+        id: `${chatId}_${body.length}`,
+        body,
+        from,
+        to: '999@c.us',
+        timestamp: Date.UTC(2026, 9, 12, 9, 0),
+        isGroupMsg: chatId.endsWith('@g.us'),
+        chat: { id: chatId, name: 'Dana' },
+        author: from
+    };
+}
+
+async function testKnowledgeBase() {
+    const runner = new TestRunner('Knowledge Base Unit Tests');
+
+    let parseYaml, parseKnowledgeFile, isVisibleTo, KnowledgeBaseService, ResponseGenerator, OllamaAI;
+    const services = [];
+
+    const stranger = { chatId: '972500000009@c.us', senderId: '972500000009@c.us', isKnownContact: false };
+    const contact = { chatId: '972500000002@c.us', senderId: '972500000002@c.us', isKnownContact: true };
+    const listedChat = { chatId: '972501111111@c.us', senderId: '972501111111@c.us', isKnownContact: false };
+
+    async function createKnowledgeBase(embedder) {
+        const knowledgeBase = new KnowledgeBaseService(tmpDir, embedder, { topK: 2, minScore: 0.2 });
+        await knowledgeBase.initialize();
+        services.push(knowledgeBase);
+        return knowledgeBase;
+    }
+
+    runner.beforeAll(async () => {
+        ({ parseYaml } = require('../../dist/utils/yaml'));
+        ({ parseKnowledgeFile, isVisibleTo } = require('../../dist/utils/knowledgeBase'));
+        ({ KnowledgeBaseService } = require('../../dist/services/KnowledgeBaseService'));
+        ({ ResponseGenerator } = require('../../dist/ai/ResponseGenerator'));
+        ({ OllamaAI } = require('../../dist/ai/OllamaAI'));
+
+        fs.writeFileSync(path.join(tmpDir, 'faq.yaml'), FAQ_YAML);
+        fs.mkdirSync(path.join(tmpDir, 'schedule'));
+        fs.writeFileSync(path.join(tmpDir, 'schedule', 'availability.md'), AVAILABILITY_MD);
+        fs.writeFileSync(path.join(tmpDir, 'notes.txt'), 'Not a knowledge file');
+    });
+
+    runner.afterAll(async () => {
+        services.forEach(service => service.destroy());
+        TestEnvironment.cleanupTempDir(tmpDir);
+    });
+
+    runner.test('should parse the supported YAML subset', async () => {
+        const document = parseYaml(FAQ_YAML);
+        TestAssertions.assertEqual(document.visibility, 'contacts');
+        TestAssertions.assertEqual(JSON.stringify(document.tags), '["faq"]');
+        TestAssertions.assertEqual(document.entries.length, 4);
+        TestAssertions.assertEqual(document.entries[0].answer, 'Deliveries go to Herzl 12, Tel Aviv.\nLeave parcels with the building guard.');
+        TestAssertions.assertEqual(document.entries[2].content, 'The office door code is 4521#');
+        TestAssertions.assertEqual(JSON.stringify(document.entries[2].chats), '["+972 50-111-1111","120363000000000000@g.us"]');
+        TestAssertions.assertEqual(document.entries[3].content, 'Gilad answers personally within a day.');
+        TestAssertions.assertTrue(document.entries[3].pinned === true);
+
+        const nested = parseYaml('a:\n  b: 1\n  c:\n    - x\n    - y: "2"\n      z: null\nd: it\'s fine # comment\n');
+        TestAssertions.assertEqual(JSON.stringify(nested), '{"a":{"b":1,"c":["x",{"y":"2","z":null}]},"d":"it\'s fine"}');
+
+        TestAssertions.assertEqual(parseYaml('# only a comment\n'), null);
+        let error;
+        try {
+            parseYaml('title: ok\n  broken\n');
+        } catch (caught) {
+            error = caught;
+        }
+        TestAssertions.assertContains(error.message, 'Line 2');
+    });
+
+    runner.test('should chunk files and filter entries by visibility', async () => {
+        const markdown = parseKnowledgeFile('schedule/availability.md', AVAILABILITY_MD);
+        TestAssertions.assertEqual(markdown.map(chunk => chunk.title).join('|'), 'Availability|Vacation');
+        TestAssertions.assertEqual(markdown[1].id, 'schedule/availability.md#2');
+        TestAssertions.assertContains(markdown[1].content, '# not a heading', 'Lines in code blocks are not headings');
+        TestAssertions.assertTrue(markdown.every(chunk => chunk.visibility === 'public'));
+
+        const long = parseKnowledgeFile('long.md', Array.from({ length: 6 }, (_, i) => `Paragraph ${i} ${'x'.repeat(300)}`).join('\n\n'));
+        TestAssertions.assertEqual(long.length, 2, 'Long sections are split at paragraph breaks');
+        TestAssertions.assertEqual(long[0].title, 'long');
+        TestAssertions.assertEqual(long[0].visibility, 'contacts', 'Entries are for contacts unless marked otherwise');
+
+        const [delivery, booking, doorCode] = parseKnowledgeFile('faq.yaml', FAQ_YAML);
+        TestAssertions.assertEqual(delivery.title, 'Where should deliveries go?');
+        TestAssertions.assertEqual(doorCode.visibility, 'chats', 'Listing chats restricts the entry to them');
+
+        TestAssertions.assertTrue(isVisibleTo(booking, stranger));
+        TestAssertions.assertFalse(isVisibleTo(delivery, stranger));
+        TestAssertions.assertTrue(isVisibleTo(delivery, contact));
+        TestAssertions.assertFalse(isVisibleTo(doorCode, contact));
+        TestAssertions.assertTrue(isVisibleTo(doorCode, listedChat), 'Phone numbers match chat ids by their digits');
+        TestAssertions.assertTrue(isVisibleTo(doorCode, { chatId: '120363000000000000@g.us', senderId: '972500000009@c.us', isKnownContact: false }));
+
+        TestAssertions.assertThrows(() => parseKnowledgeFile('bad.yaml', '- title: x\n  content: y\n  visibility: friends\n'));
+        TestAssertions.assertThrows(() => parseKnowledgeFile('bad.yaml', '- title: x\n'));
+    });
+
+    runner.test('should search visible entries and reload when files change', async () => {
+        const knowledgeBase = await createKnowledgeBase();
+        TestAssertions.assertEqual(knowledgeBase.getStats().files, 2, 'Only Markdown and YAML files are read');
+
+        const forContact = await knowledgeBase.search('Where do I send the delivery parcels?', contact);
+        TestAssertions.assertEqual(forContact[0].title, 'Signature', 'Pinned entries come first');
+        TestAssertions.assertEqual(forContact[1].title, 'Where should deliveries go?');
+
+        const forStranger = await knowledgeBase.search('Where do I send the delivery parcels?', stranger);
+        TestAssertions.assertFalse(forStranger.some(chunk => chunk.title === 'Where should deliveries go?'), 'Contact-only entries stay hidden');
+
+        const doorCode = await knowledgeBase.search('What is the office door code?', listedChat);
+        TestAssertions.assertTrue(doorCode.some(chunk => chunk.title === 'Office door code'));
+        const noDoorCode = await knowledgeBase.search('What is the office door code?', contact);
+        TestAssertions.assertFalse(noDoorCode.some(chunk => chunk.title === 'Office door code'));
+
+        // Edits are picked up by the directory watcher; broken files are skipped
+        fs.writeFileSync(path.join(tmpDir, 'parking.md'), '---\nvisibility: public\n---\n# Parking\nVisitors park on level -2 of the parking garage.\n');
+        fs.writeFileSync(path.join(tmpDir, 'broken.yml'), 'entries:\n  - title: "unterminated\n');
+        await TimeHelpers.waitFor(() => knowledgeBase.getEntries().some(chunk => chunk.title === 'Parking'));
+        const parking = await knowledgeBase.search('where can I park at the garage?', stranger);
+        TestAssertions.assertTrue(parking.some(chunk => chunk.title === 'Parking'));
+        TestAssertions.assertEqual(knowledgeBase.getErrors().map(error => error.source).join(','), 'broken.yml');
+
+        fs.unlinkSync(path.join(tmpDir, 'parking.md'));
+        fs.unlinkSync(path.join(tmpDir, 'broken.yml'));
+        await TimeHelpers.waitFor(() => !knowledgeBase.getEntries().some(chunk => chunk.title === 'Parking') && knowledgeBase.getErrors().length === 0);
+
+        // A failing embedding model falls back to keyword matching
+        const offline = await createKnowledgeBase({ name: 'ollama', model: 'nomic-embed-text', embed: async () => { throw new Error('connection refused'); } });
+        TestAssertions.assertEqual(offline.getStats().model, 'hash:hash-256');
+        TestAssertions.assertTrue((await offline.search('booking a meeting slot', stranger)).some(chunk => chunk.title === 'Booking a meeting'));
+    });
+
+    runner.test('should add visible entries to the system prompt', async () => {
+        const contexts = [];
+        const provider = {
+            name: 'fake',
+            getCurrentModel: () => 'fake-model',
+            generateResponse: async (prompt, context) => {
+                contexts.push(context);
+                return { content: 'Hi Dana, you can book a slot online.', confidence: 1, tokens_used: 5, model: 'fake-model' };
+            }
+        };
+        const knowledgeBase = await createKnowledgeBase();
+        const generator = new ResponseGenerator(provider, undefined, undefined, undefined, knowledgeBase);
+        const question = createMessage(contact.chatId, 'Can I book a meeting with Gilad? Also where do deliveries go?');
+
+        await generator.generateSecretaryResponse({ chatId: contact.chatId, participantCount: 2, recentMessages: [question], isActive: true, audience: contact });
+        const titles = contexts[0].knowledge.map(chunk => chunk.title);
+        TestAssertions.assertContains(titles.join('|'), 'Booking a meeting');
+        TestAssertions.assertContains(titles.join('|'), 'Where should deliveries go?');
+
+        const prompt = new OllamaAI().buildMessages('Reply please', contexts[0])[0].content;
+        TestAssertions.assertContains(prompt, 'Facts about Gilad you can share when relevant');
+        TestAssertions.assertContains(prompt, '[Booking a meeting]\nBook a slot at https://cal.example.com/gilad');
+
+        // Without an audience the sender is treated as a stranger
+        await generator.generateSecretaryResponse({ chatId: contact.chatId, participantCount: 2, recentMessages: [question], isActive: true });
+        TestAssertions.assertFalse(contexts[1].knowledge.some(chunk => chunk.visibility !== 'public'));
+    });
+
+    return await runner.run();
+}
+
+async function main() {
+    console.log('🧪 Running Knowledge Base Unit Tests\n');
+
+    try {
+        const result = await testKnowledgeBase();
+        const success = result.failed === 0;
+        console.log(`\n${success ? '🎉' : '💥'} Knowledge base tests ${success ? 'completed successfully' : 'failed'}`);
+        process.exit(success ? 0 : 1);
+    } catch (error) {
+        console.error('💥 Test execution failed:', error);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,150 @@
+/**
+ * Unit Tests for multilingual replies
+ * Tests language detection, right-to-left and length handling of replies, and that prompts and
+ * fixed replies follow the contact's language
+ */
+
+const { TestRunner, TestAssertions } = require('../utils/testHelpers');
+
+const RLM = '\u200F';
+
+function message(body, fields = {}) {
+    return { id: `m-${body.length}`, body, from: '111@c.us', to: '999@c.us', timestamp: Date.now(), isGroupMsg: false, chat: { id: '111@c.us', name: 'Dana' }, ...fields };
+}
+
+function context(messages, fields = {}) {
+    return { chatId: '111@c.us', participantCount: 2, isActive: true, recentMessages: messages, ...fields };
+}
+
+async function testLanguage() {
+    const runner = new TestRunner('Multilingual Reply Unit Tests');
+
+    let language, analyzeKeywords, ResponseGenerator, OllamaAI, MessageHandler;
+
+    runner.beforeAll(async () => {
+        language = require('../../dist/utils/language');
+        ({ analyzeKeywords } = require('../../dist/utils/messageAnalysis'));
+        ({ ResponseGenerator } = require('../../dist/ai/ResponseGenerator'));
+        ({ OllamaAI } = require('../../dist/ai/OllamaAI'));
+        ({ MessageHandler } = require('../../dist/client/MessageHandler'));
+    });
+
+    runner.test('should detect the language a contact writes in', async () => {
+        const { detectLanguage, detectConversationLanguage } = language;
+
+        TestAssertions.assertEqual(detectLanguage('שלום, אפשר לקבוע פגישה מחר?'), 'he');
+        TestAssertions.assertEqual(detectLanguage('مرحبا، هل يمكننا الاجتماع غدا؟'), 'ar');
+        TestAssertions.assertEqual(detectLanguage('Здравствуйте, можно встретиться завтра?'), 'ru');
+        TestAssertions.assertEqual(detectLanguage('Can we meet tomorrow?'), 'en');
+        TestAssertions.assertEqual(detectLanguage('ראית את https://example.com/meeting-notes-for-tomorrow ?'), 'he', 'Links do not count as English');
+        TestAssertions.assertEqual(detectLanguage('👍 12:30'), undefined);
+
+        const messages = [
+            message('Hi Gilad'),
+            message('Здравствуйте! Вы получили счёт?'),
+            message('Thank you for your message.', { from: 'secretary_bot' }),
+            message('👍')
+        ];
+        TestAssertions.assertEqual(detectConversationLanguage(messages), 'ru', 'Replies and messages without letters are skipped');
+        TestAssertions.assertEqual(detectConversationLanguage([message('x', { analysis: { language: 'ar' } })]), 'ar', 'A stored analysis is reused');
+
+        const hebrew = analyzeKeywords('דחוף! השרת נפל, אפשר לבדוק?');
+        TestAssertions.assertEqual(hebrew.language, 'he');
+        TestAssertions.assertEqual(hebrew.urgency, 'high');
+        TestAssertions.assertTrue(hebrew.requiresResponse);
+        TestAssertions.assertEqual(analyzeKeywords('أرسل لي الفاتورة من فضلك').category, 'business');
+        TestAssertions.assertEqual(analyzeKeywords('أرسل لي الفاتورة من فضلك').urgency, 'medium');
+        TestAssertions.assertEqual(analyzeKeywords('С днём рождения! Спасибо за всё').category, 'personal');
+        TestAssertions.assertEqual(analyzeKeywords('С днём рождения! Спасибо за всё').sentiment, 'positive');
+        TestAssertions.assertEqual(analyzeKeywords('Поговорим о другом проекте').category, 'business');
+    });
+
+    runner.test('should keep replies readable in right-to-left languages', async () => {
+        const { makeBidiSafe, truncateText } = language;
+
+        const reply = makeBidiSafe('שלום!\nZoom קישור: https://zoom.us/j/1\n10:30 מתאים?\nSee you\u202E soon', 'he');
+        const lines = reply.split('\n');
+        TestAssertions.assertEqual(lines[0], 'שלום!');
+        TestAssertions.assertEqual(lines[1], `${RLM}Zoom קישור: https://zoom.us/j/1`, 'Lines starting in Latin get a right-to-left mark');
+        TestAssertions.assertEqual(lines[2], `${RLM}10:30 מתאים?`, 'So do lines starting with a number');
+        TestAssertions.assertEqual(lines[3], 'See you soon', 'Lines without Hebrew are left alone and overrides are removed');
+        TestAssertions.assertEqual(makeBidiSafe('Zoom link\nשלום', 'en'), 'Zoom link\nשלום', 'Left-to-right replies get no marks');
+
+        TestAssertions.assertEqual(truncateText('שָׁלוֹם', 4, '…'), 'שָׁ…', 'Vowel marks stay with their letter');
+        TestAssertions.assertEqual(truncateText('ok 👍🏽👍🏽', 6), 'ok...', 'Emoji are not split');
+        TestAssertions.assertEqual(truncateText('short', 10), 'short');
+
+        const provider = {
+            name: 'fake',
+            getCurrentModel: () => 'fake-model',
+            generateResponse: async () => ({ content: `As an AI, מחר אפשר:\n\n\n1.   10:00   בבוקר\n2. 14:00\n${'א'.repeat(1200)}`, confidence: 0.8, tokens_used: 10, model: 'fake-model' })
+        };
+        const response = await new ResponseGenerator(provider).generateResponse(context([message('מתי אפשר להיפגש?')]));
+        const [first, blank, second, third] = response.content.split('\n');
+        TestAssertions.assertEqual(first, 'מחר אפשר:');
+        TestAssertions.assertEqual(blank, '', 'Blank lines are collapsed, not removed');
+        TestAssertions.assertEqual(second, `${RLM}1. 10:00 בבוקר`, 'Line breaks survive and spaces are tidied');
+        TestAssertions.assertEqual(third, '2. 14:00');
+        TestAssertions.assertTrue(Array.from(response.content.replace(new RegExp(RLM, 'g'), '')).length <= 1000, 'Long replies are shortened');
+    });
+
+    runner.test('should reply in the contact language', async () => {
+        const hebrew = context([message('Hi'), message('היי, גלעד פנוי מחר?')]);
+        const systemPrompt = new OllamaAI().buildMessages('Reply please', { ...hebrew, language: 'he' })[0].content;
+        TestAssertions.assertContains(systemPrompt, 'Reply in Hebrew');
+
+        const prompts = [];
+        const recording = {
+            name: 'fake',
+            getCurrentModel: () => 'fake-model',
+            generateResponse: async (prompt, ctx) => {
+                prompts.push({ prompt, language: ctx.language });
+                return { content: 'בשמחה.', confidence: 0.8, tokens_used: 10, model: 'fake-model' };
+            }
+        };
+        await new ResponseGenerator(recording).generateSecretaryResponse(hebrew);
+        TestAssertions.assertEqual(prompts[0].language, 'he', 'The provider is told the reply language');
+        TestAssertions.assertContains(prompts[0].prompt, 'Write the whole response in Hebrew');
+
+        const failing = {
+            name: 'fake',
+            getCurrentModel: () => 'fake-model',
+            generateResponse: async () => { throw new Error('offline'); }
+        };
+        const slot = (start) => ({ start: Date.parse(start), end: Date.parse(start) + 30 * 60 * 1000 });
+        const booking = { stage: 'proposed', slots: [slot('2026-10-19T07:00:00Z')], timezone: 'Asia/Jerusalem' };
+        const offer = await new ResponseGenerator(failing).generateSecretaryResponse({ ...hebrew, booking });
+        TestAssertions.assertContains(offer.content, 'גלעד יכול להיפגש');
+        TestAssertions.assertContains(offer.content, '19 באוק׳ 10:00-10:30', 'Dates use the contact locale');
+
+        const arabic = await new ResponseGenerator(failing).generateSecretaryResponse(context([message('مرحبا، هل استلمت رسالتي؟')]));
+        TestAssertions.assertContains(arabic.content, 'شكراً على رسالتك');
+
+        const handler = new MessageHandler({}, { generateSecretaryResponse: failing.generateResponse }, { on: () => {} }, {});
+        const russian = await handler.generateResponse(context([message('Добрый день, когда Гилад освободится?')]));
+        TestAssertions.assertContains(russian.content, 'Спасибо за сообщение');
+
+        const english = await new ResponseGenerator(failing).generateSecretaryResponse(context([message('👍')]));
+        TestAssertions.assertContains(english.content, 'Thank you for your message', 'Without letters the default language is used');
+    });
+
+    return await runner.run();
+}
+
+async function main() {
+    console.log('🧪 Running Multilingual Reply Unit Tests\n');
+
+    try {
+        const result = await testLanguage();
+        const success = result.failed === 0;
+        console.log(`\n${success ? '🎉' : '💥'} Multilingual reply tests ${success ? 'completed successfully' : 'failed'}`);
+        process.exit(success ? 0 : 1);
+    } catch (error) {
+        console.error('💥 Test execution failed:', error);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,210 @@
+/**
+ * Unit Tests for media understanding
+ * Tests voice note transcription, image descriptions, backends and MessageHandler integration
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { EventEmitter } = require('events');
+const { TestRunner, TestAssertions, TestEnvironment } = require('../utils/testHelpers');
+
+const tmpDir = TestEnvironment.createTempDir();
+process.env.BURST_WINDOW_MS = '0';
+
+function createRawMessage(overrides = {}) {
+    const downloads = [];
+    const raw = {
+        id: { _serialized: `m${Math.random()}` },
+        body: '',
+        from: '111@c.us',
+        to: '999@c.us',
+        timestamp: 1,
+        hasMedia: true,
+        type: 'ptt',
+        downloads,
+        downloadMedia: async () => {
+            downloads.push(raw.id._serialized);
+            return { mimetype: 'audio/ogg; codecs=opus', data: Buffer.from('fake-opus').toString('base64') };
+        },
+        ...overrides
+    };
+    return raw;
+}
+
+function writeScript(name, content) {
+    const file = path.join(tmpDir, name);
+    fs.writeFileSync(file, content, { mode: 0o755 });
+    return file;
+}
+
+async function testMedia() {
+    const runner = new TestRunner('Media Unit Tests');
+
+    let MediaService, MessageHandler, WhisperCppTranscriber, OpenAITranscriber, PolicyService;
+    const speechToText = { name: 'fake-stt', transcribe: async () => 'Can we move the call to four?' };
+    const captioner = { name: 'fake-vision', describe: async () => 'A whiteboard with a project timeline' };
+
+    runner.beforeAll(async () => {
+        ({ MediaService } = require('../../dist/services/MediaService'));
+        ({ MessageHandler } = require('../../dist/client/MessageHandler'));
+        ({ WhisperCppTranscriber, OpenAITranscriber } = require('../../dist/ai/SpeechToText'));
+        ({ PolicyService } = require('../../dist/services/PolicyService'));
+    });
+
+    runner.afterAll(async () => {
+        TestEnvironment.cleanupTempDir(tmpDir);
+    });
+
+    runner.test('should transcribe voice notes and describe images', async () => {
+        const service = new MediaService(speechToText, captioner);
+
+        const voice = await service.describe(createRawMessage());
+        TestAssertions.assertEqual(voice.type, 'audio');
+        TestAssertions.assertEqual(voice.text, '[Voice message] Can we move the call to four?');
+        TestAssertions.assertTrue(voice.media.extracted);
+        TestAssertions.assertEqual(voice.media.mimetype, 'audio/ogg; codecs=opus');
+
+        const image = await service.describe(createRawMessage({
+            type: 'image',
+            body: 'Thoughts?',
+            downloadMedia: async () => ({ mimetype: 'image/jpeg', data: Buffer.from('jpeg').toString('base64') })
+        }));
+        TestAssertions.assertEqual(image.text, '[Image: A whiteboard with a project timeline] Thoughts?');
+        TestAssertions.assertEqual(service.getStats().transcribed, 1);
+        TestAssertions.assertEqual(service.getStats().described, 1);
+    });
+
+    runner.test('should fall back to placeholders without a backend, on errors and over the size limit', async () => {
+        const noBackends = new MediaService();
+        const raw = createRawMessage();
+        const voice = await noBackends.describe(raw);
+        TestAssertions.assertEqual(voice.text, '[Voice message that could not be transcribed]');
+        TestAssertions.assertFalse(voice.media.extracted);
+        TestAssertions.assertEqual(raw.downloads.length, 0, 'Media is not downloaded without a backend');
+
+        const failing = new MediaService({ name: 'broken', transcribe: async () => { throw new Error('model missing'); } });
+        TestAssertions.assertEqual((await failing.describe(createRawMessage())).text, '[Voice message that could not be transcribed]');
+        TestAssertions.assertEqual(failing.getStats().failed, 1);
+
+        const small = new MediaService(speechToText, captioner, 4);
+        TestAssertions.assertFalse((await small.describe(createRawMessage())).media.extracted, 'Files over the limit are skipped');
+
+        const document = await noBackends.describe(createRawMessage({ type: 'document', body: 'Signed copy', _data: { mimetype: 'application/pdf', filename: 'contract.pdf' } }));
+        TestAssertions.assertEqual(document.type, 'document');
+        TestAssertions.assertEqual(document.text, '[Document: contract.pdf] Signed copy');
+
+        TestAssertions.assertEqual(await noBackends.describe(createRawMessage({ type: 'sticker' })), null, 'Stickers are ignored');
+        TestAssertions.assertFalse(noBackends.isMediaMessage({ type: 'chat', hasMedia: false }));
+    });
+
+    runner.test('should run ffmpeg and whisper.cpp for local transcription', async () => {
+        const ffmpeg = writeScript('ffmpeg', '#!/bin/sh\neval out=\\${$#}\ncp "$5" "$out"\n');
+        const whisper = writeScript('whisper-cli', [
+            '#!/bin/sh',
+            'while [ $# -gt 0 ]; do',
+            '  case "$1" in',
+            '    -f) input="$2"; shift;;',
+            '    -l) lang="$2"; shift;;',
+            '    -of) out="$2"; shift;;',
+            '  esac',
+            '  shift',
+            'done',
+            'printf " Can we move\\n the call? [%s:%s]\\n" "$lang" "$(cat "$input")" > "$out.txt"',
+            ''
+        ].join('\n'));
+
+        const transcriber = new WhisperCppTranscriber(whisper, '/models/ggml-base.bin', { ffmpegPath: ffmpeg, language: 'he', timeoutMs: 5000 });
+        const text = await transcriber.transcribe({ mimetype: 'audio/ogg; codecs=opus', data: Buffer.from('opus-bytes') });
+        TestAssertions.assertEqual(text, 'Can we move the call? [he:opus-bytes]');
+
+        const missing = new WhisperCppTranscriber(path.join(tmpDir, 'does-not-exist'), '/models/ggml-base.bin', { ffmpegPath: ffmpeg, timeoutMs: 5000 });
+        try {
+            await missing.transcribe({ mimetype: 'audio/ogg', data: Buffer.from('x') });
+            TestAssertions.assertTrue(false, 'A missing binary should fail');
+        } catch (error) {
+            TestAssertions.assertTrue(error.code === 'ENOENT', error.message);
+        }
+    });
+
+    runner.test('should upload audio to an OpenAI-compatible transcription endpoint', async () => {
+        let request;
+        const server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                request = { url: req.url, auth: req.headers.authorization, body };
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ text: ' Running late, start without me. ' }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        try {
+            const transcriber = new OpenAITranscriber('secret', `http://127.0.0.1:${server.address().port}/v1/`, 'whisper-1', { language: 'en', timeoutMs: 5000 });
+            const text = await transcriber.transcribe({ mimetype: 'audio/ogg', data: Buffer.from('opus') });
+
+            TestAssertions.assertEqual(text, 'Running late, start without me.');
+            TestAssertions.assertEqual(request.url, '/v1/audio/transcriptions');
+            TestAssertions.assertEqual(request.auth, 'Bearer secret');
+            TestAssertions.assertTrue(request.body.includes('filename="voice.ogg"'));
+            TestAssertions.assertTrue(request.body.includes('whisper-1'));
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    runner.test('should store and reply to voice notes like text messages', async () => {
+        const stored = [];
+        const added = [];
+        const started = [];
+        const timerService = new EventEmitter();
+        Object.assign(timerService, {
+            isInCooldown: () => false,
+            startResponseTimer: (chatId) => started.push(chatId)
+        });
+        const conversationManager = {
+            getConversationContext: async () => null,
+            addMessage: async (message) => added.push(message),
+            addTurn: async (messages) => { added.push(...messages); return messages[messages.length - 1]; }
+        };
+        const storage = {
+            getChatPolicies: async () => [],
+            storeMessage: async (message) => stored.push({ ...message })
+        };
+        const policies = new PolicyService(storage, { groupRepliesEnabled: false, responseDelayMs: 1000, cooldownMs: 60000 });
+        await policies.initialize();
+
+        const handler = new MessageHandler(conversationManager, {}, timerService, storage, policies, undefined, new MediaService(speechToText, captioner));
+        await handler.handleMessage(createRawMessage());
+
+        TestAssertions.assertEqual(stored.length, 1, 'Voice notes are no longer dropped for having an empty body');
+        TestAssertions.assertEqual(stored[0].type, 'audio');
+        TestAssertions.assertEqual(stored[0].body, '[Voice message] Can we move the call to four?');
+        TestAssertions.assertEqual(added[0].media.extracted, true);
+        TestAssertions.assertEqual(started.length, 1);
+
+        await handler.handleMessage(createRawMessage({ type: 'sticker' }));
+        TestAssertions.assertEqual(stored.length, 1, 'Stickers are still ignored');
+    });
+
+    return await runner.run();
+}
+
+async function main() {
+    console.log('🧪 Running Media Unit Tests\n');
+
+    try {
+        const result = await testMedia();
+        const success = result.failed === 0;
+        console.log(`\n${success ? '🎉' : '💥'} Media tests ${success ? 'completed successfully' : 'failed'}`);
+        process.exit(success ? 0 : 1);
+    } catch (error) {
+        console.error('💥 Test execution failed:', error);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,197 @@
+/**
+ * Unit Tests for long-term conversation memory
+ * Tests message selection in SQLite, rolling summaries, restart persistence and prompt injection
+ */
+
+const path = require('path');
+const { TestRunner, TestAssertions, TimeHelpers, TestEnvironment } = require('../utils/testHelpers');
+
+const tmpDir = TestEnvironment.createTempDir();
+process.env.DATABASE_PATH = path.join(tmpDir, 'memory.db');
+process.env.MAX_CONTEXT_MESSAGES = '3';
+process.env.GILAD_WHATSAPP_NUMBER = '972500000000';
+
+const BASE_TIME = Date.UTC(2026, 9, 12, 9, 0);
+
+function createMessage(chatId, index, body, from = chatId) {
+    return {
+        id: `${chatId}_${index}`,
+        body,
+        from,
+        to: '999@c.us',
+        timestamp: BASE_TIME + index * 60000,
+        isGroupMsg: false,
+        chat: { id: chatId, name: 'Dana' },
+        author: from
+    };
+}
+
+function createProvider(requests, fail = false) {
+    return {
+        name: 'fake',
+        getCurrentModel: () => 'fake-model',
+        complete: async (messages) => {
+            requests.push(messages);
+            if (fail) {
+                throw new Error('model offline');
+            }
+            await TimeHelpers.sleep(10);
+            return { content: ` Summary ${requests.length} `, confidence: 1, tokens_used: 10, model: 'fake-model' };
+        }
+    };
+}
+
+async function testMemory() {
+    const runner = new TestRunner('Conversation Memory Unit Tests');
+
+    let StorageService, MemoryService, ResponseGenerator, OllamaAI;
+    let storage;
+    const services = [];
+    const options = { enabled: true, summaryIntervalMs: 60000, minMessages: 4, keepRecent: 3 };
+
+    async function createMemoryService(provider, overrides = {}) {
+        const memoryService = new MemoryService(storage, provider, { ...options, ...overrides });
+        await memoryService.initialize();
+        services.push(memoryService);
+        return memoryService;
+    }
+
+    async function storeMessages(chatId, from, to, body = (index) => `Message ${index}`) {
+        for (let index = from; index <= to; index++) {
+            const sender = index % 3 === 0 ? '972500000000@c.us' : chatId;
+            await storage.storeMessage(createMessage(chatId, index, body(index), sender), sender !== chatId);
+        }
+    }
+
+    runner.beforeAll(async () => {
+        ({ StorageService } = require('../../dist/services/StorageService'));
+        ({ MemoryService } = require('../../dist/services/MemoryService'));
+        ({ ResponseGenerator } = require('../../dist/ai/ResponseGenerator'));
+        ({ OllamaAI } = require('../../dist/ai/OllamaAI'));
+
+        storage = new StorageService();
+        await TimeHelpers.waitFor(() => storage.isReady());
+    });
+
+    runner.afterAll(async () => {
+        services.forEach(service => service.destroy());
+        await storage.close();
+        TestEnvironment.cleanupTempDir(tmpDir);
+    });
+
+    runner.test('should select older messages outside the recent context', async () => {
+        await storeMessages('111@c.us', 1, 8);
+
+        const older = await storage.getMessagesToSummarize('111@c.us', 0, 3, 100);
+        TestAssertions.assertEqual(older.map(entry => entry.message.id).join(','), '111@c.us_1,111@c.us_2,111@c.us_3,111@c.us_4,111@c.us_5');
+        TestAssertions.assertTrue(older[2].isFromOwner, "The owner's own messages are marked");
+        TestAssertions.assertEqual(older[0].message.body, 'Message 1');
+
+        const after = await storage.getMessagesToSummarize('111@c.us', BASE_TIME + 2 * 60000, 3, 2);
+        TestAssertions.assertEqual(after.map(entry => entry.message.id).join(','), '111@c.us_3,111@c.us_4');
+
+        TestAssertions.assertEqual(JSON.stringify(await storage.getChatsNeedingSummary(8)), JSON.stringify(['111@c.us']));
+        TestAssertions.assertEqual((await storage.getChatsNeedingSummary(9)).length, 0);
+    });
+
+    runner.test('should fold older messages into a stored rolling summary', async () => {
+        const requests = [];
+        const memoryService = await createMemoryService(createProvider(requests));
+
+        TestAssertions.assertEqual(await memoryService.summarizePending(), 1);
+        TestAssertions.assertEqual(requests.length, 1);
+        const request = requests[0][1].content;
+        TestAssertions.assertContains(request, 'Current summary:\n(none yet)');
+        TestAssertions.assertContains(request, '] 111: Message 1');
+        TestAssertions.assertContains(request, '] Gilad: Message 3');
+        TestAssertions.assertFalse(request.includes('Message 6'), 'Recent messages stay out of the summary');
+
+        const memory = memoryService.getMemory('111@c.us');
+        TestAssertions.assertEqual(memory.summary, 'Summary 1');
+        TestAssertions.assertEqual(memory.messageCount, 5);
+        TestAssertions.assertEqual(memory.summarizedUntil, BASE_TIME + 5 * 60000);
+        TestAssertions.assertEqual(memoryService.getSummary('111@c.us'), 'Summary 1');
+
+        // Too few new messages have left the recent context
+        await storeMessages('111@c.us', 9, 11);
+        TestAssertions.assertEqual(await memoryService.summarizePending(), 0);
+
+        await storeMessages('111@c.us', 12, 12);
+        const [first, second] = await Promise.all([memoryService.summarizeChat('111@c.us'), memoryService.summarizeChat('111@c.us')]);
+        TestAssertions.assertEqual(requests.length, 2, 'Concurrent passes share one model call');
+        TestAssertions.assertEqual(first, second);
+        TestAssertions.assertContains(requests[1][1].content, 'Current summary:\nSummary 1');
+        TestAssertions.assertContains(requests[1][1].content, 'Message 9');
+        TestAssertions.assertEqual(first.messageCount, 9);
+    });
+
+    runner.test('should keep summaries across restarts and survive model failures', async () => {
+        const requests = [];
+        const restarted = await createMemoryService(createProvider(requests, true));
+        TestAssertions.assertEqual(restarted.getSummary('111@c.us'), 'Summary 2', 'Summaries are loaded from SQLite');
+
+        await storeMessages('222@c.us', 1, 10);
+        TestAssertions.assertEqual(await restarted.summarizePending(), 0, 'A failing model does not break the pass');
+        TestAssertions.assertEqual(requests.length, 1);
+        TestAssertions.assertEqual(restarted.getMemory('222@c.us'), null);
+
+        // Long histories are condensed in batches until caught up
+        const batched = [];
+        const caughtUp = await createMemoryService(createProvider(batched));
+        await storeMessages('333@c.us', 1, 260);
+        const memory = await caughtUp.summarizeChat('333@c.us');
+        TestAssertions.assertEqual(batched.length, 3);
+        TestAssertions.assertEqual(memory.messageCount, 257);
+
+        TestAssertions.assertTrue(await caughtUp.forget('333@c.us'));
+        TestAssertions.assertEqual(caughtUp.getMemory('333@c.us'), null);
+        TestAssertions.assertFalse(await caughtUp.forget('333@c.us'));
+
+        const disabled = await createMemoryService(createProvider([]), { enabled: false });
+        TestAssertions.assertEqual(disabled.getSummary('111@c.us'), undefined);
+    });
+
+    runner.test('should add the summary to the system prompt', async () => {
+        const contexts = [];
+        const provider = {
+            name: 'fake',
+            getCurrentModel: () => 'fake-model',
+            generateResponse: async (prompt, context) => {
+                contexts.push(context);
+                return { content: 'Hi Dana, noted.', confidence: 1, tokens_used: 5, model: 'fake-model' };
+            }
+        };
+        const memoryService = await createMemoryService(createProvider([]));
+        const generator = new ResponseGenerator(provider, undefined, memoryService);
+        const recentMessages = [1, 2, 3, 4, 5].map(index => createMessage('111@c.us', 100 + index, `Recent ${index}`));
+
+        await generator.generateSecretaryResponse({ chatId: '111@c.us', participantCount: 2, recentMessages, isActive: true });
+        TestAssertions.assertEqual(contexts[0].memory, 'Summary 2');
+
+        const ollama = new OllamaAI();
+        const messages = ollama.buildMessages('Reply please', contexts[0]);
+        TestAssertions.assertContains(messages[0].content, 'What you remember from earlier in this conversation:\nSummary 2');
+        TestAssertions.assertEqual(messages.length, 5, 'System prompt, the MAX_CONTEXT_MESSAGES recent messages and the prompt');
+        TestAssertions.assertContains(messages[1].content, 'Recent 3');
+    });
+
+    return await runner.run();
+}
+
+async function main() {
+    console.log('🧪 Running Conversation Memory Unit Tests\n');
+
+    try {
+        const result = await testMemory();
+        const success = result.failed === 0;
+        console.log(`\n${success ? '🎉' : '💥'} Conversation memory tests ${success ? 'completed successfully' : 'failed'}`);
+        process.exit(success ? 0 : 1);
+    } catch (error) {
+        console.error('💥 Test execution failed:', error);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
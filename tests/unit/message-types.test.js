@@ -0,0 +1,222 @@
+/**
+ * Unit Tests for typed messages
+ * Tests location, contact card, quoted reply and reaction parsing, SQLite persistence and prompts
+ */
+
+const path = require('path');
+const { EventEmitter } = require('events');
+const { TestRunner, TestAssertions, TimeHelpers, TestEnvironment } = require('../utils/testHelpers');
+
+const tmpDir = TestEnvironment.createTempDir();
+process.env.DATABASE_PATH = path.join(tmpDir, 'messages.db');
+process.env.BURST_WINDOW_MS = '0';
+
+const VCARD = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    'N:Levi;Dana;;;',
+    'FN:Dana Levi',
+    'item1.TEL;waid=972501234567:+972 50-123-4567',
+    'item1.X-ABLabel:Mobile',
+    'END:VCARD'
+].join('\n');
+
+function createHandler(MessageHandler, PolicyService, storage) {
+    const started = [];
+    const added = [];
+    const timerService = new EventEmitter();
+    Object.assign(timerService, {
+        isInCooldown: () => false,
+        startResponseTimer: (chatId) => started.push(chatId)
+    });
+    const conversationManager = {
+        getConversationContext: async () => null,
+        addMessage: async (message) => added.push(message),
+        addTurn: async (messages) => { added.push(...messages); return messages[messages.length - 1]; }
+    };
+    const policies = new PolicyService({ getChatPolicies: async () => [] }, { groupRepliesEnabled: false, responseDelayMs: 1000, cooldownMs: 60000 });
+    const handler = new MessageHandler(conversationManager, {}, timerService, storage, policies);
+    return { handler, started, added };
+}
+
+async function testMessageTypes() {
+    const runner = new TestRunner('Message Type Unit Tests');
+
+    let content, StorageService, MessageHandler, PolicyService, ResponseGenerator, environment;
+    let storage;
+
+    runner.beforeAll(async () => {
+        content = require('../../dist/utils/messageContent');
+        environment = require('../../dist/config/environment');
+        ({ StorageService } = require('../../dist/services/StorageService'));
+        ({ MessageHandler } = require('../../dist/client/MessageHandler'));
+        ({ PolicyService } = require('../../dist/services/PolicyService'));
+        ({ ResponseGenerator } = require('../../dist/ai/ResponseGenerator'));
+
+        storage = new StorageService();
+        await TimeHelpers.waitFor(() => storage.isReady());
+    });
+
+    runner.afterAll(async () => {
+        await storage.close();
+        TestEnvironment.cleanupTempDir(tmpDir);
+    });
+
+    runner.test('should map raw types and parse vCards and locations', async () => {
+        TestAssertions.assertEqual(content.getMessageType({ type: 'ptt' }), 'audio');
+        TestAssertions.assertEqual(content.getMessageType({ type: 'multi_vcard' }), 'contact');
+        TestAssertions.assertEqual(content.getMessageType({ type: 'e2e_notification' }), 'text');
+
+        const card = content.parseVCard(VCARD);
+        TestAssertions.assertEqual(card.name, 'Dana Levi');
+        TestAssertions.assertEqual(card.phones[0], '+972 50-123-4567');
+        TestAssertions.assertEqual(content.parseVCard('BEGIN:VCARD\nN:Cohen;Avi\nEND:VCARD').name, 'Avi Cohen');
+
+        const location = content.parseLocation({ location: { latitude: '32.0853', longitude: 34.7818, name: 'Cafe Nimrod', address: '12 Dizengoff St' } });
+        TestAssertions.assertEqual(content.describeLocation(location), '[Location: Cafe Nimrod, 12 Dizengoff St (32.08530, 34.78180)]');
+        TestAssertions.assertEqual(content.parseLocation({ location: { latitude: 'north' } }), undefined);
+    });
+
+    runner.test('should parse, store and reload locations, contacts and quoted replies', async () => {
+        const { handler, started } = createHandler(MessageHandler, PolicyService, storage);
+
+        await handler.handleMessage({
+            id: { _serialized: 'loc-1' }, type: 'location', body: '/9j/4AAQSkZJRgABAQAAAQ', from: '111@c.us', to: '999@c.us', timestamp: 100,
+            location: { latitude: 32.0853, longitude: 34.7818, name: 'Cafe Nimrod', address: '12 Dizengoff St' }
+        });
+        await handler.handleMessage({
+            id: { _serialized: 'card-1' }, type: 'vcard', body: VCARD, vCards: [VCARD], from: '111@c.us', to: '999@c.us', timestamp: 101
+        });
+        await handler.handleMessage({
+            id: { _serialized: 'reply-1' }, type: 'chat', body: 'Yes, that one works', from: '111@c.us', to: '999@c.us', timestamp: 102,
+            hasQuotedMsg: true,
+            _data: { quotedMsg: { type: 'chat', body: 'Shall we meet at 4?' }, quotedStanzaID: 'earlier-1', quotedParticipant: '999@c.us' }
+        });
+
+        TestAssertions.assertEqual(started.length, 3, 'Typed messages go through the normal reply flow');
+
+        const location = await storage.getMessageByWhatsAppId('loc-1');
+        TestAssertions.assertEqual(location.type, 'location');
+        TestAssertions.assertTrue(location.body.startsWith('[Location: Cafe Nimrod'), 'The map thumbnail is not stored as text');
+        TestAssertions.assertEqual(location.location.latitude, 32.0853);
+        TestAssertions.assertEqual(location.location.address, '12 Dizengoff St');
+
+        const card = await storage.getMessageByWhatsAppId('card-1');
+        TestAssertions.assertEqual(card.type, 'contact');
+        TestAssertions.assertEqual(card.body, '[Contact: Dana Levi +972 50-123-4567]');
+        TestAssertions.assertEqual(card.contacts[0].name, 'Dana Levi');
+
+        const reply = await storage.getMessageByWhatsAppId('reply-1');
+        TestAssertions.assertEqual(reply.quotedMessage.id, 'earlier-1');
+        TestAssertions.assertEqual(reply.quotedMessage.body, 'Shall we meet at 4?');
+        TestAssertions.assertEqual(content.formatMessageForPrompt(reply), '(replying to "Shall we meet at 4?") Yes, that one works');
+    });
+
+    runner.test('should store reactions with their target without scheduling a reply', async () => {
+        const { handler, started, added } = createHandler(MessageHandler, PolicyService, storage);
+
+        await handler.handleReaction({
+            id: { _serialized: 'reaction-1', remote: '111@c.us', fromMe: false },
+            msgId: { _serialized: 'reply-1' },
+            reaction: '👍',
+            senderId: '111@c.us',
+            timestamp: 103
+        });
+        await handler.handleReaction({
+            id: { _serialized: 'reaction-2', remote: '111@c.us', fromMe: false },
+            msgId: { _serialized: 'reply-1' },
+            reaction: '',
+            senderId: '111@c.us',
+            timestamp: 104
+        });
+
+        TestAssertions.assertEqual(started.length, 0);
+        TestAssertions.assertEqual(added.length, 1, 'Removed reactions are skipped');
+
+        const stored = await storage.getMessageByWhatsAppId('reaction-1');
+        TestAssertions.assertEqual(stored.type, 'reaction');
+        TestAssertions.assertEqual(stored.body, '[Reacted 👍 to "Yes, that one works"]');
+        TestAssertions.assertEqual(stored.reaction.targetMessageId, 'reply-1');
+    });
+
+    runner.test('should migrate a messages table created by an older version', async () => {
+        const { Database } = require('sqlite3');
+        const legacyPath = path.join(tmpDir, 'legacy.db');
+        const legacy = new Database(legacyPath);
+        await new Promise((resolve, reject) => legacy.exec(`
+            CREATE TABLE participants (id INTEGER PRIMARY KEY AUTOINCREMENT, whatsapp_id TEXT UNIQUE NOT NULL, name TEXT, is_gilad BOOLEAN DEFAULT 0, created_at INTEGER, updated_at INTEGER);
+            CREATE TABLE conversations (id INTEGER PRIMARY KEY AUTOINCREMENT, chat_id TEXT UNIQUE NOT NULL, created_at INTEGER, last_activity INTEGER, status TEXT DEFAULT 'active', participant_count INTEGER DEFAULT 0, is_group BOOLEAN DEFAULT 0, group_name TEXT);
+            CREATE TABLE messages (
+                id INTEGER PRIMARY KEY AUTOINCREMENT, conversation_id INTEGER NOT NULL, sender_id INTEGER NOT NULL,
+                whatsapp_message_id TEXT UNIQUE NOT NULL, content TEXT NOT NULL, timestamp INTEGER NOT NULL,
+                message_type TEXT DEFAULT 'text' CHECK (message_type IN ('text', 'image', 'audio', 'video', 'document', 'sticker', 'location', 'contact')),
+                is_from_gilad BOOLEAN DEFAULT 0, created_at INTEGER
+            );
+            INSERT INTO participants (whatsapp_id) VALUES ('111@c.us');
+            INSERT INTO conversations (chat_id, group_name) VALUES ('111@c.us', 'Dana');
+            INSERT INTO messages (conversation_id, sender_id, whatsapp_message_id, content, timestamp) VALUES (1, 1, 'old-1', 'Hello from before', 1);
+        `, err => err ? reject(err) : resolve()));
+        await new Promise(resolve => legacy.close(resolve));
+
+        const originalPath = environment.config.database.path;
+        environment.config.database.path = legacyPath;
+        const migrated = new StorageService();
+        environment.config.database.path = originalPath;
+        await TimeHelpers.waitFor(() => migrated.isReady());
+
+        try {
+            const old = await migrated.getMessageByWhatsAppId('old-1');
+            TestAssertions.assertEqual(old.body, 'Hello from before');
+            TestAssertions.assertEqual(old.type, 'text');
+
+            await migrated.storeMessage({
+                id: 'reaction-old', body: '[Reacted ❤️]', from: '111@c.us', to: '', timestamp: 2, isGroupMsg: false,
+                chat: { id: '111@c.us', name: '' }, type: 'reaction', reaction: { emoji: '❤️', targetMessageId: 'old-1' }
+            });
+            const reaction = await migrated.getMessageByWhatsAppId('reaction-old');
+            TestAssertions.assertEqual(reaction.reaction.emoji, '❤️', 'Reactions pass the rebuilt CHECK constraint');
+            TestAssertions.assertEqual(reaction.chat.name, 'Dana', 'An empty chat name keeps the stored one');
+        } finally {
+            await migrated.close();
+        }
+    });
+
+    runner.test('should point the prompt at shared locations and quoted replies', async () => {
+        const generator = new ResponseGenerator({ name: 'fake', getCurrentModel: () => 'fake' });
+        const base = { id: 'x', from: '111@c.us', to: '999@c.us', timestamp: Date.now(), isGroupMsg: false, chat: { id: '111@c.us', name: 'Dana' } };
+        const context = { chatId: '111@c.us', participantCount: 2, isActive: true, recentMessages: [] };
+
+        const locationPrompt = generator.buildSecretaryPrompt({
+            ...context,
+            recentMessages: [{ ...base, type: 'location', body: '[Location: Cafe Nimrod (32.08530, 34.78180)]', location: { latitude: 32.0853, longitude: 34.7818 } }]
+        });
+        TestAssertions.assertTrue(locationPrompt.includes('shared a location'));
+        TestAssertions.assertTrue(locationPrompt.includes('[Location: Cafe Nimrod'));
+
+        const replyPrompt = generator.buildSecretaryPrompt({
+            ...context,
+            recentMessages: [{ ...base, type: 'text', body: 'Works for me', quotedMessage: { id: 'q', body: 'Thursday at 10?' } }]
+        });
+        TestAssertions.assertTrue(replyPrompt.includes('(replying to "Thursday at 10?") Works for me'));
+    });
+
+    return await runner.run();
+}
+
+async function main() {
+    console.log('🧪 Running Message Type Unit Tests\n');
+
+    try {
+        const result = await testMessageTypes();
+        const success = result.failed === 0;
+        console.log(`\n${success ? '🎉' : '💥'} Message type tests ${success ? 'completed successfully' : 'failed'}`);
+        process.exit(success ? 0 : 1);
+    } catch (error) {
+        console.error('💥 Test execution failed:', error);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
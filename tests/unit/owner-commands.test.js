@@ -0,0 +1,193 @@
+/**
+ * Unit Tests for owner commands
+ * Tests duration parsing, command execution and routing of self-chat commands through MessageHandler
+ */
+
+const { EventEmitter } = require('events');
+const { TestRunner, TestAssertions } = require('../utils/testHelpers');
+
+process.env.BURST_WINDOW_MS = '0';
+
+function createFakes() {
+    const cleared = [];
+    const cancelled = [];
+    const timerService = new EventEmitter();
+    Object.assign(timerService, {
+        cooldowns: new Set(['111@c.us']),
+        getTimerStats: () => ({ totalTimers: 1, activeResponseTimers: 0, chatsInCooldown: 1, activeTimers: 1 }),
+        getActiveTimers: () => [{ chatId: '111@c.us', isInCooldown: true }],
+        isInCooldown(chatId) { return this.cooldowns.has(chatId); },
+        clearCooldown(chatId) { cleared.push(chatId); this.cooldowns.delete(chatId); },
+        cancelTimer: (chatId) => cancelled.push(chatId),
+        startResponseTimer: () => { throw new Error('timer should not start'); }
+    });
+
+    const contexts = {
+        '111@c.us': { chatId: '111@c.us', recentMessages: [{ chat: { id: '111@c.us', name: 'Dana Cohen' } }], isActive: true },
+        '222@c.us': { chatId: '222@c.us', recentMessages: [{ chat: { id: '222@c.us', name: 'Dan Levi' } }], isActive: true }
+    };
+    const conversationManager = {
+        added: [],
+        getConversationContext: async (chatId) => contexts[chatId] || null,
+        getConversationStats: () => ({ totalConversations: 2, activeConversations: 2, totalMessages: 2 }),
+        findConversationsByName: (name) => Object.values(contexts).filter(c =>
+            c.recentMessages[0].chat.name.toLowerCase().includes(name.toLowerCase())),
+        async addMessage(message) { this.added.push(message); },
+        async addTurn(messages) { this.added.push(...messages); return messages[messages.length - 1]; }
+    };
+
+    const storageService = {
+        storeMessage: async () => 1,
+        getChatPolicies: async () => [],
+        upsertChatPolicy: async () => {},
+        deleteChatPolicy: async () => true
+    };
+
+    return { timerService, conversationManager, storageService, cleared, cancelled };
+}
+
+async function testOwnerCommands() {
+    const runner = new TestRunner('Owner Command Unit Tests');
+
+    let parseDuration, formatDuration, MessageHandler, OwnerCommandHandler, PolicyService;
+    let fakes, handler, policies, sent;
+
+    runner.beforeAll(async () => {
+        ({ parseDuration, formatDuration } = require('../../dist/utils/duration'));
+        ({ MessageHandler } = require('../../dist/client/MessageHandler'));
+        ({ OwnerCommandHandler } = require('../../dist/client/OwnerCommands'));
+        ({ PolicyService } = require('../../dist/services/PolicyService'));
+    });
+
+    runner.beforeEach(async () => {
+        fakes = createFakes();
+        sent = [];
+        policies = new PolicyService(fakes.storageService);
+        handler = new MessageHandler(fakes.conversationManager, {}, fakes.timerService, fakes.storageService, policies);
+        handler.setWhatsAppClient({
+            getOwnId: () => '999@c.us',
+            sendMessage: async (chatId, text) => sent.push({ chatId, text })
+        });
+    });
+
+    runner.test('should parse and format durations', async () => {
+        TestAssertions.assertEqual(parseDuration('2h'), 2 * 60 * 60 * 1000);
+        TestAssertions.assertEqual(parseDuration('1h30m'), 90 * 60 * 1000);
+        TestAssertions.assertEqual(parseDuration('45s'), 45000);
+        TestAssertions.assertEqual(parseDuration('soon'), null);
+        TestAssertions.assertEqual(parseDuration('5'), null, 'Unit is required');
+        TestAssertions.assertEqual(formatDuration(90 * 60 * 1000), '1h 30m');
+    });
+
+    runner.test('should parse command name and arguments', async () => {
+        const command = OwnerCommandHandler.parse('  /Mute Dana Cohen 2h ');
+        TestAssertions.assertEqual(command.name, 'mute');
+        TestAssertions.assertEqual(command.args.join('|'), 'Dana|Cohen|2h');
+        TestAssertions.assertEqual(OwnerCommandHandler.parse('hello'), null);
+    });
+
+    runner.test('should route self-chat commands through handleMessage and reply', async () => {
+        await handler.handleMessage({
+            id: { _serialized: 'cmd1' }, body: '/pause 2h', from: '999@c.us', to: '999@c.us', fromMe: true, timestamp: 1
+        });
+
+        TestAssertions.assertEqual(sent.length, 1, 'Command should get a reply');
+        TestAssertions.assertEqual(sent[0].chatId, '999@c.us', 'Reply goes to the self-chat');
+        TestAssertions.assertTrue(sent[0].text.includes('paused for 2h'));
+        TestAssertions.assertTrue(handler.getAutoReplySuppression('111@c.us') !== null, 'Auto-replies should be paused');
+
+        // Incoming messages are stored but no timer is started while paused
+        await handler.handleMessage({
+            id: { _serialized: 'in1' }, body: 'Are you free today?', from: '111@c.us', to: '999@c.us', fromMe: false, timestamp: 2
+        });
+        TestAssertions.assertEqual(fakes.conversationManager.added.length, 1);
+    });
+
+    runner.test('should ignore own messages that are not self-chat commands', async () => {
+        await handler.handleMessage({
+            id: { _serialized: 'out1' }, body: '/pause', from: '999@c.us', to: '111@c.us', fromMe: true, timestamp: 1
+        });
+        TestAssertions.assertEqual(sent.length, 0);
+        TestAssertions.assertEqual(handler.getPausedUntil(), null);
+    });
+
+    runner.test('should mute a chat by name and clear cooldowns', async () => {
+        const commands = new OwnerCommandHandler(handler, fakes.timerService, fakes.conversationManager, policies);
+
+        const ambiguous = await commands.execute('/mute dan');
+        TestAssertions.assertTrue(ambiguous.includes('several chats'), 'Ambiguous names are rejected');
+
+        const muted = await commands.execute('/mute dana 30m');
+        TestAssertions.assertTrue(muted.includes('Dana Cohen') && muted.includes('30m'));
+        TestAssertions.assertTrue(handler.isChatMuted('111@c.us'));
+        TestAssertions.assertEqual(fakes.cancelled[0], '111@c.us', 'Pending timer is cancelled');
+
+        const cleared = await commands.execute('/cooldown clear 111@c.us');
+        TestAssertions.assertTrue(cleared.includes('Cooldown cleared'));
+        TestAssertions.assertEqual(fakes.cleared[0], '111@c.us');
+
+        const again = await commands.execute('/cooldown clear 111@c.us');
+        TestAssertions.assertTrue(again.includes('was not in cooldown'));
+    });
+
+    runner.test('should show and change chat policies', async () => {
+        const commands = new OwnerCommandHandler(handler, fakes.timerService, fakes.conversationManager, policies);
+
+        const none = await commands.execute('/policy dana');
+        TestAssertions.assertTrue(none.includes('follows the defaults'));
+
+        await commands.execute('/policy Dana Cohen always');
+        await commands.execute('/policy dana delay 30s');
+        const persona = await commands.execute('/policy dana persona Reply in Hebrew');
+        TestAssertions.assertTrue(persona.includes('mode always') && persona.includes('delay 30s') && persona.includes('Reply in Hebrew'));
+        TestAssertions.assertEqual(policies.getPolicy('111@c.us').responseDelayMs, 30000);
+        TestAssertions.assertTrue((await commands.execute('/policy dana profile Friends')).includes('profile friends'));
+        await commands.execute('/policy dana profile default');
+        TestAssertions.assertEqual(policies.getPolicy('111@c.us').profile, null, 'default clears the profile');
+
+        await commands.execute('/policy 111@c.us never');
+        TestAssertions.assertEqual(fakes.cancelled[0], '111@c.us', 'Pending timer is cancelled');
+
+        const bad = await commands.execute('/policy dana delay later');
+        TestAssertions.assertTrue(bad.includes('Could not understand'));
+
+        const removed = await commands.execute('/policy dana clear');
+        TestAssertions.assertTrue(removed.includes('removed'));
+        TestAssertions.assertEqual(policies.getPolicy('111@c.us'), undefined);
+    });
+
+    runner.test('should toggle secretary mode and report status', async () => {
+        const commands = new OwnerCommandHandler(handler, fakes.timerService, fakes.conversationManager, policies);
+
+        await commands.execute('/mode off');
+        TestAssertions.assertFalse(handler.isSecretaryModeEnabled());
+
+        await commands.execute('/owner 972501234567 972501234567@c.us');
+        const status = await commands.execute('/status');
+        TestAssertions.assertTrue(status.includes('Secretary mode: OFF'));
+        TestAssertions.assertEqual(handler.getOwnerIdentifiers().length, 2);
+
+        const unknown = await commands.execute('/dance');
+        TestAssertions.assertTrue(unknown.includes('Unknown command'));
+    });
+
+    return await runner.run();
+}
+
+async function main() {
+    console.log('🧪 Running Owner Command Unit Tests\n');
+
+    try {
+        const result = await testOwnerCommands();
+        const success = result.failed === 0;
+        console.log(`\n${success ? '🎉' : '💥'} Owner command tests ${success ? 'completed successfully' : 'failed'}`);
+        process.exit(success ? 0 : 1);
+    } catch (error) {
+        console.error('💥 Test execution failed:', error);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
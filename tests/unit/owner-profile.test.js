@@ -0,0 +1,258 @@
+/**
+ * Unit Tests for the owner profile
+ * Tests reading OWNER_* and legacy GILAD_* env vars, owner names and pronouns in replies and
+ * prompts, owner detection by identifiers and by messages sent from the linked account, and the
+ * migration of the old owner columns
+ */
+
+const path = require('path');
+const { EventEmitter } = require('events');
+const { TestRunner, TestAssertions, TimeHelpers, TestEnvironment } = require('../utils/testHelpers');
+
+const tmpDir = TestEnvironment.createTempDir();
+process.env.DATABASE_PATH = path.join(tmpDir, 'owner.db');
+
+const OWNER_VARS = ['OWNER_NAME', 'OWNER_NAME_HE', 'OWNER_PRONOUNS', 'OWNER_IDENTIFIERS', 'OWNER_WHATSAPP_ID', 'OWNER_SIGNATURE', 'GILAD_WHATSAPP_ID', 'GILAD_WHATSAPP_NUMBER', 'GILAD_PHONE_NUMBER'];
+
+function withEnv(values, fn) {
+    const saved = Object.fromEntries(OWNER_VARS.map(name => [name, process.env[name]]));
+    OWNER_VARS.forEach(name => delete process.env[name]);
+    Object.assign(process.env, values);
+    try {
+        return fn();
+    } finally {
+        OWNER_VARS.forEach(name => saved[name] === undefined ? delete process.env[name] : process.env[name] = saved[name]);
+    }
+}
+
+function owner(fields = {}) {
+    return { name: 'Maya', localNames: { he: 'מאיה' }, pronouns: 'she', identifiers: ['972541111111'], whatsappId: '', signature: '', ...fields };
+}
+
+function message(body, from = '111@c.us', fields = {}) {
+    return { id: `m-${body.length}`, body, from, to: '999@c.us', timestamp: Date.now(), isGroupMsg: false, chat: { id: '111@c.us', name: 'Dana' }, ...fields };
+}
+
+async function testOwnerProfile() {
+    const runner = new TestRunner('Owner Profile Unit Tests');
+
+    let environment, replyStrings, ownerUtils, ResponseGenerator, MessageHandler, PolicyService, StorageService, WhatsAppClient, SentMessageTracker;
+
+    runner.beforeAll(async () => {
+        environment = require('../../dist/config/environment');
+        replyStrings = require('../../dist/utils/replyStrings');
+        ({ ResponseGenerator } = require('../../dist/ai/ResponseGenerator'));
+        ({ MessageHandler } = require('../../dist/client/MessageHandler'));
+        ({ PolicyService } = require('../../dist/services/PolicyService'));
+        ({ StorageService } = require('../../dist/services/StorageService'));
+        ({ WhatsAppClient } = require('../../dist/client/WhatsAppClient'));
+        ({ SentMessageTracker } = require('../../dist/utils/sentMessages'));
+        ownerUtils = require('../../dist/utils/owner');
+    });
+
+    runner.afterAll(async () => {
+        TestEnvironment.cleanupTempDir(tmpDir);
+    });
+
+    runner.test('should read the owner profile and the legacy env vars', async () => {
+        const configured = withEnv({
+            OWNER_NAME: 'Maya', OWNER_NAME_HE: 'מאיה', OWNER_PRONOUNS: 'She', OWNER_IDENTIFIERS: '972541111111, 054-1111111,',
+            OWNER_WHATSAPP_ID: '972541111111@c.us', OWNER_SIGNATURE: 'Maya\'s office', GILAD_WHATSAPP_NUMBER: '972500000000'
+        }, () => environment.resolveOwnerConfig());
+        TestAssertions.assertEqual(configured.name, 'Maya');
+        TestAssertions.assertEqual(configured.pronouns, 'she');
+        TestAssertions.assertEqual(configured.identifiers.join(','), '972541111111,054-1111111', 'OWNER_IDENTIFIERS replaces the legacy numbers');
+        TestAssertions.assertEqual(configured.whatsappId, '972541111111@c.us');
+        TestAssertions.assertEqual(configured.signature, 'Maya\'s office');
+        TestAssertions.assertEqual(JSON.stringify(configured.localNames), JSON.stringify({ he: 'מאיה' }));
+        TestAssertions.assertEqual(withEnv({ OWNER_NAME: 'Sam' }, () => environment.resolveOwnerConfig()).pronouns, 'they', 'A named owner without pronouns gets they');
+
+        const legacy = withEnv({ GILAD_WHATSAPP_ID: '972500000000@c.us', GILAD_WHATSAPP_NUMBER: '972500000000', GILAD_PHONE_NUMBER: '+972 50-000-0000' }, () => environment.resolveOwnerConfig());
+        TestAssertions.assertEqual(legacy.name, 'Gilad', 'Older deployments keep their owner');
+        TestAssertions.assertEqual(legacy.pronouns, 'he');
+        TestAssertions.assertEqual(legacy.localNames.ru, 'Гилад');
+        TestAssertions.assertEqual(legacy.identifiers.length, 2);
+        TestAssertions.assertEqual(legacy.whatsappId, '972500000000@c.us');
+
+        withEnv({ OWNER_PRONOUNS: 'xe' }, () => TestAssertions.assertThrows(() => environment.validateEnvironment()));
+    });
+
+    runner.test('should name the owner with the right pronouns in fixed replies', async () => {
+        const maya = owner();
+        const english = replyStrings.getReplyStrings(maya, 'en');
+        TestAssertions.assertEqual(english.received, "Thank you for your message. I'll make sure Maya receives this.");
+        TestAssertions.assertContains(english.meetingDeclined('Thu 10:00'), 'She will get back to you');
+        TestAssertions.assertEqual(english.signOff, "Best regards,\nMaya's Assistant");
+        TestAssertions.assertContains(replyStrings.getReplyStrings(owner({ pronouns: 'they' })).meetingDeclined('Thu 10:00'), 'They will get back to you');
+
+        const hebrew = replyStrings.getReplyStrings(maya, 'he');
+        TestAssertions.assertEqual(hebrew.received, 'תודה על ההודעה. אדאג שמאיה תקבל אותה.', 'Hebrew uses the local spelling and feminine verbs');
+        TestAssertions.assertEqual(hebrew.signOff, 'בברכה,\nהעוזר של מאיה');
+        TestAssertions.assertContains(replyStrings.getReplyStrings(maya, 'ru').meetingConfirmed('12.10'), 'Maya подтвердила');
+
+        const signed = replyStrings.getReplyStrings(owner({ signature: '— Maya\'s office' }), 'ar');
+        TestAssertions.assertEqual(signed.signOff, 'مع أطيب التحيات،\n— Maya\'s office', 'A configured signature is used in every language');
+    });
+
+    runner.test('should write prompts and fallbacks for the configured owner', async () => {
+        const calls = [];
+        const provider = {
+            name: 'fake',
+            getCurrentModel: () => 'fake-model',
+            generateResponse: async (prompt, ctx) => {
+                calls.push({ prompt, context: ctx });
+                throw new Error('model offline');
+            }
+        };
+        const generator = new ResponseGenerator(provider);
+        const shared = message('[Contact: Avi]', '111@c.us', { type: 'contact' });
+        const response = await generator.generateSecretaryResponse({ chatId: '111@c.us', participantCount: 2, isActive: true, recentMessages: [shared], owner: owner({ pronouns: 'they' }) });
+
+        TestAssertions.assertContains(calls[0].prompt, "You are Maya's professional personal assistant");
+        TestAssertions.assertContains(calls[0].prompt, 'passed on to Maya');
+        TestAssertions.assertContains(calls[0].prompt, 'contact them directly');
+        TestAssertions.assertFalse(/Gilad/.test(calls[0].prompt + calls[0].context.systemPrompt));
+        TestAssertions.assertEqual(response.content, "Thank you for your message. I'll make sure Maya receives this.");
+    });
+
+    runner.test('should detect the owner by the profile identifiers', async () => {
+        const timerService = new EventEmitter();
+        const policies = new PolicyService({ getChatPolicies: async () => [] });
+        const handler = new MessageHandler({}, {}, timerService, {}, policies, undefined, undefined, undefined, undefined, undefined, undefined, undefined, owner());
+
+        TestAssertions.assertTrue(handler.isFromOwner(message('On my way', '972541111111@c.us')));
+        TestAssertions.assertFalse(handler.isFromOwner(message('Hi', '333@c.us')));
+        TestAssertions.assertEqual(handler.getOwner().name, 'Maya');
+
+        handler.updateOwnerIdentifiers([]);
+        handler.setOwnerWhatsAppId('972542222222@c.us');
+        TestAssertions.assertTrue(handler.isFromOwner(message('Back', '972542222222@c.us')));
+
+        const matches = ownerUtils.matchesOwnerIdentifier;
+        TestAssertions.assertTrue(matches('972541111111@c.us', '054-1111111'), 'A local number matches the international one');
+        TestAssertions.assertTrue(matches('972541111111@c.us', '+972 54-111-1111'));
+        TestAssertions.assertFalse(matches('111@c.us', '972541111111'), 'A few digits inside a number do not match');
+        TestAssertions.assertFalse(matches('972541111112@c.us', '972541111111'));
+    });
+
+    runner.test('should tell the assistant\'s own messages from ones the owner typed', async () => {
+        const tracker = new SentMessageTracker();
+        let reportedWhileSending;
+        const id = await tracker.track('111@c.us', 'Hello', async () => {
+            reportedWhileSending = tracker.isSentByAssistant('bot-1', '111@c.us', 'Hello');
+            return 'bot-1';
+        });
+        TestAssertions.assertEqual(id, 'bot-1');
+        TestAssertions.assertTrue(reportedWhileSending, 'A message reported before the send resolves is matched by its text');
+        TestAssertions.assertTrue(tracker.isSentByAssistant('bot-1', '111@c.us', 'Hello'));
+        TestAssertions.assertFalse(tracker.isSentByAssistant('phone-1', '111@c.us', 'Hello'), 'The same text typed later is the owner\'s');
+
+        const ownerMessages = [];
+        const handler = {
+            isOwnerCommand: () => false,
+            handleMessage: async () => { throw new Error('not a command'); },
+            handleOwnerMessage: async (raw) => ownerMessages.push(raw)
+        };
+        const client = new WhatsAppClient(handler, path.join(tmpDir, 'session'));
+        const created = client.client.listeners('message_create')[0];
+        const raw = (id, body, fields = {}) => ({ id: { _serialized: id }, fromMe: true, from: '999@c.us', to: '111@c.us', body, timestamp: 1, ...fields });
+
+        client.isClientReady = true;
+        client.client.sendMessage = async (chatId, text) => {
+            await created(raw('bot-2', text, { to: chatId }));
+            return { id: { _serialized: 'bot-2' } };
+        };
+        TestAssertions.assertEqual(await client.sendMessage('111@c.us', 'Thanks, noted'), 'bot-2');
+        await created(raw('bot-2', 'Thanks, noted'));
+        await created(raw('phone-2', 'On my way'));
+        await created(raw('in-1', 'Hi', { fromMe: false }));
+
+        TestAssertions.assertEqual(ownerMessages.map(message => message.id._serialized).join(','), 'phone-2', 'Only the message typed on the phone is the owner\'s');
+    });
+
+    runner.test('should treat a message typed on the owner\'s phone as the owner answering', async () => {
+        const responses = [];
+        const stored = [];
+        const timerService = Object.assign(new EventEmitter(), {
+            takeBurst: () => [],
+            handleOwnerResponse: (chatId) => responses.push(chatId)
+        });
+        const conversations = { addMessage: async () => {}, addTurn: async () => {} };
+        const storage = { storeMessage: async (entry, isFromOwner) => stored.push([entry.chat.id, entry.from, isFromOwner]) };
+        const policies = new PolicyService({ getChatPolicies: async () => [] });
+        const handler = new MessageHandler(conversations, {}, timerService, storage, policies, undefined, undefined, undefined, undefined, undefined, undefined, undefined, owner({ identifiers: [] }));
+        handler.setWhatsAppClient({ getOwnId: () => '999@c.us' });
+
+        await handler.handleOwnerMessage({ id: { _serialized: 'p1' }, fromMe: true, from: '999@c.us', to: '111@c.us', body: 'On my way', timestamp: 1 });
+        await handler.handleOwnerMessage({ id: { _serialized: 'p2' }, fromMe: true, from: '999@c.us', to: '120363@g.us', body: 'Yes', timestamp: 2 });
+        await handler.handleOwnerMessage({ id: { _serialized: 'p3' }, fromMe: true, from: '999@c.us', to: '999@c.us', body: 'note to self', timestamp: 3 });
+
+        TestAssertions.assertEqual(responses.join(','), '111@c.us,120363@g.us', 'The timer is cancelled without any identifiers configured');
+        TestAssertions.assertEqual(JSON.stringify(stored[0]), JSON.stringify(['111@c.us', '999@c.us', true]), 'Stored in the chat it was sent to, as the owner\'s');
+        TestAssertions.assertEqual(stored.length, 2, 'Notes to self are ignored');
+    });
+
+    runner.test('should rename the owner columns of an older database', async () => {
+        const { Database } = require('sqlite3');
+        const legacyPath = path.join(tmpDir, 'legacy.db');
+        const legacy = new Database(legacyPath);
+        await new Promise((resolve, reject) => legacy.exec(`
+            CREATE TABLE participants (id INTEGER PRIMARY KEY AUTOINCREMENT, whatsapp_id TEXT UNIQUE NOT NULL, name TEXT, is_gilad BOOLEAN DEFAULT 0, created_at INTEGER, updated_at INTEGER);
+            CREATE INDEX idx_participants_is_gilad ON participants(is_gilad);
+            CREATE TABLE conversations (id INTEGER PRIMARY KEY AUTOINCREMENT, chat_id TEXT UNIQUE NOT NULL, created_at INTEGER, last_activity INTEGER, status TEXT DEFAULT 'active', participant_count INTEGER DEFAULT 0, is_group BOOLEAN DEFAULT 0, group_name TEXT);
+            CREATE TABLE messages (
+                id INTEGER PRIMARY KEY AUTOINCREMENT, conversation_id INTEGER NOT NULL, sender_id INTEGER NOT NULL,
+                whatsapp_message_id TEXT UNIQUE NOT NULL, content TEXT NOT NULL, timestamp INTEGER NOT NULL,
+                message_type TEXT DEFAULT 'text' CHECK (message_type IN ('text', 'image', 'audio', 'video', 'document', 'sticker', 'location', 'contact')),
+                is_from_gilad BOOLEAN DEFAULT 0, created_at INTEGER
+            );
+            INSERT INTO participants (whatsapp_id, is_gilad) VALUES ('111@c.us', 0), ('972500000000@c.us', 1);
+            INSERT INTO conversations (chat_id) VALUES ('111@c.us');
+            INSERT INTO messages (conversation_id, sender_id, whatsapp_message_id, content, timestamp, is_from_gilad) VALUES
+                (1, 1, 'old-1', 'Are you around?', 1000, 0),
+                (1, 2, 'old-2', 'Yes, calling you now', 2000, 1);
+        `, err => err ? reject(err) : resolve()));
+        await new Promise(resolve => legacy.close(resolve));
+
+        const originalPath = environment.config.database.path;
+        environment.config.database.path = legacyPath;
+        const migrated = new StorageService();
+        environment.config.database.path = originalPath;
+        await TimeHelpers.waitFor(() => migrated.isReady());
+
+        try {
+            const messages = await migrated.getMessagesBetween('111@c.us', 0, 3000);
+            TestAssertions.assertEqual(messages.map(entry => entry.isFromOwner).join(','), 'false,true', 'Owner flags survive the rename');
+
+            const db = migrated.db;
+            const columns = (table) => new Promise((resolve, reject) => db.all(`PRAGMA table_info(${table})`, (err, rows) => err ? reject(err) : resolve(rows.map(row => row.name))));
+            TestAssertions.assertTrue((await columns('messages')).includes('is_from_owner'));
+            TestAssertions.assertFalse((await columns('participants')).includes('is_gilad'));
+            const indexes = await new Promise((resolve, reject) => db.all(`SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'participants'`, (err, rows) => err ? reject(err) : resolve(rows.map(row => row.name))));
+            TestAssertions.assertTrue(indexes.includes('idx_participants_is_owner'));
+            TestAssertions.assertFalse(indexes.includes('idx_participants_is_gilad'));
+        } finally {
+            await migrated.close();
+        }
+    });
+
+    return await runner.run();
+}
+
+async function main() {
+    console.log('🧪 Running Owner Profile Unit Tests\n');
+
+    try {
+        const result = await testOwnerProfile();
+        const success = result.failed === 0;
+        console.log(`\n${success ? '🎉' : '💥'} Owner profile tests ${success ? 'completed successfully' : 'failed'}`);
+        process.exit(success ? 0 : 1);
+    } catch (error) {
+        console.error('💥 Test execution failed:', error);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,208 @@
+/**
+ * Unit Tests for persona profiles
+ * Tests profile file validation, hot reload, per-chat selection through policies and how a
+ * profile shapes prompts and replies
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TestRunner, TestAssertions, TimeHelpers, TestEnvironment } = require('../utils/testHelpers');
+
+const tmpDir = TestEnvironment.createTempDir();
+process.env.PERSONAS_DIR = tmpDir;
+
+
+const BUSINESS_YAML = `description: Clients and colleagues
+systemPrompt: |
+  You answer on Gilad's behalf to clients.
+  Never promise dates he has not confirmed.
+tone: formal
+responseStyle: concise
+emoji: none
+maxLength: 120
+signature: "— Gilad's assistant"
+`;
+
+const FRIENDS_YAML = `systemPrompt: Chat like an old friend of Gilad's.
+tone: casual
+emoji: free
+`;
+
+function message(body, fields = {}) {
+    return { id: `m-${body.length}`, body, from: '111@c.us', to: '999@c.us', timestamp: Date.now(), isGroupMsg: false, chat: { id: '111@c.us', name: 'Dana' }, ...fields };
+}
+
+function context(messages, fields = {}) {
+    return { chatId: '111@c.us', participantCount: 2, isActive: true, recentMessages: messages, ...fields };
+}
+
+function createMemoryStorage() {
+    const rows = new Map();
+    return {
+        getChatPolicies: async () => Array.from(rows.values()),
+        upsertChatPolicy: async (policy) => { rows.set(policy.subject, { ...policy }); },
+        deleteChatPolicy: async (subject) => rows.delete(subject)
+    };
+}
+
+function recordingProvider(content) {
+    const calls = [];
+    return {
+        calls,
+        name: 'fake',
+        getCurrentModel: () => 'fake-model',
+        generateResponse: async (prompt, ctx) => {
+            calls.push({ prompt, context: ctx });
+            return { content, confidence: 0.8, tokens_used: 10, model: 'fake-model' };
+        }
+    };
+}
+
+async function testPersonas() {
+    const runner = new TestRunner('Persona Profile Unit Tests');
+
+    let personas, PersonaService, PolicyService, ResponseGenerator, OllamaAI;
+    const services = [];
+
+    runner.beforeAll(async () => {
+        personas = require('../../dist/utils/personas');
+        ({ PersonaService } = require('../../dist/services/PersonaService'));
+        ({ PolicyService } = require('../../dist/services/PolicyService'));
+        ({ ResponseGenerator } = require('../../dist/ai/ResponseGenerator'));
+        ({ OllamaAI } = require('../../dist/ai/OllamaAI'));
+
+        fs.writeFileSync(path.join(tmpDir, 'business.yaml'), BUSINESS_YAML);
+        fs.writeFileSync(path.join(tmpDir, 'friends.yml'), FRIENDS_YAML);
+        fs.writeFileSync(path.join(tmpDir, 'broken.yaml'), 'systemPrompt: Hi\ncolour: blue\n');
+        fs.writeFileSync(path.join(tmpDir, 'notes.txt'), 'not a profile');
+    });
+
+    runner.afterAll(async () => {
+        services.forEach(service => service.destroy());
+        TestEnvironment.cleanupTempDir(tmpDir);
+    });
+
+    async function createService(defaultProfile = '', groupProfile = '') {
+        const service = new PersonaService(tmpDir, defaultProfile, groupProfile);
+        await service.initialize();
+        services.push(service);
+        return service;
+    }
+
+    runner.test('should validate persona profile files', async () => {
+        const { parsePersonaFile } = personas;
+
+        const business = parsePersonaFile('business.yaml', BUSINESS_YAML);
+        TestAssertions.assertEqual(business.name, 'business', 'Profiles are named after their file');
+        TestAssertions.assertEqual(business.tone, 'formal');
+        TestAssertions.assertEqual(business.emoji, 'none');
+        TestAssertions.assertEqual(business.maxLength, 120);
+        TestAssertions.assertEqual(business.signature, "— Gilad's assistant");
+        TestAssertions.assertContains(business.systemPrompt, 'Never promise dates');
+
+        const family = parsePersonaFile('x.yaml', 'name: Family\nsystemPrompt: Warm and short.\n');
+        TestAssertions.assertEqual(family.name, 'family', 'An explicit name wins and is lowercased');
+        TestAssertions.assertEqual(family.tone, 'professional');
+        TestAssertions.assertEqual(family.responseStyle, 'contextual');
+        TestAssertions.assertEqual(family.emoji, 'sparing');
+        TestAssertions.assertEqual(family.maxLength, 1000);
+
+        TestAssertions.assertThrows(() => parsePersonaFile('a.yaml', 'tone: casual\n'), 'systemPrompt is required');
+        TestAssertions.assertThrows(() => parsePersonaFile('a.yaml', 'systemPrompt: Hi\ntone: grumpy\n'), 'Tones are checked');
+        TestAssertions.assertThrows(() => parsePersonaFile('a.yaml', 'systemPrompt: Hi\nemoji: lots\n'), 'Emoji policies are checked');
+        TestAssertions.assertThrows(() => parsePersonaFile('a.yaml', 'systemPrompt: Hi\nmaxLength: 10\n'), 'Lengths are bounded');
+        TestAssertions.assertThrows(() => parsePersonaFile('a.yaml', 'systemPrompt: Hi\nmaxLenght: 300\n'), 'Misspelt fields are rejected');
+        TestAssertions.assertThrows(() => parsePersonaFile('my profile.yaml', 'systemPrompt: Hi\n'), 'Names must be usable in /policy');
+        TestAssertions.assertThrows(() => parsePersonaFile('a.yaml', '- systemPrompt: Hi\n'));
+    });
+
+    runner.test('should load, resolve and hot-reload profiles', async () => {
+        const service = await createService('business', 'friends');
+
+        TestAssertions.assertEqual(service.getStats().profiles.join(','), 'business,friends');
+        TestAssertions.assertEqual(service.getErrors().length, 1);
+        TestAssertions.assertEqual(service.getErrors()[0].source, 'broken.yaml');
+        TestAssertions.assertContains(service.getErrors()[0].error, 'colour');
+
+        TestAssertions.assertEqual(service.resolve(undefined, false).name, 'business', 'Private chats use the default');
+        TestAssertions.assertEqual(service.resolve(undefined, true).name, 'friends', 'Groups use the group default');
+        TestAssertions.assertEqual(service.resolve('Friends', false).name, 'friends', 'A selected profile wins');
+        TestAssertions.assertEqual(service.resolve('gone', false).name, 'business', 'Unknown names fall back to the default');
+        TestAssertions.assertEqual((await createService()).resolve(undefined, true), undefined, 'No default means the built-in behaviour');
+
+        fs.writeFileSync(path.join(tmpDir, 'family.yaml'), 'systemPrompt: You write to Gilad\'s family.\ntone: friendly\n');
+        await TimeHelpers.waitFor(() => service.hasProfile('family'));
+        TestAssertions.assertEqual(service.getProfile('family').tone, 'friendly');
+
+        fs.writeFileSync(path.join(tmpDir, 'duplicate.yaml'), 'name: family\nsystemPrompt: Again\n');
+        await TimeHelpers.waitFor(() => service.getErrors().some(error => error.source === 'family.yaml' || error.source === 'duplicate.yaml'));
+        TestAssertions.assertContains(service.getErrors().map(error => error.error).join(' '), 'already defined');
+        fs.unlinkSync(path.join(tmpDir, 'duplicate.yaml'));
+        await TimeHelpers.waitFor(() => service.getErrors().length === 1);
+    });
+
+    runner.test('should select profiles per chat and contact through policies', async () => {
+        const personaService = await createService();
+        const policies = new PolicyService(createMemoryStorage(), { groupRepliesEnabled: true }, personaService);
+        await policies.initialize();
+
+        await policies.setPolicy('111@c.us', { profile: 'Friends' }, 'contact');
+        await policies.setPolicy('123@g.us', { profile: 'business' }, 'chat');
+        TestAssertions.assertEqual(policies.getPolicy('111@c.us').profile, 'friends');
+        TestAssertions.assertEqual(policies.evaluate({ chatId: '111@c.us', isGroup: false }).profile, 'friends');
+        TestAssertions.assertEqual(policies.evaluate({ chatId: '123@g.us', senderId: '111@c.us', isGroup: true }).profile, 'business', 'A chat profile beats the contact one');
+        TestAssertions.assertEqual(policies.evaluate({ chatId: '222@c.us', isGroup: false }).profile, undefined);
+
+        await TestAssertions.assertThrowsAsync(() => policies.setPolicy('222@c.us', { profile: 'pirate' }, 'chat'), 'Unknown profiles are rejected');
+        await policies.setPolicy('111@c.us', { profile: null }, 'contact');
+        TestAssertions.assertEqual(policies.evaluate({ chatId: '111@c.us', isGroup: false }).profile, undefined, 'Profiles can be cleared');
+    });
+
+    runner.test('should shape prompts and replies with the selected profile', async () => {
+        const personaService = await createService();
+
+        const formal = recordingProvider('Hey! 😀🎉 Yeah, Gilad will call you back about the contract tomorrow, he has every detail ready for the discussion and more.');
+        const business = await new ResponseGenerator(formal, undefined, undefined, undefined, undefined, undefined, personaService)
+            .generateSecretaryResponse(context([message('Hi, can Gilad call me about the contract?'), message('Thanks')], { profile: 'business' }));
+        TestAssertions.assertEqual(formal.calls[0].context.personaProfile.name, 'business', 'The provider gets the resolved profile');
+        TestAssertions.assertContains(formal.calls[0].prompt, 'Keep responses under 120 characters');
+        TestAssertions.assertFalse(/[😀🎉]/u.test(business.content), 'Emoji are removed when the profile allows none');
+        TestAssertions.assertContains(business.content, 'Hey! yes, Gilad', 'Formal profiles rewrite casual words');
+        TestAssertions.assertTrue(business.content.endsWith("\n\n— Gilad's assistant"), 'The signature ends the reply');
+        TestAssertions.assertTrue(business.content.split('\n\n')[0].length <= 120, 'Replies are cut at the profile length');
+
+        const casual = recordingProvider('Yeah 😀🎉 he will call you back');
+        const friends = await new ResponseGenerator(casual, undefined, undefined, undefined, undefined, undefined, personaService)
+            .generateSecretaryResponse(context([message('yo'), message('is Gilad around?')], { profile: 'friends' }));
+        TestAssertions.assertEqual(friends.content, 'Yeah 😀🎉 he will call you back', 'Casual profiles keep their words and emoji');
+
+        const systemPrompt = new OllamaAI().buildMessages('Reply please', { ...context([message('Hi')]), personaProfile: personaService.getProfile('business'), persona: 'Mention the invoice' })[0].content;
+        TestAssertions.assertContains(systemPrompt, 'Persona profile "business"');
+        TestAssertions.assertContains(systemPrompt, 'Never promise dates');
+        TestAssertions.assertContains(systemPrompt, 'Do not use emoji');
+        TestAssertions.assertContains(systemPrompt, 'Mention the invoice', 'The policy persona text still applies');
+
+        TestAssertions.assertEqual(personas.applyEmojiPolicy('Mazal tov 🎉🎂 👨\u200D👩\u200D👧!', 'sparing'), 'Mazal tov 🎉 !', 'Sparing keeps the first emoji, joined ones included');
+        TestAssertions.assertEqual(personas.applyEmojiPolicy('Great 👍🏽\nSee you 🇮🇱', 'none'), 'Great\nSee you');
+    });
+
+    return await runner.run();
+}
+
+async function main() {
+    console.log('🧪 Running Persona Profile Unit Tests\n');
+
+    try {
+        const result = await testPersonas();
+        const success = result.failed === 0;
+        console.log(`\n${success ? '🎉' : '💥'} Persona profile tests ${success ? 'completed successfully' : 'failed'}`);
+        process.exit(success ? 0 : 1);
+    } catch (error) {
+        console.error('💥 Test execution failed:', error);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,229 @@
+/**
+ * Unit Tests for chat policies
+ * Tests policy precedence, group defaults, business hours, duration limits, SQLite persistence and MessageHandler integration
+ */
+
+const path = require('path');
+const { EventEmitter } = require('events');
+const { TestRunner, TestAssertions, TimeHelpers, TestEnvironment } = require('../utils/testHelpers');
+
+const tmpDir = TestEnvironment.createTempDir();
+process.env.DATABASE_PATH = path.join(tmpDir, 'policies.db');
+process.env.BURST_WINDOW_MS = '0';
+
+const DEFAULTS = {
+    groupRepliesEnabled: false,
+    responseDelayMs: 120000,
+    cooldownMs: 18000000,
+    businessHours: { start: '09:00', end: '17:00', timezone: 'Asia/Jerusalem' }
+};
+
+function createMemoryStorage() {
+    const rows = new Map();
+    return {
+        getChatPolicies: async () => Array.from(rows.values()),
+        upsertChatPolicy: async (policy) => { rows.set(policy.subject, { ...policy }); },
+        deleteChatPolicy: async (subject) => rows.delete(subject),
+        storeMessage: async () => 1
+    };
+}
+
+async function testPolicies() {
+    const runner = new TestRunner('Chat Policy Unit Tests');
+
+    let PolicyService, StorageService, MessageHandler, TimerService;
+    let policies;
+
+    runner.beforeAll(async () => {
+        ({ PolicyService } = require('../../dist/services/PolicyService'));
+        ({ StorageService } = require('../../dist/services/StorageService'));
+        ({ MessageHandler } = require('../../dist/client/MessageHandler'));
+        ({ TimerService } = require('../../dist/services/TimerService'));
+    });
+
+    runner.beforeEach(async () => {
+        policies = new PolicyService(createMemoryStorage(), DEFAULTS);
+        await policies.initialize();
+    });
+
+    runner.afterAll(async () => {
+        TestEnvironment.cleanupTempDir(tmpDir);
+    });
+
+    runner.test('should keep group chats off by default and allow private chats', async () => {
+        const group = policies.evaluate({ chatId: '123@g.us', senderId: '111@c.us', isGroup: true });
+        TestAssertions.assertFalse(group.allowReply);
+        TestAssertions.assertEqual(group.reason, 'group replies disabled');
+
+        const direct = policies.evaluate({ chatId: '111@c.us', senderId: '111@c.us', isGroup: false });
+        TestAssertions.assertTrue(direct.allowReply);
+        TestAssertions.assertEqual(direct.responseDelayMs, 120000);
+        TestAssertions.assertEqual(direct.cooldownMs, 18000000);
+
+        const enabled = new PolicyService(createMemoryStorage(), { ...DEFAULTS, groupRepliesEnabled: true });
+        TestAssertions.assertTrue(enabled.evaluate({ chatId: '123@g.us', isGroup: true }).allowReply);
+    });
+
+    runner.test('should let chat policies override contact policies and inherit unset fields', async () => {
+        await policies.setPolicy('111@c.us', { mode: 'always', cooldownMs: 60000, persona: 'Warm and brief' });
+
+        // A contact policy applies inside a group that is otherwise off
+        const inGroup = policies.evaluate({ chatId: '123@g.us', senderId: '111@c.us', isGroup: true });
+        TestAssertions.assertTrue(inGroup.allowReply);
+        TestAssertions.assertTrue(inGroup.alwaysReply);
+        TestAssertions.assertEqual(inGroup.source, 'contact');
+        TestAssertions.assertEqual(inGroup.cooldownMs, 60000);
+        TestAssertions.assertEqual(inGroup.persona, 'Warm and brief');
+
+        // The chat policy wins over the contact policy, unset fields still come from the contact
+        await policies.setPolicy('123@g.us', { mode: 'never', responseDelayMs: 30000 });
+        const denied = policies.evaluate({ chatId: '123@g.us', senderId: '111@c.us', isGroup: true });
+        TestAssertions.assertFalse(denied.allowReply);
+        TestAssertions.assertEqual(denied.source, 'chat');
+        TestAssertions.assertEqual(denied.responseDelayMs, 30000);
+        TestAssertions.assertEqual(denied.cooldownMs, 60000);
+
+        // null resets a field back to inherit
+        await policies.setPolicy('123@g.us', { mode: 'default', responseDelayMs: null });
+        TestAssertions.assertTrue(policies.evaluate({ chatId: '123@g.us', senderId: '111@c.us', isGroup: true }).alwaysReply);
+
+        try {
+            await policies.setPolicy('111@c.us', { mode: 'sometimes' });
+            TestAssertions.assertTrue(false, 'Invalid mode should be rejected');
+        } catch (error) {
+            TestAssertions.assertTrue(error.message.includes('Invalid policy mode'));
+        }
+    });
+
+    runner.test('should only reply inside business hours when the policy asks for it', async () => {
+        await policies.setPolicy('111@c.us', { businessHoursOnly: true });
+        const subject = { chatId: '111@c.us', isGroup: false };
+
+        // 10:00 and 20:00 in Jerusalem (UTC+3 in summer)
+        const inside = policies.evaluate(subject, new Date('2026-07-15T07:00:00Z'));
+        const outside = policies.evaluate(subject, new Date('2026-07-15T17:00:00Z'));
+
+        TestAssertions.assertTrue(inside.allowReply);
+        TestAssertions.assertFalse(outside.allowReply);
+        TestAssertions.assertEqual(outside.reason, 'outside business hours');
+        TestAssertions.assertTrue(policies.evaluate({ chatId: '222@c.us', isGroup: false }, new Date('2026-07-15T17:00:00Z')).allowReply);
+    });
+
+    runner.test('should not let delays and cooldowns overflow the timers', async () => {
+        const THIRTY_DAYS = 30 * 24 * 60 * 60 * 1000;
+        for (const field of ['responseDelayMs', 'cooldownMs']) {
+            try {
+                await policies.setPolicy('111@c.us', { [field]: THIRTY_DAYS });
+                TestAssertions.assertTrue(false, `A 30-day ${field} should be rejected`);
+            } catch (error) {
+                TestAssertions.assertTrue(error.message.includes(`${field} must be at most`));
+            }
+        }
+        await policies.setPolicy('111@c.us', { cooldownMs: 2147483647 });
+
+        // Values stored before the limit existed still wait instead of firing at once
+        const timerService = new TimerService({ getActiveConversations: async () => [], startTimer: async () => 1, startCooldown: async () => 1 });
+        let replied = false;
+        try {
+            timerService.startResponseTimer('111@c.us', async () => { replied = true; }, THIRTY_DAYS);
+            await TimeHelpers.sleep(20);
+            TestAssertions.assertFalse(replied, 'A long delay does not reply at once');
+
+            timerService.startCooldown('222@c.us', 4 * 7 * 24 * 60 * 60 * 1000);
+            await TimeHelpers.sleep(20);
+            TestAssertions.assertTrue(timerService.isInCooldown('222@c.us'), 'A four-week cooldown does not end at once');
+        } finally {
+            timerService.destroy();
+        }
+    });
+
+    runner.test('should persist policies and mutes in SQLite', async () => {
+        const storage = new StorageService();
+        await TimeHelpers.waitFor(() => storage.isReady());
+
+        const first = new PolicyService(storage, DEFAULTS);
+        await first.initialize();
+        await first.setPolicy('123@g.us', { mode: 'always', persona: 'Formal', businessHoursOnly: false }, 'chat');
+        await first.mute('111@c.us');
+        await first.mute('222@c.us', 60000);
+
+        const second = new PolicyService(storage, DEFAULTS);
+        await second.initialize();
+
+        const restored = second.getPolicy('123@g.us');
+        TestAssertions.assertEqual(restored.mode, 'always');
+        TestAssertions.assertEqual(restored.persona, 'Formal');
+        TestAssertions.assertEqual(restored.businessHoursOnly, false);
+        TestAssertions.assertEqual(restored.responseDelayMs, null);
+        TestAssertions.assertTrue(second.isMuted('111@c.us'));
+        TestAssertions.assertEqual(second.getPolicy('111@c.us').mutedUntil, Infinity);
+        TestAssertions.assertTrue(second.isMuted('222@c.us'));
+        TestAssertions.assertFalse(second.isMuted('222@c.us', Date.now() + 120000), 'Timed mutes expire');
+
+        TestAssertions.assertTrue(await second.unmute('111@c.us'));
+        TestAssertions.assertTrue(await second.removePolicy('123@g.us'));
+
+        const third = new PolicyService(storage, DEFAULTS);
+        await third.initialize();
+        TestAssertions.assertFalse(third.isMuted('111@c.us'));
+        TestAssertions.assertEqual(third.getPolicy('123@g.us'), undefined);
+
+        await storage.close();
+    });
+
+    runner.test('should evaluate the policy before starting the response timer', async () => {
+        const started = [];
+        const timerService = new EventEmitter();
+        Object.assign(timerService, {
+            isInCooldown: () => false,
+            startResponseTimer: (chatId, callback, delayMs) => started.push({ chatId, delayMs })
+        });
+        const conversationManager = {
+            getConversationContext: async () => null,
+            addMessage: async () => {},
+            addTurn: async (messages) => messages[messages.length - 1]
+        };
+        const storage = createMemoryStorage();
+        const handler = new MessageHandler(conversationManager, {}, timerService, storage, policies);
+
+        await policies.setPolicy('111@c.us', { responseDelayMs: 5000 });
+
+        await handler.handleMessage({
+            id: { _serialized: 'g1' }, body: 'Anyone around?', from: '123@g.us', author: '333@c.us', to: '999@c.us', timestamp: 1
+        });
+        TestAssertions.assertEqual(started.length, 0, 'Group chats are off by default');
+
+        await handler.handleMessage({
+            id: { _serialized: 'd1' }, body: 'Are you free today?', from: '111@c.us', to: '999@c.us', timestamp: 2
+        });
+        TestAssertions.assertEqual(started.length, 1);
+        TestAssertions.assertEqual(started[0].delayMs, 5000, 'Custom delay is passed to the timer');
+
+        await handler.muteChat('222@c.us');
+        await handler.handleMessage({
+            id: { _serialized: 'd2' }, body: 'Hello there', from: '222@c.us', to: '999@c.us', timestamp: 3
+        });
+        TestAssertions.assertEqual(started.length, 1, 'Muted chats get no timer');
+        TestAssertions.assertEqual(policies.getPolicy('222@c.us').mutedUntil, Infinity, 'Mute is stored as a policy');
+    });
+
+    return await runner.run();
+}
+
+async function main() {
+    console.log('🧪 Running Chat Policy Unit Tests\n');
+
+    try {
+        const result = await testPolicies();
+        const success = result.failed === 0;
+        console.log(`\n${success ? '🎉' : '💥'} Chat policy tests ${success ? 'completed successfully' : 'failed'}`);
+        process.exit(success ? 0 : 1);
+    } catch (error) {
+        console.error('💥 Test execution failed:', error);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
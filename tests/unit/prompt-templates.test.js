@@ -0,0 +1,276 @@
+/**
+ * Unit Tests for prompt templates
+ * Tests template parsing and validation, rendering, hot reload with language variants, and
+ * that generated replies are logged with the template versions behind them
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { TestRunner, TestAssertions, TimeHelpers, TestEnvironment } = require('../utils/testHelpers');
+
+const tmpDir = TestEnvironment.createTempDir();
+const promptsDir = path.join(tmpDir, 'prompts');
+process.env.PROMPTS_DIR = promptsDir;
+process.env.DATABASE_PATH = path.join(tmpDir, 'prompts.db');
+
+
+const SECRETARY_MD = `---
+version: 2
+description: Short and to the point
+---
+You answer for {{ownerName}}{{#profile}} as "{{profile}}"{{/profile}}.{{#situation}}
+{{situation}}{{/situation}}
+
+Chat so far:
+{{conversation}}
+
+Reply in one or two sentences{{#language}}, in {{language}}{{/language}}.
+`;
+
+function message(body, fields = {}) {
+    return { id: `m-${body.length}`, body, from: '111@c.us', to: '999@c.us', timestamp: Date.now(), isGroupMsg: false, chat: { id: '111@c.us', name: 'Dana' }, ...fields };
+}
+
+function context(messages, fields = {}) {
+    return { chatId: '111@c.us', participantCount: 2, isActive: true, recentMessages: messages, ...fields };
+}
+
+function recordingProvider(content) {
+    const calls = [];
+    return {
+        calls,
+        name: 'fake',
+        getCurrentModel: () => 'fake-model',
+        generateResponse: async (prompt, ctx) => {
+            calls.push({ prompt, context: ctx });
+            if (content instanceof Error) {
+                throw content;
+            }
+            return { content, confidence: 0.8, tokens_used: 10, model: 'fake-model' };
+        }
+    };
+}
+
+async function testPromptTemplates() {
+    const runner = new TestRunner('Prompt Template Unit Tests');
+
+    let templates, PromptTemplateService, ResponseGenerator, OllamaAI, StorageService, PolicyService, ApprovalService, MessageHandler;
+    let storage;
+    const services = [];
+
+    runner.beforeAll(async () => {
+        templates = require('../../dist/utils/promptTemplates');
+        ({ PromptTemplateService } = require('../../dist/services/PromptTemplateService'));
+        ({ ResponseGenerator } = require('../../dist/ai/ResponseGenerator'));
+        ({ OllamaAI } = require('../../dist/ai/OllamaAI'));
+        ({ StorageService } = require('../../dist/services/StorageService'));
+        ({ PolicyService } = require('../../dist/services/PolicyService'));
+        ({ ApprovalService } = require('../../dist/services/ApprovalService'));
+        ({ MessageHandler } = require('../../dist/client/MessageHandler'));
+
+        storage = new StorageService();
+        await TimeHelpers.waitFor(() => storage.isReady());
+    });
+
+    runner.afterAll(async () => {
+        services.forEach(service => service.destroy());
+        await storage.close();
+        TestEnvironment.cleanupTempDir(tmpDir);
+    });
+
+    async function createService() {
+        const service = new PromptTemplateService(promptsDir, 'en');
+        await service.initialize();
+        services.push(service);
+        return service;
+    }
+
+    runner.test('should parse, validate and render templates', async () => {
+        const { parseTemplateFile, renderTemplate, templateTag } = templates;
+
+        const secretary = parseTemplateFile('secretary.md', SECRETARY_MD);
+        TestAssertions.assertEqual(secretary.name, 'secretary');
+        TestAssertions.assertEqual(secretary.version, '2');
+        TestAssertions.assertEqual(secretary.description, 'Short and to the point');
+        TestAssertions.assertFalse(secretary.text.endsWith('\n'), 'The final newline is not part of the prompt');
+        TestAssertions.assertEqual(templateTag(secretary), 'secretary@2');
+
+        const hebrew = parseTemplateFile('fallback.he.md', 'תודה, {{ownerName}} יחזור אליך.');
+        TestAssertions.assertEqual(hebrew.language, 'he');
+        TestAssertions.assertTrue(/^[0-9a-f]{8}$/.test(hebrew.version), 'Without a version the text is hashed');
+        TestAssertions.assertTrue(templateTag(hebrew).startsWith('fallback.he@'));
+
+        TestAssertions.assertEqual(
+            renderTemplate('Hi{{#contactName}} {{contactName}}{{/contactName}}{{^contactName}} there{{/contactName}}, {{ ownerName }}', { contactName: 'Dana', ownerName: 'Gilad' }),
+            'Hi Dana, Gilad'
+        );
+        TestAssertions.assertEqual(renderTemplate('Hi{{#contactName}} {{contactName}}{{/contactName}}{{^contactName}} there{{/contactName}}', { contactName: '' }), 'Hi there');
+
+        const invalid = [
+            ['secretary.md', 'Hello {{contact}}\n{{conversation}}', 'Unknown variable "contact"'],
+            ['secretary.md', 'Hello {{ownerName}}', 'Missing required variables: conversation'],
+            ['system.md', '{{#memory}}Remember: {{memory}}', 'never closed'],
+            ['system.md', '{{#memory}}{{/persona}}', 'closes'],
+            ['system.md', 'Hi {{owner name}}', 'Invalid tag'],
+            ['greeting.md', 'Hi', 'Unknown template'],
+            ['fallback.fr.md', 'Merci', 'Unknown language'],
+            ['fallback.md', '---\nauthor: me\n---\nThanks', 'Unknown front matter fields'],
+            ['fallback.md', '---\nversion: 1\n---\n\n', 'empty']
+        ];
+        for (const [source, text, expected] of invalid) {
+            try {
+                parseTemplateFile(source, text);
+                throw new Error(`${source} should be rejected`);
+            } catch (error) {
+                TestAssertions.assertContains(error.message, expected);
+            }
+        }
+    });
+
+    runner.test('should render the built-in prompts as before', async () => {
+        const systemPrompt = new OllamaAI().buildMessages('Reply please', context([message('Hi')], { participantCount: 3, memory: 'Dana asked about the invoice', language: 'he' }))[0].content;
+        TestAssertions.assertTrue(systemPrompt.startsWith("You are Gilad's professional personal assistant."));
+        TestAssertions.assertContains(systemPrompt, "- Always prioritize being helpful while staying appropriate\n- This is a group chat, be mindful of multiple participants\n- Reply in Hebrew");
+        TestAssertions.assertTrue(systemPrompt.endsWith('What you remember from earlier in this conversation:\nDana asked about the invoice'));
+
+        const plain = new OllamaAI().buildMessages('Reply please', context([message('Hi')]))[0].content;
+        TestAssertions.assertTrue(plain.endsWith('- Always prioritize being helpful while staying appropriate'), 'Unset sections leave nothing behind');
+
+        const custom = new OllamaAI().buildMessages('Reply please', context([message('Hi')], { systemPrompt: 'Be brief.' }))[0].content;
+        TestAssertions.assertEqual(custom, 'Be brief.', 'A rendered template replaces the built-in prompt');
+
+        const prompt = new ResponseGenerator(recordingProvider('ok')).buildSecretaryPrompt(context([message('Can we talk about the contract?')], { messageType: 'business', language: 'en' }));
+        TestAssertions.assertTrue(prompt.startsWith("You are Gilad's professional personal assistant responding to a business WhatsApp message. This appears to be a business-related conversation."));
+        TestAssertions.assertContains(prompt, '\n\nRecent conversation context:\n111');
+        TestAssertions.assertContains(prompt, 'Can we talk about the contract?\n\nSecretary response guidelines:');
+        TestAssertions.assertContains(prompt, "- If asked about Gilad's availability or schedule, politely defer");
+        TestAssertions.assertTrue(prompt.endsWith('the language the sender writes in\n\nPlease provide an appropriate response:'));
+    });
+
+    runner.test('should load, hot-reload and pick language variants', async () => {
+        fs.mkdirSync(promptsDir, { recursive: true });
+        fs.writeFileSync(path.join(promptsDir, 'secretary.md'), SECRETARY_MD);
+        fs.writeFileSync(path.join(promptsDir, 'fallback.md'), 'Thanks{{#contactName}} {{contactName}}{{/contactName}}! {{ownerName}} will reply soon.\n');
+        fs.writeFileSync(path.join(promptsDir, 'fallback.ru.md'), 'Спасибо! {{ownerName}} скоро ответит.\n');
+        fs.writeFileSync(path.join(promptsDir, 'system.md'), 'Hi {{unknown}}\n');
+        fs.writeFileSync(path.join(promptsDir, 'notes.json'), '{}');
+
+        const service = await createService();
+        TestAssertions.assertEqual(service.getErrors().length, 1);
+        TestAssertions.assertEqual(service.getErrors()[0].source, 'system.md');
+        TestAssertions.assertEqual(service.get('system').source, 'builtin', 'An invalid file leaves the built-in template in use');
+        TestAssertions.assertEqual(service.get('secretary', 'he').source, 'secretary.md', 'Model prompts apply to every language');
+        TestAssertions.assertEqual(service.get('fallback', 'ru').source, 'fallback.ru.md');
+        TestAssertions.assertEqual(service.get('fallback', 'en').source, 'fallback.md');
+        TestAssertions.assertEqual(service.get('fallback', 'he'), undefined, 'Other languages get the built-in translation');
+        TestAssertions.assertEqual(service.getStats().versions.secretary, '2');
+        TestAssertions.assertEqual(service.getTemplates().map(template => template.source).join(','), 'fallback.md,fallback.ru.md,secretary.md,builtin');
+
+        fs.writeFileSync(path.join(promptsDir, 'secretary.md'), SECRETARY_MD.replace('version: 2', 'version: 3'));
+        await TimeHelpers.waitFor(() => service.get('secretary').version === '3');
+
+        fs.writeFileSync(path.join(promptsDir, 'secretary.md'), 'Forgot the messages, {{ownerName}}\n');
+        await TimeHelpers.waitFor(() => service.getErrors().some(error => error.source === 'secretary.md'));
+        TestAssertions.assertEqual(service.get('secretary').version, '3', 'A broken edit keeps the last good version');
+        TestAssertions.assertContains(service.getErrors().find(error => error.source === 'secretary.md').error, 'conversation');
+
+        fs.writeFileSync(path.join(promptsDir, 'secretary.md'), SECRETARY_MD);
+        fs.unlinkSync(path.join(promptsDir, 'system.md'));
+        await TimeHelpers.waitFor(() => service.get('secretary').version === '2' && service.getErrors().length === 0);
+    });
+
+    runner.test('should generate replies from the templates and tag their versions', async () => {
+        const service = await createService();
+
+        const provider = recordingProvider('Sure, Gilad will call you this afternoon.');
+        const generator = new ResponseGenerator(provider, undefined, undefined, undefined, undefined, undefined, undefined, service);
+        const response = await generator.generateSecretaryResponse(context([message('Hi'), message('Can Gilad call me today?')]));
+        TestAssertions.assertTrue(provider.calls[0].prompt.startsWith('You answer for Gilad.'));
+        TestAssertions.assertContains(provider.calls[0].prompt, 'Chat so far:\n111');
+        TestAssertions.assertContains(provider.calls[0].prompt, 'Reply in one or two sentences, in English.');
+        TestAssertions.assertContains(provider.calls[0].context.systemPrompt, "You are Gilad's professional personal assistant");
+        const systemVersion = templates.DEFAULT_TEMPLATES.system.version;
+        TestAssertions.assertEqual(response.promptVersion, `secretary@2+system@${systemVersion}`);
+
+        const failing = new ResponseGenerator(recordingProvider(new Error('offline')), undefined, undefined, undefined, undefined, undefined, undefined, service);
+        const english = await failing.generateSecretaryResponse(context([message('Hello, is Gilad around?')]));
+        TestAssertions.assertEqual(english.content, 'Thanks Dana! Gilad will reply soon.');
+        TestAssertions.assertTrue(english.promptVersion.startsWith('fallback@'));
+        const russian = await failing.generateSecretaryResponse(context([message('Здравствуйте, Гилад на месте?')]));
+        TestAssertions.assertEqual(russian.content, 'Спасибо! Гилад скоро ответит.');
+        const hebrew = await failing.generateSecretaryResponse(context([message('שלום, גלעד זמין?')]));
+        TestAssertions.assertContains(hebrew.content, 'תודה על ההודעה');
+        TestAssertions.assertEqual(hebrew.promptVersion, undefined, 'Built-in reply strings have no template version');
+    });
+
+    runner.test('should log generated replies and compare prompt versions', async () => {
+        const timerService = new EventEmitter();
+        Object.assign(timerService, { startCooldown: () => {} });
+        const chat = context([message('Can we meet tomorrow?')]);
+        const conversationManager = {
+            getConversationContext: async () => chat,
+            addMessage: async () => {},
+            updateLastResponseTime: async () => {}
+        };
+        const policies = new PolicyService(storage, { groupRepliesEnabled: false, responseDelayMs: 1000, cooldownMs: 60000, approvalRequired: false, approvalTimeoutMs: 0 });
+        await policies.initialize();
+        const approvals = new ApprovalService(storage);
+        await approvals.initialize();
+
+        let version = 'secretary@1+system@a';
+        const responseGenerator = {
+            generateSecretaryResponse: async () => ({ content: 'Gilad is free at 11.', confidence: 0.9, tokens_used: 5, model: 'fake', promptVersion: version })
+        };
+        const handler = new MessageHandler(conversationManager, responseGenerator, timerService, storage, policies, undefined, undefined, approvals);
+        handler.setWhatsAppClient({ getOwnId: () => '999@c.us', sendMessage: async () => {} });
+
+        await handler.activateSecretaryMode('111@c.us');
+        await handler.activateSecretaryMode('111@c.us');
+
+        version = 'secretary@2+system@a';
+        await policies.setPolicy('111@c.us', { requireApproval: true, approvalTimeoutMs: 0 });
+        await handler.activateSecretaryMode('111@c.us');
+        await approvals.reject(approvals.getPendingDrafts()[0].id);
+        await handler.activateSecretaryMode('111@c.us');
+        await approvals.approve(approvals.getPendingDrafts()[0].id);
+
+        const replies = await storage.getGeneratedReplies('secretary@2+system@a');
+        TestAssertions.assertEqual(replies.length, 2);
+        TestAssertions.assertEqual(replies[0].outcome, 'draft');
+        TestAssertions.assertTrue(replies[0].draftId > 0);
+        TestAssertions.assertEqual(replies[0].text, 'Gilad is free at 11.');
+
+        const stats = await storage.getPromptVersionStats();
+        const first = stats.find(entry => entry.promptVersion === 'secretary@1+system@a');
+        const second = stats.find(entry => entry.promptVersion === 'secretary@2+system@a');
+        TestAssertions.assertEqual(first.replies, 2);
+        TestAssertions.assertEqual(first.sent, 2);
+        TestAssertions.assertEqual(first.drafted, 0);
+        TestAssertions.assertEqual(second.drafted, 2);
+        TestAssertions.assertEqual(second.approved, 1);
+        TestAssertions.assertEqual(second.rejected, 1);
+        TestAssertions.assertEqual(second.averageConfidence, 0.9);
+        approvals.destroy();
+    });
+
+    return await runner.run();
+}
+
+async function main() {
+    console.log('🧪 Running Prompt Template Unit Tests\n');
+
+    try {
+        const result = await testPromptTemplates();
+        const success = result.failed === 0;
+        console.log(`\n${success ? '🎉' : '💥'} Prompt template tests ${success ? 'completed successfully' : 'failed'}`);
+        process.exit(success ? 0 : 1);
+    } catch (error) {
+        console.error('💥 Test execution failed:', error);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,132 @@
+/**
+ * Unit Tests for threaded replies
+ * Tests choosing the message a reply quotes and whom it mentions, and delivering replies with
+ * the quote and mentions through MessageHandler and WhatsAppClient
+ */
+
+const path = require('path');
+const { EventEmitter } = require('events');
+const { TestRunner, TestAssertions, TestEnvironment } = require('../utils/testHelpers');
+
+const tmpDir = TestEnvironment.createTempDir();
+process.env.DATABASE_PATH = path.join(tmpDir, 'threading.db');
+
+function message(id, body, author, chatId = '120363@g.us') {
+    return { id, body, from: chatId.endsWith('@g.us') ? chatId : author, to: '999@c.us', author, timestamp: Date.now(), isGroupMsg: chatId.endsWith('@g.us'), chat: { id: chatId, name: 'Team' } };
+}
+
+async function testReplyThreading() {
+    const runner = new TestRunner('Reply Threading Unit Tests');
+
+    let chooseReplyTarget, addMentions, combineMessages, MessageHandler, PolicyService, WhatsAppClient;
+
+    runner.beforeAll(async () => {
+        ({ chooseReplyTarget, addMentions } = require('../../dist/utils/replyThreading'));
+        ({ combineMessages } = require('../../dist/utils/messageContent'));
+        ({ MessageHandler } = require('../../dist/client/MessageHandler'));
+        ({ PolicyService } = require('../../dist/services/PolicyService'));
+        ({ WhatsAppClient } = require('../../dist/client/WhatsAppClient'));
+    });
+
+    runner.afterAll(async () => {
+        TestEnvironment.cleanupTempDir(tmpDir);
+    });
+
+    runner.test('should quote the message a reply answers', async () => {
+        const privateChat = (id, body) => message(id, body, '111@c.us', '111@c.us');
+
+        TestAssertions.assertEqual(JSON.stringify(chooseReplyTarget([privateChat('p1', 'Are you around?')], false)), '{}', 'A single message needs no quote');
+        TestAssertions.assertEqual(JSON.stringify(chooseReplyTarget([], true)), '{}');
+
+        const burst = combineMessages([privateChat('p2', 'Can you send the invoice?'), privateChat('p3', 'Thanks'), privateChat('p4', 'Have a good day')]);
+        TestAssertions.assertEqual(chooseReplyTarget([burst], false).quotedMessageId, 'p2', 'The question in a burst is quoted');
+        TestAssertions.assertEqual(JSON.stringify(chooseReplyTarget([privateChat('p5', 'Hi'), privateChat('p6', 'Can we talk?')], false)), '{}', 'A question right above the reply is not quoted');
+
+        const group = [
+            message('g1', 'Is the demo on Thursday?', '111@c.us'),
+            message('g2', 'Good morning all', '222@c.us'),
+            message('g3', 'Also, who has the slides?', '333@c.us'),
+            message('g4', '👍', '222@c.us')
+        ];
+        const target = chooseReplyTarget(group, true);
+        TestAssertions.assertEqual(target.quotedMessageId, 'g3', 'The latest request is quoted');
+        TestAssertions.assertEqual(target.mentions.join(','), '111@c.us,222@c.us', 'Everyone else who wrote is mentioned');
+        TestAssertions.assertEqual(JSON.stringify(chooseReplyTarget([message('g5', 'ok', '111@c.us')], true)), '{"quotedMessageId":"g5"}', 'Group replies always quote');
+
+        TestAssertions.assertEqual(addMentions('See you then', ['111@c.us', '222@c.us']), '@111 @222 See you then');
+        TestAssertions.assertEqual(addMentions('@111 see you then', ['111@c.us']), '@111 see you then', 'Mentions already in the text are kept once');
+        TestAssertions.assertEqual(addMentions('See you then'), 'See you then');
+    });
+
+    runner.test('should send a reply to a group burst quoting and mentioning its senders', async () => {
+        const sent = [];
+        const timerService = Object.assign(new EventEmitter(), { startCooldown: () => {} });
+        const context = {
+            chatId: '120363@g.us', participantCount: 3, isActive: true,
+            recentMessages: [
+                message('old', 'Anyone free for lunch?', '111@c.us'),
+                { ...message('bot_1', 'Noted, thanks.', 'secretary_bot'), from: 'secretary_bot' },
+                combineMessages([message('g1', 'Can you send the agenda?', '111@c.us'), message('g2', 'Me too please', '222@c.us'), message('g3', 'Thanks!', '222@c.us')])
+            ]
+        };
+        const conversationManager = {
+            added: [],
+            getConversationContext: async () => context,
+            async addMessage(entry) { this.added.push(entry); },
+            updateLastResponseTime: async () => {}
+        };
+        const responseGenerator = { generateSecretaryResponse: async () => ({ content: 'Sending it shortly.', confidence: 0.9, tokens_used: 5, model: 'fake' }) };
+        const storage = { getChatPolicies: async () => [], recordGeneratedReply: async () => 1 };
+        const policies = new PolicyService(storage, { groupRepliesEnabled: true, responseDelayMs: 1000, cooldownMs: 60000, approvalRequired: false, approvalTimeoutMs: 0 });
+        const handler = new MessageHandler(conversationManager, responseGenerator, timerService, storage, policies);
+        handler.setWhatsAppClient({
+            getOwnId: () => '999@c.us',
+            getContactById: async () => null,
+            sendMessage: async (chatId, text, options) => sent.push({ chatId, text, options })
+        });
+
+        await handler.activateSecretaryMode('120363@g.us');
+
+        TestAssertions.assertEqual(sent.length, 1);
+        TestAssertions.assertEqual(sent[0].options.quotedMessageId, 'g2', 'The last request of the burst is quoted');
+        TestAssertions.assertEqual(sent[0].options.mentions.join(','), '111@c.us', 'Messages before the last reply are not mentioned');
+        TestAssertions.assertEqual(sent[0].text, '@111 Sending it shortly.');
+        TestAssertions.assertEqual(conversationManager.added[0].body, '@111 Sending it shortly.', 'The conversation keeps the text as sent');
+    });
+
+    runner.test('should pass the quote and mentions to whatsapp-web.js', async () => {
+        const client = new WhatsAppClient({}, path.join(tmpDir, 'session'));
+        const calls = [];
+        client.isClientReady = true;
+        client.client.sendMessage = async (chatId, text, options) => {
+            calls.push(options);
+            return { id: { _serialized: `sent-${calls.length}` } };
+        };
+
+        TestAssertions.assertEqual(await client.sendMessage('120363@g.us', '@111 On it', { quotedMessageId: 'g1', mentions: ['111@c.us'] }), 'sent-1');
+        await client.sendMessage('111@c.us', 'On it');
+
+        TestAssertions.assertEqual(JSON.stringify(calls[0]), '{"quotedMessageId":"g1","mentions":["111@c.us"]}');
+        TestAssertions.assertEqual(JSON.stringify(calls[1]), '{}', 'Plain messages are sent without options');
+    });
+
+    return await runner.run();
+}
+
+async function main() {
+    console.log('🧪 Running Reply Threading Unit Tests\n');
+
+    try {
+        const result = await testReplyThreading();
+        const success = result.failed === 0;
+        console.log(`\n${success ? '🎉' : '💥'} Reply threading tests ${success ? 'completed successfully' : 'failed'}`);
+        process.exit(success ? 0 : 1);
+    } catch (error) {
+        console.error('💥 Test execution failed:', error);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
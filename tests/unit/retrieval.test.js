@@ -0,0 +1,177 @@
+/**
+ * Unit Tests for semantic retrieval
+ * Tests the embedders, per-chat indexing and search in SQLite, and the retrieval step of ResponseGenerator
+ */
+
+const path = require('path');
+const { TestRunner, TestAssertions, TimeHelpers, TestEnvironment } = require('../utils/testHelpers');
+
+const tmpDir = TestEnvironment.createTempDir();
+process.env.DATABASE_PATH = path.join(tmpDir, 'retrieval.db');
+
+const BASE_TIME = Date.UTC(2026, 9, 5, 9, 0);
+
+function createMessage(chatId, index, body, from = chatId) {
+    return {
+        id: `${chatId}_${index}`,
+        body,
+        from,
+        to: '999@c.us',
+        timestamp: BASE_TIME + index * 60000,
+        isGroupMsg: false,
+        chat: { id: chatId, name: 'Dana' },
+        author: from
+    };
+}
+
+async function testRetrieval() {
+    const runner = new TestRunner('Semantic Retrieval Unit Tests');
+
+    let StorageService, RetrievalService, ResponseGenerator, HashEmbedder, OllamaEmbedder, OpenAIEmbedder, createEmbedder;
+    let storage;
+    let originalFetch;
+
+    const danaHistory = [
+        'Hi, can you send me the invoice for the September workshop?',
+        'Sure, I will ask Gilad to send the invoice tomorrow',
+        'My daughter has a birthday party on Friday',
+        'Do you know a good pizza place near the office?',
+        'The parking code for the building is 4521',
+        'Thanks for the help last time'
+    ];
+
+    runner.beforeAll(async () => {
+        ({ StorageService } = require('../../dist/services/StorageService'));
+        ({ RetrievalService } = require('../../dist/services/RetrievalService'));
+        ({ ResponseGenerator } = require('../../dist/ai/ResponseGenerator'));
+        ({ HashEmbedder, OllamaEmbedder, OpenAIEmbedder, createEmbedder } = require('../../dist/ai/Embedder'));
+        originalFetch = global.fetch;
+
+        storage = new StorageService();
+        await TimeHelpers.waitFor(() => storage.isReady());
+
+        for (const [index, body] of danaHistory.entries()) {
+            await storage.storeMessage(createMessage('111@c.us', index, body, index === 1 ? 'secretary_bot' : '111@c.us'));
+        }
+        await storage.storeMessage(createMessage('222@c.us', 0, 'Please resend the invoice for the September workshop'));
+        await storage.storeMessage(createMessage('222@c.us', 1, 'Invoice attached, thanks!'));
+    });
+
+    runner.afterEach(async () => {
+        global.fetch = originalFetch;
+    });
+
+    runner.afterAll(async () => {
+        await storage.close();
+        TestEnvironment.cleanupTempDir(tmpDir);
+    });
+
+    runner.test('should embed deterministically and call embedding APIs', async () => {
+        const embedder = new HashEmbedder();
+        const [a, b, c] = await embedder.embed(['Send the invoice please', 'send THE invoice, please!', 'Pizza tonight?']);
+        TestAssertions.assertEqual(a.length, 256);
+        TestAssertions.assertEqual(JSON.stringify(a), JSON.stringify(b), 'Case and punctuation do not matter');
+        TestAssertions.assertTrue(Math.abs(a.reduce((sum, value) => sum + value * value, 0) - 1) < 1e-9, 'Vectors are unit length');
+        TestAssertions.assertFalse(JSON.stringify(a) === JSON.stringify(c));
+
+        const calls = [];
+        global.fetch = async (url, init) => {
+            calls.push({ url, body: JSON.parse(init.body), headers: init.headers });
+            const body = url.endsWith('/api/embed')
+                ? { embeddings: [[0.1, 0.2], [0.3, 0.4]] }
+                : { data: [{ index: 1, embedding: [0.3, 0.4] }, { index: 0, embedding: [0.1, 0.2] }] };
+            return { ok: true, status: 200, statusText: 'OK', json: async () => body, text: async () => JSON.stringify(body) };
+        };
+
+        const ollama = await new OllamaEmbedder('http://ollama:11434/').embed(['one', 'two']);
+        TestAssertions.assertEqual(calls[0].url, 'http://ollama:11434/api/embed');
+        TestAssertions.assertEqual(calls[0].body.model, 'nomic-embed-text');
+        TestAssertions.assertEqual(JSON.stringify(ollama), '[[0.1,0.2],[0.3,0.4]]');
+
+        const openai = await new OpenAIEmbedder('sk-test', 'http://llama:8080/v1').embed(['one', 'two']);
+        TestAssertions.assertEqual(calls[1].url, 'http://llama:8080/v1/embeddings');
+        TestAssertions.assertEqual(calls[1].headers.Authorization, 'Bearer sk-test');
+        TestAssertions.assertEqual(JSON.stringify(openai), '[[0.1,0.2],[0.3,0.4]]', 'Results follow the input order');
+
+        await TestAssertions.assertThrowsAsync(() => new OllamaEmbedder().embed(['only one of three', 'a', 'b']));
+
+        TestAssertions.assertEqual(createEmbedder({ provider: 'none' }), undefined);
+        TestAssertions.assertEqual(createEmbedder({ provider: 'hash' }).model, 'hash-256');
+    });
+
+    runner.test('should index a chat and retrieve relevant exchanges', async () => {
+        const embedded = [];
+        const embedder = new HashEmbedder();
+        const counting = { name: embedder.name, model: embedder.model, embed: async (texts) => { embedded.push(texts.length); return embedder.embed(texts); } };
+        const retrieval = new RetrievalService(storage, counting, { topK: 1, minScore: 0.2 });
+
+        const results = await retrieval.retrieve('111@c.us', 'Did you send my invoice for the workshop?');
+        TestAssertions.assertEqual(embedded[0], 6, "Only this chat's messages are indexed");
+        TestAssertions.assertEqual(results.map(message => message.id).join(','), '111@c.us_0,111@c.us_1', 'The hit comes with the reply that followed it');
+        TestAssertions.assertEqual(results[1].from, 'secretary_bot');
+
+        await retrieval.retrieve('111@c.us', 'What is the parking code?');
+        TestAssertions.assertEqual(embedded.length, 3, 'Indexed messages are not embedded again');
+
+        const excluded = await retrieval.retrieve('111@c.us', 'invoice for the workshop', ['111@c.us_0', '111@c.us_1']);
+        TestAssertions.assertFalse(excluded.some(message => message.id === '111@c.us_0'), 'Messages already in the prompt are skipped');
+
+        const unrelated = await retrieval.retrieve('111@c.us', 'Quantum chromodynamics lecture');
+        TestAssertions.assertEqual(unrelated.length, 0, 'Nothing below the minimum score is returned');
+
+        const otherChat = await retrieval.retrieve('333@c.us', 'invoice for the September workshop');
+        TestAssertions.assertEqual(otherChat.length, 0, "Another chat's history never leaks");
+
+        const second = await retrieval.retrieve('222@c.us', 'invoice for the September workshop');
+        TestAssertions.assertTrue(second.every(message => message.chat.id === '222@c.us'));
+    });
+
+    runner.test('should add retrieved messages to the reply prompt', async () => {
+        const prompts = [];
+        const provider = {
+            name: 'fake',
+            getCurrentModel: () => 'fake-model',
+            generateResponse: async (prompt, context) => {
+                prompts.push({ prompt, context });
+                return { content: 'Hello Dana, the invoice is on its way.', confidence: 1, tokens_used: 5, model: 'fake-model' };
+            }
+        };
+        const retrieval = new RetrievalService(storage, new HashEmbedder(), { topK: 2, minScore: 0.2 });
+        const generator = new ResponseGenerator(provider, undefined, undefined, retrieval);
+
+        const latest = createMessage('111@c.us', 10, 'Any news about the invoice for the workshop?');
+        await storage.storeMessage(latest);
+        await generator.generateSecretaryResponse({ chatId: '111@c.us', participantCount: 2, recentMessages: [latest], isActive: true });
+
+        const { prompt, context } = prompts[0];
+        TestAssertions.assertContains(prompt, 'Earlier messages in this chat that may be relevant:');
+        TestAssertions.assertContains(prompt, '111 (Mon 5 Oct');
+        TestAssertions.assertContains(prompt, 'Assistant (');
+        TestAssertions.assertFalse(context.relatedMessages.some(message => message.id === latest.id), 'The question itself is not retrieved');
+
+        const failing = new ResponseGenerator(provider, undefined, undefined, { retrieve: async () => { throw new Error('embedder down'); } });
+        const response = await failing.generateSecretaryResponse({ chatId: '111@c.us', participantCount: 2, recentMessages: [latest], isActive: true });
+        TestAssertions.assertEqual(response.model, 'fake-model', 'Replies are still generated when retrieval fails');
+        TestAssertions.assertFalse(prompts[1].prompt.includes('Earlier messages'));
+    });
+
+    return await runner.run();
+}
+
+async function main() {
+    console.log('🧪 Running Semantic Retrieval Unit Tests\n');
+
+    try {
+        const result = await testRetrieval();
+        const success = result.failed === 0;
+        console.log(`\n${success ? '🎉' : '💥'} Semantic retrieval tests ${success ? 'completed successfully' : 'failed'}`);
+        process.exit(success ? 0 : 1);
+    } catch (error) {
+        console.error('💥 Test execution failed:', error);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
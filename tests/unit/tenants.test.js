@@ -0,0 +1,344 @@
+/**
+ * Unit Tests for multi-tenant mode
+ * Tests the tenants file, isolated per-tenant service graphs (including calendars, business hours,
+ * alert channels and knowledge), per-tenant health in the service registry and tenant-scoped
+ * admin API routes
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TestRunner, TestAssertions, TestEnvironment } = require('../utils/testHelpers');
+
+const tmpDir = TestEnvironment.createTempDir();
+process.env.DATABASE_PATH = path.join(tmpDir, 'default.db');
+process.env.MEMORY_ENABLED = 'false';
+process.env.DIGEST_ENABLED = 'false';
+process.env.BOOKING_ENABLED = 'false';
+
+const TOKEN = 'test-token';
+
+const TENANTS_FILE = `
+tenants:
+  - id: Maya
+    owner:
+      name: Maya
+      pronouns: she
+      localNames:
+        he: מאיה
+      whatsappId: 972541111111@c.us
+      identifiers: ["0541111111", 972541111111]
+    policy:
+      approvalRequired: true
+    businessHours:
+      schedule: sun-thu 09:00-17:00
+      timezone: Asia/Jerusalem
+    escalation:
+      channels: self, ntfy
+      ntfyUrl: https://ntfy.sh/maya-alerts
+      vipContacts: ["0547777777"]
+  - id: office
+    owner:
+      name: Front Desk
+    databasePath: ${path.join(tmpDir, 'office.db')}
+    knowledgeDir: ${path.join(tmpDir, 'office-knowledge')}
+    calendar:
+      source: ${path.join(tmpDir, 'office.ics')}
+      refreshMs: 600000
+    businessHours:
+      start: "08:00"
+      end: "16:00"
+      holidays: [2026-12-25=Christmas]
+`;
+
+const DEFAULTS = {
+    directory: path.join(tmpDir, 'tenants'),
+    policy: { groupRepliesEnabled: false, approvalRequired: false, approvalTimeoutMs: 900000 },
+    bookingIcsPath: './data/bookings.ics',
+    digestDirectory: '',
+    businessHours: { start: '09:00', end: '18:00', timezone: 'Europe/London', weeklySchedule: { mon: [{ start: '10:00', end: '12:00' }] } },
+    calendarRefreshMs: 900000,
+    escalation: {
+        enabled: true, channels: ['webhook'], vipContacts: ['972500000000@c.us'], webhookUrl: 'https://alerts.example.com/owner', ntfyUrl: '', ntfyToken: '',
+        smtp: { host: 'smtp.example.com', port: 25, from: 'assistant@example.com', to: 'owner@example.com' },
+        chatCooldownMs: 600000, maxPerHour: 10, repeatMs: 900000, maxRepeats: 3, timeoutMs: 10000
+    }
+};
+
+async function testTenants() {
+    const runner = new TestRunner('Tenants Unit Tests');
+
+    let parseTenantsFile, sessionClientId, TenantManager, ServiceRegistry, Logger, AdminServer, WhatsAppClient;
+
+    runner.beforeAll(async () => {
+        ({ parseTenantsFile, sessionClientId } = require('../../dist/utils/tenants'));
+        ({ WhatsAppClient } = require('../../dist/client/WhatsAppClient'));
+        ({ TenantManager } = require('../../dist/services/TenantManager'));
+        ({ ServiceRegistry, Logger } = require('../../dist/main'));
+        ({ AdminServer } = require('../../dist/services/AdminServer'));
+    });
+
+    runner.afterAll(async () => {
+        TestEnvironment.cleanupTempDir(tmpDir);
+    });
+
+    runner.test('should read tenants with their own paths, owner and policies', async () => {
+        const [maya, office] = parseTenantsFile(TENANTS_FILE, DEFAULTS);
+
+        TestAssertions.assertEqual(maya.id, 'maya', 'Ids are lowercased');
+        TestAssertions.assertEqual(maya.sessionPath, path.join(tmpDir, 'tenants', 'maya', 'session'));
+        TestAssertions.assertEqual(maya.databasePath, path.join(tmpDir, 'tenants', 'maya', 'conversations.db'));
+        TestAssertions.assertEqual(maya.bookingIcsPath, path.join(tmpDir, 'tenants', 'maya', 'bookings.ics'), 'Bookings go to the tenant directory');
+        TestAssertions.assertEqual(maya.digestDirectory, '', 'No digest files unless DIGEST_DIR is set');
+        TestAssertions.assertEqual(maya.owner.pronouns, 'she');
+        TestAssertions.assertEqual(maya.owner.localNames.he, 'מאיה');
+        TestAssertions.assertEqual(maya.owner.identifiers.join(','), '0541111111,972541111111');
+        TestAssertions.assertTrue(maya.policy.approvalRequired, 'Tenant policy overrides the default');
+        TestAssertions.assertEqual(maya.policy.approvalTimeoutMs, 900000, 'Other policy fields are inherited');
+
+        TestAssertions.assertEqual(office.databasePath, path.join(tmpDir, 'office.db'));
+        TestAssertions.assertEqual(office.owner.pronouns, 'they');
+        TestAssertions.assertFalse(office.policy.approvalRequired);
+    });
+
+    runner.test('should read each tenant\'s calendar, business hours, alert channels and knowledge', async () => {
+        const [maya, office] = parseTenantsFile(TENANTS_FILE, DEFAULTS);
+
+        TestAssertions.assertEqual(maya.knowledgeDirectory, path.join(tmpDir, 'tenants', 'maya', 'knowledge'), 'Knowledge defaults to the tenant directory');
+        TestAssertions.assertEqual(maya.personasDirectory, path.join(tmpDir, 'tenants', 'maya', 'personas'));
+        TestAssertions.assertEqual(office.knowledgeDirectory, path.join(tmpDir, 'office-knowledge'));
+
+        TestAssertions.assertEqual(maya.calendar.source, '', 'No calendar unless the tenant names one');
+        TestAssertions.assertEqual(office.calendar.source, path.join(tmpDir, 'office.ics'));
+        TestAssertions.assertEqual(office.calendar.refreshMs, 600000);
+
+        TestAssertions.assertEqual(maya.businessHours.timezone, 'Asia/Jerusalem');
+        TestAssertions.assertEqual(Object.keys(maya.businessHours.weeklySchedule).join(','), 'sun,mon,tue,wed,thu');
+        TestAssertions.assertEqual(`${office.businessHours.start}-${office.businessHours.end}`, '08:00-16:00');
+        TestAssertions.assertEqual(office.businessHours.weeklySchedule, undefined, 'Own hours replace the inherited schedule');
+        TestAssertions.assertEqual(office.businessHours.timezone, 'Europe/London', 'The time zone is inherited');
+        TestAssertions.assertEqual(office.businessHours.holidays[0].date, '2026-12-25');
+
+        TestAssertions.assertEqual(maya.escalation.channels.join(','), 'self,ntfy');
+        TestAssertions.assertEqual(maya.escalation.ntfyUrl, 'https://ntfy.sh/maya-alerts');
+        TestAssertions.assertEqual(maya.escalation.vipContacts.join(','), '0547777777@c.us');
+        TestAssertions.assertEqual(maya.escalation.webhookUrl, '', 'Alert destinations are not inherited');
+        TestAssertions.assertEqual(office.escalation.channels.join(','), 'self', 'Alerts go to the tenant\'s own chat by default');
+        TestAssertions.assertEqual(office.escalation.vipContacts.length, 0, 'VIP contacts are not inherited');
+        TestAssertions.assertEqual(office.escalation.smtp.to, '');
+        TestAssertions.assertEqual(office.escalation.smtp.host, 'smtp.example.com', 'The mail relay is inherited');
+        TestAssertions.assertEqual(office.escalation.maxPerHour, 10);
+    });
+
+    runner.test('should give each tenant its own WhatsApp session name', async () => {
+        TestAssertions.assertEqual(sessionClientId(undefined), 'whatsapp-llm-pa', 'A single account keeps its existing session');
+        TestAssertions.assertEqual(sessionClientId('maya'), 'whatsapp-llm-pa-maya');
+
+        const single = new WhatsAppClient({}, path.join(tmpDir, 'shared-session'));
+        const tenant = new WhatsAppClient({}, path.join(tmpDir, 'shared-session'), sessionClientId('maya'));
+        TestAssertions.assertEqual(single.client.authStrategy.clientId, 'whatsapp-llm-pa');
+        TestAssertions.assertEqual(tenant.client.authStrategy.clientId, 'whatsapp-llm-pa-maya', 'Tenants sharing a session directory do not share a session');
+    });
+
+    runner.test('should reject invalid tenants files', async () => {
+        const owner = '    owner:\n      name: Sam\n';
+        const invalid = {
+            'missing list': 'accounts: []',
+            'empty list': 'tenants: []',
+            'missing id': `tenants:\n  - ${owner.trimStart()}`,
+            'missing owner name': 'tenants:\n  - id: sam\n    owner:\n      pronouns: they\n',
+            'unknown field': `tenants:\n  - id: sam\n${owner}    phone: 123\n`,
+            'bad pronouns': 'tenants:\n  - id: sam\n    owner:\n      name: Sam\n      pronouns: xe\n',
+            'bad policy': `tenants:\n  - id: sam\n${owner}    policy:\n      approvalRequired: sometimes\n`,
+            'bad approval timeout': `tenants:\n  - id: sam\n${owner}    policy:\n      approvalTimeoutMs: 2592000000\n`,
+            'duplicate id': `tenants:\n  - id: sam\n${owner}  - id: SAM\n${owner}`,
+            'shared database': `tenants:\n  - id: sam\n${owner}    databasePath: ./same.db\n  - id: alex\n${owner}    databasePath: ./same.db\n`,
+            'calendar without source': `tenants:\n  - id: sam\n${owner}    calendar:\n      refreshMs: 600000\n`,
+            'bad calendar refresh': `tenants:\n  - id: sam\n${owner}    calendar:\n      source: ./sam.ics\n      refreshMs: 1000\n`,
+            'bad business hours': `tenants:\n  - id: sam\n${owner}    businessHours:\n      start: "9am"\n`,
+            'bad time zone': `tenants:\n  - id: sam\n${owner}    businessHours:\n      timezone: Mars/Olympus\n`,
+            'bad schedule': `tenants:\n  - id: sam\n${owner}    businessHours:\n      schedule: someday 09:00-17:00\n`,
+            'unknown alert channel': `tenants:\n  - id: sam\n${owner}    escalation:\n      channels: [self, pager]\n`,
+            'missing alert destination': `tenants:\n  - id: sam\n${owner}    escalation:\n      channels: [webhook]\n`
+        };
+
+        for (const [name, text] of Object.entries(invalid)) {
+            TestAssertions.assertThrows(() => parseTenantsFile(text, DEFAULTS), `Expected an error for: ${name}`);
+        }
+    });
+
+    runner.test('should build an isolated service graph per tenant', async () => {
+        const registered = new Map();
+        const registry = { register: (name, service) => registered.set(name, service) };
+        const provider = { name: 'fake', getCurrentModel: () => 'fake-model', generateResponse: async () => { throw new Error('offline'); } };
+        const tenants = parseTenantsFile(TENANTS_FILE, { ...DEFAULTS, bookingIcsPath: '' });
+        const manager = new TenantManager(tenants, { aiProvider: provider, classifierProvider: provider }, registry, true);
+
+        try {
+            await manager.initialize();
+
+            TestAssertions.assertTrue(registered.has('maya:storageService') && registered.has('office:storageService'));
+            TestAssertions.assertTrue(registered.has('maya:messageHandler') && registered.has('office:timerService'));
+            TestAssertions.assertFalse(registered.has('storageService'), 'Tenant services are not registered under plain names');
+
+            const maya = manager.getTenant('maya');
+            const office = manager.getTenant('office');
+            TestAssertions.assertTrue(maya.storageService !== office.storageService);
+            TestAssertions.assertTrue(fs.existsSync(tenants[0].databasePath) && fs.existsSync(path.join(tmpDir, 'office.db')), 'Each tenant has its own database');
+            TestAssertions.assertEqual(maya.messageHandler.getOwner().name, 'Maya');
+            TestAssertions.assertEqual(office.messageHandler.getOwner().name, 'Front Desk');
+            TestAssertions.assertTrue(maya.policyService.defaults.approvalRequired);
+            TestAssertions.assertFalse(office.policyService.defaults.approvalRequired);
+
+            TestAssertions.assertTrue(maya.knowledgeBase !== office.knowledgeBase && maya.personaService !== office.personaService);
+            TestAssertions.assertEqual(office.knowledgeBase.directory, path.join(tmpDir, 'office-knowledge'), 'Each tenant reads its own knowledge files');
+            TestAssertions.assertTrue(registered.get('maya:knowledgeBase') === maya.knowledgeBase);
+            TestAssertions.assertEqual(maya.calendarService, undefined);
+            TestAssertions.assertTrue(registered.get('office:calendarService') === office.calendarService, 'Only the tenant with a calendar gets one');
+            TestAssertions.assertTrue(office.availabilityService.hasCalendar() && !maya.availabilityService.hasCalendar());
+            TestAssertions.assertEqual(maya.availabilityService.getBusinessHours().timezone, 'Asia/Jerusalem');
+            TestAssertions.assertEqual(office.availabilityService.getBusinessHours().start, '08:00');
+            TestAssertions.assertTrue(maya.policyService.defaults.businessHours === maya.availabilityService.getBusinessHours());
+            TestAssertions.assertEqual(maya.policyService.defaults.vipContacts.join(','), '0547777777@c.us');
+            TestAssertions.assertEqual(maya.escalationService.channels.map(channel => channel.name).join(','), 'ntfy');
+            TestAssertions.assertEqual(office.escalationService.channels.length, 0, 'The owner\'s webhook is not used for other tenants');
+
+            await maya.policyService.mute('111@c.us');
+            TestAssertions.assertTrue(maya.policyService.isMuted('111@c.us'));
+            TestAssertions.assertFalse(office.policyService.isMuted('111@c.us'), 'Policies do not leak between tenants');
+            TestAssertions.assertFalse(manager.isReady(), 'Not ready before the WhatsApp clients connect');
+        } finally {
+            for (const service of Array.from(registered.values()).reverse()) {
+                if (typeof service.destroy === 'function') {
+                    await service.destroy();
+                } else if (typeof service.close === 'function') {
+                    await service.close();
+                }
+            }
+        }
+    });
+
+    runner.test('should report health per tenant in the service registry', async () => {
+        const registry = new ServiceRegistry(new Logger());
+        try {
+            registry.register('aiProvider', { isReady: () => true });
+            registry.register('maya:storageService', { isReady: () => true });
+            registry.register('maya:whatsappClient', { isReady: () => true });
+            registry.register('office:storageService', { isReady: () => true });
+            registry.register('office:whatsappClient', { isReady: () => false });
+            await registry.checkAllServicesHealth();
+
+            TestAssertions.assertEqual(registry.getTenantIds().join(','), 'maya,office');
+            const health = registry.getTenantHealth();
+            TestAssertions.assertTrue(health.find(entry => entry.tenant === 'maya').isHealthy);
+            const office = health.find(entry => entry.tenant === 'office');
+            TestAssertions.assertFalse(office.isHealthy);
+            TestAssertions.assertEqual(office.services.length, 2);
+            TestAssertions.assertEqual(registry.getHealthStatus().find(entry => entry.name === 'aiProvider').tenant, undefined, 'Shared services belong to no tenant');
+        } finally {
+            await registry.shutdown();
+        }
+    });
+
+    runner.test('should scope admin API routes to a tenant', async () => {
+        const handler = (name, enabled) => ({ getOwner: () => ({ name }), isSecretaryModeEnabled: () => enabled });
+        const services = {
+            'promptTemplates': { getTemplates: () => [] },
+            'maya:storageService': { isReady: () => true },
+            'maya:whatsappClient': { isReady: () => true },
+            'maya:messageHandler': handler('Maya', true),
+            'office:storageService': { isReady: () => true },
+            'office:whatsappClient': { isReady: () => false },
+            'office:messageHandler': handler('Front Desk', false)
+        };
+        const server = new AdminServer({ enabled: true, host: '127.0.0.1', port: 0, token: TOKEN }, {
+            get: (name) => services[name],
+            getHealthStatus: () => [],
+            getMetrics: () => ({}),
+            getTenantIds: () => ['maya', 'office'],
+            getTenantHealth: () => [{ tenant: 'office', isHealthy: false, services: [{ name: 'office:whatsappClient', tenant: 'office', isHealthy: false, status: 'not_ready', lastChecked: 0 }] }]
+        });
+        await server.start();
+        const baseUrl = `http://127.0.0.1:${server.getPort()}`;
+        const get = (url) => fetch(`${baseUrl}${url}`, { headers: { Authorization: `Bearer ${TOKEN}` } });
+
+        try {
+            const maya = await (await get('/api/tenants/maya/secretary-mode')).json();
+            const office = await (await get('/api/tenants/office/secretary-mode')).json();
+            TestAssertions.assertTrue(maya.enabled);
+            TestAssertions.assertFalse(office.enabled);
+
+            const unscoped = await get('/api/secretary-mode');
+            TestAssertions.assertEqual(unscoped.status, 400, 'Account endpoints need a tenant');
+            TestAssertions.assertEqual((await unscoped.json()).tenants.join(','), 'maya,office');
+            TestAssertions.assertEqual((await get('/api/tenants/nobody/secretary-mode')).status, 404);
+            TestAssertions.assertEqual((await fetch(`${baseUrl}/api/tenants/nobody/secretary-mode`)).status, 401, 'Tenant ids are not revealed without a token');
+            TestAssertions.assertEqual((await fetch(`${baseUrl}/api/tenants/maya/secretary-mode`)).status, 401);
+
+            const list = await (await get('/api/tenants')).json();
+            TestAssertions.assertEqual(list.tenants.map(tenant => `${tenant.id}:${tenant.owner}:${tenant.ready}`).join(','), 'maya:Maya:true,office:Front Desk:false');
+            TestAssertions.assertEqual(list.tenants[1].unhealthyServices.join(','), 'office:whatsappClient');
+
+            const readiness = await fetch(`${baseUrl}/readyz`);
+            const body = await readiness.json();
+            TestAssertions.assertEqual(readiness.status, 503, 'Not ready while one tenant is disconnected');
+            TestAssertions.assertTrue(body.tenants.maya.whatsapp);
+            TestAssertions.assertFalse(body.tenants.office.whatsapp);
+        } finally {
+            await server.close();
+        }
+    });
+
+    runner.test('should read a tenant\'s memory, cooldowns and mutes for its conversations', async () => {
+        const context = {
+            chatId: '111@c.us', participantCount: 2, isActive: true,
+            recentMessages: [{ id: 'm1', body: 'Hi', from: '111@c.us', to: '999@c.us', timestamp: Date.now(), isGroupMsg: false, chat: { id: '111@c.us', name: 'Dana' } }]
+        };
+        const services = {
+            'maya:conversationManager': { getAllConversations: () => [context], getConversationContext: async (chatId) => chatId === context.chatId ? context : null },
+            'maya:memoryService': { getMemory: (chatId) => ({ chatId, summary: 'Asked about the demo' }) },
+            'maya:timerService': { isInCooldown: () => true },
+            'maya:messageHandler': { isChatMuted: () => true },
+            'office:conversationManager': { getAllConversations: () => [], getConversationContext: async () => null }
+        };
+        const server = new AdminServer({ enabled: true, host: '127.0.0.1', port: 0, token: TOKEN }, {
+            get: (name) => services[name],
+            getHealthStatus: () => [],
+            getMetrics: () => ({}),
+            getTenantIds: () => ['maya', 'office']
+        });
+        await server.start();
+        const get = async (url) => (await fetch(`http://127.0.0.1:${server.getPort()}${url}`, { headers: { Authorization: `Bearer ${TOKEN}` } })).json();
+
+        try {
+            const conversation = await get('/api/tenants/maya/conversations/111@c.us');
+            TestAssertions.assertEqual(conversation.memory.summary, 'Asked about the demo', 'The tenant\'s memory service is used');
+            TestAssertions.assertTrue(conversation.inCooldown);
+            TestAssertions.assertTrue(conversation.muted);
+
+            const list = await get('/api/tenants/maya/conversations');
+            TestAssertions.assertTrue(list.conversations[0].inCooldown && list.conversations[0].muted);
+        } finally {
+            await server.close();
+        }
+    });
+
+    return await runner.run();
+}
+
+async function main() {
+    console.log('🧪 Running Tenants Unit Tests\n');
+
+    try {
+        const result = await testTenants();
+        const success = result.failed === 0;
+        console.log(`\n${success ? '🎉' : '💥'} Tenants tests ${success ? 'completed successfully' : 'failed'}`);
+        process.exit(success ? 0 : 1);
+    } catch (error) {
+        console.error('💥 Test execution failed:', error);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}